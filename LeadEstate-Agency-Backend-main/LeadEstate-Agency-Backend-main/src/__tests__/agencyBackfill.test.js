@@ -0,0 +1,101 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { pool, initDatabase } = require('../server-postgres');
+
+// Tables as they were before leads, properties and team members carried their agency
+const createLegacySchema = () => {
+  db.public.none(`
+    CREATE TABLE leads (
+      id VARCHAR(255) PRIMARY KEY,
+      first_name VARCHAR(255),
+      last_name VARCHAR(255),
+      email VARCHAR(255),
+      phone VARCHAR(255),
+      whatsapp VARCHAR(255),
+      source VARCHAR(255),
+      budget DECIMAL,
+      notes TEXT,
+      status VARCHAR(255) DEFAULT 'new',
+      assigned_to VARCHAR(255),
+      interested_properties TEXT DEFAULT '[]',
+      agency_id VARCHAR(255) DEFAULT 'default-agency',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE properties (
+      id VARCHAR(255) PRIMARY KEY,
+      title VARCHAR(255) NOT NULL,
+      type VARCHAR(255),
+      price DECIMAL,
+      location VARCHAR(255),
+      bedrooms INTEGER,
+      bathrooms INTEGER,
+      area DECIMAL,
+      description TEXT,
+      status VARCHAR(255) DEFAULT 'available',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+    CREATE TABLE team_members (
+      id VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      phone VARCHAR(255),
+      role VARCHAR(255),
+      department VARCHAR(255),
+      status VARCHAR(255) DEFAULT 'active',
+      joined_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    INSERT INTO team_members (id, name, email) VALUES ('tm-anna', 'Anna Agent', 'ANNA@example.com');
+    INSERT INTO team_members (id, name, email) VALUES ('tm-ghost', 'Ghost Agent', 'ghost@example.com');
+    INSERT INTO properties (id, title) VALUES ('prop-linked', 'Linked flat');
+    INSERT INTO properties (id, title) VALUES ('prop-orphan', 'Orphan flat');
+    INSERT INTO leads (id, first_name, assigned_to, interested_properties)
+      VALUES ('lead-team', 'Team', 'Anna Agent', '["prop-linked"]');
+    INSERT INTO leads (id, first_name, assigned_to) VALUES ('lead-user', 'User', 'Bruno Broker');
+    INSERT INTO leads (id, first_name, assigned_to) VALUES ('lead-orphan', 'Orphan', 'Nobody');
+  `);
+};
+
+const agencyOf = (table, id) => db.public.one(`SELECT agency_id FROM ${table} WHERE id = '${id}'`).agency_id;
+
+describe('legacy agency backfill', () => {
+  let agencyA;
+  let agencyB;
+
+  beforeAll(async () => {
+    createLegacySchema();
+    agencyA = createAgencyUser({ agencyName: 'Agency A', email: 'anna@example.com', firstName: 'Anna', lastName: 'Agent' });
+    agencyB = createAgencyUser({ agencyName: 'Agency B', firstName: 'Bruno', lastName: 'Broker' });
+    await initDatabase();
+  });
+
+  test('team members get the agency of the user with the same email', () => {
+    expect(agencyOf('team_members', 'tm-anna')).toBe(agencyA.agencyId);
+  });
+
+  test('leads get the agency of their assigned agent', () => {
+    expect(agencyOf('leads', 'lead-team')).toBe(agencyA.agencyId);
+    expect(agencyOf('leads', 'lead-user')).toBe(agencyB.agencyId);
+  });
+
+  test('properties get the agency of the leads interested in them', () => {
+    expect(agencyOf('properties', 'prop-linked')).toBe(agencyA.agencyId);
+  });
+
+  test('rows without a known owner are kept apart from every agency', () => {
+    expect(agencyOf('leads', 'lead-orphan')).toBe('default-agency');
+    expect(agencyOf('properties', 'prop-orphan')).toBe('default-agency');
+    expect(agencyOf('team_members', 'tm-ghost')).toBe('default-agency');
+  });
+
+  test('agency_id is required from now on', async () => {
+    await expect(pool.query("INSERT INTO leads (id, first_name) VALUES ('lead-new', 'New')")).rejects.toThrow();
+    await expect(pool.query("INSERT INTO properties (id, title) VALUES ('prop-new', 'New')")).rejects.toThrow();
+    await expect(pool.query("INSERT INTO team_members (id, name) VALUES ('tm-new', 'New')")).rejects.toThrow();
+  });
+});
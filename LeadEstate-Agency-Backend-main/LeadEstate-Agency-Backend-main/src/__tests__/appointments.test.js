@@ -0,0 +1,95 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+// A Tuesday, in the agents' default working hours (Europe/Paris)
+const DAY = '2030-03-12';
+
+describe('appointment conflicts', () => {
+  let manager;
+  let anna;
+  let bruno;
+  let leads;
+
+  const createLead = async (name) => (await request(app).post('/api/leads').set(as(manager))
+    .send({ name, email: `${name.split(' ')[0].toLowerCase()}@example.com` })
+    .expect(201)).body.data;
+
+  const createMember = async (name) => {
+    await request(app).post('/api/team').set(as(manager))
+      .send({ name, email: `${name.split(' ')[0].toLowerCase()}@agency.example.com`, role: 'agent' })
+      .expect(201);
+    const team = (await request(app).get('/api/team').set(as(manager)).expect(200)).body.data;
+    return team.find(member => member.name === name);
+  };
+
+  const book = (lead, agent, time, body = {}) => request(app).post('/api/appointments').set(as(manager))
+    .send({ leadId: lead.id, agentId: agent.id, type: 'meeting', startsAt: `${DAY}T${time}`, sendConfirmation: false, ...body });
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    anna = await createMember('Anna Agent');
+    bruno = await createMember('Bruno Agent');
+    leads = [];
+    for (const name of ['Lea First', 'Leo Second', 'Lou Third']) {
+      leads.push(await createLead(name));
+    }
+  });
+
+  test('refuses to double-book the agent and lists the conflict', async () => {
+    const first = (await book(leads[0], anna, '10:00').expect(201)).body.data.appointment;
+
+    const res = await book(leads[1], anna, '10:30').expect(409);
+
+    expect(res.body.message).toBe('The agent already has an appointment at that time');
+    expect(res.body.data.conflicts).toEqual([
+      expect.objectContaining({ with: 'agent', appointment: expect.objectContaining({ id: first.id }) })
+    ]);
+  });
+
+  test('refuses to double-book the lead with another agent', async () => {
+    await book(leads[2], anna, '14:00').expect(201);
+
+    const res = await book(leads[2], bruno, '14:45', { durationMinutes: 30 }).expect(409);
+
+    expect(res.body.message).toBe('The lead already has an appointment at that time');
+    expect(res.body.data.conflicts.map(conflict => conflict.with)).toEqual(['lead']);
+  });
+
+  test('books back-to-back slots and slots freed by a cancellation', async () => {
+    // Ends when the 10:00 meeting of the first test starts
+    await book(leads[1], anna, '09:00').expect(201);
+    const next = (await book(leads[1], anna, '11:00').expect(201)).body.data.appointment;
+
+    await request(app).post(`/api/appointments/${next.id}/cancel`).set(as(manager)).send({ reason: 'Lead busy' }).expect(200);
+    await book(leads[2], anna, '11:00').expect(201);
+  });
+
+  test('checks a rescheduled appointment against the others but not itself', async () => {
+    const meeting = (await book(leads[0], bruno, '16:00').expect(201)).body.data.appointment;
+    const reschedule = (startsAt) => request(app).put(`/api/appointments/${meeting.id}`).set(as(manager))
+      .send({ startsAt: `${DAY}T${startsAt}`, sendConfirmation: false });
+
+    // Its own slot, shifted by half an hour
+    const moved = (await reschedule('16:30').expect(200)).body.data;
+    expect(moved.rescheduled).toBe(true);
+
+    // Lea meets Anna at 10:00
+    await reschedule('10:15').expect(409);
+  });
+
+  test('refuses appointments outside working hours unless asked to', async () => {
+    await book(leads[0], anna, '20:00').expect(409);
+    await book(leads[0], anna, '20:00', { allowOutsideWorkingHours: true }).expect(201);
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const authService = require('../services/authService');
+const brevoService = require('../services/brevoService');
+const subscriptionService = require('../services/subscriptionService');
+
+process.env.BCRYPT_ROUNDS = '4';
+
+// Active manager with a password, verified unless stated otherwise
+const createUser = async ({ email = `${crypto.randomUUID()}@example.com`, password = 'correct-password', emailVerified = true } = {}) => {
+  const id = crypto.randomUUID();
+  const agencyId = crypto.randomUUID();
+  const hash = await authService.hashPassword(password);
+  db.public.none(`INSERT INTO agencies (id, name) VALUES ('${agencyId}', 'Agency')`);
+  db.public.none(`
+    INSERT INTO users (id, email, password, first_name, last_name, role, agency_id, status, email_verified)
+    VALUES ('${id}', '${email}', '${hash}', 'Test', 'User', 'manager', '${agencyId}', 'active', ${emailVerified})
+  `);
+  return { id, email, password, agencyId };
+};
+
+const sessionsOf = (userId) => db.public.many(`SELECT * FROM user_sessions WHERE user_id = '${userId}'`);
+
+describe('authentication', () => {
+  beforeAll(async () => {
+    await initDatabase();
+    jest.spyOn(brevoService, 'sendEmailVerification').mockResolvedValue({ success: true });
+    jest.spyOn(brevoService, 'sendWelcomeEmail').mockResolvedValue({ success: true });
+    jest.spyOn(brevoService, 'sendAccountCreatedConfirmation').mockResolvedValue({ success: true });
+  });
+
+  describe('POST /api/auth/trial-signup', () => {
+    test('creates the account without a session until the email is confirmed', async () => {
+      jest.spyOn(subscriptionService, 'createTrialSubscription').mockImplementation(async (data) => {
+        const user = await createUser({ email: data.email, password: data.password });
+        return {
+          user: await authService.findById(user.id),
+          subscription: { id: 'subscription-1', status: 'trial' },
+          plan: { name: 'starter' },
+          trialEndDate: new Date()
+        };
+      });
+
+      const res = await request(app).post('/api/auth/trial-signup')
+        .send({ email: 'trial@example.com', password: 'secret-password', firstName: 'Tina', lastName: 'Trial', companyName: 'Trial Homes' })
+        .expect(201);
+
+      expect(res.body.data.emailVerificationRequired).toBe(true);
+      expect(res.body.data.token).toBeUndefined();
+      expect(res.body.data.refreshToken).toBeUndefined();
+
+      const user = db.public.one("SELECT * FROM users WHERE email = 'trial@example.com'");
+      expect(user.email_verified).toBe(false);
+      expect(sessionsOf(user.id)).toEqual([]);
+      expect(brevoService.sendEmailVerification).toHaveBeenCalledWith(expect.objectContaining({ id: user.id }), expect.any(String));
+    });
+
+    test('rejects invalid input', async () => {
+      await request(app).post('/api/auth/trial-signup').send({ email: 'not-an-email' }).expect(400);
+    });
+  });
+
+  describe('unverified accounts', () => {
+    test('cannot log in', async () => {
+      const user = await createUser({ emailVerified: false });
+
+      const res = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(403);
+
+      expect(res.body.message).toMatch(/confirm your email/);
+      expect(sessionsOf(user.id)).toEqual([]);
+    });
+
+    test('cannot refresh a session and the session is revoked', async () => {
+      const user = await createUser();
+      const { refreshToken } = await authService.startSession(await authService.findById(user.id));
+      db.public.none(`UPDATE users SET email_verified = false WHERE id = '${user.id}'`);
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(403);
+
+      expect(sessionsOf(user.id).map(session => session.is_active)).toEqual([false]);
+    });
+
+    test('a verified account can refresh', async () => {
+      const user = await createUser();
+      const { refreshToken } = await authService.startSession(await authService.findById(user.id));
+
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+      expect(res.body.refreshToken).toEqual(expect.any(String));
+      expect(res.body.refreshToken).not.toBe(refreshToken);
+    });
+  });
+
+  describe('login lockout', () => {
+    test('locks the account after max_login_attempts wrong passwords', async () => {
+      const user = await createUser();
+
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        await expect(authService.login(user.email, 'wrong-password')).rejects.toMatchObject({ statusCode: 401 });
+      }
+
+      await expect(authService.login(user.email, user.password)).rejects.toMatchObject({ statusCode: 423 });
+      expect(db.public.one(`SELECT failed_login_attempts FROM users WHERE id = '${user.id}'`).failed_login_attempts).toBe(5);
+    });
+
+    test('a successful login resets the failed attempts', async () => {
+      const user = await createUser();
+      await expect(authService.login(user.email, 'wrong-password')).rejects.toMatchObject({ statusCode: 401 });
+
+      const result = await authService.login(user.email, user.password);
+
+      expect(result.token).toEqual(expect.any(String));
+      expect(db.public.one(`SELECT failed_login_attempts FROM users WHERE id = '${user.id}'`).failed_login_attempts).toBe(0);
+    });
+
+    test('only the lock of the account whose password matches applies', async () => {
+      const locked = await createUser({ email: 'shared@example.com', password: 'first-password' });
+      const other = await createUser({ email: 'Shared@example.com', password: 'second-password' });
+      db.public.none(`UPDATE users SET failed_login_attempts = 5, locked_until = '2100-01-01' WHERE id = '${locked.id}'`);
+
+      const result = await authService.login('shared@example.com', other.password);
+      expect(result.user.id).toBe(other.id);
+
+      await expect(authService.login('shared@example.com', locked.password)).rejects.toMatchObject({ statusCode: 423 });
+      await expect(authService.login('shared@example.com', 'wrong-password')).rejects.toMatchObject({ statusCode: 401 });
+      const attempts = (user) => db.public.one(`SELECT failed_login_attempts FROM users WHERE id = '${user.id}'`).failed_login_attempts;
+      expect([attempts(locked), attempts(other)]).toEqual([5, 1]);
+    });
+  });
+
+  describe('sessions', () => {
+    test('account activation logs in with a session that logout revokes', async () => {
+      const { agencyId } = createAgencyUser();
+      const id = crypto.randomUUID();
+      db.public.none(`
+        INSERT INTO users (id, email, first_name, last_name, role, agency_id, status, invitation_token, invitation_expires_at)
+        VALUES ('${id}', 'invited@example.com', 'Ines', 'Invited', 'agent', '${agencyId}', 'invited', 'invitation-token', '2100-01-01')
+      `);
+
+      const res = await request(app).post('/api/account-setup/complete')
+        .send({ token: 'invitation-token', password: 'a-long-password', firstName: 'Ines' })
+        .expect(201);
+
+      const { token, refreshToken, sessionId } = res.body.data;
+      expect(refreshToken).toEqual(expect.any(String));
+      expect(sessionsOf(id).map(session => session.id)).toEqual([sessionId]);
+
+      await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`).expect(200);
+      await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`).send({ refreshToken }).expect(200);
+      await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+
+    test('rejects access tokens without a session', async () => {
+      const { user } = createAgencyUser();
+      const token = jwt.sign({ userId: user.id, email: user.email, role: user.role, agencyId: user.agencyId }, process.env.JWT_SECRET);
+
+      await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+  });
+});
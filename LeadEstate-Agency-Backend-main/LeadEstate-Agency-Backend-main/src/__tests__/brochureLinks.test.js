@@ -0,0 +1,120 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local storage (and /uploads) in a temporary folder
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'leadestate-brochures-'));
+process.env.UPLOAD_PATH = uploadRoot;
+process.env.PUBLIC_API_URL = 'https://api.example.com';
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const brochureService = require('../services/brochureService');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+// Path of a signed link on this API
+const linkPath = (url) => url.replace(process.env.PUBLIC_API_URL, '');
+
+describe('brochure links', () => {
+  let manager;
+  let property;
+  let lead;
+
+  const sendBrochure = async () => {
+    const response = await request(app)
+      .post(`/api/properties/${property.id}/brochure/send`)
+      .set(as(manager))
+      .send({ leadId: lead.id, channel: 'email' })
+      .expect(202);
+    return response.body.data;
+  };
+
+  const linkOf = (sent) => db.public.one(`SELECT * FROM brochure_links WHERE queue_id = '${sent.queueId}'`);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+
+    property = (await request(app).post('/api/properties').set(as(manager))
+      .send({ title: 'Sea View Flat', type: 'apartment', price: 250000, city: 'Nice' })
+      .expect(201)).body.data;
+    lead = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Bruno Buyer', email: 'bruno@example.com' })
+      .expect(201)).body.data;
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadRoot, { recursive: true, force: true });
+  });
+
+  test('sends a signed link that serves the PDF without login, not a public file', async () => {
+    const sent = await sendBrochure();
+
+    expect(sent.brochureUrl).toMatch(/^https:\/\/api\.example\.com\/api\/brochures\/[\w-]+\.[\w-]+\.pdf$/);
+    const response = await request(app).get(linkPath(sent.brochureUrl)).expect(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.body.toString('latin1', 0, 4)).toBe('%PDF');
+
+    const link = linkOf(sent);
+    expect(fs.existsSync(path.join(uploadRoot, link.storage_key))).toBe(true);
+    await request(app).get(`/uploads/${link.storage_key}`).expect(404);
+    await request(app).get(`/uploads/properties/../${link.storage_key}`).expect(404);
+    await request(app).get(`/uploads/${link.storage_key.replace('brochures', '%62rochures')}`).expect(404);
+  });
+
+  test('refuses tampered and expired links', async () => {
+    const sent = await sendBrochure();
+    const [payload, signature] = linkPath(sent.brochureUrl).replace('/api/brochures/', '').split('.');
+
+    const forged = Buffer.from(JSON.stringify({ b: linkOf(sent).id, e: Math.floor(Date.now() / 1000) + 365 * 24 * 3600 })).toString('base64url');
+    await request(app).get(`/api/brochures/${forged}.${signature}.pdf`).expect(404);
+    await request(app).get(`/api/brochures/${payload}.${signature.slice(1)}x.pdf`).expect(404);
+
+    db.public.none(`UPDATE brochure_links SET expires_at = '2020-01-01' WHERE id = '${linkOf(sent).id}'`);
+    await request(app).get(linkPath(sent.brochureUrl)).expect(404);
+  });
+
+  test('deletes brochures once sent, given up or expired', async () => {
+    // Links expired by the tests above
+    await brochureService.removeExpired();
+    const pending = await sendBrochure();
+    const sent = await sendBrochure();
+    const dead = await sendBrochure();
+    const expired = await sendBrochure();
+    const files = [pending, sent, dead, expired].map(result => path.join(uploadRoot, linkOf(result).storage_key));
+
+    db.public.none(`UPDATE outbound_messages SET status = 'sent', sent_at = '2020-01-01' WHERE id = '${sent.queueId}'`);
+    db.public.none(`UPDATE outbound_messages SET status = 'dead' WHERE id = '${dead.queueId}'`);
+    db.public.none(`UPDATE brochure_links SET expires_at = '2020-01-01' WHERE queue_id = '${expired.queueId}'`);
+
+    expect(await brochureService.removeExpired()).toBe(3);
+
+    expect(files.map(file => fs.existsSync(file))).toEqual([true, false, false, false]);
+    const queueIds = [pending, sent, dead, expired].map(result => `'${result.queueId}'`).join(', ');
+    expect(db.public.many(`SELECT queue_id FROM brochure_links WHERE queue_id IN (${queueIds})`)).toEqual([{ queue_id: pending.queueId }]);
+    await request(app).get(linkPath(sent.brochureUrl)).expect(404);
+    await request(app).get(linkPath(pending.brochureUrl)).expect(200);
+  });
+
+  test('deletes the brochures of a lead whose personal data is erased', async () => {
+    const sent = await sendBrochure();
+    const link = linkOf(sent);
+    const file = path.join(uploadRoot, link.storage_key);
+
+    const erased = (await request(app).delete(`/api/leads/${lead.id}/personal-data`).set(as(manager)).expect(200)).body.data;
+
+    expect(erased.brochures).toBeGreaterThanOrEqual(1);
+    expect(fs.existsSync(file)).toBe(false);
+    expect(db.public.many(`SELECT id FROM brochure_links WHERE lead_id = '${lead.id}'`)).toEqual([]);
+    await request(app).get(linkPath(sent.brochureUrl)).expect(404);
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('campaign opt-outs', () => {
+  let manager;
+  let reachable;
+  let optedOut;
+  let noEmail;
+
+  const createLead = async (body) => (await request(app).post('/api/leads').set(as(manager))
+    .send({ source: 'referral', ...body })
+    .expect(201)).body.data;
+
+  const withdraw = (lead, channel) => request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+    .send({ channel, status: 'withdrawn', source: 'phone_call' })
+    .expect(201);
+
+  const segment = { source: ['referral'] };
+
+  // Recipients are queued in the background after the send request
+  const waitUntilSent = async (campaign) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { status } = db.public.one(`SELECT status FROM campaigns WHERE id = '${campaign.id}'`);
+      if (status !== 'sending') return status;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Campaign still sending');
+  };
+
+  const recipientsOf = (campaign) => db.public.many(`
+    SELECT lead_id, status, skip_reason, queue_id FROM campaign_recipients WHERE campaign_id = '${campaign.id}'
+  `);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+
+    reachable = await createLead({ name: 'Rosa Reachable', email: 'rosa@example.com' });
+    optedOut = await createLead({ name: 'Otto Optout', email: 'otto@example.com', phone: '+33612345678' });
+    noEmail = await createLead({ name: 'Nora Nomail', phone: '+33698765432' });
+    await createLead({ name: 'Walter Website', email: 'walter@example.com', source: 'website' });
+    await withdraw(optedOut, 'email');
+  });
+
+  test('counts the opted-out leads of a segment per channel', async () => {
+    const email = (await request(app).post('/api/campaigns/segment-preview').set(as(manager))
+      .send({ channel: 'email', segment })
+      .expect(200)).body.data;
+    expect(email).toMatchObject({ total: 3, reachable: 1, optedOut: 1, noContact: 1 });
+    expect(email.sample.find(lead => lead.id === optedOut.id).skipReason).toBe('opted_out');
+
+    // Withdrawing email leaves WhatsApp allowed
+    const whatsapp = (await request(app).post('/api/campaigns/segment-preview').set(as(manager))
+      .send({ channel: 'whatsapp', segment })
+      .expect(200)).body.data;
+    expect(whatsapp).toMatchObject({ total: 3, reachable: 2, optedOut: 0, noContact: 1 });
+  });
+
+  test('skips opted-out leads when sending and queues the others', async () => {
+    const campaign = (await request(app).post('/api/campaigns').set(as(manager))
+      .send({ name: 'Spring listings', channel: 'email', subject: 'New listings', message: 'Hello {{leadName}}', segment })
+      .expect(201)).body.data;
+
+    await request(app).post(`/api/campaigns/${campaign.id}/send`).set(as(manager)).expect(200);
+    expect(await waitUntilSent(campaign)).toBe('sent');
+
+    const recipients = recipientsOf(campaign);
+    const byLead = (lead) => recipients.find(recipient => recipient.lead_id === lead.id);
+    expect(recipients).toHaveLength(3);
+    expect(byLead(reachable)).toMatchObject({ status: 'queued', skip_reason: null });
+    expect(byLead(optedOut)).toMatchObject({ status: 'skipped', skip_reason: 'opted_out', queue_id: null });
+    expect(byLead(noEmail)).toMatchObject({ status: 'skipped', skip_reason: 'no_contact', queue_id: null });
+
+    const queued = db.public.many(`SELECT recipient FROM outbound_messages WHERE id = '${byLead(reachable).queue_id}'`);
+    expect(queued).toEqual([{ recipient: 'rosa@example.com' }]);
+  });
+});
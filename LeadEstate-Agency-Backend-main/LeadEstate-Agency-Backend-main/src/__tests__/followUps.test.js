@@ -0,0 +1,97 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+describe('recurring follow-ups', () => {
+  let manager;
+  let lead;
+
+  const schedule = async (body) => (await request(app).post('/api/follow-ups').set(as(manager))
+    .send({ leadId: lead.id, type: 'call', ...body })
+    .expect(201)).body.data;
+
+  const complete = (followUp) => request(app).post(`/api/follow-ups/${followUp.id}/complete`).set(as(manager))
+    .send({ outcome: 'Reached' });
+
+  const nextFollowUpOfLead = () => iso(db.public.one(`SELECT next_follow_up FROM leads WHERE id = '${lead.id}'`).next_follow_up);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    lead = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Rhea Recurring', email: 'rhea@example.com' })
+      .expect(201)).body.data;
+  });
+
+  test('schedules the next occurrence of the series on completion', async () => {
+    const first = await schedule({ dueDate: '2100-01-04T09:00:00Z', recurrence: { frequency: 'weekly', interval: 2 } });
+    expect(nextFollowUpOfLead()).toBe('2100-01-04T09:00:00.000Z');
+
+    const { followUp, nextOccurrence } = (await complete(first).expect(200)).body.data;
+
+    expect(followUp).toMatchObject({ status: 'completed', outcome: 'Reached' });
+    expect(iso(nextOccurrence.dueDate)).toBe('2100-01-18T09:00:00.000Z');
+    expect(nextOccurrence).toMatchObject({ status: 'pending', seriesId: first.id, recurrence: { frequency: 'weekly', interval: 2 } });
+    expect(nextFollowUpOfLead()).toBe('2100-01-18T09:00:00.000Z');
+
+    await complete(first).expect(409);
+    await request(app).delete(`/api/follow-ups/${nextOccurrence.id}`).set(as(manager)).expect(200);
+  });
+
+  test('keeps monthly occurrences on the last day of shorter months', async () => {
+    const first = await schedule({ dueDate: '2100-01-31T09:00:00Z', recurrence: { frequency: 'monthly' } });
+
+    const { nextOccurrence } = (await complete(first).expect(200)).body.data;
+
+    expect(iso(nextOccurrence.dueDate)).toBe('2100-02-28T09:00:00.000Z');
+    await request(app).delete(`/api/follow-ups/${nextOccurrence.id}`).set(as(manager)).expect(200);
+  });
+
+  test('skips the occurrences an overdue follow-up missed', async () => {
+    const overdue = await schedule({ dueDate: '2020-01-01T09:00:00Z', recurrence: { frequency: 'daily' } });
+
+    const { nextOccurrence } = (await complete(overdue).expect(200)).body.data;
+
+    const next = new Date(nextOccurrence.dueDate);
+    expect(next.getTime()).toBeGreaterThan(Date.now());
+    expect(next.getTime() - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+    expect(next.toISOString().slice(11)).toBe('09:00:00.000Z');
+    await request(app).delete(`/api/follow-ups/${nextOccurrence.id}`).set(as(manager)).expect(200);
+  });
+
+  test('ends the series at its until date', async () => {
+    const last = await schedule({
+      dueDate: '2100-01-04T09:00:00Z',
+      recurrence: { frequency: 'weekly', until: '2100-01-10T00:00:00Z' }
+    });
+
+    const { nextOccurrence } = (await complete(last).expect(200)).body.data;
+
+    expect(nextOccurrence).toBeNull();
+    expect(nextFollowUpOfLead()).toBeNull();
+  });
+
+  test('rejects invalid recurrence rules', async () => {
+    const invalid = [
+      { frequency: 'hourly' },
+      { frequency: 'daily', interval: 0 },
+      { frequency: 'weekly', until: 'someday' }
+    ];
+    for (const recurrence of invalid) {
+      await request(app).post('/api/follow-ups').set(as(manager))
+        .send({ leadId: lead.id, type: 'call', dueDate: '2100-01-04T09:00:00Z', recurrence })
+        .expect(400);
+    }
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * In-memory PostgreSQL (pg-mem) for tests. Test files replace the pg driver with it:
+ *
+ *   jest.mock('pg', () => require('./helpers/testDb').pg);
+ *
+ * so the pools of server-postgres.js and config/database.js share one database per test file.
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { newDb, DataType } = require('pg-mem');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || 'test-two-factor-key';
+
+const db = newDb({ noAstCoverageCheck: true });
+
+// Functions used by initDatabase and the queries that pg-mem does not implement
+db.public.registerFunction({
+  name: 'gen_random_uuid',
+  returns: DataType.uuid,
+  implementation: () => crypto.randomUUID(),
+  impure: true
+});
+db.public.registerFunction({
+  name: 'trim',
+  args: [DataType.text],
+  returns: DataType.text,
+  implementation: (value) => (value === null ? null : String(value).trim())
+});
+db.public.registerFunction({
+  name: 'left',
+  args: [DataType.text, DataType.integer],
+  returns: DataType.text,
+  implementation: (value, length) => (value === null ? null : String(value).slice(0, length))
+});
+db.public.registerFunction({
+  name: 'round',
+  args: [DataType.float, DataType.integer],
+  returns: DataType.float,
+  implementation: (value, digits) => (value === null ? null : Number(Number(value).toFixed(digits)))
+});
+// jsonb || jsonb_build_object(key, value): pg-mem concatenates JSON values as text
+db.public.registerFunction({
+  name: 'jsonb_with_key',
+  args: [DataType.jsonb, DataType.text, DataType.bool],
+  returns: DataType.jsonb,
+  implementation: (object, key, value) => ({ ...(object || {}), [key]: value })
+});
+// Current time evaluated on every call: pg-mem keeps the value of CURRENT_TIMESTAMP in
+// its cached plan, so a query run again later would still see the first run's time
+db.public.registerFunction({
+  name: 'test_now',
+  returns: DataType.timestamp,
+  implementation: () => new Date(),
+  impure: true
+});
+// Text form of a timestamp, as PostgreSQL's timestamp::text
+db.public.registerFunction({
+  name: 'timestamp_text',
+  args: [DataType.timestamp],
+  returns: DataType.text,
+  implementation: (value) => (value === null ? null : new Date(value).toISOString().replace('T', ' ').replace('Z', ''))
+});
+// Appointment booking locks: the in-memory database runs one query at a time anyway
+db.public.registerFunction({
+  name: 'hashtext',
+  args: [DataType.text],
+  returns: DataType.integer,
+  implementation: (value) => crypto.createHash('md5').update(String(value)).digest().readInt32BE(0)
+});
+db.public.registerFunction({
+  name: 'pg_advisory_xact_lock',
+  args: [DataType.integer],
+  returns: DataType.text,
+  implementation: () => ''
+});
+// Start of the day (the only unit truncated by the API)
+db.public.registerFunction({
+  name: 'date_trunc',
+  args: [DataType.text, DataType.timestamp],
+  returns: DataType.timestamp,
+  implementation: (unit, value) => {
+    const date = new Date(value);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  }
+});
+db.public.registerFunction({
+  name: 'to_tsvector',
+  args: [DataType.text, DataType.text],
+  returns: DataType.text,
+  implementation: (config, value) => value
+});
+// Prefix queries ("sea:* & vil:*") against the words of the searched text, ranked by matches
+const tsMatches = (text, query) => {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = query.split(' & ').map(term => term.replace(/:\*$/, ''));
+  return terms.every(term => words.some(word => word.startsWith(term)))
+    ? words.filter(word => terms.some(term => word.startsWith(term))).length
+    : 0;
+};
+db.public.registerFunction({
+  name: 'to_tsquery',
+  args: [DataType.text, DataType.text],
+  returns: DataType.text,
+  implementation: (config, query) => query
+});
+db.public.registerOperator({
+  operator: '@@',
+  left: DataType.text,
+  right: DataType.text,
+  returns: DataType.bool,
+  implementation: (text, query) => tsMatches(text, query) > 0
+});
+db.public.registerFunction({
+  name: 'ts_rank',
+  args: [DataType.text, DataType.text],
+  returns: DataType.float,
+  implementation: tsMatches
+});
+
+// Property search: surface fallback and the haversine distance
+db.public.registerFunction({
+  name: 'nullif',
+  args: [DataType.float, DataType.integer],
+  returns: DataType.float,
+  implementation: (value, empty) => (value === empty ? null : value)
+});
+// Blank columns (NULLIF(email, '')) when a duplicate fills an existing lead
+db.public.registerFunction({
+  name: 'nullif',
+  args: [DataType.text, DataType.text],
+  returns: DataType.text,
+  implementation: (value, empty) => (value === empty ? null : value)
+});
+db.public.registerFunction({
+  name: 'strpos',
+  args: [DataType.text, DataType.text],
+  returns: DataType.integer,
+  implementation: (value, search) => (value === null || search === null ? null : String(value).indexOf(search) + 1)
+});
+db.public.registerFunction({
+  name: 'power',
+  args: [DataType.float, DataType.integer],
+  returns: DataType.float,
+  implementation: Math.pow
+});
+db.public.registerFunction({
+  name: 'float_least',
+  args: [DataType.float, DataType.float],
+  returns: DataType.float,
+  implementation: Math.min
+});
+for (const [name, implementation] of Object.entries({
+  radians: (degrees) => degrees * Math.PI / 180,
+  sin: Math.sin,
+  cos: Math.cos,
+  asin: Math.asin,
+  sqrt: Math.sqrt
+})) {
+  db.public.registerFunction({ name, args: [DataType.float], returns: DataType.float, implementation });
+}
+
+for (const left of [DataType.timestamp, DataType.timestamptz]) {
+  for (const right of [DataType.timestamp, DataType.timestamptz]) {
+    db.public.registerOperator({
+      operator: '-',
+      left,
+      right,
+      returns: DataType.interval,
+      implementation: (a, b) => ({ milliseconds: new Date(a) - new Date(b) })
+    });
+  }
+}
+
+// Tables created by the migrations in /migrations rather than initDatabase
+db.public.none(`
+  CREATE TABLE users (
+    id UUID PRIMARY KEY,
+    email VARCHAR(255) UNIQUE,
+    password VARCHAR(255),
+    first_name VARCHAR(255),
+    last_name VARCHAR(255),
+    role VARCHAR(50),
+    phone VARCHAR(50),
+    agency_id UUID,
+    status VARCHAR(50) DEFAULT 'active',
+    invitation_token VARCHAR(255),
+    invitation_sent_at TIMESTAMP,
+    invitation_expires_at TIMESTAMP,
+    account_activated_at TIMESTAMP,
+    agency_name VARCHAR(255),
+    invited_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE agencies (
+    id UUID PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    owner_id UUID,
+    manager_id UUID,
+    settings JSONB DEFAULT '{}',
+    status VARCHAR(50) DEFAULT 'active',
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE invitation_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    email_type VARCHAR(100) NOT NULL,
+    email_address VARCHAR(255) NOT NULL,
+    sent_at TIMESTAMP DEFAULT NOW(),
+    email_status VARCHAR(50) DEFAULT 'sent'
+  );
+
+  CREATE TABLE user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_token VARCHAR(255) NOT NULL UNIQUE,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    last_activity TIMESTAMP DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT true
+  );
+`);
+
+const { Pool: MemoryPool, Client } = db.adapters.createPg();
+
+const INTERVAL_UNITS = { secs: 'seconds', mins: 'minutes' };
+
+// SQL that pg-mem cannot parse, rewritten to equivalents
+const REWRITES = [
+  [/make_interval\((\w+) => ([^)]+)\)/g, (match, unit, value) => `CAST(CONCAT(${value}, ' ${INTERVAL_UNITS[unit] || unit}') AS INTERVAL)`],
+  [/\((\w+_at)\)::text/g, 'timestamp_text($1)'],
+  // pg-mem's NOW() is a timestamptz it cannot compare with TIMESTAMP columns
+  [/\bNOW\(\)|\bCURRENT_TIMESTAMP\b/gi, 'test_now()'],
+  // pg-mem's INET rejects IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1
+  [/\bip_address INET\b/g, 'ip_address VARCHAR(45)'],
+  [/::float8\b/g, '::float'],
+  // pg-mem's LEAST returns 0 for floats
+  [/\bLEAST\(/g, 'float_least('],
+  [/COALESCE\((\w+), '\{\}'::jsonb\) \|\| jsonb_build_object\(([^,]+), ([^)]+)\)/g, 'jsonb_with_key($1, $2, $3)'],
+  // pg-mem's = ANY(...) on an indexed column misses rows, an expression skips the index
+  [/\b((?:\w+\.)?\w+) = ANY\(/g, 'CONCAT($1) = ANY(']
+];
+
+class Pool extends MemoryPool {
+  query(text, ...args) {
+    if (typeof text === 'string') {
+      // There are no triggers to drop in a fresh database (and pg-mem cannot parse DROP TRIGGER ... ON)
+      if (/^\s*DROP TRIGGER/i.test(text)) {
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      }
+      text = REWRITES.reduce((sql, [pattern, replacement]) => sql.replace(pattern, replacement), text);
+    }
+    return super.query(text, ...args);
+  }
+}
+
+/**
+ * Create an agency with an active user
+ * @param {object} options - { role, agencyName, email, firstName, lastName }
+ * @returns {object} { agencyId, user, token } - token of a session that never expires
+ */
+const createAgencyUser = ({ role = 'manager', agencyName = 'Agency', email, firstName = 'Test', lastName = 'User', agencyId } = {}) => {
+  const id = agencyId || crypto.randomUUID();
+  if (!agencyId) {
+    db.public.none(`INSERT INTO agencies (id, name) VALUES ('${id}', '${agencyName}')`);
+  }
+
+  const userId = crypto.randomUUID();
+  const userEmail = email || `${userId}@example.com`;
+  db.public.none(`
+    INSERT INTO users (id, email, first_name, last_name, role, agency_id, status)
+    VALUES ('${userId}', '${userEmail}', '${firstName}', '${lastName}', '${role}', '${id}', 'active')
+  `);
+
+  // Access tokens are only valid with an active session
+  const sessionId = crypto.randomUUID();
+  db.public.none(`
+    INSERT INTO user_sessions (id, user_id, session_token, expires_at)
+    VALUES ('${sessionId}', '${userId}', '${crypto.randomUUID()}', '2100-01-01')
+  `);
+
+  return {
+    agencyId: id,
+    user: { id: userId, email: userEmail, role, agencyId: id },
+    token: jwt.sign({ userId, email: userEmail, role, agencyId: id, sessionId }, process.env.JWT_SECRET)
+  };
+};
+
+module.exports = {
+  db,
+  pg: { Pool, Client },
+  createAgencyUser
+};
@@ -0,0 +1,135 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('lead access of agents limited to their own leads', () => {
+  let manager;
+  let agent;
+
+  const createLead = async (name, assignedTo) => (await request(app).post('/api/leads').set(as(manager))
+    .send({ name, email: `${name.toLowerCase().replace(/ /g, '.')}@example.com`, assignedTo })
+    .expect(201)).body.data;
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    await initDatabase();
+    manager = createAgencyUser();
+    agent = createAgencyUser({ role: 'agent', agencyId: manager.agencyId, firstName: 'Anna', lastName: 'Agent' });
+
+    // The agency lets agents delete and merge leads
+    db.public.none(`
+      INSERT INTO agency_settings (agency_id, settings)
+      VALUES ('${manager.agencyId}', '{"rolePermissions": {"agent": ["leads.read.own", "leads.update", "leads.delete"]}}')
+    `);
+  });
+
+  describe('DELETE /api/leads/:id', () => {
+    test('refuses a lead assigned to someone else', async () => {
+      const lead = await createLead('Other Lead', 'Someone Else');
+
+      await request(app).delete(`/api/leads/${lead.id}`).set(as(agent)).expect(404);
+
+      expect(db.public.many(`SELECT id FROM leads WHERE id = '${lead.id}'`)).toHaveLength(1);
+    });
+
+    test('deletes an own lead', async () => {
+      const lead = await createLead('Own Lead', 'Anna Agent');
+
+      await request(app).delete(`/api/leads/${lead.id}`).set(as(agent)).expect(200);
+
+      expect(db.public.many(`SELECT id FROM leads WHERE id = '${lead.id}'`)).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/leads/:id/merge', () => {
+    test('refuses to merge into a lead assigned to someone else', async () => {
+      const survivor = await createLead('Other Survivor', 'Someone Else');
+      const duplicate = await createLead('Own Duplicate', 'Anna Agent');
+
+      await request(app).post(`/api/leads/${survivor.id}/merge`).set(as(agent))
+        .send({ duplicateIds: [duplicate.id] })
+        .expect(404);
+    });
+
+    test('refuses to merge away a lead assigned to someone else', async () => {
+      const survivor = await createLead('Own Survivor', 'Anna Agent');
+      const duplicate = await createLead('Other Duplicate', 'Someone Else');
+
+      await request(app).post(`/api/leads/${survivor.id}/merge`).set(as(agent))
+        .send({ duplicateIds: [duplicate.id] })
+        .expect(404);
+
+      expect(db.public.many(`SELECT id FROM leads WHERE id = '${duplicate.id}'`)).toHaveLength(1);
+    });
+
+    test('merges own leads', async () => {
+      const survivor = await createLead('Own Keeper', 'Anna Agent');
+      const duplicate = await createLead('Own Copy', 'Anna Agent');
+
+      const res = await request(app).post(`/api/leads/${survivor.id}/merge`).set(as(agent))
+        .send({ duplicateIds: [duplicate.id] })
+        .expect(200);
+
+      expect(res.body.data.mergedLeadIds).toEqual([duplicate.id]);
+    });
+  });
+});
+
+describe('follow-ups of agents with the default permissions', () => {
+  let manager;
+  let agent;
+  let ownLead;
+  let otherLead;
+
+  const createFollowUp = (account, leadId) => request(app).post('/api/follow-ups').set(as(account))
+    .send({ leadId, type: 'call', dueDate: '2100-01-01T09:00:00Z' });
+
+  beforeAll(async () => {
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    await initDatabase();
+    manager = createAgencyUser({ agencyName: 'Default Agency' });
+    agent = createAgencyUser({ role: 'agent', agencyId: manager.agencyId, firstName: 'Bob', lastName: 'Broker' });
+
+    // Agents create leads, which are assigned to them
+    ownLead = (await request(app).post('/api/leads').set(as(agent)).send({ name: 'Own Buyer' }).expect(201)).body.data;
+    otherLead = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Other Buyer', assignedTo: 'Someone Else' })
+      .expect(201)).body.data;
+  });
+
+  test('schedule and complete follow-ups of their own leads', async () => {
+    const followUp = (await createFollowUp(agent, ownLead.id).expect(201)).body.data;
+    expect(followUp.assignedTo).toBe('Bob Broker');
+
+    await request(app).post(`/api/follow-ups/${followUp.id}/complete`).set(as(agent))
+      .send({ outcome: 'Called back' })
+      .expect(200);
+  });
+
+  test('cannot see or change the follow-ups of other leads', async () => {
+    await createFollowUp(agent, otherLead.id).expect(404);
+    const other = (await createFollowUp(manager, otherLead.id).expect(201)).body.data;
+    const own = (await createFollowUp(agent, ownLead.id).expect(201)).body.data;
+
+    const listed = (await request(app).get('/api/follow-ups').set(as(agent)).expect(200)).body.data;
+    expect(listed.map(followUp => followUp.leadId)).not.toContain(otherLead.id);
+    expect(listed.map(followUp => followUp.id)).toContain(own.id);
+    const summary = (await request(app).get('/api/follow-ups/summary').set(as(agent)).expect(200)).body.data;
+    expect(summary.pending).toBe(1);
+
+    await request(app).get(`/api/follow-ups/${other.id}`).set(as(agent)).expect(404);
+    await request(app).put(`/api/follow-ups/${other.id}`).set(as(agent)).send({ priority: 'high' }).expect(404);
+    await request(app).put(`/api/follow-ups/${own.id}`).set(as(agent)).send({ leadId: otherLead.id }).expect(404);
+    await request(app).post(`/api/follow-ups/${other.id}/complete`).set(as(agent)).send({}).expect(404);
+    await request(app).delete(`/api/follow-ups/${other.id}`).set(as(agent)).expect(404);
+
+    const managerList = (await request(app).get('/api/follow-ups').set(as(manager)).expect(200)).body.data;
+    expect(managerList.map(followUp => followUp.id)).toEqual(expect.arrayContaining([own.id, other.id]));
+  });
+});
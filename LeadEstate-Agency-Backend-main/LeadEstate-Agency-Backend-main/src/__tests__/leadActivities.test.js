@@ -0,0 +1,68 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('lead activity timeline', () => {
+  let manager;
+  let otherAgency;
+  let lead;
+
+  const timeline = async (query = {}) => (await request(app).get(`/api/leads/${lead.id}/activities`)
+    .query(query)
+    .set(as(manager))
+    .expect(200)).body;
+
+  const byType = (activities, type) => activities.find(activity => activity.type === type);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+
+    lead = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Tina Timeline', email: 'tina@example.com', budget: 200000 })
+      .expect(201)).body.data;
+    await request(app).put(`/api/leads/${lead.id}`).set(as(manager))
+      .send({ status: 'contacted', assignedTo: 'Anna Agent', budget: 250000 })
+      .expect(200);
+    await request(app).post(`/api/leads/${lead.id}/notes`).set(as(manager))
+      .send({ content: 'Prefers calls after 6pm' })
+      .expect(201);
+  });
+
+  test('records what happened to the lead and who did it', async () => {
+    const { data } = await timeline();
+
+    expect(data.map(activity => activity.type).sort()).toEqual([
+      'lead_assigned', 'lead_created', 'lead_status_changed', 'lead_updated', 'note_added'
+    ]);
+    expect(byType(data, 'lead_status_changed').metadata).toEqual({ from: 'new', to: 'contacted' });
+    expect(byType(data, 'lead_assigned').metadata).toEqual({ from: null, to: 'Anna Agent' });
+    expect(byType(data, 'lead_updated').metadata.changes).toEqual({ budget: { from: 200000, to: 250000 } });
+    expect(byType(data, 'note_added').description).toBe('Prefers calls after 6pm');
+    expect(byType(data, 'note_added').user).toEqual({ id: manager.user.id, name: expect.any(String) });
+  });
+
+  test('filters by type and paginates', async () => {
+    const filtered = await timeline({ type: 'note_added,lead_status_changed' });
+    expect(filtered.data.map(activity => activity.type).sort()).toEqual(['lead_status_changed', 'note_added']);
+
+    const page = await timeline({ limit: 2, page: 3 });
+    expect(page.data).toHaveLength(1);
+    expect(page.meta).toMatchObject({ totalItems: 5, totalPages: 3, currentPage: 3 });
+  });
+
+  test('rejects unknown types and leads of other agencies', async () => {
+    await request(app).get(`/api/leads/${lead.id}/activities`).query({ type: 'lead_teleported' }).set(as(manager)).expect(400);
+    await request(app).get(`/api/leads/${lead.id}/activities`).set(as(otherAgency)).expect(404);
+  });
+});
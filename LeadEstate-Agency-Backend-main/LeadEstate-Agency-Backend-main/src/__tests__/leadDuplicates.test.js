@@ -0,0 +1,82 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('duplicate leads on creation', () => {
+  let manager;
+  let otherAgency;
+
+  const post = (body, account = manager) => request(app).post('/api/leads').set(as(account)).send(body);
+
+  const leadsNamed = (name) => db.public.many(`SELECT * FROM leads WHERE first_name = '${name}' ORDER BY created_at`);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+  });
+
+  test('rejects a lead with the email of an existing lead and lists the match', async () => {
+    const existing = (await post({ name: 'Rita Reject', email: 'rita@example.com' }).expect(201)).body.data;
+
+    const res = await post({ name: 'Rita R', email: ' RITA@example.com ' }).expect(409);
+
+    expect(res.body.duplicates).toEqual([
+      expect.objectContaining({ lead: expect.objectContaining({ id: existing.id }), reasons: ['email'], confidence: 'high' })
+    ]);
+    expect(leadsNamed('Rita')).toHaveLength(1);
+  });
+
+  test('creates the lead anyway with onDuplicate allow and reports the match', async () => {
+    const existing = (await post({ name: 'Alan Allow', phone: '+33 6 12 34 56 78' }).expect(201)).body.data;
+
+    const res = await post({ name: 'Alan Allow', phone: '06 12 34 56 78', onDuplicate: 'allow' }).expect(201);
+
+    expect(res.body.data.id).not.toBe(existing.id);
+    expect(res.body.possibleDuplicates).toEqual([
+      expect.objectContaining({ lead: expect.objectContaining({ id: existing.id }), confidence: 'high' })
+    ]);
+    expect(res.body.possibleDuplicates[0].reasons).toEqual(expect.arrayContaining(['phone', 'name']));
+    expect(leadsNamed('Alan').map(lead => lead.phone_normalized)).toEqual(['+33612345678', '+33612345678']);
+  });
+
+  test('fills the blanks of the existing lead with onDuplicate merge', async () => {
+    const existing = (await post({ name: 'Mona Merge', email: 'mona@example.com', notes: 'Wants a garden' }).expect(201)).body.data;
+
+    const res = await post({
+      name: 'Mona Merge',
+      email: 'mona@example.com',
+      phone: '+33698765432',
+      budget: 450000,
+      notes: 'Called back about the loft',
+      onDuplicate: 'merge'
+    }).expect(200);
+
+    expect(res.body.duplicateOf).toBe(existing.id);
+    expect(res.body.data).toMatchObject({ id: existing.id, phone: '+33698765432', budget: 450000 });
+    const [merged] = leadsNamed('Mona');
+    expect(leadsNamed('Mona')).toHaveLength(1);
+    expect(merged.notes).toBe('Wants a garden\n\nCalled back about the loft');
+  });
+
+  test('only matches leads of the same agency', async () => {
+    await post({ name: 'Sam Shared', email: 'sam@example.com' }).expect(201);
+
+    const res = await post({ name: 'Sam Shared', email: 'sam@example.com' }, otherAgency).expect(201);
+
+    expect(res.body.possibleDuplicates).toBeUndefined();
+  });
+
+  test('rejects unknown onDuplicate values', async () => {
+    await post({ name: 'Olga Option', email: 'olga@example.com', onDuplicate: 'replace' }).expect(400);
+  });
+});
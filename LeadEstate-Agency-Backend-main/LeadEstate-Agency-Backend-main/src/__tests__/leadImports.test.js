@@ -0,0 +1,104 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+const CSV = [
+  'Full Name,Email,Phone,Budget',
+  'Nina New,nina@example.com,+33611111111,250000',
+  'Dora Dup,dora@example.com,+33622222222,400000',
+  'Ivan Invalid,not-an-email,,',
+  'Nina Again,NINA@example.com,,'
+].join('\n');
+
+describe('lead imports', () => {
+  let manager;
+  let dora;
+
+  const upload = async () => (await request(app).post('/api/leads/imports').set(as(manager))
+    .attach('file', Buffer.from(CSV), 'leads.csv')
+    .expect(201)).body.data;
+
+  const getJob = async (job) => (await request(app).get(`/api/leads/imports/${job.id}`).set(as(manager)).expect(200)).body.data;
+
+  // The commit runs in the background: poll like the frontend does
+  const waitFor = async (job) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const current = await getJob(job);
+      if (['completed', 'failed'].includes(current.status)) return current;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Import did not finish');
+  };
+
+  const agencyLeads = () => db.public.many(`SELECT * FROM leads WHERE agency_id = '${manager.agencyId}' ORDER BY first_name`);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    dora = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Dora Dup', email: 'dora@example.com' })
+      .expect(201)).body.data;
+  });
+
+  test('detects the columns of the uploaded file', async () => {
+    const job = await upload();
+
+    expect(job).toMatchObject({ status: 'uploaded', totalRows: 4 });
+    expect(job.mapping).toEqual({ name: 'Full Name', email: 'Email', phone: 'Phone', budget: 'Budget' });
+  });
+
+  test('previews what the import would do without writing leads', async () => {
+    const job = await upload();
+
+    const rejected = (await request(app).post(`/api/leads/imports/${job.id}/preview`).set(as(manager))
+      .send({ onDuplicate: 'reject' })
+      .expect(200)).body.data;
+    expect(rejected.summary).toEqual({ total: 4, created: 1, updated: 0, skipped: 3 });
+    expect(rejected.rows.map(row => row.action)).toEqual(['create', 'skip', 'skip', 'skip']);
+
+    const merged = (await request(app).post(`/api/leads/imports/${job.id}/preview`).set(as(manager))
+      .send({ onDuplicate: 'merge' })
+      .expect(200)).body.data;
+    expect(merged.summary).toEqual({ total: 4, created: 1, updated: 1, skipped: 2 });
+    expect(merged.rows[1]).toMatchObject({ action: 'update', duplicateOf: dora.id });
+
+    expect(agencyLeads().map(lead => lead.email)).toEqual(['dora@example.com']);
+    expect((await getJob(job)).status).toBe('uploaded');
+
+    const report = await request(app).get(`/api/leads/imports/${job.id}/errors`).set(as(manager)).expect(200);
+    // Errors of the last preview, with the original values
+    expect(report.text.split('\r\n').slice(1)).toEqual([
+      '4,email,"Invalid email format ""not-an-email""",Ivan Invalid,not-an-email,,',
+      '5,duplicate,Same email or phone as row 2,Nina Again,NINA@example.com,,'
+    ]);
+  });
+
+  test('commits the valid rows in the background', async () => {
+    const job = await upload();
+
+    const started = (await request(app).post(`/api/leads/imports/${job.id}/commit`).set(as(manager))
+      .send({ onDuplicate: 'merge' })
+      .expect(202)).body.data;
+    expect(started.status).toBe('queued');
+
+    const done = await waitFor(job);
+    expect(done).toMatchObject({ status: 'completed', createdCount: 1, updatedCount: 1, skippedCount: 2, errorCount: 2 });
+    expect(agencyLeads().map(lead => [lead.email, lead.phone_normalized, lead.budget])).toEqual([
+      ['dora@example.com', '+33622222222', 400000],
+      ['nina@example.com', '+33611111111', 250000]
+    ]);
+
+    // A job only runs once
+    await request(app).post(`/api/leads/imports/${job.id}/commit`).set(as(manager)).send({}).expect(409);
+    await request(app).post(`/api/leads/imports/${job.id}/preview`).set(as(manager)).send({}).expect(409);
+  });
+});
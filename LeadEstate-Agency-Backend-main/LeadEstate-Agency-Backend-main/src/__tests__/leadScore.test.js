@@ -0,0 +1,49 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('lead score endpoints', () => {
+  let agency;
+  let lead;
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    await initDatabase();
+    agency = createAgencyUser();
+
+    lead = (await request(app).post('/api/leads').set(as(agency))
+      .send({ name: 'Sam Score', email: 'sam@example.com', phone: '+33633333333', budget: 300000 })
+      .expect(201)).body.data;
+    db.public.none(`UPDATE leads SET score = 7, score_breakdown = '[]' WHERE id = '${lead.id}'`);
+  });
+
+  test('GET returns the stored score without recalculating it', async () => {
+    const rescore = jest.spyOn(scoringService, 'rescoreLead');
+
+    const res = await request(app).get(`/api/leads/${lead.id}/score`).set(as(agency)).expect(200);
+
+    expect(res.body.data).toEqual(expect.objectContaining({ leadId: lead.id, score: 7, hot: false, breakdown: [] }));
+    expect(rescore).not.toHaveBeenCalled();
+    expect(db.public.one(`SELECT score FROM leads WHERE id = '${lead.id}'`).score).toBe(7);
+    rescore.mockRestore();
+  });
+
+  test('POST recalculates and stores the score', async () => {
+    const res = await request(app).post(`/api/leads/${lead.id}/score`).set(as(agency)).expect(200);
+
+    expect(res.body.data.score).not.toBe(7);
+    expect(res.body.data.breakdown.length).toBeGreaterThan(0);
+    expect(db.public.one(`SELECT score FROM leads WHERE id = '${lead.id}'`).score).toBe(res.body.data.score);
+  });
+
+  test('returns 404 for an unknown lead', async () => {
+    await request(app).get('/api/leads/unknown/score').set(as(agency)).expect(404);
+    await request(app).post('/api/leads/unknown/score').set(as(agency)).expect(404);
+  });
+});
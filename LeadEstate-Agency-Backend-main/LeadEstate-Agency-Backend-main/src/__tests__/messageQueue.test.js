@@ -0,0 +1,128 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const { db } = require('./helpers/testDb');
+const { initDatabase } = require('../server-postgres');
+const messageQueueService = require('../services/messageQueueService');
+
+const { FakeProviderAdapter } = messageQueueService;
+
+const jobRow = (id) => db.public.one(`SELECT * FROM outbound_messages WHERE id = '${id}'`);
+const makeDue = (id) => db.public.none(`UPDATE outbound_messages SET next_attempt_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = '${id}'`);
+
+const enqueueEmail = (options = {}) => messageQueueService.enqueue({
+  channel: 'email',
+  to: 'lead@example.com',
+  subject: 'Hello',
+  body: '<p>Hello</p>',
+  agencyId: 'agency-1',
+  ...options
+});
+
+describe('messageQueueService', () => {
+  beforeAll(() => initDatabase());
+
+  describe('retries', () => {
+    test('retries a failed send with backoff, then sends it', async () => {
+      const adapter = new FakeProviderAdapter({ failures: 1 });
+      messageQueueService.setAdapter('email', adapter);
+      const job = await enqueueEmail();
+
+      await messageQueueService.processQueue();
+
+      let row = jobRow(job.id);
+      expect(row.status).toBe('retrying');
+      expect(row.attempts).toBe(1);
+      expect(row.last_error).toBe('Simulated provider failure');
+      const delay = new Date(row.next_attempt_at) - new Date(row.last_attempt_at);
+      expect(delay).toBeGreaterThanOrEqual(30 * 1000);
+      expect(delay).toBeLessThanOrEqual(33 * 1000);
+
+      // Not due yet: the next pass leaves it alone
+      await messageQueueService.processQueue();
+      expect(adapter.calls).toBe(1);
+
+      makeDue(job.id);
+      await messageQueueService.processQueue();
+
+      row = jobRow(job.id);
+      expect(row.status).toBe('sent');
+      expect(row.attempts).toBe(2);
+      expect(row.provider).toBe('fake');
+      expect(adapter.sent).toHaveLength(1);
+    });
+
+    test('doubles the delay after each attempt up to one hour', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      try {
+        expect([1, 2, 3, 4, 8, 20].map(attempts => messageQueueService.getRetryDelay(attempts)))
+          .toEqual([30000, 60000, 120000, 240000, 3600000, 3600000]);
+      } finally {
+        Math.random.mockRestore();
+      }
+    });
+  });
+
+  describe('dead-letter', () => {
+    test('moves a job to dead after max attempts', async () => {
+      const adapter = new FakeProviderAdapter({ failures: 10 });
+      messageQueueService.setAdapter('email', adapter);
+      const job = await enqueueEmail({ maxAttempts: 2 });
+
+      await messageQueueService.processQueue();
+      makeDue(job.id);
+      await messageQueueService.processQueue();
+
+      const row = jobRow(job.id);
+      expect(row.status).toBe('dead');
+      expect(row.attempts).toBe(2);
+      expect(adapter.calls).toBe(2);
+
+      makeDue(job.id);
+      await messageQueueService.processQueue();
+      expect(adapter.calls).toBe(2);
+    });
+
+    test('does not retry an error that cannot succeed', async () => {
+      messageQueueService.setAdapter('email', new FakeProviderAdapter({ failures: 1, retryable: false, error: 'Invalid recipient' }));
+      const job = await enqueueEmail();
+
+      await messageQueueService.processQueue();
+
+      const row = jobRow(job.id);
+      expect(row.status).toBe('dead');
+      expect(row.attempts).toBe(1);
+      expect(row.last_error).toBe('Invalid recipient');
+    });
+  });
+
+  describe('idempotency', () => {
+    beforeEach(() => {
+      messageQueueService.setAdapter('email', new FakeProviderAdapter());
+    });
+
+    test('queues a key only once per agency', async () => {
+      const first = await enqueueEmail({ idempotencyKey: 'lead-welcome:1' });
+      const second = await enqueueEmail({ idempotencyKey: 'lead-welcome:1' });
+
+      expect(first.duplicate).toBe(false);
+      expect(second).toMatchObject({ id: first.id, duplicate: true });
+      expect(db.public.many("SELECT id FROM outbound_messages WHERE idempotency_key = 'lead-welcome:1'")).toHaveLength(1);
+    });
+
+    test('does not let another agency\'s key suppress a message', async () => {
+      const first = await enqueueEmail({ idempotencyKey: 'lead-welcome:2' });
+      const other = await enqueueEmail({ idempotencyKey: 'lead-welcome:2', agencyId: 'agency-2', to: 'other@example.com' });
+
+      expect(other.duplicate).toBe(false);
+      expect(other.id).not.toBe(first.id);
+      expect(other.agencyId).toBe('agency-2');
+    });
+
+    test('deduplicates jobs without an agency', async () => {
+      const first = await enqueueEmail({ idempotencyKey: 'platform:1', agencyId: null });
+      const second = await enqueueEmail({ idempotencyKey: 'platform:1', agencyId: null });
+
+      expect(second).toMatchObject({ id: first.id, duplicate: true });
+    });
+  });
+});
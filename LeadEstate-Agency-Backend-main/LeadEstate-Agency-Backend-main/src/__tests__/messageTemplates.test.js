@@ -0,0 +1,108 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const twilioService = require('../services/twilioService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+const WELCOME = '/api/templates/whatsapp/welcome_message';
+
+describe('message template library', () => {
+  let manager;
+  let otherAgency;
+
+  const save = (language, body) => request(app).put(`${WELCOME}/${language}`).set(as(manager)).send({ body });
+
+  const preview = async (body, account = manager) => (await request(app).post(`${WELCOME}/preview`).set(as(account))
+    .send(body)
+    .expect(200)).body.data;
+
+  // The rendered message is handed to the outbound message queue
+  const sendWelcome = async (lead) => {
+    twilioService.queueWhatsAppMessage.mockClear();
+    const result = await twilioService.sendWelcomeMessage({ phone: '+33612345678', ...lead }, { name: 'Anna Agent' });
+    expect(twilioService.queueWhatsAppMessage).toHaveBeenCalledWith(expect.objectContaining({ message: result.message }));
+    return result;
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(twilioService, 'queueWhatsAppMessage').mockResolvedValue({ success: true, queued: true });
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+  });
+
+  test('previews the built-in copy in each language with sample data', async () => {
+    const english = await preview({ language: 'en' });
+    expect(english).toMatchObject({ source: 'built_in', version: null, language: 'en' });
+    expect(english.body).toContain('Hello Marie Dupont!');
+
+    const french = await preview({ language: 'fr', variables: { leadName: 'Jean Martin' } });
+    expect(french.body).toContain('Bonjour Jean Martin !');
+
+    const draft = await preview({ language: 'en', body: 'Hi {{leadFirstName}}, {{agentName}} here' });
+    expect(draft).toMatchObject({ source: 'draft', body: 'Hi Marie, Thomas Martin here' });
+  });
+
+  test('keeps every saved version and restores older ones', async () => {
+    const first = (await save('en', 'Hello {{leadName}}, I am {{agentName}}').expect(200)).body.data;
+    const second = (await save('en', 'Welcome {{leadFirstName}}!').expect(200)).body.data;
+    expect([first.version, second.version]).toEqual([1, 2]);
+
+    const restored = (await request(app).post(`${WELCOME}/en/restore`).set(as(manager))
+      .send({ version: 1 })
+      .expect(200)).body.data;
+    expect(restored).toMatchObject({ version: 3, restoredFrom: 1, body: 'Hello {{leadName}}, I am {{agentName}}', current: true });
+
+    const versions = (await request(app).get(`${WELCOME}/en/versions`).set(as(manager)).expect(200)).body.data;
+    expect(versions.map(version => [version.version, version.current])).toEqual([[3, true], [2, false], [1, false]]);
+
+    const template = (await request(app).get(WELCOME).set(as(manager)).expect(200)).body.data;
+    expect(template.languages.en).toMatchObject({ source: 'agency', version: 3 });
+    expect(template.languages.fr).toMatchObject({ source: 'built_in', version: null });
+    expect((await preview({ language: 'en' })).body).toBe('Hello Marie Dupont, I am Thomas Martin');
+  });
+
+  test('sends the agency copy in the lead language, else the built-in copy', async () => {
+    const english = await sendWelcome({ name: 'Paul Smith', language: 'en', agency_id: manager.agencyId });
+    expect(english.message).toBe('Hello Paul Smith, I am Anna Agent');
+    expect(english.template).toEqual({ key: 'welcome_message', source: 'agency', version: 3 });
+
+    // Leads without a language are French, which the agency has not customized
+    const french = await sendWelcome({ name: 'Luc Petit', agency_id: manager.agencyId });
+    expect(french.template.source).toBe('built_in');
+    expect(french.message).toContain('Bonjour Luc Petit !');
+
+    const elsewhere = await sendWelcome({ name: 'Paul Smith', language: 'en', agency_id: otherAgency.agencyId });
+    expect(elsewhere.template.source).toBe('built_in');
+    expect((await preview({ language: 'en' }, otherAgency)).source).toBe('built_in');
+  });
+
+  test('goes back to the built-in copy on reset', async () => {
+    await request(app).delete(`${WELCOME}/en`).set(as(manager)).expect(200);
+
+    const english = await sendWelcome({ name: 'Paul Smith', language: 'en', agency_id: manager.agencyId });
+    expect(english.template.source).toBe('built_in');
+    expect(english.message).toContain('Hello Paul Smith!');
+
+    // The history is kept
+    const versions = (await request(app).get(`${WELCOME}/en/versions`).set(as(manager)).expect(200)).body.data;
+    expect(versions).toHaveLength(3);
+  });
+
+  test('escapes email values and validates content', async () => {
+    const email = (await request(app).post('/api/templates/email/lead_assignment/preview').set(as(manager))
+      .send({ language: 'en', variables: { leadName: '<b>Eve</b>' } })
+      .expect(200)).body.data;
+    expect(email.subject).toBe('New Lead Assigned: &lt;b&gt;Eve&lt;/b&gt;');
+
+    await save('en', 'Hello {{leadBudget}}').expect(400);
+    await save('de', 'Hallo {{leadName}}').expect(400);
+    await save('en', '  ').expect(400);
+    await request(app).put('/api/templates/email/lead_assignment/en').set(as(manager)).send({ body: '<p>Hi</p>' }).expect(400);
+    await request(app).put('/api/templates/whatsapp/birthday_wishes/en').set(as(manager)).send({ body: 'Hi' }).expect(404);
+    await request(app).post(`${WELCOME}/en/restore`).set(as(manager)).send({ version: 42 }).expect(404);
+  });
+});
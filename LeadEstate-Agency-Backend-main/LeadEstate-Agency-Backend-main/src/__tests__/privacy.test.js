@@ -0,0 +1,135 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const consentService = require('../services/consentService');
+const messageQueueService = require('../services/messageQueueService');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const { FakeProviderAdapter } = messageQueueService;
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+const jobRow = (id) => db.public.one(`SELECT * FROM outbound_messages WHERE id = '${id}'`);
+
+describe('lead consents and personal data', () => {
+  let manager;
+  let agent;
+  let otherAgency;
+
+  const createLead = async (body) => (await request(app).post('/api/leads').set(as(manager)).send(body).expect(201)).body.data;
+
+  const queueEmail = (lead) => messageQueueService.enqueue({
+    channel: 'email',
+    to: lead.email,
+    subject: 'New listings',
+    body: '<p>New listings</p>',
+    agencyId: manager.agencyId,
+    leadId: lead.id
+  });
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    agent = createAgencyUser({ role: 'agent', agencyId: manager.agencyId, email: 'agent@example.com' });
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+    messageQueueService.setAdapter('email', new FakeProviderAdapter());
+  });
+
+  describe('consents', () => {
+    test('cancels queued messages once the lead withdraws consent', async () => {
+      const lead = await createLead({ name: 'Claire Consent', email: 'claire@example.com' });
+      const job = await queueEmail(lead);
+
+      await request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+        .send({ channel: 'email', status: 'withdrawn', source: 'phone_call', proof: { note: 'Asked on the phone' } })
+        .expect(201);
+
+      const consents = (await request(app).get(`/api/leads/${lead.id}/consents`).set(as(manager)).expect(200)).body.data;
+      expect(consents.channels.email).toMatchObject({ allowed: false, status: 'withdrawn', source: 'phone_call' });
+      expect(consents.channels.whatsapp).toMatchObject({ allowed: true, status: 'unknown' });
+      expect(await consentService.canContact(lead.id, 'email')).toBe(false);
+
+      await messageQueueService.processQueue();
+      expect(jobRow(job.id)).toMatchObject({ status: 'cancelled', last_error: 'Lead opted out' });
+    });
+
+    test('rejects unknown channels, statuses and sources', async () => {
+      const lead = await createLead({ name: 'Vera Valid', email: 'vera@example.com' });
+
+      await request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+        .send({ channel: 'fax', status: 'withdrawn', source: 'phone_call' })
+        .expect(400);
+      await request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+        .send({ channel: 'email', status: 'maybe', source: 'phone_call' })
+        .expect(400);
+      await request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+        .send({ channel: 'email', status: 'granted', source: 'hearsay' })
+        .expect(400);
+    });
+
+    test('unsubscribes only when the signed link is confirmed', async () => {
+      const lead = await createLead({ name: 'Ulysse Unsub', email: 'ulysse@example.com' });
+      const token = consentService.getUnsubscribeUrl(lead.id, 'email').split('/api/unsubscribe/')[1];
+
+      // Link scanners only open the page
+      await request(app).get(`/api/unsubscribe/${token}`).expect(200);
+      expect(await consentService.canContact(lead.id, 'email')).toBe(true);
+
+      await request(app).post(`/api/unsubscribe/${token}`).expect(200);
+      expect(await consentService.canContact(lead.id, 'email')).toBe(false);
+
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ l: lead.id, c: 'whatsapp' })).toString('base64url');
+      await request(app).post(`/api/unsubscribe/${forged}.${signature}`).expect(404);
+      await request(app).post(`/api/unsubscribe/${payload}.x${signature.slice(1)}`).expect(404);
+      expect(await consentService.canContact(lead.id, 'whatsapp')).toBe(true);
+    });
+  });
+
+  describe('personal data', () => {
+    test('exports what is stored about the lead to users with leads.privacy', async () => {
+      const lead = await createLead({ name: 'Emma Export', email: 'emma@example.com', notes: 'Looking for a loft' });
+      await request(app).post(`/api/leads/${lead.id}/consents`).set(as(manager))
+        .send({ channel: 'whatsapp', status: 'granted', source: 'phone_call' })
+        .expect(201);
+
+      const data = (await request(app).get(`/api/leads/${lead.id}/personal-data`).set(as(manager)).expect(200)).body.data;
+      expect(data.lead).toMatchObject({ id: lead.id, email: 'emma@example.com', notes: 'Looking for a loft' });
+      expect(data.consents.map(consent => [consent.channel, consent.status])).toEqual([['whatsapp', 'granted']]);
+      expect(data.activities.length).toBeGreaterThan(0);
+
+      await request(app).get(`/api/leads/${lead.id}/personal-data`).set(as(agent)).expect(403);
+      await request(app).get(`/api/leads/${lead.id}/personal-data`).set(as(otherAgency)).expect(404);
+    });
+
+    test('erases the lead, withdraws every channel and cancels its queued messages', async () => {
+      const lead = await createLead({ name: 'Eric Erase', email: 'eric@example.com', phone: '+33612345678', notes: 'Divorcing' });
+      const job = await queueEmail(lead);
+
+      await request(app).delete(`/api/leads/${lead.id}/personal-data`).set(as(otherAgency)).expect(404);
+      await request(app).delete(`/api/leads/${lead.id}/personal-data`).set(as(agent)).expect(403);
+
+      const result = (await request(app).delete(`/api/leads/${lead.id}/personal-data`).set(as(manager)).expect(200)).body.data;
+      expect(result).toMatchObject({ leadId: lead.id, queuedMessagesCancelled: 1 });
+
+      const erased = db.public.one(`SELECT * FROM leads WHERE id = '${lead.id}'`);
+      expect(erased).toMatchObject({ first_name: 'Erased', last_name: 'Lead', email: null, phone: null, notes: null });
+      expect(erased.anonymized_at).not.toBeNull();
+      expect(jobRow(job.id)).toMatchObject({ status: 'cancelled', recipient: '[erased]', body: '' });
+
+      const consents = (await request(app).get(`/api/leads/${lead.id}/consents`).set(as(manager)).expect(200)).body.data;
+      Object.values(consents.channels).forEach(channel => {
+        expect(channel).toMatchObject({ allowed: false, status: 'withdrawn', source: 'erasure' });
+      });
+      expect(await consentService.canContact(lead.id, 'whatsapp')).toBe(false);
+
+      await request(app).delete(`/api/leads/${lead.id}/personal-data`).set(as(manager)).expect(409);
+    });
+  });
+});
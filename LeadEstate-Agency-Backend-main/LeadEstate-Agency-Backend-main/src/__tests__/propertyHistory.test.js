@@ -0,0 +1,125 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const matchingService = require('../services/matchingService');
+const propertyHistoryService = require('../services/propertyHistoryService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('property history', () => {
+  let manager;
+  let otherAgency;
+
+  const createProperty = async (body) => (await request(app).post('/api/properties').set(as(manager))
+    .send({ title: 'Garden House', type: 'house', price: 300000, city: 'Nantes', ...body })
+    .expect(201)).body.data;
+
+  const update = (property, body) => request(app).put(`/api/properties/${property.id}`).set(as(manager)).send(body);
+
+  const history = async (property) => (await request(app).get(`/api/properties/${property.id}/history`)
+    .set(as(manager))
+    .expect(200)).body.data;
+
+  beforeAll(async () => {
+    jest.spyOn(matchingService, 'queuePropertyAlerts').mockReturnValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+  });
+
+  test('records price changes with their author and alerts leads of reductions', async () => {
+    const property = await createProperty();
+    matchingService.queuePropertyAlerts.mockClear();
+
+    await update(property, { price: 280000 }).expect(200);
+    await update(property, { price: 290000 }).expect(200);
+
+    const data = await history(property);
+    expect(data).toMatchObject({ price: 290000, originalPrice: 300000, priceChangePercent: -3.33, priceReductions: 1 });
+    expect(data.history.map(entry => [entry.type, entry.oldPrice, entry.newPrice])).toEqual([
+      ['price_change', 280000, 290000],
+      ['price_change', 300000, 280000],
+      ['created', null, 300000]
+    ]);
+    expect(data.history[0].changedBy).toBeTruthy();
+    expect(matchingService.queuePropertyAlerts.mock.calls).toEqual([[property.id, manager.agencyId, 'price_drop']]);
+  });
+
+  test('follows the listing lifecycle', async () => {
+    const sale = await createProperty();
+    await update(sale, { status: 'sold' }).expect(400);
+    await update(sale, { status: 'pending' }).expect(200);
+    await update(sale, { status: 'rented' }).expect(400);
+    await update(sale, { status: 'sold' }).expect(200);
+    await update(sale, { status: 'available' }).expect(400);
+    await update(sale, { status: 'archived' }).expect(400);
+
+    const data = await history(sale);
+    expect(data.status).toBe('sold');
+    expect(data.closedAt).not.toBeNull();
+    expect(data.history.filter(entry => entry.type === 'status_change').map(entry => [entry.oldStatus, entry.newStatus])).toEqual([
+      ['pending', 'sold'],
+      ['available', 'pending']
+    ]);
+
+    const rental = await createProperty({ transactionType: 'rent', price: 1100 });
+    await update(rental, { status: 'pending' }).expect(200);
+    await update(rental, { status: 'sold' }).expect(400);
+    await update(rental, { status: 'rented' }).expect(200);
+    await update(rental, { status: 'available' }).expect(200);
+  });
+
+  test('rejects a status change without changing the property', async () => {
+    const property = await createProperty();
+
+    await update(property, { status: 'sold', price: 250000 }).expect(400);
+
+    expect(db.public.one(`SELECT price, status FROM properties WHERE id = '${property.id}'`)).toEqual({ price: 300000, status: 'available' });
+    expect((await history(property)).history).toHaveLength(1);
+  });
+
+  test('is only visible to the property agency', async () => {
+    const property = await createProperty();
+
+    await request(app).get(`/api/properties/${property.id}/history`).set(as(otherAgency)).expect(404);
+    await request(app).put(`/api/properties/${property.id}`).set(as(otherAgency)).send({ price: 1 }).expect(404);
+  });
+
+  describe('days on market', () => {
+    const at = (day) => new Date(Date.UTC(2026, 0, 1) + day * DAY_MS);
+    const row = (day, type, oldStatus, newStatus) => ({ change_type: type, old_status: oldStatus, new_status: newStatus, created_at: at(day) });
+
+    test('counts the days available or pending until the sale', () => {
+      const rows = [
+        row(0, 'created', null, 'available'),
+        row(10, 'status_change', 'available', 'pending'),
+        row(15, 'status_change', 'pending', 'available'),
+        row(20, 'status_change', 'available', 'off_market'),
+        row(30, 'status_change', 'off_market', 'available'),
+        row(35, 'price_change', null, null),
+        row(40, 'status_change', 'available', 'pending'),
+        row(45, 'status_change', 'pending', 'sold')
+      ];
+
+      expect(propertyHistoryService.computeMarketTime({ status: 'sold', created_at: at(0) }, rows, at(100))).toEqual({
+        listedAt: at(0),
+        closedAt: at(45),
+        daysOnMarket: 35
+      });
+    });
+
+    test('starts properties from before the history on their creation date', () => {
+      const rows = [row(20, 'status_change', 'available', 'off_market')];
+
+      expect(propertyHistoryService.computeMarketTime({ status: 'off_market', created_at: at(5) }, rows, at(100))).toEqual({
+        listedAt: at(5),
+        closedAt: null,
+        daysOnMarket: 15
+      });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+const matchingService = require('../services/matchingService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('lead-property matching', () => {
+  let manager;
+  let otherAgency;
+  let family;
+  let emailOnly;
+  let closed;
+  let loft;
+  let house;
+
+  const createLead = async (body) => (await request(app).post('/api/leads').set(as(manager))
+    .send(body)
+    .expect(201)).body.data;
+
+  const createProperty = async (body) => (await request(app).post('/api/properties').set(as(manager))
+    .send(body)
+    .expect(201)).body.data;
+
+  const alertsOf = (property) => db.public.many(`
+    SELECT lead_id, channel, reason, status FROM property_alerts WHERE property_id = '${property.id}'
+  `);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    // New listings alert matching leads in the background
+    jest.spyOn(matchingService, 'queuePropertyAlerts').mockReturnValue();
+    // Delivery reads the alerts with row_to_json, which pg-mem does not support
+    jest.spyOn(matchingService, 'deliverQueuedAlerts').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+
+    family = await createLead({
+      name: 'Fanny Family', phone: '+33612345678', budgetMax: 500000, propertyType: 'house', city: 'Lyon', bedrooms: 3
+    });
+    emailOnly = await createLead({
+      name: 'Emil Email', email: 'emil@example.com', phone: '+33698765432', budgetMin: 300000, budgetMax: 450000, city: 'lyon',
+      communicationPreferences: { whatsapp: false }
+    });
+    closed = await createLead({ name: 'Clara Closed', email: 'clara@example.com', budgetMax: 500000, city: 'Lyon', status: 'closed_won' });
+
+    house = await createProperty({ title: 'Croix-Rousse House', type: 'house', price: 480000, city: 'Lyon', bedrooms: 3, bathrooms: 2 });
+    loft = await createProperty({ title: 'Confluence Loft', type: 'apartment', price: 420000, city: 'Lyon', bedrooms: 2 });
+    await createProperty({ title: 'Paris House', type: 'house', price: 450000, city: 'Paris', bedrooms: 4 });
+    await createProperty({ title: 'Expensive House', type: 'house', price: 600000, city: 'Lyon', bedrooms: 4 });
+  });
+
+  test('lists the properties matching a lead, best first, with the score of each criterion', async () => {
+    const res = await request(app).get(`/api/leads/${family.id}/matches`).set(as(manager)).expect(200);
+
+    expect(res.body.data.map(match => match.property.title)).toEqual(['Croix-Rousse House']);
+    expect(res.body.data[0].score).toBe(100);
+    expect(res.body.data[0].criteria.map(criterion => criterion.criterion)).toEqual(['budget', 'propertyType', 'city', 'bedrooms']);
+    expect(res.body.meta.searchCriteria).toMatchObject({ budgetMax: 500000, propertyType: 'house', city: 'Lyon', bedrooms: 3 });
+
+    // The house is above Emil's maximum budget but within the tolerance, which scores below 60
+    const matchesOfEmil = async (query) => (await request(app).get(`/api/leads/${emailOnly.id}/matches`)
+      .query(query)
+      .set(as(manager))
+      .expect(200)).body.data.map(match => [match.property.title, match.score]);
+    expect(await matchesOfEmil({})).toEqual([['Confluence Loft', 100]]);
+    expect(await matchesOfEmil({ minScore: 50 })).toEqual([['Confluence Loft', 100], ['Croix-Rousse House', 54]]);
+  });
+
+  test('lists the open leads matching a property', async () => {
+    const matchingLeads = async (property) => (await request(app).get(`/api/properties/${property.id}/matching-leads`)
+      .set(as(manager))
+      .expect(200)).body.data.map(match => match.lead.id);
+
+    expect(await matchingLeads(house)).toEqual([family.id]);
+    // Clara's criteria fit the loft too, but her lead is closed
+    expect(closed).toMatchObject({ status: 'closed_won' });
+    expect(await matchingLeads(loft)).toEqual([emailOnly.id]);
+
+    await request(app).get(`/api/properties/${house.id}/matching-leads`).set(as(otherAgency)).expect(404);
+    await request(app).get(`/api/leads/${family.id}/matches`).set(as(otherAgency)).expect(404);
+  });
+
+  test('queues one alert per lead and property over the preferred channel', async () => {
+    matchingService.queuePropertyAlerts.mockRestore();
+
+    expect(await matchingService.queuePropertyAlerts(house.id, manager.agencyId, 'new_listing')).toBe(1);
+    expect(alertsOf(house)).toEqual([{ lead_id: family.id, channel: 'whatsapp', reason: 'new_listing', status: 'queued' }]);
+
+    // A price drop does not alert the same lead about the same property again (pg-mem returns
+    // the existing row on ON CONFLICT DO NOTHING, so the table is checked rather than the count)
+    await matchingService.queuePropertyAlerts(house.id, manager.agencyId, 'price_drop');
+    expect(alertsOf(house)).toEqual([{ lead_id: family.id, channel: 'whatsapp', reason: 'new_listing', status: 'queued' }]);
+
+    const [match] = (await request(app).get(`/api/leads/${family.id}/matches`).set(as(manager)).expect(200)).body.data;
+    expect(match.alert).toMatchObject({ channel: 'whatsapp', status: 'queued' });
+
+    // Emil turned WhatsApp off
+    expect(await matchingService.queuePropertyAlerts(loft.id, manager.agencyId, 'new_listing')).toBe(1);
+    expect(alertsOf(loft)).toEqual([{ lead_id: emailOnly.id, channel: 'email', reason: 'new_listing', status: 'queued' }]);
+  });
+
+  test('rejects invalid search criteria', async () => {
+    const invalid = [
+      { propertyType: 'castle' },
+      { bedrooms: 2.5 },
+      { budgetMin: 500000, budgetMax: 400000 },
+      { communicationPreferences: { pigeon: true } }
+    ];
+    for (const body of invalid) {
+      await request(app).post('/api/leads').set(as(manager)).send({ name: 'Ivan Invalid', ...body }).expect(400);
+    }
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storageService = require('../services/storageService');
+const propertyMediaService = require('../services/propertyMediaService');
+
+// sharp is a native module whose binary may not be installed
+const sharp = (() => {
+  try {
+    return require('sharp');
+  } catch (error) {
+    return null;
+  }
+})();
+const describeWithSharp = sharp ? describe : describe.skip;
+
+// EXIF APP1 segment holding only a GPS position (48°51'30" N)
+const gpsExifSegment = () => {
+  const tiff = Buffer.alloc(80);
+  tiff.write('MM', 0, 'ascii');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  // IFD0: GPSInfo pointer to the GPS IFD at 26
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x8825, 10);
+  tiff.writeUInt16BE(4, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt32BE(26, 18);
+  tiff.writeUInt32BE(0, 22);
+  // GPS IFD: GPSLatitudeRef and GPSLatitude (3 rationals at 56)
+  tiff.writeUInt16BE(2, 26);
+  tiff.writeUInt16BE(1, 28);
+  tiff.writeUInt16BE(2, 30);
+  tiff.writeUInt32BE(2, 32);
+  tiff.write('N\0', 36, 'ascii');
+  tiff.writeUInt16BE(2, 40);
+  tiff.writeUInt16BE(5, 42);
+  tiff.writeUInt32BE(3, 44);
+  tiff.writeUInt32BE(56, 48);
+  tiff.writeUInt32BE(0, 52);
+  [48, 51, 30].forEach((value, index) => {
+    tiff.writeUInt32BE(value, 56 + index * 8);
+    tiff.writeUInt32BE(1, 60 + index * 8);
+  });
+
+  const content = Buffer.concat([Buffer.from('Exif\0\0', 'binary'), tiff]);
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(content.length + 2, 2);
+  return Buffer.concat([header, content]);
+};
+
+describe('storageService with local storage', () => {
+  let root;
+  let publicApiUrl;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'leadestate-storage-'));
+    storageService.setAdapter('local', new storageService.LocalStorageAdapter(root));
+    publicApiUrl = process.env.PUBLIC_API_URL;
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (publicApiUrl === undefined) {
+      delete process.env.PUBLIC_API_URL;
+    } else {
+      process.env.PUBLIC_API_URL = publicApiUrl;
+    }
+  });
+
+  test('returns absolute URLs on PUBLIC_API_URL', async () => {
+    process.env.PUBLIC_API_URL = 'https://api.example.com/';
+
+    const stored = await storageService.put('properties/p1/photo.jpg', Buffer.from('image'), 'image/jpeg');
+
+    expect(stored.url).toBe('https://api.example.com/uploads/properties/p1/photo.jpg');
+    expect(storageService.resolveUrl(stored.url)).toEqual({ driver: 'local', key: 'properties/p1/photo.jpg' });
+    expect(fs.readFileSync(path.join(root, 'properties/p1/photo.jpg')).toString()).toBe('image');
+  });
+
+  test('refuses to store files without PUBLIC_API_URL', async () => {
+    delete process.env.PUBLIC_API_URL;
+
+    await expect(storageService.put('properties/p1/photo.jpg', Buffer.from('image'), 'image/jpeg'))
+      .rejects.toMatchObject({ name: 'StorageError', statusCode: 503 });
+    expect(fs.existsSync(path.join(root, 'properties/p1/photo.jpg'))).toBe(false);
+  });
+});
+
+describeWithSharp('propertyMediaService.processImage', () => {
+  test('strips the EXIF GPS position of a photo', async () => {
+    const jpeg = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+    // The segment goes right after the SOI marker, where cameras write it
+    const photo = Buffer.concat([jpeg.subarray(0, 2), gpsExifSegment(), jpeg.subarray(2)]);
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+    const file = { originalname: 'photo.jpg', buffer: photo, size: photo.length };
+    const image = await propertyMediaService.processImage(photo, propertyMediaService.detectType(file));
+
+    expect((await sharp(image.buffer).metadata()).exif).toBeUndefined();
+    expect(image.buffer.includes(Buffer.from('Exif\0\0', 'binary'))).toBe(false);
+    expect(image).toMatchObject({ width: 64, height: 48 });
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const matchingService = require('../services/matchingService');
+const { parsePropertyListQuery, buildPropertySearch } = require('../utils/propertyQuery');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('property search', () => {
+  let manager;
+  let otherAgency;
+
+  const search = async (query, account = manager) => (await request(app)
+    .get('/api/properties')
+    .query(query)
+    .set(as(account))
+    .expect(200)).body;
+
+  const titles = (body) => body.data.map(property => property.title);
+
+  const createProperty = (account, body) => request(app).post('/api/properties').set(as(account)).send(body).expect(201);
+
+  beforeAll(async () => {
+    // New listings alert matching leads in the background
+    jest.spyOn(matchingService, 'queuePropertyAlerts').mockReturnValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    otherAgency = createAgencyUser({ agencyName: 'Other Agency', email: 'other@example.com' });
+
+    const properties = [
+      { title: 'Old Port Loft', type: 'apartment', price: 320000, surface: 85, bedrooms: 2, city: 'Marseille', description: 'Sea view loft', latitude: 43.2951, longitude: 5.3744 },
+      { title: 'Cassis Villa', type: 'villa', price: 950000, surface: 210, bedrooms: 5, city: 'Cassis', description: 'Villa with pool', latitude: 43.2148, longitude: 5.5381 },
+      { title: 'Lyon Studio', type: 'apartment', price: 150000, surface: 28, bedrooms: 1, city: 'Lyon', description: 'Near the station', latitude: 45.764, longitude: 4.8357 },
+      { title: 'Rental Flat', type: 'apartment', price: 1200, surface: 60, bedrooms: 2, city: 'Marseille', transactionType: 'rent' },
+      { title: 'Sold House', type: 'house', price: 400000, surface: 120, bedrooms: 3, city: 'Marseille', status: 'sold' }
+    ];
+    for (const property of properties) {
+      await createProperty(manager, property);
+    }
+    await createProperty(otherAgency, { title: 'Other Agency Loft', type: 'apartment', price: 300000, city: 'Marseille' });
+  });
+
+  test('filters by type, city, price, area and bedrooms within the agency', async () => {
+    expect(titles(await search({ city: 'marseille', sort: 'title' }))).toEqual(['Old Port Loft', 'Rental Flat', 'Sold House']);
+    expect(titles(await search({ type: 'apartment,villa', priceMin: 200000, sort: '-price' }))).toEqual(['Cassis Villa', 'Old Port Loft']);
+    expect(titles(await search({ areaMin: 50, areaMax: 150, bedroomsMin: 3 }))).toEqual(['Sold House']);
+    expect(titles(await search({ status: 'sold' }))).toEqual(['Sold House']);
+    expect(titles(await search({ transactionType: 'rent' }))).toEqual(['Rental Flat']);
+  });
+
+  test('paginates with the total and canonical sort', async () => {
+    const body = await search({ sort: '-price', limit: 2, page: 2 });
+
+    expect(titles(body)).toEqual(['Old Port Loft', 'Lyon Studio']);
+    expect(body.meta).toMatchObject({ totalItems: 5, currentPage: 2, itemsPerPage: 2, sort: '-price' });
+  });
+
+  test('keeps properties within a radius, nearest first, with their distance', async () => {
+    const body = await search({ lat: 43.2965, lng: 5.3698, radiusKm: 20 });
+
+    expect(titles(body)).toEqual(['Old Port Loft', 'Cassis Villa']);
+    expect(body.data[0].distanceKm).toBeLessThan(1);
+    expect(body.data[1].distanceKm).toBeGreaterThan(15);
+    expect(body.data[1].distanceKm).toBeLessThan(20);
+  });
+
+  test('searches word starts in the title, description and city', async () => {
+    expect(titles(await search({ search: 'loft' }))).toEqual(['Old Port Loft']);
+    expect(titles(await search({ search: 'sea lo' }))).toEqual(['Old Port Loft']);
+    expect(titles(await search({ search: 'villa' }))).toEqual(['Cassis Villa']);
+    expect(titles(await search({ search: 'marseille', sort: 'title' }))).toEqual(['Old Port Loft', 'Rental Flat', 'Sold House']);
+    expect((await search({ search: 'castle' })).data).toEqual([]);
+  });
+
+  test('keeps properties inside a map area', async () => {
+    expect(titles(await search({ bbox: '5.3,43.2,5.45,43.35' }))).toEqual(['Old Port Loft']);
+  });
+
+  test('rejects invalid parameters', async () => {
+    const invalid = [
+      { type: 'castle' },
+      { priceMin: 500, priceMax: 100 },
+      { radiusKm: 10 },
+      { lat: 43.3, lng: 5.4, radiusKm: 501 },
+      { lat: 43.3 },
+      { bbox: '5.3,43.4,5.45,43.2' },
+      { sort: 'distance' },
+      { sort: 'relevance' },
+      { sort: 'owner' }
+    ];
+    for (const query of invalid) {
+      await request(app).get('/api/properties').query(query).set(as(manager)).expect(400);
+    }
+  });
+
+  describe('query building', () => {
+    test('turns the search phrase into a prefix query and sorts by relevance', () => {
+      const { filters, sort } = parsePropertyListQuery({ search: "Sea-view l'oft!" });
+
+      expect(filters.search).toBe('sea:* & view:* & l:* & oft:*');
+      expect(sort.map(clause => `${clause.direction} ${clause.field}`)).toEqual(['DESC relevance', 'ASC id']);
+    });
+
+    test('matches map areas crossing the antimeridian on either side', () => {
+      const { filters } = parsePropertyListQuery({ bbox: '170,-20,-170,-10' });
+      const params = [];
+      const { conditions } = buildPropertySearch(filters, params);
+
+      expect(conditions).toEqual(['latitude BETWEEN $1 AND $2', '(longitude >= $3 OR longitude <= $4)']);
+      expect(params).toEqual([-20, -10, 170, -170]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const publicListingService = require('../services/publicListingService');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('POST /api/public/leads', () => {
+  let manager;
+  let apiKey;
+
+  // Each enquiry comes from its own address unless given one (5 enquiries per IP and hour)
+  const enquire = (body, ip = `203.0.113.${crypto.randomInt(1, 255)}`) => request(app)
+    .post('/api/public/leads')
+    .set('X-Api-Key', apiKey)
+    .set('X-Forwarded-For', ip)
+    .send(body);
+
+  const leadsByEmail = (email) => db.public.many(`SELECT * FROM leads WHERE email = '${email}' ORDER BY created_at ASC`);
+
+  const createLead = async (body) => (await request(app).post('/api/leads').set(as(manager)).send(body).expect(201)).body.data;
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    const settings = await publicListingService.createApiKey({}, { agencyId: manager.agencyId, userName: 'Manager' });
+    apiKey = settings.key;
+  });
+
+  test('creates a website_form lead', async () => {
+    await enquire({ name: 'Wendy Web', email: 'wendy@example.com', message: 'Is it still available?' }).expect(201);
+
+    const [lead] = leadsByEmail('wendy@example.com');
+    expect(lead).toMatchObject({ source: 'website_form', first_name: 'Wendy', last_name: 'Web', agency_id: manager.agencyId });
+  });
+
+  test('never changes an existing lead with the same email', async () => {
+    const existing = await createLead({ name: 'Known Person', email: 'known@example.com', phone: '+33611111111', notes: 'VIP client' });
+
+    await enquire({ name: 'Someone Else', email: 'known@example.com', phone: '+33699999999', message: 'Call me' }).expect(201);
+
+    const [before, created] = leadsByEmail('known@example.com');
+    expect(before).toMatchObject({ id: existing.id, first_name: 'Known', phone: '+33611111111', notes: 'VIP client' });
+    expect(created.id).not.toBe(existing.id);
+    expect(created).toMatchObject({ first_name: 'Someone', source: 'website_form' });
+
+    const activity = db.public.one(`SELECT metadata FROM lead_activities WHERE lead_id = '${created.id}' AND type = 'lead_created'`);
+    expect(activity.metadata.possibleDuplicateIds).toEqual([existing.id]);
+  });
+
+  test('keeps a withdrawn consent withdrawn', async () => {
+    const existing = await createLead({ name: 'Opted Out', email: 'optout@example.com' });
+    await request(app).post(`/api/leads/${existing.id}/consents`).set(as(manager))
+      .send({ channel: 'email', status: 'withdrawn', source: 'unsubscribe_link' })
+      .expect(201);
+
+    await enquire({
+      name: 'Opted Out',
+      email: 'optout@example.com',
+      consent: { channels: { email: true, whatsapp: true }, source: 'manual' }
+    }).expect(201);
+
+    const [before, created] = leadsByEmail('optout@example.com');
+    expect(before.communication_preferences.email).toBe(false);
+    expect(created.communication_preferences.email).toBe(false);
+    expect(created.communication_preferences.whatsapp).toBe(true);
+
+    const consents = db.public.many(`SELECT channel, status, source FROM lead_consents WHERE lead_id = '${created.id}' ORDER BY channel`);
+    expect(consents).toEqual([
+      { channel: 'email', status: 'withdrawn', source: 'web_form' },
+      { channel: 'whatsapp', status: 'granted', source: 'web_form' }
+    ]);
+  });
+
+  test('accepts enquiries about available properties only', async () => {
+    const available = (await request(app).post('/api/properties').set(as(manager))
+      .send({ title: 'Available flat', type: 'apartment', price: 300000, city: 'Lyon' })
+      .expect(201)).body.data;
+    const sold = (await request(app).post('/api/properties').set(as(manager))
+      .send({ title: 'Sold flat', type: 'apartment', price: 250000, city: 'Lyon', status: 'sold' })
+      .expect(201)).body.data;
+
+    await enquire({ name: 'Sam Sold', email: 'sold@example.com', propertyId: sold.id }).expect(404);
+    expect(leadsByEmail('sold@example.com')).toEqual([]);
+
+    await enquire({ name: 'Ava Available', email: 'available@example.com', propertyId: available.id }).expect(201);
+    expect(JSON.parse(leadsByEmail('available@example.com')[0].interested_properties)).toEqual([available.id]);
+  });
+
+  test('limits enquiries per client IP behind the proxy', async () => {
+    for (let count = 1; count <= 5; count++) {
+      await enquire({ name: 'Repeat Sender', email: `repeat${count}@example.com` }, '198.51.100.7').expect(201);
+    }
+
+    await enquire({ name: 'Repeat Sender', email: 'repeat6@example.com' }, '198.51.100.7').expect(429);
+    await enquire({ name: 'Other Visitor', email: 'other@example.com' }, '198.51.100.8').expect(201);
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('agency isolation', () => {
+  let agencyA;
+  let agencyB;
+  let leadB;
+  let propertyB;
+  let memberB;
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    await initDatabase();
+    agencyA = createAgencyUser({ agencyName: 'Agency A' });
+    agencyB = createAgencyUser({ agencyName: 'Agency B' });
+
+    await request(app).post('/api/leads').set(as(agencyA))
+      .send({ name: 'Alice Alpha', email: 'alice@example.com', phone: '+33611111111' })
+      .expect(201);
+
+    leadB = (await request(app).post('/api/leads').set(as(agencyB))
+      .send({ name: 'Bob Beta', email: 'bob@example.com', phone: '+33622222222', status: 'qualified' })
+      .expect(201)).body.data;
+
+    propertyB = (await request(app).post('/api/properties').set(as(agencyB))
+      .send({ title: 'Villa B', type: 'villa', price: 500000, city: 'Nice' })
+      .expect(201)).body.data;
+
+    await request(app).post('/api/team').set(as(agencyB))
+      .send({ name: 'Brigitte Agent', email: 'brigitte@example.com', role: 'agent' })
+      .expect(201);
+    memberB = (await request(app).get('/api/team').set(as(agencyB)).expect(200)).body.data[0];
+  });
+
+  describe('leads', () => {
+    test('lists only the own agency leads', async () => {
+      const res = await request(app).get('/api/leads').set(as(agencyA)).expect(200);
+
+      expect(res.body.data.map(lead => lead.email)).toEqual(['alice@example.com']);
+    });
+
+    test('another agency lead cannot be read, updated or deleted', async () => {
+      await request(app).get(`/api/leads/${leadB.id}/activities`).set(as(agencyA)).expect(404);
+      await request(app).put(`/api/leads/${leadB.id}`).set(as(agencyA)).send({ status: 'lost' }).expect(404);
+      await request(app).delete(`/api/leads/${leadB.id}`).set(as(agencyA)).expect(404);
+      await request(app).post(`/api/leads/${leadB.id}/notes`).set(as(agencyA)).send({ content: 'x' }).expect(404);
+
+      const res = await request(app).get('/api/leads').set(as(agencyB)).expect(200);
+      expect(res.body.data).toHaveLength(1);
+      expect(res.body.data[0].status).toBe('qualified');
+    });
+
+    test('another agency property cannot be linked to a lead', async () => {
+      const ownLead = (await request(app).get('/api/leads').set(as(agencyA))).body.data[0];
+
+      await request(app).post(`/api/leads/${ownLead.id}/link-property/${propertyB.id}`).set(as(agencyA)).expect(404);
+    });
+  });
+
+  describe('properties', () => {
+    test('lists only the own agency properties', async () => {
+      const res = await request(app).get('/api/properties').set(as(agencyA)).expect(200);
+
+      expect(res.body.data).toEqual([]);
+    });
+
+    test('another agency property cannot be updated or its history read', async () => {
+      await request(app).put(`/api/properties/${propertyB.id}`).set(as(agencyA)).send({ price: 1 }).expect(404);
+      await request(app).get(`/api/properties/${propertyB.id}/history`).set(as(agencyA)).expect(404);
+    });
+  });
+
+  describe('team', () => {
+    test('lists only the own agency team members', async () => {
+      const res = await request(app).get('/api/team').set(as(agencyA)).expect(200);
+
+      expect(res.body.data).toEqual([]);
+    });
+
+    test('another agency team member cannot be updated', async () => {
+      await request(app).put(`/api/team/${memberB.id}`).set(as(agencyA)).send({ name: 'Renamed' }).expect(404);
+    });
+  });
+
+  describe('analytics', () => {
+    test('counts only the own agency leads', async () => {
+      const res = await request(app).get('/api/analytics/leads-by-status').set(as(agencyA)).expect(200);
+
+      expect(res.body.data).toEqual([expect.objectContaining({ status: 'new', count: 1 })]);
+    });
+
+    test('dashboard stats cover only the own agency', async () => {
+      const res = await request(app).get('/api/dashboard/stats').set(as(agencyA)).expect(200);
+
+      expect(res.body.data).toEqual(expect.objectContaining({ totalLeads: 1, availableProperties: 0 }));
+    });
+  });
+
+  test('invited agents join the inviting manager agency whatever agency name is sent', async () => {
+    const { db } = require('./helpers/testDb');
+    const invitation = await request(app).post('/api/invitations/agent').set(as(agencyA))
+      .send({ agentEmail: 'new.agent@example.com', agentName: 'New', agencyName: 'Agency B', managerName: 'Manager A', role: 'agent' })
+      .expect(201);
+
+    const setup = await request(app).post('/api/account-setup/complete')
+      .send({ token: invitation.body.data.invitationToken, password: 'a-long-password', firstName: 'New' })
+      .expect(201);
+
+    expect(setup.body.data.user.agencyId).toBe(agencyA.agencyId);
+    expect(db.public.one("SELECT agency_id FROM users WHERE email = 'new.agent@example.com'").agency_id).toBe(agencyA.agencyId);
+  });
+
+  test('pending invitations of another agency are not listed', async () => {
+    const res = await request(app).get('/api/invitations/pending').set(as(agencyB)).expect(200);
+
+    expect(res.body.data).toEqual([]);
+  });
+
+  describe('user management', () => {
+    let invitedB;
+
+    beforeAll(async () => {
+      const invitation = await request(app).post('/api/invitations/agent').set(as(agencyB))
+        .send({ agentEmail: 'invited.b@example.com', agentName: 'Invited', agencyName: 'Agency B', managerName: 'Manager B', role: 'agent' })
+        .expect(201);
+      invitedB = invitation.body.data.userId;
+    });
+
+    test('lists only the own agency users', async () => {
+      const res = await request(app).get('/api/user-management/users').set(as(agencyA)).expect(200);
+
+      expect(res.body.data.map(user => user.email)).not.toContain('invited.b@example.com');
+      expect(res.body.data.every(user => user.id !== agencyB.user.id)).toBe(true);
+    });
+
+    test('another agency invitation cannot be resent or cancelled', async () => {
+      const { db } = require('./helpers/testDb');
+      const before = db.public.one(`SELECT invitation_token FROM users WHERE id = '${invitedB}'`);
+
+      await request(app).post(`/api/user-management/users/${invitedB}/resend-invitation`).set(as(agencyA)).expect(404);
+      await request(app).delete(`/api/user-management/users/${invitedB}/invitation`).set(as(agencyA)).expect(404);
+
+      expect(db.public.one(`SELECT invitation_token FROM users WHERE id = '${invitedB}'`)).toEqual(before);
+      await request(app).delete(`/api/user-management/users/${invitedB}/invitation`).set(as(agencyB)).expect(200);
+    });
+  });
+
+  test('users without an agency are rejected', async () => {
+    const { db } = require('./helpers/testDb');
+    const orphan = createAgencyUser({ agencyName: 'Orphan' });
+    db.public.none(`UPDATE users SET agency_id = NULL WHERE id = '${orphan.user.id}'`);
+
+    await request(app).get('/api/leads').set(as(orphan)).expect(401);
+    await request(app).get('/api/user-management/users').set(as(orphan)).expect(401);
+  });
+});
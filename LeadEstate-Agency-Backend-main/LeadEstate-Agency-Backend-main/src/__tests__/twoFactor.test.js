@@ -0,0 +1,144 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const twoFactorService = require('../services/twoFactorService');
+
+// Code of the authenticator app for a base32 secret, steps away from now
+const totp = (secret, offset = 0) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+  for (const char of secret) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 15) & 0x7fffffff;
+  return String(binary % 1000000).padStart(6, '0');
+};
+
+const enrolledUser = async () => {
+  const { user } = createAgencyUser();
+  const { secret } = await twoFactorService.beginEnrollment(user);
+  const backupCodes = await twoFactorService.confirmEnrollment(user, totp(secret, -1));
+  return { user, secret, backupCodes };
+};
+
+describe('twoFactorService', () => {
+  beforeAll(() => initDatabase());
+
+  test('stores the secret encrypted', async () => {
+    const { user, secret } = await enrolledUser();
+
+    const row = db.public.one(`SELECT two_factor_secret FROM users WHERE id = '${user.id}'`);
+    expect(row.two_factor_secret).not.toContain(secret);
+  });
+
+  test('refuses to encrypt secrets without TWO_FACTOR_ENCRYPTION_KEY', async () => {
+    const { user } = createAgencyUser();
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    try {
+      await expect(twoFactorService.beginEnrollment(user)).rejects.toThrow('TWO_FACTOR_ENCRYPTION_KEY');
+    } finally {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = key;
+    }
+  });
+
+  describe('verifyLogin', () => {
+    test('accepts a TOTP code once', async () => {
+      const { user, secret } = await enrolledUser();
+      const code = totp(secret);
+
+      await expect(twoFactorService.verifyLogin(user, { code })).resolves.toEqual({ method: 'totp', backupCodesRemaining: 10 });
+      await expect(twoFactorService.verifyLogin(user, { code })).resolves.toBeNull();
+    });
+
+    test('accepts a TOTP code for only one of two concurrent logins', async () => {
+      const { user, secret } = await enrolledUser();
+      const code = totp(secret);
+
+      const results = await Promise.all([
+        twoFactorService.verifyLogin(user, { code }),
+        twoFactorService.verifyLogin(user, { code })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+
+    test('consumes a backup code', async () => {
+      const { user, backupCodes } = await enrolledUser();
+
+      await expect(twoFactorService.verifyLogin(user, { backupCode: backupCodes[3].toLowerCase() }))
+        .resolves.toEqual({ method: 'backup_code', backupCodesRemaining: 9 });
+      await expect(twoFactorService.verifyLogin(user, { backupCode: backupCodes[3] })).resolves.toBeNull();
+      await expect(twoFactorService.verifyLogin(user, { backupCode: backupCodes[4] }))
+        .resolves.toEqual({ method: 'backup_code', backupCodesRemaining: 8 });
+    });
+
+    test('accepts a backup code for only one of two concurrent logins', async () => {
+      const { user, backupCodes } = await enrolledUser();
+
+      const results = await Promise.all([
+        twoFactorService.verifyLogin(user, { backupCode: backupCodes[0] }),
+        twoFactorService.verifyLogin(user, { backupCode: backupCodes[0] })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect((await twoFactorService.getStatus(user)).backupCodesRemaining).toBe(9);
+    });
+
+    test('rejects codes once 2FA is disabled', async () => {
+      const { user, secret, backupCodes } = await enrolledUser();
+      await twoFactorService.disable(user.id);
+
+      await expect(twoFactorService.verifyLogin(user, { code: totp(secret) })).resolves.toBeNull();
+      await expect(twoFactorService.verifyLogin(user, { backupCode: backupCodes[0] })).resolves.toBeNull();
+    });
+  });
+
+  describe('owner API verify-otp', () => {
+    const OWNER_SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+    const verifyOtp = (code) => request(app)
+      .post('/api/owner-integration/auth/verify-otp')
+      .set('x-owner-api-key', 'owner-key')
+      .send({ code });
+
+    beforeAll(() => {
+      process.env.OWNER_API_KEY = 'owner-key';
+      process.env.OWNER_TOTP_SECRET = OWNER_SECRET;
+    });
+
+    afterAll(() => {
+      delete process.env.OWNER_API_KEY;
+      delete process.env.OWNER_TOTP_SECRET;
+    });
+
+    beforeEach(() => {
+      db.public.none("UPDATE owner_two_factor_state SET failed_attempts = 0, locked_until = NULL, last_step = NULL WHERE id = 'owner'");
+    });
+
+    test('accepts a code once', async () => {
+      const code = totp(OWNER_SECRET);
+
+      const res = await verifyOtp(code).expect(200);
+      expect(res.body.data.sessionToken).toEqual(expect.any(String));
+
+      await verifyOtp(code).expect(401);
+    });
+
+    test('keeps the lockout in the database', async () => {
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        await verifyOtp('000000').expect(401);
+      }
+
+      const state = db.public.one("SELECT failed_attempts, locked_until FROM owner_two_factor_state WHERE id = 'owner'");
+      expect(state.locked_until).not.toBeNull();
+
+      const res = await verifyOtp(totp(OWNER_SECRET)).expect(423);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const crypto = require('crypto');
+
+// Read when the Twilio service is created
+process.env.TWILIO_AUTH_TOKEN = 'twilio-test-token';
+process.env.BREVO_WEBHOOK_SECRET = 'brevo-test-secret';
+process.env.PUBLIC_API_URL = 'https://api.example.com';
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+// Signature Twilio computes: HMAC-SHA1 of the URL followed by the sorted form parameters
+const twilioSignature = (url, params, token = process.env.TWILIO_AUTH_TOKEN) => {
+  const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+  return crypto.createHmac('sha1', token).update(Buffer.from(data, 'utf-8')).digest('base64');
+};
+
+const messageRow = (id) => db.public.one(`SELECT status FROM lead_messages WHERE id = '${id}'`);
+const eventCount = (id) => db.public.many(`SELECT id FROM lead_message_events WHERE message_id = '${id}'`).length;
+
+describe('provider webhooks', () => {
+  let manager;
+  let lead;
+
+  // Sent message waiting for provider callbacks (pg-mem cannot parse the ON CONFLICT of recordOutbound)
+  const sentMessage = (channel, providerMessageId) => {
+    const id = crypto.randomUUID();
+    db.public.none(`
+      INSERT INTO lead_messages (id, agency_id, lead_id, channel, direction, provider_message_id, body, status)
+      VALUES ('${id}', '${manager.agencyId}', '${lead.id}', '${channel}', 'outbound', '${providerMessageId}', 'New listings', 'sent')
+    `);
+    return { id };
+  };
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+    lead = (await request(app).post('/api/leads').set(as(manager))
+      .send({ name: 'Wendy Webhook', email: 'wendy@example.com', phone: '+33612345678' })
+      .expect(201)).body.data;
+  });
+
+  describe('Twilio', () => {
+    const url = 'https://api.example.com/webhooks/twilio';
+
+    test('rejects callbacks without a valid signature', async () => {
+      const message = sentMessage('whatsapp', 'SM-rejected');
+      const params = { MessageSid: 'SM-rejected', MessageStatus: 'delivered' };
+
+      await request(app).post('/webhooks/twilio').type('form').send(params).expect(403);
+      await request(app).post('/webhooks/twilio').type('form')
+        .set('X-Twilio-Signature', twilioSignature(url, params, 'wrong-token'))
+        .send(params)
+        .expect(403);
+      // Signed for other parameters
+      await request(app).post('/webhooks/twilio').type('form')
+        .set('X-Twilio-Signature', twilioSignature(url, { ...params, MessageStatus: 'sent' }))
+        .send(params)
+        .expect(403);
+
+      expect(messageRow(message.id).status).toBe('sent');
+      expect(eventCount(message.id)).toBe(0);
+    });
+
+    test('updates the delivery state of signed status callbacks', async () => {
+      const message = sentMessage('whatsapp', 'SM-signed');
+      const params = { MessageSid: 'SM-signed', MessageStatus: 'delivered' };
+
+      await request(app).post('/webhooks/twilio').type('form')
+        .set('X-Twilio-Signature', twilioSignature(url, params))
+        .send(params)
+        .expect(200);
+
+      expect(messageRow(message.id).status).toBe('delivered');
+      expect(eventCount(message.id)).toBe(1);
+    });
+  });
+
+  describe('Brevo', () => {
+    const delivered = (messageId) => ({ event: 'delivered', 'message-id': messageId });
+
+    test('rejects events without the shared secret', async () => {
+      const message = sentMessage('email', '<rejected@brevo>');
+
+      await request(app).post('/webhooks/brevo').send(delivered('<rejected@brevo>')).expect(403);
+      await request(app).post('/webhooks/brevo').query({ token: 'brevo-test-secreT' })
+        .send(delivered('<rejected@brevo>'))
+        .expect(403);
+      await request(app).post('/webhooks/brevo').set('Authorization', 'Bearer brevo-test')
+        .send(delivered('<rejected@brevo>'))
+        .expect(403);
+
+      expect(messageRow(message.id).status).toBe('sent');
+      expect(eventCount(message.id)).toBe(0);
+    });
+
+    test('records events carrying the secret in the URL or a bearer token', async () => {
+      const first = sentMessage('email', '<first@brevo>');
+      const second = sentMessage('email', '<second@brevo>');
+
+      const response = await request(app).post('/webhooks/brevo').query({ token: 'brevo-test-secret' })
+        .send(delivered('<first@brevo>'))
+        .expect(200);
+      expect(response.body.data).toEqual({ recorded: 1 });
+      await request(app).post('/webhooks/brevo').set('Authorization', 'Bearer brevo-test-secret')
+        .send([delivered('<second@brevo>')])
+        .expect(200);
+
+      expect(messageRow(first.id).status).toBe('delivered');
+      expect(messageRow(second.id).status).toBe('delivered');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('pg', () => require('./helpers/testDb').pg);
+
+const request = require('supertest');
+const { db, createAgencyUser } = require('./helpers/testDb');
+const { app, initDatabase } = require('../server-postgres');
+const scoringService = require('../services/scoringService');
+const workflowService = require('../services/workflowService');
+
+const as = (account) => ({ Authorization: `Bearer ${account.token}` });
+
+describe('workflow engine', () => {
+  let manager;
+  let hot;
+  let cold;
+
+  const createLead = async (body) => (await request(app).post('/api/leads').set(as(manager))
+    .send(body)
+    .expect(201)).body.data;
+
+  const createWorkflow = async (body) => (await request(app).post('/api/automation').set(as(manager))
+    .send(body)
+    .expect(201)).body.data;
+
+  const leadRow = (lead) => db.public.one(`SELECT status, tags FROM leads WHERE id = '${lead.id}'`);
+
+  beforeAll(async () => {
+    // Activity signals use correlated subqueries that pg-mem does not support
+    jest.spyOn(scoringService, 'getSignals').mockResolvedValue(new Map());
+    jest.spyOn(workflowService, 'handleEvent').mockResolvedValue();
+    await initDatabase();
+    manager = createAgencyUser();
+
+    hot = await createLead({ name: 'Hugo Hot', email: 'hugo@example.com', budget: 900000 });
+    cold = await createLead({ name: 'Cora Cold', email: 'cora@example.com', budget: 100000 });
+  });
+
+  test('runs the actions on the leads matching the conditions and logs each run', async () => {
+    const workflow = await createWorkflow({
+      name: 'Qualify big budgets',
+      trigger: 'manual',
+      conditions: [{ field: 'budget', operator: 'gte', value: 500000 }],
+      actions: [
+        { type: 'change_status', config: { status: 'qualified' } },
+        { type: 'add_tag', config: { tag: 'vip' } },
+        { type: 'create_follow_up', config: { type: 'call', dueInHours: 2, description: 'Call {{name}}' } }
+      ]
+    });
+
+    const runs = (await request(app).post(`/api/automation/${workflow.id}/run`).set(as(manager))
+      .send({ leadIds: [hot.id, cold.id] })
+      .expect(200)).body.data;
+
+    expect(runs.map(run => run.status)).toEqual(['completed', 'skipped']);
+    expect(runs[0].steps.filter(step => typeof step.step === 'number').map(step => step.status))
+      .toEqual(['success', 'success', 'success']);
+    expect(runs[1].steps.find(step => step.step === 'conditions').results)
+      .toEqual([expect.objectContaining({ field: 'budget', passed: false })]);
+
+    expect(leadRow(hot)).toEqual({ status: 'qualified', tags: ['vip'] });
+    expect(leadRow(cold).status).toBe('new');
+    expect(db.public.many(`SELECT description FROM follow_ups WHERE lead_id = '${hot.id}'`))
+      .toEqual([{ description: 'Call Hugo Hot' }]);
+
+    const log = (await request(app).get(`/api/automation/${workflow.id}/runs`).set(as(manager)).expect(200)).body;
+    expect(log.data.map(run => run.leadId).sort()).toEqual([hot.id, cold.id].sort());
+    expect((await request(app).get(`/api/automation/${workflow.id}`).set(as(manager)).expect(200)).body.data.runCount).toBe(1);
+  });
+
+  test('skips a tag the lead already has', async () => {
+    const workflow = await createWorkflow({
+      name: 'Tag VIPs',
+      trigger: 'manual',
+      actions: [{ type: 'add_tag', config: { tag: 'vip' } }]
+    });
+
+    const [run] = (await request(app).post(`/api/automation/${workflow.id}/run`).set(as(manager))
+      .send({ leadIds: [hot.id] })
+      .expect(200)).body.data;
+
+    expect(run.status).toBe('completed');
+    expect(run.steps[run.steps.length - 1]).toMatchObject({ action: 'add_tag', status: 'skipped' });
+    expect(leadRow(hot).tags).toEqual(['vip']);
+  });
+
+  test('runs lead_updated workflows only on the statuses they listen to', async () => {
+    await createWorkflow({
+      name: 'Welcome qualified leads',
+      trigger: 'lead_updated',
+      triggerConfig: { statuses: ['qualified'] },
+      actions: [{ type: 'add_tag', config: { tag: 'welcomed' } }]
+    });
+    workflowService.handleEvent.mockRestore();
+
+    const event = (from, to) => ({
+      agencyId: manager.agencyId,
+      leadId: cold.id,
+      before: { status: from },
+      after: { status: to }
+    });
+
+    const [contacted] = await workflowService.handleEvent('lead_updated', event('new', 'contacted'));
+    expect(contacted.status).toBe('skipped');
+    expect(contacted.steps[0].reason).toBe('Status changed to contacted, workflow listens to qualified');
+
+    const [qualified] = await workflowService.handleEvent('lead_updated', event('contacted', 'qualified'));
+    expect(qualified.status).toBe('completed');
+    expect(leadRow(cold).tags).toEqual(['welcomed']);
+  });
+
+  test('rejects invalid definitions', async () => {
+    const invalid = [
+      { name: '', trigger: 'manual' },
+      { name: 'Bad trigger', trigger: 'lead_deleted' },
+      { name: 'Bad condition', conditions: [{ field: 'favourite_colour', value: 'blue' }] },
+      { name: 'Bad action', actions: [{ type: 'change_status', config: { status: 'sleeping' } }] },
+      { name: 'Bad days', trigger: 'no_response', triggerConfig: { days: 0 } }
+    ];
+    for (const body of invalid) {
+      await request(app).post('/api/automation').set(as(manager)).send(body).expect(400);
+    }
+  });
+});
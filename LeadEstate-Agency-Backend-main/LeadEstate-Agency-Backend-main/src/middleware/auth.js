@@ -1,8 +1,53 @@
 const jwt = require('jsonwebtoken');
-const { getSequelize } = require('../database/connection');
+const { pool } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
 const logger = require('../utils/logger');
 const { HTTP_STATUS, ERROR_CODES } = require('../utils/constants');
 
+/**
+ * Load the active user referenced by decoded JWT claims
+ * Tokens issued by the different login flows carry either `userId` or `id`, and are only
+ * valid while the session in their `sessionId` is active
+ * @param {object} decoded - Decoded JWT payload
+ * @returns {object|null} User attached to req.user, or null if not found/inactive/logged out
+ */
+const findActiveUser = async (decoded) => {
+  const userId = decoded.userId || decoded.id;
+  // Purpose tokens (2FA login challenges) are not access tokens, and tokens without a
+  // session could not be revoked by logout
+  if (!userId || decoded.purpose || !decoded.sessionId) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT id, email, first_name, last_name, role, agency_id, status
+     FROM users
+     WHERE id = $1 AND status = 'active'`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  if (!(await sessionService.touch(decoded.sessionId, user.id))) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    agencyId: user.agency_id,
+    isActive: user.status === 'active',
+    sessionId: decoded.sessionId,
+  };
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
@@ -44,35 +89,14 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Get database connection
-    const sequelize = getSequelize();
-
-    if (!sequelize) {
-      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
-        success: false,
-        error: {
-          message: 'Database not available.',
-          code: ERROR_CODES.INTERNAL_ERROR,
-          statusCode: HTTP_STATUS.INTERNAL_SERVER_ERROR,
-        },
-        timestamp: new Date().toISOString(),
-      });
-    }
-
     // Find user in database
-    const [results] = await sequelize.query(
-      'SELECT id, email, first_name, last_name, role, agency_id, is_active FROM users WHERE id = :userId AND is_active = true',
-      {
-        replacements: { userId: decoded.userId },
-        type: sequelize.QueryTypes.SELECT,
-      }
-    );
+    const user = await findActiveUser(decoded);
 
-    if (!results) {
+    if (!user) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
         error: {
-          message: 'Access denied. User not found or inactive.',
+          message: 'Access denied. User not found, inactive or logged out.',
           code: ERROR_CODES.AUTHENTICATION_ERROR,
           statusCode: HTTP_STATUS.UNAUTHORIZED,
         },
@@ -81,15 +105,7 @@ const authMiddleware = async (req, res, next) => {
     }
 
     // Attach user to request
-    req.user = {
-      id: results.id,
-      email: results.email,
-      firstName: results.first_name,
-      lastName: results.last_name,
-      role: results.role,
-      agencyId: results.agency_id,
-      isActive: results.is_active,
-    };
+    req.user = user;
 
     // Log successful authentication
     logger.debug(`User authenticated: ${req.user.email} (${req.user.role})`);
@@ -170,6 +186,89 @@ const authorize = (allowedRoles = []) => {
   };
 };
 
+/**
+ * Permission-based authorization middleware
+ * Passes when the user has at least one of the permissions (role defaults or agency override)
+ * @param {...string} permissions - PERMISSIONS values
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        error: {
+          message: 'Access denied. User not authenticated.',
+          code: ERROR_CODES.AUTHENTICATION_ERROR,
+          statusCode: HTTP_STATUS.UNAUTHORIZED,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      req.permissions = req.permissions || await permissionService.getPermissions(req.user);
+    } catch (error) {
+      logger.error('Permission lookup error:', error);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: {
+          message: 'Internal server error during authorization.',
+          code: ERROR_CODES.INTERNAL_ERROR,
+          statusCode: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (!permissions.some(permission => req.permissions.includes(permission))) {
+      logger.warn(`Permission denied for user ${req.user.email}. Required: ${permissions.join(' or ')}`);
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        error: {
+          message: 'Access denied. Insufficient permissions.',
+          code: ERROR_CODES.AUTHORIZATION_ERROR,
+          statusCode: HTTP_STATUS.FORBIDDEN,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Record-level lead access middleware
+ * Users limited to their own leads get a 404 for leads assigned to someone else
+ * @param {string} param - Route parameter holding the lead id
+ */
+const authorizeLeadAccess = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (await permissionService.canAccessLead(req.user, req.params[param])) {
+        return next();
+      }
+
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    } catch (error) {
+      logger.error('Lead access check error:', error);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        error: {
+          message: 'Internal server error during authorization.',
+          code: ERROR_CODES.INTERNAL_ERROR,
+          statusCode: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+};
+
 /**
  * Agency isolation middleware
  * Ensures users can only access data from their agency
@@ -214,26 +313,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const sequelize = getSequelize();
-    
-    const [results] = await sequelize.query(
-      'SELECT id, email, first_name, last_name, role, agency_id, is_active FROM users WHERE id = :userId AND is_active = true',
-      {
-        replacements: { userId: decoded.userId },
-        type: sequelize.QueryTypes.SELECT,
-      }
-    );
-
-    if (results) {
-      req.user = {
-        id: results.id,
-        email: results.email,
-        firstName: results.first_name,
-        lastName: results.last_name,
-        role: results.role,
-        agencyId: results.agency_id,
-        isActive: results.is_active,
-      };
+    const user = await findActiveUser(decoded);
+
+    if (user) {
+      req.user = user;
     }
 
     next();
@@ -244,8 +327,11 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  findActiveUser,
   authMiddleware,
   authorize,
+  requirePermission,
+  authorizeLeadAccess,
   agencyIsolation,
   optionalAuth,
 };
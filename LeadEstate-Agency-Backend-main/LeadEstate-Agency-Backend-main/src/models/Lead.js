@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { getSequelize } = require('../database/connection');
+const { explainLeadScore } = require('../utils/helpers');
+const { DEFAULT_LEAD_SCORING } = require('../utils/constants');
 
 // Lazy initialization function
 const getLeadModel = () => {
@@ -163,6 +165,15 @@ const getLeadModel = () => {
       max: 100
     }
   },
+  score_breakdown: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: []
+  },
+  scored_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   last_contact: {
     type: DataTypes.DATE,
     allowNull: true
@@ -251,6 +262,23 @@ const getLeadModel = () => {
         throw new Error('Minimum budget cannot be greater than maximum budget');
       }
     }
+  },
+  hooks: {
+    // Keep the score current with the lead's own fields (engagement signals are
+    // added by the scoring service)
+    beforeSave: (lead) => {
+      const { score, breakdown } = explainLeadScore({
+        email: lead.email,
+        phone: lead.phone,
+        source: lead.source,
+        budget: lead.budget_max || lead.budget_min,
+        propertyType: lead.property_type,
+        createdAt: lead.created_at || new Date()
+      });
+      lead.score = score;
+      lead.score_breakdown = breakdown;
+      lead.scored_at = new Date();
+    }
   }
   });
 
@@ -277,7 +305,7 @@ const getLeadModel = () => {
   };
 
   Lead.prototype.isHotLead = function() {
-    return this.score >= 80 || this.priority === 'high';
+    return this.score >= DEFAULT_LEAD_SCORING.hotThreshold || this.priority === 'high';
   };
 
   Lead.prototype.daysSinceCreated = function() {
@@ -322,7 +350,7 @@ const getLeadModel = () => {
   Lead.findHotLeads = function(agencyId = null) {
     const where = {
       [sequelize.Sequelize.Op.or]: [
-        { score: { [sequelize.Sequelize.Op.gte]: 80 } },
+        { score: { [sequelize.Sequelize.Op.gte]: DEFAULT_LEAD_SCORING.hotThreshold } },
         { priority: 'high' }
       ]
     };
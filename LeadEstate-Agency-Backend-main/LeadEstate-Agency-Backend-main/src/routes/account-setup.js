@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
 const brevoService = require('../services/brevoService');
 const { pool } = require('../config/database');
 
@@ -117,6 +117,14 @@ router.post('/complete', async (req, res) => {
       });
     }
 
+    // Agents join the agency they were invited to, which scopes all their data
+    if (user.role !== 'manager' && !user.agency_id) {
+      return res.status(409).json({
+        success: false,
+        message: 'This invitation is not linked to an agency, please ask your manager to send a new one'
+      });
+    }
+
     // Hash password
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -156,18 +164,14 @@ router.post('/complete', async (req, res) => {
         'UPDATE users SET agency_id = $1 WHERE id = $2',
         [agencyId, user.id]
       );
+    } else {
+      agencyId = user.agency_id;
     }
 
-    // Generate JWT token for immediate login
-    const jwtToken = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        role: user.role,
-        agencyId: agencyId 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    // Immediate login through a revocable session (or a 2FA challenge), like POST /api/auth/login
+    const login = await authService.startLogin(
+      await authService.findById(user.id),
+      { ipAddress: req.ip, userAgent: req.get('user-agent') || null }
     );
 
     // Send welcome email
@@ -178,7 +182,8 @@ router.post('/complete', async (req, res) => {
       role: user.role,
       agencyName: user.agency_name,
       loginUrl,
-      managerName: user.role !== 'manager' ? user.invited_by : null
+      managerName: user.role !== 'manager' ? user.invited_by : null,
+      agencyId: user.agency_id
     });
 
     // Log the invitation completion
@@ -191,6 +196,7 @@ router.post('/complete', async (req, res) => {
       success: true,
       message: 'Account setup completed successfully',
       data: {
+        ...login,
         user: {
           id: updatedUser.id,
           email: updatedUser.email,
@@ -200,7 +206,6 @@ router.post('/complete', async (req, res) => {
           agencyName: updatedUser.agency_name,
           agencyId: agencyId
         },
-        token: jwtToken,
         welcomeEmailSent: emailResult.success
       }
     });
@@ -268,7 +273,8 @@ router.post('/resend-invitation', async (req, res) => {
         agencyName: user.agency_name,
         invitedBy: user.invited_by,
         setupLink,
-        expiresIn: '48 hours'
+        expiresIn: '48 hours',
+        agencyId: user.agency_id
       });
     } else {
       emailResult = await brevoService.sendAgentInvitation({
@@ -278,7 +284,8 @@ router.post('/resend-invitation', async (req, res) => {
         managerName: user.invited_by,
         role: user.role,
         setupLink,
-        expiresIn: '48 hours'
+        expiresIn: '48 hours',
+        agencyId: user.agency_id
       });
     }
 
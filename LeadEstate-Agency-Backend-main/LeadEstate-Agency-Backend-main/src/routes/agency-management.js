@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { getSequelize } = require('../database/connection');
+const { pool } = require('../config/database');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const publicListingService = require('../services/publicListingService');
+const { CURRENCIES } = require('../utils/constants');
+
+// Saved agency settings (agency_settings.settings)
+const getAgencySettings = async (agencyId) => {
+  const result = await pool.query('SELECT settings FROM agency_settings WHERE agency_id = $1', [agencyId]);
+  return result.rows[0] ? result.rows[0].settings : {};
+};
 
 // GET /api/agency-management/current - Get current agency info (for single-tenant mode)
 router.get('/current', async (req, res) => {
@@ -18,6 +29,7 @@ router.get('/current', async (req, res) => {
       users: 0, // Would be calculated from actual users
       leads: 0, // Would be calculated from actual leads
       properties: 0, // Would be calculated from actual properties
+      settings: await getAgencySettings(req.user.agencyId),
       createdAt: new Date().toISOString()
     };
 
@@ -75,16 +87,69 @@ router.get('/stats', async (req, res) => {
 router.put('/settings', async (req, res) => {
   try {
     const { name, email, phone, address, settings } = req.body;
-    
-    // For single-tenant mode, this would update environment variables or config
-    // In a real implementation, you'd update a database record
-    
+
+    if (settings !== undefined && (typeof settings !== 'object' || settings === null || Array.isArray(settings))) {
+      return res.status(400).json({
+        success: false,
+        message: 'settings must be an object'
+      });
+    }
+    if (settings && settings.requireTwoFactorForManagers !== undefined && typeof settings.requireTwoFactorForManagers !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'settings.requireTwoFactorForManagers must be true or false'
+      });
+    }
+    if (settings && settings.currency !== undefined && !Object.values(CURRENCIES).includes(settings.currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `settings.currency must be one of: ${Object.values(CURRENCIES).join(', ')}`
+      });
+    }
+    if (settings && settings.branding !== undefined) {
+      const { branding } = settings;
+      if (typeof branding !== 'object' || branding === null || Array.isArray(branding)) {
+        return res.status(400).json({
+          success: false,
+          message: 'settings.branding must be an object'
+        });
+      }
+      if (branding.primaryColor !== undefined && !/^#[0-9a-f]{6}$/i.test(branding.primaryColor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'settings.branding.primaryColor must be a hex colour (#1d4ed8)'
+        });
+      }
+    }
+    if (settings && settings.rolePermissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role permissions are changed with PUT /api/agency-management/permissions/:role'
+      });
+    }
+
+    // Contact details still come from the environment; settings are saved per agency
+    // and merged with the ones already saved
+    let savedSettings = await getAgencySettings(req.user.agencyId);
+    if (settings) {
+      const result = await pool.query(`
+        INSERT INTO agency_settings (agency_id, settings, updated_by, updated_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (agency_id) DO UPDATE SET
+          settings = agency_settings.settings || EXCLUDED.settings,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = NOW()
+        RETURNING settings
+      `, [req.user.agencyId, JSON.stringify(settings), req.user.id]);
+      savedSettings = result.rows[0].settings;
+    }
+
     const updatedSettings = {
       name: name || process.env.AGENCY_NAME || 'Real Estate Agency',
       email: email || process.env.AGENCY_EMAIL || '',
       phone: phone || process.env.AGENCY_PHONE || '',
       address: address || process.env.AGENCY_ADDRESS || '',
-      settings: settings || {},
+      settings: savedSettings,
       updatedAt: new Date().toISOString()
     };
 
@@ -104,4 +169,155 @@ router.put('/settings', async (req, res) => {
   }
 });
 
+// GET /api/agency-management/permissions - Permission matrix of the agency's roles
+router.get('/permissions', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await permissionService.getMatrix(req.user.agencyId)
+    });
+  } catch (error) {
+    console.error('Error fetching role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role permissions',
+      error: error.message
+    });
+  }
+});
+
+// Save a role's permissions (null goes back to the role defaults)
+const saveRolePermissions = async (req, res, permissions) => {
+  try {
+    const { role } = req.params;
+    const matrix = await permissionService.setRolePermissions(req.user.agencyId, role, permissions, req.user.id);
+
+    await auditService.log({
+      userId: req.user.id,
+      action: auditService.actionTypes.ROLE_PERMISSIONS_CHANGED,
+      resourceType: 'agency',
+      resourceId: req.user.agencyId,
+      details: { role, permissions }
+    });
+
+    console.log(`🔐 Permissions of ${role} ${permissions ? 'updated' : 'reset to defaults'} for agency ${req.user.agencyId}`);
+
+    res.json({
+      success: true,
+      message: permissions ? 'Role permissions updated successfully' : 'Role permissions reset to defaults',
+      data: matrix
+    });
+  } catch (error) {
+    if (error instanceof permissionService.PermissionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role permissions',
+      error: error.message
+    });
+  }
+};
+
+// PUT /api/agency-management/permissions/:role - Override a role's permissions ({ permissions: [...] })
+router.put('/permissions/:role', (req, res) => saveRolePermissions(req, res, req.body.permissions));
+
+// DELETE /api/agency-management/permissions/:role - Reset a role to its default permissions
+router.delete('/permissions/:role', (req, res) => saveRolePermissions(req, res, null));
+
+// Send public API errors with their status code, anything else as a 500
+const handlePublicApiError = (res, error, message) => {
+  if (error instanceof publicListingService.PublicListingError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// GET /api/agency-management/public-api - Public listing API settings (null without an API key)
+router.get('/public-api', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await publicListingService.getSettings(req.user.agencyId)
+    });
+  } catch (error) {
+    handlePublicApiError(res, error, 'Failed to fetch public API settings');
+  }
+});
+
+// POST /api/agency-management/public-api/key - Create the API key, replacing the previous one
+// ({ listingUrl, currency }); the key is only shown in this response
+router.post('/public-api/key', async (req, res) => {
+  try {
+    const settings = await publicListingService.createApiKey(req.body, {
+      agencyId: req.user.agencyId,
+      userName: `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.email
+    });
+
+    await auditService.log({
+      userId: req.user.id,
+      action: auditService.actionTypes.API_KEY_CREATED,
+      resourceType: 'agency',
+      resourceId: req.user.agencyId,
+      details: { keyHint: settings.keyHint }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully - copy it now, it will not be shown again',
+      data: settings
+    });
+  } catch (error) {
+    handlePublicApiError(res, error, 'Failed to create API key');
+  }
+});
+
+// PUT /api/agency-management/public-api - Update the listing settings ({ listingUrl, currency })
+router.put('/public-api', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Public API settings updated successfully',
+      data: await publicListingService.updateSettings(req.body, req.user.agencyId)
+    });
+  } catch (error) {
+    handlePublicApiError(res, error, 'Failed to update public API settings');
+  }
+});
+
+// DELETE /api/agency-management/public-api/key - Revoke the API key (websites and feeds stop working)
+router.delete('/public-api/key', async (req, res) => {
+  try {
+    await publicListingService.revokeApiKey(req.user.agencyId);
+
+    await auditService.log({
+      userId: req.user.id,
+      action: auditService.actionTypes.API_KEY_REVOKED,
+      resourceType: 'agency',
+      resourceId: req.user.agencyId
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    handlePublicApiError(res, error, 'Failed to revoke API key');
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const appointmentService = require('../services/appointmentService');
+const activityService = require('../services/activityService');
+const permissionService = require('../services/permissionService');
+const workflowService = require('../services/workflowService');
+const { APPOINTMENT_STATUS, APPOINTMENT_TYPES, HTTP_STATUS, PERMISSIONS, WORKFLOW_TRIGGERS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send appointment errors with their status code (and conflicts), anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof appointmentService.AppointmentError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message, error.details));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// Lead scope of the caller: users with leads.read.own only see their own appointments
+const accessOf = async (req) => ({ user: req.user, scope: await permissionService.getLeadScope(req.user) });
+
+// Working hours and calendar feeds are managed by the agent themselves or by team managers
+const canManageAgent = async (req, agentId) => {
+  const agent = await appointmentService.findAgent(agentId, req.agencyId);
+  return appointmentService.isAgentSelf(req.user, agent) || permissionService.can(req.user, PERMISSIONS.TEAM_MANAGE);
+};
+
+const forbidden = (res) => res.status(HTTP_STATUS.FORBIDDEN).json(
+  formatResponse(false, 'Only the agent or a team manager can do this')
+);
+
+// GET /api/appointments - List appointments
+// Query: status, type, agentId, leadId, propertyId, from, to, page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { appointments, pagination } = await appointmentService.list(req.agencyId, req.query, await accessOf(req));
+    res.json(formatResponse(true, 'Appointments retrieved successfully', appointments, pagination));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch appointments');
+  }
+});
+
+// GET /api/appointments/availability - Free slots of an agent on a day (agentId, date, durationMinutes)
+router.get('/availability', async (req, res) => {
+  try {
+    if (!req.query.agentId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(false, 'agentId is required'));
+    }
+    const availability = await appointmentService.getAvailability(req.query.agentId, req.query, req.agencyId);
+    res.json(formatResponse(true, 'Availability retrieved successfully', availability));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch availability');
+  }
+});
+
+// GET /api/appointments/agents/:agentId/working-hours - Weekly working hours of an agent
+router.get('/agents/:agentId/working-hours', async (req, res) => {
+  try {
+    const workingHours = await appointmentService.getAgentWorkingHours(req.params.agentId, req.agencyId);
+    res.json(formatResponse(true, 'Working hours retrieved successfully', workingHours));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch working hours');
+  }
+});
+
+// PUT /api/appointments/agents/:agentId/working-hours - Replace them ({ timezone, days: { monday: [{ start, end }] } })
+router.put('/agents/:agentId/working-hours', async (req, res) => {
+  try {
+    if (!await canManageAgent(req, req.params.agentId)) {
+      return forbidden(res);
+    }
+    const workingHours = await appointmentService.setAgentWorkingHours(req.params.agentId, req.body, req.agencyId);
+    res.json(formatResponse(true, 'Working hours updated successfully', workingHours));
+  } catch (error) {
+    handleError(res, error, 'Failed to update working hours');
+  }
+});
+
+// GET /api/appointments/agents/:agentId/calendar.ics - iCalendar export of an agent's appointments
+router.get('/agents/:agentId/calendar.ics', async (req, res) => {
+  try {
+    const access = await accessOf(req);
+    if (access.scope !== 'all' && !await canManageAgent(req, req.params.agentId)) {
+      return forbidden(res);
+    }
+    const calendar = await appointmentService.getCalendar(req.params.agentId, req.agencyId);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="appointments-${req.params.agentId}.ics"`);
+    res.status(HTTP_STATUS.OK).send(calendar);
+  } catch (error) {
+    handleError(res, error, 'Failed to export calendar');
+  }
+});
+
+// POST /api/appointments/agents/:agentId/calendar-feed - Secret subscription URL (replaces the previous one)
+router.post('/agents/:agentId/calendar-feed', async (req, res) => {
+  try {
+    if (!await canManageAgent(req, req.params.agentId)) {
+      return forbidden(res);
+    }
+    const feed = await appointmentService.createCalendarFeed(req.params.agentId, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, 'Calendar feed created successfully', feed));
+  } catch (error) {
+    handleError(res, error, 'Failed to create calendar feed');
+  }
+});
+
+// DELETE /api/appointments/agents/:agentId/calendar-feed - Revoke the subscription URL
+router.delete('/agents/:agentId/calendar-feed', async (req, res) => {
+  try {
+    if (!await canManageAgent(req, req.params.agentId)) {
+      return forbidden(res);
+    }
+    await appointmentService.revokeCalendarFeed(req.params.agentId, req.agencyId);
+    res.json(formatResponse(true, 'Calendar feed revoked successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to revoke calendar feed');
+  }
+});
+
+// GET /api/appointments/:id - Get an appointment
+router.get('/:id', async (req, res) => {
+  try {
+    const appointment = await appointmentService.findById(req.params.id, req.agencyId, await accessOf(req));
+    res.json(formatResponse(true, 'Appointment retrieved successfully', appointment));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch appointment');
+  }
+});
+
+// POST /api/appointments - Schedule a property visit or meeting and confirm it to the lead
+router.post('/', async (req, res) => {
+  try {
+    const result = await appointmentService.create(req.body, activityService.fromRequest(req), await accessOf(req));
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, 'Appointment scheduled successfully', result));
+  } catch (error) {
+    handleError(res, error, 'Failed to schedule appointment');
+  }
+});
+
+// PUT /api/appointments/:id - Update or reschedule an appointment
+router.put('/:id', async (req, res) => {
+  try {
+    const result = await appointmentService.update(req.params.id, req.body, activityService.fromRequest(req), await accessOf(req));
+    res.json(formatResponse(true, result.rescheduled ? 'Appointment rescheduled successfully' : 'Appointment updated successfully', result));
+  } catch (error) {
+    handleError(res, error, 'Failed to update appointment');
+  }
+});
+
+// POST /api/appointments/:id/cancel - Cancel an appointment ({ reason })
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const appointment = await appointmentService.cancel(
+      req.params.id,
+      { reason: req.body.reason },
+      activityService.fromRequest(req),
+      await accessOf(req)
+    );
+    res.json(formatResponse(true, 'Appointment cancelled successfully', appointment));
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel appointment');
+  }
+});
+
+// POST /api/appointments/:id/complete - Record the outcome ({ outcome, feedback, rating, noShow })
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const { outcome, feedback, rating, noShow } = req.body;
+    const appointment = await appointmentService.complete(
+      req.params.id,
+      { outcome, feedback, rating, noShow },
+      activityService.fromRequest(req),
+      await accessOf(req)
+    );
+
+    // A completed property visit means the lead has viewed the property
+    if (appointment.status === APPOINTMENT_STATUS.COMPLETED && appointment.type === APPOINTMENT_TYPES.PROPERTY_VISIT && appointment.propertyId) {
+      workflowService.handleEvent(WORKFLOW_TRIGGERS.PROPERTY_VIEWED, {
+        agencyId: req.agencyId,
+        leadId: appointment.leadId,
+        propertyId: appointment.propertyId
+      });
+    }
+
+    res.json(formatResponse(true, 'Appointment outcome recorded successfully', appointment));
+  } catch (error) {
+    handleError(res, error, 'Failed to complete appointment');
+  }
+});
+
+// DELETE /api/appointments/:id - Delete an appointment
+router.delete('/:id', async (req, res) => {
+  try {
+    await appointmentService.remove(req.params.id, activityService.fromRequest(req), await accessOf(req));
+    res.json(formatResponse(true, 'Appointment deleted successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to delete appointment');
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,48 @@
+const crypto = require('crypto');
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
-const { getModels } = require('../models');
+const { pool } = require('../config/database');
+const authService = require('../services/authService');
 const brevoService = require('../services/brevoService');
+const sessionService = require('../services/sessionService');
+const subscriptionService = require('../services/subscriptionService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+const { authMiddleware, authorize } = require('../middleware/auth');
+const { HTTP_STATUS, PERMISSIONS, RATE_LIMITS, USER_ROLES } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Rate limiting for auth endpoints
+// Rate limiting for auth endpoints; only failed attempts count
 const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per window
+  ...RATE_LIMITS.AUTH,
+  skipSuccessfulRequests: true,
   message: {
     error: 'Too many authentication attempts, please try again later.',
-    retryAfter: 900
+    retryAfter: RATE_LIMITS.AUTH.windowMs / 1000
   },
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Generate JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      agency_id: user.agency_id
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
-};
+// Endpoints that send emails or consume emailed tokens
+const emailLimiter = rateLimit({
+  ...RATE_LIMITS.EMAIL,
+  message: {
+    error: 'Too many email requests, please try again later.',
+    retryAfter: RATE_LIMITS.EMAIL.windowMs / 1000
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-// Generate refresh token
-const generateRefreshToken = (user) => {
-  return jwt.sign(
-    { id: user.id, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
-  );
-};
+// Client details recorded with logins
+const clientInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent') || null
+});
 
 // Login endpoint
 router.post('/login',
@@ -49,11 +50,11 @@ router.post('/login',
   [
     body('email')
       .isEmail()
-      .normalizeEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
       .withMessage('Please provide a valid email'),
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long')
+      .isLength({ min: 1 })
+      .withMessage('Password is required')
   ],
   async (req, res) => {
     try {
@@ -68,94 +69,485 @@ router.post('/login',
       }
 
       const { email, password } = req.body;
-      const agencyId = process.env.AGENCY_ID || 'default';
-
-      // Debug logging
-      console.log('=== LOGIN ATTEMPT DEBUG ===');
-      console.log('Email:', email);
-      console.log('Password provided:', !!password);
-      console.log('Expected agency_id:', agencyId);
-      console.log('Headers:', req.headers);
-      console.log('Body:', req.body);
-
-      // Get models
-      const models = getModels();
-      if (!models || !models.User) {
-        console.log('ERROR: Models not available');
-        return res.status(500).json({
+      const { user, ...tokens } = await authService.login(email, password, clientInfo(req));
+
+      // Second step: POST /2fa/verify (or /2fa/setup + /2fa/enable when the agency requires 2FA)
+      if (tokens.challengeToken) {
+        return res.json({
+          success: true,
+          message: tokens.twoFactor === 'setup'
+            ? 'Your agency requires two-factor authentication. Set it up to continue.'
+            : 'Enter the code from your authenticator app',
+          data: {
+            twoFactorRequired: tokens.twoFactor === 'required',
+            twoFactorSetupRequired: tokens.twoFactor === 'setup',
+            challengeToken: tokens.challengeToken,
+            challengeExpiresIn: tokens.challengeExpiresIn
+          }
+        });
+      }
+
+      logger.info(`User logged in successfully: ${user.id}`);
+
+      // user and token are also returned at the top level for the frontend AuthContext
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        data: {
+          user,
+          ...tokens
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof authService.AuthError) {
+        logger.warn(`Failed login attempt for email: ${req.body.email}`);
+        if (error.details.retryAfter) {
+          res.set('Retry-After', String(error.details.retryAfter));
+        }
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Database not initialized'
+          message: error.message
         });
       }
 
-      // Find user by email and agency
-      console.log('Searching for user with:', { email, agency_id: agencyId, status: 'active' });
-      const user = await models.User.findOne({
-        where: {
-          email,
-          agency_id: agencyId,
-          status: 'active'
+      logger.error('Login error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+// AuthError -> its status code; anything else is a 500
+const sendAuthError = (res, error, context) => {
+  if (error instanceof authService.AuthError) {
+    if (error.details.retryAfter) {
+      res.set('Retry-After', String(error.details.retryAfter));
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  logger.error(`${context} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Internal server error'
+  });
+};
+
+// 2FA enrollment is done logged in, or with the challenge token of a login that requires it
+const enrollingUser = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    req.challengeUser = await authService.resolveChallenge(req.body.challengeToken, 'setup');
+    next();
+  } catch (error) {
+    sendAuthError(res, error, '2FA challenge');
+  }
+};
+
+// POST /api/auth/2fa/verify - Second step of a login: authenticator `code` or `backupCode`
+router.post('/2fa/verify', authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    const { user, backupCodesRemaining, ...tokens } = await authService.completeTwoFactorLogin(
+      challengeToken, { code, backupCode }, clientInfo(req)
+    );
+
+    logger.info(`User logged in with 2FA: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      data: {
+        user,
+        ...tokens,
+        backupCodesRemaining
+      }
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA verify');
+  }
+});
+
+// GET /api/auth/2fa - 2FA state of the current user
+router.get('/2fa', authMiddleware, async (req, res) => {
+  try {
+    const user = await authService.findById(req.user.id);
+    res.json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: await twoFactorService.getStatus(user)
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA status');
+  }
+});
+
+// POST /api/auth/2fa/setup - New secret and otpauth:// URI to show as a QR code
+router.post('/2fa/setup', enrollingUser, async (req, res) => {
+  try {
+    const user = req.challengeUser || await authService.findById(req.user.id);
+    const { secret, otpauthUri } = await authService.setupTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA setup');
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm the setup with a code; returns the backup codes once
+router.post('/2fa/enable', authLimiter, enrollingUser, async (req, res) => {
+  try {
+    const user = req.challengeUser || await authService.findById(req.user.id);
+    const backupCodes = await authService.enableTwoFactor(user, req.body.code, clientInfo(req));
+
+    logger.info(`2FA enabled for user: ${user.id}`);
+
+    // Enrollment forced at login: the login completes now
+    if (req.challengeUser) {
+      const { user: loggedIn, ...tokens } = await authService.finishLogin(user, clientInfo(req));
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        user: loggedIn,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        data: {
+          user: loggedIn,
+          ...tokens,
+          backupCodes
         }
       });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA enable');
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn 2FA off (`password` and `code` or `backupCode`)
+router.post('/2fa/disable', authMiddleware, authLimiter, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await authService.findById(req.user.id);
+    await authService.disableTwoFactor(user, password, { code, backupCode }, clientInfo(req));
+
+    logger.info(`2FA disabled for user: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA disable');
+  }
+});
+
+// POST /api/auth/2fa/backup-codes - Replace the backup codes (`password` and `code`)
+router.post('/2fa/backup-codes', authMiddleware, authLimiter, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    const user = await authService.findById(req.user.id);
+    const backupCodes = await authService.regenerateBackupCodes(user, password, { code, backupCode }, clientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. The previous codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    sendAuthError(res, error, '2FA backup codes');
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { user, ...tokens } = await authService.refresh(req.body.refreshToken, clientInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      data: {
+        user,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error instanceof authService.AuthError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /api/auth/logout - Close the current session
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await authService.logout(req.user, req.user.sessionId, req.body.refreshToken, clientInfo(req));
+
+    logger.info(`User logged out: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/sessions - Devices the current user is logged in on
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: sessions.map(session => sessionService.format(session, req.user.sessionId))
+    });
+  } catch (error) {
+    logger.error('Sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Log out one device
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await sessionService.revoke(req.params.id, req.user.id);
+    if (!revoked) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    logger.info(`Session ${req.params.id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: { id: req.params.id, current: req.params.id === req.user.sessionId }
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-      console.log('User found:', !!user);
-      if (user) {
-        console.log('User details:', {
-          id: user.id,
-          email: user.email,
-          agency_id: user.agency_id,
-          status: user.status
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+  emailLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
+      .withMessage('Please provide a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      if (!user) {
-        console.log('ERROR: User not found with provided criteria');
-        logger.warn(`Failed login attempt for email: ${email}`);
-        return res.status(401).json({
+      await authService.requestPasswordReset(req.body.email, clientInfo(req));
+
+      // Same answer whether or not the email has an account
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/auth/reset-password - Set a new password with the emailed token
+router.post('/reset-password',
+  emailLimiter,
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Invalid email or password'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      // Validate password
-      console.log('Validating password...');
-      const isValidPassword = await user.validatePassword(password);
-      console.log('Password valid:', isValidPassword);
+      const user = await authService.resetPassword(req.body.token, req.body.password, clientInfo(req));
+
+      logger.info(`Password reset for user: ${user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+    } catch (error) {
+      if (error instanceof authService.AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
 
-      if (!isValidPassword) {
-        console.log('ERROR: Password validation failed');
-        logger.warn(`Failed login attempt for user: ${user.id}`);
-        return res.status(401).json({
+// POST /api/auth/verify-email - Confirm an email address with the emailed token
+router.post('/verify-email',
+  emailLimiter,
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('Verification token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          message: 'Invalid email or password'
+          message: 'Validation failed',
+          errors: errors.array()
         });
       }
 
-      // Update last login
-      console.log('Updating last login...');
-      await user.update({ last_login: new Date() });
+      const user = await authService.verifyEmail(req.body.token, clientInfo(req));
 
-      // Generate tokens
-      console.log('Generating tokens...');
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
+      // The account is usable now: send the welcome email
+      try {
+        await brevoService.sendWelcomeEmail(user);
+      } catch (emailError) {
+        logger.warn('Failed to send welcome email:', emailError);
+      }
 
-      console.log('LOGIN SUCCESS for user:', user.id);
-      logger.info(`User logged in successfully: ${user.id}`);
+      logger.info(`Email verified for user: ${user.id}`);
 
       res.json({
         success: true,
-        message: 'Login successful',
+        message: 'Email verified successfully',
         data: {
-          user: user.toJSON(),
-          token,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+          user: authService.formatUser(user)
         }
       });
+    } catch (error) {
+      if (error instanceof authService.AuthError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
 
+      logger.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+);
+
+// POST /api/auth/resend-verification - Send a new verification link
+router.post('/resend-verification',
+  emailLimiter,
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
+      .withMessage('Please provide a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      await authService.resendEmailVerification(req.body.email);
+
+      res.json({
+        success: true,
+        message: 'If this email has an unverified account, a new verification link has been sent'
+      });
     } catch (error) {
-      logger.error('Login error:', error);
+      logger.error('Resend verification error:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
@@ -164,6 +556,47 @@ router.post('/login',
   }
 );
 
+// GET /api/auth/me - Current user (GET /api/auth/verify is kept for older clients)
+router.get(['/me', '/verify'], authMiddleware, async (req, res) => {
+  try {
+    const user = await authService.findById(req.user.id);
+    res.json({
+      success: true,
+      message: 'Token is valid',
+      user: authService.formatUser(user),
+      data: authService.formatUser(user)
+    });
+  } catch (error) {
+    logger.error('Profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /api/auth/permissions - Effective permissions of the current user (drives the frontend UI)
+router.get('/permissions', authMiddleware, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      message: 'Permissions retrieved successfully',
+      data: {
+        role: req.user.role,
+        permissions: await permissionService.getPermissions(req.user),
+        leadScope: await permissionService.getLeadScope(req.user),
+        available: Object.values(PERMISSIONS)
+      }
+    });
+  } catch (error) {
+    logger.error('Permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Trial signup endpoint
 router.post('/trial-signup',
   authLimiter,
@@ -203,7 +636,6 @@ router.post('/trial-signup',
       const { email, password, firstName, lastName, companyName } = req.body;
 
       // Create trial subscription using subscription service
-      const subscriptionService = require('../services/subscriptionService');
       const result = await subscriptionService.createTrialSubscription({
         email,
         password,
@@ -212,14 +644,18 @@ router.post('/trial-signup',
         companyName
       }, 'starter');
 
-      // Generate JWT token for the user
-      const token = generateToken(result.user);
+      // No session until the email is confirmed: the user logs in after following the link
+      try {
+        await authService.sendEmailVerification(result.user);
+      } catch (emailError) {
+        logger.warn('Failed to send verification email:', emailError);
+      }
 
       logger.info(`Trial signup successful for: ${result.user.id}`);
 
       res.status(201).json({
         success: true,
-        message: 'Trial account created successfully',
+        message: 'Trial account created. Confirm your email address with the link we sent you to log in.',
         data: {
           user: {
             id: result.user.id,
@@ -228,7 +664,7 @@ router.post('/trial-signup',
             lastName: result.user.last_name,
             role: result.user.role
           },
-          token,
+          emailVerificationRequired: true,
           subscription: {
             id: result.subscription.id,
             planName: result.plan.name,
@@ -257,16 +693,18 @@ router.post('/trial-signup',
   }
 );
 
-// Register endpoint (for creating new users)
+// Register endpoint (managers create users in their own agency)
 router.post('/register',
+  authMiddleware,
+  authorize([USER_ROLES.MANAGER]),
   [
     body('email')
       .isEmail()
-      .normalizeEmail()
+      .normalizeEmail({ gmail_remove_dots: false })
       .withMessage('Please provide a valid email'),
     body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long'),
     body('first_name')
       .trim()
       .isLength({ min: 1, max: 50 })
@@ -276,7 +714,7 @@ router.post('/register',
       .isLength({ min: 1, max: 50 })
       .withMessage('Last name is required and must be less than 50 characters'),
     body('role')
-      .isIn(['manager', 'super_agent', 'agent'])
+      .isIn(Object.values(USER_ROLES))
       .withMessage('Invalid role specified')
   ],
   async (req, res) => {
@@ -292,26 +730,15 @@ router.post('/register',
       }
 
       const { email, password, first_name, last_name, role, phone } = req.body;
-      const agencyId = process.env.AGENCY_ID || 'default';
-
-      // Get models
-      const models = getModels();
-      if (!models || !models.User) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database not initialized'
-        });
-      }
+      const agencyId = req.user.agencyId;
 
       // Check if user already exists
-      const existingUser = await models.User.findOne({
-        where: {
-          email,
-          agency_id: agencyId
-        }
-      });
+      const existingUser = await pool.query(
+        'SELECT id FROM users WHERE LOWER(email) = LOWER($1) AND agency_id = $2',
+        [email, agencyId]
+      );
 
-      if (existingUser) {
+      if (existingUser.rows.length > 0) {
         return res.status(409).json({
           success: false,
           message: 'User with this email already exists'
@@ -319,38 +746,30 @@ router.post('/register',
       }
 
       // Create new user
-      const user = await models.User.create({
-        email,
-        password,
-        first_name,
-        last_name,
-        role,
-        phone,
-        agency_id: agencyId,
-        status: 'active'
-      });
-
-      // Send welcome email
+      const result = await pool.query(`
+        INSERT INTO users (id, email, password, first_name, last_name, role, phone, agency_id, status, email_verified, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', false, NOW(), NOW())
+        RETURNING *
+      `, [
+        crypto.randomUUID(), email, await authService.hashPassword(password),
+        first_name, last_name, role, phone || null, agencyId
+      ]);
+      const user = result.rows[0];
+
+      // The user confirms their email before the first login; the welcome email follows
       try {
-        await brevoService.sendWelcomeEmail(user);
+        await authService.sendEmailVerification(user);
       } catch (emailError) {
-        logger.warn('Failed to send welcome email:', emailError);
+        logger.warn('Failed to send verification email:', emailError);
       }
 
-      // Generate tokens
-      const token = generateToken(user);
-      const refreshToken = generateRefreshToken(user);
-
       logger.info(`New user registered: ${user.id}`);
 
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
         data: {
-          user: user.toJSON(),
-          token,
-          refreshToken,
-          expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+          user: authService.formatUser(user)
         }
       });
 
@@ -1,18 +1,129 @@
 const express = require('express');
 const router = express.Router();
+const workflowService = require('../services/workflowService');
+const activityService = require('../services/activityService');
 const { HTTP_STATUS } = require('../utils/constants');
 const { formatResponse } = require('../utils/helpers');
 
-// GET /api/automation - Get automation rules
+// Send workflow validation errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof workflowService.WorkflowError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/automation - Get automation workflows (filters: trigger, status)
 router.get('/', async (req, res) => {
   try {
+    const workflows = await workflowService.list(req.agencyId, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Automation rules retrieved successfully', workflows)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve automation rules');
+  }
+});
+
+// GET /api/automation/options - Supported triggers, actions, conditions and placeholders
+router.get('/options', (req, res) => {
+  res.status(HTTP_STATUS.OK).json(
+    formatResponse(true, 'Automation options retrieved successfully', workflowService.getOptions())
+  );
+});
+
+// GET /api/automation/runs - Run log of all workflows (filters: workflowId, leadId, status)
+router.get('/runs', async (req, res) => {
+  try {
+    const { runs, pagination } = await workflowService.getRuns(req.agencyId, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Workflow runs retrieved successfully', runs, pagination)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve workflow runs');
+  }
+});
+
+// GET /api/automation/:id - Get a workflow
+router.get('/:id', async (req, res) => {
+  try {
+    const workflow = await workflowService.findById(req.params.id, req.agencyId);
+    if (!workflow) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, 'Workflow not found'));
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Workflow retrieved successfully', workflowService.format(workflow))
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve workflow');
+  }
+});
+
+// POST /api/automation - Create a workflow
+router.post('/', async (req, res) => {
+  try {
+    const workflow = await workflowService.create(req.body, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.CREATED).json(
+      formatResponse(true, 'Workflow created successfully', workflow)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to create workflow');
+  }
+});
+
+// PUT /api/automation/:id - Update a workflow (status: active | paused to toggle it)
+router.put('/:id', async (req, res) => {
+  try {
+    const workflow = await workflowService.update(req.params.id, req.body, activityService.fromRequest(req));
     res.status(HTTP_STATUS.OK).json(
-      formatResponse(true, 'Automation rules retrieved successfully', [])
+      formatResponse(true, 'Workflow updated successfully', workflow)
     );
   } catch (error) {
-    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
-      formatResponse(false, 'Failed to retrieve automation rules')
+    handleError(res, error, 'Failed to update workflow');
+  }
+});
+
+// DELETE /api/automation/:id - Delete a workflow (its run log is kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    await workflowService.remove(req.params.id, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Workflow deleted successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to delete workflow');
+  }
+});
+
+// POST /api/automation/:id/run - Run a workflow now on the given leads ({ leadIds: [...] })
+router.post('/:id/run', async (req, res) => {
+  try {
+    const runs = await workflowService.runManually(
+      req.params.id,
+      req.body.leadIds || req.body.leadId,
+      activityService.fromRequest(req)
+    );
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Workflow executed', runs));
+  } catch (error) {
+    handleError(res, error, 'Failed to run workflow');
+  }
+});
+
+// GET /api/automation/:id/runs - Run log of a workflow
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const { runs, pagination } = await workflowService.getRuns(req.agencyId, {
+      ...req.query,
+      workflowId: req.params.id
+    });
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Workflow runs retrieved successfully', runs, pagination)
     );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve workflow runs');
   }
 });
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const brochureService = require('../services/brochureService');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// GET /api/brochures/:token.pdf - Brochure sent to a lead (no login: Twilio and Brevo download it
+// with the signed link until it expires)
+router.get('/:token.pdf', async (req, res) => {
+  try {
+    const brochure = await brochureService.getByToken(req.params.token);
+    if (!brochure) {
+      return res.status(HTTP_STATUS.NOT_FOUND).send('Brochure not found');
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${brochure.filename}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(HTTP_STATUS.OK).send(brochure.buffer);
+  } catch (error) {
+    console.error('❌ Failed to load brochure:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).send('Brochure unavailable');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const appointmentService = require('../services/appointmentService');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// GET /api/calendar/:token.ics - Agent calendar feed for calendar apps (no login: the URL is the secret)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const calendar = await appointmentService.getCalendarByToken(req.params.token);
+    if (!calendar) {
+      return res.status(HTTP_STATUS.NOT_FOUND).send('Calendar not found');
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.status(HTTP_STATUS.OK).send(calendar);
+  } catch (error) {
+    console.error('❌ Failed to load calendar feed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).send('Calendar unavailable');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const campaignService = require('../services/campaignService');
+const activityService = require('../services/activityService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send campaign errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof campaignService.CampaignError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/campaigns - Campaigns with their stats, newest first (filter: status)
+router.get('/', async (req, res) => {
+  try {
+    const { campaigns, pagination } = await campaignService.list(req.user, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaigns retrieved successfully', campaigns, pagination)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve campaigns');
+  }
+});
+
+// POST /api/campaigns/segment-preview - Leads a segment reaches ({ channel, segment })
+router.post('/segment-preview', async (req, res) => {
+  try {
+    const preview = await campaignService.previewSegment(req.agencyId, req.body, req.user);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Segment preview generated', preview)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to preview segment');
+  }
+});
+
+// POST /api/campaigns - Create a draft, or a scheduled campaign with scheduledAt
+// ({ name, channel, templateKey, subject, message, segment, scheduledAt, ratePerMinute })
+router.post('/', async (req, res) => {
+  try {
+    const campaign = await campaignService.create(req.body, activityService.fromRequest(req), req.user);
+    res.status(HTTP_STATUS.CREATED).json(
+      formatResponse(true, 'Campaign created successfully', campaign)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to create campaign');
+  }
+});
+
+// GET /api/campaigns/:id - Campaign with its delivery, reply and click stats
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await campaignService.get(req.params.id, req.user);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign retrieved successfully', campaign)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve campaign');
+  }
+});
+
+// GET /api/campaigns/:id/recipients - Recipients and the state of their message (filter: status)
+router.get('/:id/recipients', async (req, res) => {
+  try {
+    const { recipients, pagination } = await campaignService.getRecipients(req.params.id, req.user, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign recipients retrieved successfully', recipients, pagination)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve campaign recipients');
+  }
+});
+
+// POST /api/campaigns/:id/preview - Message as a lead of the segment will get it ({ leadId? })
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const preview = await campaignService.previewMessage(req.params.id, req.user, req.body.leadId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign preview generated', preview)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to preview campaign');
+  }
+});
+
+// PUT /api/campaigns/:id - Edit a draft or scheduled campaign (scheduledAt: null makes it a draft)
+router.put('/:id', async (req, res) => {
+  try {
+    const campaign = await campaignService.update(req.params.id, req.body, activityService.fromRequest(req), req.user);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign updated successfully', campaign)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to update campaign');
+  }
+});
+
+// POST /api/campaigns/:id/send - Send now; messages are queued at the campaign's rate
+router.post('/:id/send', async (req, res) => {
+  try {
+    const campaign = await campaignService.sendNow(req.params.id, req.user);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign sending started', campaign)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to send campaign');
+  }
+});
+
+// POST /api/campaigns/:id/cancel - Cancel; messages still waiting in the queue are withdrawn
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const campaign = await campaignService.cancel(req.params.id, req.user);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Campaign cancelled', campaign)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to cancel campaign');
+  }
+});
+
+// DELETE /api/campaigns/:id - Delete a campaign that was never sent
+router.delete('/:id', async (req, res) => {
+  try {
+    await campaignService.remove(req.params.id, req.user);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Campaign deleted successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to delete campaign');
+  }
+});
+
+module.exports = router;
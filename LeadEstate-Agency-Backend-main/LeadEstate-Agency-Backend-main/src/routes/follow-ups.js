@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const followUpService = require('../services/followUpService');
+const activityService = require('../services/activityService');
+const permissionService = require('../services/permissionService');
+const workflowService = require('../services/workflowService');
+const { FOLLOW_UP_TYPES, WORKFLOW_TRIGGERS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send follow-up validation errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof followUpService.FollowUpError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Lead scope of the caller: users with leads.read.own only see follow-ups of their own leads
+const accessOf = async (req) => ({ user: req.user, scope: await permissionService.getLeadScope(req.user) });
+
+// GET /api/follow-ups - List follow-ups
+// Query: status (pending, overdue, completed, cancelled), priority, type, assignedTo,
+// leadId, propertyId, dueFrom, dueTo, page, limit
+router.get('/', async (req, res) => {
+  try {
+    const { followUps, pagination } = await followUpService.list(req.agencyId, req.query, await accessOf(req));
+    res.json(formatResponse(true, 'Follow-ups retrieved successfully', followUps, pagination));
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch follow-ups');
+  }
+});
+
+// GET /api/follow-ups/summary - Follow-up counts per status
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await followUpService.summary(req.agencyId, { assignedTo: req.query.assignedTo }, await accessOf(req));
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch follow-up summary');
+  }
+});
+
+// GET /api/follow-ups/:id - Get a follow-up
+router.get('/:id', async (req, res) => {
+  try {
+    const followUp = await followUpService.findById(req.params.id, req.agencyId, await accessOf(req));
+    if (!followUp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow-up not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: followUp
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to fetch follow-up');
+  }
+});
+
+// POST /api/follow-ups - Schedule a follow-up
+router.post('/', async (req, res) => {
+  try {
+    const followUp = await followUpService.create(req.body, activityService.fromRequest(req), await accessOf(req));
+    res.status(201).json({
+      success: true,
+      data: followUp,
+      message: 'Follow-up created successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create follow-up');
+  }
+});
+
+// PUT /api/follow-ups/:id - Update, reschedule, reassign or cancel a follow-up
+router.put('/:id', async (req, res) => {
+  try {
+    const followUp = await followUpService.update(req.params.id, req.body, activityService.fromRequest(req), await accessOf(req));
+    res.json({
+      success: true,
+      data: followUp,
+      message: 'Follow-up updated successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update follow-up');
+  }
+});
+
+// POST /api/follow-ups/:id/complete - Complete a follow-up (schedules the next occurrence if recurring)
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const result = await followUpService.complete(
+      req.params.id,
+      { outcome: req.body.outcome },
+      activityService.fromRequest(req),
+      await accessOf(req)
+    );
+
+    // A completed property visit means the lead has viewed the property
+    const { followUp } = result;
+    if (followUp.type === FOLLOW_UP_TYPES.PROPERTY_VISIT && followUp.leadId && followUp.propertyId) {
+      workflowService.handleEvent(WORKFLOW_TRIGGERS.PROPERTY_VIEWED, {
+        agencyId: req.agencyId,
+        leadId: followUp.leadId,
+        propertyId: followUp.propertyId
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Follow-up completed successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to complete follow-up');
+  }
+});
+
+// DELETE /api/follow-ups/:id - Delete a follow-up
+router.delete('/:id', async (req, res) => {
+  try {
+    await followUpService.remove(req.params.id, activityService.fromRequest(req), await accessOf(req));
+    res.json({
+      success: true,
+      message: 'Follow-up deleted successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete follow-up');
+  }
+});
+
+module.exports = router;
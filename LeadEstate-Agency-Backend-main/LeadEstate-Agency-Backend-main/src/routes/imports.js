@@ -0,0 +1,159 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const importService = require('../services/importService');
+const activityService = require('../services/activityService');
+const { HTTP_STATUS, FILE_SIZE_LIMITS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Files are parsed in memory and only their rows are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_SIZE_LIMITS.SPREADSHEET }
+});
+
+// Send import validation errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof importService.ImportError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// Accept a single spreadsheet in the "file" field, reporting upload errors as 400
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${FILE_SIZE_LIMITS.SPREADSHEET / (1024 * 1024)}MB)`
+        : error.message;
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(false, message));
+    }
+    next();
+  });
+};
+
+// GET /api/leads/imports - Import jobs, newest first (filter: status)
+router.get('/', async (req, res) => {
+  try {
+    const { jobs, pagination } = await importService.list(req.agencyId, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Imports retrieved successfully', jobs, pagination)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve imports');
+  }
+});
+
+// GET /api/leads/imports/fields - Lead fields columns can be mapped to
+router.get('/fields', (req, res) => {
+  res.status(HTTP_STATUS.OK).json(
+    formatResponse(true, 'Import fields retrieved successfully', importService.getFields())
+  );
+});
+
+// GET /api/leads/imports/mappings - Saved column mappings
+router.get('/mappings', async (req, res) => {
+  try {
+    const mappings = await importService.listMappings(req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Mappings retrieved successfully', mappings)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve mappings');
+  }
+});
+
+// POST /api/leads/imports/mappings - Save a column mapping ({ name, mapping })
+router.post('/mappings', async (req, res) => {
+  try {
+    const mapping = await importService.saveMapping(req.body, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.CREATED).json(
+      formatResponse(true, 'Mapping saved successfully', mapping)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to save mapping');
+  }
+});
+
+// DELETE /api/leads/imports/mappings/:mappingId - Delete a saved mapping
+router.delete('/mappings/:mappingId', async (req, res) => {
+  try {
+    await importService.removeMapping(req.params.mappingId, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Mapping deleted successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to delete mapping');
+  }
+});
+
+// POST /api/leads/imports - Upload a CSV/XLSX file; returns its columns and a suggested mapping
+router.post('/', uploadFile, async (req, res) => {
+  try {
+    const job = await importService.create(req.file, activityService.fromRequest(req), {
+      mappingId: req.body.mappingId
+    });
+    res.status(HTTP_STATUS.CREATED).json(
+      formatResponse(true, 'File uploaded successfully', job)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to upload import file');
+  }
+});
+
+// GET /api/leads/imports/:id - Import status and progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await importService.findById(req.params.id, req.agencyId);
+    if (!job) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, 'Import not found'));
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Import retrieved successfully', importService.format(job))
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve import');
+  }
+});
+
+// POST /api/leads/imports/:id/preview - Dry run ({ mapping | mappingId, onDuplicate, defaults })
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const preview = await importService.preview(req.params.id, req.body, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Import preview generated', preview)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to preview import');
+  }
+});
+
+// POST /api/leads/imports/:id/commit - Start the import in the background; poll GET /:id for progress
+router.post('/:id/commit', async (req, res) => {
+  try {
+    const job = await importService.commit(req.params.id, req.body, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.ACCEPTED).json(
+      formatResponse(true, 'Import started', job)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to start import');
+  }
+});
+
+// GET /api/leads/imports/:id/errors - Download the row errors of the last preview or import as CSV
+router.get('/:id/errors', async (req, res) => {
+  try {
+    const report = await importService.getErrorReport(req.params.id, req.agencyId);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.fileName.replace(/"/g, '')}"`);
+    res.status(HTTP_STATUS.OK).send(report.content);
+  } catch (error) {
+    handleError(res, error, 'Failed to generate error report');
+  }
+});
+
+module.exports = router;
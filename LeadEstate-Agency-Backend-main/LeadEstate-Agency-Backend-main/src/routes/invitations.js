@@ -151,14 +151,15 @@ router.post('/agent', async (req, res) => {
     const invitationToken = generateInvitationToken();
     const expiresAt = new Date(Date.now() + (expiresInDays * 24 * 60 * 60 * 1000));
 
-    // Create pending user record
+    // Create pending user record, bound to the inviting manager's agency (the agency name
+    // is only shown in emails, account setup joins the agency stored here)
     const userId = crypto.randomUUID();
     await pool.query(`
       INSERT INTO users (
         id, email, first_name, role, status, 
         invitation_token, invitation_sent_at, invitation_expires_at,
-        agency_name, invited_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        agency_name, invited_by, agency_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     `, [
       userId,
       agentEmail,
@@ -169,7 +170,8 @@ router.post('/agent', async (req, res) => {
       new Date(),
       expiresAt,
       agencyName,
-      managerName
+      managerName,
+      req.user.agencyId
     ]);
 
     // Create setup link
@@ -184,7 +186,8 @@ router.post('/agent', async (req, res) => {
       role,
       setupLink,
       expiresIn: `${expiresInDays} days`,
-      agencyInfo
+      agencyInfo,
+      agencyId: req.user.agencyId
     });
 
     if (!emailResult.success) {
@@ -228,8 +231,8 @@ router.post('/resend', async (req, res) => {
     // Get user invitation details
     const userResult = await pool.query(`
       SELECT * FROM users 
-      WHERE id = $1 AND status = 'invited' AND invitation_expires_at > NOW()
-    `, [userId]);
+      WHERE id = $1 AND agency_id = $2 AND status = 'invited' AND invitation_expires_at > NOW()
+    `, [userId, req.user.agencyId]);
 
     if (userResult.rows.length === 0) {
       return res.status(404).json({
@@ -250,7 +253,8 @@ router.post('/resend', async (req, res) => {
         agencyName: user.agency_name,
         invitedBy: user.invited_by,
         setupLink,
-        expiresIn: '48 hours'
+        expiresIn: '48 hours',
+        agencyId: user.agency_id
       });
     } else {
       emailResult = await brevoService.sendAgentInvitation({
@@ -260,7 +264,8 @@ router.post('/resend', async (req, res) => {
         managerName: user.invited_by,
         role: user.role,
         setupLink,
-        expiresIn: '7 days'
+        expiresIn: '7 days',
+        agencyId: user.agency_id
       });
     }
 
@@ -298,9 +303,9 @@ router.get('/pending', async (req, res) => {
           ELSE 'pending'
         END as invitation_status
       FROM users 
-      WHERE status = 'invited'
+      WHERE status = 'invited' AND agency_id = $1
       ORDER BY invitation_sent_at DESC
-    `);
+    `, [req.user.agencyId]);
 
     res.json({
       success: true,
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const messageQueueService = require('../services/messageQueueService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send queue errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof messageQueueService.MessageQueueError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/message-queue/status - Jobs per status and channel, backlog, throttling and worker state
+router.get('/status', async (req, res) => {
+  try {
+    const stats = await messageQueueService.getStats(req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Message queue status retrieved successfully', stats)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve message queue status');
+  }
+});
+
+// GET /api/message-queue - Queued messages, newest first (filters: status, channel, leadId)
+router.get('/', async (req, res) => {
+  try {
+    const { messages, pagination } = await messageQueueService.list(req.agencyId, req.query);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Queued messages retrieved successfully', messages, pagination)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve queued messages');
+  }
+});
+
+// GET /api/message-queue/:id - A queued message with its attempts and last error
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await messageQueueService.findById(req.params.id, req.agencyId);
+    if (!job) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, 'Queued message not found'));
+    }
+
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Queued message retrieved successfully', messageQueueService.format(job))
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve queued message');
+  }
+});
+
+// POST /api/message-queue/:id/retry - Send a dead-letter message again
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await messageQueueService.retry(req.params.id, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Message queued for retry', job));
+  } catch (error) {
+    handleError(res, error, 'Failed to retry message');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const { generateToken, verifyToken } = require('../utils/helpers');
 
 // Try to load optional dependencies
 let pool = null;
@@ -37,7 +40,7 @@ try {
 router.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-owner-api-key');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-owner-api-key, x-owner-session');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -47,6 +50,153 @@ router.use((req, res, next) => {
   next();
 });
 
+// With OWNER_TOTP_SECRET set, the owner exchanges a TOTP code for a session token
+// (POST /auth/verify-otp) sent as x-owner-session with the API key
+const OWNER_SESSION_TTL = '12h';
+const OWNER_SESSION_PURPOSE = 'owner_session';
+const OWNER_OTP_STATE_ID = 'owner';
+
+// Lockout and replay state of the owner TOTP, kept in owner_two_factor_state
+const getOwnerOtpState = async () => {
+  const result = await pool.query(
+    'SELECT failed_attempts, locked_until, last_step FROM owner_two_factor_state WHERE id = $1',
+    [OWNER_OTP_STATE_ID]
+  );
+  return result.rows[0] || { failed_attempts: 0, locked_until: null, last_step: null };
+};
+
+// Same limits as user logins (system_settings max_login_attempts / login_lockout_minutes)
+const recordOwnerOtpFailure = async () => {
+  const { maxLoginAttempts, lockoutMinutes } = await authService.getSecuritySettings();
+  const result = await pool.query(`
+    UPDATE owner_two_factor_state SET
+      failed_attempts = CASE
+        WHEN locked_until IS NOT NULL AND locked_until <= NOW() THEN 1
+        ELSE COALESCE(failed_attempts, 0) + 1
+      END
+    WHERE id = $1
+    RETURNING failed_attempts
+  `, [OWNER_OTP_STATE_ID]);
+
+  if (result.rows[0] && result.rows[0].failed_attempts >= maxLoginAttempts) {
+    await pool.query(
+      'UPDATE owner_two_factor_state SET failed_attempts = 0, locked_until = NOW() + make_interval(mins => $2) WHERE id = $1',
+      [OWNER_OTP_STATE_ID, lockoutMinutes]
+    );
+    console.log(`🔒 Owner API two-factor locked for ${lockoutMinutes} minutes`);
+  }
+};
+
+// Accept a time step only once, even when two requests bring the same code
+const acceptOwnerOtpStep = async (step) => {
+  const result = await pool.query(`
+    UPDATE owner_two_factor_state SET failed_attempts = 0, last_step = $2
+    WHERE id = $1 AND (last_step IS NULL OR last_step < $2)
+    RETURNING id
+  `, [OWNER_OTP_STATE_ID, step]);
+  return result.rows.length > 0;
+};
+
+const hasOwnerApiKey = (req) => {
+  const ownerApiKey = req.headers['x-owner-api-key'];
+  return Boolean(ownerApiKey) && ownerApiKey === process.env.OWNER_API_KEY;
+};
+
+// Middleware to verify owner dashboard requests
+const verifyOwnerRequest = (req, res, next) => {
+  if (!hasOwnerApiKey(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid owner API key'
+    });
+  }
+
+  if (process.env.OWNER_TOTP_SECRET) {
+    try {
+      const decoded = verifyToken(String(req.headers['x-owner-session'] || ''));
+      if (decoded.purpose !== OWNER_SESSION_PURPOSE) {
+        throw new Error('Not an owner session');
+      }
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized: two-factor verification required',
+        twoFactorRequired: true
+      });
+    }
+  }
+
+  next();
+};
+
+// POST /api/owner-integration/auth/verify-otp - Exchange a TOTP code for an owner session token
+router.post('/auth/verify-otp', async (req, res) => {
+  if (!hasOwnerApiKey(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized: Invalid owner API key'
+    });
+  }
+
+  if (!process.env.OWNER_TOTP_SECRET) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not configured for the owner API'
+    });
+  }
+
+  if (!pool) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database not available'
+    });
+  }
+
+  try {
+    const state = await getOwnerOtpState();
+    if (state.locked_until && new Date(state.locked_until) > new Date()) {
+      const retryAfter = Math.ceil((new Date(state.locked_until) - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({
+        success: false,
+        message: `Too many invalid codes. Try again in ${Math.ceil(retryAfter / 60)} minutes.`
+      });
+    }
+
+    const step = twoFactorService.verifyTotp(process.env.OWNER_TOTP_SECRET, req.body.code, state.last_step);
+    if (step === null || !(await acceptOwnerOtpStep(step))) {
+      await recordOwnerOtpFailure();
+      if (auditService) {
+        await auditService.log({ action: auditService.actionTypes.TWO_FACTOR_FAILED, resourceType: 'owner', ipAddress: req.ip });
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (auditService) {
+      await auditService.log({ action: auditService.actionTypes.USER_LOGIN, resourceType: 'owner', ipAddress: req.ip });
+    }
+
+    res.json({
+      success: true,
+      message: 'Owner session started',
+      data: {
+        sessionToken: generateToken({ purpose: OWNER_SESSION_PURPOSE }, OWNER_SESSION_TTL),
+        expiresIn: OWNER_SESSION_TTL
+      }
+    });
+  } catch (error) {
+    console.error('❌ Owner two-factor verification failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify authentication code',
+      error: error.message
+    });
+  }
+});
+
 // Simple test route (no authentication required)
 router.get('/test', (req, res) => {
   res.json({
@@ -58,7 +208,7 @@ router.get('/test', (req, res) => {
 });
 
 // Dashboard stats from database
-router.get('/dashboard/stats', async (req, res) => {
+router.get('/dashboard/stats', verifyOwnerRequest, async (req, res) => {
   try {
     // Check if database is available
     if (!pool) {
@@ -153,7 +303,7 @@ router.get('/dashboard/stats', async (req, res) => {
 });
 
 // Get agencies from database
-router.get('/agencies', async (req, res) => {
+router.get('/agencies', verifyOwnerRequest, async (req, res) => {
   try {
     const { status, search, limit = 50, offset = 0 } = req.query;
 
@@ -299,7 +449,7 @@ router.get('/agencies', async (req, res) => {
 });
 
 // Agency creation with database persistence
-router.post('/create-agency', async (req, res) => {
+router.post('/create-agency', verifyOwnerRequest, async (req, res) => {
   const { agencyName, managerName, managerEmail, city, plan, description } = req.body;
 
   // Debug: Log received data
@@ -577,22 +727,6 @@ router.post('/setup-database', async (req, res) => {
   }
 });
 
-// Middleware to verify owner dashboard requests
-const verifyOwnerRequest = (req, res, next) => {
-  const ownerApiKey = req.headers['x-owner-api-key'];
-
-  if (!ownerApiKey || ownerApiKey !== process.env.OWNER_API_KEY) {
-    return res.status(401).json({
-      success: false,
-      message: 'Unauthorized: Invalid owner API key'
-    });
-  }
-
-  next();
-};
-
-
-
 // GET /api/owner-integration/agencies-simple - Get agencies without joins (for testing)
 router.get('/agencies-simple', verifyOwnerRequest, async (req, res) => {
   try {
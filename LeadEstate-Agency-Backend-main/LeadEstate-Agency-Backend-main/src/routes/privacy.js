@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const consentService = require('../services/consentService');
+const privacyService = require('../services/privacyService');
+const activityService = require('../services/activityService');
+const { requirePermission, authorizeLeadAccess } = require('../middleware/auth');
+const { HTTP_STATUS, PERMISSIONS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send consent and privacy errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof consentService.ConsentError || error instanceof privacyService.PrivacyError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/leads/:id/consents - Consent per channel with its source and proof, and the history
+router.get('/:id/consents', authorizeLeadAccess(), async (req, res) => {
+  try {
+    const consents = await consentService.getConsents(req.params.id, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Consents retrieved successfully', consents)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve consents');
+  }
+});
+
+// POST /api/leads/:id/consents - Record consent given or withdrawn ({ channel, status, source, proof })
+router.post('/:id/consents', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess(), async (req, res) => {
+  try {
+    const change = consentService.normalize(req.body);
+    const { consent, changed } = await consentService.record(
+      { id: req.params.id, agency_id: req.agencyId },
+      { ...change, proof: consentService.withRequestProof(change.proof, { ipAddress: req.ip, userAgent: req.get('user-agent') }) },
+      activityService.fromRequest(req)
+    );
+    res.status(HTTP_STATUS.CREATED).json(
+      formatResponse(true, changed ? 'Consent recorded successfully' : 'Consent confirmed (unchanged)', consent)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to record consent');
+  }
+});
+
+// GET /api/leads/:id/personal-data - Everything stored about the lead (access request)
+router.get('/:id/personal-data', requirePermission(PERMISSIONS.LEADS_PRIVACY), authorizeLeadAccess(), async (req, res) => {
+  try {
+    const data = await privacyService.exportLeadData(req.params.id, activityService.fromRequest(req));
+    res.setHeader('Content-Disposition', `attachment; filename="lead-${req.params.id}-personal-data.json"`);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Personal data exported successfully', data)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to export personal data');
+  }
+});
+
+// DELETE /api/leads/:id/personal-data - Erase the lead's personal data, keeping it anonymized for analytics
+router.delete('/:id/personal-data', requirePermission(PERMISSIONS.LEADS_PRIVACY), authorizeLeadAccess(), async (req, res) => {
+  try {
+    const result = await privacyService.eraseLead(req.params.id, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Personal data erased successfully', result)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to erase personal data');
+  }
+});
+
+module.exports = router;
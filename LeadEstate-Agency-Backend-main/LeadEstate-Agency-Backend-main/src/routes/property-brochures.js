@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const brochureService = require('../services/brochureService');
+const storageService = require('../services/storageService');
+const activityService = require('../services/activityService');
+const permissionService = require('../services/permissionService');
+const { requirePermission } = require('../middleware/auth');
+const { HTTP_STATUS, PERMISSIONS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send brochure and storage errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof brochureService.BrochureError || error instanceof storageService.StorageError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// Users limited to their own leads can only prepare brochures for those
+const canUseLead = async (req, leadId) => !leadId || permissionService.canAccessLead(req.user, String(leadId));
+
+// GET /api/properties/:id/brochure.pdf - Property brochure (?leadId= in the lead's language, ?language=en|fr)
+router.get('/:id/brochure.pdf', requirePermission(PERMISSIONS.PROPERTIES_READ), async (req, res) => {
+  try {
+    if (!(await canUseLead(req, req.query.leadId))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, 'Lead not found'));
+    }
+
+    const brochure = await brochureService.generate(req.params.id, {
+      agencyId: req.agencyId,
+      leadId: req.query.leadId,
+      language: req.query.language,
+      user: req.user
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${brochure.filename}"`);
+    res.setHeader('Content-Language', brochure.language);
+    res.send(brochure.buffer);
+  } catch (error) {
+    handleError(res, error, 'Failed to generate property brochure');
+  }
+});
+
+// POST /api/properties/:id/brochure/send - Send the brochure to a lead ({ leadId, channel, language, message })
+router.post('/:id/brochure/send', requirePermission(PERMISSIONS.PROPERTIES_READ), async (req, res) => {
+  try {
+    if (!(await canUseLead(req, req.body.leadId))) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(formatResponse(false, 'Lead not found'));
+    }
+
+    const result = await brochureService.send(req.params.id, req.body, {
+      ...activityService.fromRequest(req),
+      user: req.user
+    });
+
+    if (result.skipped) {
+      return res.status(HTTP_STATUS.CONFLICT).json(formatResponse(false, result.error, result));
+    }
+    if (!result.success) {
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(false, result.error || 'Failed to send property brochure', result));
+    }
+    res.status(HTTP_STATUS.ACCEPTED).json(formatResponse(true, `Property brochure queued by ${result.channel}`, result));
+  } catch (error) {
+    handleError(res, error, 'Failed to send property brochure');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const propertyHistoryService = require('../services/propertyHistoryService');
+const { requirePermission } = require('../middleware/auth');
+const { HTTP_STATUS, PERMISSIONS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// GET /api/properties/:id/history - Price and status history with days on market
+router.get('/:id/history', requirePermission(PERMISSIONS.PROPERTIES_READ), async (req, res) => {
+  try {
+    const history = await propertyHistoryService.getHistory(req.params.id, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Property history retrieved successfully', history));
+  } catch (error) {
+    if (error instanceof propertyHistoryService.PropertyHistoryError) {
+      return res.status(error.statusCode).json(formatResponse(false, error.message));
+    }
+
+    console.error('❌ Failed to retrieve property history:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+      formatResponse(false, 'Failed to retrieve property history', { error: error.message })
+    );
+  }
+});
+
+module.exports = router;
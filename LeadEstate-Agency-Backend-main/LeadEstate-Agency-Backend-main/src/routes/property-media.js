@@ -0,0 +1,107 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const propertyMediaService = require('../services/propertyMediaService');
+const storageService = require('../services/storageService');
+const activityService = require('../services/activityService');
+const { requirePermission } = require('../middleware/auth');
+const { HTTP_STATUS, PERMISSIONS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Files are checked and processed in memory before they are stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: propertyMediaService.maxFileSize,
+    files: propertyMediaService.maxFilesPerUpload
+  }
+});
+
+// Send media and storage errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof propertyMediaService.PropertyMediaError || error instanceof storageService.StorageError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// Accept the files of a multipart field, reporting upload errors as 400
+const uploadFiles = (accept) => (req, res, next) => {
+  accept(req, res, (error) => {
+    if (error) {
+      const messages = {
+        LIMIT_FILE_SIZE: `File is too large (max ${propertyMediaService.maxFileSize / (1024 * 1024)}MB)`,
+        LIMIT_FILE_COUNT: `Upload up to ${propertyMediaService.maxFilesPerUpload} files at a time`,
+        LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}"`
+      };
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(formatResponse(false, messages[error.code] || error.message));
+    }
+    next();
+  });
+};
+
+// POST /api/properties/upload - Upload an image before the property exists (returns its URL for image_url)
+router.post('/upload', requirePermission(PERMISSIONS.PROPERTIES_WRITE), uploadFiles(upload.single('image')), async (req, res) => {
+  try {
+    const image = await propertyMediaService.storeImage(req.file);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Image uploaded successfully', image));
+  } catch (error) {
+    handleError(res, error, 'Failed to upload image');
+  }
+});
+
+// GET /api/properties/:id/media - Images and documents of a property in gallery order
+router.get('/:id/media', requirePermission(PERMISSIONS.PROPERTIES_READ), async (req, res) => {
+  try {
+    const media = await propertyMediaService.list(req.params.id, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Property media retrieved successfully', media));
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve property media');
+  }
+});
+
+// POST /api/properties/:id/media - Upload images and documents (multipart "files" field)
+router.post('/:id/media', requirePermission(PERMISSIONS.PROPERTIES_WRITE), uploadFiles(upload.array('files')), async (req, res) => {
+  try {
+    const media = await propertyMediaService.upload(req.params.id, req.files, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, 'Property media uploaded successfully', media));
+  } catch (error) {
+    handleError(res, error, 'Failed to upload property media');
+  }
+});
+
+// PUT /api/properties/:id/media/order - Reorder the gallery ({ mediaIds: [...] })
+router.put('/:id/media/order', requirePermission(PERMISSIONS.PROPERTIES_WRITE), async (req, res) => {
+  try {
+    const media = await propertyMediaService.reorder(req.params.id, req.body.mediaIds, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Property media reordered successfully', media));
+  } catch (error) {
+    handleError(res, error, 'Failed to reorder property media');
+  }
+});
+
+// PUT /api/properties/:id/media/:mediaId/cover - Make an image the property's cover
+router.put('/:id/media/:mediaId/cover', requirePermission(PERMISSIONS.PROPERTIES_WRITE), async (req, res) => {
+  try {
+    const media = await propertyMediaService.setCover(req.params.id, req.params.mediaId, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Cover image updated successfully', media));
+  } catch (error) {
+    handleError(res, error, 'Failed to update cover image');
+  }
+});
+
+// DELETE /api/properties/:id/media/:mediaId - Delete a media and its files
+router.delete('/:id/media/:mediaId', requirePermission(PERMISSIONS.PROPERTIES_WRITE), async (req, res) => {
+  try {
+    await propertyMediaService.remove(req.params.id, req.params.mediaId, req.agencyId);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Property media deleted successfully'));
+  } catch (error) {
+    handleError(res, error, 'Failed to delete property media');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const publicListingService = require('../services/publicListingService');
+const { HTTP_STATUS, RATE_LIMITS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Listings change rarely: browsers, CDNs and portals may reuse responses for a while
+const LISTING_CACHE_CONTROL = 'public, max-age=300';
+const FEED_CACHE_CONTROL = 'public, max-age=900';
+
+// Bots fill every field; people never see this one
+const HONEYPOT_FIELD = 'website';
+
+const ENQUIRY_RECEIVED = 'Thank you, your enquiry has been received';
+
+// Listing reads per IP (website visitors load them from their browser)
+const listingLimiter = rateLimit({
+  ...RATE_LIMITS.PUBLIC_API,
+  message: formatResponse(false, 'Too many requests, please try again later.'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Enquiries per IP; honeypot submissions count too
+const leadLimiter = rateLimit({
+  ...RATE_LIMITS.PUBLIC_LEADS,
+  message: formatResponse(false, 'Too many enquiries, please try again later.'),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Send public API errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof publicListingService.PublicListingError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(formatResponse(false, message));
+};
+
+// Cache headers of a response. The ETag is computed from the content (responses also carry
+// a timestamp), Express answers revalidations with a matching ETag with 304
+const setCacheHeaders = (res, cacheControl, content) => {
+  const hash = crypto.createHash('sha1').update(typeof content === 'string' ? content : JSON.stringify(content)).digest('base64');
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('ETag', `W/"${hash.slice(0, 27)}"`);
+};
+
+// The agency comes from its API key (X-Api-Key header, or ?key= for feed readers and widgets)
+const requireApiKey = async (req, res, next) => {
+  try {
+    const api = await publicListingService.authenticate(req.get('x-api-key') || req.query.key);
+    if (!api) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(formatResponse(false, 'A valid API key is required'));
+    }
+    req.publicApi = api;
+    res.setHeader('Vary', 'X-Api-Key');
+    next();
+  } catch (error) {
+    handleError(res, error, 'Failed to check API key');
+  }
+};
+
+// GET /api/public/properties - Available properties of the agency (filters, sorts and pages of GET /api/properties)
+router.get('/properties', listingLimiter, requireApiKey, async (req, res) => {
+  try {
+    const { key, ...query } = req.query;
+    const { properties, meta } = await publicListingService.search(req.publicApi, query);
+    setCacheHeaders(res, LISTING_CACHE_CONTROL, { properties, meta });
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Properties retrieved successfully', properties, meta));
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve properties');
+  }
+});
+
+// GET /api/public/properties/:id - An available property
+router.get('/properties/:id', listingLimiter, requireApiKey, async (req, res) => {
+  try {
+    const property = await publicListingService.getProperty(req.publicApi, req.params.id);
+    setCacheHeaders(res, LISTING_CACHE_CONTROL, property);
+    res.status(HTTP_STATUS.OK).json(formatResponse(true, 'Property retrieved successfully', property));
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve property');
+  }
+});
+
+// GET /api/public/feeds/:format - Syndication feed for portals (json, kyero or trovit)
+router.get('/feeds/:format', listingLimiter, requireApiKey, async (req, res) => {
+  try {
+    const feed = await publicListingService.getFeed(req.publicApi, req.params.format);
+    res.setHeader('Content-Type', feed.contentType);
+    setCacheHeaders(res, FEED_CACHE_CONTROL, feed.body);
+    res.status(HTTP_STATUS.OK).send(feed.body);
+  } catch (error) {
+    handleError(res, error, 'Failed to generate feed');
+  }
+});
+
+// POST /api/public/leads - Enquiry from the agency's website ({ name, email, phone, message, propertyId, consent })
+router.post('/leads', leadLimiter, requireApiKey, async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    // Answered like a real enquiry so bots do not learn they were caught
+    if (req.body && req.body[HONEYPOT_FIELD]) {
+      console.log(`🍯 Honeypot enquiry dropped (agency ${req.publicApi.agency_id}, IP ${req.ip})`);
+      return res.status(HTTP_STATUS.CREATED).json(formatResponse(true, ENQUIRY_RECEIVED));
+    }
+
+    await publicListingService.captureLead(req.publicApi, req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    res.status(HTTP_STATUS.CREATED).json(formatResponse(true, ENQUIRY_RECEIVED));
+  } catch (error) {
+    handleError(res, error, 'Failed to send enquiry');
+  }
+});
+
+module.exports = router;
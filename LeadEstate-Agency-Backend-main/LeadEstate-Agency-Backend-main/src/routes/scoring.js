@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const scoringService = require('../services/scoringService');
+const activityService = require('../services/activityService');
+const { authorize } = require('../middleware/auth');
+const { HTTP_STATUS, USER_ROLES } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send scoring validation errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof scoringService.ScoringError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/leads/scoring/settings - Scoring weights of the agency
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await scoringService.getSettings(req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Scoring settings retrieved successfully', settings)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve scoring settings');
+  }
+});
+
+// PUT /api/leads/scoring/settings - Save scoring weights (missing parts use the defaults);
+// every lead of the agency is rescored in the background
+router.put('/settings', authorize([USER_ROLES.MANAGER]), async (req, res) => {
+  try {
+    const settings = await scoringService.updateSettings(req.body, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Scoring settings updated, leads are being rescored', settings)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to update scoring settings');
+  }
+});
+
+// DELETE /api/leads/scoring/settings - Back to the default weights
+router.delete('/settings', authorize([USER_ROLES.MANAGER]), async (req, res) => {
+  try {
+    const settings = await scoringService.resetSettings(activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Scoring settings reset to defaults', settings)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to reset scoring settings');
+  }
+});
+
+// POST /api/leads/scoring/rescore - Rescore every lead of the agency now
+router.post('/rescore', authorize([USER_ROLES.MANAGER]), async (req, res) => {
+  try {
+    const count = await scoringService.rescoreAgency(req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, `${count} leads rescored`, { count })
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to rescore leads');
+  }
+});
+
+module.exports = router;
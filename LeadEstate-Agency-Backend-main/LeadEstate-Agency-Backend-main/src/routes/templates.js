@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const templateService = require('../services/templateService');
+const activityService = require('../services/activityService');
+const { HTTP_STATUS } = require('../utils/constants');
+const { formatResponse } = require('../utils/helpers');
+
+// Send template validation errors with their status code, anything else as a 500
+const handleError = (res, error, message) => {
+  if (error instanceof templateService.TemplateError) {
+    return res.status(error.statusCode).json(formatResponse(false, error.message));
+  }
+
+  console.error(`❌ ${message}:`, error);
+  res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
+    formatResponse(false, message, { error: error.message })
+  );
+};
+
+// GET /api/templates - WhatsApp and email templates with their customization state per language
+router.get('/', async (req, res) => {
+  try {
+    const templates = await templateService.list(req.agencyId);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Templates retrieved successfully', templates)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve templates');
+  }
+});
+
+// GET /api/templates/:channel/:key - Current and built-in copy of a template in every language
+router.get('/:channel/:key', async (req, res) => {
+  try {
+    const template = await templateService.get(req.agencyId, req.params.channel, req.params.key);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Template retrieved successfully', template)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve template');
+  }
+});
+
+// POST /api/templates/:channel/:key/preview - Render with sample data
+// ({ language, subject?, body?, variables? }; without body the current version is rendered)
+router.post('/:channel/:key/preview', async (req, res) => {
+  try {
+    const preview = await templateService.preview(req.agencyId, req.params.channel, req.params.key, req.body);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Template preview generated', preview)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to preview template');
+  }
+});
+
+// GET /api/templates/:channel/:key/:language/versions - Version history, newest first
+router.get('/:channel/:key/:language/versions', async (req, res) => {
+  try {
+    const { channel, key, language } = req.params;
+    const versions = await templateService.getVersions(req.agencyId, channel, key, language);
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Template versions retrieved successfully', versions)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve template versions');
+  }
+});
+
+// PUT /api/templates/:channel/:key/:language - Save a new version ({ subject, body })
+router.put('/:channel/:key/:language', async (req, res) => {
+  try {
+    const { channel, key, language } = req.params;
+    const template = await templateService.save(
+      channel,
+      key,
+      language,
+      { subject: req.body.subject, body: req.body.body },
+      activityService.fromRequest(req)
+    );
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, 'Template saved successfully', template)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to save template');
+  }
+});
+
+// POST /api/templates/:channel/:key/:language/restore - Make an older version current ({ version })
+router.post('/:channel/:key/:language/restore', async (req, res) => {
+  try {
+    const { channel, key, language } = req.params;
+    const template = await templateService.restore(
+      channel,
+      key,
+      language,
+      req.body.version,
+      activityService.fromRequest(req)
+    );
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, `Template version ${req.body.version} restored`, template)
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to restore template version');
+  }
+});
+
+// DELETE /api/templates/:channel/:key/:language - Go back to the built-in copy (history is kept)
+router.delete('/:channel/:key/:language', async (req, res) => {
+  try {
+    const { channel, key, language } = req.params;
+    const reset = await templateService.reset(channel, key, language, activityService.fromRequest(req));
+    res.status(HTTP_STATUS.OK).json(
+      formatResponse(true, reset ? 'Template reset to the built-in copy' : 'Template already uses the built-in copy')
+    );
+  } catch (error) {
+    handleError(res, error, 'Failed to reset template');
+  }
+});
+
+module.exports = router;
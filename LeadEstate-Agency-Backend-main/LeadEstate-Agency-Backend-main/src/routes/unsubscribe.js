@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const campaignService = require('../services/campaignService');
+const consentService = require('../services/consentService');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Pages shown to the lead (no login): the link comes from an email or campaign message
+const renderPage = (title, content) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #111827;">
+  <h1 style="font-size: 22px;">${title}</h1>
+  ${content}
+</body>
+</html>`;
+
+const channelLabel = (channel) => ({
+  email: 'emails',
+  whatsapp: 'WhatsApp messages',
+  sms: 'text messages',
+  phone: 'phone calls'
+}[channel] || 'messages');
+
+// GET /api/unsubscribe/:token - Confirmation page; link scanners opening it unsubscribe nobody
+router.get('/:token', async (req, res) => {
+  try {
+    const link = consentService.verifyUnsubscribeToken(req.params.token);
+    if (!link) {
+      return res.status(HTTP_STATUS.NOT_FOUND).send(
+        renderPage('Link not valid', '<p>This unsubscribe link is not valid.</p>')
+      );
+    }
+
+    res.status(HTTP_STATUS.OK).send(renderPage('Unsubscribe', `
+      <p>Stop receiving ${channelLabel(link.channel)} from us?</p>
+      <form method="POST">
+        <button type="submit" style="background-color: #dc2626; color: white; padding: 12px 24px; border: none; border-radius: 6px; cursor: pointer;">
+          Unsubscribe
+        </button>
+      </form>
+    `));
+  } catch (error) {
+    console.error('❌ Failed to load unsubscribe page:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).send(
+      renderPage('Something went wrong', '<p>Please try again later.</p>')
+    );
+  }
+});
+
+// POST /api/unsubscribe/:token - Unsubscribe (confirmation form and one-click List-Unsubscribe)
+router.post('/:token', async (req, res) => {
+  try {
+    const result = await consentService.unsubscribe(req.params.token, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    if (result.campaignRecipientId) {
+      await campaignService.markUnsubscribed(result.campaignRecipientId);
+    }
+    res.status(HTTP_STATUS.OK).send(renderPage('You are unsubscribed', `
+      <p>You will no longer receive ${channelLabel(result.channel)} from us.</p>
+    `));
+  } catch (error) {
+    if (error instanceof consentService.ConsentError) {
+      return res.status(error.statusCode).send(
+        renderPage('Link not valid', '<p>This unsubscribe link is not valid.</p>')
+      );
+    }
+
+    console.error('❌ Failed to unsubscribe:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).send(
+      renderPage('Something went wrong', '<p>Please try again later.</p>')
+    );
+  }
+});
+
+module.exports = router;
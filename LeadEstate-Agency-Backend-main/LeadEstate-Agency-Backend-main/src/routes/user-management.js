@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
 const brevoService = require('../services/brevoService');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
 const { pool } = require('../config/database');
 
+// Statuses a manager can set on an activated account
+const ACCOUNT_STATUSES = ['active', 'suspended', 'inactive'];
+
 // GET /api/user-management/users - Get all users with invitation status
 router.get('/users', async (req, res) => {
   try {
@@ -21,11 +27,11 @@ router.get('/users', async (req, res) => {
           ELSE u.status
         END as invitation_status
       FROM users u
-      WHERE 1=1
+      WHERE u.agency_id = $1
     `;
     
-    const params = [];
-    let paramCount = 0;
+    const params = [req.user.agencyId];
+    let paramCount = 1;
 
     if (status) {
       paramCount++;
@@ -73,8 +79,8 @@ router.post('/users/:id/resend-invitation', async (req, res) => {
     // Get user details
     const userResult = await pool.query(`
       SELECT * FROM users 
-      WHERE id = $1 AND status = 'invited'
-    `, [id]);
+      WHERE id::text = $1 AND agency_id = $2 AND status = 'invited'
+    `, [id, req.user.agencyId]);
 
     if (userResult.rows.length === 0) {
       return res.status(404).json({
@@ -96,8 +102,8 @@ router.post('/users/:id/resend-invitation', async (req, res) => {
       SET invitation_token = $1, 
           invitation_expires_at = $2,
           invitation_sent_at = NOW()
-      WHERE id = $3
-    `, [newToken, newExpiry, id]);
+      WHERE id::text = $3 AND agency_id = $4
+    `, [newToken, newExpiry, id, req.user.agencyId]);
 
     // Create setup link
     const setupLink = `${process.env.FRONTEND_URL}/setup-account?token=${newToken}&type=${user.role === 'manager' ? 'manager' : 'agent'}`;
@@ -111,7 +117,8 @@ router.post('/users/:id/resend-invitation', async (req, res) => {
         agencyName: user.agency_name,
         invitedBy: user.invited_by,
         setupLink,
-        expiresIn: '48 hours'
+        expiresIn: '48 hours',
+        agencyId: user.agency_id
       });
     } else {
       emailResult = await brevoService.sendAgentInvitation({
@@ -121,7 +128,8 @@ router.post('/users/:id/resend-invitation', async (req, res) => {
         managerName: user.invited_by,
         role: user.role,
         setupLink,
-        expiresIn: '7 days'
+        expiresIn: '7 days',
+        agencyId: user.agency_id
       });
     }
 
@@ -145,6 +153,126 @@ router.post('/users/:id/resend-invitation', async (req, res) => {
   }
 });
 
+// PUT /api/user-management/users/:id/status - Activate, suspend or deactivate a user of the agency
+router.put('/users/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!ACCOUNT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE users SET status = $1, updated_at = NOW()
+      WHERE id::text = $2 AND agency_id = $3 AND status <> 'invited'
+      RETURNING id, email, first_name, last_name, role, status
+    `, [status, id, req.user.agencyId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or not activated yet'
+      });
+    }
+
+    // Suspended and deactivated users are logged out of every device
+    const sessionsRevoked = status === 'active' ? 0 : await sessionService.revokeAllForUser(id);
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'user_status_changed',
+      resourceType: 'user',
+      resourceId: id,
+      details: { status, reason: reason || null, sessionsRevoked }
+    });
+
+    console.log(`👤 User ${result.rows[0].email} set to ${status}, ${sessionsRevoked} session(s) revoked`);
+
+    res.json({
+      success: true,
+      message: 'User status updated successfully',
+      data: {
+        ...result.rows[0],
+        sessionsRevoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/user-management/users/:id/two-factor - Reset 2FA for a user who lost their device
+router.delete('/users/:id/two-factor', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // A manager's own 2FA is turned off with their password and a code (POST /api/auth/2fa/disable)
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot reset your own two-factor authentication'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM users WHERE id::text = $1 AND agency_id = $2',
+      [id, req.user.agencyId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = result.rows[0];
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    const sessionsRevoked = await authService.resetTwoFactor(user, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
+
+    console.log(`🔐 2FA reset for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user can log in with their password and set it up again.',
+      data: { id: user.id, sessionsRevoked }
+    });
+
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
 // DELETE /api/user-management/users/:id/invitation - Cancel invitation
 router.delete('/users/:id/invitation', async (req, res) => {
   try {
@@ -153,9 +281,9 @@ router.delete('/users/:id/invitation', async (req, res) => {
     // Delete invited user
     const result = await pool.query(`
       DELETE FROM users 
-      WHERE id = $1 AND status = 'invited'
+      WHERE id::text = $1 AND agency_id = $2 AND status = 'invited'
       RETURNING email, first_name, agency_name
-    `, [id]);
+    `, [id, req.user.agencyId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
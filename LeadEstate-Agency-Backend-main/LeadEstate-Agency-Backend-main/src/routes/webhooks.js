@@ -1,30 +1,89 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const { HTTP_STATUS } = require('../utils/constants');
+const messageService = require('../services/messageService');
+const twilioService = require('../services/twilioService');
+const workflowService = require('../services/workflowService');
+const campaignService = require('../services/campaignService');
+const consentService = require('../services/consentService');
+const { HTTP_STATUS, WORKFLOW_TRIGGERS, CONSENT_STATUS } = require('../utils/constants');
 const { formatResponse } = require('../utils/helpers');
 
-// POST /webhooks/brevo - Brevo webhook
+// URL Twilio signed: the public API URL when set (proxies change the host and protocol)
+const getRequestUrl = (req) => {
+  if (process.env.PUBLIC_API_URL) {
+    return `${process.env.PUBLIC_API_URL.replace(/\/$/, '')}${req.originalUrl}`;
+  }
+  const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}${req.originalUrl}`;
+};
+
+// Brevo has no signature: the webhook URL carries a shared secret (?token=) or a bearer token
+const hasBrevoSecret = (req) => {
+  const secret = process.env.BREVO_WEBHOOK_SECRET;
+  if (!secret) {
+    return false;
+  }
+  const header = req.get('authorization') || '';
+  const token = String(req.query.token || (header.startsWith('Bearer ') ? header.slice(7) : ''));
+  const a = Buffer.from(token);
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// POST /webhooks/brevo - Brevo transactional email events (delivered, opened, click, bounces...)
 router.post('/brevo', async (req, res) => {
+  if (!hasBrevoSecret(req)) {
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatResponse(false, 'Invalid webhook token')
+    );
+  }
+
   try {
-    console.log('Brevo webhook received:', req.body);
+    const recorded = await messageService.handleBrevoWebhook(req.body);
     res.status(HTTP_STATUS.OK).json(
-      formatResponse(true, 'Webhook processed successfully')
+      formatResponse(true, 'Webhook processed successfully', { recorded })
     );
   } catch (error) {
+    console.error('❌ Brevo webhook failed:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatResponse(false, 'Failed to process webhook')
     );
   }
 });
 
-// POST /webhooks/twilio - Twilio webhook
+// POST /webhooks/twilio - Inbound WhatsApp messages and delivery status callbacks
 router.post('/twilio', async (req, res) => {
-  try {
-    console.log('Twilio webhook received:', req.body);
-    res.status(HTTP_STATUS.OK).json(
-      formatResponse(true, 'Webhook processed successfully')
+  if (!twilioService.validateWebhookSignature(req.get('x-twilio-signature'), getRequestUrl(req), req.body)) {
+    console.log('⚠️ Rejected Twilio webhook with an invalid signature');
+    return res.status(HTTP_STATUS.FORBIDDEN).json(
+      formatResponse(false, 'Invalid Twilio signature')
     );
+  }
+
+  try {
+    const result = await messageService.handleTwilioWebhook(req.body);
+
+    // A reply that moved the lead to contacted runs the lead_updated workflows
+    if (result.statusChange) {
+      workflowService.handleEvent(WORKFLOW_TRIGGERS.LEAD_UPDATED, {
+        agencyId: result.lead.agency_id,
+        leadId: result.lead.id,
+        before: result.statusChange.before,
+        after: result.statusChange.after
+      });
+    }
+
+    // STOP / START keywords update the lead's WhatsApp consent, then campaign reply stats
+    if (result.type === 'inbound' && result.lead && result.message) {
+      const consent = await consentService.handleInboundWhatsApp(result.lead, result.message);
+      await campaignService.recordReply(result.lead, { optedOut: consent === CONSENT_STATUS.WITHDRAWN });
+    }
+
+    // Empty TwiML: no automatic reply
+    res.status(HTTP_STATUS.OK).type('text/xml').send('<Response></Response>');
   } catch (error) {
+    console.error('❌ Twilio webhook failed:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       formatResponse(false, 'Failed to process webhook')
     );
@@ -1,41 +1,57 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { Pool } = require('pg');
-const multer = require('multer');
-const path = require('path');
-const twilio = require('twilio');
 require('dotenv').config();
 
-const app = express();
+const { authMiddleware, authorize, requirePermission, authorizeLeadAccess, agencyIsolation } = require('./middleware/auth');
+const { getPaginationMeta, formatResponse } = require('./utils/helpers');
+const { ACTIVITY_TYPES, PAGINATION, PERMISSIONS, PROPERTY_EVENTS, USER_ROLES, WHATSAPP_TEMPLATES, WORKFLOW_TRIGGERS } = require('./utils/constants');
+const activityService = require('./services/activityService');
+const workflowService = require('./services/workflowService');
+const duplicateService = require('./services/duplicateService');
+const importService = require('./services/importService');
+const scoringService = require('./services/scoringService');
+const matchingService = require('./services/matchingService');
+const messageService = require('./services/messageService');
+const twilioService = require('./services/twilioService');
+const permissionService = require('./services/permissionService');
+const templateService = require('./services/templateService');
+const messageQueueService = require('./services/messageQueueService');
+const campaignService = require('./services/campaignService');
+const consentService = require('./services/consentService');
+const appointmentService = require('./services/appointmentService');
+const propertyMediaService = require('./services/propertyMediaService');
+const storageService = require('./services/storageService');
+const brochureService = require('./services/brochureService');
+const propertyHistoryService = require('./services/propertyHistoryService');
+const {
+  LeadQueryError,
+  parseLeadListQuery,
+  buildLeadFilterConditions,
+  buildCursorCondition,
+  buildLeadOrder,
+  sortToString,
+  encodeCursor
+} = require('./utils/leadQuery');
+const {
+  PropertyQueryError,
+  parsePropertyListQuery,
+  parsePropertyFields,
+  buildPropertySearch,
+  buildPropertyOrder,
+  sortToString: propertySortToString,
+  SEARCH_VECTOR: PROPERTY_SEARCH_VECTOR
+} = require('./utils/propertyQuery');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/') // Make sure this directory exists
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-    cb(null, 'property-' + uniqueSuffix + path.extname(file.originalname))
-  }
-});
+const app = express();
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    // Check file type
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  }
-});
+// The API runs behind the hosting platform's proxy: req.ip must be the client's address
+// (per-IP rate limits, consent proofs), taken from X-Forwarded-For past TRUST_PROXY_HOPS proxies
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isInteger(trustProxyHops) ? trustProxyHops : 1);
 
 // Basic middleware
 app.use(helmet());
@@ -83,7 +99,8 @@ app.use(cors({
     'X-Requested-With',
     'Accept',
     'Origin',
-    'x-owner-api-key'
+    'x-owner-api-key',
+    'x-api-key'
   ]
 }));
 
@@ -91,8 +108,51 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded images statically
-app.use('/uploads', express.static('uploads'));
+// Sent brochures are only downloaded with their signed, expiring link (/api/brochures)
+const isPrivateUpload = (requestPath) => {
+  try {
+    const [folder] = path.posix.normalize(decodeURIComponent(requestPath)).split('/').filter(Boolean);
+    return folder === brochureService.STORAGE_PREFIX;
+  } catch (error) {
+    return true;
+  }
+};
+
+// Serve uploaded property media stored on the local disk (embedded by the frontends' origins)
+app.use('/uploads', (req, res, next) => (isPrivateUpload(req.path) ? res.status(404).end() : next()));
+app.use('/uploads', express.static(storageService.localRoot, {
+  setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
+// Every /api route requires a valid token except these (auth routes check tokens themselves,
+// account setup, unsubscribe, calendar feed and brochure links carry their own token, the owner dashboard
+// and agency websites their API key)
+const PUBLIC_API_PATHS = ['/status', '/auth', '/account-setup', '/unsubscribe', '/calendar', '/brochures', '/owner-integration', '/public'];
+const isPublicApiPath = (path) => PUBLIC_API_PATHS.some(publicPath => path === publicPath || path.startsWith(`${publicPath}/`));
+app.use('/api', (req, res, next) => {
+  return isPublicApiPath(req.path) ? next() : authMiddleware(req, res, next);
+});
+
+// All authenticated requests are scoped to the caller's agency (req.agencyId)
+app.use('/api', (req, res, next) => {
+  return isPublicApiPath(req.path) ? next() : agencyIsolation(req, res, next);
+});
+
+// Agency administration and maintenance endpoints are for managers only
+app.use(
+  ['/api/admin', '/api/invitations', '/api/user-management', '/api/agency-management', '/api/audit', '/api/message-queue', '/api/optimize-db', '/api/test-db', '/api/test-insert'],
+  authorize([USER_ROLES.MANAGER])
+);
+app.use('/api/advanced-analytics', authorize([USER_ROLES.MANAGER, USER_ROLES.SUPER_AGENT]));
+
+// Feature areas gated by permission (role defaults, overridable per agency)
+app.use(['/api/analytics', '/api/advanced-analytics'], requirePermission(PERMISSIONS.ANALYTICS_VIEW));
+app.use('/api/follow-ups', requirePermission(PERMISSIONS.FOLLOW_UPS_MANAGE));
+app.use('/api/appointments', requirePermission(PERMISSIONS.APPOINTMENTS_MANAGE));
+app.use('/api/automation', requirePermission(PERMISSIONS.AUTOMATION_MANAGE));
+app.use('/api/templates', requirePermission(PERMISSIONS.TEMPLATES_MANAGE));
+app.use('/api/campaigns', requirePermission(PERMISSIONS.CAMPAIGNS_MANAGE));
+app.use('/api/leads/imports', requirePermission(PERMISSIONS.LEADS_IMPORT));
 
 // OPTIMIZED PostgreSQL connection with performance settings
 const pool = new Pool({
@@ -107,15 +167,78 @@ const pool = new Pool({
   createTimeoutMillis: 10000,   // 10 seconds to create new connection
 });
 
-// Twilio client initialization
-let twilioClient = null;
-if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-  twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-  console.log('✅ Twilio client initialized');
-} else {
-  console.log('⚠️ Twilio credentials not found - WhatsApp messages will be logged only');
+if (!twilioService.isConfigured()) {
+  console.log('⚠️ Twilio credentials not found - WhatsApp welcome messages will be prepared as links');
 }
 
+// agency_id of legacy rows whose owning agency cannot be worked out (never a real agency id)
+const LEGACY_AGENCY_ID = 'default-agency';
+
+// Assign leads, properties and team members created before multi-tenancy to their owning
+// agency, then require agency_id on every row
+const backfillAgencyIds = async () => {
+  const unowned = (table) => `${table}.agency_id IS NULL OR ${table}.agency_id = '${LEGACY_AGENCY_ID}'`;
+
+  // Team members belong to the agency of the user account with the same email
+  await pool.query(`
+    UPDATE team_members SET agency_id = CAST(users.agency_id AS VARCHAR)
+    FROM users
+    WHERE (${unowned('team_members')}) AND users.agency_id IS NOT NULL
+      AND LOWER(users.email) = LOWER(team_members.email)
+  `);
+
+  // Leads belong to the agency of their assigned agent, when the name is not used in several agencies
+  await pool.query(`
+    UPDATE leads SET agency_id = owners.agency_id
+    FROM (
+      SELECT name, MIN(agency_id) AS agency_id FROM (
+        SELECT name, agency_id FROM team_members WHERE agency_id IS NOT NULL AND agency_id <> '${LEGACY_AGENCY_ID}'
+        UNION
+        SELECT TRIM(CONCAT(first_name, ' ', last_name)), CAST(agency_id AS VARCHAR) FROM users WHERE agency_id IS NOT NULL
+      ) agents
+      GROUP BY name
+      HAVING COUNT(DISTINCT agency_id) = 1
+    ) owners
+    WHERE (${unowned('leads')}) AND leads.assigned_to = owners.name
+  `);
+
+  // Properties belong to the agency that booked visits of them or whose leads are interested in them
+  await pool.query(`
+    UPDATE properties SET agency_id = owners.agency_id
+    FROM (
+      SELECT property_id, MIN(agency_id) AS agency_id FROM (
+        SELECT property_id, agency_id FROM appointments WHERE property_id IS NOT NULL
+        UNION
+        SELECT properties.id, leads.agency_id FROM properties
+        JOIN leads ON leads.interested_properties LIKE CONCAT('%"', properties.id, '"%')
+        WHERE leads.agency_id IS NOT NULL AND leads.agency_id <> '${LEGACY_AGENCY_ID}'
+      ) links
+      GROUP BY property_id
+      HAVING COUNT(DISTINCT agency_id) = 1
+    ) owners
+    WHERE (${unowned('properties')}) AND properties.id = owners.property_id
+  `);
+
+  // A deployment with a single agency owns everything that is left
+  const agencies = await pool.query('SELECT id FROM agencies LIMIT 2');
+  const fallbackAgencyId = agencies.rows.length === 1 ? String(agencies.rows[0].id) : LEGACY_AGENCY_ID;
+
+  for (const table of ['leads', 'properties', 'team_members']) {
+    const result = await pool.query(
+      `UPDATE ${table} SET agency_id = $1 WHERE ${unowned(table)}`,
+      [fallbackAgencyId]
+    );
+    if (result.rowCount > 0 && fallbackAgencyId === LEGACY_AGENCY_ID) {
+      console.warn(`⚠️ ${result.rowCount} ${table} rows have no owning agency (agency_id '${LEGACY_AGENCY_ID}')`);
+    }
+
+    await pool.query(`ALTER TABLE ${table} ALTER COLUMN agency_id SET NOT NULL`);
+  }
+
+  // New leads get the agency of the user creating them, never a default
+  await pool.query('ALTER TABLE leads ALTER COLUMN agency_id DROP DEFAULT');
+};
+
 // Initialize database tables
 const initDatabase = async () => {
   try {
@@ -133,7 +256,7 @@ const initDatabase = async () => {
         status VARCHAR(255) DEFAULT 'new',
         assigned_to VARCHAR(255),
         language VARCHAR(10) DEFAULT 'fr',
-        agency_id VARCHAR(255) DEFAULT 'default-agency',
+        agency_id VARCHAR(255) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -220,14 +343,663 @@ const initDatabase = async () => {
       console.log('⚠️ Properties table schema update failed:', error.message);
     }
 
+    // Multi-tenant columns: every tenant-owned row carries the owning agency
+    await pool.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS agency_id VARCHAR(255)
+    `);
+
+    await pool.query(`
+      ALTER TABLE team_members
+      ADD COLUMN IF NOT EXISTS agency_id VARCHAR(255)
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_leads_agency_id ON leads(agency_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_properties_agency_id ON properties(agency_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_team_members_agency_id ON team_members(agency_id)');
+
+    // Property search: transaction type, optional coordinates (WGS84 degrees) and full-text search
+    await pool.query(`
+      ALTER TABLE properties
+      ADD COLUMN IF NOT EXISTS transaction_type VARCHAR(20) DEFAULT 'sale',
+      ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_properties_agency_price ON properties(agency_id, price)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_properties_coordinates ON properties(latitude, longitude) WHERE latitude IS NOT NULL');
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_properties_search ON properties USING GIN (${PROPERTY_SEARCH_VECTOR})`);
+
+    // Lead activity timeline. Rows are kept when a lead is deleted so the history survives.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_activities (
+        id VARCHAR(255) PRIMARY KEY,
+        lead_id VARCHAR(255) NOT NULL,
+        agency_id VARCHAR(255),
+        type VARCHAR(50) NOT NULL,
+        description TEXT DEFAULT '',
+        metadata JSONB DEFAULT '{}',
+        property_id VARCHAR(255),
+        user_id VARCHAR(255),
+        user_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_activities_lead ON lead_activities(lead_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_activities_agency_type ON lead_activities(agency_id, type)');
+
+    // Follow-ups: scheduled tasks on leads/properties. "overdue" is derived from
+    // pending follow-ups past their due date, recurring ones share a series_id.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS follow_ups (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255),
+        property_id VARCHAR(255),
+        type VARCHAR(50) NOT NULL DEFAULT 'call',
+        priority VARCHAR(20) NOT NULL DEFAULT 'medium',
+        description TEXT DEFAULT '',
+        due_date TIMESTAMP NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        assigned_to VARCHAR(255),
+        reminder_minutes INTEGER DEFAULT 30,
+        reminder_sent_at TIMESTAMP,
+        recurrence_frequency VARCHAR(20),
+        recurrence_interval INTEGER DEFAULT 1,
+        recurrence_until TIMESTAMP,
+        series_id VARCHAR(255),
+        outcome TEXT,
+        completed_at TIMESTAMP,
+        completed_by VARCHAR(255),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_follow_ups_agency_due ON follow_ups(agency_id, status, due_date)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_follow_ups_lead ON follow_ups(lead_id)');
+
+    await pool.query(`
+      ALTER TABLE leads
+      ADD COLUMN IF NOT EXISTS last_contact TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS next_follow_up TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS phone_normalized VARCHAR(32),
+      ADD COLUMN IF NOT EXISTS score INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS score_breakdown JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP
+    `);
+
+    // Lead scoring: per-agency weights, hot leads listed by score
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_scoring_settings (
+        agency_id VARCHAR(255) PRIMARY KEY,
+        weights JSONB NOT NULL,
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_leads_agency_score ON leads(agency_id, score DESC)');
+
+    // Duplicate detection looks leads up by normalized phone and lowercased email
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_leads_agency_phone_normalized ON leads(agency_id, phone_normalized)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_leads_agency_email_lower ON leads(agency_id, LOWER(TRIM(email)))');
+
+    // Audit trail of lead merges: full rows of the survivor (before) and merged leads
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_merges (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        survivor_id VARCHAR(255) NOT NULL,
+        merged_lead_ids JSONB NOT NULL,
+        survivor_before JSONB,
+        merged_leads JSONB,
+        filled_fields JSONB DEFAULT '[]',
+        merged_by VARCHAR(255),
+        merged_by_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_merges_survivor ON lead_merges(agency_id, survivor_id)');
+
+    const backfilled = await duplicateService.backfillNormalizedPhones();
+    if (backfilled > 0) {
+      console.log(`✅ Normalized phone numbers of ${backfilled} leads`);
+    }
+
+    // Workflow automation: definitions per agency and a run log with per-step outcomes
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflows (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT DEFAULT '',
+        category VARCHAR(100),
+        trigger VARCHAR(50) NOT NULL,
+        trigger_config JSONB DEFAULT '{}',
+        conditions JSONB DEFAULT '[]',
+        actions JSONB DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'active',
+        run_count INTEGER DEFAULT 0,
+        last_run_at TIMESTAMP,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflow_runs (
+        id VARCHAR(255) PRIMARY KEY,
+        workflow_id VARCHAR(255) NOT NULL,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255),
+        trigger VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        event JSONB DEFAULT '{}',
+        steps JSONB DEFAULT '[]',
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP,
+        duration_ms INTEGER
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_workflows_agency_trigger ON workflows(agency_id, trigger, status)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_workflow_runs_workflow_lead ON workflow_runs(workflow_id, lead_id, started_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_workflow_runs_agency ON workflow_runs(agency_id, started_at DESC)');
+
+    // Bulk lead imports: parsed rows, mapping and options, progress and per-row errors
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_imports (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        file_type VARCHAR(10) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'uploaded',
+        columns JSONB DEFAULT '[]',
+        rows JSONB DEFAULT '[]',
+        total_rows INTEGER DEFAULT 0,
+        mapping JSONB DEFAULT '{}',
+        options JSONB DEFAULT '{}',
+        processed_rows INTEGER DEFAULT 0,
+        created_count INTEGER DEFAULT 0,
+        updated_count INTEGER DEFAULT 0,
+        skipped_count INTEGER DEFAULT 0,
+        error_count INTEGER DEFAULT 0,
+        errors JSONB DEFAULT '[]',
+        error_message TEXT,
+        created_by VARCHAR(255),
+        created_by_id VARCHAR(255),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_import_mappings (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        mapping JSONB NOT NULL,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (agency_id, name)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_imports_agency ON lead_imports(agency_id, created_at DESC)');
+
+    const interruptedImports = await importService.failInterruptedJobs();
+    if (interruptedImports > 0) {
+      console.log(`⚠️ Marked ${interruptedImports} interrupted lead imports as failed`);
+    }
+
+    // Property matching: lead search criteria and the alerts sent to matching leads
+    await pool.query(`
+      ALTER TABLE leads
+      ADD COLUMN IF NOT EXISTS budget_min DECIMAL,
+      ADD COLUMN IF NOT EXISTS budget_max DECIMAL,
+      ADD COLUMN IF NOT EXISTS property_type VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS city VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS bedrooms INTEGER,
+      ADD COLUMN IF NOT EXISTS bathrooms INTEGER,
+      ADD COLUMN IF NOT EXISTS communication_preferences JSONB DEFAULT '{"email": true, "whatsapp": true, "phone": true}'
+    `);
+
+    // One alert per lead and property, so a lead never gets the same property twice
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS property_alerts (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        reason VARCHAR(20) NOT NULL,
+        match_score INTEGER,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        error TEXT,
+        last_attempt_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        UNIQUE (lead_id, property_id)
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_property_alerts_status ON property_alerts(status, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_property_alerts_property ON property_alerts(agency_id, property_id)');
+
+    // Conversation log: WhatsApp and email messages exchanged with leads, with
+    // their delivery state and the provider events (opens, clicks, bounces)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_messages (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255),
+        lead_id VARCHAR(255),
+        channel VARCHAR(20) NOT NULL,
+        direction VARCHAR(10) NOT NULL,
+        provider_message_id VARCHAR(255),
+        from_address VARCHAR(255),
+        to_address VARCHAR(255),
+        subject VARCHAR(500),
+        body TEXT,
+        media JSONB DEFAULT '[]',
+        status VARCHAR(20) NOT NULL,
+        error_code VARCHAR(50),
+        error TEXT,
+        sent_by VARCHAR(255),
+        delivered_at TIMESTAMP,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_message_events (
+        id VARCHAR(255) PRIMARY KEY,
+        message_id VARCHAR(255) NOT NULL REFERENCES lead_messages(id) ON DELETE CASCADE,
+        agency_id VARCHAR(255),
+        lead_id VARCHAR(255),
+        event VARCHAR(50) NOT NULL,
+        payload JSONB DEFAULT '{}',
+        occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_lead_messages_provider ON lead_messages(channel, provider_message_id) WHERE provider_message_id IS NOT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_messages_lead ON lead_messages(agency_id, lead_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_message_events_message ON lead_message_events(message_id, occurred_at)');
+
+    // Agency copies of WhatsApp and email templates; every edit is a new version
+    // and the built-in copy is used while no version is current
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS message_templates (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        template_key VARCHAR(100) NOT NULL,
+        language VARCHAR(5) NOT NULL,
+        version INTEGER NOT NULL,
+        subject TEXT,
+        body TEXT NOT NULL,
+        is_current BOOLEAN DEFAULT true,
+        restored_from INTEGER,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_message_templates_version ON message_templates(agency_id, channel, template_key, language, version)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_message_templates_current ON message_templates(agency_id, channel, template_key, language) WHERE is_current = true');
+
+    // Outbound message queue: emails and WhatsApp messages are sent by a worker with
+    // retries; message_id links a job to the lead conversation (lead_messages)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS outbound_messages (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255),
+        lead_id VARCHAR(255),
+        message_id VARCHAR(255),
+        channel VARCHAR(20) NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        subject TEXT,
+        body TEXT NOT NULL,
+        payload JSONB DEFAULT '{}',
+        idempotency_key VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TIMESTAMP,
+        last_error TEXT,
+        locked_at TIMESTAMP,
+        provider VARCHAR(50),
+        provider_message_id VARCHAR(255),
+        sent_at TIMESTAMP,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Idempotency keys are unique per agency: another agency's key must not suppress a message
+    await pool.query('ALTER TABLE outbound_messages DROP CONSTRAINT IF EXISTS outbound_messages_idempotency_key_key');
+    await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_outbound_messages_idempotency ON outbound_messages ((COALESCE(agency_id, '')), idempotency_key)");
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(status, next_attempt_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_outbound_messages_agency ON outbound_messages(agency_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_outbound_messages_agency_attempt ON outbound_messages(agency_id, last_attempt_at)');
+
+    // Campaigns: a message sent to a segment of leads (filters in segment). Each lead
+    // reached or skipped has a recipient row linking it to its queue job and message
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        template_key VARCHAR(100) NOT NULL,
+        subject VARCHAR(500),
+        message TEXT NOT NULL,
+        segment JSONB DEFAULT '{}',
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        scheduled_at TIMESTAMP,
+        rate_per_minute INTEGER NOT NULL DEFAULT 30,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_by VARCHAR(255),
+        created_by_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS campaign_recipients (
+        id VARCHAR(255) PRIMARY KEY,
+        campaign_id VARCHAR(255) NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        recipient VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        skip_reason VARCHAR(50),
+        queue_id VARCHAR(255),
+        message_id VARCHAR(255),
+        replied_at TIMESTAMP,
+        unsubscribed_at TIMESTAMP,
+        queued_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_campaigns_agency ON campaigns(agency_id, created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_campaigns_due ON campaigns(status, scheduled_at)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_recipients_lead ON campaign_recipients(campaign_id, lead_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_campaign_recipients_reply ON campaign_recipients(lead_id, channel, queued_at DESC)');
+
+    // Consent history of leads per channel: who recorded it, from where, with what proof.
+    // Erased leads keep their anonymized row (anonymized_at) for analytics
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lead_consents (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        proof JSONB DEFAULT '{}',
+        recorded_by VARCHAR(255),
+        recorded_by_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_lead_consents_lead ON lead_consents(lead_id, channel, created_at DESC)');
+    await pool.query('ALTER TABLE leads ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP');
+
+    // Appointments: property visits and meetings of a lead with an agent (team member).
+    // starts_at/ends_at are UTC, timezone is the zone the appointment is shown in
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS appointments (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255),
+        agent_id VARCHAR(255) NOT NULL,
+        agent_name VARCHAR(255),
+        type VARCHAR(30) NOT NULL DEFAULT 'property_visit',
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        timezone VARCHAR(64) NOT NULL,
+        location TEXT,
+        notes TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+        reminder_minutes INTEGER DEFAULT 1440,
+        confirmation_sent_at TIMESTAMP,
+        reminder_sent_at TIMESTAMP,
+        outcome VARCHAR(30),
+        feedback TEXT,
+        rating INTEGER,
+        completed_at TIMESTAMP,
+        completed_by VARCHAR(255),
+        cancel_reason TEXT,
+        cancelled_at TIMESTAMP,
+        created_by VARCHAR(255),
+        created_by_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_appointments_agent_start ON appointments(agent_id, starts_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_appointments_lead ON appointments(lead_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_appointments_reminders ON appointments(status, starts_at)');
+
+    // Property galleries: images (re-encoded, with a thumbnail) and documents in display order.
+    // storage is the driver the files were written with, image_url of the property follows the cover
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS property_media (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255) NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        storage VARCHAR(20) NOT NULL DEFAULT 'local',
+        storage_key VARCHAR(500) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        thumbnail_key VARCHAR(500),
+        thumbnail_url VARCHAR(500),
+        original_name VARCHAR(255),
+        mime_type VARCHAR(100) NOT NULL,
+        size INTEGER NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        is_cover BOOLEAN DEFAULT false,
+        uploaded_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_property_media_property ON property_media(property_id, sort_order)');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_property_media_cover ON property_media(property_id) WHERE is_cover');
+
+    // Brochures sent to leads: stored files behind a signed link, deleted once their message
+    // is sent or given up, or when the link expires
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brochure_links (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255) NOT NULL,
+        lead_id VARCHAR(255),
+        storage VARCHAR(20) NOT NULL DEFAULT 'local',
+        storage_key VARCHAR(500) NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        queue_id VARCHAR(255),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brochure_links_expires ON brochure_links(expires_at)');
+
+    // Price and status history of properties: one row per creation, price change or status change
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS property_history (
+        id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        property_id VARCHAR(255) NOT NULL,
+        change_type VARCHAR(20) NOT NULL,
+        old_price DECIMAL(12,2),
+        new_price DECIMAL(12,2),
+        old_status VARCHAR(50),
+        new_status VARCHAR(50),
+        user_id VARCHAR(255),
+        user_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_property_history_property ON property_history(property_id, created_at)');
+
+    // API key of the public listing API (stored hashed, one per agency) and how listings are
+    // published: listing_url is the page of a property on the agency's website ({id} is replaced)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agency_public_api (
+        agency_id VARCHAR(255) PRIMARY KEY,
+        key_hash VARCHAR(64) NOT NULL UNIQUE,
+        key_hint VARCHAR(20) NOT NULL,
+        listing_url VARCHAR(500),
+        currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP
+      )
+    `);
+
+    // Weekly availability of agents ({ timezone, days: { monday: [{ start, end }] } }) and
+    // their iCalendar feed tokens (stored hashed, one per agent)
+    await pool.query('ALTER TABLE team_members ADD COLUMN IF NOT EXISTS working_hours JSONB');
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agent_calendar_feeds (
+        agent_id VARCHAR(255) PRIMARY KEY,
+        agency_id VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Login lockout: failed attempts are counted per user, the limit comes from system_settings
+    await pool.query(`
+      ALTER TABLE IF EXISTS users
+      ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP
+    `);
+
+    // Password reset and email verification tokens (stored hashed). Accounts that existed
+    // before verification was introduced count as verified
+    await pool.query(`
+      ALTER TABLE IF EXISTS users
+      ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT true,
+      ADD COLUMN IF NOT EXISTS email_verification_token VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS email_verification_expires TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS password_reset_token VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS password_reset_expires TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS system_settings (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        setting_key VARCHAR(100) NOT NULL UNIQUE,
+        setting_value JSONB NOT NULL,
+        description TEXT,
+        category VARCHAR(50) DEFAULT 'general',
+        is_public BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      INSERT INTO system_settings (setting_key, setting_value, description, category) VALUES
+      ('max_login_attempts', '5', 'Maximum failed login attempts before lockout', 'security'),
+      ('login_lockout_minutes', '15', 'Minutes an account stays locked after too many failed logins', 'security')
+      ON CONFLICT (setting_key) DO NOTHING
+    `);
+
+    // TOTP two-factor authentication; secrets are encrypted, backup codes hashed
+    await pool.query(`
+      ALTER TABLE IF EXISTS users
+      ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false,
+      ADD COLUMN IF NOT EXISTS two_factor_secret TEXT,
+      ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT,
+      ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT,
+      ADD COLUMN IF NOT EXISTS two_factor_backup_codes JSONB,
+      ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP
+    `);
+
+    // Owner API TOTP (one row): the lockout and the last accepted step survive restarts
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS owner_two_factor_state (
+        id VARCHAR(20) PRIMARY KEY,
+        failed_attempts INTEGER DEFAULT 0,
+        locked_until TIMESTAMP,
+        last_step BIGINT
+      )
+    `);
+    await pool.query("INSERT INTO owner_two_factor_state (id) VALUES ('owner') ON CONFLICT (id) DO NOTHING");
+
+    // Per-agency settings saved through agency-management PUT /settings
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS agency_settings (
+        agency_id VARCHAR(255) PRIMARY KEY,
+        settings JSONB NOT NULL DEFAULT '{}',
+        updated_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per logged-in device; session_token is the hash of the current refresh token
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        session_token VARCHAR(255) NOT NULL UNIQUE,
+        ip_address INET,
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        is_active BOOLEAN DEFAULT true
+      )
+    `);
+
+    // Hash of the refresh token that was just rotated out, to detect reuse
+    await pool.query(`ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS previous_session_token VARCHAR(255)`);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_session_token)');
+
+    // agency_id is now set explicitly from the authenticated user, so the legacy
+    // triggers that guessed it from assigned_to must not overwrite it
+    await pool.query('DROP TRIGGER IF EXISTS trigger_set_lead_agency_id ON leads');
+    await pool.query('DROP TRIGGER IF EXISTS trigger_set_property_agency_id ON properties');
+
+    await backfillAgencyIds();
+
     console.log('✅ Database tables initialized and migrated successfully');
   } catch (error) {
     console.error('❌ Database initialization error:', error);
   }
 };
 
-// Initialize database on startup
-initDatabase();
 
 // Helper function to generate UUIDs
 const generateId = () => {
@@ -239,11 +1011,44 @@ const generateId = () => {
   });
 };
 
+// Format a lead row the way the frontend expects it
+const formatLead = (lead) => ({
+  id: lead.id,
+  name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+  email: lead.email,
+  phone: lead.phone,
+  source: lead.source,
+  budget: lead.budget,
+  notes: lead.notes,
+  status: lead.status,
+  assignedTo: lead.assigned_to,
+  language: lead.language,
+  tags: lead.tags || [],
+  score: lead.score || 0,
+  ...matchingService.formatCriteria(lead),
+  createdAt: lead.created_at,
+  updatedAt: lead.updated_at,
+  created_at: lead.created_at, // Keep both for compatibility
+  updated_at: lead.updated_at
+});
+
+// Short form of duplicate matches for API responses
+const formatDuplicateMatches = (matches) => matches.map(match => ({
+  lead: duplicateService.summarize(match.lead),
+  reasons: match.reasons,
+  confidence: match.confidence,
+  nameSimilarity: match.nameSimilarity
+}));
+
 // WhatsApp welcome message function with Twilio
-async function sendWelcomeWhatsAppMessage(lead) {
+// idempotencyKey: set for the automatic message so a lead is only welcomed once
+async function sendWelcomeWhatsAppMessage(lead, agencyId, { idempotencyKey = null } = {}) {
   try {
-    // Get agent information
-    const agentResult = await pool.query('SELECT * FROM team_members WHERE name = $1', [lead.assignedTo]);
+    // Get agent information (only agents of the lead's agency)
+    const agentResult = await pool.query(
+      'SELECT * FROM team_members WHERE name = $1 AND agency_id = $2',
+      [lead.assignedTo, agencyId]
+    );
     const agent = agentResult.rows[0];
 
     if (!agent) {
@@ -251,6 +1056,12 @@ async function sendWelcomeWhatsAppMessage(lead) {
       return { success: false, message: 'Agent not found' };
     }
 
+    // Also checked for the manual wa.me link: the agent must not message a lead that opted out
+    if (lead.id && !(await consentService.canContact(lead.id, 'whatsapp'))) {
+      console.log('🔕 Lead opted out of WhatsApp, no welcome message');
+      return { success: false, skipped: true, message: 'Lead opted out of WhatsApp' };
+    }
+
     // Determine language (default to French if not specified)
     const userLanguage = lead.language || 'fr';
     console.log('🌐 WhatsApp message language:', userLanguage);
@@ -278,88 +1089,49 @@ async function sendWelcomeWhatsAppMessage(lead) {
       phoneNumber = '+' + phoneNumber;
     }
 
-    // Create welcome message based on language
-    let message;
-
-    if (userLanguage === 'en') {
-      // English message
-      message = `🏠 *Welcome to LeadEstate!*
-
-Hello ${lead.name}!
-
-Thank you for your interest in our real estate services. I'm ${agent.name}, your dedicated advisor.
-
-👤 *Your advisor:* ${agent.name}
-📱 *My number:* ${agent.phone || '+33 1 23 45 67 89'}
-📧 *My email:* ${agent.email || 'contact@leadestate.com'}
-
-I'm here to help you with your real estate project. Don't hesitate to contact me for any questions!
+    // Welcome copy from the agency's template library (built-in copy when not customized)
+    const { body: message } = await templateService.render('whatsapp', WHATSAPP_TEMPLATES.WELCOME_MESSAGE, {
+      agencyId,
+      language: userLanguage,
+      variables: {
+        ...templateService.leadVariables({ name: lead.name, phone: lead.phone }),
+        agentName: agent.name,
+        agentPhone: agent.phone || '+33 1 23 45 67 89',
+        agentEmail: agent.email || 'contact@leadestate.com'
+      }
+    });
 
-Best regards,
-${agent.name}
-*LeadEstate - Your Real Estate Partner* 🏡`;
-    } else {
-      // French message (default)
-      message = `🏠 *Bienvenue chez LeadEstate !*
+    console.log('📱 Preparing WhatsApp message for:', lead.name);
+    console.log('📞 Phone:', phoneNumber);
+    console.log('👤 Agent:', agent.name);
 
-Bonjour ${lead.name} !
+    // With Twilio configured the message queue sends it (with retries), the request does not wait
+    if (twilioService.isConfigured()) {
+      const queued = await twilioService.queueWhatsAppMessage({
+        to: phoneNumber,
+        message,
+        agencyId,
+        leadId: lead.id,
+        idempotencyKey,
+        sentBy: agent.name
+      });
+      if (queued.skipped) {
+        return { success: false, skipped: true, message: queued.error };
+      }
 
-Merci de votre intérêt pour nos services immobiliers. Je suis ${agent.name}, votre conseiller dédié.
+      console.log('📤 WhatsApp welcome message queued:', queued.queueId);
 
-👤 *Votre conseiller :* ${agent.name}
-📱 *Mon numéro :* ${agent.phone || '+33 1 23 45 67 89'}
-📧 *Mon email :* ${agent.email || 'contact@leadestate.com'}
-
-Je suis là pour vous accompagner dans votre projet immobilier. N'hésitez pas à me contacter pour toute question !
-
-À très bientôt,
-${agent.name}
-*LeadEstate - Votre partenaire immobilier* 🏡`;
-    }
-
-    console.log('📱 Preparing WhatsApp message for:', lead.name);
-    console.log('📞 Phone:', phoneNumber);
-    console.log('👤 Agent:', agent.name);
-
-    // Try to send via Twilio if configured
-    if (twilioClient && process.env.TWILIO_WHATSAPP_FROM) {
-      try {
-        const twilioMessage = await twilioClient.messages.create({
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`,
-          to: `whatsapp:${phoneNumber}`,
-          body: message
-        });
-
-        console.log('✅ WhatsApp message sent successfully via Twilio!');
-        console.log('📧 Message SID:', twilioMessage.sid);
-        console.log('📊 Status:', twilioMessage.status);
-
-        return {
-          success: true,
-          method: 'twilio',
-          messageSid: twilioMessage.sid,
-          status: twilioMessage.status,
-          agent: agent.name,
-          leadName: lead.name,
-          phoneNumber: phoneNumber
-        };
-
-      } catch (twilioError) {
-        console.error('❌ Twilio WhatsApp send failed:', twilioError.message);
-
-        // Fallback to URL method
-        const whatsappUrl = `https://wa.me/${phoneNumber.replace('+', '')}?text=${encodeURIComponent(message)}`;
-
-        return {
-          success: true,
-          method: 'fallback_url',
-          whatsappUrl: whatsappUrl,
-          agent: agent.name,
-          leadName: lead.name,
-          phoneNumber: phoneNumber,
-          error: twilioError.message
-        };
-      }
+      return {
+        success: true,
+        method: 'queued',
+        queueId: queued.queueId,
+        status: queued.status,
+        duplicate: queued.duplicate,
+        agent: agent.name,
+        leadName: lead.name,
+        phoneNumber: phoneNumber,
+        message
+      };
     } else {
       // No Twilio configured - provide URL for manual sending
       const whatsappUrl = `https://wa.me/${phoneNumber.replace('+', '')}?text=${encodeURIComponent(message)}`;
@@ -383,6 +1155,36 @@ ${agent.name}
   }
 }
 
+// Record a WhatsApp welcome message on the lead timeline
+// automatic: sent without an agent's action (welcome message on lead creation)
+async function logWhatsAppActivity(leadId, whatsappResult, context, { automatic = false } = {}) {
+  if (!whatsappResult || !whatsappResult.success) {
+    return null;
+  }
+
+  // Already queued for this lead (idempotency key): logged the first time
+  if (whatsappResult.duplicate) {
+    return null;
+  }
+
+  // Queued messages are in the conversation log, where the queue and Twilio callbacks update them
+  return activityService.log({
+    leadId,
+    type: ACTIVITY_TYPES.WHATSAPP_SENT,
+    description: whatsappResult.method === 'queued'
+      ? `WhatsApp welcome message sent by ${whatsappResult.agent}`
+      : `WhatsApp welcome message prepared by ${whatsappResult.agent}`,
+    metadata: {
+      method: whatsappResult.method,
+      queueId: whatsappResult.queueId || null,
+      status: whatsappResult.status || null,
+      phoneNumber: whatsappResult.phoneNumber,
+      error: whatsappResult.error || null,
+      automatic
+    }
+  }, context);
+}
+
 // Status endpoint
 app.get('/api/status', (req, res) => {
   res.json({
@@ -407,6 +1209,8 @@ app.get('/api/optimize-db', async (req, res) => {
       'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_status ON leads(status)',
       'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_assigned_to ON leads(assigned_to)',
       'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_source ON leads(source)',
+      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_language ON leads(language)',
+      'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_leads_budget ON leads(budget)',
 
       // Properties table indexes
       'CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_properties_created_at ON properties(created_at DESC)',
@@ -547,41 +1351,69 @@ app.get('/api/test-insert', async (req, res) => {
   }
 });
 
-// Auth endpoints
-app.post('/api/auth/login', (req, res) => {
-  const { email, password } = req.body;
-  
-  if (email && password) {
-    const user = {
-      id: generateId(),
-      name: 'Demo User',
-      email: email,
-      role: 'manager'
-    };
-    
-    const token = 'demo-token-' + generateId();
-    
-    res.json({
-      success: true,
-      user: user,
-      token: token,
-      message: 'Login successful'
-    });
-  } else {
-    res.status(400).json({
-      success: false,
-      message: 'Email and password required'
-    });
-  }
-});
+// Auth endpoints (login, current user, register)
+const authRoutes = require('./routes/auth');
+app.use('/api/auth', authRoutes);
 
 // Leads endpoints
-app.get('/api/leads', async (req, res) => {
+// GET /api/leads - Paginated, filtered and sorted leads
+// Query: page, limit, cursor, sort (e.g. "-createdAt,name"), status, source,
+// assignedTo, language, budgetMin, budgetMax, scoreMin, createdFrom, createdTo, search
+app.get('/api/leads', requirePermission(PERMISSIONS.LEADS_READ_ALL, PERMISSIONS.LEADS_READ_OWN), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM leads ORDER BY created_at DESC');
+    let listQuery;
+    try {
+      listQuery = parseLeadListQuery(req.query);
+    } catch (error) {
+      if (error instanceof LeadQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const { filters, sort, limit, page, cursor } = listQuery;
+    const params = [req.agencyId];
+    const conditions = ['agency_id = $1', ...buildLeadFilterConditions(filters, params)];
+    // Users with leads.read.own only see the leads assigned to them
+    if (await permissionService.getLeadScope(req.user) === 'own') {
+      conditions.push(permissionService.buildOwnLeadCondition(req.user, params));
+    }
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM leads ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].total);
+
+    // Cursor pagination continues after the last row seen, offset pagination uses page
+    const pageParams = [...params];
+    const pageConditions = [...conditions];
+    if (cursor) {
+      pageConditions.push(buildCursorCondition(sort, cursor, pageParams));
+    }
+    const pageWhere = `WHERE ${pageConditions.join(' AND ')}`;
+    const { orderBy, sortColumns } = buildLeadOrder(sort);
+
+    pageParams.push(limit + 1);
+    let pageQuery = `
+      SELECT *, ${sortColumns}
+      FROM leads
+      ${pageWhere}
+      ORDER BY ${orderBy}
+      LIMIT $${pageParams.length}
+    `;
+    if (!cursor) {
+      pageParams.push((page - 1) * limit);
+      pageQuery += ` OFFSET $${pageParams.length}`;
+    }
+
+    const result = await pool.query(pageQuery, pageParams);
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
 
     // Format data for frontend compatibility
-    const formattedLeads = result.rows.map(lead => {
+    const formattedLeads = rows.map(lead => {
       let interestedProperties = [];
       try {
         interestedProperties = JSON.parse(lead.interested_properties || '[]');
@@ -599,7 +1431,13 @@ app.get('/api/leads', async (req, res) => {
         notes: lead.notes,
         status: lead.status,
         assignedTo: lead.assigned_to,
+        language: lead.language,
         interestedProperties: interestedProperties, // Include interested properties
+        lastContact: lead.last_contact,
+        nextFollowUp: lead.next_follow_up,
+        tags: lead.tags || [],
+        score: lead.score || 0,
+        ...matchingService.formatCriteria(lead),
         createdAt: lead.created_at,
         updatedAt: lead.updated_at,
         created_at: lead.created_at, // Keep both for compatibility
@@ -607,11 +1445,32 @@ app.get('/api/leads', async (req, res) => {
       };
     });
 
-    console.log(`📊 Fetched ${formattedLeads.length} leads from database`);
+    const lastRow = rows[rows.length - 1];
+    const nextCursor = hasMore && lastRow
+      ? encodeCursor(sortToString(sort), sort.map((clause, index) => lastRow[`sort_${index}`]))
+      : null;
+
+    let meta;
+    if (cursor) {
+      // Page numbers are meaningless when paging by cursor
+      meta = {
+        ...getPaginationMeta(1, limit, total),
+        currentPage: null,
+        hasNext: hasMore,
+        hasPrev: true,
+        nextPage: null,
+        prevPage: null
+      };
+    } else {
+      meta = getPaginationMeta(page, limit, total);
+    }
+    meta.nextCursor = nextCursor;
+    meta.sort = sortToString(sort);
+
+    console.log(`📊 Fetched ${formattedLeads.length} of ${total} leads from database`);
 
     res.json({
-      success: true,
-      data: formattedLeads,
+      ...formatResponse(true, 'Leads retrieved successfully', formattedLeads, meta),
       count: formattedLeads.length
     });
   } catch (error) {
@@ -623,7 +1482,241 @@ app.get('/api/leads', async (req, res) => {
   }
 });
 
-app.post('/api/leads', async (req, res) => {
+// GET /api/leads/hot - Leads scoring at or above the agency's hot threshold, best first
+// Query: page, limit, assignedTo
+app.get('/api/leads/hot', requirePermission(PERMISSIONS.LEADS_READ_ALL, PERMISSIONS.LEADS_READ_OWN), async (req, res) => {
+  try {
+    const ownedBy = await permissionService.getLeadScope(req.user) === 'own' ? req.user : null;
+    const { leads, hotThreshold, pagination } = await scoringService.getHotLeads(req.agencyId, { ...req.query, ownedBy });
+
+    res.json({
+      ...formatResponse(true, 'Hot leads retrieved successfully', leads.map(lead => ({
+        ...formatLead(lead),
+        scoreBreakdown: lead.score_breakdown || [],
+        scoredAt: lead.scored_at
+      })), { ...pagination, hotThreshold }),
+      count: leads.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching hot leads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hot leads',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/leads/:id/score - A lead's stored score explained factor by factor
+app.get('/api/leads/:id/score', authorizeLeadAccess(), async (req, res) => {
+  try {
+    const scoring = await scoringService.getLeadScore(req.params.id, req.agencyId);
+    if (!scoring) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    res.json(formatResponse(true, 'Lead score retrieved successfully', {
+      leadId: req.params.id,
+      ...scoring
+    }));
+  } catch (error) {
+    console.error('❌ Error fetching lead score:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lead score',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/leads/:id/score - Recalculate a lead's score now and explain it
+app.post('/api/leads/:id/score', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess(), async (req, res) => {
+  try {
+    const scoring = await scoringService.rescoreLead(req.params.id, req.agencyId);
+    if (!scoring) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    res.json(formatResponse(true, 'Lead rescored successfully', {
+      leadId: req.params.id,
+      ...scoring
+    }));
+  } catch (error) {
+    console.error('❌ Error scoring lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to score lead',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/leads/:id/messages - WhatsApp and email conversation with the lead, newest first
+// Query: page, limit, channel (whatsapp, email)
+app.get('/api/leads/:id/messages', authorizeLeadAccess(), async (req, res) => {
+  try {
+    const leadResult = await pool.query(
+      'SELECT id FROM leads WHERE id = $1 AND agency_id = $2',
+      [req.params.id, req.agencyId]
+    );
+    if (leadResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (req.query.channel && !['whatsapp', 'email'].includes(req.query.channel)) {
+      return res.status(400).json({
+        success: false,
+        message: 'channel must be whatsapp or email'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    const { messages, pagination } = await messageService.listForLead(req.params.id, req.agencyId, {
+      page,
+      limit,
+      channel: req.query.channel
+    });
+
+    res.json({
+      ...formatResponse(true, 'Messages retrieved successfully', messages, pagination),
+      count: messages.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching lead messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/leads/:id/matches - Available properties matching the lead's search criteria, best first
+// Query: minScore (default 60), limit (default 20)
+app.get('/api/leads/:id/matches', authorizeLeadAccess(), async (req, res) => {
+  try {
+    const result = await matchingService.findPropertiesForLead(req.params.id, req.agencyId, {
+      minScore: parseInt(req.query.minScore) || matchingService.minScore,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const matches = result.matches.map(match => ({
+      property: matchingService.formatProperty(match.property),
+      score: match.score,
+      criteria: match.criteria,
+      alert: match.alert
+    }));
+
+    res.json({
+      ...formatResponse(true, 'Matching properties retrieved successfully', matches, {
+        searchCriteria: matchingService.formatCriteria(result.lead)
+      }),
+      count: matches.length
+    });
+  } catch (error) {
+    console.error('❌ Error matching properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to match properties',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/leads/duplicates - Groups of probable duplicate leads
+// Query: confidence (high = same email or phone, medium = similar name only)
+app.get('/api/leads/duplicates', requirePermission(PERMISSIONS.LEADS_READ_ALL), async (req, res) => {
+  try {
+    const { confidence } = req.query;
+    if (confidence && !['high', 'medium'].includes(confidence)) {
+      return res.status(400).json({
+        success: false,
+        message: 'confidence must be high or medium'
+      });
+    }
+
+    const groups = await duplicateService.findDuplicateGroups(req.agencyId, { confidence });
+
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length,
+      message: 'Duplicate leads retrieved successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error finding duplicate leads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicate leads',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/leads/:id/merge - Merge duplicate leads ({ duplicateIds: [...] }) into this lead
+app.post('/api/leads/:id/merge', requirePermission(PERMISSIONS.LEADS_DELETE), authorizeLeadAccess(), async (req, res) => {
+  try {
+    // The merged leads are deleted: each one must be a lead the user may open, like the survivor
+    const duplicateIds = Array.isArray(req.body.duplicateIds) ? req.body.duplicateIds : [];
+    for (const duplicateId of duplicateIds) {
+      if (!(await permissionService.canAccessLead(req.user, String(duplicateId)))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lead not found'
+        });
+      }
+    }
+
+    const result = await duplicateService.merge(
+      req.params.id,
+      req.body.duplicateIds,
+      activityService.fromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        lead: formatLead(result.lead),
+        mergeId: result.mergeId,
+        mergedLeadIds: result.mergedLeadIds,
+        filledFields: result.filledFields
+      },
+      message: `${result.mergedLeadIds.length} lead(s) merged successfully`
+    });
+  } catch (error) {
+    if (error instanceof duplicateService.DuplicateError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error merging leads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge leads',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/leads', requirePermission(PERMISSIONS.LEADS_CREATE), async (req, res) => {
   try {
     console.log('📝 Received lead data:', req.body);
 
@@ -648,25 +1741,112 @@ app.post('/api/leads', async (req, res) => {
       status: leadData.status || 'new',
       assigned_to: leadData.assignedTo || null, // Include assigned agent
       language: leadData.language || 'fr', // Include language preference
-      agency_id: 'default-agency', // Default agency ID
+      agency_id: req.agencyId, // Owning agency of the authenticated user
+      phone_normalized: duplicateService.normalizePhone(leadData.phone),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
+    // Without leads.assign, users create leads for themselves only
+    if (!await permissionService.can(req.user, PERMISSIONS.LEADS_ASSIGN)) {
+      if (leadData.assignedTo && !permissionService.isOwnLead(req.user, leadData)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not allowed to assign leads to other agents'
+        });
+      }
+      newLead.assigned_to = newLead.assigned_to || `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim();
+    }
+
+    // Duplicate detection: a lead with the same email or phone is rejected unless the
+    // caller creates it anyway (onDuplicate: 'allow') or updates the existing one ('merge')
+    const onDuplicate = leadData.onDuplicate || 'reject';
+    if (!['reject', 'allow', 'merge'].includes(onDuplicate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'onDuplicate must be reject, allow or merge'
+      });
+    }
+
+    // Search criteria used to match the lead with properties, and the consent the lead
+    // gave where it was captured ({ channels: { email: true, ... }, source, proof })
+    let criteria;
+    let consents = [];
+    try {
+      criteria = matchingService.parseCriteria(leadData);
+      if (leadData.consent !== undefined) {
+        consents = consentService.normalizeCapture(leadData.consent);
+      }
+    } catch (error) {
+      if (error instanceof matchingService.MatchingError || error instanceof consentService.ConsentError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    const recordConsents = async (lead) => {
+      const client = { ipAddress: req.ip, userAgent: req.get('user-agent') };
+      for (const consent of consents) {
+        await consentService.record(lead, {
+          ...consent,
+          proof: consentService.withRequestProof(consent.proof, client)
+        }, activityService.fromRequest(req));
+      }
+    };
+
+    const duplicateMatches = await duplicateService.findMatches(newLead, req.agencyId);
+    const strongMatches = duplicateMatches.filter(match => match.confidence === 'high');
+
+    if (strongMatches.length > 0 && onDuplicate === 'reject') {
+      return res.status(409).json({
+        success: false,
+        message: 'A lead with the same email or phone already exists',
+        duplicates: formatDuplicateMatches(duplicateMatches)
+      });
+    }
+
+    if (strongMatches.length > 0 && onDuplicate === 'merge') {
+      const existingLead = await duplicateService.absorb(
+        strongMatches[0].lead,
+        newLead,
+        activityService.fromRequest(req)
+      );
+      await recordConsents(existingLead);
+      return res.json({
+        success: true,
+        data: formatLead(existingLead),
+        duplicateOf: existingLead.id,
+        message: 'Lead already exists - existing lead updated'
+      });
+    }
+
     console.log('💾 Saving lead to database:', newLead);
 
+    const insertData = { ...newLead, ...criteria };
+    const insertColumns = Object.keys(insertData);
     const result = await pool.query(`
-      INSERT INTO leads (id, first_name, last_name, email, phone, whatsapp, source, budget, notes, status, assigned_to, language, agency_id, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      INSERT INTO leads (${insertColumns.join(', ')})
+      VALUES (${insertColumns.map((column, index) => `$${index + 1}`).join(', ')})
       RETURNING *
-    `, [
-      newLead.id, newLead.first_name, newLead.last_name, newLead.email, newLead.phone,
-      newLead.whatsapp, newLead.source, newLead.budget, newLead.notes,
-      newLead.status, newLead.assigned_to, newLead.language, newLead.agency_id, newLead.created_at, newLead.updated_at
-    ]);
+    `, insertColumns.map(column => insertData[column]));
 
     console.log('✅ Lead saved successfully:', result.rows[0]);
 
+    const activityContext = activityService.fromRequest(req);
+    await activityService.log({
+      leadId: result.rows[0].id,
+      type: ACTIVITY_TYPES.LEAD_CREATED,
+      description: `Lead created from ${result.rows[0].source}`,
+      metadata: {
+        source: result.rows[0].source,
+        status: result.rows[0].status,
+        assignedTo: result.rows[0].assigned_to
+      }
+    }, activityContext);
+    await recordConsents(result.rows[0]);
+
     // Return data in format frontend expects
     const responseData = {
       id: result.rows[0].id,
@@ -679,6 +1859,7 @@ app.post('/api/leads', async (req, res) => {
       status: result.rows[0].status,
       assignedTo: result.rows[0].assigned_to,
       language: result.rows[0].language, // Include language in response
+      ...matchingService.formatCriteria(result.rows[0]),
       createdAt: result.rows[0].created_at,
       updatedAt: result.rows[0].updated_at,
       created_at: result.rows[0].created_at, // Keep both for compatibility
@@ -689,14 +1870,26 @@ app.post('/api/leads', async (req, res) => {
     let whatsappResult = null;
     if (result.rows[0].phone && result.rows[0].assigned_to) {
       try {
-        whatsappResult = await sendWelcomeWhatsAppMessage(responseData);
+        whatsappResult = await sendWelcomeWhatsAppMessage(responseData, req.agencyId, {
+          idempotencyKey: `lead-welcome:${responseData.id}`
+        });
         console.log('📱 WhatsApp welcome result:', whatsappResult);
+        await logWhatsAppActivity(responseData.id, whatsappResult, activityContext, { automatic: true });
       } catch (whatsappError) {
         console.log('⚠️ WhatsApp message failed (non-critical):', whatsappError.message);
         whatsappResult = { success: false, error: whatsappError.message };
       }
     }
 
+    const scoring = await scoringService.rescoreLead(result.rows[0].id, req.agencyId);
+    responseData.score = scoring ? scoring.score : 0;
+
+    // Automation workflows run in the background
+    workflowService.handleEvent(WORKFLOW_TRIGGERS.NEW_LEAD, {
+      agencyId: req.agencyId,
+      leadId: result.rows[0].id
+    });
+
     // Include WhatsApp status in response
     const response = {
       success: true,
@@ -704,10 +1897,14 @@ app.post('/api/leads', async (req, res) => {
       message: 'Lead created successfully'
     };
 
+    if (duplicateMatches.length > 0) {
+      response.possibleDuplicates = formatDuplicateMatches(duplicateMatches);
+    }
+
     if (whatsappResult) {
       response.whatsapp = whatsappResult;
-      if (whatsappResult.success && whatsappResult.method === 'twilio') {
-        response.message += ' - WhatsApp welcome message sent automatically!';
+      if (whatsappResult.success && whatsappResult.method === 'queued') {
+        response.message += ' - WhatsApp welcome message queued for sending!';
       } else if (whatsappResult.success && whatsappResult.method === 'url_only') {
         response.message += ' - WhatsApp welcome message prepared (Twilio not configured)';
       }
@@ -726,7 +1923,7 @@ app.post('/api/leads', async (req, res) => {
   }
 });
 
-app.put('/api/leads/:id', async (req, res) => {
+app.put('/api/leads/:id', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess(), async (req, res) => {
   try {
     console.log('📝 Updating lead:', req.params.id, 'with data:', req.body);
 
@@ -742,6 +1939,54 @@ app.put('/api/leads/:id', async (req, res) => {
       lastName = nameParts.slice(1).join(' ') || '';
     }
 
+    // Keep the previous version to record what changed on the timeline
+    const previousResult = await pool.query(
+      'SELECT * FROM leads WHERE id = $1 AND agency_id = $2',
+      [id, req.agencyId]
+    );
+    if (previousResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    // Reassigning a lead requires leads.assign (sending the current assignee back is fine)
+    const currentAssignee = String(previousResult.rows[0].assigned_to || '').trim().toLowerCase();
+    const reassigned = updateData.assignedTo !== undefined && updateData.assignedTo !== null &&
+      String(updateData.assignedTo).trim().toLowerCase() !== currentAssignee;
+    if (reassigned && !await permissionService.can(req.user, PERMISSIONS.LEADS_ASSIGN)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to reassign leads'
+      });
+    }
+
+    let criteria;
+    try {
+      criteria = matchingService.parseCriteria(updateData, previousResult.rows[0]);
+    } catch (error) {
+      if (error instanceof matchingService.MatchingError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    // Search criteria are set as sent, so they can also be cleared
+    const updateParams = [
+      id, firstName, lastName, updateData.email, updateData.phone,
+      updateData.phone, updateData.source, updateData.budget ? parseFloat(updateData.budget) : null,
+      updateData.notes, updateData.status, updateData.assignedTo, new Date().toISOString(),
+      req.agencyId, duplicateService.normalizePhone(updateData.phone) || ''
+    ];
+    const criteriaSets = Object.entries(criteria).map(([column, value]) => {
+      updateParams.push(value);
+      return `,\n        ${column} = $${updateParams.length}`;
+    }).join('');
+
     const result = await pool.query(`
       UPDATE leads SET
         first_name = COALESCE($2, first_name),
@@ -754,14 +1999,11 @@ app.put('/api/leads/:id', async (req, res) => {
         notes = COALESCE($9, notes),
         status = COALESCE($10, status),
         assigned_to = COALESCE($11, assigned_to),
-        updated_at = $12
-      WHERE id = $1
+        updated_at = $12,
+        phone_normalized = CASE WHEN $5::text IS NULL THEN phone_normalized ELSE $14 END${criteriaSets}
+      WHERE id = $1 AND agency_id = $13
       RETURNING *
-    `, [
-      id, firstName, lastName, updateData.email, updateData.phone,
-      updateData.phone, updateData.source, updateData.budget ? parseFloat(updateData.budget) : null,
-      updateData.notes, updateData.status, updateData.assignedTo, new Date().toISOString()
-    ]);
+    `, updateParams);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -772,6 +2014,17 @@ app.put('/api/leads/:id', async (req, res) => {
 
     console.log('✅ Lead updated successfully:', result.rows[0]);
 
+    await activityService.logLeadChanges(previousResult.rows[0], result.rows[0], activityService.fromRequest(req));
+    await consentService.recordPreferenceChanges(previousResult.rows[0], result.rows[0], activityService.fromRequest(req));
+    const scoring = await scoringService.rescoreLead(id, req.agencyId);
+
+    workflowService.handleEvent(WORKFLOW_TRIGGERS.LEAD_UPDATED, {
+      agencyId: req.agencyId,
+      leadId: id,
+      before: previousResult.rows[0],
+      after: result.rows[0]
+    });
+
     // Format response for frontend compatibility
     const updatedLead = {
       id: result.rows[0].id,
@@ -783,6 +2036,8 @@ app.put('/api/leads/:id', async (req, res) => {
       notes: result.rows[0].notes,
       status: result.rows[0].status,
       assignedTo: result.rows[0].assigned_to,
+      score: scoring ? scoring.score : result.rows[0].score,
+      ...matchingService.formatCriteria(result.rows[0]),
       createdAt: result.rows[0].created_at,
       updatedAt: result.rows[0].updated_at,
       created_at: result.rows[0].created_at, // Keep both for compatibility
@@ -791,45 +2046,303 @@ app.put('/api/leads/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: updatedLead,
-      message: 'Lead updated successfully'
+      data: updatedLead,
+      message: 'Lead updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lead'
+    });
+  }
+});
+
+app.delete('/api/leads/:id', requirePermission(PERMISSIONS.LEADS_DELETE), authorizeLeadAccess(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'DELETE FROM leads WHERE id = $1 AND agency_id = $2 RETURNING *',
+      [id, req.agencyId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const deletedLead = result.rows[0];
+
+    // Pending follow-ups of a deleted lead can no longer be worked on
+    await pool.query(
+      "UPDATE follow_ups SET status = 'cancelled', updated_at = NOW() WHERE lead_id = $1 AND agency_id = $2 AND status = 'pending'",
+      [id, req.agencyId]
+    );
+    await pool.query(
+      "UPDATE appointments SET status = 'cancelled', cancel_reason = 'Lead deleted', cancelled_at = NOW(), updated_at = NOW() WHERE lead_id = $1 AND agency_id = $2 AND status = 'scheduled'",
+      [id, req.agencyId]
+    );
+    await activityService.log({
+      leadId: deletedLead.id,
+      type: ACTIVITY_TYPES.LEAD_DELETED,
+      description: 'Lead deleted',
+      metadata: {
+        name: `${deletedLead.first_name || ''} ${deletedLead.last_name || ''}`.trim(),
+        email: deletedLead.email,
+        phone: deletedLead.phone,
+        status: deletedLead.status
+      }
+    }, activityService.fromRequest(req));
+
+    res.json({
+      success: true,
+      message: 'Lead deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete lead'
+    });
+  }
+});
+
+// Property linking endpoints
+app.post('/api/leads/:leadId/link-property/:propertyId', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess('leadId'), async (req, res) => {
+  try {
+    const { leadId, propertyId } = req.params;
+
+    console.log('🔗 Linking property:', leadId, 'to', propertyId);
+
+    // Get current lead
+    const leadResult = await pool.query(
+      'SELECT * FROM leads WHERE id = $1 AND agency_id = $2',
+      [leadId, req.agencyId]
+    );
+    if (leadResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    // Only properties of the same agency can be linked
+    const propertyResult = await pool.query(
+      'SELECT id, title FROM properties WHERE id = $1 AND agency_id = $2',
+      [propertyId, req.agencyId]
+    );
+    if (propertyResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const lead = leadResult.rows[0];
+    let interestedProperties = [];
+
+    try {
+      interestedProperties = JSON.parse(lead.interested_properties || '[]');
+    } catch (error) {
+      interestedProperties = [];
+    }
+
+    // Add property if not already linked
+    const alreadyLinked = interestedProperties.includes(propertyId);
+    if (!alreadyLinked) {
+      interestedProperties.push(propertyId);
+    }
+
+    // Update lead with new interested properties
+    const result = await pool.query(
+      'UPDATE leads SET interested_properties = $1, updated_at = $2 WHERE id = $3 AND agency_id = $4 RETURNING *',
+      [JSON.stringify(interestedProperties), new Date().toISOString(), leadId, req.agencyId]
+    );
+
+    if (!alreadyLinked) {
+      await activityService.log({
+        leadId,
+        propertyId,
+        type: ACTIVITY_TYPES.PROPERTY_LINKED,
+        description: `Linked to property ${propertyResult.rows[0].title || propertyId}`,
+        metadata: { propertyTitle: propertyResult.rows[0].title }
+      }, activityService.fromRequest(req));
+
+      // Linking a property records the lead's interest in it
+      workflowService.handleEvent(WORKFLOW_TRIGGERS.PROPERTY_VIEWED, {
+        agencyId: req.agencyId,
+        leadId,
+        propertyId
+      });
+    }
+
+    console.log('✅ Property linked to lead successfully');
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Property linked successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error linking property to lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link property to lead',
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/leads/:leadId/unlink-property/:propertyId', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess('leadId'), async (req, res) => {
+  try {
+    const { leadId, propertyId } = req.params;
+
+    console.log('🔗 Unlinking property:', propertyId, 'from', leadId);
+
+    // Get current lead
+    const leadResult = await pool.query(
+      'SELECT * FROM leads WHERE id = $1 AND agency_id = $2',
+      [leadId, req.agencyId]
+    );
+    if (leadResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const lead = leadResult.rows[0];
+    let interestedProperties = [];
+
+    try {
+      interestedProperties = JSON.parse(lead.interested_properties || '[]');
+    } catch (error) {
+      interestedProperties = [];
+    }
+
+    // Remove property from interested properties
+    const wasLinked = interestedProperties.includes(propertyId);
+    interestedProperties = interestedProperties.filter(id => id !== propertyId);
+
+    // Update lead
+    const result = await pool.query(
+      'UPDATE leads SET interested_properties = $1, updated_at = $2 WHERE id = $3 AND agency_id = $4 RETURNING *',
+      [JSON.stringify(interestedProperties), new Date().toISOString(), leadId, req.agencyId]
+    );
+
+    if (wasLinked) {
+      await activityService.log({
+        leadId,
+        propertyId,
+        type: ACTIVITY_TYPES.PROPERTY_UNLINKED,
+        description: `Unlinked from property ${propertyId}`
+      }, activityService.fromRequest(req));
+    }
+
+    console.log('✅ Property unlinked from lead successfully');
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Property unlinked successfully'
     });
+
   } catch (error) {
-    console.error('Error updating lead:', error);
+    console.error('❌ Error unlinking property from lead:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update lead'
+      message: 'Failed to unlink property from lead',
+      error: error.message
     });
   }
 });
 
-app.delete('/api/leads/:id', async (req, res) => {
+// Lead notes and activity timeline
+app.post('/api/leads/:id/notes', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess(), async (req, res) => {
   try {
     const { id } = req.params;
-    await pool.query('DELETE FROM leads WHERE id = $1', [id]);
+    const content = String(req.body.content || req.body.note || '').trim();
 
-    res.json({
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note content is required'
+      });
+    }
+
+    // Notes are appended to the lead's notes field and recorded on the timeline
+    const result = await pool.query(`
+      UPDATE leads SET
+        notes = CASE WHEN COALESCE(notes, '') = '' THEN $1 ELSE notes || E'\\n\\n' || $1 END,
+        updated_at = $2
+      WHERE id = $3 AND agency_id = $4
+      RETURNING id, notes
+    `, [content, new Date().toISOString(), id, req.agencyId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const activity = await activityService.log({
+      leadId: id,
+      type: ACTIVITY_TYPES.NOTE_ADDED,
+      description: content,
+      metadata: { content }
+    }, activityService.fromRequest(req));
+
+    res.status(201).json({
       success: true,
-      message: 'Lead deleted successfully'
+      data: {
+        activity,
+        notes: result.rows[0].notes
+      },
+      message: 'Note added successfully'
     });
   } catch (error) {
-    console.error('Error deleting lead:', error);
+    console.error('❌ Error adding note to lead:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete lead'
+      message: 'Failed to add note',
+      error: error.message
     });
   }
 });
 
-// Property linking endpoints
-app.post('/api/leads/:leadId/link-property/:propertyId', async (req, res) => {
+app.get('/api/leads/:id/activities', authorizeLeadAccess(), async (req, res) => {
   try {
-    const { leadId, propertyId } = req.params;
+    const { id } = req.params;
 
-    console.log('🔗 Linking property:', leadId, 'to', propertyId);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1),
+      PAGINATION.MAX_LIMIT
+    );
+    const page = Math.max(parseInt(req.query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
 
-    // Get current lead
-    const leadResult = await pool.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+    // type=status_changed,note_added or repeated type params
+    const rawTypes = req.query.type || req.query.types || [];
+    const types = (Array.isArray(rawTypes) ? rawTypes : String(rawTypes).split(','))
+      .map(type => String(type).trim())
+      .filter(Boolean);
+    const allowedTypes = Object.values(ACTIVITY_TYPES);
+    const invalidTypes = types.filter(type => !allowedTypes.includes(type));
+
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid activity type: ${invalidTypes.join(', ')}. Allowed types: ${allowedTypes.join(', ')}`
+      });
+    }
+
+    const leadResult = await pool.query(
+      'SELECT id FROM leads WHERE id = $1 AND agency_id = $2',
+      [id, req.agencyId]
+    );
     if (leadResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -837,52 +2350,33 @@ app.post('/api/leads/:leadId/link-property/:propertyId', async (req, res) => {
       });
     }
 
-    const lead = leadResult.rows[0];
-    let interestedProperties = [];
-
-    try {
-      interestedProperties = JSON.parse(lead.interested_properties || '[]');
-    } catch (error) {
-      interestedProperties = [];
-    }
-
-    // Add property if not already linked
-    if (!interestedProperties.includes(propertyId)) {
-      interestedProperties.push(propertyId);
-    }
-
-    // Update lead with new interested properties
-    const result = await pool.query(
-      'UPDATE leads SET interested_properties = $1, updated_at = $2 WHERE id = $3 RETURNING *',
-      [JSON.stringify(interestedProperties), new Date().toISOString(), leadId]
-    );
-
-    console.log('✅ Property linked to lead successfully');
-
-    res.json({
-      success: true,
-      data: result.rows[0],
-      message: 'Property linked successfully'
+    const { activities, pagination } = await activityService.getLeadActivities(id, req.agencyId, {
+      page,
+      limit,
+      types
     });
 
+    res.json(formatResponse(true, 'Lead activities retrieved successfully', activities, pagination));
   } catch (error) {
-    console.error('❌ Error linking property to lead:', error);
+    console.error('❌ Error fetching lead activities:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to link property to lead',
+      message: 'Failed to fetch lead activities',
       error: error.message
     });
   }
 });
 
-app.delete('/api/leads/:leadId/unlink-property/:propertyId', async (req, res) => {
+// WhatsApp notification endpoint
+app.post('/api/whatsapp/welcome/:leadId', requirePermission(PERMISSIONS.LEADS_UPDATE), authorizeLeadAccess('leadId'), async (req, res) => {
   try {
-    const { leadId, propertyId } = req.params;
-
-    console.log('🔗 Unlinking property:', propertyId, 'from', leadId);
+    const { leadId } = req.params;
 
-    // Get current lead
-    const leadResult = await pool.query('SELECT * FROM leads WHERE id = $1', [leadId]);
+    // Get lead information
+    const leadResult = await pool.query(
+      'SELECT * FROM leads WHERE id = $1 AND agency_id = $2',
+      [leadId, req.agencyId]
+    );
     if (leadResult.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -891,36 +2385,48 @@ app.delete('/api/leads/:leadId/unlink-property/:propertyId', async (req, res) =>
     }
 
     const lead = leadResult.rows[0];
-    let interestedProperties = [];
+    const leadData = {
+      id: lead.id,
+      name: `${lead.first_name} ${lead.last_name}`.trim(),
+      phone: lead.phone,
+      assignedTo: lead.assigned_to,
+      language: lead.language
+    };
 
-    try {
-      interestedProperties = JSON.parse(lead.interested_properties || '[]');
-    } catch (error) {
-      interestedProperties = [];
+    if (!leadData.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lead has no phone number'
+      });
     }
 
-    // Remove property from interested properties
-    interestedProperties = interestedProperties.filter(id => id !== propertyId);
-
-    // Update lead
-    const result = await pool.query(
-      'UPDATE leads SET interested_properties = $1, updated_at = $2 WHERE id = $3 RETURNING *',
-      [JSON.stringify(interestedProperties), new Date().toISOString(), leadId]
-    );
+    if (!leadData.assignedTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lead is not assigned to any agent'
+      });
+    }
 
-    console.log('✅ Property unlinked from lead successfully');
+    const result = await sendWelcomeWhatsAppMessage(leadData, req.agencyId);
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+    await logWhatsAppActivity(leadData.id, result, activityService.fromRequest(req));
 
     res.json({
       success: true,
-      data: result.rows[0],
-      message: 'Property unlinked successfully'
+      data: result,
+      message: 'WhatsApp welcome message prepared successfully'
     });
 
   } catch (error) {
-    console.error('❌ Error unlinking property from lead:', error);
+    console.error('❌ Error in WhatsApp welcome endpoint:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to unlink property from lead',
+      message: 'Failed to prepare WhatsApp message',
       error: error.message
     });
   }
@@ -936,10 +2442,10 @@ app.get('/api/analytics/leads-by-source', async (req, res) => {
         LOWER(TRIM(source)) as source,
         COUNT(*) as count
       FROM leads
-      WHERE source IS NOT NULL AND source != ''
+      WHERE agency_id = $1 AND source IS NOT NULL AND source != ''
       GROUP BY LOWER(TRIM(source))
       ORDER BY count DESC
-    `);
+    `, [req.agencyId]);
 
     // Format data with proper types and clean names
     const formattedData = result.rows.map(row => ({
@@ -968,10 +2474,10 @@ app.get('/api/analytics/leads-not-contacted', async (req, res) => {
     const result = await pool.query(`
       SELECT COUNT(*) as count
       FROM leads
-      WHERE status = 'new'
-    `);
+      WHERE agency_id = $1 AND status = 'new'
+    `, [req.agencyId]);
 
-    const totalResult = await pool.query('SELECT COUNT(*) as total FROM leads');
+    const totalResult = await pool.query('SELECT COUNT(*) as total FROM leads WHERE agency_id = $1', [req.agencyId]);
     const notContacted = parseInt(result.rows[0].count);
     const total = parseInt(totalResult.rows[0].total);
     const percentage = total > 0 ? ((notContacted / total) * 100).toFixed(1) : 0;
@@ -1015,14 +2521,14 @@ app.get('/api/analytics/contacted-leads', async (req, res) => {
     const contactedResult = await pool.query(`
       SELECT COUNT(*) as count
       FROM leads
-      WHERE status != 'new' ${dateFilter}
-    `);
+      WHERE agency_id = $1 AND status != 'new' ${dateFilter}
+    `, [req.agencyId]);
 
     const totalResult = await pool.query(`
       SELECT COUNT(*) as total
       FROM leads
-      WHERE 1=1 ${dateFilter}
-    `);
+      WHERE agency_id = $1 ${dateFilter}
+    `, [req.agencyId]);
 
     const contacted = parseInt(contactedResult.rows[0].count);
     const total = parseInt(totalResult.rows[0].total);
@@ -1061,9 +2567,10 @@ app.get('/api/analytics/conversion-rate-by-source', async (req, res) => {
           ELSE 0
         END as conversion_rate
       FROM leads
+      WHERE agency_id = $1
       GROUP BY source
       ORDER BY conversion_rate DESC
-    `);
+    `, [req.agencyId]);
 
     console.log('✅ Conversion rate data:', result.rows);
 
@@ -1099,10 +2606,10 @@ app.get('/api/analytics/avg-contact-time-by-agent', async (req, res) => {
           END
         ) as avg_hours_to_contact
       FROM leads
-      WHERE assigned_to IS NOT NULL AND assigned_to != ''
+      WHERE agency_id = $1 AND assigned_to IS NOT NULL AND assigned_to != ''
       GROUP BY assigned_to
       ORDER BY avg_hours_to_contact ASC NULLS LAST
-    `);
+    `, [req.agencyId]);
 
     console.log('✅ Agent contact time data:', result.rows);
 
@@ -1136,11 +2643,12 @@ app.get('/api/analytics/leads-by-status', async (req, res) => {
       SELECT
         status,
         COUNT(*) as count,
-        ROUND((COUNT(*) * 100.0 / (SELECT COUNT(*) FROM leads)), 2) as percentage
+        ROUND((COUNT(*) * 100.0 / (SELECT COUNT(*) FROM leads WHERE agency_id = $1)), 2) as percentage
       FROM leads
+      WHERE agency_id = $1
       GROUP BY status
       ORDER BY count DESC
-    `);
+    `, [req.agencyId]);
 
     const formattedData = result.rows.map(row => ({
       name: row.status.charAt(0).toUpperCase() + row.status.slice(1).replace('-', ' '),
@@ -1176,10 +2684,10 @@ app.get('/api/analytics/leads-by-agent', async (req, res) => {
         COUNT(CASE WHEN status = 'new' THEN 1 END) as new_leads,
         COUNT(CASE WHEN status IN ('qualified', 'contacted') THEN 1 END) as active_leads
       FROM leads
-      WHERE assigned_to IS NOT NULL AND assigned_to != ''
+      WHERE agency_id = $1 AND assigned_to IS NOT NULL AND assigned_to != ''
       GROUP BY assigned_to
       ORDER BY total_leads DESC
-    `);
+    `, [req.agencyId]);
 
     const formattedData = result.rows.map(row => ({
       agent: row.agent,
@@ -1236,10 +2744,10 @@ app.get('/api/analytics/leads-timeline', async (req, res) => {
         COUNT(*) as count,
         COUNT(CASE WHEN status = 'closed-won' THEN 1 END) as conversions
       FROM leads
-      WHERE created_at >= NOW() - INTERVAL '1 ${period}'
+      WHERE agency_id = $2 AND created_at >= NOW() - $3::interval
       GROUP BY TO_CHAR(created_at, $1)
       ORDER BY date
-    `, [dateFormat]);
+    `, [dateFormat, req.agencyId, ['day', 'week', 'month'].includes(period) ? `1 ${period}` : '1 week']);
 
     const formattedData = result.rows.map(row => ({
       date: row.date,
@@ -1280,10 +2788,10 @@ app.get('/api/analytics/budget-analysis', async (req, res) => {
         AVG(budget::numeric) as avg_budget,
         COUNT(CASE WHEN status = 'closed-won' THEN 1 END) as conversions
       FROM leads
-      WHERE budget IS NOT NULL AND budget != '' AND budget ~ '^[0-9]+$'
+      WHERE agency_id = $1 AND budget IS NOT NULL AND budget != '' AND budget ~ '^[0-9]+$'
       GROUP BY budget_range
       ORDER BY AVG(budget::numeric)
-    `);
+    `, [req.agencyId]);
 
     const formattedData = result.rows.map(row => ({
       range: row.budget_range,
@@ -1309,13 +2817,57 @@ app.get('/api/analytics/budget-analysis', async (req, res) => {
 });
 
 // Properties endpoints
-app.get('/api/properties', async (req, res) => {
+// GET /api/properties - Search properties, paginated and sorted
+// Query: type, status, transactionType, city, priceMin/Max, areaMin/Max, bedroomsMin/Max,
+// bathroomsMin/Max, search, lat, lng, radiusKm, bbox, sort, page, limit
+app.get('/api/properties', requirePermission(PERMISSIONS.PROPERTIES_READ), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM properties ORDER BY created_at DESC');
+    let listQuery;
+    try {
+      listQuery = parsePropertyListQuery(req.query);
+    } catch (error) {
+      if (error instanceof PropertyQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const { filters, sort, limit, page } = listQuery;
+    const params = [req.agencyId];
+    const { conditions, columns } = buildPropertySearch(filters, params);
+    const whereClause = `WHERE ${['agency_id = $1', ...conditions].join(' AND ')}`;
+    const selectColumns = ['*', ...columns].join(', ');
+
+    // Counted over the same select, computed columns may hold the only reference to a parameter
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM (SELECT ${selectColumns} FROM properties ${whereClause}) matches`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const pageParams = [...params, limit, (page - 1) * limit];
+    const result = await pool.query(`
+      SELECT ${selectColumns}
+      FROM properties
+      ${whereClause}
+      ORDER BY ${buildPropertyOrder(sort)}
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+    `, pageParams);
+
+    const properties = result.rows.map(({ distance_km: distanceKm, search_rank: searchRank, ...property }) => ({
+      ...property,
+      ...(distanceKm !== undefined && { distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100 })
+    }));
+
+    const meta = getPaginationMeta(page, limit, total);
+    meta.sort = propertySortToString(sort);
+
     res.json({
-      success: true,
-      data: result.rows,
-      count: result.rows.length
+      ...formatResponse(true, 'Properties retrieved successfully', properties, meta),
+      count: properties.length
     });
   } catch (error) {
     console.error('Error fetching properties:', error);
@@ -1326,41 +2878,61 @@ app.get('/api/properties', async (req, res) => {
   }
 });
 
-// POST /api/properties/upload - Upload property image
-app.post('/api/properties/upload', upload.single('image'), (req, res) => {
+// GET /api/properties/:id/matching-leads - Open leads whose search criteria the property matches
+// Query: minScore (default 60), limit (default 100)
+app.get('/api/properties/:id/matching-leads', requirePermission(PERMISSIONS.LEADS_READ_ALL, PERMISSIONS.LEADS_READ_OWN), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
+    const result = await matchingService.findLeadsForProperty(req.params.id, req.agencyId, {
+      minScore: parseInt(req.query.minScore) || matchingService.minScore,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    if (!result) {
+      return res.status(404).json({
         success: false,
-        message: 'No image file uploaded'
+        message: 'Property not found'
       });
     }
 
-    const imageUrl = `/uploads/${req.file.filename}`;
+    const ownOnly = await permissionService.getLeadScope(req.user) === 'own';
+    const matches = result.matches.filter(match => !ownOnly || permissionService.isOwnLead(req.user, match.lead)).map(match => ({
+      lead: formatLead(match.lead),
+      score: match.score,
+      criteria: match.criteria,
+      alert: match.alert
+    }));
 
-    res.status(200).json({
-      success: true,
-      data: {
-        imageUrl: imageUrl,
-        filename: req.file.filename
-      },
-      message: 'Image uploaded successfully'
+    res.json({
+      ...formatResponse(true, 'Matching leads retrieved successfully', matches),
+      count: matches.length
     });
   } catch (error) {
-    console.error('❌ Error uploading image:', error);
+    console.error('❌ Error matching leads:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload image',
+      message: 'Failed to match leads',
       error: error.message
     });
   }
 });
 
-app.post('/api/properties', async (req, res) => {
+app.post('/api/properties', requirePermission(PERMISSIONS.PROPERTIES_WRITE), async (req, res) => {
   try {
     console.log('📝 Creating property with data:', req.body);
 
     const propertyData = req.body;
+    let searchFields;
+    try {
+      searchFields = parsePropertyFields(propertyData);
+      if (propertyData.status) {
+        propertyHistoryService.validateStatus(propertyData.status);
+      }
+    } catch (error) {
+      if (error instanceof PropertyQueryError || error instanceof propertyHistoryService.PropertyHistoryError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
     const newProperty = {
       id: generateId(),
       title: propertyData.title,
@@ -1369,8 +2941,15 @@ app.post('/api/properties', async (req, res) => {
       address: propertyData.address,
       city: propertyData.city,
       surface: propertyData.surface ? parseFloat(propertyData.surface) : null,
+      bedrooms: propertyData.bedrooms ? parseInt(propertyData.bedrooms) : null,
+      bathrooms: propertyData.bathrooms ? parseInt(propertyData.bathrooms) : null,
       description: propertyData.description,
       image_url: propertyData.image_url || '',
+      status: propertyData.status || 'available',
+      transaction_type: searchFields.transactionType || 'sale',
+      latitude: searchFields.coordinates ? searchFields.coordinates.latitude : null,
+      longitude: searchFields.coordinates ? searchFields.coordinates.longitude : null,
+      agency_id: req.agencyId,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
@@ -1378,17 +2957,24 @@ app.post('/api/properties', async (req, res) => {
     console.log('💾 Saving property to database:', newProperty);
 
     const result = await pool.query(`
-      INSERT INTO properties (id, title, type, price, address, city, surface, description, image_url, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      INSERT INTO properties (id, title, type, price, address, city, surface, bedrooms, bathrooms, description, image_url, status, agency_id, created_at, updated_at, transaction_type, latitude, longitude)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       RETURNING *
     `, [
       newProperty.id, newProperty.title, newProperty.type, newProperty.price,
-      newProperty.address, newProperty.city, newProperty.surface, newProperty.description,
-      newProperty.image_url, newProperty.created_at, newProperty.updated_at
+      newProperty.address, newProperty.city, newProperty.surface, newProperty.bedrooms, newProperty.bathrooms,
+      newProperty.description, newProperty.image_url, newProperty.status, newProperty.agency_id,
+      newProperty.created_at, newProperty.updated_at, newProperty.transaction_type,
+      newProperty.latitude, newProperty.longitude
     ]);
 
     console.log('✅ Property saved successfully:', result.rows[0]);
 
+    await propertyHistoryService.recordCreated(result.rows[0], activityService.fromRequest(req));
+
+    // Alert matching leads in the background
+    matchingService.queuePropertyAlerts(result.rows[0].id, req.agencyId, 'new_listing');
+
     // Format response for frontend compatibility
     const responseData = {
       ...result.rows[0],
@@ -1421,44 +3007,77 @@ app.post('/api/properties', async (req, res) => {
   }
 });
 
-app.put('/api/properties/:id', async (req, res) => {
+app.put('/api/properties/:id', requirePermission(PERMISSIONS.PROPERTIES_WRITE), async (req, res) => {
   try {
     console.log('📝 Updating property:', req.params.id, 'with data:', req.body);
 
     const { id } = req.params;
     const updateData = req.body;
+    let searchFields;
+    try {
+      searchFields = parsePropertyFields(updateData);
+    } catch (error) {
+      if (error instanceof PropertyQueryError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
 
-    const result = await pool.query(`
-      UPDATE properties SET
-        title = COALESCE($2, title),
-        type = COALESCE($3, type),
-        price = COALESCE($4, price),
-        address = COALESCE($5, address),
-        city = COALESCE($6, city),
-        surface = COALESCE($7, surface),
-        description = COALESCE($8, description),
-        image_url = COALESCE($9, image_url),
-        updated_at = $10
-      WHERE id = $1
-      RETURNING *
-    `, [
-      id, updateData.title, updateData.type, updateData.price ? parseFloat(updateData.price) : null,
-      updateData.address, updateData.city, updateData.surface ? parseFloat(updateData.surface) : null,
-      updateData.description, updateData.image_url, new Date().toISOString()
-    ]);
+    // The update runs in a transaction with the history it records, status changes
+    // must follow PROPERTY_STATUS_TRANSITIONS
+    let property;
+    try {
+      property = await propertyHistoryService.trackUpdate(id, req.agencyId, {
+        status: updateData.status || null,
+        transactionType: searchFields.transactionType
+      }, activityService.fromRequest(req), (client) => client.query(`
+          UPDATE properties SET
+            title = COALESCE($2, title),
+            type = COALESCE($3, type),
+            price = COALESCE($4, price),
+            address = COALESCE($5, address),
+            city = COALESCE($6, city),
+            surface = COALESCE($7, surface),
+            description = COALESCE($8, description),
+            image_url = COALESCE($9, image_url),
+            updated_at = $10,
+            bedrooms = COALESCE($12, bedrooms),
+            bathrooms = COALESCE($13, bathrooms),
+            status = COALESCE($14, status),
+            transaction_type = COALESCE($15, transaction_type),
+            latitude = COALESCE($16, latitude),
+            longitude = COALESCE($17, longitude)
+          WHERE id = $1 AND agency_id = $11
+          RETURNING *
+        `, [
+          id, updateData.title, updateData.type, updateData.price ? parseFloat(updateData.price) : null,
+          updateData.address, updateData.city, updateData.surface ? parseFloat(updateData.surface) : null,
+          updateData.description, updateData.image_url, new Date().toISOString(),
+          req.agencyId, updateData.bedrooms ? parseInt(updateData.bedrooms) : null,
+          updateData.bathrooms ? parseInt(updateData.bathrooms) : null, updateData.status || null,
+          searchFields.transactionType,
+          searchFields.coordinates ? searchFields.coordinates.latitude : null,
+          searchFields.coordinates ? searchFields.coordinates.longitude : null
+        ]));
+    } catch (error) {
+      if (error instanceof propertyHistoryService.PropertyHistoryError) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
 
-    if (result.rows.length === 0) {
+    if (!property) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
 
-    console.log('✅ Property updated successfully:', result.rows[0]);
+    console.log('✅ Property updated successfully:', property);
 
     res.json({
       success: true,
-      data: result.rows[0],
+      data: property,
       message: 'Property updated successfully'
     });
   } catch (error) {
@@ -1472,9 +3091,12 @@ app.put('/api/properties/:id', async (req, res) => {
 });
 
 // Team endpoints
-app.get('/api/team', async (req, res) => {
+app.get('/api/team', requirePermission(PERMISSIONS.TEAM_READ), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM team_members ORDER BY created_at DESC');
+    const result = await pool.query(
+      'SELECT * FROM team_members WHERE agency_id = $1 ORDER BY created_at DESC',
+      [req.agencyId]
+    );
 
     // Format data for frontend compatibility
     const formattedTeamMembers = result.rows.map(member => ({
@@ -1499,24 +3121,25 @@ app.get('/api/team', async (req, res) => {
   }
 });
 
-app.post('/api/team', async (req, res) => {
+app.post('/api/team', requirePermission(PERMISSIONS.TEAM_MANAGE), async (req, res) => {
   try {
     const memberData = req.body;
     const newMember = {
       id: generateId(),
       ...memberData,
       status: 'active',
+      agency_id: req.agencyId,
       joined_at: new Date().toISOString(),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
     
     await pool.query(`
-      INSERT INTO team_members (id, name, email, phone, role, department, status, joined_at, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      INSERT INTO team_members (id, name, email, phone, role, department, status, agency_id, joined_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
     `, [
       newMember.id, newMember.name, newMember.email, newMember.phone,
-      newMember.role, newMember.department, newMember.status,
+      newMember.role, newMember.department, newMember.status, newMember.agency_id,
       newMember.joined_at, newMember.created_at, newMember.updated_at
     ]);
     
@@ -1542,7 +3165,7 @@ app.post('/api/team', async (req, res) => {
   }
 });
 
-app.put('/api/team/:id', async (req, res) => {
+app.put('/api/team/:id', requirePermission(PERMISSIONS.TEAM_MANAGE), async (req, res) => {
   try {
     console.log('📝 Updating team member:', req.params.id, 'with data:', req.body);
 
@@ -1558,12 +3181,12 @@ app.put('/api/team/:id', async (req, res) => {
         department = COALESCE($6, department),
         status = COALESCE($7, status),
         updated_at = $8
-      WHERE id = $1
+      WHERE id = $1 AND agency_id = $9
       RETURNING *
     `, [
       id, updateData.name, updateData.email, updateData.phone,
       updateData.role, updateData.department, updateData.status,
-      new Date().toISOString()
+      new Date().toISOString(), req.agencyId
     ]);
 
     if (result.rows.length === 0) {
@@ -1599,11 +3222,20 @@ app.put('/api/team/:id', async (req, res) => {
 });
 
 // OPTIMIZED: Single endpoint for all dashboard data
-app.get('/api/dashboard/all-data', async (req, res) => {
+app.get('/api/dashboard/all-data', requirePermission(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
   try {
     console.log('🚀 Fetching all dashboard data in single query...');
     const startTime = Date.now();
 
+    // Leads follow the user's lead scope, the team list needs team.read
+    const leadScope = await permissionService.getLeadScope(req.user);
+    const leadParams = [req.agencyId];
+    let leadWhere = 'agency_id = $1';
+    if (leadScope !== 'all') {
+      leadWhere += ` AND ${leadScope === 'own' ? permissionService.buildOwnLeadCondition(req.user, leadParams) : 'false'}`;
+    }
+    const canReadTeam = req.permissions.includes(PERMISSIONS.TEAM_READ);
+
     // Execute all queries in parallel for maximum performance
     const [leadsResult, propertiesResult, teamResult] = await Promise.all([
       pool.query(`
@@ -1611,25 +3243,28 @@ app.get('/api/dashboard/all-data', async (req, res) => {
           id, first_name, last_name, email, phone, whatsapp, source,
           budget, notes, status, assigned_to, language, created_at, updated_at
         FROM leads
+        WHERE ${leadWhere}
         ORDER BY created_at DESC
         LIMIT 100
-      `),
+      `, leadParams),
       pool.query(`
         SELECT
           id, title, description, price, location, type, status,
-          bedrooms, bathrooms, area, images, created_at, updated_at
+          bedrooms, bathrooms, area, image_url, created_at, updated_at
         FROM properties
+        WHERE agency_id = $1
         ORDER BY created_at DESC
         LIMIT 100
-      `),
-      pool.query(`
+      `, [req.agencyId]),
+      canReadTeam ? pool.query(`
         SELECT
           id, first_name, last_name, email, phone, role, status,
           joined_at, created_at, updated_at
         FROM team_members
+        WHERE agency_id = $1
         ORDER BY created_at DESC
         LIMIT 100
-      `)
+      `, [req.agencyId]) : { rows: [] }
     ]);
 
     // Format leads data
@@ -1641,12 +3276,16 @@ app.get('/api/dashboard/all-data', async (req, res) => {
       updatedAt: lead.updated_at
     }));
 
-    // Format properties data
+    // Format properties data, with their gallery images
+    const propertyImages = await propertyMediaService.getImagesByProperty(
+      propertiesResult.rows.map(property => property.id),
+      req.agencyId
+    );
     const formattedProperties = propertiesResult.rows.map(property => ({
       ...property,
       createdAt: property.created_at,
       updatedAt: property.updated_at,
-      images: property.images || []
+      images: propertyImages[property.id] || []
     }));
 
     // Format team data
@@ -1691,10 +3330,22 @@ app.get('/api/dashboard/all-data', async (req, res) => {
 });
 
 // Dashboard stats endpoint
-app.get('/api/dashboard/stats', async (req, res) => {
+app.get('/api/dashboard/stats', requirePermission(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
   try {
-    const leadsResult = await pool.query('SELECT COUNT(*) as total, status FROM leads GROUP BY status');
-    const propertiesResult = await pool.query('SELECT COUNT(*) as count FROM properties');
+    // Agency-wide figures need dashboard.stats.all, otherwise stats cover the user's own leads
+    const leadParams = [req.agencyId];
+    let leadWhere = 'agency_id = $1';
+    if (!req.permissions.includes(PERMISSIONS.DASHBOARD_FULL_STATS)) {
+      leadWhere += ` AND ${permissionService.buildOwnLeadCondition(req.user, leadParams)}`;
+    }
+    const leadsResult = await pool.query(
+      `SELECT COUNT(*) as total, status FROM leads WHERE ${leadWhere} GROUP BY status`,
+      leadParams
+    );
+    const propertiesResult = await pool.query(
+      'SELECT COUNT(*) as count FROM properties WHERE agency_id = $1',
+      [req.agencyId]
+    );
     
     const totalLeads = leadsResult.rows.reduce((sum, row) => sum + parseInt(row.total), 0);
     const closedWonLeads = leadsResult.rows.find(row => row.status === 'closed-won')?.total || 0;
@@ -1749,6 +3400,74 @@ app.use('/api/audit', auditRoutes);
 const advancedAnalyticsRoutes = require('./routes/advanced-analytics');
 app.use('/api/advanced-analytics', advancedAnalyticsRoutes);
 
+// Follow-up routes (authenticated and agency-scoped above)
+const followUpRoutes = require('./routes/follow-ups');
+app.use('/api/follow-ups', followUpRoutes);
+
+// Appointment routes (property visits and meetings, agent availability, calendars)
+const appointmentRoutes = require('./routes/appointments');
+app.use('/api/appointments', appointmentRoutes);
+
+// Agent calendar feeds (public, token in the URL)
+const calendarRoutes = require('./routes/calendar');
+app.use('/api/calendar', calendarRoutes);
+
+// Workflow automation routes (authenticated and agency-scoped above)
+const automationRoutes = require('./routes/automation');
+app.use('/api/automation', automationRoutes);
+
+// Message template library (authenticated and agency-scoped above)
+const templateRoutes = require('./routes/templates');
+app.use('/api/templates', templateRoutes);
+
+// Outbound message queue status (managers only, agency-scoped above)
+const messageQueueRoutes = require('./routes/message-queue');
+app.use('/api/message-queue', messageQueueRoutes);
+
+// Lead segment campaigns (authenticated and agency-scoped above)
+const campaignRoutes = require('./routes/campaigns');
+app.use('/api/campaigns', campaignRoutes);
+
+// Unsubscribe links of emails and campaign messages (public, the link carries a signed token)
+const unsubscribeRoutes = require('./routes/unsubscribe');
+app.use('/api/unsubscribe', unsubscribeRoutes);
+
+// Lead scoring settings (authenticated and agency-scoped with /api/leads above)
+const scoringRoutes = require('./routes/scoring');
+app.use('/api/leads/scoring', scoringRoutes);
+
+// Bulk lead import routes (authenticated and agency-scoped with /api/leads above)
+const importRoutes = require('./routes/imports');
+app.use('/api/leads/imports', importRoutes);
+
+// Property media galleries and image uploads (authenticated and agency-scoped with /api/properties above)
+const propertyMediaRoutes = require('./routes/property-media');
+app.use('/api/properties', propertyMediaRoutes);
+
+// Property price and status history (authenticated and agency-scoped with /api/properties above)
+const propertyHistoryRoutes = require('./routes/property-history');
+app.use('/api/properties', propertyHistoryRoutes);
+
+// Property brochure PDFs and sending them to leads (authenticated and agency-scoped with /api/properties above)
+const propertyBrochureRoutes = require('./routes/property-brochures');
+app.use('/api/properties', propertyBrochureRoutes);
+
+// Signed brochure download links sent to leads (public, the link carries a signed token)
+const brochureLinkRoutes = require('./routes/brochure-links');
+app.use('/api/brochures', brochureLinkRoutes);
+
+// Lead consents and personal data export/erasure (authenticated and agency-scoped with /api/leads above)
+const privacyRoutes = require('./routes/privacy');
+app.use('/api/leads', privacyRoutes);
+
+// Public listing API, syndication feeds and website enquiries (no user auth, agencies are identified by API key)
+const publicRoutes = require('./routes/public');
+app.use('/api/public', publicRoutes);
+
+// Provider webhooks (Twilio, Brevo): no user auth, requests are verified by signature or token
+const webhookRoutes = require('./routes/webhooks');
+app.use('/webhooks', webhookRoutes);
+
 // Owner dashboard integration routes
 const ownerIntegrationRoutes = require('./routes/owner-integration');
 app.use('/api/owner-integration', ownerIntegrationRoutes);
@@ -1756,7 +3475,10 @@ app.use('/api/owner-integration', ownerIntegrationRoutes);
 // Initialize services
 const reminderService = require('./services/reminderService');
 const auditService = require('./services/auditService');
-reminderService.startReminderScheduler();
+// A price drop can bring a property within more leads' budgets
+propertyHistoryService.on(PROPERTY_EVENTS.PRICE_REDUCED, ({ propertyId, agencyId }) => {
+  matchingService.queuePropertyAlerts(propertyId, agencyId, 'price_drop');
+});
 
 // Error handling
 app.use((req, res) => {
@@ -1776,66 +3498,39 @@ app.use((error, req, res, next) => {
   });
 });
 
-// WhatsApp notification endpoint
-app.post('/api/whatsapp/welcome/:leadId', async (req, res) => {
-  try {
-    const { leadId } = req.params;
-
-    // Get lead information
-    const leadResult = await pool.query('SELECT * FROM leads WHERE id = $1', [leadId]);
-    if (leadResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Lead not found'
-      });
-    }
-
-    const lead = leadResult.rows[0];
-    const leadData = {
-      id: lead.id,
-      name: `${lead.first_name} ${lead.last_name}`.trim(),
-      phone: lead.phone,
-      assignedTo: lead.assigned_to
-    };
-
-    if (!leadData.phone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Lead has no phone number'
-      });
-    }
-
-    if (!leadData.assignedTo) {
-      return res.status(400).json({
-        success: false,
-        message: 'Lead is not assigned to any agent'
-      });
-    }
-
-    const result = await sendWelcomeWhatsAppMessage(leadData);
-
-    res.json({
-      success: true,
-      data: result,
-      message: 'WhatsApp welcome message prepared successfully'
-    });
-
-  } catch (error) {
-    console.error('❌ Error in WhatsApp welcome endpoint:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to prepare WhatsApp message',
-      error: error.message
-    });
+// Migrations, schedulers and the HTTP server start when run directly (npm start),
+// tests load the app without them
+if (require.main === module) {
+  // Two-factor secrets are encrypted with this key: without it no 2FA login could be checked
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    console.error('❌ TWO_FACTOR_ENCRYPTION_KEY is not set, refusing to start');
+    process.exit(1);
   }
-});
 
-const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => {
-  console.log(`🚀 LeadEstate API Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'production'}`);
-  console.log(`💾 Storage: PostgreSQL Database`);
-  console.log(`🌐 CORS enabled for production domains`);
-  console.log(`📡 API Status: http://localhost:${PORT}/api/status`);
-  console.log(`🔗 Property linking endpoints: ENABLED`);
-});
+  // Leads created before scoring existed are scored in the background, once the migrations
+  // and the agency backfill are done
+  initDatabase()
+    .then(() => scoringService.rescoreAll({ unscoredOnly: true }))
+    .catch(error => console.error('❌ Initial lead scoring failed:', error.message));
+
+  reminderService.startReminderScheduler();
+  workflowService.startScheduler();
+  scoringService.startScheduler();
+  matchingService.startAlertScheduler();
+  messageQueueService.startWorker();
+  campaignService.startScheduler();
+  appointmentService.startScheduler();
+  brochureService.startCleanupScheduler();
+
+  const PORT = process.env.PORT || 5001;
+  app.listen(PORT, () => {
+    console.log(`🚀 LeadEstate API Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'production'}`);
+    console.log(`💾 Storage: PostgreSQL Database`);
+    console.log(`🌐 CORS enabled for production domains`);
+    console.log(`📡 API Status: http://localhost:${PORT}/api/status`);
+    console.log(`🔗 Property linking endpoints: ENABLED`);
+  });
+}
+
+module.exports = { app, pool, initDatabase };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { ACTIVITY_TYPES, PAGINATION } = require('../utils/constants');
+const { getPaginationMeta } = require('../utils/helpers');
+const scoringService = require('./scoringService');
+
+// Lead columns compared when recording lead_updated activities (column -> API field)
+const TRACKED_LEAD_FIELDS = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  email: 'email',
+  phone: 'phone',
+  source: 'source',
+  budget: 'budget',
+  budget_min: 'budgetMin',
+  budget_max: 'budgetMax',
+  property_type: 'propertyType',
+  city: 'city',
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  notes: 'notes',
+  language: 'language',
+  tags: 'tags',
+};
+
+class ActivityService {
+  constructor() {
+    this.types = ACTIVITY_TYPES;
+  }
+
+  // Build the actor context (agency and user) of an authenticated request
+  fromRequest(req) {
+    const user = req.user || {};
+    return {
+      agencyId: req.agencyId,
+      userId: user.id || null,
+      userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || null
+    };
+  }
+
+  // Record an activity on a lead timeline and queue a rescore of the lead.
+  // Failures are logged and swallowed so they never break the calling request.
+  async log({ leadId, type, description = '', metadata = {}, propertyId = null }, context = {}) {
+    try {
+      const result = await pool.query(`
+        INSERT INTO lead_activities (id, lead_id, agency_id, type, description, metadata, property_id, user_id, user_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        crypto.randomUUID(), leadId, context.agencyId, type, description,
+        JSON.stringify(metadata), propertyId, context.userId || null, context.userName || null
+      ]);
+
+      scoringService.queueRescore(leadId, context.agencyId);
+      return this.formatActivity(result.rows[0]);
+    } catch (error) {
+      console.error('❌ Failed to record lead activity:', type, error.message);
+      return null;
+    }
+  }
+
+  // Record the activities caused by a lead update by comparing the row before and after it
+  async logLeadChanges(before, after, context) {
+    const activities = [];
+
+    if (before.status !== after.status) {
+      activities.push({
+        type: ACTIVITY_TYPES.LEAD_STATUS_CHANGED,
+        description: `Status changed from ${before.status || 'none'} to ${after.status}`,
+        metadata: { from: before.status, to: after.status }
+      });
+    }
+
+    if ((before.assigned_to || null) !== (after.assigned_to || null)) {
+      activities.push({
+        type: ACTIVITY_TYPES.LEAD_ASSIGNED,
+        description: after.assigned_to ? `Assigned to ${after.assigned_to}` : 'Unassigned',
+        metadata: { from: before.assigned_to || null, to: after.assigned_to || null }
+      });
+    }
+
+    const changes = {};
+    Object.entries(TRACKED_LEAD_FIELDS).forEach(([column, field]) => {
+      const from = before[column] === undefined ? null : before[column];
+      const to = after[column] === undefined ? null : after[column];
+      if (String(from ?? '') !== String(to ?? '')) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      activities.push({
+        type: ACTIVITY_TYPES.LEAD_UPDATED,
+        description: `Updated ${Object.keys(changes).join(', ')}`,
+        metadata: { changes }
+      });
+    }
+
+    const logged = [];
+    for (const activity of activities) {
+      logged.push(await this.log({ leadId: after.id, ...activity }, context));
+    }
+    return logged.filter(Boolean);
+  }
+
+  // Get the paginated activity timeline of a lead, newest first
+  async getLeadActivities(leadId, agencyId, { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT, types = [] } = {}) {
+    const params = [leadId, agencyId];
+    const conditions = ['lead_id = $1', 'agency_id = $2'];
+
+    if (types.length > 0) {
+      params.push(types);
+      conditions.push(`type = ANY($${params.length})`);
+    }
+
+    const whereClause = conditions.join(' AND ');
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM lead_activities WHERE ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await pool.query(`
+      SELECT * FROM lead_activities
+      WHERE ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      activities: result.rows.map(row => this.formatActivity(row)),
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  // Format an activity row for API responses
+  formatActivity(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      type: row.type,
+      description: row.description,
+      metadata: row.metadata || {},
+      propertyId: row.property_id,
+      // Automated activities have a name (e.g. "Automation: <workflow>") but no user id
+      user: row.user_id || row.user_name ? { id: row.user_id, name: row.user_name } : null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ActivityService();
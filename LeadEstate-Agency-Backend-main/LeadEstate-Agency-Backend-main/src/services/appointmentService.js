@@ -0,0 +1,1087 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const permissionService = require('./permissionService');
+const twilioService = require('./twilioService');
+const brevoService = require('./brevoService');
+const { getPaginationMeta } = require('../utils/helpers');
+const {
+  ACTIVITY_TYPES,
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_OUTCOMES,
+  EMAIL_TEMPLATES,
+  TIMEZONES,
+  PAGINATION,
+} = require('../utils/constants');
+
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const ALLOWED_TIMEZONES = Object.values(TIMEZONES);
+
+const DEFAULT_TIMEZONE = ALLOWED_TIMEZONES.includes(process.env.DEFAULT_TIMEZONE)
+  ? process.env.DEFAULT_TIMEZONE
+  : TIMEZONES.CET;
+
+// Used for agents who have not set their working hours
+const DEFAULT_WORKING_DAYS = {
+  sunday: [],
+  monday: [{ start: '09:00', end: '18:00' }],
+  tuesday: [{ start: '09:00', end: '18:00' }],
+  wednesday: [{ start: '09:00', end: '18:00' }],
+  thursday: [{ start: '09:00', end: '18:00' }],
+  friday: [{ start: '09:00', end: '18:00' }],
+  saturday: [{ start: '10:00', end: '16:00' }]
+};
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 8 * 60;
+const DEFAULT_REMINDER_MINUTES = 24 * 60;
+
+// Free slots offered by the availability endpoint start every 30 minutes
+const SLOT_STEP_MINUTES = 30;
+
+// The calendar feed shows the last 30 days and everything ahead
+const CALENDAR_PAST_DAYS = 30;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+const ZONED_DATE_TIME_PATTERN = /(?:[zZ]|[+-]\d{2}:?\d{2})$/;
+
+const SELECT_APPOINTMENTS = `
+  SELECT a.*,
+    TRIM(COALESCE(l.first_name, '') || ' ' || COALESCE(l.last_name, '')) AS lead_name,
+    l.phone AS lead_phone,
+    l.assigned_to AS lead_assigned_to,
+    p.title AS property_title,
+    tm.email AS agent_email
+  FROM appointments a
+  LEFT JOIN leads l ON l.id = a.lead_id AND l.agency_id = a.agency_id
+  LEFT JOIN properties p ON p.id = a.property_id AND p.agency_id = a.agency_id
+  LEFT JOIN team_members tm ON tm.id = a.agent_id AND tm.agency_id = a.agency_id
+`;
+
+const getPublicApiUrl = () =>
+  (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Error raised for invalid appointment requests. Scheduling conflicts carry the
+ * conflicting appointments in details
+ */
+class AppointmentError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Wall-clock date, time and weekday of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:mm', weekday, minutes, utcWallClock }
+ */
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  const [year, month, day, hour, minute, second] = ['year', 'month', 'day', 'hour', 'minute', 'second'].map(key => Number(value[key]));
+
+  return {
+    date: `${value.year}-${value.month}-${value.day}`,
+    time: `${value.hour}:${value.minute}`,
+    weekday: value.weekday.toLowerCase(),
+    minutes: hour * 60 + minute,
+    utcWallClock: Date.UTC(year, month - 1, day, hour, minute, second)
+  };
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const timeZoneOffset = (date, timeZone) =>
+  zonedParts(date, timeZone).utcWallClock - Math.floor(date.getTime() / 1000) * 1000;
+
+/**
+ * UTC instant of a wall-clock time in a time zone ('2025-03-15', '10:00', 'Europe/Paris')
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset taken at the wall-clock time is off by an hour next to a DST change;
+  // taking it again at the first result corrects that
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+};
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// iCalendar (RFC 5545) helpers
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+class AppointmentService {
+  constructor() {
+    this.reminderCheckInterval = 60 * 1000; // 1 minute
+  }
+
+  // Validate and normalize create/update input (times are resolved by resolveTimes).
+  // With partial = true only the provided fields are validated and returned.
+  normalize(data = {}, { partial = false } = {}) {
+    const has = (field) => data[field] !== undefined;
+    const fields = {};
+
+    if (has('type') || !partial) {
+      const type = data.type || APPOINTMENT_TYPES.PROPERTY_VISIT;
+      if (!Object.values(APPOINTMENT_TYPES).includes(type)) {
+        throw new AppointmentError(`Invalid type. Allowed types: ${Object.values(APPOINTMENT_TYPES).join(', ')}`);
+      }
+      fields.type = type;
+    }
+
+    if (has('leadId')) {
+      if (partial) {
+        throw new AppointmentError('The lead of an appointment cannot be changed; schedule a new appointment instead');
+      }
+      fields.lead_id = data.leadId ? String(data.leadId) : null;
+    }
+
+    if (has('propertyId')) {
+      fields.property_id = data.propertyId ? String(data.propertyId) : null;
+    }
+
+    if (has('agentId')) {
+      fields.agent_id = data.agentId ? String(data.agentId) : null;
+    }
+
+    if (has('timezone')) {
+      if (!ALLOWED_TIMEZONES.includes(data.timezone)) {
+        throw new AppointmentError(`Invalid timezone. Allowed time zones: ${ALLOWED_TIMEZONES.join(', ')}`);
+      }
+      fields.timezone = data.timezone;
+    }
+
+    ['location', 'notes'].forEach((field) => {
+      if (has(field)) {
+        fields[field] = data[field] ? String(data[field]).trim() : null;
+      }
+    });
+
+    if (has('reminderMinutes')) {
+      const minutes = parseInt(data.reminderMinutes, 10);
+      if (isNaN(minutes) || minutes < 0) {
+        throw new AppointmentError('reminderMinutes must be a positive number of minutes (0 for no reminder)');
+      }
+      fields.reminder_minutes = minutes;
+    }
+
+    if (has('status')) {
+      throw new AppointmentError('Use the cancel and complete endpoints to change the status of an appointment');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Start and end of an appointment from startsAt and durationMinutes (or endsAt).
+   * startsAt with an offset ('2025-03-15T10:00:00Z') is an instant; without one
+   * ('2025-03-15T10:00') it is read in the appointment's time zone.
+   * @param {Object} data - Request body
+   * @param {string} timezone - Time zone of the appointment
+   * @param {Object} current - { startsAt, endsAt } when rescheduling
+   * @returns {Object|null} { startsAt, endsAt } or null when no time field was given
+   */
+  resolveTimes(data, timezone, current = null) {
+    const changed = ['startsAt', 'endsAt', 'durationMinutes'].some(field => data[field] !== undefined);
+    if (current && !changed && data.timezone === undefined) {
+      return null;
+    }
+
+    const parse = (value, field) => {
+      const text = String(value || '').trim();
+      let date = null;
+      if (ZONED_DATE_TIME_PATTERN.test(text)) {
+        date = new Date(text);
+      } else {
+        const match = text.match(LOCAL_DATE_TIME_PATTERN);
+        if (match) {
+          date = zonedTimeToUtc(match[1], match[2], timezone);
+        }
+      }
+      if (!date || isNaN(date.getTime())) {
+        throw new AppointmentError(`${field} must be a date and time, e.g. 2025-03-15T10:00 (in the appointment's time zone) or an ISO date with offset`);
+      }
+      return date;
+    };
+
+    if (!current && data.startsAt === undefined) {
+      throw new AppointmentError('startsAt is required');
+    }
+
+    const startsAt = data.startsAt !== undefined ? parse(data.startsAt, 'startsAt') : new Date(current.startsAt);
+    let durationMinutes = current
+      ? Math.round((new Date(current.endsAt) - new Date(current.startsAt)) / 60000)
+      : DEFAULT_DURATION_MINUTES;
+
+    if (data.endsAt !== undefined) {
+      durationMinutes = Math.round((parse(data.endsAt, 'endsAt') - startsAt) / 60000);
+    } else if (data.durationMinutes !== undefined) {
+      durationMinutes = parseInt(data.durationMinutes, 10);
+    }
+
+    if (isNaN(durationMinutes) || durationMinutes < 15 || durationMinutes > MAX_DURATION_MINUTES) {
+      throw new AppointmentError(`An appointment must last between 15 and ${MAX_DURATION_MINUTES} minutes`);
+    }
+
+    return { startsAt, endsAt: new Date(startsAt.getTime() + durationMinutes * 60000) };
+  }
+
+  // Weekly availability of an agent: saved working hours or the defaults
+  getWorkingHours(agent) {
+    const saved = agent.working_hours || {};
+    return {
+      timezone: ALLOWED_TIMEZONES.includes(saved.timezone) ? saved.timezone : DEFAULT_TIMEZONE,
+      days: saved.days || DEFAULT_WORKING_DAYS,
+      isDefault: !agent.working_hours
+    };
+  }
+
+  // Validate working hours: { timezone, days: { monday: [{ start: '09:00', end: '12:00' }, ...] } }
+  // Days left out are days off
+  normalizeWorkingHours(input = {}) {
+    const timezone = input.timezone || DEFAULT_TIMEZONE;
+    if (!ALLOWED_TIMEZONES.includes(timezone)) {
+      throw new AppointmentError(`Invalid timezone. Allowed time zones: ${ALLOWED_TIMEZONES.join(', ')}`);
+    }
+
+    if (!input.days || typeof input.days !== 'object' || Array.isArray(input.days)) {
+      throw new AppointmentError('days must map weekdays (monday, tuesday...) to lists of { start, end } periods');
+    }
+
+    const unknown = Object.keys(input.days).filter(day => !WEEKDAYS.includes(day));
+    if (unknown.length > 0) {
+      throw new AppointmentError(`Unknown days: ${unknown.join(', ')}`);
+    }
+
+    const days = {};
+    WEEKDAYS.forEach((day) => {
+      const periods = input.days[day] || [];
+      if (!Array.isArray(periods)) {
+        throw new AppointmentError(`${day} must be a list of { start, end } periods`);
+      }
+
+      days[day] = periods.map((period) => {
+        if (!period || !TIME_PATTERN.test(period.start) || !TIME_PATTERN.test(period.end)) {
+          throw new AppointmentError(`Periods of ${day} need start and end times as HH:mm`);
+        }
+        if (toMinutes(period.start) >= toMinutes(period.end)) {
+          throw new AppointmentError(`A period of ${day} ends before it starts (${period.start}-${period.end})`);
+        }
+        return { start: period.start, end: period.end };
+      }).sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+      days[day].slice(1).forEach((period, index) => {
+        if (toMinutes(period.start) < toMinutes(days[day][index].end)) {
+          throw new AppointmentError(`Periods of ${day} overlap`);
+        }
+      });
+    });
+
+    return { timezone, days };
+  }
+
+  // Whether an appointment fits in one of the agent's working periods of that day
+  isWithinWorkingHours(workingHours, startsAt, endsAt) {
+    const start = zonedParts(startsAt, workingHours.timezone);
+    const end = zonedParts(new Date(endsAt.getTime() - 60000), workingHours.timezone);
+    if (start.date !== end.date) {
+      return false;
+    }
+
+    const endMinutes = end.minutes + 1;
+    return (workingHours.days[start.weekday] || []).some(period =>
+      toMinutes(period.start) <= start.minutes && endMinutes <= toMinutes(period.end)
+    );
+  }
+
+  async findAgent(agentId, agencyId, db = pool) {
+    const result = await db.query('SELECT * FROM team_members WHERE id = $1 AND agency_id = $2', [agentId, agencyId]);
+    if (result.rows.length === 0) {
+      throw new AppointmentError('Agent not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // Agent of a new appointment: the one given, else the lead's agent, else the team member creating it
+  async resolveAgent(agentId, lead, context) {
+    if (agentId) {
+      return this.findAgent(agentId, context.agencyId);
+    }
+
+    for (const name of [lead.assigned_to, context.userName]) {
+      if (!name) continue;
+      const result = await pool.query(
+        'SELECT * FROM team_members WHERE LOWER(TRIM(name)) = LOWER(TRIM($1)) AND agency_id = $2 LIMIT 1',
+        [name, context.agencyId]
+      );
+      if (result.rows[0]) {
+        return result.rows[0];
+      }
+    }
+
+    throw new AppointmentError('agentId is required: no team member matches the lead\'s agent or you');
+  }
+
+  async findLead(leadId, agencyId) {
+    const result = await pool.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, agencyId]);
+    if (result.rows.length === 0) {
+      throw new AppointmentError('Lead not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  async findProperty(propertyId, agencyId) {
+    const result = await pool.query(
+      'SELECT id, title, address, city, location FROM properties WHERE id = $1 AND agency_id = $2',
+      [propertyId, agencyId]
+    );
+    if (result.rows.length === 0) {
+      throw new AppointmentError('Property not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  // A user with leads.read.own only works with appointments they run or of leads assigned to them
+  isVisible(row, access) {
+    if (!access || access.scope === 'all') {
+      return true;
+    }
+    const keys = permissionService.getAssigneeKeys(access.user);
+    return [row.agent_name, row.agent_email, row.lead_assigned_to]
+      .filter(Boolean)
+      .some(value => keys.includes(String(value).trim().toLowerCase()));
+  }
+
+  // Whether the user is the team member (same name or email)
+  isAgentSelf(user, agent) {
+    const keys = permissionService.getAssigneeKeys(user);
+    return [agent.name, agent.email]
+      .filter(Boolean)
+      .some(value => keys.includes(String(value).trim().toLowerCase()));
+  }
+
+  async findRow(id, agencyId, access = null, db = pool) {
+    const result = await db.query(`${SELECT_APPOINTMENTS} WHERE a.id = $1 AND a.agency_id = $2`, [id, agencyId]);
+    const row = result.rows[0];
+    if (!row || !this.isVisible(row, access)) {
+      throw new AppointmentError('Appointment not found', 404);
+    }
+    return row;
+  }
+
+  async findById(id, agencyId, access = null) {
+    return this.format(await this.findRow(id, agencyId, access));
+  }
+
+  /**
+   * Scheduled appointments overlapping a time range for the agent or the lead
+   * @returns {Promise<Object[]>} Conflicts with who is double-booked (agent or lead)
+   */
+  async findConflicts(db, { agencyId, agentId, leadId, startsAt, endsAt, excludeId = null }) {
+    const result = await db.query(`
+      ${SELECT_APPOINTMENTS}
+      WHERE a.agency_id = $1 AND a.status = $2 AND a.id <> COALESCE($3, '')
+      AND (a.agent_id = $4 OR a.lead_id = $5)
+      AND a.starts_at < $7 AND a.ends_at > $6
+      ORDER BY a.starts_at ASC
+    `, [agencyId, APPOINTMENT_STATUS.SCHEDULED, excludeId, agentId, leadId, startsAt.toISOString(), endsAt.toISOString()]);
+
+    return result.rows.map(row => ({
+      with: row.agent_id === agentId ? 'agent' : 'lead',
+      appointment: this.format(row)
+    }));
+  }
+
+  // Checks shared by scheduling and rescheduling
+  checkSchedule(agent, startsAt, endsAt, { allowOutsideWorkingHours = false } = {}) {
+    if (startsAt <= new Date()) {
+      throw new AppointmentError('Appointments must be scheduled in the future');
+    }
+    if (agent.status && agent.status !== 'active') {
+      throw new AppointmentError(`${agent.name} is not an active team member`, 409);
+    }
+
+    const workingHours = this.getWorkingHours(agent);
+    if (!allowOutsideWorkingHours && !this.isWithinWorkingHours(workingHours, startsAt, endsAt)) {
+      throw new AppointmentError(
+        `${agent.name} does not work at that time (set allowOutsideWorkingHours to book anyway)`,
+        409,
+        { workingHours }
+      );
+    }
+  }
+
+  /**
+   * Run a write on the appointments of an agent and lead with the double-booking check:
+   * agent and lead are locked for the transaction so concurrent bookings are checked in turn
+   */
+  async withSlot({ agencyId, agentId, leadId, startsAt, endsAt, excludeId = null }, write) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`appointment-agent:${agentId}`]);
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`appointment-lead:${leadId}`]);
+
+      const conflicts = await this.findConflicts(client, { agencyId, agentId, leadId, startsAt, endsAt, excludeId });
+      if (conflicts.length > 0) {
+        const who = conflicts.some(conflict => conflict.with === 'agent') ? 'The agent' : 'The lead';
+        throw new AppointmentError(`${who} already has an appointment at that time`, 409, { conflicts });
+      }
+
+      await write(client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // List appointments with filters, soonest first
+  async list(agencyId, query = {}, access = null) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1),
+      PAGINATION.MAX_LIMIT
+    );
+    const page = Math.max(parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [agencyId];
+    const conditions = ['a.agency_id = $1'];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (access && access.scope !== 'all') {
+      const keys = addParam(permissionService.getAssigneeKeys(access.user));
+      conditions.push(`(LOWER(TRIM(a.agent_name)) = ANY(${keys}::text[]) OR LOWER(TRIM(tm.email)) = ANY(${keys}::text[]) OR LOWER(TRIM(l.assigned_to)) = ANY(${keys}::text[]))`);
+    }
+
+    if (query.status) {
+      const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.filter(status => !Object.values(APPOINTMENT_STATUS).includes(status));
+      if (invalid.length > 0) {
+        throw new AppointmentError(`Invalid status: ${invalid.join(', ')}`);
+      }
+      conditions.push(`a.status = ANY(${addParam(statuses)})`);
+    }
+
+    if (query.type) {
+      conditions.push(`a.type = ANY(${addParam(String(query.type).split(','))})`);
+    }
+
+    [['agentId', 'agent_id'], ['leadId', 'lead_id'], ['propertyId', 'property_id']].forEach(([name, column]) => {
+      if (query[name]) {
+        conditions.push(`a.${column} = ${addParam(query[name])}`);
+      }
+    });
+
+    ['from', 'to'].forEach((name) => {
+      if (!query[name]) return;
+      const date = new Date(query[name]);
+      if (isNaN(date.getTime())) {
+        throw new AppointmentError(`${name} must be a valid date`);
+      }
+      conditions.push(name === 'from' ? `a.ends_at >= ${addParam(date.toISOString())}` : `a.starts_at <= ${addParam(date.toISOString())}`);
+    });
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await pool.query(`
+      SELECT COUNT(*) AS total FROM appointments a
+      LEFT JOIN leads l ON l.id = a.lead_id AND l.agency_id = a.agency_id
+      LEFT JOIN team_members tm ON tm.id = a.agent_id AND tm.agency_id = a.agency_id
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await pool.query(`
+      ${SELECT_APPOINTMENTS}
+      ${whereClause}
+      ORDER BY a.starts_at ASC, a.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      appointments: result.rows.map(row => this.format(row)),
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  /**
+   * Schedule an appointment. Checks the agent's working hours and double bookings,
+   * then confirms it to the lead (WhatsApp, or email without a phone number)
+   * @param {Object} data - { leadId, propertyId, agentId, type, startsAt, durationMinutes|endsAt,
+   *   timezone, location, notes, reminderMinutes, allowOutsideWorkingHours, sendConfirmation }
+   * @param {Object} context - { agencyId, userId, userName }
+   * @param {Object} access - { user, scope } of the caller
+   * @returns {Promise<Object>} { appointment, confirmation }
+   */
+  async create(data, context, access = null) {
+    const fields = this.normalize(data);
+    if (!fields.lead_id) {
+      throw new AppointmentError('leadId is required');
+    }
+
+    const lead = await this.findLead(fields.lead_id, context.agencyId);
+    if (access && access.scope !== 'all' && !permissionService.isOwnLead(access.user, lead)) {
+      throw new AppointmentError('Lead not found', 404);
+    }
+    const property = fields.property_id ? await this.findProperty(fields.property_id, context.agencyId) : null;
+    if (fields.type === APPOINTMENT_TYPES.PROPERTY_VISIT && !property) {
+      throw new AppointmentError('propertyId is required for a property visit');
+    }
+
+    const agent = await this.resolveAgent(fields.agent_id, lead, context);
+    const timezone = fields.timezone || this.getWorkingHours(agent).timezone;
+    const { startsAt, endsAt } = this.resolveTimes(data, timezone);
+    this.checkSchedule(agent, startsAt, endsAt, { allowOutsideWorkingHours: data.allowOutsideWorkingHours === true });
+
+    const id = crypto.randomUUID();
+    await this.withSlot({ agencyId: context.agencyId, agentId: agent.id, leadId: lead.id, startsAt, endsAt }, (client) => client.query(`
+      INSERT INTO appointments (
+        id, agency_id, lead_id, property_id, agent_id, agent_name, type, starts_at, ends_at,
+        timezone, location, notes, status, reminder_minutes, created_by, created_by_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    `, [
+      id, context.agencyId, lead.id, property ? property.id : null, agent.id, agent.name, fields.type,
+      startsAt.toISOString(), endsAt.toISOString(), timezone,
+      // Visits take place at the property unless told otherwise
+      fields.location || (property ? property.location || [property.address, property.city].filter(Boolean).join(', ') || null : null),
+      fields.notes || null, APPOINTMENT_STATUS.SCHEDULED,
+      fields.reminder_minutes === undefined ? DEFAULT_REMINDER_MINUTES : fields.reminder_minutes,
+      context.userName || null, context.userId || null
+    ]));
+
+    const row = await this.findRow(id, context.agencyId);
+    await activityService.log({
+      leadId: row.lead_id,
+      propertyId: row.property_id,
+      type: ACTIVITY_TYPES.MEETING_SCHEDULED,
+      description: `${this.label(row.type)} scheduled with ${row.agent_name} on ${this.formatLocal(row)}`,
+      metadata: { appointmentId: id, type: row.type, agentId: row.agent_id, startsAt: row.starts_at, timezone: row.timezone }
+    }, context);
+
+    const confirmation = data.sendConfirmation === false ? null : await this.sendConfirmation(row, lead, context);
+    return { appointment: await this.findById(id, context.agencyId), confirmation };
+  }
+
+  /**
+   * Update an appointment. A new time or agent is checked like a new booking, the
+   * reminder is rearmed and the lead gets a new confirmation
+   * @returns {Promise<Object>} { appointment, rescheduled, confirmation }
+   */
+  async update(id, data, context, access = null) {
+    const existing = await this.findRow(id, context.agencyId, access);
+    if (existing.status !== APPOINTMENT_STATUS.SCHEDULED) {
+      throw new AppointmentError(`Appointment is ${existing.status} and can no longer be changed`, 409);
+    }
+
+    const fields = this.normalize(data, { partial: true });
+    const times = this.resolveTimes(data, fields.timezone || existing.timezone, {
+      startsAt: existing.starts_at,
+      endsAt: existing.ends_at
+    });
+    if (Object.keys(fields).length === 0 && !times) {
+      throw new AppointmentError('No fields to update');
+    }
+
+    const type = fields.type || existing.type;
+    const propertyId = fields.property_id !== undefined ? fields.property_id : existing.property_id;
+    if (fields.property_id) {
+      await this.findProperty(fields.property_id, context.agencyId);
+    }
+    if (type === APPOINTMENT_TYPES.PROPERTY_VISIT && !propertyId) {
+      throw new AppointmentError('propertyId is required for a property visit');
+    }
+
+    const agent = fields.agent_id ? await this.findAgent(fields.agent_id, context.agencyId) : null;
+    if (agent) {
+      fields.agent_name = agent.name;
+    }
+    if (times) {
+      fields.starts_at = times.startsAt.toISOString();
+      fields.ends_at = times.endsAt.toISOString();
+    }
+
+    const rescheduled = Boolean(
+      (agent && agent.id !== existing.agent_id) ||
+      (times && (times.startsAt.getTime() !== new Date(existing.starts_at).getTime() ||
+        times.endsAt.getTime() !== new Date(existing.ends_at).getTime()))
+    );
+    if (rescheduled) {
+      // A new time or agent means a new confirmation and a new reminder
+      fields.confirmation_sent_at = null;
+      fields.reminder_sent_at = null;
+    }
+
+    const columns = Object.keys(fields);
+    const write = (db) => db.query(`
+      UPDATE appointments SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2
+    `, [id, context.agencyId, ...columns.map(column => fields[column])]);
+
+    if (rescheduled) {
+      const slotAgent = agent || await this.findAgent(existing.agent_id, context.agencyId);
+      const startsAt = times ? times.startsAt : new Date(existing.starts_at);
+      const endsAt = times ? times.endsAt : new Date(existing.ends_at);
+      this.checkSchedule(slotAgent, startsAt, endsAt, { allowOutsideWorkingHours: data.allowOutsideWorkingHours === true });
+      await this.withSlot({
+        agencyId: context.agencyId, agentId: slotAgent.id, leadId: existing.lead_id, startsAt, endsAt, excludeId: id
+      }, write);
+    } else {
+      await write(pool);
+    }
+
+    const row = await this.findRow(id, context.agencyId);
+    let confirmation = null;
+    if (rescheduled) {
+      await activityService.log({
+        leadId: row.lead_id,
+        propertyId: row.property_id,
+        type: ACTIVITY_TYPES.MEETING_RESCHEDULED,
+        description: `${this.label(row.type)} rescheduled to ${this.formatLocal(row)} with ${row.agent_name}`,
+        metadata: {
+          appointmentId: id,
+          previous: { startsAt: existing.starts_at, agentId: existing.agent_id },
+          startsAt: row.starts_at,
+          agentId: row.agent_id
+        }
+      }, context);
+
+      if (data.sendConfirmation !== false) {
+        confirmation = await this.sendConfirmation(row, await this.findLead(row.lead_id, context.agencyId), context);
+      }
+    }
+
+    return { appointment: await this.findById(id, context.agencyId), rescheduled, confirmation };
+  }
+
+  async cancel(id, { reason } = {}, context, access = null) {
+    const existing = await this.findRow(id, context.agencyId, access);
+    const result = await pool.query(`
+      UPDATE appointments SET status = $3, cancel_reason = $4, cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2 AND status = $5
+    `, [id, context.agencyId, APPOINTMENT_STATUS.CANCELLED, reason ? String(reason).trim() : null, APPOINTMENT_STATUS.SCHEDULED]);
+    if (result.rowCount === 0) {
+      throw new AppointmentError(`Appointment is already ${existing.status}`, 409);
+    }
+
+    await activityService.log({
+      leadId: existing.lead_id,
+      propertyId: existing.property_id,
+      type: ACTIVITY_TYPES.MEETING_CANCELLED,
+      description: `${this.label(existing.type)} of ${this.formatLocal(existing)} cancelled${reason ? `: ${reason}` : ''}`,
+      metadata: { appointmentId: id, reason: reason || null }
+    }, context);
+
+    return this.findById(id, context.agencyId);
+  }
+
+  /**
+   * Record how an appointment went: completed with the visit outcome, the lead's
+   * feedback and a 1-5 rating, or a no-show
+   * @param {Object} result - { outcome, feedback, rating, noShow }
+   */
+  async complete(id, { outcome, feedback, rating, noShow = false } = {}, context, access = null) {
+    const existing = await this.findRow(id, context.agencyId, access);
+    if (existing.status !== APPOINTMENT_STATUS.SCHEDULED) {
+      throw new AppointmentError(`Appointment is already ${existing.status}`, 409);
+    }
+    if (new Date(existing.starts_at) > new Date()) {
+      throw new AppointmentError('An appointment can only be completed once it has started', 409);
+    }
+
+    if (outcome !== undefined && outcome !== null && !Object.values(APPOINTMENT_OUTCOMES).includes(outcome)) {
+      throw new AppointmentError(`Invalid outcome. Allowed outcomes: ${Object.values(APPOINTMENT_OUTCOMES).join(', ')}`);
+    }
+    let score = null;
+    if (rating !== undefined && rating !== null) {
+      score = parseInt(rating, 10);
+      if (isNaN(score) || score < 1 || score > 5) {
+        throw new AppointmentError('rating must be between 1 and 5');
+      }
+    }
+
+    const status = noShow === true ? APPOINTMENT_STATUS.NO_SHOW : APPOINTMENT_STATUS.COMPLETED;
+    const result = await pool.query(`
+      UPDATE appointments SET
+        status = $3, outcome = $4, feedback = $5, rating = $6,
+        completed_at = NOW(), completed_by = $7, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2 AND status = $8
+    `, [
+      id, context.agencyId, status, outcome || null, feedback ? String(feedback).trim() : null, score,
+      context.userName || null, APPOINTMENT_STATUS.SCHEDULED
+    ]);
+    if (result.rowCount === 0) {
+      throw new AppointmentError('Appointment was changed meanwhile, reload it', 409);
+    }
+
+    if (status === APPOINTMENT_STATUS.COMPLETED) {
+      await pool.query(
+        'UPDATE leads SET last_contact = NOW() WHERE id = $1 AND agency_id = $2',
+        [existing.lead_id, context.agencyId]
+      );
+    }
+
+    const details = [outcome, score ? `${score}/5` : null].filter(Boolean).join(', ');
+    await activityService.log({
+      leadId: existing.lead_id,
+      propertyId: existing.property_id,
+      type: ACTIVITY_TYPES.MEETING_COMPLETED,
+      description: status === APPOINTMENT_STATUS.NO_SHOW
+        ? `Lead did not show up to the ${this.label(existing.type).toLowerCase()}`
+        : `${this.label(existing.type)} completed${details ? ` (${details})` : ''}`,
+      metadata: { appointmentId: id, status, outcome: outcome || null, rating: score, feedback: feedback || null }
+    }, context);
+
+    return this.findById(id, context.agencyId);
+  }
+
+  async remove(id, context, access = null) {
+    await this.findRow(id, context.agencyId, access);
+    await pool.query('DELETE FROM appointments WHERE id = $1 AND agency_id = $2', [id, context.agencyId]);
+  }
+
+  // Message the lead about an appointment: WhatsApp when it has a number, else email
+  async notifyLead(row, lead, kind, context = {}) {
+    const options = {
+      // One message per appointment and time (a new time means a new message)
+      idempotencyKey: `appointment-${kind}:${row.id}:${new Date(row.starts_at).getTime()}`,
+      sentBy: context.userName || null
+    };
+
+    let result = null;
+    if (lead.whatsapp || lead.phone) {
+      result = kind === 'reminder'
+        ? await twilioService.sendAppointmentReminder(row, lead, options)
+        : await twilioService.sendAppointmentConfirmation(row, lead, options);
+      if (result.success) {
+        return { channel: 'whatsapp', ...result };
+      }
+    }
+
+    if (lead.email) {
+      const key = kind === 'reminder' ? EMAIL_TEMPLATES.APPOINTMENT_REMINDER : EMAIL_TEMPLATES.APPOINTMENT_CONFIRMATION;
+      return { channel: 'email', ...await brevoService.sendAppointmentMessage(key, row, lead, options) };
+    }
+
+    return result
+      ? { channel: 'whatsapp', ...result }
+      : { success: false, skipped: true, error: 'Lead has no phone number or email' };
+  }
+
+  async sendConfirmation(row, lead, context) {
+    try {
+      const result = await this.notifyLead(row, lead, 'confirmation', context);
+      if (result.success) {
+        await pool.query('UPDATE appointments SET confirmation_sent_at = NOW() WHERE id = $1', [row.id]);
+      }
+      return { channel: result.channel || null, queued: Boolean(result.success), skipped: Boolean(result.skipped), error: result.error || null };
+    } catch (error) {
+      console.error(`❌ Failed to send confirmation of appointment ${row.id}:`, error);
+      return { channel: null, queued: false, skipped: false, error: error.message };
+    }
+  }
+
+  // Remind leads of appointments that reached their reminder time. Appointments booked
+  // within their reminder window already got the details in the confirmation
+  async sendDueReminders() {
+    try {
+      const due = await pool.query(`
+        ${SELECT_APPOINTMENTS}
+        WHERE a.status = $1 AND a.reminder_sent_at IS NULL AND a.reminder_minutes > 0
+        AND a.starts_at - a.reminder_minutes * INTERVAL '1 minute' <= NOW()
+        AND a.starts_at > NOW()
+        AND (a.confirmation_sent_at IS NULL OR a.confirmation_sent_at < a.starts_at - a.reminder_minutes * INTERVAL '1 minute')
+        ORDER BY a.starts_at ASC
+        LIMIT 100
+      `, [APPOINTMENT_STATUS.SCHEDULED]);
+
+      const reminders = { sent: 0, skipped: 0, failed: 0 };
+      for (const row of due.rows) {
+        try {
+          const lead = await this.findLead(row.lead_id, row.agency_id);
+          const result = await this.notifyLead(row, lead, 'reminder');
+          // Queued messages are retried by the queue; leads that cannot be messaged are not retried either
+          await pool.query('UPDATE appointments SET reminder_sent_at = NOW() WHERE id = $1', [row.id]);
+          reminders[result.success ? 'sent' : 'skipped']++;
+        } catch (error) {
+          console.error(`Error sending reminder of appointment ${row.id}:`, error);
+          reminders.failed++;
+        }
+      }
+
+      if (due.rows.length > 0) {
+        console.log(`✅ Appointment reminders: ${reminders.sent} sent, ${reminders.skipped} skipped, ${reminders.failed} failed`);
+      }
+      return reminders;
+    } catch (error) {
+      console.error('❌ Error sending appointment reminders:', error);
+      return null;
+    }
+  }
+
+  startScheduler() {
+    setInterval(() => this.sendDueReminders(), this.reminderCheckInterval);
+    console.log('✅ Appointment reminder scheduler started (every minute)');
+  }
+
+  // Working hours of an agent with the defaults filled in
+  async getAgentWorkingHours(agentId, agencyId) {
+    const agent = await this.findAgent(agentId, agencyId);
+    return { agentId: agent.id, agentName: agent.name, ...this.getWorkingHours(agent) };
+  }
+
+  async setAgentWorkingHours(agentId, input, agencyId) {
+    const workingHours = this.normalizeWorkingHours(input);
+    const result = await pool.query(
+      'UPDATE team_members SET working_hours = $3, updated_at = NOW() WHERE id = $1 AND agency_id = $2 RETURNING *',
+      [agentId, agencyId, JSON.stringify(workingHours)]
+    );
+    if (result.rows.length === 0) {
+      throw new AppointmentError('Agent not found', 404);
+    }
+    return { agentId, agentName: result.rows[0].name, ...this.getWorkingHours(result.rows[0]) };
+  }
+
+  /**
+   * Free slots of an agent on a day, in the agent's time zone: working periods
+   * minus scheduled appointments and times already past
+   * @param {string} agentId - Team member
+   * @param {Object} query - { date: 'YYYY-MM-DD', durationMinutes }
+   */
+  async getAvailability(agentId, { date, durationMinutes } = {}, agencyId) {
+    const agent = await this.findAgent(agentId, agencyId);
+    if (!date || !DATE_PATTERN.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      throw new AppointmentError('date must be a day as YYYY-MM-DD');
+    }
+    const duration = durationMinutes === undefined ? DEFAULT_DURATION_MINUTES : parseInt(durationMinutes, 10);
+    if (isNaN(duration) || duration < 15 || duration > MAX_DURATION_MINUTES) {
+      throw new AppointmentError(`durationMinutes must be between 15 and ${MAX_DURATION_MINUTES}`);
+    }
+
+    const { timezone, days } = this.getWorkingHours(agent);
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const periods = days[weekday] || [];
+
+    const booked = await pool.query(`
+      SELECT starts_at, ends_at FROM appointments
+      WHERE agent_id = $1 AND agency_id = $2 AND status = $3 AND starts_at < $5 AND ends_at > $4
+    `, [
+      agent.id, agencyId, APPOINTMENT_STATUS.SCHEDULED,
+      zonedTimeToUtc(date, '00:00', timezone).toISOString(),
+      zonedTimeToUtc(addDays(date, 1), '00:00', timezone).toISOString()
+    ]);
+
+    const now = new Date();
+    const slots = [];
+    periods.forEach((period) => {
+      for (let minutes = toMinutes(period.start); minutes + duration <= toMinutes(period.end); minutes += SLOT_STEP_MINUTES) {
+        const startsAt = zonedTimeToUtc(date, formatMinutes(minutes), timezone);
+        const endsAt = new Date(startsAt.getTime() + duration * 60000);
+        const taken = booked.rows.some(row => new Date(row.starts_at) < endsAt && new Date(row.ends_at) > startsAt);
+        if (startsAt > now && !taken) {
+          slots.push({
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt.toISOString(),
+            start: formatMinutes(minutes),
+            end: formatMinutes(minutes + duration)
+          });
+        }
+      }
+    });
+
+    return { agentId: agent.id, agentName: agent.name, date, weekday, timezone, durationMinutes: duration, workingHours: periods, slots };
+  }
+
+  /**
+   * iCalendar feed of an agent's appointments (last 30 days and upcoming);
+   * cancelled ones stay in the feed so calendar apps remove them
+   * @returns {Promise<string>} text/calendar content
+   */
+  async getCalendar(agentId, agencyId) {
+    const agent = await this.findAgent(agentId, agencyId);
+    const result = await pool.query(`
+      ${SELECT_APPOINTMENTS}
+      WHERE a.agent_id = $1 AND a.agency_id = $2 AND a.ends_at >= NOW() - $3 * INTERVAL '1 day'
+      ORDER BY a.starts_at ASC
+    `, [agent.id, agencyId, CALENDAR_PAST_DAYS]);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//LeadEstate//Appointments//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(`${agent.name} - Appointments`)}`,
+      `X-WR-TIMEZONE:${this.getWorkingHours(agent).timezone}`
+    ];
+
+    result.rows.forEach((row) => {
+      const subject = row.property_title ? `${row.lead_name} - ${row.property_title}` : row.lead_name;
+      const description = [
+        row.lead_phone ? `Lead: ${row.lead_name} (${row.lead_phone})` : `Lead: ${row.lead_name}`,
+        row.property_title ? `Property: ${row.property_title}` : null,
+        row.notes ? `Notes: ${row.notes}` : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${row.id}@leadestate`,
+        `DTSTAMP:${icsDate(row.updated_at || row.created_at)}`,
+        `LAST-MODIFIED:${icsDate(row.updated_at || row.created_at)}`,
+        `DTSTART:${icsDate(row.starts_at)}`,
+        `DTEND:${icsDate(row.ends_at)}`,
+        `SUMMARY:${icsText(`${this.label(row.type)}: ${subject}`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        ...(row.location ? [`LOCATION:${icsText(row.location)}`] : []),
+        `STATUS:${row.status === APPOINTMENT_STATUS.CANCELLED ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  // Secret feed URL calendar apps can subscribe to; replaces the agent's previous one
+  async createCalendarFeed(agentId, context) {
+    const agent = await this.findAgent(agentId, context.agencyId);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await pool.query(`
+      INSERT INTO agent_calendar_feeds (agent_id, agency_id, token_hash, created_by, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (agent_id) DO UPDATE SET
+        token_hash = EXCLUDED.token_hash, created_by = EXCLUDED.created_by, created_at = NOW()
+    `, [agent.id, context.agencyId, hashToken(token), context.userName || null]);
+
+    return { agentId: agent.id, url: `${getPublicApiUrl()}/api/calendar/${token}.ics` };
+  }
+
+  async revokeCalendarFeed(agentId, agencyId) {
+    await this.findAgent(agentId, agencyId);
+    await pool.query('DELETE FROM agent_calendar_feeds WHERE agent_id = $1 AND agency_id = $2', [agentId, agencyId]);
+  }
+
+  // Calendar of the feed token, null when the token is unknown or revoked
+  async getCalendarByToken(token) {
+    const result = await pool.query(
+      'SELECT agent_id, agency_id FROM agent_calendar_feeds WHERE token_hash = $1',
+      [hashToken(String(token || ''))]
+    );
+    const feed = result.rows[0];
+    return feed ? this.getCalendar(feed.agent_id, feed.agency_id) : null;
+  }
+
+  label(type) {
+    return type === APPOINTMENT_TYPES.MEETING ? 'Meeting' : 'Property visit';
+  }
+
+  // Start of an appointment in its time zone, e.g. "2025-03-15 10:00 (Europe/Paris)"
+  formatLocal(row) {
+    const local = zonedParts(new Date(row.starts_at), row.timezone);
+    return `${local.date} ${local.time} (${row.timezone})`;
+  }
+
+  // Format an appointment row for API responses
+  format(row) {
+    const start = zonedParts(new Date(row.starts_at), row.timezone);
+    const end = zonedParts(new Date(row.ends_at), row.timezone);
+    return {
+      id: row.id,
+      type: row.type,
+      status: row.status,
+      leadId: row.lead_id,
+      leadName: row.lead_name || null,
+      propertyId: row.property_id,
+      propertyTitle: row.property_title || null,
+      agentId: row.agent_id,
+      agentName: row.agent_name,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      durationMinutes: Math.round((new Date(row.ends_at) - new Date(row.starts_at)) / 60000),
+      timezone: row.timezone,
+      local: { date: start.date, start: start.time, end: end.time, endDate: end.date },
+      location: row.location,
+      notes: row.notes,
+      reminderMinutes: row.reminder_minutes,
+      confirmationSentAt: row.confirmation_sent_at,
+      reminderSentAt: row.reminder_sent_at,
+      outcome: row.outcome,
+      feedback: row.feedback,
+      rating: row.rating,
+      completedAt: row.completed_at,
+      completedBy: row.completed_by,
+      cancelReason: row.cancel_reason,
+      cancelledAt: row.cancelled_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+const appointmentService = new AppointmentService();
+appointmentService.AppointmentError = AppointmentError;
+
+module.exports = appointmentService;
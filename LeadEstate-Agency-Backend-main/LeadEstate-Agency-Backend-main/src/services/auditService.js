@@ -8,8 +8,22 @@ class AuditService {
     this.actionTypes = {
       USER_LOGIN: 'user_login',
       USER_LOGOUT: 'user_logout',
+      PASSWORD_RESET_REQUESTED: 'password_reset_requested',
+      PASSWORD_RESET: 'password_reset',
+      EMAIL_VERIFIED: 'email_verified',
+      TWO_FACTOR_ENABLED: 'two_factor_enabled',
+      TWO_FACTOR_DISABLED: 'two_factor_disabled',
+      TWO_FACTOR_RESET: 'two_factor_reset',
+      TWO_FACTOR_FAILED: 'two_factor_failed',
+      TWO_FACTOR_BACKUP_CODE_USED: 'two_factor_backup_code_used',
+      TWO_FACTOR_BACKUP_CODES_REGENERATED: 'two_factor_backup_codes_regenerated',
+      ROLE_PERMISSIONS_CHANGED: 'role_permissions_changed',
+      API_KEY_CREATED: 'api_key_created',
+      API_KEY_REVOKED: 'api_key_revoked',
       AGENCY_CREATED: 'agency_created',
-      DATA_EXPORT: 'data_export'
+      DATA_EXPORT: 'data_export',
+      PERSONAL_DATA_EXPORTED: 'personal_data_exported',
+      PERSONAL_DATA_ERASED: 'personal_data_erased'
     };
   }
 
@@ -0,0 +1,556 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const auditService = require('./auditService');
+const brevoService = require('./brevoService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const { generateToken, verifyToken } = require('../utils/helpers');
+const { HTTP_STATUS } = require('../utils/constants');
+
+// Used when system_settings has no max_login_attempts / login_lockout_minutes
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+
+// Time allowed between the password step and the 2FA step of a login
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_CHALLENGE_PURPOSES = {
+  VERIFY: 'two_factor',
+  SETUP: 'two_factor_setup'
+};
+
+// Password reset links are valid for an hour, verification links for two days
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Settings are read at most once a minute
+const SETTINGS_CACHE_TTL = 60 * 1000;
+
+// Reset and verification tokens are emailed in clear and stored as a hash
+const createEmailToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashEmailToken(token) };
+};
+
+const hashEmailToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Error raised for failed logins and account problems
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = HTTP_STATUS.UNAUTHORIZED, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.settingsCache = null;
+  }
+
+  // Lockout settings seeded in system_settings by the invitation migration
+  async getSecuritySettings() {
+    if (this.settingsCache && this.settingsCache.expiresAt > Date.now()) {
+      return this.settingsCache.value;
+    }
+
+    const value = { maxLoginAttempts: DEFAULT_MAX_LOGIN_ATTEMPTS, lockoutMinutes: DEFAULT_LOCKOUT_MINUTES };
+    try {
+      const result = await pool.query(
+        "SELECT setting_key, setting_value FROM system_settings WHERE setting_key IN ('max_login_attempts', 'login_lockout_minutes')"
+      );
+      result.rows.forEach(row => {
+        const number = parseInt(row.setting_value, 10);
+        if (!Number.isInteger(number) || number < 1) return;
+        if (row.setting_key === 'max_login_attempts') value.maxLoginAttempts = number;
+        if (row.setting_key === 'login_lockout_minutes') value.lockoutMinutes = number;
+      });
+    } catch (error) {
+      console.error('❌ Failed to read security settings, using defaults:', error.message);
+    }
+
+    this.settingsCache = { value, expiresAt: Date.now() + SETTINGS_CACHE_TTL };
+    return value;
+  }
+
+  /**
+   * Check an email and password and open a session for the device.
+   * Wrong passwords count towards a lockout of the account. Accounts with 2FA (or that
+   * must enroll in it) get a short-lived challenge token instead of a session.
+   * @param {string} email - Login email
+   * @param {string} password - Plain password
+   * @param {Object} client - { ipAddress, userAgent } for the session and audit log
+   * @returns {Promise<Object>} { user, token, expiresIn, refreshToken, refreshExpiresIn, sessionId }
+   *   or { user, twoFactor: 'required' | 'setup', challengeToken, challengeExpiresIn }
+   */
+  async login(email, password, client = {}) {
+    const result = await pool.query(
+      'SELECT * FROM users WHERE LOWER(email) = LOWER($1) ORDER BY (status = \'active\') DESC, created_at ASC',
+      [String(email || '').trim()]
+    );
+
+    // The same email can exist in several agencies: the account whose password matches wins,
+    // and only its own lockout applies
+    let user = null;
+    for (const candidate of result.rows) {
+      if (candidate.password && await bcrypt.compare(password, candidate.password)) {
+        user = candidate;
+        break;
+      }
+    }
+
+    if (!user) {
+      const unlocked = result.rows.filter(candidate => !this.isLocked(candidate));
+      // Every account with this email is locked: attempts do not count until the lock ends
+      if (result.rows.length > 0 && unlocked.length === 0) {
+        this.assertNotLocked(result.rows[0]);
+      }
+      for (const candidate of unlocked) {
+        await this.recordFailedAttempt(candidate, client);
+      }
+      throw new AuthError('Invalid email or password');
+    }
+    this.assertNotLocked(user);
+
+    if (user.status === 'invited') {
+      throw new AuthError('Account not activated yet. Use the link in your invitation email.', HTTP_STATUS.FORBIDDEN);
+    }
+    if (user.status !== 'active') {
+      throw new AuthError('Account is disabled. Contact your agency manager.', HTTP_STATUS.FORBIDDEN);
+    }
+    if (user.email_verified === false) {
+      throw new AuthError('Please confirm your email address with the link we sent you before logging in.', HTTP_STATUS.FORBIDDEN, { emailNotVerified: true });
+    }
+
+    return this.startLogin(user, client);
+  }
+
+  /**
+   * Log in a user whose password was just checked (login or account activation): users with
+   * two-factor authentication (or who must enroll in it) get a challenge instead of a session.
+   * @param {Object} user - Active user row
+   * @param {Object} client - { ipAddress, userAgent } for the session and audit log
+   * @returns {Promise<Object>} Same as login
+   */
+  async startLogin(user, client = {}) {
+    // The failed attempt counter is only cleared once the second factor is checked
+    if (user.two_factor_enabled) {
+      return this.issueChallenge(user, TWO_FACTOR_CHALLENGE_PURPOSES.VERIFY);
+    }
+    if (await twoFactorService.isRequired(user)) {
+      return this.issueChallenge(user, TWO_FACTOR_CHALLENGE_PURPOSES.SETUP);
+    }
+
+    return this.finishLogin(user, client);
+  }
+
+  // Successful login: clear the lockout counter and open the session
+  async finishLogin(user, client = {}) {
+    const updated = await pool.query(`
+      UPDATE users SET failed_login_attempts = 0, locked_until = NULL, last_login_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [user.id]);
+
+    await auditService.logUserLogin(user.id, client.ipAddress, client.userAgent, true);
+
+    return {
+      user: this.formatUser(updated.rows[0]),
+      ...await this.startSession(updated.rows[0], client)
+    };
+  }
+
+  issueChallenge(user, purpose) {
+    return {
+      user: this.formatUser(user),
+      twoFactor: purpose === TWO_FACTOR_CHALLENGE_PURPOSES.SETUP ? 'setup' : 'required',
+      challengeToken: generateToken({ userId: user.id, purpose }, TWO_FACTOR_CHALLENGE_TTL),
+      challengeExpiresIn: TWO_FACTOR_CHALLENGE_TTL
+    };
+  }
+
+  /**
+   * User of a 2FA challenge token
+   * @param {string} challengeToken - Token returned by login
+   * @param {string} purpose - 'verify' for the login code, 'setup' for a mandatory enrollment
+   */
+  async resolveChallenge(challengeToken, purpose = 'verify') {
+    let decoded;
+    try {
+      decoded = verifyToken(String(challengeToken || ''));
+    } catch (error) {
+      throw new AuthError('Login session expired. Please log in again.');
+    }
+
+    const expected = purpose === 'setup' ? TWO_FACTOR_CHALLENGE_PURPOSES.SETUP : TWO_FACTOR_CHALLENGE_PURPOSES.VERIFY;
+    if (decoded.purpose !== expected) {
+      throw new AuthError('Invalid login challenge');
+    }
+
+    const user = await this.findById(decoded.userId);
+    if (!user || user.status !== 'active') {
+      throw new AuthError('Account is disabled. Contact your agency manager.', HTTP_STATUS.FORBIDDEN);
+    }
+    return user;
+  }
+
+  /**
+   * Second step of a login with 2FA. Wrong codes count towards the same lockout as
+   * wrong passwords.
+   * @param {string} challengeToken - Token returned by login
+   * @param {Object} factor - { code } (authenticator app) or { backupCode }
+   */
+  async completeTwoFactorLogin(challengeToken, factor, client = {}) {
+    const user = await this.resolveChallenge(challengeToken, 'verify');
+    this.assertNotLocked(user);
+
+    const verified = await twoFactorService.verifyLogin(user, factor);
+    if (!verified) {
+      await this.recordFailedAttempt(user, client);
+      await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_FAILED, { method: factor.backupCode ? 'backup_code' : 'totp' }, client);
+      throw new AuthError('Invalid authentication code');
+    }
+
+    if (verified.method === 'backup_code') {
+      await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_BACKUP_CODE_USED, { backupCodesRemaining: verified.backupCodesRemaining }, client);
+    }
+
+    return {
+      ...await this.finishLogin(user, client),
+      backupCodesRemaining: verified.backupCodesRemaining
+    };
+  }
+
+  // New session with its access and refresh tokens
+  async startSession(user, client = {}) {
+    const { session, refreshToken } = await sessionService.create(user, client);
+    return {
+      ...this.issueToken(user, session.id),
+      refreshToken,
+      refreshExpiresIn: sessionService.getRefreshTtlSeconds(),
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Rotate a refresh token and issue a new access token for its session
+   * @returns {Promise<Object>} { user, token, expiresIn, refreshToken, refreshExpiresIn, sessionId }
+   */
+  async refresh(refreshToken, client = {}) {
+    const rotated = await sessionService.rotate(refreshToken, client);
+    if (!rotated) {
+      throw new AuthError('Invalid or expired refresh token');
+    }
+
+    const user = await this.findById(rotated.session.user_id);
+    if (!user || user.status !== 'active') {
+      await sessionService.revoke(rotated.session.id, rotated.session.user_id);
+      throw new AuthError('Account is disabled. Contact your agency manager.', HTTP_STATUS.FORBIDDEN);
+    }
+    if (user.email_verified === false) {
+      await sessionService.revoke(rotated.session.id, rotated.session.user_id);
+      throw new AuthError('Please confirm your email address with the link we sent you before logging in.', HTTP_STATUS.FORBIDDEN, { emailNotVerified: true });
+    }
+
+    return {
+      user: this.formatUser(user),
+      ...this.issueToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      refreshExpiresIn: sessionService.getRefreshTtlSeconds(),
+      sessionId: rotated.session.id
+    };
+  }
+
+  // Close the session of the access token (or of the refresh token sent with it)
+  async logout(user, sessionId, refreshToken, client = {}) {
+    let revoked = false;
+    if (sessionId) {
+      revoked = await sessionService.revoke(sessionId, user.id);
+    } else if (refreshToken) {
+      revoked = await sessionService.revokeByRefreshToken(refreshToken, user.id);
+    }
+
+    await auditService.logUserLogout(user.id, client.ipAddress, client.userAgent);
+    return revoked;
+  }
+
+  isLocked(user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  assertNotLocked(user) {
+    if (this.isLocked(user)) {
+      const retryAfter = Math.ceil((new Date(user.locked_until) - Date.now()) / 1000);
+      throw new AuthError(
+        `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+        HTTP_STATUS.LOCKED,
+        { retryAfter }
+      );
+    }
+  }
+
+  // Count a failed attempt and lock the account once the limit is reached
+  async recordFailedAttempt(user, client = {}) {
+    const { maxLoginAttempts, lockoutMinutes } = await this.getSecuritySettings();
+
+    const result = await pool.query(`
+      UPDATE users SET
+        failed_login_attempts = CASE
+          WHEN locked_until IS NOT NULL AND locked_until <= NOW() THEN 1
+          ELSE COALESCE(failed_login_attempts, 0) + 1
+        END
+      WHERE id = $1
+      RETURNING failed_login_attempts
+    `, [user.id]);
+    const attempts = result.rows[0].failed_login_attempts;
+
+    if (attempts >= maxLoginAttempts) {
+      await pool.query(
+        'UPDATE users SET locked_until = NOW() + make_interval(mins => $2) WHERE id = $1',
+        [user.id, lockoutMinutes]
+      );
+      console.log(`🔒 Account ${user.email} locked for ${lockoutMinutes} minutes after ${attempts} failed logins`);
+    }
+
+    await auditService.logUserLogin(user.id, client.ipAddress, client.userAgent, false);
+    return attempts;
+  }
+
+  // Start 2FA enrollment: returns the secret and the otpauth:// URI for the QR code
+  async setupTwoFactor(user) {
+    if (user.two_factor_enabled) {
+      throw new AuthError('Two-factor authentication is already enabled', HTTP_STATUS.CONFLICT);
+    }
+    return twoFactorService.beginEnrollment(user);
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @returns {Promise<string[]>} Backup codes, shown only this once
+   */
+  async enableTwoFactor(user, code, client = {}) {
+    if (user.two_factor_enabled) {
+      throw new AuthError('Two-factor authentication is already enabled', HTTP_STATUS.CONFLICT);
+    }
+
+    const backupCodes = await twoFactorService.confirmEnrollment(user, code);
+    if (!backupCodes) {
+      throw new AuthError('Invalid authentication code. Start the setup again if the QR code was scanned a while ago.', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_ENABLED, {}, client);
+    return backupCodes;
+  }
+
+  // Password and a current code (or backup code) are checked; failures count towards the lockout
+  async assertSecondFactor(user, password, factor, client = {}) {
+    this.assertNotLocked(user);
+
+    const passwordOk = Boolean(user.password) && await bcrypt.compare(String(password || ''), user.password);
+    const verified = passwordOk && await twoFactorService.verifyLogin(user, factor);
+    if (!verified) {
+      await this.recordFailedAttempt(user, client);
+      await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_FAILED, { method: factor.backupCode ? 'backup_code' : 'totp' }, client);
+      throw new AuthError('Invalid password or authentication code');
+    }
+    return verified;
+  }
+
+  async disableTwoFactor(user, password, factor, client = {}) {
+    if (!user.two_factor_enabled) {
+      throw new AuthError('Two-factor authentication is not enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (await twoFactorService.isRequired(user)) {
+      throw new AuthError('Your agency requires two-factor authentication for managers', HTTP_STATUS.FORBIDDEN);
+    }
+
+    await this.assertSecondFactor(user, password, factor, client);
+    await twoFactorService.disable(user.id);
+    await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_DISABLED, {}, client);
+  }
+
+  async regenerateBackupCodes(user, password, factor, client = {}) {
+    if (!user.two_factor_enabled) {
+      throw new AuthError('Two-factor authentication is not enabled', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    await this.assertSecondFactor(user, password, factor, client);
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+    await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_BACKUP_CODES_REGENERATED, {}, client);
+    return backupCodes;
+  }
+
+  // Manager reset for a user who lost their device: 2FA is turned off and every session closed
+  async resetTwoFactor(user, resetBy, client = {}) {
+    await twoFactorService.disable(user.id);
+    const sessionsRevoked = await sessionService.revokeAllForUser(user.id);
+    await this.logSecurityEvent(user.id, auditService.actionTypes.TWO_FACTOR_RESET, { resetBy, sessionsRevoked }, client);
+    return sessionsRevoked;
+  }
+
+  /**
+   * Email a password reset link to every account using this address.
+   * Always resolves the same way so the response does not reveal which emails exist.
+   * @returns {Promise<number>} Number of reset emails sent
+   */
+  async requestPasswordReset(email, client = {}) {
+    const result = await pool.query(
+      "SELECT * FROM users WHERE LOWER(email) = LOWER($1) AND status <> 'invited'",
+      [String(email || '').trim()]
+    );
+
+    let sent = 0;
+    for (const user of result.rows) {
+      const { token, hash } = createEmailToken();
+      await pool.query(`
+        UPDATE users SET password_reset_token = $2, password_reset_expires = NOW() + make_interval(mins => $3)
+        WHERE id = $1
+      `, [user.id, hash, PASSWORD_RESET_TTL_MINUTES]);
+
+      const emailResult = await brevoService.sendPasswordReset(user, token);
+      if (emailResult && emailResult.success) sent++;
+
+      await this.logSecurityEvent(user.id, auditService.actionTypes.PASSWORD_RESET_REQUESTED, { emailSent: Boolean(emailResult && emailResult.success) }, client);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Set a new password with a reset token. The token works once; every session of the
+   * account is logged out and a lockout is lifted.
+   */
+  async resetPassword(token, password, client = {}) {
+    const result = await pool.query(`
+      UPDATE users SET
+        password = $2,
+        password_reset_token = NULL,
+        password_reset_expires = NULL,
+        failed_login_attempts = 0,
+        locked_until = NULL,
+        email_verified = true,
+        updated_at = NOW()
+      WHERE password_reset_token = $1 AND password_reset_expires > NOW()
+      RETURNING *
+    `, [hashEmailToken(token), await this.hashPassword(password)]);
+
+    if (result.rows.length === 0) {
+      throw new AuthError('This password reset link is invalid or has expired', HTTP_STATUS.BAD_REQUEST);
+    }
+    const user = result.rows[0];
+
+    const sessionsRevoked = await sessionService.revokeAllForUser(user.id);
+
+    await this.logSecurityEvent(user.id, auditService.actionTypes.PASSWORD_RESET, { sessionsRevoked }, client);
+
+    return this.formatUser(user);
+  }
+
+  // Mark the account unverified and email it a confirmation link
+  async sendEmailVerification(user) {
+    const { token, hash } = createEmailToken();
+    await pool.query(`
+      UPDATE users SET email_verified = false, email_verification_token = $2,
+        email_verification_expires = NOW() + make_interval(hours => $3)
+      WHERE id = $1
+    `, [user.id, hash, EMAIL_VERIFICATION_TTL_HOURS]);
+
+    return brevoService.sendEmailVerification(user, token);
+  }
+
+  // New confirmation link for unverified accounts with this email (same answer when there are none)
+  async resendEmailVerification(email) {
+    const result = await pool.query(
+      "SELECT * FROM users WHERE LOWER(email) = LOWER($1) AND email_verified = false AND status = 'active'",
+      [String(email || '').trim()]
+    );
+    for (const user of result.rows) {
+      await this.sendEmailVerification(user);
+    }
+    return result.rows.length;
+  }
+
+  async verifyEmail(token, client = {}) {
+    const result = await pool.query(`
+      UPDATE users SET email_verified = true, email_verification_token = NULL,
+        email_verification_expires = NULL, updated_at = NOW()
+      WHERE email_verification_token = $1 AND email_verification_expires > NOW()
+      RETURNING *
+    `, [hashEmailToken(token)]);
+
+    if (result.rows.length === 0) {
+      throw new AuthError('This verification link is invalid or has expired', HTTP_STATUS.BAD_REQUEST);
+    }
+    const user = result.rows[0];
+
+    await this.logSecurityEvent(user.id, auditService.actionTypes.EMAIL_VERIFIED, { email: user.email }, client);
+
+    return user;
+  }
+
+  // Audit entry for an account security event
+  async logSecurityEvent(userId, action, details = {}, client = {}) {
+    return auditService.log({
+      userId,
+      action,
+      resourceType: 'user',
+      resourceId: userId,
+      details,
+      ipAddress: client.ipAddress,
+      userAgent: client.userAgent
+    });
+  }
+
+  // Access token carrying the claims authMiddleware and agencyIsolation rely on; it is only
+  // valid while its session is active
+  issueToken(user, sessionId) {
+    const expiresIn = process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+    const token = generateToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      agencyId: user.agency_id,
+      sessionId
+    }, expiresIn);
+    return { token, expiresIn };
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS, 10) || 12);
+  }
+
+  async findById(userId) {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  // User fields safe to return to the client
+  formatUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      name: `${user.first_name || ''} ${user.last_name || ''}`.trim(),
+      role: user.role,
+      agencyId: user.agency_id,
+      agencyName: user.agency_name || null,
+      phone: user.phone || null,
+      status: user.status,
+      emailVerified: user.email_verified !== false,
+      twoFactorEnabled: Boolean(user.two_factor_enabled),
+      lastLoginAt: user.last_login_at || null
+    };
+  }
+}
+
+const authService = new AuthService();
+authService.AuthError = AuthError;
+
+module.exports = authService;
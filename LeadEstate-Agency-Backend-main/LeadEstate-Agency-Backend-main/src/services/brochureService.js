@@ -0,0 +1,635 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const storageService = require('./storageService');
+const templateService = require('./templateService');
+const workflowService = require('./workflowService');
+const activityService = require('./activityService');
+const brevoService = require('./brevoService');
+const twilioService = require('./twilioService');
+const { formatCurrency, generateSlug } = require('../utils/helpers');
+const {
+  ACTIVITY_TYPES,
+  CURRENCIES,
+  EMAIL_TEMPLATES,
+  OUTBOUND_MESSAGE_STATUS,
+  PROPERTY_MEDIA_KINDS,
+  SUPPORTED_LANGUAGES,
+  TRANSACTION_TYPES,
+  WHATSAPP_TEMPLATES
+} = require('../utils/constants');
+
+const LANGUAGES = Object.values(SUPPORTED_LANGUAGES);
+const CHANNELS = ['whatsapp', 'email'];
+
+// Agencies that have not set their currency or colour in their settings
+const DEFAULT_CURRENCY = CURRENCIES.EUR;
+const DEFAULT_COLOR = '#3b82f6';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const LOCALES = { en: 'en-US', fr: 'fr-FR' };
+
+// A4 in points, with the same margin on every side
+const PAGE_SIZE = 'A4';
+const MARGIN = 40;
+const HEADER_HEIGHT = 80;
+const COVER_HEIGHT = 280;
+const CONTACT_HEIGHT = 95;
+
+// Gallery images after the cover, on a second page of 2 columns
+const MAX_GALLERY_IMAGES = 6;
+const GALLERY_COLUMNS = 2;
+const GALLERY_GAP = 15;
+
+const MAX_DESCRIPTION_LENGTH = 1500;
+
+// Sent brochures are stored under this prefix, which /uploads does not serve: Twilio and Brevo
+// download them with a signed link that expires after BROCHURE_LINK_TTL_HOURS
+const STORAGE_PREFIX = 'brochures';
+const DEFAULT_LINK_TTL_HOURS = 72;
+// Twilio downloads WhatsApp media shortly after the message is sent
+const SENT_RETENTION_MINUTES = 60;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+const getLinkTtlHours = () => {
+  const hours = Number(process.env.BROCHURE_LINK_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_LINK_TTL_HOURS;
+};
+
+const getTokenSecret = () => process.env.BROCHURE_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getTokenSecret()).update(`brochure:${payload}`).digest('base64url');
+
+const getPublicApiUrl = () =>
+  (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const PANEL_COLOR = '#f3f4f6';
+
+const LABELS = {
+  en: {
+    forSale: 'For sale', forRent: 'For rent', perMonth: '/ month', type: 'Type', bedrooms: 'Bedrooms',
+    bathrooms: 'Bathrooms', area: 'Area', description: 'Description', gallery: 'Gallery',
+    contact: 'Your contact', preparedFor: 'Prepared for', reference: 'Ref.'
+  },
+  fr: {
+    forSale: 'À vendre', forRent: 'À louer', perMonth: '/ mois', type: 'Type', bedrooms: 'Chambres',
+    bathrooms: 'Salles de bain', area: 'Surface', description: 'Description', gallery: 'Galerie',
+    contact: 'Votre contact', preparedFor: 'Préparé pour', reference: 'Réf.'
+  }
+};
+
+const TYPE_LABELS = {
+  fr: {
+    apartment: 'Appartement', house: 'Maison', condo: 'Copropriété', townhouse: 'Maison de ville',
+    villa: 'Villa', studio: 'Studio', penthouse: 'Penthouse', loft: 'Loft', duplex: 'Duplex',
+    commercial: 'Local commercial', land: 'Terrain', other: 'Autre'
+  }
+};
+
+/**
+ * Error raised for brochures that cannot be rendered or sent
+ */
+class BrochureError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BrochureError';
+    this.statusCode = statusCode;
+  }
+}
+
+// The standard PDF fonts only encode Windows-1252: the narrow spaces of French number
+// formats become spaces, and characters they cannot show (emoji...) are left out
+const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const pdfText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[\u00a0\u2009\u202f]/g, ' ')
+  .split('')
+  .filter(char => char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRA.includes(char))
+  .join('')
+  .trim();
+
+// PDFKit embeds JPEG and PNG images only
+const isEmbeddable = (buffer) => Boolean(buffer) && buffer.length > 8 && (
+  (buffer[0] === 0xff && buffer[1] === 0xd8) ||
+  buffer.toString('latin1', 1, 4) === 'PNG'
+);
+
+const isRental = (property) => [TRANSACTION_TYPES.RENT, TRANSACTION_TYPES.LEASE].includes(property.transaction_type);
+
+const capitalize = (value) => (value ? `${String(value).charAt(0).toUpperCase()}${String(value).slice(1)}` : value);
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+class BrochureService {
+  /**
+   * Branding of the brochures from the agency settings (settings.branding), with the
+   * agency's environment details where a field is not set
+   */
+  getBranding(settings = {}) {
+    const branding = settings.branding || {};
+    return {
+      name: branding.name || process.env.AGENCY_NAME || 'LeadEstate',
+      logoUrl: branding.logoUrl || null,
+      primaryColor: COLOR_PATTERN.test(branding.primaryColor) ? branding.primaryColor : DEFAULT_COLOR,
+      phone: branding.phone || process.env.AGENCY_PHONE || '',
+      email: branding.email || process.env.AGENCY_EMAIL || '',
+      website: branding.website || ''
+    };
+  }
+
+  getCurrency(settings = {}) {
+    return Object.values(CURRENCIES).includes(settings.currency) ? settings.currency : DEFAULT_CURRENCY;
+  }
+
+  // Read a stored file; a missing or unreadable image leaves a gap, not a failed brochure
+  async readImage(key, driver) {
+    if (!key) {
+      return null;
+    }
+    try {
+      const buffer = await storageService.get(key, driver);
+      return isEmbeddable(buffer) ? buffer : null;
+    } catch (error) {
+      console.warn(`⚠️ Brochure image ${key} could not be read: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Read an image from its URL, only when it points to this API's storage
+  async readImageUrl(url) {
+    const stored = storageService.resolveUrl(url);
+    return stored ? this.readImage(stored.key, stored.driver) : null;
+  }
+
+  // Cover at full size when it is a JPEG or PNG, else its JPEG thumbnail; gallery images as thumbnails
+  async loadImages(property) {
+    const result = await pool.query(`
+      SELECT * FROM property_media
+      WHERE property_id = $1 AND kind = $2
+      ORDER BY is_cover DESC, sort_order, created_at
+    `, [property.id, PROPERTY_MEDIA_KINDS.IMAGE]);
+    const [coverRow, ...others] = result.rows;
+
+    let cover = null;
+    if (coverRow) {
+      cover = await this.readImage(coverRow.storage_key, coverRow.storage)
+        || await this.readImage(coverRow.thumbnail_key, coverRow.storage);
+    } else {
+      // Properties from before galleries only have their image_url
+      cover = await this.readImageUrl(property.image_url);
+    }
+
+    const gallery = [];
+    for (const row of others) {
+      if (gallery.length === MAX_GALLERY_IMAGES) break;
+      const image = await this.readImage(row.thumbnail_key, row.storage) || await this.readImage(row.storage_key, row.storage);
+      if (image) {
+        gallery.push(image);
+      }
+    }
+
+    return { cover, gallery };
+  }
+
+  // Agent shown on the brochure: the lead's agent, else the user downloading or sending it
+  async findAgent(lead, agencyId, user = {}) {
+    const assigned = lead ? await workflowService.findAgent(lead.assigned_to, agencyId) : null;
+    if (assigned) {
+      return assigned;
+    }
+    if (!user.email) {
+      return lead && lead.assigned_to ? { name: lead.assigned_to } : {};
+    }
+
+    const result = await pool.query(
+      'SELECT name, email, phone FROM team_members WHERE LOWER(email) = LOWER($1) AND agency_id = $2 LIMIT 1',
+      [user.email, agencyId]
+    );
+    return result.rows[0] || {
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email,
+      email: user.email
+    };
+  }
+
+  /**
+   * Property, lead, agent, branding and images of a brochure
+   * @param {Object} options - { agencyId, leadId, language, user }
+   */
+  async load(propertyId, { agencyId, leadId = null, language = null, user = {} }) {
+    if (language && !LANGUAGES.includes(language)) {
+      throw new BrochureError(`language must be one of: ${LANGUAGES.join(', ')}`);
+    }
+
+    const propertyResult = await pool.query('SELECT * FROM properties WHERE id = $1 AND agency_id = $2', [propertyId, agencyId]);
+    const property = propertyResult.rows[0];
+    if (!property) {
+      throw new BrochureError('Property not found', 404);
+    }
+
+    let lead = null;
+    if (leadId) {
+      const leadResult = await pool.query('SELECT * FROM leads WHERE id::text = $1 AND agency_id = $2', [String(leadId), agencyId]);
+      lead = leadResult.rows[0];
+      if (!lead) {
+        throw new BrochureError('Lead not found', 404);
+      }
+    }
+
+    const settingsResult = await pool.query('SELECT settings FROM agency_settings WHERE agency_id = $1', [agencyId]);
+    const settings = settingsResult.rows[0] ? settingsResult.rows[0].settings : {};
+    const branding = this.getBranding(settings);
+
+    return {
+      property,
+      lead,
+      // An explicit language, else the lead's; brochures for no lead in particular are in English
+      language: language || (lead ? templateService.leadLanguage(lead) : SUPPORTED_LANGUAGES.EN),
+      currency: this.getCurrency(settings),
+      branding,
+      logo: await this.readImageUrl(branding.logoUrl),
+      agent: await this.findAgent(lead, agencyId, user),
+      ...await this.loadImages(property)
+    };
+  }
+
+  // Price in the agency currency, per month for rentals and leases
+  formatPrice(property, currency, language) {
+    const price = toNumber(property.price);
+    if (price === null) {
+      return '';
+    }
+    const formatted = formatCurrency(price, currency, LOCALES[language]);
+    return isRental(property) ? `${formatted} ${LABELS[language].perMonth}` : formatted;
+  }
+
+  /**
+   * Render the brochure of a property as a PDF
+   * @param {string} propertyId
+   * @param {Object} options - { agencyId, leadId, language, user }; the lead's language is used
+   *   unless language (en or fr) is given
+   * @returns {Promise<Object>} { buffer, filename, language, price, property, lead, agent, branding }
+   */
+  async generate(propertyId, options) {
+    const data = await this.load(propertyId, options);
+    const price = this.formatPrice(data.property, data.currency, data.language);
+    const buffer = await this.render({ ...data, price });
+
+    return {
+      buffer,
+      filename: `brochure-${generateSlug(data.property.title || '') || data.property.id}.pdf`,
+      language: data.language,
+      price,
+      property: data.property,
+      lead: data.lead,
+      agent: data.agent,
+      branding: data.branding
+    };
+  }
+
+  render(data) {
+    // Required on first use like sharp, so the API starts where it is not installed
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({
+      size: PAGE_SIZE,
+      margin: 0,
+      info: { Title: pdfText(data.property.title), Author: pdfText(data.branding.name) }
+    });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this.renderDetails(doc, data);
+        if (data.gallery.length > 0) {
+          this.renderGallery(doc, data);
+        }
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  renderHeader(doc, { branding, logo }, height) {
+    const width = doc.page.width - MARGIN * 2;
+    doc.rect(0, 0, doc.page.width, height).fill(branding.primaryColor);
+
+    let nameWidth = width;
+    if (logo) {
+      doc.image(logo, MARGIN, 12, { fit: [140, height - 24], valign: 'center' });
+      nameWidth -= 155;
+    }
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(16)
+      .text(pdfText(branding.name), doc.page.width - MARGIN - nameWidth, height / 2 - 9, {
+        width: nameWidth, align: 'right', lineBreak: false, ellipsis: true
+      });
+  }
+
+  renderFooter(doc, { property, lead, labels }) {
+    const y = doc.page.height - 25;
+    const width = doc.page.width - MARGIN * 2;
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8)
+      .text(pdfText(`${labels.reference} ${property.id}`), MARGIN, y, { width, lineBreak: false });
+    if (lead) {
+      const name = templateService.leadVariables(lead).leadName;
+      doc.text(pdfText(`${labels.preparedFor} ${name}`), MARGIN, y, { width, align: 'right', lineBreak: false });
+    }
+  }
+
+  renderDetails(doc, data) {
+    const { property, agent, branding, cover, price, language } = data;
+    const labels = LABELS[language];
+    const width = doc.page.width - MARGIN * 2;
+    this.renderHeader(doc, data, HEADER_HEIGHT);
+
+    let y = HEADER_HEIGHT + 25;
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(22).text(pdfText(property.title), MARGIN, y, { width });
+    const location = property.location || [property.address, property.city].filter(Boolean).join(', ');
+    if (location) {
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(11).text(pdfText(location), MARGIN, doc.y + 4, { width });
+    }
+    y = doc.y + 15;
+
+    if (cover) {
+      doc.image(cover, MARGIN, y, { fit: [width, COVER_HEIGHT], align: 'center', valign: 'center' });
+      y += COVER_HEIGHT + 15;
+    }
+
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9)
+      .text(pdfText((isRental(property) ? labels.forRent : labels.forSale).toUpperCase()), MARGIN, y, { width, characterSpacing: 1 });
+    if (price) {
+      doc.fillColor(branding.primaryColor).font('Helvetica-Bold').fontSize(20)
+        .text(pdfText(price), MARGIN, doc.y + 2, { width });
+    }
+    y = doc.y + 12;
+
+    // Key facts
+    const area = toNumber(property.surface) || toNumber(property.area);
+    const facts = [
+      [labels.type, (TYPE_LABELS[language] || {})[property.type] || capitalize(property.type)],
+      [labels.bedrooms, property.bedrooms],
+      [labels.bathrooms, property.bathrooms],
+      [labels.area, area ? `${area.toLocaleString(LOCALES[language])} m²` : null]
+    ];
+    const factWidth = (width - 10 * (facts.length - 1)) / facts.length;
+    facts.forEach(([label, value], index) => {
+      const x = MARGIN + index * (factWidth + 10);
+      doc.rect(x, y, factWidth, 48).fill(PANEL_COLOR);
+      doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9).text(pdfText(label), x + 10, y + 9, { width: factWidth - 20, lineBreak: false });
+      doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(13)
+        .text(pdfText(value === null || value === undefined || value === '' ? '-' : value), x + 10, y + 24, {
+          width: factWidth - 20, lineBreak: false, ellipsis: true
+        });
+    });
+    y += 48 + 18;
+
+    // Description, cut to the space left above the contact box
+    const contactTop = doc.page.height - MARGIN - CONTACT_HEIGHT;
+    const description = String(property.description || '').trim().slice(0, MAX_DESCRIPTION_LENGTH);
+    if (description && contactTop - y > 50) {
+      doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(12).text(pdfText(labels.description), MARGIN, y, { width });
+      doc.font('Helvetica').fontSize(10).fillColor('#374151')
+        .text(pdfText(description), MARGIN, doc.y + 6, { width, height: contactTop - doc.y - 21, ellipsis: true, lineGap: 2 });
+    }
+
+    // Agent and agency contact details
+    doc.rect(MARGIN, contactTop, width, CONTACT_HEIGHT).lineWidth(1.5).stroke(branding.primaryColor);
+    doc.fillColor(MUTED_COLOR).font('Helvetica-Bold').fontSize(9)
+      .text(pdfText(labels.contact.toUpperCase()), MARGIN + 15, contactTop + 12, { width: width - 30, characterSpacing: 1 });
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(14)
+      .text(pdfText(agent.name || branding.name), MARGIN + 15, doc.y + 4, { width: width - 30, lineBreak: false, ellipsis: true });
+    doc.font('Helvetica').fontSize(10)
+      .text(pdfText([agent.phone, agent.email].filter(Boolean).join('  |  ')), MARGIN + 15, doc.y + 5, { width: width - 30, lineBreak: false });
+    doc.fillColor(MUTED_COLOR).fontSize(9)
+      .text(pdfText([branding.name, branding.phone, branding.email, branding.website].filter(Boolean).join('  |  ')), MARGIN + 15, doc.y + 8, {
+        width: width - 30, lineBreak: false, ellipsis: true
+      });
+
+    this.renderFooter(doc, { ...data, labels });
+  }
+
+  renderGallery(doc, data) {
+    const labels = LABELS[data.language];
+    const width = doc.page.width - MARGIN * 2;
+    doc.addPage();
+    this.renderHeader(doc, data, 50);
+
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(16).text(pdfText(labels.gallery), MARGIN, 75, { width });
+
+    const cellWidth = (width - GALLERY_GAP * (GALLERY_COLUMNS - 1)) / GALLERY_COLUMNS;
+    const cellHeight = cellWidth * 3 / 4;
+    const top = doc.y + 12;
+    data.gallery.forEach((image, index) => {
+      const x = MARGIN + (index % GALLERY_COLUMNS) * (cellWidth + GALLERY_GAP);
+      const y = top + Math.floor(index / GALLERY_COLUMNS) * (cellHeight + GALLERY_GAP);
+      doc.image(image, x, y, { cover: [cellWidth, cellHeight], align: 'center', valign: 'center' });
+    });
+
+    this.renderFooter(doc, { ...data, labels });
+  }
+
+  /**
+   * Store a brochure for a lead with a signed link Twilio and Brevo can download it from
+   * until it expires (removeExpired then deletes it)
+   * @param {Object} brochure - Result of generate
+   * @param {Object} context - { agencyId }
+   * @returns {Promise<Object>} { id, driver, key, url, expiresAt }
+   */
+  async publish(brochure, context) {
+    const id = crypto.randomUUID();
+    const stored = await storageService.put(
+      `${STORAGE_PREFIX}/${brochure.property.id}/${id}.pdf`,
+      brochure.buffer,
+      'application/pdf'
+    );
+    const expiresAt = new Date(Date.now() + getLinkTtlHours() * 60 * 60 * 1000);
+
+    try {
+      await pool.query(`
+        INSERT INTO brochure_links (id, agency_id, property_id, lead_id, storage, storage_key, filename, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [id, context.agencyId, brochure.property.id, brochure.lead ? brochure.lead.id : null,
+        stored.driver, stored.key, brochure.filename, expiresAt]);
+    } catch (error) {
+      await storageService.remove(stored.key, stored.driver);
+      throw error;
+    }
+
+    return { ...stored, id, url: this.getLinkUrl(id, expiresAt), expiresAt };
+  }
+
+  // Signed download link of a stored brochure, valid until expiresAt
+  getLinkUrl(id, expiresAt) {
+    const payload = Buffer.from(JSON.stringify({ b: id, e: Math.floor(expiresAt.getTime() / 1000) })).toString('base64url');
+    return `${getPublicApiUrl()}/api/brochures/${payload}.${sign(payload)}.pdf`;
+  }
+
+  /**
+   * Read a brochure from its signed link
+   * @param {string} token - Token of the link
+   * @returns {Promise<Object|null>} { buffer, filename }, null when the link is not valid,
+   *   has expired or the brochure was deleted
+   */
+  async getByToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+    if (!data.b || !(data.e * 1000 > Date.now())) {
+      return null;
+    }
+
+    const result = await pool.query(
+      'SELECT storage, storage_key, filename FROM brochure_links WHERE id = $1 AND expires_at > NOW()',
+      [String(data.b)]
+    );
+    const link = result.rows[0];
+    if (!link) {
+      return null;
+    }
+
+    return { buffer: await storageService.get(link.storage_key, link.storage), filename: link.filename };
+  }
+
+  /**
+   * Delete the brochures whose link has expired, whose message was sent a while ago
+   * or will never be sent
+   * @returns {Promise<number>} Brochures deleted
+   */
+  async removeExpired() {
+    const result = await pool.query(`
+      SELECT b.id, b.storage, b.storage_key
+      FROM brochure_links b
+      LEFT JOIN outbound_messages m ON m.id = b.queue_id
+      WHERE b.expires_at <= NOW()
+        OR m.status = ANY($1::text[])
+        OR (m.status = $2 AND m.sent_at <= NOW() - make_interval(mins => $3))
+    `, [[OUTBOUND_MESSAGE_STATUS.DEAD, OUTBOUND_MESSAGE_STATUS.CANCELLED], OUTBOUND_MESSAGE_STATUS.SENT, SENT_RETENTION_MINUTES]);
+
+    let removed = 0;
+    for (const link of result.rows) {
+      try {
+        await storageService.remove(link.storage_key, link.storage);
+        await pool.query('DELETE FROM brochure_links WHERE id = $1', [link.id]);
+        removed++;
+      } catch (error) {
+        console.error(`❌ Failed to delete brochure ${link.id}:`, error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️ Deleted ${removed} sent or expired brochure(s)`);
+    }
+    return removed;
+  }
+
+  startCleanupScheduler() {
+    setInterval(() => {
+      this.removeExpired().catch(error => console.error('❌ Brochure cleanup failed:', error.message));
+    }, CLEANUP_INTERVAL_MS);
+    console.log('✅ Brochure cleanup scheduler started (every 15 minutes)');
+  }
+
+  /**
+   * Send the brochure of a property to a lead: as WhatsApp media, or attached to an email.
+   * Without a channel, WhatsApp when the lead has a number, else email
+   * @param {string} propertyId
+   * @param {Object} data - { leadId, channel, language, message }
+   * @param {Object} context - { agencyId, userId, userName, user }
+   * @returns {Promise<Object>} Queue result with { channel, brochureUrl, brochureExpiresAt, filename, language }
+   */
+  async send(propertyId, { leadId, channel, language, message } = {}, context) {
+    if (!leadId) {
+      throw new BrochureError('leadId is required');
+    }
+    if (channel && !CHANNELS.includes(channel)) {
+      throw new BrochureError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    const brochure = await this.generate(propertyId, { agencyId: context.agencyId, leadId, language, user: context.user });
+    const { lead, property } = brochure;
+    channel = channel || (lead.whatsapp || lead.phone ? 'whatsapp' : 'email');
+    if (channel === 'whatsapp' && !twilioService.validateWhatsAppNumber(lead.whatsapp || lead.phone)) {
+      throw new BrochureError('Lead has no valid WhatsApp number');
+    }
+    if (channel === 'email' && !lead.email) {
+      throw new BrochureError('Lead has no email address');
+    }
+
+    const stored = await this.publish(brochure, context);
+    const customMessage = String(message || '').trim();
+    const variables = {
+      agencyName: brochure.branding.name,
+      ...templateService.leadVariables(lead),
+      ...templateService.agentVariables(brochure.agent),
+      ...templateService.propertyVariables([property], brochure.language),
+      propertyPrice: brochure.price,
+      brochureUrl: stored.url
+    };
+
+    const result = channel === 'whatsapp'
+      ? await twilioService.sendTemplate(WHATSAPP_TEMPLATES.PROPERTY_BROCHURE, lead, {
+        ...variables,
+        customMessage: customMessage ? `${customMessage}\n\n` : ''
+      }, { sentBy: context.userName, mediaUrl: stored.url })
+      : await brevoService.sendTemplate(EMAIL_TEMPLATES.PROPERTY_BROCHURE, {
+        to: lead.email,
+        agencyId: context.agencyId,
+        leadId: lead.id,
+        language: brochure.language,
+        variables: { ...variables, customMessage },
+        tags: ['property-brochure'],
+        attachments: [{ filename: brochure.filename, url: stored.url }],
+        sentBy: context.userName
+      });
+
+    if (!result.success) {
+      await storageService.remove(stored.key, stored.driver);
+      await pool.query('DELETE FROM brochure_links WHERE id = $1', [stored.id]);
+      return { ...result, channel };
+    }
+
+    // The brochure is deleted once this message is sent or given up
+    await pool.query('UPDATE brochure_links SET queue_id = $2 WHERE id = $1', [stored.id, result.queueId || null]);
+
+    await activityService.log({
+      leadId: lead.id,
+      type: channel === 'whatsapp' ? ACTIVITY_TYPES.WHATSAPP_SENT : ACTIVITY_TYPES.EMAIL_SENT,
+      description: `Property brochure sent by ${channel}: ${property.title}`,
+      propertyId: property.id,
+      metadata: { queueId: result.queueId, brochureUrl: stored.url, language: brochure.language }
+    }, context);
+
+    console.log(`📄 Brochure of property ${property.id} queued by ${channel} to lead ${lead.id}`);
+    return {
+      ...result,
+      channel,
+      brochureUrl: stored.url,
+      brochureExpiresAt: stored.expiresAt,
+      filename: brochure.filename,
+      language: brochure.language
+    };
+  }
+}
+
+const brochureService = new BrochureService();
+brochureService.BrochureError = BrochureError;
+brochureService.STORAGE_PREFIX = STORAGE_PREFIX;
+
+module.exports = brochureService;
@@ -0,0 +1,885 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const templateService = require('./templateService');
+const messageQueueService = require('./messageQueueService');
+const twilioService = require('./twilioService');
+const workflowService = require('./workflowService');
+const consentService = require('./consentService');
+const permissionService = require('./permissionService');
+const { getPaginationMeta } = require('../utils/helpers');
+const {
+  CAMPAIGN_STATUS,
+  LEAD_STATUS,
+  PAGINATION,
+  SUPPORTED_LANGUAGES
+} = require('../utils/constants');
+
+const CHANNELS = ['email', 'whatsapp'];
+
+// Sends per minute of a campaign: its messages are spread over time so the agency's
+// other messages (welcome, reminders) still get through the queue's rate limit
+const DEFAULT_RATE_PER_MINUTE = 30;
+const MAX_RATE_PER_MINUTE = 60;
+
+// Leads queued between two checks of the campaign status (cancelled while sending)
+const DELIVERY_CHUNK_SIZE = 50;
+
+// A WhatsApp message of a lead counts as a reply to the last campaign it got within this window
+const REPLY_WINDOW_DAYS = 7;
+
+const RECIPIENT_STATUS = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+  SKIPPED: 'skipped'
+};
+
+// Placeholders filled by the campaign itself, not usable in the campaign message
+const CAMPAIGN_PLACEHOLDERS = ['customMessage', 'unsubscribeUrl', 'campaignSubject'];
+
+const MAX_NAME_LENGTH = 255;
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_MESSAGE_LENGTH = 10000;
+const SAMPLE_SIZE = 10;
+
+/**
+ * Error raised for invalid campaign operations
+ */
+class CampaignError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CampaignError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Filter values given as an array or a comma-separated string
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+class CampaignService {
+  constructor() {
+    this.schedulerInterval = 60 * 1000; // 1 minute
+    this.delivering = new Set();
+  }
+
+  /**
+   * Validate a segment: lead filters combined with AND, values of a filter with OR
+   * @param {Object} segment - { status, source, language, tags, budgetMin, budgetMax }
+   * @returns {Object} Normalized segment
+   */
+  normalizeSegment(segment = {}) {
+    if (typeof segment !== 'object' || Array.isArray(segment) || segment === null) {
+      throw new CampaignError('segment must be an object');
+    }
+
+    const normalized = {};
+    const status = toList(segment.status);
+    const statuses = Object.values(LEAD_STATUS);
+    const invalidStatus = status.find(value => !statuses.includes(value));
+    if (invalidStatus) {
+      throw new CampaignError(`segment.status accepts: ${statuses.join(', ')}`);
+    }
+    if (status.length) normalized.status = status;
+
+    const source = toList(segment.source);
+    if (source.length) normalized.source = source;
+
+    const language = toList(segment.language);
+    const languages = Object.values(SUPPORTED_LANGUAGES);
+    if (language.find(value => !languages.includes(value))) {
+      throw new CampaignError(`segment.language accepts: ${languages.join(', ')}`);
+    }
+    if (language.length) normalized.language = language;
+
+    const tags = toList(segment.tags);
+    if (tags.length) normalized.tags = tags;
+
+    ['budgetMin', 'budgetMax'].forEach(field => {
+      const value = toNumber(segment[field]);
+      if (value === null) return;
+      if (!Number.isFinite(value) || value < 0) {
+        throw new CampaignError(`segment.${field} must be a positive number`);
+      }
+      normalized[field] = value;
+    });
+    if (normalized.budgetMin !== undefined && normalized.budgetMax !== undefined && normalized.budgetMin > normalized.budgetMax) {
+      throw new CampaignError('segment.budgetMin must not exceed segment.budgetMax');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * SQL condition selecting the leads of a segment. Budgets match leads whose
+   * range overlaps the segment's (budget is the legacy single budget).
+   * @param {string} agencyId - Agency
+   * @param {Object} segment - Normalized segment
+   * @param {Array} params - Query parameters, the filter values are appended
+   */
+  buildSegmentCondition(agencyId, segment, params) {
+    params.push(agencyId);
+    const conditions = [`agency_id = $${params.length}`];
+
+    if (segment.status) {
+      params.push(segment.status);
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if (segment.source) {
+      params.push(segment.source);
+      conditions.push(`source = ANY($${params.length})`);
+    }
+    if (segment.language) {
+      params.push(segment.language);
+      conditions.push(`COALESCE(language, 'fr') = ANY($${params.length})`);
+    }
+    if (segment.tags) {
+      params.push(segment.tags);
+      conditions.push(`COALESCE(tags, '[]'::jsonb) ?| $${params.length}::text[]`);
+    }
+    if (segment.budgetMin !== undefined) {
+      params.push(segment.budgetMin);
+      conditions.push(`COALESCE(budget_max, budget) >= $${params.length}`);
+    }
+    if (segment.budgetMax !== undefined) {
+      params.push(segment.budgetMax);
+      conditions.push(`COALESCE(budget_min, budget) <= $${params.length}`);
+    }
+    // Users seeing only their own leads (leads.read.own) target only those
+    if (segment.assignees) {
+      params.push(segment.assignees);
+      conditions.push(`LOWER(TRIM(assigned_to)) = ANY($${params.length}::text[])`);
+    }
+
+    return conditions.join(' AND ');
+  }
+
+  // Segment of a campaign created by the user, restricted to their leads when they only see their own
+  async scopeSegment(segment, user) {
+    const scope = await permissionService.getLeadScope(user);
+    if (!scope) {
+      throw new CampaignError('You cannot access leads', 403);
+    }
+    return scope === 'own' ? { ...segment, assignees: permissionService.getAssigneeKeys(user) } : segment;
+  }
+
+  // Why a lead cannot get a campaign message on the channel, null when it can
+  getSkipReason(lead, channel) {
+    const preferences = lead.communication_preferences || {};
+    if (preferences[channel] === false) {
+      return 'opted_out';
+    }
+    if (channel === 'email') {
+      return lead.email ? null : 'no_contact';
+    }
+    const phone = lead.whatsapp || lead.phone;
+    return phone && twilioService.validateWhatsAppNumber(phone) ? null : 'no_contact';
+  }
+
+  /**
+   * Leads a segment reaches on a channel, with the opted-out and unreachable ones
+   * @param {string} agencyId - Agency
+   * @param {Object} options - { channel, segment }
+   * @param {Object} user - req.user (own-lead scope)
+   */
+  async previewSegment(agencyId, { channel, segment }, user) {
+    this.assertChannel(channel);
+    const scoped = await this.scopeSegment(this.normalizeSegment(segment), user);
+
+    const params = [];
+    const result = await pool.query(`
+      SELECT id, first_name, last_name, email, phone, whatsapp, status, language, communication_preferences
+      FROM leads
+      WHERE ${this.buildSegmentCondition(agencyId, scoped, params)}
+      ORDER BY created_at ASC
+    `, params);
+
+    const counts = { total: result.rows.length, reachable: 0, optedOut: 0, noContact: 0 };
+    const sample = [];
+    result.rows.forEach(lead => {
+      const reason = this.getSkipReason(lead, channel);
+      if (reason === 'opted_out') counts.optedOut++;
+      else if (reason === 'no_contact') counts.noContact++;
+      else counts.reachable++;
+
+      if (sample.length < SAMPLE_SIZE) {
+        sample.push({
+          id: lead.id,
+          name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+          email: lead.email,
+          phone: lead.whatsapp || lead.phone,
+          status: lead.status,
+          language: lead.language,
+          skipReason: reason
+        });
+      }
+    });
+
+    return { channel, segment: this.normalizeSegment(segment), ...counts, sample };
+  }
+
+  assertChannel(channel) {
+    if (!CHANNELS.includes(channel)) {
+      throw new CampaignError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate campaign fields; on update only the given ones
+   * @param {Object} data - { name, channel, templateKey, subject, message, segment, scheduledAt, ratePerMinute }
+   * @param {Object} current - Campaign being updated
+   * @returns {Object} Column values
+   */
+  validate(data, current = null) {
+    const columns = {};
+    const isSet = (field) => !current || data[field] !== undefined;
+
+    if (isSet('name')) {
+      if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new CampaignError('name is required');
+      }
+      if (data.name.length > MAX_NAME_LENGTH) {
+        throw new CampaignError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      columns.name = data.name.trim();
+    }
+
+    const channel = isSet('channel') ? data.channel : current.channel;
+    this.assertChannel(channel);
+    columns.channel = channel;
+
+    const templateKey = isSet('templateKey') && data.templateKey !== undefined
+      ? data.templateKey
+      : (current && current.channel === channel ? current.template_key : 'campaign_message');
+    const templates = templateService.getCampaignTemplates(channel);
+    if (!templates.includes(templateKey)) {
+      throw new CampaignError(`templateKey must be one of the ${channel} campaign templates: ${templates.join(', ')}`);
+    }
+    columns.template_key = templateKey;
+
+    const definition = templateService.getDefinition(channel, templateKey);
+    const allowed = templateService.getVariables(definition).filter(name => !CAMPAIGN_PLACEHOLDERS.includes(name));
+    const checkPlaceholders = (field, text) => {
+      const unknown = [...String(text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .map(match => match[1])
+        .filter(name => !allowed.includes(name));
+      if (unknown.length > 0) {
+        throw new CampaignError(`Unknown placeholders in ${field}: ${[...new Set(unknown)].join(', ')}. Available: ${allowed.join(', ')}`);
+      }
+    };
+
+    const message = isSet('message') ? data.message : current.message;
+    if (definition.variables.includes('customMessage')) {
+      if (typeof message !== 'string' || !message.trim()) {
+        throw new CampaignError('message is required');
+      }
+      if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new CampaignError(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+      }
+      checkPlaceholders('message', message);
+    }
+    columns.message = typeof message === 'string' ? message.trim() : '';
+
+    const subject = isSet('subject') ? data.subject : current.subject;
+    if (channel === 'email') {
+      if (typeof subject !== 'string' || !subject.trim()) {
+        throw new CampaignError('subject is required for email campaigns');
+      }
+      if (subject.length > MAX_SUBJECT_LENGTH) {
+        throw new CampaignError(`subject must be at most ${MAX_SUBJECT_LENGTH} characters`);
+      }
+      checkPlaceholders('subject', subject);
+      columns.subject = subject.trim();
+    } else {
+      columns.subject = null;
+    }
+
+    if (isSet('segment')) {
+      columns.segment = this.normalizeSegment(data.segment || {});
+    }
+
+    if (isSet('ratePerMinute') && data.ratePerMinute !== undefined) {
+      const rate = parseInt(data.ratePerMinute, 10);
+      if (!rate || rate < 1 || rate > MAX_RATE_PER_MINUTE) {
+        throw new CampaignError(`ratePerMinute must be between 1 and ${MAX_RATE_PER_MINUTE}`);
+      }
+      columns.rate_per_minute = rate;
+    }
+
+    // A date schedules the campaign, null makes it a draft again
+    if (data.scheduledAt !== undefined) {
+      if (data.scheduledAt === null || data.scheduledAt === '') {
+        columns.scheduled_at = null;
+        columns.status = CAMPAIGN_STATUS.DRAFT;
+      } else {
+        const scheduledAt = new Date(data.scheduledAt);
+        if (isNaN(scheduledAt)) {
+          throw new CampaignError('scheduledAt must be a date');
+        }
+        if (scheduledAt < new Date()) {
+          throw new CampaignError('scheduledAt must be in the future; send the campaign now instead');
+        }
+        columns.scheduled_at = scheduledAt;
+        columns.status = CAMPAIGN_STATUS.SCHEDULED;
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Create a campaign, as a draft or scheduled when scheduledAt is given
+   * @param {Object} data - Campaign fields
+   * @param {Object} context - { agencyId, userId, userName }
+   * @param {Object} user - req.user (own-lead scope)
+   */
+  async create(data, context, user) {
+    const columns = this.validate(data);
+    const segment = await this.scopeSegment(columns.segment, user);
+
+    const result = await pool.query(`
+      INSERT INTO campaigns (
+        id, agency_id, name, channel, template_key, subject, message, segment, status,
+        scheduled_at, rate_per_minute, created_by, created_by_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *
+    `, [
+      crypto.randomUUID(), context.agencyId, columns.name, columns.channel, columns.template_key,
+      columns.subject, columns.message, JSON.stringify(segment), columns.status || CAMPAIGN_STATUS.DRAFT,
+      columns.scheduled_at || null, columns.rate_per_minute || DEFAULT_RATE_PER_MINUTE,
+      context.userName || null, context.userId || null
+    ]);
+
+    console.log(`📣 Campaign "${columns.name}" created (${result.rows[0].status})`);
+    return this.format(result.rows[0]);
+  }
+
+  // Drafts and scheduled campaigns can be edited; the segment is scoped like on creation
+  async update(id, data, context, user) {
+    const campaign = await this.findForUser(id, user);
+    if (![CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED].includes(campaign.status)) {
+      throw new CampaignError(`A ${campaign.status} campaign cannot be edited`, 409);
+    }
+
+    const columns = this.validate(data, campaign);
+    if (columns.segment) {
+      columns.segment = JSON.stringify(await this.scopeSegment(columns.segment, user));
+    }
+
+    const fields = Object.keys(columns);
+    const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+    const result = await pool.query(
+      `UPDATE campaigns SET ${setClause}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [campaign.id, ...fields.map(field => columns[field])]
+    );
+    return this.format(result.rows[0]);
+  }
+
+  // Campaigns that were never sent can be deleted
+  async remove(id, user) {
+    const campaign = await this.findForUser(id, user);
+    if ([CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.SENT].includes(campaign.status)) {
+      throw new CampaignError(`A ${campaign.status} campaign cannot be deleted; cancel it instead`, 409);
+    }
+    if (campaign.started_at) {
+      throw new CampaignError('A campaign that started sending cannot be deleted', 409);
+    }
+    await pool.query('DELETE FROM campaigns WHERE id = $1', [campaign.id]);
+  }
+
+  async findById(id, agencyId) {
+    const result = await pool.query('SELECT * FROM campaigns WHERE id = $1 AND agency_id = $2', [id, agencyId]);
+    return result.rows[0] || null;
+  }
+
+  // Campaign of the user's agency; users seeing only their own leads only see their own campaigns
+  async findForUser(id, user) {
+    const campaign = await this.findById(id, user.agencyId);
+    if (!campaign) {
+      throw new CampaignError('Campaign not found', 404);
+    }
+    if ((await permissionService.getLeadScope(user)) !== 'all' && campaign.created_by_id !== user.id) {
+      throw new CampaignError('Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  // Campaigns of the agency, newest first, with their delivery stats (filter: status)
+  async list(user, { status, page, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [user.agencyId];
+    const conditions = ['agency_id = $1'];
+    if (status) {
+      params.push(toList(status));
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if ((await permissionService.getLeadScope(user)) !== 'all') {
+      params.push(user.id);
+      conditions.push(`created_by_id = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM campaigns ${whereClause}`, params);
+    const result = await pool.query(`
+      SELECT * FROM campaigns
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    const campaigns = [];
+    for (const row of result.rows) {
+      campaigns.push({ ...this.format(row), stats: await this.getStats(row.id) });
+    }
+
+    return {
+      campaigns,
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  // A campaign with its delivery stats
+  async get(id, user) {
+    const campaign = await this.findForUser(id, user);
+    return { ...this.format(campaign), stats: await this.getStats(campaign.id) };
+  }
+
+  /**
+   * Per-recipient delivery, reply and click counts of a campaign. Delivery comes from the
+   * lead messages (updated by the provider webhooks), clicks from the email events.
+   */
+  async getStats(campaignId) {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE r.status = 'queued') AS queued,
+        COUNT(*) FILTER (WHERE r.status = 'skipped') AS skipped,
+        COUNT(*) FILTER (WHERE r.skip_reason = 'opted_out') AS skipped_opted_out,
+        COUNT(*) FILTER (WHERE r.skip_reason = 'no_contact') AS skipped_no_contact,
+        COUNT(*) FILTER (WHERE m.status = 'queued') AS pending,
+        COUNT(*) FILTER (WHERE m.status IN ('sent', 'delivered', 'read')) AS sent,
+        COUNT(*) FILTER (WHERE m.status IN ('delivered', 'read')) AS delivered,
+        COUNT(*) FILTER (WHERE m.status = 'read') AS read,
+        COUNT(*) FILTER (WHERE m.status = 'failed') AS failed,
+        COUNT(*) FILTER (WHERE r.replied_at IS NOT NULL) AS replied,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM lead_message_events e WHERE e.message_id = r.message_id AND e.event = 'clicked'
+        )) AS clicked,
+        COUNT(*) FILTER (WHERE r.unsubscribed_at IS NOT NULL) AS unsubscribed
+      FROM campaign_recipients r
+      LEFT JOIN lead_messages m ON m.id = r.message_id
+      WHERE r.campaign_id = $1
+    `, [campaignId]);
+
+    const row = result.rows[0];
+    const count = (name) => parseInt(row[name], 10);
+    const queued = count('queued');
+    const rate = (value) => (queued > 0 ? Math.round((value / queued) * 1000) / 10 : 0);
+
+    return {
+      recipients: count('total'),
+      queued,
+      skipped: count('skipped'),
+      skipReasons: { optedOut: count('skipped_opted_out'), noContact: count('skipped_no_contact') },
+      pending: count('pending'),
+      sent: count('sent'),
+      delivered: count('delivered'),
+      read: count('read'),
+      failed: count('failed'),
+      replied: count('replied'),
+      clicked: count('clicked'),
+      unsubscribed: count('unsubscribed'),
+      rates: {
+        delivered: rate(count('delivered')),
+        read: rate(count('read')),
+        replied: rate(count('replied')),
+        clicked: rate(count('clicked')),
+        unsubscribed: rate(count('unsubscribed'))
+      }
+    };
+  }
+
+  // Recipients of a campaign with the state of their message (filter: status queued/skipped)
+  async getRecipients(id, user, { status, page, limit } = {}) {
+    const campaign = await this.findForUser(id, user);
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [campaign.id];
+    let statusCondition = '';
+    if (status) {
+      params.push(toList(status));
+      statusCondition = `AND r.status = ANY($${params.length})`;
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM campaign_recipients r WHERE r.campaign_id = $1 ${statusCondition}`,
+      params
+    );
+    const result = await pool.query(`
+      SELECT r.*, l.first_name, l.last_name, m.status AS message_status, m.error AS message_error,
+        m.delivered_at, m.read_at,
+        (SELECT MIN(e.occurred_at) FROM lead_message_events e WHERE e.message_id = r.message_id AND e.event = 'clicked') AS clicked_at
+      FROM campaign_recipients r
+      LEFT JOIN leads l ON l.id = r.lead_id
+      LEFT JOIN lead_messages m ON m.id = r.message_id
+      WHERE r.campaign_id = $1 ${statusCondition}
+      ORDER BY r.created_at ASC, r.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      recipients: result.rows.map(row => this.formatRecipient(row)),
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  // Send a draft or scheduled campaign right away; recipients are queued in the background
+  async sendNow(id, user) {
+    const campaign = await this.findForUser(id, user);
+    const started = await this.start(campaign.id, [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED]);
+    if (!started) {
+      throw new CampaignError(`A ${campaign.status} campaign cannot be sent`, 409);
+    }
+
+    this.deliverInBackground(started);
+    return this.format(started);
+  }
+
+  // Move a campaign to sending; null when it is not in one of the given statuses (already started)
+  async start(id, fromStatuses) {
+    const result = await pool.query(`
+      UPDATE campaigns SET status = $2, started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = ANY($3)
+      RETURNING *
+    `, [id, CAMPAIGN_STATUS.SENDING, fromStatuses]);
+    return result.rows[0] || null;
+  }
+
+  // Stop a campaign: not sent yet, or messages still waiting in the queue are withdrawn
+  async cancel(id, user) {
+    const campaign = await this.findForUser(id, user);
+    if (![CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.SENT].includes(campaign.status)) {
+      throw new CampaignError(`A ${campaign.status} campaign cannot be cancelled`, 409);
+    }
+
+    const result = await pool.query(`
+      UPDATE campaigns SET status = $2, completed_at = COALESCE(completed_at, NOW()), updated_at = NOW()
+      WHERE id = $1 AND status = $3
+      RETURNING *
+    `, [campaign.id, CAMPAIGN_STATUS.CANCELLED, campaign.status]);
+    if (result.rows.length === 0) {
+      throw new CampaignError('The campaign changed in the meantime, try again', 409);
+    }
+
+    const jobs = await pool.query(
+      'SELECT queue_id FROM campaign_recipients WHERE campaign_id = $1 AND queue_id IS NOT NULL',
+      [campaign.id]
+    );
+    const withdrawn = await messageQueueService.cancel(jobs.rows.map(row => row.queue_id), 'Campaign cancelled');
+
+    console.log(`🛑 Campaign ${campaign.id} cancelled (${withdrawn} queued messages withdrawn)`);
+    return { ...this.format(result.rows[0]), withdrawn };
+  }
+
+  deliverInBackground(campaign) {
+    this.deliver(campaign).catch(error => {
+      console.error(`❌ Campaign ${campaign.id} delivery failed:`, error);
+    });
+  }
+
+  /**
+   * Queue the campaign message for every lead of the segment, spread at the campaign's
+   * rate. Leads that opted out of the channel or have no address are recorded as skipped.
+   * Safe to run again on a campaign left sending (restart): queued leads are not resent.
+   */
+  async deliver(campaign) {
+    if (this.delivering.has(campaign.id)) {
+      return;
+    }
+    this.delivering.add(campaign.id);
+
+    try {
+      const params = [];
+      const leads = await pool.query(`
+        SELECT * FROM leads
+        WHERE ${this.buildSegmentCondition(campaign.agency_id, campaign.segment || {}, params)}
+        ORDER BY created_at ASC, id ASC
+      `, params);
+
+      const startedAt = new Date(campaign.started_at || Date.now());
+      const agents = new Map();
+      let queued = 0;
+      let skipped = 0;
+
+      for (let index = 0; index < leads.rows.length; index++) {
+        if (index > 0 && index % DELIVERY_CHUNK_SIZE === 0 && !(await this.isSending(campaign.id))) {
+          console.log(`🛑 Campaign ${campaign.id} stopped after ${index} leads`);
+          return;
+        }
+
+        const lead = leads.rows[index];
+        const recipient = await this.addRecipient(campaign, lead);
+        if (recipient.status !== RECIPIENT_STATUS.PENDING) {
+          if (recipient.status === RECIPIENT_STATUS.QUEUED) queued++;
+          continue;
+        }
+
+        const skipReason = this.getSkipReason(lead, campaign.channel);
+        if (skipReason) {
+          await pool.query(
+            'UPDATE campaign_recipients SET status = $2, skip_reason = $3 WHERE id = $1',
+            [recipient.id, RECIPIENT_STATUS.SKIPPED, skipReason]
+          );
+          skipped++;
+          continue;
+        }
+
+        if (!agents.has(lead.assigned_to)) {
+          agents.set(lead.assigned_to, await workflowService.findAgent(lead.assigned_to, lead.agency_id));
+        }
+        const unsubscribeUrl = consentService.getUnsubscribeUrl(lead.id, campaign.channel, { campaignRecipientId: recipient.id });
+        const message = await this.render(campaign, lead, agents.get(lead.assigned_to), unsubscribeUrl);
+
+        // The nth message waits n / rate minutes after the start of the campaign
+        const sendAt = new Date(startedAt.getTime() + Math.floor((queued * 60 * 1000) / campaign.rate_per_minute));
+        const job = await messageQueueService.enqueue({
+          channel: campaign.channel,
+          to: recipient.recipient,
+          subject: message.subject,
+          body: message.body,
+          agencyId: campaign.agency_id,
+          leadId: lead.id,
+          idempotencyKey: `campaign:${campaign.id}:${lead.id}`,
+          tags: ['campaign'],
+          sentBy: campaign.created_by || `Campaign: ${campaign.name}`,
+          sendAt: sendAt > new Date() ? sendAt : null,
+          headers: campaign.channel === 'email' ? consentService.getUnsubscribeHeaders(unsubscribeUrl) : undefined
+        });
+
+        // Opted out since the segment was read
+        if (job.skipped) {
+          await pool.query(
+            'UPDATE campaign_recipients SET status = $2, skip_reason = $3 WHERE id = $1',
+            [recipient.id, RECIPIENT_STATUS.SKIPPED, job.reason]
+          );
+          skipped++;
+          continue;
+        }
+
+        await pool.query(`
+          UPDATE campaign_recipients SET status = $2, queue_id = $3, message_id = $4, queued_at = NOW()
+          WHERE id = $1
+        `, [recipient.id, RECIPIENT_STATUS.QUEUED, job.id, job.messageId]);
+        queued++;
+      }
+
+      await pool.query(`
+        UPDATE campaigns SET status = $2, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = $3
+      `, [campaign.id, CAMPAIGN_STATUS.SENT, CAMPAIGN_STATUS.SENDING]);
+
+      console.log(`📣 Campaign ${campaign.id} queued: ${queued} messages, ${skipped} leads skipped`);
+    } finally {
+      this.delivering.delete(campaign.id);
+    }
+  }
+
+  async isSending(campaignId) {
+    const result = await pool.query('SELECT status FROM campaigns WHERE id = $1', [campaignId]);
+    return Boolean(result.rows[0]) && result.rows[0].status === CAMPAIGN_STATUS.SENDING;
+  }
+
+  // Recipient row of a lead, created pending on the first run
+  async addRecipient(campaign, lead) {
+    const address = campaign.channel === 'email'
+      ? lead.email
+      : (lead.whatsapp || lead.phone ? twilioService.formatPhoneNumber(lead.whatsapp || lead.phone) : null);
+
+    await pool.query(`
+      INSERT INTO campaign_recipients (id, campaign_id, agency_id, lead_id, channel, recipient, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (campaign_id, lead_id) DO NOTHING
+    `, [crypto.randomUUID(), campaign.id, campaign.agency_id, lead.id, campaign.channel, address || null, RECIPIENT_STATUS.PENDING]);
+
+    const result = await pool.query(
+      'SELECT * FROM campaign_recipients WHERE campaign_id = $1 AND lead_id = $2',
+      [campaign.id, lead.id]
+    );
+    return result.rows[0];
+  }
+
+  // Campaign message of a lead: its own placeholders are filled first, then the template wraps it
+  async render(campaign, lead, agent, unsubscribeUrl) {
+    const values = {
+      agencyName: process.env.AGENCY_NAME || 'LeadEstate',
+      ...templateService.leadVariables(lead),
+      ...templateService.agentVariables(agent || { name: lead.assigned_to })
+    };
+    // Plain text here: the template escapes customMessage and campaignSubject in emails
+    const fill = (text) => templateService.renderText(text, values, 'text', {}).trim();
+
+    return templateService.render(campaign.channel, campaign.template_key, {
+      agencyId: campaign.agency_id,
+      language: templateService.leadLanguage(lead),
+      variables: {
+        ...values,
+        customMessage: fill(campaign.message),
+        campaignSubject: campaign.subject ? fill(campaign.subject) : '',
+        unsubscribeUrl
+      }
+    });
+  }
+
+  /**
+   * Preview the message of a campaign for one lead of its segment (or sample data)
+   * @returns {Promise<Object>} { subject, body, leadId }
+   */
+  async previewMessage(id, user, leadId = null) {
+    const campaign = await this.findForUser(id, user);
+
+    let lead = null;
+    if (leadId) {
+      const result = await pool.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, campaign.agency_id]);
+      lead = result.rows[0] || null;
+      if (!lead) {
+        throw new CampaignError('Lead not found', 404);
+      }
+    } else {
+      const params = [];
+      const result = await pool.query(`
+        SELECT * FROM leads WHERE ${this.buildSegmentCondition(campaign.agency_id, campaign.segment || {}, params)}
+        ORDER BY created_at ASC LIMIT 1
+      `, params);
+      lead = result.rows[0] || { first_name: 'Marie', last_name: 'Dupont', email: 'marie.dupont@example.com' };
+    }
+
+    const agent = await workflowService.findAgent(lead.assigned_to, campaign.agency_id);
+    const unsubscribeUrl = consentService.getUnsubscribeUrl(lead.id || 'preview', campaign.channel);
+    const message = await this.render(campaign, lead, agent, unsubscribeUrl);
+    return { leadId: lead.id || null, language: message.language, subject: message.subject, body: message.body };
+  }
+
+  // Start scheduled campaigns that are due and resume the ones a restart interrupted
+  async processDue() {
+    try {
+      const due = await pool.query(`
+        UPDATE campaigns SET status = $1, started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+        WHERE status = $2 AND scheduled_at <= NOW()
+        RETURNING *
+      `, [CAMPAIGN_STATUS.SENDING, CAMPAIGN_STATUS.SCHEDULED]);
+
+      const interrupted = await pool.query('SELECT * FROM campaigns WHERE status = $1', [CAMPAIGN_STATUS.SENDING]);
+
+      const campaigns = new Map([...due.rows, ...interrupted.rows].map(row => [row.id, row]));
+      for (const campaign of campaigns.values()) {
+        if (!this.delivering.has(campaign.id)) {
+          console.log(`📣 Sending campaign "${campaign.name}" (${campaign.id})`);
+          await this.deliver(campaign);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error processing scheduled campaigns:', error);
+    }
+  }
+
+  startScheduler() {
+    setInterval(() => this.processDue(), this.schedulerInterval);
+
+    // First pass once the database is initialized
+    setTimeout(() => this.processDue(), 30000);
+
+    console.log('✅ Campaign scheduler started (due campaigns checked every minute)');
+  }
+
+  // Unsubscribe link of a campaign message used: counted in the campaign's stats
+  async markUnsubscribed(recipientId) {
+    await pool.query(
+      'UPDATE campaign_recipients SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()) WHERE id = $1',
+      [recipientId]
+    );
+  }
+
+  /**
+   * Inbound WhatsApp message of a lead: counts as a reply to the last campaign it got,
+   * or as an unsubscribe when it was a STOP keyword (consent is handled by consentService)
+   * @param {Object} lead - Lead that wrote
+   * @param {Object} options - { optedOut }
+   */
+  async recordReply(lead, { optedOut = false } = {}) {
+    const recent = await pool.query(`
+      SELECT id FROM campaign_recipients
+      WHERE lead_id = $1 AND channel = 'whatsapp' AND status = $2
+        AND queued_at > NOW() - make_interval(days => $3)
+      ORDER BY queued_at DESC
+      LIMIT 1
+    `, [lead.id, RECIPIENT_STATUS.QUEUED, REPLY_WINDOW_DAYS]);
+    const recipient = recent.rows[0];
+    if (!recipient) {
+      return;
+    }
+
+    if (optedOut) {
+      await this.markUnsubscribed(recipient.id);
+    } else {
+      await pool.query(
+        'UPDATE campaign_recipients SET replied_at = COALESCE(replied_at, NOW()) WHERE id = $1',
+        [recipient.id]
+      );
+    }
+  }
+
+  format(row) {
+    const { assignees, ...segment } = row.segment || {};
+    return {
+      id: row.id,
+      name: row.name,
+      channel: row.channel,
+      templateKey: row.template_key,
+      subject: row.subject,
+      message: row.message,
+      segment,
+      ownLeadsOnly: Boolean(assignees),
+      status: row.status,
+      scheduledAt: row.scheduled_at,
+      ratePerMinute: row.rate_per_minute,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatRecipient(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      leadName: `${row.first_name || ''} ${row.last_name || ''}`.trim() || null,
+      channel: row.channel,
+      recipient: row.recipient,
+      status: row.status,
+      skipReason: row.skip_reason,
+      queueId: row.queue_id,
+      messageId: row.message_id,
+      messageStatus: row.message_status || null,
+      error: row.message_error || null,
+      queuedAt: row.queued_at,
+      deliveredAt: row.delivered_at || null,
+      readAt: row.read_at || null,
+      clickedAt: row.clicked_at || null,
+      repliedAt: row.replied_at,
+      unsubscribedAt: row.unsubscribed_at
+    };
+  }
+}
+
+const campaignService = new CampaignService();
+campaignService.CampaignError = CampaignError;
+
+module.exports = campaignService;
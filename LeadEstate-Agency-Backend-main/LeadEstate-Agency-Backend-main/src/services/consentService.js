@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const {
+  ACTIVITY_TYPES,
+  CONSENT_CHANNELS,
+  CONSENT_STATUS,
+  CONSENT_SOURCES
+} = require('../utils/constants');
+
+// Inbound WhatsApp messages withdrawing or giving back WhatsApp consent
+const STOP_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'arret', 'arrêt', 'desabonner', 'désabonner'];
+const START_KEYWORDS = ['start', 'unstop', 'subscribe'];
+
+const MAX_PROOF_LENGTH = 5000;
+
+/**
+ * Error raised for invalid consent operations
+ */
+class ConsentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConsentError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Unsubscribe links are signed, not stored: any email to a lead can carry one
+const getTokenSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || 'leadestate-unsubscribe';
+
+const sign = (payload) => crypto.createHmac('sha256', getTokenSecret()).update(payload).digest('base64url');
+
+const getPublicApiUrl = () =>
+  (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const channelLabel = (channel) => ({
+  email: 'emails',
+  whatsapp: 'WhatsApp messages',
+  sms: 'SMS',
+  phone: 'phone calls'
+}[channel] || channel);
+
+class ConsentService {
+  assertChannel(channel) {
+    if (!CONSENT_CHANNELS.includes(channel)) {
+      throw new ConsentError(`channel must be one of: ${CONSENT_CHANNELS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate a consent change from a request body
+   * @param {Object} data - { channel, status, source, proof }
+   * @returns {Object} Normalized change
+   */
+  normalize({ channel, status, source, proof } = {}) {
+    this.assertChannel(channel);
+    if (!Object.values(CONSENT_STATUS).includes(status)) {
+      throw new ConsentError(`status must be one of: ${Object.values(CONSENT_STATUS).join(', ')}`);
+    }
+    if (!Object.values(CONSENT_SOURCES).includes(source)) {
+      throw new ConsentError(`source must be one of: ${Object.values(CONSENT_SOURCES).join(', ')}`);
+    }
+    // Proof: what the lead agreed to and how (form text, call notes, document link...)
+    const normalizedProof = typeof proof === 'string' ? { text: proof } : (proof || {});
+    if (typeof normalizedProof !== 'object' || Array.isArray(normalizedProof)) {
+      throw new ConsentError('proof must be a text or an object');
+    }
+    if (JSON.stringify(normalizedProof).length > MAX_PROOF_LENGTH) {
+      throw new ConsentError(`proof must be at most ${MAX_PROOF_LENGTH} characters`);
+    }
+    return { channel, status, source, proof: normalizedProof };
+  }
+
+  /**
+   * Validate the consent captured with a new lead
+   * @param {Object} data - { channels: { email: true, whatsapp: false }, source, proof }
+   * @returns {Object[]} One normalized change per channel
+   */
+  normalizeCapture(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !data.channels || typeof data.channels !== 'object') {
+      throw new ConsentError('consent must be { channels: { email: true, ... }, source, proof }');
+    }
+    return Object.entries(data.channels).map(([channel, granted]) => {
+      if (typeof granted !== 'boolean') {
+        throw new ConsentError(`consent.channels.${channel} must be true or false`);
+      }
+      return this.normalize({
+        channel,
+        status: granted ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.WITHDRAWN,
+        source: data.source || CONSENT_SOURCES.WEB_FORM,
+        proof: data.proof
+      });
+    });
+  }
+
+  // Proof enriched with where the request came from
+  withRequestProof(proof, client = {}) {
+    return {
+      ...proof,
+      ipAddress: proof.ipAddress || client.ipAddress || null,
+      userAgent: proof.userAgent || client.userAgent || null
+    };
+  }
+
+  async insertHistory(db, lead, { channel, status, source, proof }, context) {
+    const result = await db.query(`
+      INSERT INTO lead_consents (id, agency_id, lead_id, channel, status, source, proof, recorded_by, recorded_by_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      crypto.randomUUID(), lead.agency_id, lead.id, channel, status, source,
+      JSON.stringify(proof || {}), context.userName || null, context.userId || null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Record a consent change: the lead's communication_preferences follow it and the
+   * change is kept in the history with its proof
+   * @param {Object} lead - Lead row (id, agency_id)
+   * @param {Object} change - Normalized change { channel, status, source, proof }
+   * @param {Object} context - { agencyId, userId, userName }
+   * @returns {Promise<Object>} { consent, changed } - changed is false when the channel already had this state
+   */
+  async record(lead, change, context) {
+    const client = await pool.connect();
+    let consent;
+    let changed;
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        'SELECT communication_preferences FROM leads WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [lead.id, lead.agency_id]
+      );
+      if (current.rows.length === 0) {
+        throw new ConsentError('Lead not found', 404);
+      }
+
+      const granted = change.status === CONSENT_STATUS.GRANTED;
+      changed = this.isAllowed(current.rows[0].communication_preferences, change.channel) !== granted;
+      await client.query(`
+        UPDATE leads SET
+          communication_preferences = COALESCE(communication_preferences, '{}'::jsonb) || jsonb_build_object($2::text, $3::boolean),
+          updated_at = NOW()
+        WHERE id = $1
+      `, [lead.id, change.channel, granted]);
+
+      consent = await this.insertHistory(client, lead, change, context);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (changed) {
+      const granted = change.status === CONSENT_STATUS.GRANTED;
+      await activityService.log({
+        leadId: lead.id,
+        type: granted ? ACTIVITY_TYPES.CONSENT_UPDATED : ACTIVITY_TYPES.LEAD_UNSUBSCRIBED,
+        description: granted
+          ? `Agreed to receive ${channelLabel(change.channel)} (${change.source})`
+          : `Unsubscribed from ${channelLabel(change.channel)} (${change.source})`,
+        metadata: { consentId: consent.id, channel: change.channel, status: change.status, source: change.source }
+      }, context);
+      console.log(`${granted ? '✅' : '🔕'} Lead ${lead.id} ${change.status} ${change.channel} consent (${change.source})`);
+    }
+
+    return { consent: this.format(consent), changed };
+  }
+
+  /**
+   * Record the history of preferences changed through a lead update
+   * (communicationPreferences); the lead row is already updated
+   */
+  async recordPreferenceChanges(before, after, context) {
+    for (const channel of CONSENT_CHANNELS) {
+      const was = this.isAllowed(before.communication_preferences, channel);
+      const is = this.isAllowed(after.communication_preferences, channel);
+      if (was === is) continue;
+
+      const change = {
+        channel,
+        status: is ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.WITHDRAWN,
+        source: CONSENT_SOURCES.MANUAL,
+        proof: { text: 'Communication preferences updated' }
+      };
+      const consent = await this.insertHistory(pool, after, change, context);
+      await activityService.log({
+        leadId: after.id,
+        type: is ? ACTIVITY_TYPES.CONSENT_UPDATED : ACTIVITY_TYPES.LEAD_UNSUBSCRIBED,
+        description: is ? `Agreed to receive ${channelLabel(channel)} (manual)` : `Unsubscribed from ${channelLabel(channel)} (manual)`,
+        metadata: { consentId: consent.id, channel, status: change.status, source: change.source }
+      }, context);
+    }
+  }
+
+  // A channel is allowed unless turned off (leads created before consent tracking have no record)
+  isAllowed(preferences, channel) {
+    return !preferences || preferences[channel] !== false;
+  }
+
+  /**
+   * Whether a message may be sent to a lead on a channel. Every queued message to a
+   * lead is checked here; erased and deleted leads are never contacted.
+   * @param {string} leadId - Lead
+   * @param {string} channel - email, whatsapp, sms or phone
+   */
+  async canContact(leadId, channel) {
+    const result = await pool.query(
+      'SELECT communication_preferences, anonymized_at FROM leads WHERE id = $1',
+      [leadId]
+    );
+    const lead = result.rows[0];
+    return Boolean(lead) && !lead.anonymized_at && this.isAllowed(lead.communication_preferences, channel);
+  }
+
+  /**
+   * Current consent state per channel with the last recorded change, and the full history
+   * @param {string} leadId - Lead
+   * @param {string} agencyId - Agency
+   */
+  async getConsents(leadId, agencyId) {
+    const leadResult = await pool.query(
+      'SELECT id, communication_preferences FROM leads WHERE id = $1 AND agency_id = $2',
+      [leadId, agencyId]
+    );
+    const lead = leadResult.rows[0];
+    if (!lead) {
+      throw new ConsentError('Lead not found', 404);
+    }
+
+    const history = await pool.query(
+      'SELECT * FROM lead_consents WHERE lead_id = $1 AND agency_id = $2 ORDER BY created_at DESC, id DESC',
+      [leadId, agencyId]
+    );
+
+    const channels = {};
+    CONSENT_CHANNELS.forEach(channel => {
+      const last = history.rows.find(row => row.channel === channel);
+      const allowed = this.isAllowed(lead.communication_preferences, channel);
+      channels[channel] = {
+        allowed,
+        // Allowed without any record: the lead predates consent tracking
+        status: last ? last.status : (allowed ? 'unknown' : CONSENT_STATUS.WITHDRAWN),
+        source: last ? last.source : null,
+        recordedAt: last ? last.created_at : null,
+        recordedBy: last ? last.recorded_by : null,
+        proof: last ? last.proof : null
+      };
+    });
+
+    return { leadId, channels, history: history.rows.map(row => this.format(row)) };
+  }
+
+  /**
+   * Signed unsubscribe link of a lead for a channel
+   * @param {string} leadId - Lead
+   * @param {string} channel - Channel the link turns off
+   * @param {Object} extra - { campaignRecipientId } when sent by a campaign
+   */
+  getUnsubscribeUrl(leadId, channel, { campaignRecipientId } = {}) {
+    const payload = Buffer.from(JSON.stringify({ l: leadId, c: channel, r: campaignRecipientId || undefined })).toString('base64url');
+    return `${getPublicApiUrl()}/api/unsubscribe/${payload}.${sign(payload)}`;
+  }
+
+  // One-click unsubscribe headers (RFC 8058) shown by mail clients next to the sender
+  getUnsubscribeHeaders(url) {
+    return {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Read an unsubscribe token
+   * @returns {Object|null} { leadId, channel, campaignRecipientId }, null when invalid
+   */
+  verifyUnsubscribeToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      if (!data.l || !CONSENT_CHANNELS.includes(data.c)) {
+        return null;
+      }
+      return { leadId: data.l, channel: data.c, campaignRecipientId: data.r || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Unsubscribe link opened and confirmed by the lead
+   * @param {string} token - Token of the link
+   * @param {Object} client - { ipAddress, userAgent } kept as proof
+   * @returns {Promise<Object>} { leadId, channel, campaignRecipientId, alreadyUnsubscribed }
+   */
+  async unsubscribe(token, client = {}) {
+    const data = this.verifyUnsubscribeToken(token);
+    const lead = data && (await pool.query('SELECT id, agency_id FROM leads WHERE id = $1', [data.leadId])).rows[0];
+    if (!lead) {
+      throw new ConsentError('Invalid unsubscribe link', 404);
+    }
+
+    const { changed } = await this.record(lead, {
+      channel: data.channel,
+      status: CONSENT_STATUS.WITHDRAWN,
+      source: CONSENT_SOURCES.UNSUBSCRIBE_LINK,
+      proof: this.withRequestProof({ campaignRecipientId: data.campaignRecipientId || undefined }, client)
+    }, { agencyId: lead.agency_id, userId: null, userName: 'Unsubscribe link' });
+
+    return { ...data, alreadyUnsubscribed: !changed };
+  }
+
+  /**
+   * STOP / START keywords in an inbound WhatsApp message of a lead
+   * @param {Object} lead - Lead that wrote
+   * @param {Object} message - Stored inbound message
+   * @returns {Promise<string|null>} New WhatsApp consent status, null when the message is no keyword
+   */
+  async handleInboundWhatsApp(lead, message) {
+    const keyword = String(message.body || '').trim().toLowerCase().replace(/[.!]+$/, '');
+    const status = STOP_KEYWORDS.includes(keyword)
+      ? CONSENT_STATUS.WITHDRAWN
+      : (START_KEYWORDS.includes(keyword) ? CONSENT_STATUS.GRANTED : null);
+    if (!status) {
+      return null;
+    }
+
+    await this.record(lead, {
+      channel: 'whatsapp',
+      status,
+      source: CONSENT_SOURCES.WHATSAPP_KEYWORD,
+      proof: { messageId: message.id, text: String(message.body).trim(), from: message.from_address || null }
+    }, { agencyId: lead.agency_id, userId: null, userName: 'WhatsApp' });
+    return status;
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      channel: row.channel,
+      status: row.status,
+      source: row.source,
+      proof: row.proof || {},
+      recordedBy: row.recorded_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+const consentService = new ConsentService();
+consentService.ConsentError = ConsentError;
+
+module.exports = consentService;
@@ -0,0 +1,450 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const twilioService = require('./twilioService');
+const activityService = require('./activityService');
+const auditService = require('./auditService');
+const { ACTIVITY_TYPES } = require('../utils/constants');
+
+// Minimum similarity (0-1) for two full names to be considered the same person
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Fields copied from merged leads when the surviving lead has no value
+const FILLABLE_FIELDS = ['email', 'phone', 'whatsapp', 'source', 'budget', 'language', 'assigned_to'];
+
+/**
+ * Error raised for invalid duplicate/merge requests
+ */
+class DuplicateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DuplicateError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Normalize a phone number to E.164 (+33612345678) for comparisons
+ * @param {string} phone - Raw phone number
+ * @returns {string|null} Normalized phone or null when too short to compare
+ */
+const normalizePhone = (phone) => {
+  const formatted = twilioService.formatPhoneNumber(phone || '');
+  return formatted.replace(/\D/g, '').length >= 8 ? formatted : null;
+};
+
+/**
+ * Normalize an email for case-insensitive comparisons
+ * @param {string} email - Raw email
+ * @returns {string|null} Lowercased email or null
+ */
+const normalizeEmail = (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  return normalized || null;
+};
+
+/**
+ * Normalize a name: lowercase, no accents or punctuation, tokens sorted so
+ * "Dupont Jean" and "jean DUPONT" compare equal
+ * @param {string} firstName - First name
+ * @param {string} lastName - Last name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (firstName, lastName) => {
+  return `${firstName || ''} ${lastName || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+};
+
+/**
+ * Similarity of two strings from their Levenshtein distance (1 = identical)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+// Fuzzy name matching only applies to full names (first and last name)
+const isComparableName = (name) => name.split(' ').length >= 2 && name.length >= 5;
+
+class DuplicateService {
+  constructor() {
+    this.normalizePhone = normalizePhone;
+    this.normalizeEmail = normalizeEmail;
+    this.normalizeName = normalizeName;
+  }
+
+  // Compare two leads (rows with first_name, last_name, email, phone)
+  compare(a, b) {
+    const reasons = [];
+
+    const emailA = normalizeEmail(a.email);
+    if (emailA && emailA === normalizeEmail(b.email)) {
+      reasons.push('email');
+    }
+
+    const phoneA = a.phone_normalized || normalizePhone(a.phone);
+    if (phoneA && phoneA === (b.phone_normalized || normalizePhone(b.phone))) {
+      reasons.push('phone');
+    }
+
+    const nameA = normalizeName(a.first_name, a.last_name);
+    const nameB = normalizeName(b.first_name, b.last_name);
+    const nameSimilarity = isComparableName(nameA) && isComparableName(nameB) ? similarity(nameA, nameB) : 0;
+    if (nameSimilarity >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push('name');
+    }
+
+    return {
+      reasons,
+      nameSimilarity: Math.round(nameSimilarity * 100) / 100,
+      // Same email or phone is the same person; a similar name alone only might be
+      confidence: reasons.includes('email') || reasons.includes('phone') ? 'high' : (reasons.length ? 'medium' : null)
+    };
+  }
+
+  // Find existing leads of the agency matching a candidate lead
+  async findMatches(candidate, agencyId, { excludeIds = [], db = pool } = {}) {
+    const email = normalizeEmail(candidate.email);
+    const phone = normalizePhone(candidate.phone);
+    const name = normalizeName(candidate.first_name, candidate.last_name);
+    const initials = [...new Set(name.split(' ').filter(Boolean).map(token => token[0]))];
+
+    if (!email && !phone && !isComparableName(name)) {
+      return [];
+    }
+
+    // Narrow name candidates to leads sharing an initial, then compare in JS
+    const result = await db.query(`
+      SELECT * FROM leads
+      WHERE agency_id = $1
+      AND NOT (id = ANY($2))
+      AND (
+        ($3::text IS NOT NULL AND LOWER(TRIM(email)) = $3)
+        OR ($4::text IS NOT NULL AND phone_normalized = $4)
+        OR (
+          $5 AND (
+            LOWER(LEFT(first_name, 1)) = ANY($6) OR LOWER(LEFT(last_name, 1)) = ANY($6)
+          )
+        )
+      )
+      ORDER BY created_at ASC
+      LIMIT 1000
+    `, [agencyId, excludeIds, email, phone, isComparableName(name), initials]);
+
+    return result.rows
+      .map(lead => ({ lead, ...this.compare({ ...candidate, phone_normalized: phone }, lead) }))
+      .filter(match => match.confidence);
+  }
+
+  // Group the agency's duplicate leads. Leads are linked when they share an
+  // email or phone, or have similar names; linked leads form one group.
+  async findDuplicateGroups(agencyId, { confidence } = {}) {
+    const result = await pool.query(
+      'SELECT * FROM leads WHERE agency_id = $1 ORDER BY created_at ASC',
+      [agencyId]
+    );
+    const leads = result.rows;
+
+    const parent = leads.map((lead, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = new Map();
+    const link = (i, j, comparison) => {
+      parent[find(i)] = find(j);
+      links.set(`${i}:${j}`, comparison);
+    };
+
+    // Block leads by email, phone and name initials so only plausible pairs are compared
+    const blocks = new Map();
+    const addToBlock = (key, index) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    };
+    leads.forEach((lead, index) => {
+      const email = normalizeEmail(lead.email);
+      const phone = lead.phone_normalized || normalizePhone(lead.phone);
+      const name = normalizeName(lead.first_name, lead.last_name);
+      if (email) addToBlock(`e:${email}`, index);
+      if (phone) addToBlock(`p:${phone}`, index);
+      if (isComparableName(name)) {
+        name.split(' ').forEach(token => addToBlock(`n:${token.substring(0, 2)}`, index));
+      }
+    });
+
+    const compared = new Set();
+    blocks.forEach((members) => {
+      for (let a = 0; a < members.length; a++) {
+        for (let b = a + 1; b < members.length; b++) {
+          const key = `${members[a]}:${members[b]}`;
+          if (compared.has(key)) continue;
+          compared.add(key);
+
+          const comparison = this.compare(leads[members[a]], leads[members[b]]);
+          if (comparison.confidence) {
+            link(members[a], members[b], comparison);
+          }
+        }
+      }
+    });
+
+    const groups = new Map();
+    leads.forEach((lead, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const report = [];
+    groups.forEach((members) => {
+      if (members.length < 2) return;
+
+      const comparisons = [...links.entries()]
+        .filter(([key]) => members.includes(Number(key.split(':')[0])))
+        .map(([, comparison]) => comparison);
+      const reasons = [...new Set(comparisons.flatMap(comparison => comparison.reasons))];
+      const groupConfidence = comparisons.some(comparison => comparison.confidence === 'high') ? 'high' : 'medium';
+
+      if (confidence && confidence !== groupConfidence) return;
+
+      report.push({
+        confidence: groupConfidence,
+        reasons,
+        // The oldest lead keeps its id and history by default
+        suggestedSurvivorId: leads[members[0]].id,
+        leads: members.map(index => this.summarize(leads[index]))
+      });
+    });
+
+    // Strong matches first
+    return report.sort((a, b) => (a.confidence === b.confidence ? 0 : a.confidence === 'high' ? -1 : 1));
+  }
+
+  // Merge duplicates into the surviving lead: fill missing fields, combine notes,
+  // linked properties and tags, move activities/follow-ups and delete the duplicates.
+  // The full rows of every merged lead are kept in lead_merges as the audit trail.
+  async merge(survivorId, duplicateIds, context) {
+    const ids = [...new Set([].concat(duplicateIds || []).filter(Boolean))].filter(id => id !== survivorId);
+    if (ids.length === 0) {
+      throw new DuplicateError('duplicateIds must list at least one other lead');
+    }
+
+    const client = await pool.connect();
+    let merged;
+    let mergeId;
+    let filledFields;
+    let duplicates;
+
+    try {
+      await client.query('BEGIN');
+
+      const survivorResult = await client.query(
+        'SELECT * FROM leads WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [survivorId, context.agencyId]
+      );
+      const survivor = survivorResult.rows[0];
+      if (!survivor) {
+        throw new DuplicateError('Lead not found', 404);
+      }
+
+      const duplicatesResult = await client.query(
+        'SELECT * FROM leads WHERE id = ANY($1) AND agency_id = $2 ORDER BY created_at ASC FOR UPDATE',
+        [ids, context.agencyId]
+      );
+      duplicates = duplicatesResult.rows;
+      if (duplicates.length !== ids.length) {
+        const found = duplicates.map(lead => lead.id);
+        throw new DuplicateError(`Lead not found: ${ids.filter(id => !found.includes(id)).join(', ')}`, 404);
+      }
+
+      const changes = {};
+      filledFields = [];
+      FILLABLE_FIELDS.forEach((field) => {
+        if (survivor[field] !== null && survivor[field] !== undefined && survivor[field] !== '') return;
+        const donor = duplicates.find(lead => lead[field] !== null && lead[field] !== undefined && lead[field] !== '');
+        if (donor) {
+          changes[field] = donor[field];
+          filledFields.push(field);
+        }
+      });
+
+      const notes = [survivor, ...duplicates]
+        .map(lead => String(lead.notes || '').trim())
+        .filter(Boolean);
+      changes.notes = [...new Set(notes)].join('\n\n');
+
+      const parseList = (value) => {
+        if (Array.isArray(value)) return value;
+        try {
+          return JSON.parse(value || '[]');
+        } catch (error) {
+          return [];
+        }
+      };
+      const properties = [survivor, ...duplicates].flatMap(lead => parseList(lead.interested_properties));
+      changes.interested_properties = JSON.stringify([...new Set(properties)]);
+      const tags = [survivor, ...duplicates].flatMap(lead => parseList(lead.tags));
+      changes.tags = JSON.stringify([...new Set(tags)]);
+
+      const lastContacts = [survivor, ...duplicates].map(lead => lead.last_contact).filter(Boolean);
+      if (lastContacts.length) {
+        changes.last_contact = new Date(Math.max(...lastContacts.map(date => new Date(date).getTime()))).toISOString();
+      }
+
+      if (changes.phone) {
+        changes.phone_normalized = normalizePhone(changes.phone);
+      }
+
+      const columns = Object.keys(changes);
+      const updateResult = await client.query(`
+        UPDATE leads SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND agency_id = $2
+        RETURNING *
+      `, [survivorId, context.agencyId, ...columns.map(column => changes[column])]);
+      merged = updateResult.rows[0];
+
+      // History of the duplicates now belongs to the surviving lead
+      await client.query('UPDATE lead_activities SET lead_id = $1 WHERE lead_id = ANY($2) AND agency_id = $3', [survivorId, ids, context.agencyId]);
+      await client.query('UPDATE follow_ups SET lead_id = $1 WHERE lead_id = ANY($2) AND agency_id = $3', [survivorId, ids, context.agencyId]);
+      await client.query('UPDATE workflow_runs SET lead_id = $1 WHERE lead_id = ANY($2) AND agency_id = $3', [survivorId, ids, context.agencyId]);
+
+      await client.query(`
+        UPDATE leads SET next_follow_up = (
+          SELECT MIN(due_date) FROM follow_ups WHERE lead_id = $1 AND agency_id = $2 AND status = 'pending'
+        )
+        WHERE id = $1 AND agency_id = $2
+      `, [survivorId, context.agencyId]);
+
+      mergeId = crypto.randomUUID();
+      await client.query(`
+        INSERT INTO lead_merges (id, agency_id, survivor_id, merged_lead_ids, survivor_before, merged_leads, filled_fields, merged_by, merged_by_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        mergeId, context.agencyId, survivorId, JSON.stringify(ids), JSON.stringify(survivor),
+        JSON.stringify(duplicates), JSON.stringify(filledFields), context.userName || null, context.userId || null
+      ]);
+
+      await client.query('DELETE FROM leads WHERE id = ANY($1) AND agency_id = $2', [ids, context.agencyId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await activityService.log({
+      leadId: survivorId,
+      type: ACTIVITY_TYPES.LEAD_MERGED,
+      description: `Merged ${duplicates.length} duplicate lead${duplicates.length === 1 ? '' : 's'}`,
+      metadata: {
+        mergeId,
+        mergedLeads: duplicates.map(lead => ({
+          id: lead.id,
+          name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+          email: lead.email,
+          phone: lead.phone
+        })),
+        filledFields
+      }
+    }, context);
+
+    await auditService.log({
+      userId: context.userId,
+      action: 'lead_merged',
+      resourceType: 'lead',
+      resourceId: survivorId,
+      details: { mergeId, mergedLeadIds: ids, filledFields }
+    });
+
+    return { lead: merged, mergeId, mergedLeadIds: ids, filledFields };
+  }
+
+  // Update an existing lead with a duplicate submission instead of creating it:
+  // blank fields are filled and new notes appended. Inside a transaction pass
+  // logChanges: false and record the activities once it is committed.
+  async absorb(existing, incoming, context, { db = pool, logChanges = true } = {}) {
+    const result = await db.query(`
+      UPDATE leads SET
+        email = COALESCE(NULLIF(email, ''), NULLIF($3, '')),
+        phone = COALESCE(NULLIF(phone, ''), NULLIF($4, '')),
+        whatsapp = COALESCE(NULLIF(whatsapp, ''), NULLIF($4, '')),
+        phone_normalized = COALESCE(NULLIF(phone_normalized, ''), $5),
+        budget = COALESCE(budget, $6),
+        assigned_to = COALESCE(NULLIF(assigned_to, ''), $7),
+        notes = CASE
+          WHEN COALESCE($8, '') = '' OR STRPOS(COALESCE(notes, ''), $8) > 0 THEN notes
+          WHEN COALESCE(notes, '') = '' THEN $8
+          ELSE notes || E'\\n\\n' || $8
+        END,
+        updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2
+      RETURNING *
+    `, [
+      existing.id, context.agencyId, incoming.email || '', incoming.phone || '',
+      normalizePhone(incoming.phone), incoming.budget, incoming.assigned_to || null, incoming.notes || ''
+    ]);
+
+    if (logChanges) {
+      await activityService.logLeadChanges(existing, result.rows[0], context);
+    }
+    return result.rows[0];
+  }
+
+  // Short lead representation used in duplicate reports
+  summarize(lead) {
+    return {
+      id: lead.id,
+      name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+      email: lead.email,
+      phone: lead.phone,
+      source: lead.source,
+      status: lead.status,
+      assignedTo: lead.assigned_to,
+      createdAt: lead.created_at,
+      updatedAt: lead.updated_at
+    };
+  }
+
+  // Fill phone_normalized for leads created before it existed
+  async backfillNormalizedPhones() {
+    const result = await pool.query(
+      "SELECT id, phone FROM leads WHERE phone_normalized IS NULL AND COALESCE(phone, '') <> ''"
+    );
+
+    for (const lead of result.rows) {
+      // '' marks numbers too short to compare so they are not picked up again
+      await pool.query('UPDATE leads SET phone_normalized = $2 WHERE id = $1', [lead.id, normalizePhone(lead.phone) || '']);
+    }
+
+    return result.rows.length;
+  }
+}
+
+const duplicateService = new DuplicateService();
+duplicateService.DuplicateError = DuplicateError;
+
+module.exports = duplicateService;
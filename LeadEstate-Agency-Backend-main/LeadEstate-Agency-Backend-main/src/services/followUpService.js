@@ -0,0 +1,580 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const permissionService = require('./permissionService');
+const { getPaginationMeta } = require('../utils/helpers');
+const {
+  ACTIVITY_TYPES,
+  FOLLOW_UP_TYPES,
+  FOLLOW_UP_PRIORITIES,
+  FOLLOW_UP_STATUS,
+  RECURRENCE_FREQUENCIES,
+  PAGINATION,
+} = require('../utils/constants');
+
+// Status as seen by clients: pending follow-ups past their due date are overdue
+const STATUS_EXPRESSION = `CASE WHEN f.status = 'pending' AND f.due_date < NOW() THEN 'overdue' ELSE f.status END`;
+
+const SELECT_FOLLOW_UPS = `
+  SELECT f.*, ${STATUS_EXPRESSION} AS current_status,
+    TRIM(COALESCE(l.first_name, '') || ' ' || COALESCE(l.last_name, '')) AS lead_name,
+    l.assigned_to AS lead_assigned_to,
+    p.title AS property_title
+  FROM follow_ups f
+  LEFT JOIN leads l ON l.id = f.lead_id AND l.agency_id = f.agency_id
+  LEFT JOIN properties p ON p.id = f.property_id AND p.agency_id = f.agency_id
+`;
+
+/**
+ * Error raised for invalid follow-up requests
+ */
+class FollowUpError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FollowUpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Add months to a date, clamping to the last day of shorter months (Jan 31 -> Feb 28)
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+/**
+ * Compute the next due date of a recurring follow-up, skipping occurrences
+ * that would already be in the past
+ * @param {Date} dueDate - Due date of the current occurrence
+ * @param {object} recurrence - { frequency, interval }
+ * @param {Date} after - Next occurrence must be after this date
+ * @returns {Date} Next due date
+ */
+const getNextDueDate = (dueDate, { frequency, interval = 1 }, after = new Date()) => {
+  let next = new Date(dueDate);
+  let steps = 0;
+  do {
+    steps++;
+    if (frequency === RECURRENCE_FREQUENCIES.MONTHLY) {
+      next = addMonths(dueDate, interval * steps);
+    } else {
+      const days = frequency === RECURRENCE_FREQUENCIES.WEEKLY ? 7 * interval : interval;
+      next = new Date(new Date(dueDate).getTime() + days * steps * 24 * 60 * 60 * 1000);
+    }
+  } while (next <= after);
+  return next;
+};
+
+class FollowUpService {
+  // Validate and normalize create/update input.
+  // With partial = true only the provided fields are validated and returned.
+  normalize(data = {}, { partial = false } = {}) {
+    const has = (field) => data[field] !== undefined;
+    const fields = {};
+
+    if (has('type') || !partial) {
+      const type = data.type || FOLLOW_UP_TYPES.CALL;
+      if (!Object.values(FOLLOW_UP_TYPES).includes(type)) {
+        throw new FollowUpError(`Invalid type. Allowed types: ${Object.values(FOLLOW_UP_TYPES).join(', ')}`);
+      }
+      fields.type = type;
+    }
+
+    if (has('priority') || !partial) {
+      const priority = data.priority || FOLLOW_UP_PRIORITIES.MEDIUM;
+      if (!Object.values(FOLLOW_UP_PRIORITIES).includes(priority)) {
+        throw new FollowUpError(`Invalid priority. Allowed priorities: ${Object.values(FOLLOW_UP_PRIORITIES).join(', ')}`);
+      }
+      fields.priority = priority;
+    }
+
+    if (has('dueDate') || !partial) {
+      const dueDate = new Date(data.dueDate);
+      if (!data.dueDate || isNaN(dueDate.getTime())) {
+        throw new FollowUpError('dueDate must be a valid date');
+      }
+      fields.due_date = dueDate.toISOString();
+    }
+
+    if (has('description')) {
+      fields.description = String(data.description || '').trim();
+    }
+
+    if (has('assignedTo')) {
+      fields.assigned_to = data.assignedTo ? String(data.assignedTo).trim() : null;
+    }
+
+    if (has('leadId')) {
+      fields.lead_id = data.leadId ? String(data.leadId) : null;
+    }
+
+    if (has('propertyId')) {
+      fields.property_id = data.propertyId ? String(data.propertyId) : null;
+    }
+
+    if (has('reminderMinutes')) {
+      const minutes = parseInt(data.reminderMinutes, 10);
+      if (isNaN(minutes) || minutes < 0) {
+        throw new FollowUpError('reminderMinutes must be a positive number of minutes');
+      }
+      fields.reminder_minutes = minutes;
+    }
+
+    if (has('recurrence')) {
+      Object.assign(fields, this.normalizeRecurrence(data.recurrence));
+    }
+
+    if (has('status')) {
+      // Completion goes through complete() so the lead and recurrence are updated
+      const allowed = [FOLLOW_UP_STATUS.PENDING, FOLLOW_UP_STATUS.CANCELLED];
+      if (!allowed.includes(data.status)) {
+        throw new FollowUpError(`status can only be set to ${allowed.join(' or ')}; use the complete endpoint to complete a follow-up`);
+      }
+      fields.status = data.status;
+    }
+
+    return fields;
+  }
+
+  // Validate a recurrence rule: { frequency: 'daily'|'weekly'|'monthly', interval, until }
+  normalizeRecurrence(recurrence) {
+    if (!recurrence || !recurrence.frequency) {
+      return { recurrence_frequency: null, recurrence_interval: 1, recurrence_until: null };
+    }
+
+    if (!Object.values(RECURRENCE_FREQUENCIES).includes(recurrence.frequency)) {
+      throw new FollowUpError(`Invalid recurrence frequency. Allowed: ${Object.values(RECURRENCE_FREQUENCIES).join(', ')}`);
+    }
+
+    const interval = recurrence.interval === undefined ? 1 : parseInt(recurrence.interval, 10);
+    if (isNaN(interval) || interval < 1 || interval > 365) {
+      throw new FollowUpError('recurrence.interval must be between 1 and 365');
+    }
+
+    let until = null;
+    if (recurrence.until) {
+      until = new Date(recurrence.until);
+      if (isNaN(until.getTime())) {
+        throw new FollowUpError('recurrence.until must be a valid date');
+      }
+    }
+
+    return {
+      recurrence_frequency: recurrence.frequency,
+      recurrence_interval: interval,
+      recurrence_until: until ? until.toISOString() : null
+    };
+  }
+
+  // Check that linked lead and property belong to the agency; returns the lead row
+  async checkLinks(fields, agencyId, db = pool) {
+    let lead = null;
+
+    if (fields.lead_id) {
+      const leadResult = await db.query(
+        'SELECT id, first_name, last_name, assigned_to FROM leads WHERE id = $1 AND agency_id = $2',
+        [fields.lead_id, agencyId]
+      );
+      if (leadResult.rows.length === 0) {
+        throw new FollowUpError('Lead not found', 404);
+      }
+      lead = leadResult.rows[0];
+    }
+
+    if (fields.property_id) {
+      const propertyResult = await db.query(
+        'SELECT id FROM properties WHERE id = $1 AND agency_id = $2',
+        [fields.property_id, agencyId]
+      );
+      if (propertyResult.rows.length === 0) {
+        throw new FollowUpError('Property not found', 404);
+      }
+    }
+
+    return lead;
+  }
+
+  // Keep the lead's next_follow_up in sync with its earliest pending follow-up
+  async syncLeadSchedule(leadId, agencyId, db = pool, { lastContact = null } = {}) {
+    if (!leadId) return;
+
+    await db.query(`
+      UPDATE leads SET
+        next_follow_up = (
+          SELECT MIN(due_date) FROM follow_ups
+          WHERE lead_id = $1 AND agency_id = $2 AND status = 'pending'
+        ),
+        last_contact = COALESCE($3, last_contact)
+      WHERE id = $1 AND agency_id = $2
+    `, [leadId, agencyId, lastContact]);
+  }
+
+  // A user with leads.read.own only works with follow-ups assigned to them or of leads assigned to them
+  isVisible(row, access) {
+    if (!access || access.scope === 'all') {
+      return true;
+    }
+    const keys = permissionService.getAssigneeKeys(access.user);
+    return [row.assigned_to, row.lead_assigned_to]
+      .filter(Boolean)
+      .some(value => keys.includes(String(value).trim().toLowerCase()));
+  }
+
+  // SQL condition for isVisible; the assignee keys are appended to params
+  buildOwnCondition(access, params) {
+    params.push(permissionService.getAssigneeKeys(access.user));
+    const keys = `$${params.length}::text[]`;
+    return `(LOWER(TRIM(f.assigned_to)) = ANY(${keys}) OR f.lead_id IN (SELECT id FROM leads WHERE LOWER(TRIM(assigned_to)) = ANY(${keys})))`;
+  }
+
+  // Leads linked by users with leads.read.own only must be assigned to them
+  checkLeadAccess(lead, access) {
+    if (lead && access && access.scope !== 'all' && !permissionService.isOwnLead(access.user, lead)) {
+      throw new FollowUpError('Lead not found', 404);
+    }
+  }
+
+  // List follow-ups with filters, soonest due first
+  async list(agencyId, query = {}, access = null) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1),
+      PAGINATION.MAX_LIMIT
+    );
+    const page = Math.max(parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [agencyId];
+    const conditions = ['f.agency_id = $1'];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (access && access.scope !== 'all') {
+      conditions.push(this.buildOwnCondition(access, params));
+    }
+
+    if (query.status) {
+      const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.filter(status => !Object.values(FOLLOW_UP_STATUS).includes(status));
+      if (invalid.length > 0) {
+        throw new FollowUpError(`Invalid status: ${invalid.join(', ')}`);
+      }
+      conditions.push(`${STATUS_EXPRESSION} = ANY(${addParam(statuses)})`);
+    }
+
+    if (query.priority) {
+      conditions.push(`f.priority = ANY(${addParam(String(query.priority).split(','))})`);
+    }
+
+    if (query.type) {
+      conditions.push(`f.type = ANY(${addParam(String(query.type).split(','))})`);
+    }
+
+    if (query.assignedTo) {
+      conditions.push(`f.assigned_to = ${addParam(query.assignedTo)}`);
+    }
+
+    if (query.leadId) {
+      conditions.push(`f.lead_id = ${addParam(query.leadId)}`);
+    }
+
+    if (query.propertyId) {
+      conditions.push(`f.property_id = ${addParam(query.propertyId)}`);
+    }
+
+    ['dueFrom', 'dueTo'].forEach((name) => {
+      if (!query[name]) return;
+      const date = new Date(query[name]);
+      if (isNaN(date.getTime())) {
+        throw new FollowUpError(`${name} must be a valid date`);
+      }
+      conditions.push(`f.due_date ${name === 'dueFrom' ? '>=' : '<='} ${addParam(date.toISOString())}`);
+    });
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM follow_ups f ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await pool.query(`
+      ${SELECT_FOLLOW_UPS}
+      ${whereClause}
+      ORDER BY f.due_date ASC, f.id ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      followUps: result.rows.map(row => this.format(row)),
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  // Count follow-ups per status (optionally for a single agent)
+  async summary(agencyId, { assignedTo } = {}, access = null) {
+    const params = [agencyId];
+    let agentCondition = '';
+    if (assignedTo) {
+      params.push(assignedTo);
+      agentCondition = `AND f.assigned_to = $${params.length}`;
+    }
+    if (access && access.scope !== 'all') {
+      agentCondition += ` AND ${this.buildOwnCondition(access, params)}`;
+    }
+
+    const result = await pool.query(`
+      SELECT ${STATUS_EXPRESSION} AS current_status, COUNT(*) AS count
+      FROM follow_ups f
+      WHERE f.agency_id = $1 ${agentCondition}
+      GROUP BY ${STATUS_EXPRESSION}
+    `, params);
+
+    const summary = Object.values(FOLLOW_UP_STATUS).reduce((counts, status) => ({ ...counts, [status]: 0 }), {});
+    result.rows.forEach((row) => {
+      summary[row.current_status] = parseInt(row.count, 10);
+    });
+
+    const dueTodayResult = await pool.query(`
+      SELECT COUNT(*) AS count FROM follow_ups f
+      WHERE f.agency_id = $1 ${agentCondition}
+      AND f.status = 'pending' AND f.due_date >= NOW() AND f.due_date < DATE_TRUNC('day', NOW()) + INTERVAL '1 day'
+    `, params);
+    summary.dueToday = parseInt(dueTodayResult.rows[0].count, 10);
+
+    return summary;
+  }
+
+  async findById(id, agencyId, access = null) {
+    const result = await pool.query(`${SELECT_FOLLOW_UPS} WHERE f.id = $1 AND f.agency_id = $2`, [id, agencyId]);
+    const row = result.rows[0];
+    return row && this.isVisible(row, access) ? this.format(row) : null;
+  }
+
+  async create(data, context, access = null) {
+    const fields = this.normalize(data);
+    if (!fields.lead_id && !fields.property_id) {
+      throw new FollowUpError('A follow-up must be linked to a lead or a property');
+    }
+
+    const lead = await this.checkLinks(fields, context.agencyId);
+    this.checkLeadAccess(lead, access);
+    const id = crypto.randomUUID();
+
+    await pool.query(`
+      INSERT INTO follow_ups (
+        id, agency_id, lead_id, property_id, type, priority, description, due_date,
+        status, assigned_to, reminder_minutes, recurrence_frequency, recurrence_interval,
+        recurrence_until, series_id, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', $9, $10, $11, $12, $13, $1, $14)
+    `, [
+      id, context.agencyId, fields.lead_id || null, fields.property_id || null, fields.type,
+      fields.priority, fields.description || '', fields.due_date,
+      // Default to the lead's agent, then to the creator
+      fields.assigned_to || (lead && lead.assigned_to) || context.userName || null,
+      fields.reminder_minutes === undefined ? 30 : fields.reminder_minutes,
+      fields.recurrence_frequency || null, fields.recurrence_interval || 1,
+      fields.recurrence_until || null, context.userName || null
+    ]);
+
+    await this.syncLeadSchedule(fields.lead_id, context.agencyId);
+
+    const followUp = await this.findById(id, context.agencyId);
+
+    if (followUp.leadId) {
+      await activityService.log({
+        leadId: followUp.leadId,
+        propertyId: followUp.propertyId,
+        type: ACTIVITY_TYPES.FOLLOW_UP_CREATED,
+        description: `${followUp.type} follow-up scheduled for ${followUp.dueDate.toISOString()}`,
+        metadata: { followUpId: followUp.id, type: followUp.type, priority: followUp.priority, assignedTo: followUp.assignedTo }
+      }, context);
+    }
+
+    return followUp;
+  }
+
+  async update(id, data, context, access = null) {
+    const existing = await this.findById(id, context.agencyId, access);
+    if (!existing) {
+      throw new FollowUpError('Follow-up not found', 404);
+    }
+    if (existing.status === FOLLOW_UP_STATUS.COMPLETED) {
+      throw new FollowUpError('Completed follow-ups cannot be modified', 409);
+    }
+
+    const fields = this.normalize(data, { partial: true });
+    if (Object.keys(fields).length === 0) {
+      throw new FollowUpError('No fields to update');
+    }
+
+    const leadId = fields.lead_id !== undefined ? fields.lead_id : existing.leadId;
+    const propertyId = fields.property_id !== undefined ? fields.property_id : existing.propertyId;
+    if (!leadId && !propertyId) {
+      throw new FollowUpError('A follow-up must be linked to a lead or a property');
+    }
+
+    this.checkLeadAccess(await this.checkLinks(fields, context.agencyId), access);
+
+    // A new due date means a new reminder
+    if (fields.due_date) {
+      fields.reminder_sent_at = null;
+    }
+
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+    await pool.query(`
+      UPDATE follow_ups SET ${assignments.join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2
+    `, [id, context.agencyId, ...columns.map(column => fields[column])]);
+
+    await this.syncLeadSchedule(existing.leadId, context.agencyId);
+    if (leadId !== existing.leadId) {
+      await this.syncLeadSchedule(leadId, context.agencyId);
+    }
+
+    return this.findById(id, context.agencyId);
+  }
+
+  // Complete a follow-up: records the outcome, schedules the next occurrence of
+  // recurring follow-ups and updates the lead's last_contact / next_follow_up
+  async complete(id, { outcome } = {}, context, access = null) {
+    if (!await this.findById(id, context.agencyId, access)) {
+      throw new FollowUpError('Follow-up not found', 404);
+    }
+
+    const client = await pool.connect();
+    let completed;
+    let nextId = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM follow_ups WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [id, context.agencyId]
+      );
+      const row = result.rows[0];
+      if (!row) {
+        throw new FollowUpError('Follow-up not found', 404);
+      }
+      if (row.status !== FOLLOW_UP_STATUS.PENDING) {
+        throw new FollowUpError(`Follow-up is already ${row.status}`, 409);
+      }
+
+      const completedAt = new Date();
+      await client.query(`
+        UPDATE follow_ups SET
+          status = 'completed', completed_at = $3, completed_by = $4, outcome = $5, updated_at = NOW()
+        WHERE id = $1 AND agency_id = $2
+      `, [id, context.agencyId, completedAt.toISOString(), context.userName || null, outcome || null]);
+
+      if (row.recurrence_frequency) {
+        const nextDueDate = getNextDueDate(row.due_date, {
+          frequency: row.recurrence_frequency,
+          interval: row.recurrence_interval
+        }, completedAt);
+
+        if (!row.recurrence_until || nextDueDate <= new Date(row.recurrence_until)) {
+          nextId = crypto.randomUUID();
+          await client.query(`
+            INSERT INTO follow_ups (
+              id, agency_id, lead_id, property_id, type, priority, description, due_date,
+              status, assigned_to, reminder_minutes, recurrence_frequency, recurrence_interval,
+              recurrence_until, series_id, created_by
+            )
+            SELECT $1, agency_id, lead_id, property_id, type, priority, description, $2::timestamp,
+              'pending', assigned_to, reminder_minutes, recurrence_frequency, recurrence_interval,
+              recurrence_until, COALESCE(series_id, id), created_by
+            FROM follow_ups WHERE id = $3
+          `, [nextId, nextDueDate.toISOString(), id]);
+        }
+      }
+
+      await this.syncLeadSchedule(row.lead_id, context.agencyId, client, {
+        lastContact: completedAt.toISOString()
+      });
+
+      await client.query('COMMIT');
+      completed = await this.findById(id, context.agencyId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (completed.leadId) {
+      await activityService.log({
+        leadId: completed.leadId,
+        propertyId: completed.propertyId,
+        type: ACTIVITY_TYPES.FOLLOW_UP_COMPLETED,
+        description: `${completed.type} follow-up completed${outcome ? `: ${outcome}` : ''}`,
+        metadata: { followUpId: completed.id, outcome: outcome || null, nextFollowUpId: nextId }
+      }, context);
+    }
+
+    return {
+      followUp: completed,
+      nextOccurrence: nextId ? await this.findById(nextId, context.agencyId) : null
+    };
+  }
+
+  async remove(id, context, access = null) {
+    if (!await this.findById(id, context.agencyId, access)) {
+      throw new FollowUpError('Follow-up not found', 404);
+    }
+
+    const result = await pool.query(
+      'DELETE FROM follow_ups WHERE id = $1 AND agency_id = $2 RETURNING lead_id',
+      [id, context.agencyId]
+    );
+    if (result.rowCount === 0) {
+      throw new FollowUpError('Follow-up not found', 404);
+    }
+
+    await this.syncLeadSchedule(result.rows[0].lead_id, context.agencyId);
+  }
+
+  // Format a follow-up row for API responses
+  format(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      leadName: row.lead_name || null,
+      propertyId: row.property_id,
+      propertyTitle: row.property_title || null,
+      type: row.type,
+      priority: row.priority,
+      description: row.description,
+      dueDate: row.due_date,
+      status: row.current_status || row.status,
+      assignedTo: row.assigned_to,
+      reminderMinutes: row.reminder_minutes,
+      reminderSentAt: row.reminder_sent_at,
+      recurrence: row.recurrence_frequency
+        ? { frequency: row.recurrence_frequency, interval: row.recurrence_interval, until: row.recurrence_until }
+        : null,
+      seriesId: row.series_id,
+      outcome: row.outcome,
+      completedAt: row.completed_at,
+      completedBy: row.completed_by,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+const followUpService = new FollowUpService();
+followUpService.FollowUpError = FollowUpError;
+
+module.exports = followUpService;
@@ -0,0 +1,854 @@
+const crypto = require('crypto');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const duplicateService = require('./duplicateService');
+const workflowService = require('./workflowService');
+const { getPaginationMeta } = require('../utils/helpers');
+const {
+  ACTIVITY_TYPES,
+  IMPORT_JOB_STATUS,
+  LEAD_STATUS,
+  SUPPORTED_LANGUAGES,
+  WORKFLOW_TRIGGERS,
+  PAGINATION,
+} = require('../utils/constants');
+
+// Largest number of data rows accepted in one file
+const MAX_IMPORT_ROWS = 10000;
+
+// Rows returned by a dry run (the error report has all of them)
+const PREVIEW_ROWS = 50;
+
+// Progress is written every PROGRESS_INTERVAL rows while a job runs
+const PROGRESS_INTERVAL = 25;
+
+// Lead fields a column can be mapped to, with the headers detected automatically
+const IMPORT_FIELDS = {
+  name: ['name', 'full name', 'fullname', 'lead name', 'customer name', 'client', 'nom complet'],
+  firstName: ['first name', 'firstname', 'given name', 'prenom'],
+  lastName: ['last name', 'lastname', 'surname', 'family name', 'nom', 'nom de famille'],
+  email: ['email', 'e mail', 'email address', 'mail', 'courriel', 'adresse email'],
+  phone: ['phone', 'phone number', 'mobile', 'contact', 'telephone', 'tel', 'portable', 'whatsapp'],
+  source: ['source', 'lead source', 'origin', 'origine', 'canal'],
+  budget: ['budget', 'max budget', 'price', 'prix'],
+  status: ['status', 'lead status', 'stage', 'statut', 'etape'],
+  assignedTo: ['assigned to', 'assignedto', 'agent', 'owner', 'responsable', 'conseiller'],
+  language: ['language', 'lang', 'langue'],
+  notes: ['notes', 'note', 'comments', 'comment', 'remarks', 'commentaire', 'commentaires'],
+  tags: ['tags', 'tag', 'labels', 'etiquettes'],
+};
+
+// Language names accepted in files, besides the codes themselves
+const LANGUAGE_ALIASES = {
+  english: SUPPORTED_LANGUAGES.EN,
+  anglais: SUPPORTED_LANGUAGES.EN,
+  french: SUPPORTED_LANGUAGES.FR,
+  francais: SUPPORTED_LANGUAGES.FR,
+};
+
+const DUPLICATE_MODES = ['reject', 'allow', 'merge'];
+
+// Columns of a job without the parsed rows, for listings and progress polling
+const JOB_COLUMNS = `
+  id, agency_id, file_name, file_type, status, columns, total_rows, mapping, options,
+  processed_rows, created_count, updated_count, skipped_count, error_count, error_message,
+  created_by, created_by_id, started_at, completed_at, created_at, updated_at
+`;
+
+/**
+ * Error raised for invalid import requests
+ */
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Normalize a column header or alias for matching: lowercase, no accents or punctuation
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => {
+  return String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Convert an ExcelJS cell value (rich text, hyperlink, formula, date...) to text
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+const cellToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Parse CSV text into rows of cells. The delimiter (comma, semicolon or tab)
+ * is detected from the header line; quoted fields may contain delimiters,
+ * doubled quotes and line breaks.
+ * @param {string} text - CSV content
+ * @returns {Array<string[]>} Rows
+ */
+const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce(
+    (best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best),
+    ','
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse an amount written as "250 000 €", "250,000" or "1.250.000,50"
+ * @param {string} value - Raw amount
+ * @returns {number} Amount, NaN when not a number
+ */
+const parseAmount = (value) => {
+  let amount = String(value).replace(/[^\d.,-]/g, '');
+  const lastComma = amount.lastIndexOf(',');
+  const lastDot = amount.lastIndexOf('.');
+
+  if (lastComma > -1 && lastDot > -1) {
+    // The last separator is the decimal one
+    amount = lastComma > lastDot
+      ? amount.replace(/\./g, '').replace(',', '.')
+      : amount.replace(/,/g, '');
+  } else if (lastComma > -1) {
+    amount = /^-?\d{1,3}(,\d{3})+$/.test(amount) ? amount.replace(/,/g, '') : amount.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(amount)) {
+    amount = amount.replace(/\./g, '');
+  }
+
+  return amount === '' ? NaN : Number(amount);
+};
+
+class ImportService {
+  constructor() {
+    this.fields = Object.keys(IMPORT_FIELDS);
+  }
+
+  // Parse an uploaded CSV or XLSX file into headers and rows ({ row, values })
+  async parseFile(buffer, fileName) {
+    const extension = path.extname(fileName || '').substring(1).toLowerCase();
+    let table;
+
+    if (extension === 'csv') {
+      let text = buffer.toString('utf8');
+      // Files saved by Excel are often Windows-1252 rather than UTF-8
+      if (text.includes('\uFFFD')) {
+        text = buffer.toString('latin1');
+      }
+      table = parseCsv(text.replace(/^\uFEFF/, '')).map((cells, index) => ({ row: index + 1, cells }));
+    } else if (extension === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      try {
+        await workbook.xlsx.load(buffer);
+      } catch (error) {
+        throw new ImportError('The file is not a valid XLSX workbook');
+      }
+
+      const worksheet = workbook.worksheets.find(sheet => sheet.actualRowCount > 0);
+      table = [];
+      if (worksheet) {
+        worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+          const cells = [];
+          for (let column = 1; column <= worksheet.columnCount; column++) {
+            cells.push(cellToString(row.getCell(column).value));
+          }
+          table.push({ row: rowNumber, cells });
+        });
+      }
+    } else if (extension === 'xls') {
+      throw new ImportError('Legacy .xls files are not supported, save the file as .xlsx or .csv');
+    } else {
+      throw new ImportError('Only .csv and .xlsx files can be imported');
+    }
+
+    const nonEmpty = table.filter(({ cells }) => cells.some(cell => cell !== ''));
+    if (nonEmpty.length < 2) {
+      throw new ImportError('The file has no data rows');
+    }
+    if (nonEmpty.length - 1 > MAX_IMPORT_ROWS) {
+      throw new ImportError(`Files are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    // Blank headers get a placeholder name, repeated ones a suffix, so every column has a unique key
+    const seen = {};
+    const headers = nonEmpty[0].cells.map((header, index) => {
+      let name = header || `Column ${index + 1}`;
+      seen[name] = (seen[name] || 0) + 1;
+      if (seen[name] > 1) name = `${name} (${seen[name]})`;
+      return name;
+    });
+
+    const rows = nonEmpty.slice(1).map(({ row, cells }) => ({
+      row,
+      values: headers.reduce((values, header, index) => {
+        values[header] = cells[index] || '';
+        return values;
+      }, {})
+    }));
+
+    return { fileType: extension, headers, rows };
+  }
+
+  // Suggest a mapping (lead field -> column) from the column headers
+  detectMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    this.fields.forEach(field => {
+      const aliases = IMPORT_FIELDS[field].map(normalizeHeader);
+      const header = headers.find(candidate => !used.has(candidate) && aliases.includes(normalizeHeader(candidate)));
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+      }
+    });
+
+    // A full name column wins over a lone "nom" picked up as last name
+    if (mapping.name && mapping.lastName && !mapping.firstName) {
+      delete mapping.lastName;
+    }
+
+    return mapping;
+  }
+
+  // Validate a mapping against the columns of a file
+  normalizeMapping(mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new ImportError('mapping must be an object of lead field -> column');
+    }
+
+    const normalized = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+      if (column === null || column === undefined || column === '') return;
+      if (!IMPORT_FIELDS[field]) {
+        throw new ImportError(`Unknown lead field "${field}". Valid fields: ${this.fields.join(', ')}`);
+      }
+      if (headers && !headers.includes(column)) {
+        throw new ImportError(`Column "${column}" is not in the file`);
+      }
+      normalized[field] = column;
+    });
+
+    if (!normalized.name && !normalized.firstName && !normalized.lastName) {
+      throw new ImportError('Map a name column (name, or firstName and lastName)');
+    }
+    if (!normalized.email && !normalized.phone) {
+      throw new ImportError('Map an email or phone column');
+    }
+
+    return normalized;
+  }
+
+  // Validate import options: duplicate handling, defaults for empty cells, automations
+  normalizeOptions(options = {}) {
+    const onDuplicate = options.onDuplicate || 'reject';
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      throw new ImportError('onDuplicate must be reject, allow or merge');
+    }
+
+    const defaults = options.defaults || {};
+    const status = defaults.status ? this.parseStatus(defaults.status) : LEAD_STATUS.NEW;
+    const language = defaults.language ? this.parseLanguage(defaults.language) : SUPPORTED_LANGUAGES.FR;
+    if (!status) {
+      throw new ImportError(`Unknown default status "${defaults.status}"`);
+    }
+    if (!language) {
+      throw new ImportError(`Unknown default language "${defaults.language}"`);
+    }
+
+    return {
+      onDuplicate,
+      defaults: {
+        source: String(defaults.source || 'import').trim(),
+        status,
+        language,
+        assignedTo: defaults.assignedTo ? String(defaults.assignedTo).trim() : null
+      },
+      runAutomations: options.runAutomations === true
+    };
+  }
+
+  // "Closed Won" / "closed-won" -> closed_won; null when unknown
+  parseStatus(value) {
+    const status = normalizeHeader(value).replace(/ /g, '_');
+    return Object.values(LEAD_STATUS).includes(status) ? status : null;
+  }
+
+  parseLanguage(value) {
+    const language = normalizeHeader(value);
+    if (Object.values(SUPPORTED_LANGUAGES).includes(language)) return language;
+    return LANGUAGE_ALIASES[language] || null;
+  }
+
+  // Map a row to a lead and validate it; errors are { field, message }
+  mapRow(values, mapping, options) {
+    const get = (field) => (mapping[field] ? String(values[mapping[field]] || '').trim() : '');
+    const errors = [];
+
+    let firstName = get('firstName');
+    let lastName = get('lastName');
+    if (!firstName && !lastName) {
+      const nameParts = get('name').split(/\s+/).filter(Boolean);
+      firstName = nameParts[0] || '';
+      lastName = nameParts.slice(1).join(' ');
+    }
+
+    const email = get('email');
+    const phone = get('phone');
+
+    if (!firstName && !lastName) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    }
+    if (!email && !phone) {
+      errors.push({ field: 'phone', message: 'Either phone or email is required' });
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.push({ field: 'email', message: `Invalid email format "${email}"` });
+    }
+    if (phone && !duplicateService.normalizePhone(phone)) {
+      errors.push({ field: 'phone', message: `Invalid phone number "${phone}"` });
+    }
+
+    let budget = null;
+    if (get('budget')) {
+      budget = parseAmount(get('budget'));
+      if (Number.isNaN(budget) || budget < 0) {
+        errors.push({ field: 'budget', message: `Invalid budget "${get('budget')}"` });
+        budget = null;
+      }
+    }
+
+    let status = options.defaults.status;
+    if (get('status')) {
+      status = this.parseStatus(get('status'));
+      if (!status) {
+        errors.push({ field: 'status', message: `Unknown status "${get('status')}"` });
+      }
+    }
+
+    let language = options.defaults.language;
+    if (get('language')) {
+      language = this.parseLanguage(get('language'));
+      if (!language) {
+        errors.push({ field: 'language', message: `Unknown language "${get('language')}"` });
+      }
+    }
+
+    const tags = [...new Set(get('tags').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean))];
+
+    return {
+      errors,
+      lead: {
+        first_name: firstName,
+        last_name: lastName,
+        email,
+        phone,
+        source: get('source') || options.defaults.source,
+        budget,
+        notes: get('notes'),
+        status,
+        assigned_to: get('assignedTo') || options.defaults.assignedTo,
+        language,
+        tags
+      }
+    };
+  }
+
+  // Create a job from an uploaded file
+  async create(file, context, { mappingId } = {}) {
+    if (!file) {
+      throw new ImportError('No file uploaded (send it in the "file" field)');
+    }
+
+    const { fileType, headers, rows } = await this.parseFile(file.buffer, file.originalname);
+
+    let mapping = this.detectMapping(headers);
+    if (mappingId) {
+      const saved = await this.findMapping(mappingId, context.agencyId);
+      if (!saved) {
+        throw new ImportError('Saved mapping not found', 404);
+      }
+      // Keep the saved columns that exist in this file
+      mapping = Object.entries(saved.mapping).reduce((result, [field, column]) => {
+        if (headers.includes(column)) result[field] = column;
+        return result;
+      }, {});
+    }
+
+    const result = await pool.query(`
+      INSERT INTO lead_imports (id, agency_id, file_name, file_type, status, columns, rows, total_rows, mapping, options, created_by, created_by_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING ${JOB_COLUMNS}
+    `, [
+      crypto.randomUUID(), context.agencyId, file.originalname, fileType, IMPORT_JOB_STATUS.UPLOADED,
+      JSON.stringify(headers), JSON.stringify(rows), rows.length, JSON.stringify(mapping),
+      JSON.stringify(this.normalizeOptions()), context.userName || null, context.userId || null
+    ]);
+
+    return {
+      ...this.format(result.rows[0]),
+      sampleRows: rows.slice(0, 5).map(row => row.values)
+    };
+  }
+
+  async list(agencyId, { status, page, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [agencyId];
+    let whereClause = 'WHERE agency_id = $1';
+    if (status) {
+      params.push(String(status).split(','));
+      whereClause += ` AND status = ANY($${params.length})`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM lead_imports ${whereClause}`, params);
+    const result = await pool.query(`
+      SELECT ${JOB_COLUMNS} FROM lead_imports
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      jobs: result.rows.map(row => this.format(row)),
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  async findById(id, agencyId, { withRows = false } = {}) {
+    const result = await pool.query(
+      `SELECT ${JOB_COLUMNS}${withRows ? ', rows, errors' : ''} FROM lead_imports WHERE id = $1 AND agency_id = $2`,
+      [id, agencyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Resolve the mapping and options of a preview/commit request, falling back to the job's
+  async prepare(id, data, context) {
+    const job = await this.findById(id, context.agencyId, { withRows: true });
+    if (!job) {
+      throw new ImportError('Import not found', 404);
+    }
+
+    let mapping = data.mapping || job.mapping;
+    if (data.mappingId) {
+      const saved = await this.findMapping(data.mappingId, context.agencyId);
+      if (!saved) {
+        throw new ImportError('Saved mapping not found', 404);
+      }
+      mapping = saved.mapping;
+    }
+
+    const hasOptions = ['onDuplicate', 'defaults', 'runAutomations'].some(key => data[key] !== undefined);
+    return {
+      job,
+      mapping: this.normalizeMapping(mapping, job.columns),
+      options: hasOptions ? this.normalizeOptions(data) : this.normalizeOptions(job.options)
+    };
+  }
+
+  // Dry run: validate every row and report what a commit would do, without writing leads
+  async preview(id, data, context) {
+    const { job, mapping, options } = await this.prepare(id, data, context);
+    if (![IMPORT_JOB_STATUS.UPLOADED, IMPORT_JOB_STATUS.FAILED].includes(job.status)) {
+      throw new ImportError(`Import is already ${job.status}`, 409);
+    }
+
+    const { results, summary, errors } = await this.processRows(job, mapping, options, { dryRun: true });
+
+    await pool.query(`
+      UPDATE lead_imports SET mapping = $2, options = $3, errors = $4, updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, JSON.stringify(mapping), JSON.stringify(options), JSON.stringify(errors)]);
+
+    return {
+      mapping,
+      options,
+      summary,
+      rows: results.slice(0, PREVIEW_ROWS)
+    };
+  }
+
+  // Queue the import; it runs in the background and is polled with findById
+  async commit(id, data, context) {
+    const { job, mapping, options } = await this.prepare(id, data, context);
+
+    const result = await pool.query(`
+      UPDATE lead_imports SET
+        status = $3, mapping = $4, options = $5, processed_rows = 0, created_count = 0,
+        updated_count = 0, skipped_count = 0, error_count = 0, errors = '[]', error_message = NULL,
+        started_at = NULL, completed_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2 AND status = ANY($6)
+      RETURNING ${JOB_COLUMNS}
+    `, [
+      job.id, context.agencyId, IMPORT_JOB_STATUS.QUEUED, JSON.stringify(mapping), JSON.stringify(options),
+      [IMPORT_JOB_STATUS.UPLOADED, IMPORT_JOB_STATUS.FAILED]
+    ]);
+    if (result.rows.length === 0) {
+      throw new ImportError(`Import is already ${job.status}`, 409);
+    }
+
+    setImmediate(() => {
+      this.run(job, mapping, options, context).catch(error => {
+        console.error('❌ Lead import failed:', error);
+      });
+    });
+
+    return this.format(result.rows[0]);
+  }
+
+  // Import all rows in one transaction: either every valid row is written or none
+  async run(job, mapping, options, context) {
+    await pool.query(
+      'UPDATE lead_imports SET status = $2, started_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [job.id, IMPORT_JOB_STATUS.PROCESSING]
+    );
+    console.log(`📥 Importing ${job.total_rows} leads from ${job.file_name}`);
+
+    const client = await pool.connect();
+    let outcome;
+    try {
+      await client.query('BEGIN');
+      outcome = await this.processRows(job, mapping, options, {
+        db: client,
+        context,
+        onProgress: (processed) => pool.query(
+          'UPDATE lead_imports SET processed_rows = $2, updated_at = NOW() WHERE id = $1',
+          [job.id, processed]
+        )
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('❌ Lead import rolled back:', error.message);
+      await pool.query(`
+        UPDATE lead_imports SET status = $2, error_message = $3, processed_rows = 0, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, IMPORT_JOB_STATUS.FAILED, error.message]);
+      return null;
+    } finally {
+      client.release();
+    }
+
+    const { summary, errors, created, updated } = outcome;
+    await pool.query(`
+      UPDATE lead_imports SET
+        status = $2, processed_rows = total_rows, created_count = $3, updated_count = $4,
+        skipped_count = $5, error_count = $6, errors = $7, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [
+      job.id, IMPORT_JOB_STATUS.COMPLETED, summary.created, summary.updated,
+      summary.skipped, errors.length, JSON.stringify(errors)
+    ]);
+    console.log(`✅ Import ${job.file_name}: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`);
+
+    // Timeline entries and automations only once the leads are committed
+    for (const lead of created) {
+      await activityService.log({
+        leadId: lead.id,
+        type: ACTIVITY_TYPES.LEAD_IMPORTED,
+        description: `Lead imported from ${job.file_name}`,
+        metadata: { importId: job.id, source: lead.source, status: lead.status, assignedTo: lead.assigned_to }
+      }, context);
+
+      if (options.runAutomations) {
+        workflowService.handleEvent(WORKFLOW_TRIGGERS.NEW_LEAD, { agencyId: context.agencyId, leadId: lead.id });
+      }
+    }
+    for (const { before, after } of updated) {
+      await activityService.logLeadChanges(before, after, context);
+    }
+
+    return summary;
+  }
+
+  // Validate, deduplicate and (unless dryRun) write every row of a job.
+  // Rows with errors and rejected duplicates are skipped and reported.
+  async processRows(job, mapping, options, { dryRun = false, db = pool, context = {}, onProgress } = {}) {
+    const results = [];
+    const errors = [];
+    const created = [];
+    const updated = [];
+    const summary = { total: job.rows.length, created: 0, updated: 0, skipped: 0 };
+    const seen = new Map();
+
+    for (const [index, { row, values }] of job.rows.entries()) {
+      const { lead, errors: rowErrors } = this.mapRow(values, mapping, options);
+      const result = { row, action: 'create', lead: this.formatLead(lead), errors: rowErrors };
+      const phone = duplicateService.normalizePhone(lead.phone);
+      const keys = [duplicateService.normalizeEmail(lead.email), phone].filter(Boolean);
+
+      if (rowErrors.length === 0) {
+        const firstRow = keys.map(key => seen.get(key)).find(Boolean);
+        if (firstRow && options.onDuplicate !== 'allow') {
+          rowErrors.push({ field: 'duplicate', message: `Same email or phone as row ${firstRow}` });
+        }
+      }
+
+      if (rowErrors.length === 0) {
+        const matches = await duplicateService.findMatches(lead, job.agency_id, { db });
+        const existing = matches.find(match => match.confidence === 'high');
+
+        if (existing && options.onDuplicate === 'reject') {
+          rowErrors.push({
+            field: 'duplicate',
+            message: `Lead already exists: ${duplicateService.summarize(existing.lead).name} (same ${existing.reasons.filter(reason => reason !== 'name').join(' and ')})`
+          });
+        } else if (existing && options.onDuplicate === 'merge') {
+          result.action = 'update';
+          result.duplicateOf = existing.lead.id;
+          if (!dryRun) {
+            const after = await duplicateService.absorb(
+              existing.lead,
+              { ...lead, phone_normalized: phone },
+              { ...context, agencyId: job.agency_id },
+              { db, logChanges: false }
+            );
+            updated.push({ before: existing.lead, after });
+          }
+        } else if (!dryRun) {
+          created.push(await this.insertLead(lead, job.agency_id, db));
+        }
+      }
+
+      keys.forEach(key => {
+        if (!seen.has(key)) seen.set(key, row);
+      });
+
+      if (rowErrors.length > 0) {
+        result.action = 'skip';
+        summary.skipped++;
+        rowErrors.forEach(error => errors.push({ row, ...error, values }));
+      } else {
+        summary[result.action === 'update' ? 'updated' : 'created']++;
+      }
+      results.push(result);
+
+      if (onProgress && (index + 1) % PROGRESS_INTERVAL === 0) {
+        await onProgress(index + 1);
+      }
+    }
+
+    return { results, summary, errors, created, updated };
+  }
+
+  async insertLead(lead, agencyId, db) {
+    const result = await db.query(`
+      INSERT INTO leads (id, first_name, last_name, email, phone, whatsapp, source, budget, notes, status, assigned_to, language, tags, agency_id, phone_normalized, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+      RETURNING *
+    `, [
+      crypto.randomUUID(), lead.first_name, lead.last_name, lead.email, lead.phone, lead.source,
+      lead.budget, lead.notes, lead.status, lead.assigned_to, lead.language, JSON.stringify(lead.tags),
+      agencyId, duplicateService.normalizePhone(lead.phone)
+    ]);
+    return result.rows[0];
+  }
+
+  // Error report as CSV: one line per error with the original row values
+  async getErrorReport(id, agencyId) {
+    const job = await this.findById(id, agencyId, { withRows: true });
+    if (!job) {
+      throw new ImportError('Import not found', 404);
+    }
+
+    const escape = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const header = ['Row', 'Field', 'Error', ...job.columns];
+    const lines = (job.errors || []).map(error => [
+      error.row, error.field, error.message, ...job.columns.map(column => (error.values || {})[column])
+    ]);
+
+    return {
+      fileName: `${path.parse(job.file_name).name}-errors.csv`,
+      // BOM so Excel opens the report as UTF-8
+      content: '\uFEFF' + [header, ...lines].map(line => line.map(escape).join(',')).join('\r\n')
+    };
+  }
+
+  // Jobs interrupted by a restart never finish; their transaction was rolled back
+  async failInterruptedJobs() {
+    const result = await pool.query(`
+      UPDATE lead_imports SET status = $1, error_message = 'Interrupted by a server restart', processed_rows = 0, updated_at = NOW()
+      WHERE status = ANY($2)
+    `, [IMPORT_JOB_STATUS.FAILED, [IMPORT_JOB_STATUS.QUEUED, IMPORT_JOB_STATUS.PROCESSING]]);
+    return result.rowCount;
+  }
+
+  // Saved column mappings, reusable across files with the same layout
+  async listMappings(agencyId) {
+    const result = await pool.query(
+      'SELECT * FROM lead_import_mappings WHERE agency_id = $1 ORDER BY name ASC',
+      [agencyId]
+    );
+    return result.rows.map(row => this.formatMapping(row));
+  }
+
+  async findMapping(id, agencyId) {
+    const result = await pool.query(
+      'SELECT * FROM lead_import_mappings WHERE id = $1 AND agency_id = $2',
+      [id, agencyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Save a mapping; saving under an existing name replaces it
+  async saveMapping(data, context) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      throw new ImportError('Mapping name is required');
+    }
+    const mapping = this.normalizeMapping(data.mapping);
+
+    const result = await pool.query(`
+      INSERT INTO lead_import_mappings (id, agency_id, name, mapping, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (agency_id, name) DO UPDATE SET mapping = EXCLUDED.mapping, updated_at = NOW()
+      RETURNING *
+    `, [crypto.randomUUID(), context.agencyId, name, JSON.stringify(mapping), context.userName || null]);
+
+    return this.formatMapping(result.rows[0]);
+  }
+
+  async removeMapping(id, agencyId) {
+    const result = await pool.query(
+      'DELETE FROM lead_import_mappings WHERE id = $1 AND agency_id = $2 RETURNING id',
+      [id, agencyId]
+    );
+    if (result.rows.length === 0) {
+      throw new ImportError('Saved mapping not found', 404);
+    }
+  }
+
+  // Supported lead fields and their detected header names
+  getFields() {
+    return {
+      fields: IMPORT_FIELDS,
+      statuses: Object.values(LEAD_STATUS),
+      languages: Object.values(SUPPORTED_LANGUAGES),
+      duplicateModes: DUPLICATE_MODES,
+      maxRows: MAX_IMPORT_ROWS
+    };
+  }
+
+  formatLead(lead) {
+    return {
+      name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+      email: lead.email,
+      phone: lead.phone,
+      source: lead.source,
+      budget: lead.budget,
+      status: lead.status,
+      assignedTo: lead.assigned_to,
+      language: lead.language,
+      tags: lead.tags,
+      notes: lead.notes
+    };
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      fileName: row.file_name,
+      fileType: row.file_type,
+      status: row.status,
+      columns: row.columns || [],
+      mapping: row.mapping || {},
+      options: row.options || {},
+      totalRows: row.total_rows,
+      progress: {
+        processed: row.processed_rows,
+        total: row.total_rows,
+        percent: row.total_rows ? Math.round((row.processed_rows / row.total_rows) * 100) : 0
+      },
+      createdCount: row.created_count,
+      updatedCount: row.updated_count,
+      skippedCount: row.skipped_count,
+      errorCount: row.error_count,
+      errorMessage: row.error_message,
+      createdBy: row.created_by_id || row.created_by ? { id: row.created_by_id, name: row.created_by } : null,
+      startedAt: row.started_at,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatMapping(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      mapping: row.mapping || {},
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+const importService = new ImportService();
+importService.ImportError = ImportError;
+
+module.exports = importService;
@@ -0,0 +1,518 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const brevoService = require('./brevoService');
+const twilioService = require('./twilioService');
+const {
+  ACTIVITY_TYPES, CONSENT_CHANNELS, LEAD_STATUS, PROPERTY_ALERT_STATUS, PROPERTY_STATUS, PROPERTY_TYPES
+} = require('../utils/constants');
+
+// Points of each criterion; a match scores the share of the points of the criteria the lead set
+const CRITERIA_POINTS = {
+  budget: 35,
+  propertyType: 25,
+  city: 15,
+  bedrooms: 15,
+  bathrooms: 10,
+};
+
+// Properties up to this much above the lead's maximum budget still match (with fewer points)
+const BUDGET_TOLERANCE = 0.1;
+
+// Matches below this score are not returned or alerted
+const MIN_MATCH_SCORE = 60;
+
+// Delivery attempts before an alert is marked failed, and the wait between them
+const MAX_ALERT_ATTEMPTS = 3;
+const ALERT_RETRY_DELAY_MINUTES = 15;
+
+// Leads in these statuses no longer receive alerts
+const CLOSED_STATUSES = [LEAD_STATUS.CLOSED_WON, LEAD_STATUS.CLOSED_LOST];
+
+/**
+ * Normalize a city or address for comparisons: lowercase, no accents or punctuation
+ * @param {string} value - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+class MatchingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MatchingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Search criteria accepted on leads: request field -> column
+const CRITERIA_FIELDS = {
+  budgetMin: 'budget_min',
+  budgetMax: 'budget_max',
+  propertyType: 'property_type',
+  city: 'city',
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+};
+
+// Channels of the communication preferences; alerts go out by WhatsApp or email
+const PREFERENCE_CHANNELS = CONSENT_CHANNELS;
+const DEFAULT_PREFERENCES = Object.fromEntries(CONSENT_CHANNELS.map(channel => [channel, true]));
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+class MatchingService {
+  constructor() {
+    this.alertCheckInterval = 5 * 60 * 1000; // 5 minutes
+    this.minScore = MIN_MATCH_SCORE;
+  }
+
+  /**
+   * Validate the search criteria and communication preferences of a lead request body.
+   * Only fields present in the body are returned, an empty value clears the criterion.
+   * @param {Object} data - Request body (budgetMin, budgetMax, propertyType, city, bedrooms, bathrooms, communicationPreferences)
+   * @param {Object} [current] - Current lead row, to check the budget range on partial updates
+   * @returns {Object} Column values to save
+   */
+  parseCriteria(data, current = {}) {
+    const columns = {};
+
+    Object.entries(CRITERIA_FIELDS).forEach(([field, column]) => {
+      if (data[field] === undefined) return;
+      const value = data[field] === null || data[field] === '' ? null : data[field];
+
+      if (value === null) {
+        columns[column] = null;
+      } else if (field === 'propertyType') {
+        const type = String(value).toLowerCase();
+        if (!Object.values(PROPERTY_TYPES).includes(type)) {
+          throw new MatchingError(`propertyType must be one of: ${Object.values(PROPERTY_TYPES).join(', ')}`);
+        }
+        columns[column] = type;
+      } else if (field === 'city') {
+        columns[column] = String(value).trim();
+      } else {
+        const number = Number(value);
+        const integer = field === 'bedrooms' || field === 'bathrooms';
+        if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+          throw new MatchingError(`${field} must be a positive ${integer ? 'integer' : 'number'}`);
+        }
+        columns[column] = number;
+      }
+    });
+
+    const budgetMin = columns.budget_min !== undefined ? columns.budget_min : toNumber(current.budget_min);
+    const budgetMax = columns.budget_max !== undefined ? columns.budget_max : toNumber(current.budget_max);
+    if (budgetMin !== null && budgetMax !== null && budgetMin > budgetMax) {
+      throw new MatchingError('budgetMin cannot be greater than budgetMax');
+    }
+
+    if (data.communicationPreferences !== undefined) {
+      const preferences = data.communicationPreferences;
+      if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        throw new MatchingError('communicationPreferences must be an object');
+      }
+      const invalid = Object.entries(preferences)
+        .find(([channel, enabled]) => !PREFERENCE_CHANNELS.includes(channel) || typeof enabled !== 'boolean');
+      if (invalid) {
+        throw new MatchingError(`communicationPreferences accepts boolean ${PREFERENCE_CHANNELS.join(', ')} flags`);
+      }
+      columns.communication_preferences = JSON.stringify({
+        ...(current.communication_preferences || DEFAULT_PREFERENCES),
+        ...preferences
+      });
+    }
+
+    return columns;
+  }
+
+  // Search criteria fields of a lead for API responses
+  formatCriteria(lead) {
+    return {
+      budgetMin: lead.budget_min ?? null,
+      budgetMax: lead.budget_max ?? null,
+      propertyType: lead.property_type ?? null,
+      city: lead.city ?? null,
+      bedrooms: lead.bedrooms ?? null,
+      bathrooms: lead.bathrooms ?? null,
+      communicationPreferences: lead.communication_preferences || DEFAULT_PREFERENCES
+    };
+  }
+
+  // Search criteria of a lead; budget is the legacy single budget, used as the maximum
+  getCriteria(lead) {
+    return {
+      budgetMin: toNumber(lead.budget_min),
+      budgetMax: toNumber(lead.budget_max) ?? toNumber(lead.budget),
+      propertyType: lead.property_type ? String(lead.property_type).toLowerCase() : null,
+      city: normalizeText(lead.city) || null,
+      bedrooms: toNumber(lead.bedrooms),
+      bathrooms: toNumber(lead.bathrooms)
+    };
+  }
+
+  hasCriteria(criteria) {
+    return Object.values(criteria).some(value => value !== null);
+  }
+
+  // Score how well a property fits a lead's criteria.
+  // Returns null when a hard criterion fails (type, city, budget beyond tolerance, missing bedrooms).
+  scoreMatch(lead, property) {
+    const criteria = this.getCriteria(lead);
+    if (!this.hasCriteria(criteria)) {
+      return null;
+    }
+
+    const details = [];
+    const add = (criterion, points, detail) => {
+      details.push({ criterion, points, maxPoints: CRITERIA_POINTS[criterion], detail });
+    };
+
+    const price = toNumber(property.price);
+    if (criteria.budgetMin !== null || criteria.budgetMax !== null) {
+      if (price === null) {
+        add('budget', 0, 'Property has no price');
+      } else if (criteria.budgetMax !== null && price > criteria.budgetMax * (1 + BUDGET_TOLERANCE)) {
+        return null;
+      } else if (criteria.budgetMax !== null && price > criteria.budgetMax) {
+        add('budget', Math.round(CRITERIA_POINTS.budget / 3), `Price ${price} slightly above budget ${criteria.budgetMax}`);
+      } else if (criteria.budgetMin !== null && price < criteria.budgetMin) {
+        add('budget', Math.round(CRITERIA_POINTS.budget * 0.7), `Price ${price} below minimum budget ${criteria.budgetMin}`);
+      } else {
+        add('budget', CRITERIA_POINTS.budget, `Price ${price} within budget`);
+      }
+    }
+
+    if (criteria.propertyType) {
+      if (String(property.type || '').toLowerCase() !== criteria.propertyType) {
+        return null;
+      }
+      add('propertyType', CRITERIA_POINTS.propertyType, `Type ${criteria.propertyType}`);
+    }
+
+    if (criteria.city) {
+      const city = normalizeText(property.city);
+      const location = normalizeText(`${property.address || ''} ${property.location || ''}`);
+      if (city === criteria.city) {
+        add('city', CRITERIA_POINTS.city, `In ${property.city}`);
+      } else if (!city && ` ${location} `.includes(` ${criteria.city} `)) {
+        add('city', CRITERIA_POINTS.city, `Address in ${lead.city}`);
+      } else {
+        return null;
+      }
+    }
+
+    if (criteria.bedrooms !== null) {
+      const bedrooms = toNumber(property.bedrooms);
+      if (bedrooms === null) {
+        add('bedrooms', 0, 'Bedrooms not specified');
+      } else if (bedrooms >= criteria.bedrooms) {
+        add('bedrooms', CRITERIA_POINTS.bedrooms, `${bedrooms} bedrooms (wants ${criteria.bedrooms}+)`);
+      } else if (bedrooms === criteria.bedrooms - 1) {
+        add('bedrooms', Math.round(CRITERIA_POINTS.bedrooms / 3), `${bedrooms} bedrooms, one less than wanted`);
+      } else {
+        return null;
+      }
+    }
+
+    if (criteria.bathrooms !== null) {
+      const bathrooms = toNumber(property.bathrooms);
+      add('bathrooms', bathrooms !== null && bathrooms >= criteria.bathrooms ? CRITERIA_POINTS.bathrooms : 0,
+        bathrooms === null ? 'Bathrooms not specified' : `${bathrooms} bathrooms (wants ${criteria.bathrooms}+)`);
+    }
+
+    const earned = details.reduce((sum, item) => sum + item.points, 0);
+    const possible = details.reduce((sum, item) => sum + item.maxPoints, 0);
+    return {
+      score: Math.round((earned / possible) * 100),
+      criteria: details
+    };
+  }
+
+  // Available properties matching a lead, best first
+  async findPropertiesForLead(leadId, agencyId, { minScore = MIN_MATCH_SCORE, limit = 20 } = {}) {
+    const leadResult = await pool.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, agencyId]);
+    const lead = leadResult.rows[0];
+    if (!lead) {
+      return null;
+    }
+
+    const criteria = this.getCriteria(lead);
+    if (!this.hasCriteria(criteria)) {
+      return { lead, criteria, matches: [] };
+    }
+
+    // Narrow on the hard criteria in SQL, score the rest in JS
+    const params = [agencyId];
+    const conditions = ['agency_id = $1', `COALESCE(status, '${PROPERTY_STATUS.AVAILABLE}') = '${PROPERTY_STATUS.AVAILABLE}'`];
+    if (criteria.budgetMax !== null) {
+      params.push(criteria.budgetMax * (1 + BUDGET_TOLERANCE));
+      conditions.push(`(price IS NULL OR price <= $${params.length})`);
+    }
+    if (criteria.propertyType) {
+      params.push(criteria.propertyType);
+      conditions.push(`LOWER(type) = $${params.length}`);
+    }
+
+    const properties = await pool.query(
+      `SELECT * FROM properties WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC`,
+      params
+    );
+    const alerts = await this.getAlerts({ leadId, agencyId });
+
+    const matches = properties.rows
+      .map(property => ({ property, ...this.scoreMatch(lead, property) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(match => ({ ...match, alert: this.formatAlert(alerts.get(match.property.id)) }));
+
+    return { lead, criteria, matches };
+  }
+
+  // Open leads whose criteria a property matches, best first
+  async findLeadsForProperty(propertyId, agencyId, { minScore = MIN_MATCH_SCORE, limit = 100 } = {}) {
+    const propertyResult = await pool.query('SELECT * FROM properties WHERE id = $1 AND agency_id = $2', [propertyId, agencyId]);
+    const property = propertyResult.rows[0];
+    if (!property) {
+      return null;
+    }
+    if ((property.status || PROPERTY_STATUS.AVAILABLE) !== PROPERTY_STATUS.AVAILABLE) {
+      return { property, matches: [] };
+    }
+
+    const leads = await pool.query(`
+      SELECT * FROM leads
+      WHERE agency_id = $1
+      AND NOT (COALESCE(status, '') = ANY($2))
+      AND (
+        budget_min IS NOT NULL OR budget_max IS NOT NULL OR budget IS NOT NULL OR property_type IS NOT NULL
+        OR COALESCE(city, '') <> '' OR bedrooms IS NOT NULL OR bathrooms IS NOT NULL
+      )
+    `, [agencyId, CLOSED_STATUSES]);
+    const alerts = await this.getAlerts({ propertyId, agencyId });
+
+    const matches = leads.rows
+      .map(lead => ({ lead, ...this.scoreMatch(lead, property) }))
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(match => ({ ...match, alert: this.formatAlert(alerts.get(match.lead.id)) }));
+
+    return { property, matches };
+  }
+
+  // Alerts already queued or sent, keyed by property id (for a lead) or lead id (for a property)
+  async getAlerts({ leadId, propertyId, agencyId }) {
+    const result = await pool.query(
+      leadId
+        ? 'SELECT * FROM property_alerts WHERE lead_id = $1 AND agency_id = $2'
+        : 'SELECT * FROM property_alerts WHERE property_id = $1 AND agency_id = $2',
+      [leadId || propertyId, agencyId]
+    );
+    return new Map(result.rows.map(alert => [leadId ? alert.property_id : alert.lead_id, alert]));
+  }
+
+  // Channel an alert goes out on, following the lead's communication preferences
+  getChannel(lead) {
+    const preferences = { ...DEFAULT_PREFERENCES, ...(lead.communication_preferences || {}) };
+    const phone = lead.whatsapp || lead.phone;
+    if (preferences.whatsapp && phone && twilioService.validateWhatsAppNumber(phone)) {
+      return 'whatsapp';
+    }
+    if (preferences.email && lead.email) {
+      return 'email';
+    }
+    return null;
+  }
+
+  // Queue alerts for the leads matching a new or cheaper property, then deliver them.
+  // A lead gets each property at most once (unique lead/property), whatever the reason.
+  async queuePropertyAlerts(propertyId, agencyId, reason) {
+    try {
+      const result = await this.findLeadsForProperty(propertyId, agencyId);
+      if (!result) {
+        return 0;
+      }
+
+      let queued = 0;
+      for (const match of result.matches) {
+        const channel = this.getChannel(match.lead);
+        if (!channel) continue;
+
+        const inserted = await pool.query(`
+          INSERT INTO property_alerts (id, agency_id, lead_id, property_id, channel, reason, match_score, status)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (lead_id, property_id) DO NOTHING
+          RETURNING id
+        `, [
+          crypto.randomUUID(), agencyId, match.lead.id, propertyId, channel, reason, match.score,
+          PROPERTY_ALERT_STATUS.QUEUED
+        ]);
+        queued += inserted.rows.length;
+      }
+
+      if (queued > 0) {
+        console.log(`🏠 Queued ${queued} property alerts (${reason}) for property ${propertyId}`);
+        await this.deliverQueuedAlerts();
+      }
+      return queued;
+    } catch (error) {
+      console.error('❌ Failed to queue property alerts:', error);
+      return 0;
+    }
+  }
+
+  // Send queued alerts, one message per lead and channel with all its queued properties
+  async deliverQueuedAlerts() {
+    if (this.delivering) {
+      return;
+    }
+    this.delivering = true;
+
+    try {
+      const result = await pool.query(`
+        SELECT a.*, row_to_json(l.*) AS lead, row_to_json(p.*) AS property
+        FROM property_alerts a
+        JOIN leads l ON l.id = a.lead_id AND l.agency_id = a.agency_id
+        JOIN properties p ON p.id = a.property_id AND p.agency_id = a.agency_id
+        WHERE a.status = $1
+        AND (a.last_attempt_at IS NULL OR a.last_attempt_at <= NOW() - make_interval(mins => $2))
+        ORDER BY a.created_at ASC
+        LIMIT 500
+      `, [PROPERTY_ALERT_STATUS.QUEUED, ALERT_RETRY_DELAY_MINUTES]);
+
+      const groups = new Map();
+      result.rows.forEach(alert => {
+        const key = `${alert.lead_id}:${alert.channel}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(alert);
+      });
+
+      for (const alerts of groups.values()) {
+        await this.deliver(alerts);
+      }
+    } catch (error) {
+      console.error('❌ Failed to deliver property alerts:', error);
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  async deliver(alerts) {
+    const { lead, channel } = alerts[0];
+    const properties = alerts.map(alert => alert.property);
+    const recipient = { ...lead, name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim() };
+    const ids = alerts.map(alert => alert.id);
+
+    // The message queue sends (and retries) the message; the key keeps a retried
+    // delivery of the same alerts from queuing it twice
+    const idempotencyKey = `property-alert:${crypto.createHash('sha256').update([...ids].sort().join(',')).digest('hex')}`;
+
+    let sendResult;
+    try {
+      sendResult = channel === 'whatsapp'
+        ? await twilioService.sendPropertyAlert(properties, recipient, { idempotencyKey, sentBy: 'Property alerts' })
+        : await brevoService.sendPropertyAlert(properties, recipient, { idempotencyKey, sentBy: 'Property alerts' });
+    } catch (error) {
+      sendResult = { success: false, error: error.message };
+    }
+
+    // The lead opted out since the alert was queued: no retry
+    if (sendResult && sendResult.skipped) {
+      await pool.query(
+        'UPDATE property_alerts SET status = $2, attempts = attempts + 1, last_attempt_at = NOW(), error = $3 WHERE id = ANY($1)',
+        [ids, PROPERTY_ALERT_STATUS.FAILED, sendResult.error]
+      );
+      console.log(`🔕 Property alert to lead ${lead.id} dropped: ${sendResult.error}`);
+      return false;
+    }
+
+    if (!sendResult || !sendResult.success) {
+      const error = (sendResult && sendResult.error) || 'Send failed';
+      await pool.query(`
+        UPDATE property_alerts SET
+          attempts = attempts + 1,
+          last_attempt_at = NOW(),
+          error = $2,
+          status = CASE WHEN attempts + 1 >= $3 THEN $4 ELSE status END
+        WHERE id = ANY($1)
+      `, [ids, String(error), MAX_ALERT_ATTEMPTS, PROPERTY_ALERT_STATUS.FAILED]);
+      console.log(`⚠️ Property alert to lead ${lead.id} failed: ${error}`);
+      return false;
+    }
+
+    await pool.query(
+      'UPDATE property_alerts SET status = $2, attempts = attempts + 1, error = NULL, last_attempt_at = NOW(), sent_at = NOW() WHERE id = ANY($1)',
+      [ids, PROPERTY_ALERT_STATUS.SENT]
+    );
+
+    const context = { agencyId: lead.agency_id, userId: null, userName: 'Property alerts' };
+    const titles = properties.map(property => property.title).join(', ');
+
+    await activityService.log({
+      leadId: lead.id,
+      type: channel === 'whatsapp' ? ACTIVITY_TYPES.WHATSAPP_SENT : ACTIVITY_TYPES.EMAIL_SENT,
+      description: `Property alert sent by ${channel}: ${titles}`,
+      metadata: {
+        automatic: true,
+        queueId: sendResult.queueId,
+        propertyIds: properties.map(property => property.id),
+        reasons: [...new Set(alerts.map(alert => alert.reason))]
+      }
+    }, context);
+
+    return true;
+  }
+
+  startAlertScheduler() {
+    setInterval(async () => {
+      await this.deliverQueuedAlerts();
+    }, this.alertCheckInterval);
+
+    console.log('✅ Property alert scheduler started (every 5 minutes)');
+  }
+
+  formatProperty(property) {
+    return {
+      id: property.id,
+      title: property.title,
+      type: property.type,
+      price: property.price,
+      address: property.address,
+      city: property.city,
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      surface: property.surface,
+      status: property.status,
+      imageUrl: property.image_url
+    };
+  }
+
+  formatAlert(alert) {
+    if (!alert) {
+      return null;
+    }
+    return {
+      id: alert.id,
+      channel: alert.channel,
+      reason: alert.reason,
+      status: alert.status,
+      attempts: alert.attempts,
+      error: alert.error,
+      sentAt: alert.sent_at,
+      createdAt: alert.created_at
+    };
+  }
+}
+
+const matchingService = new MatchingService();
+matchingService.MatchingError = MatchingError;
+
+module.exports = matchingService;
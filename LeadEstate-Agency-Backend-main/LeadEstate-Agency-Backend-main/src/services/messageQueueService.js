@@ -0,0 +1,606 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { getPaginationMeta } = require('../utils/helpers');
+const consentService = require('./consentService');
+const { OUTBOUND_MESSAGE_STATUS, PAGINATION } = require('../utils/constants');
+
+const CHANNELS = ['email', 'whatsapp'];
+
+// Worker poll interval and jobs claimed per pass
+const WORKER_INTERVAL_MS = parseInt(process.env.MESSAGE_QUEUE_INTERVAL_MS, 10) || 5000;
+const BATCH_SIZE = 20;
+
+// Attempts before a job goes to the dead-letter state, and the backoff between them
+// (30s, 1m, 2m, 4m... capped at 1h)
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// A provider call taking longer than this counts as a failed attempt
+const SEND_TIMEOUT_MS = 30 * 1000;
+
+// Jobs left processing longer than this (server stopped mid-send) are retried
+const STALE_LOCK_SECONDS = 5 * 60;
+
+// Sends per agency and minute; jobs over the limit wait for a later pass
+const AGENCY_RATE_LIMIT = parseInt(process.env.MESSAGE_QUEUE_AGENCY_RATE_LIMIT, 10) || 60;
+
+const RETRYABLE_HTTP_CODES = [408, 425, 429];
+
+/**
+ * Error raised for invalid queue operations
+ */
+class MessageQueueError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MessageQueueError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Client errors (bad recipient, rejected content) will fail again; timeouts,
+// rate limits and server errors are worth retrying
+const isRetryable = (result) => {
+  const code = parseInt(result.code, 10);
+  return !code || code >= 500 || RETRYABLE_HTTP_CODES.includes(code);
+};
+
+// The provider services and messageService (through duplicateService) require
+// twilioService, which enqueues through this service: they are required lazily
+const getMessageService = () => require('./messageService');
+
+// Providers used by the worker
+const providerAdapters = {
+  email: {
+    name: 'brevo',
+    async send(job) {
+      const brevoService = require('./brevoService');
+      if (!brevoService.isConfigured()) {
+        return { success: false, error: 'Brevo not configured', retryable: false };
+      }
+
+      const result = await brevoService.sendEmail({
+        to: job.recipient,
+        subject: job.subject,
+        html: job.body,
+        tags: job.payload.tags,
+        headers: job.payload.headers,
+        attachments: job.payload.attachments
+      });
+      return result.success
+        ? { success: true, providerMessageId: result.messageId }
+        : { success: false, error: result.error, retryable: isRetryable(result) };
+    }
+  },
+  whatsapp: {
+    name: 'twilio',
+    async send(job) {
+      const twilioService = require('./twilioService');
+      if (!twilioService.isConfigured()) {
+        return { success: false, error: 'Twilio not configured', retryable: false };
+      }
+
+      const result = await twilioService.sendWhatsAppMessage({
+        to: job.recipient,
+        message: job.body,
+        mediaUrl: job.payload.mediaUrl
+      });
+      return result.success
+        ? { success: true, providerMessageId: result.messageSid, status: result.status }
+        : { success: false, error: result.error, retryable: isRetryable(result) };
+    }
+  }
+};
+
+/**
+ * Provider adapter that sends nothing, for tests and local development
+ * (MESSAGE_QUEUE_PROVIDER=fake). The first `failures` calls fail.
+ */
+class FakeProviderAdapter {
+  constructor({ failures = 0, error = 'Simulated provider failure', retryable = true, delayMs = 0 } = {}) {
+    this.name = 'fake';
+    this.failures = failures;
+    this.error = error;
+    this.retryable = retryable;
+    this.delayMs = delayMs;
+    this.calls = 0;
+    this.sent = [];
+  }
+
+  async send(job) {
+    this.calls++;
+    if (this.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+    if (this.calls <= this.failures) {
+      return { success: false, error: this.error, retryable: this.retryable };
+    }
+
+    const providerMessageId = `fake-${crypto.randomUUID()}`;
+    this.sent.push({ ...job, providerMessageId });
+    console.log(`🧪 Fake ${job.channel} send to ${job.recipient} (${providerMessageId})`);
+    return { success: true, providerMessageId, status: 'sent' };
+  }
+}
+
+class MessageQueueService {
+  constructor() {
+    this.adapters = process.env.MESSAGE_QUEUE_PROVIDER === 'fake'
+      ? { email: new FakeProviderAdapter(), whatsapp: new FakeProviderAdapter() }
+      : { ...providerAdapters };
+    this.processing = false;
+    this.rerun = false;
+    this.timer = null;
+  }
+
+  /**
+   * Replace the provider of a channel (a FakeProviderAdapter in tests)
+   * @param {string} channel - email or whatsapp
+   * @param {Object} adapter - { send(job) -> { success, providerMessageId, status, error, retryable } }
+   */
+  setAdapter(channel, adapter) {
+    if (!CHANNELS.includes(channel)) {
+      throw new MessageQueueError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    this.adapters[channel] = adapter;
+  }
+
+  /**
+   * Queue a message; the worker sends it with retries. Returns as soon as the job is stored.
+   * Messages to a lead are added to its conversation as queued; a lead that opted out of
+   * the channel gets nothing and { skipped: true, reason: 'opted_out' } is returned.
+   * @param {Object} message - { channel, to, subject, body, agencyId, leadId, idempotencyKey,
+   *   tags, mediaUrl, attachments, headers, maxAttempts, sentBy, sendAt }; sendAt delays the first attempt.
+   *   Email attachments are { filename, url } (Brevo downloads them when sending)
+   * @returns {Promise<Object>} Job, with duplicate: true when the idempotency key was already used
+   */
+  async enqueue({
+    channel, to, subject = null, body, agencyId = null, leadId = null, idempotencyKey = null,
+    tags, mediaUrl, attachments, headers, maxAttempts = DEFAULT_MAX_ATTEMPTS, sentBy = null, sendAt = null
+  }) {
+    if (!CHANNELS.includes(channel)) {
+      throw new MessageQueueError(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    if (!to) {
+      throw new MessageQueueError('Recipient is required');
+    }
+
+    if (leadId && !(await consentService.canContact(leadId, channel))) {
+      console.log(`🔕 Not queuing ${channel} message to lead ${leadId}: opted out`);
+      return { skipped: true, reason: 'opted_out', channel, leadId };
+    }
+
+    if (idempotencyKey) {
+      const existing = await this.findByIdempotencyKey(idempotencyKey, agencyId);
+      if (existing) {
+        return { ...this.format(existing), duplicate: true };
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(`
+        INSERT INTO outbound_messages (
+          id, agency_id, lead_id, channel, recipient, subject, body, payload,
+          idempotency_key, status, max_attempts, created_by, next_attempt_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, NOW()))
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [
+        crypto.randomUUID(), agencyId, leadId, channel, to, subject, body,
+        JSON.stringify({
+          tags: tags || undefined,
+          mediaUrl: mediaUrl || undefined,
+          attachments: attachments || undefined,
+          headers: headers || undefined
+        }),
+        idempotencyKey, OUTBOUND_MESSAGE_STATUS.PENDING, maxAttempts, sentBy, sendAt
+      ]);
+
+      // Same key enqueued concurrently
+      if (inserted.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { ...this.format(await this.findByIdempotencyKey(idempotencyKey, agencyId)), duplicate: true };
+      }
+
+      let job = inserted.rows[0];
+      if (leadId) {
+        const message = await getMessageService().createQueued(
+          { leadId, channel, to, subject, body },
+          { agencyId, userName: sentBy },
+          client
+        );
+        const updated = await client.query(
+          'UPDATE outbound_messages SET message_id = $2 WHERE id = $1 RETURNING *',
+          [job.id, message.id]
+        );
+        job = updated.rows[0];
+      }
+      await client.query('COMMIT');
+
+      console.log(`📤 Queued ${channel} message ${job.id} to ${to}`);
+      this.wake();
+      return { ...this.format(job), duplicate: false };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Keys are scoped to the agency (jobs without an agency share one scope)
+  async findByIdempotencyKey(idempotencyKey, agencyId = null) {
+    const result = await pool.query(
+      "SELECT * FROM outbound_messages WHERE COALESCE(agency_id, '') = COALESCE($2, '') AND idempotency_key = $1",
+      [idempotencyKey, agencyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Run a pass right away instead of waiting for the next tick (new job, full batch)
+  wake() {
+    if (this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  // One worker pass: release stale jobs, claim due jobs within the agency limits and send them
+  async processQueue() {
+    if (this.processing) {
+      this.rerun = true;
+      return;
+    }
+    this.processing = true;
+
+    let claimed = [];
+    try {
+      await this.releaseStaleJobs();
+      claimed = await this.claimDueJobs();
+      for (const job of claimed) {
+        await this.attempt(job);
+      }
+    } catch (error) {
+      console.error('❌ Message queue pass failed:', error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.rerun || claimed.length === BATCH_SIZE) {
+      this.rerun = false;
+      this.wake();
+    }
+  }
+
+  async releaseStaleJobs() {
+    const result = await pool.query(`
+      UPDATE outbound_messages SET status = $1, locked_at = NULL, updated_at = NOW()
+      WHERE status = $2 AND locked_at < NOW() - make_interval(secs => $3)
+      RETURNING id
+    `, [OUTBOUND_MESSAGE_STATUS.RETRYING, OUTBOUND_MESSAGE_STATUS.PROCESSING, STALE_LOCK_SECONDS]);
+
+    if (result.rows.length > 0) {
+      console.log(`⚠️ Released ${result.rows.length} stale message jobs`);
+    }
+  }
+
+  // Due jobs, oldest first, skipping agencies that reached their sends for the minute.
+  // The status check of the UPDATE keeps two workers from claiming the same job.
+  async claimDueJobs() {
+    const due = await pool.query(`
+      SELECT id, agency_id FROM outbound_messages
+      WHERE status = ANY($1) AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at ASC, created_at ASC
+      LIMIT $2
+    `, [[OUTBOUND_MESSAGE_STATUS.PENDING, OUTBOUND_MESSAGE_STATUS.RETRYING], BATCH_SIZE * 5]);
+    if (due.rows.length === 0) {
+      return [];
+    }
+
+    const agencyIds = [...new Set(due.rows.map(row => row.agency_id).filter(Boolean))];
+    const recent = await pool.query(`
+      SELECT agency_id, COUNT(*) AS attempts FROM outbound_messages
+      WHERE agency_id = ANY($1) AND last_attempt_at > NOW() - INTERVAL '1 minute'
+      GROUP BY agency_id
+    `, [agencyIds]);
+    const budget = new Map(agencyIds.map(id => [id, AGENCY_RATE_LIMIT]));
+    recent.rows.forEach(row => budget.set(row.agency_id, AGENCY_RATE_LIMIT - parseInt(row.attempts, 10)));
+
+    const ids = [];
+    let throttled = 0;
+    for (const row of due.rows) {
+      if (ids.length === BATCH_SIZE) break;
+      // Messages without an agency (platform emails) are not throttled
+      if (row.agency_id) {
+        if (budget.get(row.agency_id) <= 0) {
+          throttled++;
+          continue;
+        }
+        budget.set(row.agency_id, budget.get(row.agency_id) - 1);
+      }
+      ids.push(row.id);
+    }
+
+    if (throttled > 0) {
+      console.log(`⏳ ${throttled} queued messages held back by the agency rate limit`);
+    }
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const claimed = await pool.query(`
+      UPDATE outbound_messages SET status = $2, locked_at = NOW(), updated_at = NOW()
+      WHERE id = ANY($1) AND status = ANY($3)
+      RETURNING *
+    `, [ids, OUTBOUND_MESSAGE_STATUS.PROCESSING, [OUTBOUND_MESSAGE_STATUS.PENDING, OUTBOUND_MESSAGE_STATUS.RETRYING]]);
+    return claimed.rows;
+  }
+
+  // Send a claimed job once and record the outcome: sent, retry later or dead-letter
+  async attempt(job) {
+    // Consent withdrawn while the message was waiting (delayed campaign messages, retries)
+    if (job.lead_id && !(await consentService.canContact(job.lead_id, job.channel))) {
+      await pool.query(`
+        UPDATE outbound_messages SET status = $2, last_error = $3, locked_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, OUTBOUND_MESSAGE_STATUS.CANCELLED, 'Lead opted out']);
+      if (job.message_id) {
+        await getMessageService().markFailed(job.message_id, 'Lead opted out');
+      }
+      console.log(`🔕 Cancelled ${job.channel} message ${job.id}: lead opted out`);
+      return false;
+    }
+
+    const adapter = this.adapters[job.channel];
+    let outcome;
+    try {
+      outcome = await this.withTimeout(adapter.send(this.format(job)));
+    } catch (error) {
+      outcome = { success: false, error: error.message, retryable: true };
+    }
+
+    const attempts = job.attempts + 1;
+
+    if (outcome.success) {
+      await pool.query(`
+        UPDATE outbound_messages SET
+          status = $2, attempts = $3, provider = $4, provider_message_id = $5, last_error = NULL,
+          last_attempt_at = NOW(), sent_at = NOW(), locked_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, OUTBOUND_MESSAGE_STATUS.SENT, attempts, adapter.name || null, outcome.providerMessageId || null]);
+
+      if (job.message_id) {
+        await getMessageService().markSent(job.message_id, outcome.providerMessageId || null, outcome.status);
+      }
+      console.log(`✅ Sent ${job.channel} message ${job.id} (attempt ${attempts})`);
+      return true;
+    }
+
+    const error = String(outcome.error || 'Send failed');
+    if (outcome.retryable !== false && attempts < job.max_attempts) {
+      const delayMs = this.getRetryDelay(attempts);
+      await pool.query(`
+        UPDATE outbound_messages SET
+          status = $2, attempts = $3, last_error = $4, last_attempt_at = NOW(),
+          next_attempt_at = NOW() + make_interval(secs => $5), locked_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id, OUTBOUND_MESSAGE_STATUS.RETRYING, attempts, error, delayMs / 1000]);
+
+      console.log(`⚠️ ${job.channel} message ${job.id} failed (attempt ${attempts}/${job.max_attempts}), retrying in ${Math.round(delayMs / 1000)}s: ${error}`);
+      return false;
+    }
+
+    await pool.query(`
+      UPDATE outbound_messages SET
+        status = $2, attempts = $3, last_error = $4, last_attempt_at = NOW(), locked_at = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, OUTBOUND_MESSAGE_STATUS.DEAD, attempts, error]);
+
+    if (job.message_id) {
+      await getMessageService().markFailed(job.message_id, error);
+    }
+    console.error(`❌ ${job.channel} message ${job.id} moved to dead-letter after ${attempts} attempt(s): ${error}`);
+    return false;
+  }
+
+  // Exponential backoff with up to 10% jitter so retries of a failed batch spread out
+  getRetryDelay(attempts) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+    return Math.round(delay + delay * 0.1 * Math.random());
+  }
+
+  withTimeout(promise) {
+    let timeout;
+    return Promise.race([
+      promise,
+      new Promise((resolve, reject) => {
+        timeout = setTimeout(() => reject(new Error(`Provider timeout after ${SEND_TIMEOUT_MS / 1000}s`)), SEND_TIMEOUT_MS);
+      })
+    ]).finally(() => clearTimeout(timeout));
+  }
+
+  // Queue jobs of an agency, newest first (filters: status, channel, leadId)
+  async list(agencyId, { status, channel, leadId, page, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [agencyId];
+    const conditions = ['agency_id = $1'];
+    if (status) {
+      params.push(String(status).split(','));
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    if (channel) {
+      params.push(channel);
+      conditions.push(`channel = $${params.length}`);
+    }
+    if (leadId) {
+      params.push(leadId);
+      conditions.push(`lead_id = $${params.length}`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM outbound_messages ${whereClause}`, params);
+
+    const result = await pool.query(`
+      SELECT * FROM outbound_messages
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      messages: result.rows.map(row => this.format(row)),
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  async findById(id, agencyId) {
+    const result = await pool.query('SELECT * FROM outbound_messages WHERE id = $1 AND agency_id = $2', [id, agencyId]);
+    return result.rows[0] || null;
+  }
+
+  // Queue health of an agency: jobs per status and channel, backlog age and throttling
+  async getStats(agencyId) {
+    const counts = await pool.query(`
+      SELECT channel, status, COUNT(*) AS total FROM outbound_messages
+      WHERE agency_id = $1
+      GROUP BY channel, status
+    `, [agencyId]);
+
+    const backlog = await pool.query(`
+      SELECT MIN(created_at) AS oldest_pending, MIN(next_attempt_at) AS next_attempt_at
+      FROM outbound_messages WHERE agency_id = $1 AND status = ANY($2)
+    `, [agencyId, [OUTBOUND_MESSAGE_STATUS.PENDING, OUTBOUND_MESSAGE_STATUS.RETRYING]]);
+
+    const recent = await pool.query(`
+      SELECT COUNT(*) AS attempts FROM outbound_messages
+      WHERE agency_id = $1 AND last_attempt_at > NOW() - INTERVAL '1 minute'
+    `, [agencyId]);
+
+    const byStatus = Object.values(OUTBOUND_MESSAGE_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+    const byChannel = CHANNELS.reduce((acc, channel) => ({ ...acc, [channel]: { ...byStatus } }), {});
+    counts.rows.forEach(row => {
+      const total = parseInt(row.total, 10);
+      byStatus[row.status] = (byStatus[row.status] || 0) + total;
+      if (byChannel[row.channel]) {
+        byChannel[row.channel][row.status] = total;
+      }
+    });
+
+    const attemptsLastMinute = parseInt(recent.rows[0].attempts, 10);
+    return {
+      byStatus,
+      byChannel,
+      oldestPendingAt: backlog.rows[0].oldest_pending,
+      nextAttemptAt: backlog.rows[0].next_attempt_at,
+      throttle: {
+        limitPerMinute: AGENCY_RATE_LIMIT,
+        attemptsLastMinute,
+        throttled: attemptsLastMinute >= AGENCY_RATE_LIMIT
+      },
+      worker: {
+        running: Boolean(this.timer),
+        intervalMs: WORKER_INTERVAL_MS,
+        providers: Object.fromEntries(Object.entries(this.adapters).map(([channel, adapter]) => [channel, adapter.name || 'custom']))
+      }
+    };
+  }
+
+  // Send a dead-letter job again with a fresh set of attempts
+  async retry(id, agencyId) {
+    const job = await this.findById(id, agencyId);
+    if (!job) {
+      throw new MessageQueueError('Queued message not found', 404);
+    }
+    if (job.status !== OUTBOUND_MESSAGE_STATUS.DEAD) {
+      throw new MessageQueueError(`Only dead messages can be retried (status: ${job.status})`);
+    }
+
+    const result = await pool.query(`
+      UPDATE outbound_messages SET
+        status = $2, attempts = 0, next_attempt_at = NOW(), last_error = NULL, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, OUTBOUND_MESSAGE_STATUS.PENDING]);
+
+    if (job.message_id) {
+      await getMessageService().markQueued(job.message_id);
+    }
+    this.wake();
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Withdraw jobs that were not sent yet; their lead messages are marked failed
+   * @param {string[]} ids - Job ids
+   * @param {string} reason - Stored as the last error
+   * @returns {Promise<number>} Jobs cancelled
+   */
+  async cancel(ids, reason) {
+    if (!ids.length) {
+      return 0;
+    }
+
+    const result = await pool.query(`
+      UPDATE outbound_messages SET status = $2, last_error = $3, updated_at = NOW()
+      WHERE id = ANY($1) AND status = ANY($4)
+      RETURNING message_id
+    `, [ids, OUTBOUND_MESSAGE_STATUS.CANCELLED, reason, [OUTBOUND_MESSAGE_STATUS.PENDING, OUTBOUND_MESSAGE_STATUS.RETRYING]]);
+
+    for (const row of result.rows) {
+      if (row.message_id) {
+        await getMessageService().markFailed(row.message_id, reason);
+      }
+    }
+    return result.rows.length;
+  }
+
+  startWorker() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processQueue(), WORKER_INTERVAL_MS);
+    console.log(`✅ Outbound message queue worker started (every ${WORKER_INTERVAL_MS / 1000}s)`);
+  }
+
+  stopWorker() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      channel: row.channel,
+      recipient: row.recipient,
+      subject: row.subject,
+      body: row.body,
+      payload: row.payload || {},
+      agencyId: row.agency_id,
+      leadId: row.lead_id,
+      messageId: row.message_id,
+      idempotencyKey: row.idempotency_key,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastAttemptAt: row.last_attempt_at,
+      lastError: row.last_error,
+      provider: row.provider,
+      providerMessageId: row.provider_message_id,
+      sentAt: row.sent_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+const messageQueueService = new MessageQueueService();
+messageQueueService.MessageQueueError = MessageQueueError;
+messageQueueService.FakeProviderAdapter = FakeProviderAdapter;
+
+module.exports = messageQueueService;
@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const duplicateService = require('./duplicateService');
+const { getPaginationMeta } = require('../utils/helpers');
+const { ACTIVITY_TYPES, LEAD_STATUS, MESSAGE_STATUS, PAGINATION } = require('../utils/constants');
+
+// Delivery states only move forward; failed can replace any state before delivery
+const STATUS_RANK = {
+  [MESSAGE_STATUS.QUEUED]: 1,
+  [MESSAGE_STATUS.SENT]: 2,
+  [MESSAGE_STATUS.DELIVERED]: 3,
+  [MESSAGE_STATUS.READ]: 4,
+};
+
+// Twilio message statuses -> our delivery states
+const TWILIO_STATUSES = {
+  accepted: MESSAGE_STATUS.QUEUED,
+  scheduled: MESSAGE_STATUS.QUEUED,
+  queued: MESSAGE_STATUS.QUEUED,
+  sending: MESSAGE_STATUS.QUEUED,
+  sent: MESSAGE_STATUS.SENT,
+  delivered: MESSAGE_STATUS.DELIVERED,
+  read: MESSAGE_STATUS.READ,
+  undelivered: MESSAGE_STATUS.FAILED,
+  failed: MESSAGE_STATUS.FAILED,
+  canceled: MESSAGE_STATUS.FAILED,
+  received: MESSAGE_STATUS.RECEIVED,
+};
+
+// Brevo transactional events -> recorded event and the delivery state it implies
+const BREVO_EVENTS = {
+  request: { event: 'sent', status: MESSAGE_STATUS.SENT },
+  delivered: { event: 'delivered', status: MESSAGE_STATUS.DELIVERED },
+  opened: { event: 'opened', status: MESSAGE_STATUS.READ },
+  unique_opened: { event: 'opened', status: MESSAGE_STATUS.READ },
+  proxy_open: { event: 'opened', status: MESSAGE_STATUS.READ },
+  unique_proxy_open: { event: 'opened', status: MESSAGE_STATUS.READ },
+  click: { event: 'clicked', status: MESSAGE_STATUS.READ },
+  hard_bounce: { event: 'bounced', status: MESSAGE_STATUS.FAILED },
+  soft_bounce: { event: 'bounced', status: MESSAGE_STATUS.FAILED },
+  blocked: { event: 'blocked', status: MESSAGE_STATUS.FAILED },
+  invalid_email: { event: 'bounced', status: MESSAGE_STATUS.FAILED },
+  error: { event: 'failed', status: MESSAGE_STATUS.FAILED },
+  deferred: { event: 'deferred', status: null },
+  spam: { event: 'spam', status: null },
+  unsubscribed: { event: 'unsubscribed', status: null },
+};
+
+// Actor recorded on timeline entries created by provider webhooks
+const webhookContext = (agencyId, provider) => ({ agencyId, userId: null, userName: provider });
+
+/**
+ * Strip the whatsapp: prefix Twilio puts on addresses
+ * @param {string} address - Twilio From/To value
+ * @returns {string} Phone number
+ */
+const stripWhatsAppPrefix = (address) => String(address || '').replace(/^whatsapp:/i, '').trim();
+
+class MessageService {
+  /**
+   * Record a message sent to a lead so provider callbacks can update its delivery state.
+   * Failures are logged and swallowed so they never break the send.
+   * @param {Object} message - { leadId, channel, providerMessageId, to, from, subject, body, status }
+   * @param {Object} context - Actor context (agencyId, userId, userName)
+   * @returns {Promise<Object|null>} Recorded message
+   */
+  async recordOutbound({ leadId, channel, providerMessageId = null, to = null, from = null, subject = null, body = '', status }, context = {}) {
+    try {
+      const result = await pool.query(`
+        INSERT INTO lead_messages (
+          id, agency_id, lead_id, channel, direction, provider_message_id,
+          from_address, to_address, subject, body, status, sent_by
+        )
+        VALUES ($1, $2, $3, $4, 'outbound', $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (channel, provider_message_id) WHERE provider_message_id IS NOT NULL DO NOTHING
+        RETURNING *
+      `, [
+        crypto.randomUUID(), context.agencyId, leadId, channel, providerMessageId,
+        from, to, subject, body, TWILIO_STATUSES[status] || status || MESSAGE_STATUS.SENT,
+        context.userName || null
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('❌ Failed to record outbound message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add a message waiting in the outbound queue to the lead's conversation.
+   * Runs in the caller's transaction so the queue job and the message are created together.
+   * @param {Object} message - { leadId, channel, to, subject, body }
+   * @param {Object} context - Actor context (agencyId, userName)
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} Recorded message
+   */
+  async createQueued({ leadId, channel, to = null, subject = null, body = '' }, context, client = pool) {
+    const result = await client.query(`
+      INSERT INTO lead_messages (
+        id, agency_id, lead_id, channel, direction, to_address, subject, body, status, sent_by
+      )
+      VALUES ($1, $2, $3, $4, 'outbound', $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      crypto.randomUUID(), context.agencyId, leadId, channel, to, subject, body,
+      MESSAGE_STATUS.QUEUED, context.userName || null
+    ]);
+    return result.rows[0];
+  }
+
+  // The queue handed a message to the provider: store its id so webhooks can update it
+  async markSent(messageId, providerMessageId, status = null) {
+    const nextStatus = TWILIO_STATUSES[status] || MESSAGE_STATUS.SENT;
+    await pool.query(`
+      UPDATE lead_messages SET
+        provider_message_id = COALESCE($2, provider_message_id),
+        status = CASE WHEN status = $4 THEN $3 ELSE status END,
+        updated_at = NOW()
+      WHERE id = $1
+    `, [messageId, providerMessageId, nextStatus, MESSAGE_STATUS.QUEUED]);
+  }
+
+  // The queue gave up on a message (dead-letter)
+  async markFailed(messageId, error) {
+    await pool.query(
+      'UPDATE lead_messages SET status = $2, error = $3, updated_at = NOW() WHERE id = $1',
+      [messageId, MESSAGE_STATUS.FAILED, error ? String(error) : null]
+    );
+  }
+
+  // A dead message is retried from the queue
+  async markQueued(messageId) {
+    await pool.query(
+      'UPDATE lead_messages SET status = $2, error = NULL, error_code = NULL, updated_at = NOW() WHERE id = $1',
+      [messageId, MESSAGE_STATUS.QUEUED]
+    );
+  }
+
+  // Lead an inbound WhatsApp number belongs to. Several agencies may know the same
+  // number: the lead last messaged from our side wins, then the last updated one.
+  async findLeadByPhone(phone) {
+    const normalized = duplicateService.normalizePhone(phone);
+    if (!normalized) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT l.* FROM leads l
+      LEFT JOIN LATERAL (
+        SELECT MAX(m.created_at) AS last_outbound
+        FROM lead_messages m
+        WHERE m.lead_id = l.id AND m.direction = 'outbound' AND m.channel = 'whatsapp'
+      ) m ON true
+      WHERE l.phone_normalized = $1
+      ORDER BY m.last_outbound DESC NULLS LAST, l.updated_at DESC
+      LIMIT 1
+    `, [normalized]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Handle a Twilio webhook: an inbound WhatsApp message or a delivery status callback
+   * @param {Object} params - Webhook form parameters
+   * @returns {Promise<Object>} What was done ({ type, message, lead, statusChange })
+   */
+  async handleTwilioWebhook(params) {
+    const status = String(params.MessageStatus || params.SmsStatus || '').toLowerCase();
+    const inbound = status === 'received' || (!params.MessageStatus && params.Body !== undefined);
+
+    if (inbound) {
+      return this.recordInboundWhatsApp(params);
+    }
+
+    const message = await this.updateStatus('whatsapp', params.MessageSid, TWILIO_STATUSES[status], {
+      event: status,
+      errorCode: params.ErrorCode || null,
+      error: params.ErrorMessage || null,
+      payload: params
+    });
+    return { type: 'status', message };
+  }
+
+  async recordInboundWhatsApp(params) {
+    const from = stripWhatsAppPrefix(params.From);
+    const lead = await this.findLeadByPhone(from);
+
+    const numMedia = parseInt(params.NumMedia, 10) || 0;
+    const media = [];
+    for (let i = 0; i < numMedia; i++) {
+      media.push({ url: params[`MediaUrl${i}`], contentType: params[`MediaContentType${i}`] || null });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO lead_messages (
+        id, agency_id, lead_id, channel, direction, provider_message_id,
+        from_address, to_address, body, media, status, sent_by
+      )
+      VALUES ($1, $2, $3, 'whatsapp', 'inbound', $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (channel, provider_message_id) WHERE provider_message_id IS NOT NULL DO NOTHING
+      RETURNING *
+    `, [
+      crypto.randomUUID(), lead ? lead.agency_id : null, lead ? lead.id : null,
+      params.MessageSid || null, from, stripWhatsAppPrefix(params.To), params.Body || '',
+      JSON.stringify(media), MESSAGE_STATUS.RECEIVED, params.ProfileName || null
+    ]);
+
+    // Twilio retries webhooks; a message already stored was handled the first time
+    const message = result.rows[0];
+    if (!message) {
+      return { type: 'inbound', duplicate: true };
+    }
+
+    if (!lead) {
+      console.log(`⚠️ Inbound WhatsApp from ${from} matches no lead`);
+      return { type: 'inbound', message, lead: null };
+    }
+
+    const context = webhookContext(lead.agency_id, params.ProfileName || 'WhatsApp');
+    const preview = (params.Body || (numMedia > 0 ? `${numMedia} attachment(s)` : '')).slice(0, 100);
+    await activityService.log({
+      leadId: lead.id,
+      type: ACTIVITY_TYPES.WHATSAPP_RECEIVED,
+      description: `WhatsApp reply: ${preview}`,
+      metadata: { messageId: message.id, messageSid: params.MessageSid, media: media.length }
+    }, context);
+
+    // A reply means the lead was reached
+    const updated = await pool.query(`
+      UPDATE leads SET
+        status = CASE WHEN status = $2 THEN $3 ELSE status END,
+        last_contact = NOW(),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [lead.id, LEAD_STATUS.NEW, LEAD_STATUS.CONTACTED]);
+
+    let statusChange = null;
+    if (updated.rows[0].status !== lead.status) {
+      await activityService.logLeadChanges(lead, updated.rows[0], context);
+      statusChange = { before: lead, after: updated.rows[0] };
+    }
+
+    console.log(`💬 Inbound WhatsApp stored for lead ${lead.id}`);
+    return { type: 'inbound', message, lead: updated.rows[0], statusChange };
+  }
+
+  /**
+   * Move a sent message to a new delivery state and record the provider event.
+   * Out-of-order callbacks never move a message back (a late "sent" after "read").
+   * @param {string} channel - whatsapp or email
+   * @param {string} providerMessageId - Twilio MessageSid or Brevo message-id
+   * @param {string|null} status - New delivery state, null to only record the event
+   * @param {Object} details - { event, errorCode, error, payload, occurredAt }
+   * @returns {Promise<Object|null>} Updated message, null when the message is unknown
+   */
+  async updateStatus(channel, providerMessageId, status, { event, errorCode = null, error = null, payload = {}, occurredAt = null } = {}) {
+    if (!providerMessageId) {
+      return null;
+    }
+
+    const found = await pool.query(
+      'SELECT * FROM lead_messages WHERE channel = $1 AND provider_message_id = $2',
+      [channel, providerMessageId]
+    );
+    const message = found.rows[0];
+    if (!message) {
+      return null;
+    }
+
+    await pool.query(`
+      INSERT INTO lead_message_events (id, message_id, agency_id, lead_id, event, payload, occurred_at)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()))
+    `, [
+      crypto.randomUUID(), message.id, message.agency_id, message.lead_id, event,
+      JSON.stringify(payload), occurredAt
+    ]);
+
+    if (!status || !this.canMoveTo(message.status, status)) {
+      return message;
+    }
+
+    const result = await pool.query(`
+      UPDATE lead_messages SET
+        status = $2::varchar,
+        error_code = COALESCE($3, error_code),
+        error = COALESCE($4, error),
+        delivered_at = CASE WHEN $2::varchar IN ('delivered', 'read') THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END,
+        read_at = CASE WHEN $2::varchar = 'read' THEN COALESCE(read_at, NOW()) ELSE read_at END,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [message.id, status, errorCode ? String(errorCode) : null, error]);
+    return result.rows[0];
+  }
+
+  canMoveTo(current, next) {
+    if (current === next || current === MESSAGE_STATUS.FAILED || current === MESSAGE_STATUS.RECEIVED) {
+      return false;
+    }
+    if (next === MESSAGE_STATUS.FAILED) {
+      return (STATUS_RANK[current] || 0) < STATUS_RANK[MESSAGE_STATUS.DELIVERED];
+    }
+    return (STATUS_RANK[next] || 0) > (STATUS_RANK[current] || 0);
+  }
+
+  /**
+   * Record Brevo transactional email events (one event or a batch)
+   * @param {Object|Object[]} payload - Webhook body
+   * @returns {Promise<number>} Events matched to a known message
+   */
+  async handleBrevoWebhook(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+    let recorded = 0;
+
+    for (const item of events) {
+      const mapping = BREVO_EVENTS[item.event];
+      const providerMessageId = item['message-id'] || item.messageId;
+      if (!mapping || !providerMessageId) continue;
+
+      const before = await pool.query(
+        "SELECT read_at FROM lead_messages WHERE channel = 'email' AND provider_message_id = $1",
+        [providerMessageId]
+      );
+      const occurredAt = item.ts_event ? new Date(item.ts_event * 1000) : (item.date ? new Date(item.date) : null);
+      const message = await this.updateStatus('email', providerMessageId, mapping.status, {
+        event: mapping.event,
+        error: mapping.status === MESSAGE_STATUS.FAILED ? (item.reason || item.event) : null,
+        payload: item,
+        occurredAt: occurredAt && !isNaN(occurredAt) ? occurredAt : null
+      });
+      if (!message) continue;
+      recorded++;
+
+      if (message.lead_id) {
+        await this.logEmailEvent(message, mapping.event, item, !before.rows[0].read_at);
+      }
+    }
+
+    return recorded;
+  }
+
+  // Put opens (first one only), clicks and bounces on the lead timeline
+  async logEmailEvent(message, event, item, firstOpen) {
+    const subject = message.subject ? ` "${message.subject}"` : '';
+    let activity = null;
+
+    if (event === 'opened' && firstOpen) {
+      activity = { type: ACTIVITY_TYPES.EMAIL_OPENED, description: `Opened email${subject}` };
+    } else if (event === 'clicked') {
+      activity = { type: ACTIVITY_TYPES.EMAIL_CLICKED, description: `Clicked ${item.link || 'a link'} in email${subject}` };
+    } else if (event === 'bounced' || event === 'blocked') {
+      activity = { type: ACTIVITY_TYPES.EMAIL_BOUNCED, description: `Email${subject} to ${message.to_address} bounced (${item.event})` };
+    }
+
+    if (activity) {
+      await activityService.log({
+        leadId: message.lead_id,
+        ...activity,
+        metadata: { messageId: message.id, event: item.event, link: item.link || null, reason: item.reason || null }
+      }, webhookContext(message.agency_id, 'Brevo'));
+    }
+  }
+
+  // Conversation log of a lead, newest first
+  async listForLead(leadId, agencyId, { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT, channel } = {}) {
+    const params = [leadId, agencyId];
+    const conditions = ['lead_id = $1', 'agency_id = $2'];
+    if (channel) {
+      params.push(channel);
+      conditions.push(`channel = $${params.length}`);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM lead_messages WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    const result = await pool.query(`
+      SELECT * FROM lead_messages
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      messages: result.rows.map(row => this.format(row)),
+      pagination: getPaginationMeta(page, limit, total)
+    };
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      leadId: row.lead_id,
+      channel: row.channel,
+      direction: row.direction,
+      from: row.from_address,
+      to: row.to_address,
+      subject: row.subject,
+      body: row.body,
+      media: row.media || [],
+      status: row.status,
+      errorCode: row.error_code,
+      error: row.error,
+      sentBy: row.sent_by,
+      deliveredAt: row.delivered_at,
+      readAt: row.read_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new MessageService();
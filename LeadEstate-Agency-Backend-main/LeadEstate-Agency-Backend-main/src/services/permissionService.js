@@ -0,0 +1,168 @@
+const { pool } = require('../config/database');
+const { PERMISSIONS, ROLE_PERMISSIONS, USER_ROLES } = require('../utils/constants');
+
+// Agency overrides are read at most once a minute (and reloaded when changed)
+const OVERRIDES_CACHE_TTL = 60 * 1000;
+
+// Managers always keep every permission so an agency cannot lock itself out
+const CONFIGURABLE_ROLES = [USER_ROLES.SUPER_AGENT, USER_ROLES.AGENT];
+
+/**
+ * Error raised for invalid permission overrides
+ */
+class PermissionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PermissionError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PermissionService {
+  constructor() {
+    this.overridesCache = new Map();
+  }
+
+  // Per-agency role permissions saved in agency_settings.settings.rolePermissions
+  async getAgencyOverrides(agencyId) {
+    const cached = this.overridesCache.get(agencyId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const result = await pool.query('SELECT settings FROM agency_settings WHERE agency_id = $1', [agencyId]);
+    const value = (result.rows[0] && result.rows[0].settings.rolePermissions) || {};
+    this.overridesCache.set(agencyId, { value, expiresAt: Date.now() + OVERRIDES_CACHE_TTL });
+    return value;
+  }
+
+  /**
+   * Permissions of a user: the agency's override for the role, or the role defaults
+   * @param {Object} user - req.user ({ role, agencyId })
+   * @returns {Promise<string[]>}
+   */
+  async getPermissions(user) {
+    if (!user) {
+      return [];
+    }
+    if (user.role === USER_ROLES.MANAGER) {
+      return [...ROLE_PERMISSIONS[USER_ROLES.MANAGER]];
+    }
+
+    const overrides = await this.getAgencyOverrides(user.agencyId);
+    return [...(overrides[user.role] || ROLE_PERMISSIONS[user.role] || [])];
+  }
+
+  async can(user, permission) {
+    return (await this.getPermissions(user)).includes(permission);
+  }
+
+  // 'all' when the user sees every lead of the agency, 'own' for their assigned leads only, else null
+  async getLeadScope(user) {
+    const permissions = await this.getPermissions(user);
+    if (permissions.includes(PERMISSIONS.LEADS_READ_ALL)) return 'all';
+    if (permissions.includes(PERMISSIONS.LEADS_READ_OWN)) return 'own';
+    return null;
+  }
+
+  // assigned_to holds the agent's name (as in team_members and follow-ups); email and id also match
+  getAssigneeKeys(user) {
+    const fullName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+    return [fullName, user.email, user.id]
+      .filter(Boolean)
+      .map(value => String(value).toLowerCase());
+  }
+
+  /**
+   * SQL condition restricting leads to those assigned to the user
+   * @param {Object} user - req.user
+   * @param {Array} params - Query parameters, the assignee keys are appended
+   * @param {string} column - assigned_to column (with its table alias if any)
+   */
+  buildOwnLeadCondition(user, params, column = 'assigned_to') {
+    params.push(this.getAssigneeKeys(user));
+    return `LOWER(TRIM(${column})) = ANY($${params.length}::text[])`;
+  }
+
+  isOwnLead(user, lead) {
+    const assignedTo = String(lead.assigned_to || lead.assignedTo || '').trim().toLowerCase();
+    return Boolean(assignedTo) && this.getAssigneeKeys(user).includes(assignedTo);
+  }
+
+  // Lead the user may open: same agency and, with leads.read.own only, assigned to them
+  async canAccessLead(user, leadId) {
+    const scope = await this.getLeadScope(user);
+    if (scope === 'all') {
+      return true;
+    }
+    if (!scope) {
+      return false;
+    }
+
+    const params = [leadId, user.agencyId];
+    const result = await pool.query(
+      `SELECT 1 FROM leads WHERE id::text = $1 AND agency_id = $2 AND ${this.buildOwnLeadCondition(user, params)}`,
+      params
+    );
+    return result.rows.length > 0;
+  }
+
+  // Permission matrix of the agency: defaults, overrides and effective permissions per role
+  async getMatrix(agencyId) {
+    const overrides = await this.getAgencyOverrides(agencyId);
+    return Object.values(USER_ROLES).map(role => ({
+      role,
+      configurable: CONFIGURABLE_ROLES.includes(role),
+      overridden: Boolean(overrides[role]),
+      defaults: ROLE_PERMISSIONS[role],
+      permissions: overrides[role] || ROLE_PERMISSIONS[role]
+    }));
+  }
+
+  /**
+   * Replace the permissions of a role for an agency
+   * @param {string} agencyId
+   * @param {string} role - super_agent or agent
+   * @param {string[]|null} permissions - New permissions, null to go back to the defaults
+   */
+  async setRolePermissions(agencyId, role, permissions, updatedBy = null) {
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      throw new PermissionError(`Permissions can only be changed for: ${CONFIGURABLE_ROLES.join(', ')}`);
+    }
+
+    if (permissions !== null) {
+      if (!Array.isArray(permissions)) {
+        throw new PermissionError('permissions must be an array');
+      }
+      const known = Object.values(PERMISSIONS);
+      const unknown = permissions.filter(permission => !known.includes(permission));
+      if (unknown.length > 0) {
+        throw new PermissionError(`Unknown permissions: ${unknown.join(', ')}`);
+      }
+    }
+
+    const overrides = { ...await this.getAgencyOverrides(agencyId) };
+    if (permissions === null) {
+      delete overrides[role];
+    } else {
+      overrides[role] = [...new Set(permissions)];
+    }
+
+    await pool.query(`
+      INSERT INTO agency_settings (agency_id, settings, updated_by, updated_at)
+      VALUES ($1, jsonb_build_object('rolePermissions', $2::jsonb), $3, NOW())
+      ON CONFLICT (agency_id) DO UPDATE SET
+        settings = agency_settings.settings || jsonb_build_object('rolePermissions', $2::jsonb),
+        updated_by = EXCLUDED.updated_by,
+        updated_at = NOW()
+    `, [agencyId, JSON.stringify(overrides), updatedBy]);
+
+    this.overridesCache.delete(agencyId);
+    return this.getMatrix(agencyId);
+  }
+}
+
+const permissionService = new PermissionService();
+permissionService.PermissionError = PermissionError;
+
+module.exports = permissionService;
@@ -0,0 +1,278 @@
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const auditService = require('./auditService');
+const consentService = require('./consentService');
+const duplicateService = require('./duplicateService');
+const scoringService = require('./scoringService');
+const storageService = require('./storageService');
+const {
+  ACTIVITY_TYPES,
+  APPOINTMENT_STATUS,
+  CONSENT_CHANNELS,
+  CONSENT_STATUS,
+  CONSENT_SOURCES,
+  MESSAGE_STATUS,
+  OUTBOUND_MESSAGE_STATUS,
+  PROPERTY_ALERT_STATUS
+} = require('../utils/constants');
+
+/**
+ * Error raised for invalid data subject requests
+ */
+class PrivacyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PrivacyError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PrivacyService {
+  async findLead(leadId, agencyId, db = pool) {
+    const result = await db.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, agencyId]);
+    if (result.rows.length === 0) {
+      throw new PrivacyError('Lead not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Everything stored about a lead (access and portability requests)
+   * @param {string} leadId - Lead
+   * @param {Object} context - { agencyId, userId, userName }
+   * @returns {Promise<Object>} Lead row and its related records
+   */
+  async exportLeadData(leadId, context) {
+    const lead = await this.findLead(leadId, context.agencyId);
+    const params = [leadId, context.agencyId];
+
+    const [consents, activities, messages, events, followUps, appointments, campaigns, alerts, merges] = await Promise.all([
+      pool.query('SELECT * FROM lead_consents WHERE lead_id = $1 AND agency_id = $2 ORDER BY created_at ASC', params),
+      pool.query('SELECT * FROM lead_activities WHERE lead_id = $1 AND agency_id = $2 ORDER BY created_at ASC', params),
+      pool.query('SELECT * FROM lead_messages WHERE lead_id = $1 AND agency_id = $2 ORDER BY created_at ASC', params),
+      pool.query('SELECT * FROM lead_message_events WHERE lead_id = $1 AND agency_id = $2 ORDER BY occurred_at ASC', params),
+      pool.query('SELECT * FROM follow_ups WHERE lead_id = $1 AND agency_id = $2 ORDER BY due_date ASC', params),
+      pool.query('SELECT * FROM appointments WHERE lead_id = $1 AND agency_id = $2 ORDER BY starts_at ASC', params),
+      pool.query(`
+        SELECT r.*, c.name AS campaign_name FROM campaign_recipients r
+        JOIN campaigns c ON c.id = r.campaign_id
+        WHERE r.lead_id = $1 AND r.agency_id = $2
+        ORDER BY r.created_at ASC
+      `, params),
+      pool.query(`
+        SELECT a.*, p.title AS property_title FROM property_alerts a
+        LEFT JOIN properties p ON p.id = a.property_id
+        WHERE a.lead_id = $1 AND a.agency_id = $2
+        ORDER BY a.created_at ASC
+      `, params),
+      pool.query('SELECT * FROM lead_merges WHERE survivor_id = $1 AND agency_id = $2 ORDER BY created_at ASC', params)
+    ]);
+
+    await auditService.log({
+      userId: context.userId,
+      action: auditService.actionTypes.PERSONAL_DATA_EXPORTED,
+      resourceType: 'lead',
+      resourceId: leadId,
+      details: { exportedBy: context.userName }
+    });
+
+    return {
+      exportedAt: new Date().toISOString(),
+      lead,
+      consents: consents.rows,
+      activities: activities.rows,
+      messages: messages.rows.map(message => ({
+        ...message,
+        events: events.rows.filter(event => event.message_id === message.id)
+      })),
+      followUps: followUps.rows,
+      appointments: appointments.rows,
+      campaigns: campaigns.rows,
+      propertyAlerts: alerts.rows,
+      merges: merges.rows
+    };
+  }
+
+  /**
+   * Erase a lead's personal data (right to erasure). The lead row stays, anonymized,
+   * so status, source, budget and timeline counts still add up in analytics; contact
+   * details, notes, message contents and free text about the lead are removed.
+   * Messages still waiting in the queue are cancelled, every channel is withdrawn and the
+   * brochures sent to the lead are deleted.
+   * @param {string} leadId - Lead
+   * @param {Object} context - { agencyId, userId, userName }
+   * @returns {Promise<Object>} Counts of the records scrubbed
+   */
+  async eraseLead(leadId, context) {
+    const client = await pool.connect();
+    const erased = {};
+    let brochures = [];
+    try {
+      await client.query('BEGIN');
+      const leadResult = await client.query(
+        'SELECT * FROM leads WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [leadId, context.agencyId]
+      );
+      const lead = leadResult.rows[0];
+      if (!lead) {
+        throw new PrivacyError('Lead not found', 404);
+      }
+      if (lead.anonymized_at) {
+        throw new PrivacyError('The personal data of this lead was already erased', 409);
+      }
+
+      const cancelled = await client.query(`
+        UPDATE outbound_messages SET status = $2, last_error = 'Lead erased', updated_at = NOW()
+        WHERE lead_id = $1 AND status = ANY($3)
+      `, [leadId, OUTBOUND_MESSAGE_STATUS.CANCELLED, [OUTBOUND_MESSAGE_STATUS.PENDING, OUTBOUND_MESSAGE_STATUS.RETRYING]]);
+      erased.queuedMessagesCancelled = cancelled.rowCount;
+
+      const outbound = await client.query(`
+        UPDATE outbound_messages SET recipient = '[erased]', subject = NULL, body = '', payload = '{}', updated_at = NOW()
+        WHERE lead_id = $1
+      `, [leadId]);
+      erased.outboundMessages = outbound.rowCount;
+
+      const messages = await client.query(`
+        UPDATE lead_messages SET
+          status = CASE WHEN status = $2 THEN $3 ELSE status END,
+          from_address = NULL, to_address = NULL, subject = NULL, body = NULL, media = '[]', error = NULL,
+          updated_at = NOW()
+        WHERE lead_id = $1
+      `, [leadId, MESSAGE_STATUS.QUEUED, MESSAGE_STATUS.FAILED]);
+      erased.messages = messages.rowCount;
+
+      await client.query(`UPDATE lead_message_events SET payload = '{}' WHERE lead_id = $1`, [leadId]);
+
+      const activities = await client.query(
+        `UPDATE lead_activities SET description = '', metadata = '{}' WHERE lead_id = $1`,
+        [leadId]
+      );
+      erased.activities = activities.rowCount;
+
+      const followUps = await client.query(
+        `UPDATE follow_ups SET description = '', outcome = NULL, updated_at = NOW() WHERE lead_id = $1`,
+        [leadId]
+      );
+      erased.followUps = followUps.rowCount;
+
+      // Upcoming appointments are cancelled: the lead can no longer be reached
+      const appointments = await client.query(`
+        UPDATE appointments SET
+          status = CASE WHEN status = $2 THEN $3 ELSE status END,
+          cancel_reason = CASE WHEN status = $2 THEN 'Lead erased' ELSE NULL END,
+          cancelled_at = CASE WHEN status = $2 THEN NOW() ELSE cancelled_at END,
+          notes = NULL, feedback = NULL, updated_at = NOW()
+        WHERE lead_id = $1
+      `, [leadId, APPOINTMENT_STATUS.SCHEDULED, APPOINTMENT_STATUS.CANCELLED]);
+      erased.appointments = appointments.rowCount;
+
+      await client.query('UPDATE campaign_recipients SET recipient = NULL WHERE lead_id = $1', [leadId]);
+      await client.query(`
+        UPDATE property_alerts SET status = $2, error = 'Lead erased'
+        WHERE lead_id = $1 AND status = $3
+      `, [leadId, PROPERTY_ALERT_STATUS.FAILED, PROPERTY_ALERT_STATUS.QUEUED]);
+      await client.query(
+        'UPDATE lead_merges SET survivor_before = NULL, merged_leads = NULL WHERE survivor_id = $1',
+        [leadId]
+      );
+      await client.query(`UPDATE workflow_runs SET event = '{}' WHERE lead_id = $1`, [leadId]);
+      // Brochures sent to the lead are personalised with their name: the files go after the commit
+      brochures = (await client.query(
+        'DELETE FROM brochure_links WHERE lead_id = $1 RETURNING id, storage, storage_key',
+        [leadId]
+      )).rows;
+      erased.brochures = brochures.length;
+      erased.importRows = await this.eraseImportRows(client, lead);
+
+      // Consent history keeps when consent changed, not how it was proven
+      await client.query(`UPDATE lead_consents SET proof = '{}' WHERE lead_id = $1`, [leadId]);
+      for (const channel of CONSENT_CHANNELS) {
+        await consentService.insertHistory(client, lead, {
+          channel,
+          status: CONSENT_STATUS.WITHDRAWN,
+          source: CONSENT_SOURCES.ERASURE,
+          proof: {}
+        }, context);
+      }
+
+      await client.query(`
+        UPDATE leads SET
+          first_name = 'Erased', last_name = 'Lead', email = NULL, phone = NULL, whatsapp = NULL,
+          phone_normalized = NULL, notes = NULL,
+          communication_preferences = $2, anonymized_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [leadId, JSON.stringify(Object.fromEntries(CONSENT_CHANNELS.map(channel => [channel, false])))]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const brochure of brochures) {
+      try {
+        await storageService.remove(brochure.storage_key, brochure.storage);
+      } catch (error) {
+        console.error(`❌ Failed to delete brochure ${brochure.id} of erased lead ${leadId}:`, error.message);
+      }
+    }
+
+    await activityService.log({
+      leadId,
+      type: ACTIVITY_TYPES.PERSONAL_DATA_ERASED,
+      description: 'Personal data erased',
+      metadata: erased
+    }, context);
+    // The score breakdown describes the removed contact details
+    await scoringService.rescoreLead(leadId, context.agencyId);
+    await auditService.log({
+      userId: context.userId,
+      action: auditService.actionTypes.PERSONAL_DATA_ERASED,
+      resourceType: 'lead',
+      resourceId: leadId,
+      details: { erasedBy: context.userName, ...erased }
+    });
+
+    console.log(`🧹 Personal data of lead ${leadId} erased`);
+    return { leadId, ...erased };
+  }
+
+  // Blank the cells of the lead's rows in the agency's import files (matched by email or phone)
+  async eraseImportRows(client, lead) {
+    const email = duplicateService.normalizeEmail(lead.email);
+    const phone = duplicateService.normalizePhone(lead.phone);
+    if (!email && !phone) {
+      return 0;
+    }
+
+    const jobs = await client.query('SELECT id, rows FROM lead_imports WHERE agency_id = $1', [lead.agency_id]);
+    const isLeadCell = (cell) => (email && duplicateService.normalizeEmail(cell) === email) ||
+      (phone && duplicateService.normalizePhone(String(cell || '')) === phone);
+
+    let erased = 0;
+    for (const job of jobs.rows) {
+      let changed = false;
+      const rows = (job.rows || []).map(row => {
+        const values = row.values || {};
+        if (!Object.values(values).some(isLeadCell)) {
+          return row;
+        }
+        changed = true;
+        erased++;
+        return { ...row, values: Object.fromEntries(Object.keys(values).map(header => [header, ''])) };
+      });
+      if (changed) {
+        await client.query('UPDATE lead_imports SET rows = $2, updated_at = NOW() WHERE id = $1', [job.id, JSON.stringify(rows)]);
+      }
+    }
+    return erased;
+  }
+}
+
+const privacyService = new PrivacyService();
+privacyService.PrivacyError = PrivacyError;
+
+module.exports = privacyService;
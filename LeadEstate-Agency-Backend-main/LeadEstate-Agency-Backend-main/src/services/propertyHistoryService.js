@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { pool } = require('../config/database');
+const {
+  PROPERTY_EVENTS,
+  PROPERTY_HISTORY_TYPES,
+  PROPERTY_STATUS,
+  PROPERTY_STATUS_TRANSITIONS,
+  TRANSACTION_TYPES
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses during which a listing counts as on the market, and those that close it
+const ON_MARKET_STATUSES = [PROPERTY_STATUS.AVAILABLE, PROPERTY_STATUS.PENDING];
+const CLOSED_STATUSES = [PROPERTY_STATUS.SOLD, PROPERTY_STATUS.RENTED];
+
+/**
+ * Error raised for invalid property status changes
+ */
+class PropertyHistoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PropertyHistoryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Rows written before statuses were set default to available
+const statusOf = (status) => status || PROPERTY_STATUS.AVAILABLE;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Records the price and status history of properties and emits events for the
+ * changes (PROPERTY_EVENTS) that alerts and analytics subscribe to
+ */
+class PropertyHistoryService extends EventEmitter {
+  /**
+   * Check a status is one of PROPERTY_STATUS
+   */
+  validateStatus(status) {
+    if (!Object.values(PROPERTY_STATUS).includes(status)) {
+      throw new PropertyHistoryError(`status must be one of: ${Object.values(PROPERTY_STATUS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Check a status change is allowed (PROPERTY_STATUS_TRANSITIONS). Only sales can be
+   * sold and only rentals and leases rented
+   */
+  validateTransition(from, to, transactionType) {
+    this.validateStatus(to);
+    const current = statusOf(from);
+    if (current === to) {
+      return;
+    }
+
+    const allowed = PROPERTY_STATUS_TRANSITIONS[current] || [];
+    if (!allowed.includes(to)) {
+      throw new PropertyHistoryError(
+        allowed.length
+          ? `A ${current} property can only become ${allowed.join(', ')}`
+          : `A ${current} property cannot change status`
+      );
+    }
+    if (to === PROPERTY_STATUS.SOLD && transactionType && transactionType !== TRANSACTION_TYPES.SALE) {
+      throw new PropertyHistoryError(`A property for ${transactionType} is rented, not sold`);
+    }
+    if (to === PROPERTY_STATUS.RENTED && (transactionType || TRANSACTION_TYPES.SALE) === TRANSACTION_TYPES.SALE) {
+      throw new PropertyHistoryError('A property for sale is sold, not rented');
+    }
+  }
+
+  async insert(client, property, entry, context) {
+    await client.query(`
+      INSERT INTO property_history (id, agency_id, property_id, change_type, old_price, new_price, old_status, new_status, user_id, user_name)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      crypto.randomUUID(), property.agency_id, property.id, entry.type,
+      entry.oldPrice ?? null, entry.newPrice ?? null, entry.oldStatus ?? null, entry.newStatus ?? null,
+      context.userId || null, context.userName || null
+    ]);
+  }
+
+  /**
+   * Record the initial price and status of a new property
+   * @param {Object} property - Inserted properties row
+   * @param {Object} context - { userId, userName }
+   */
+  async recordCreated(property, context = {}) {
+    try {
+      await this.insert(pool, property, {
+        type: PROPERTY_HISTORY_TYPES.CREATED,
+        newPrice: property.price,
+        newStatus: statusOf(property.status)
+      }, context);
+    } catch (error) {
+      console.error('❌ Failed to record property creation:', error.message);
+    }
+  }
+
+  /**
+   * Apply an update to a property and record its price and status changes in the
+   * same transaction. Events are emitted once the transaction is committed
+   * @param {string} propertyId
+   * @param {string} agencyId
+   * @param {Object} changes - { status, transactionType } requested by the update
+   * @param {Object} context - { userId, userName }
+   * @param {Function} update - (client) => query result of the UPDATE ... RETURNING *
+   * @returns {Promise<Object|null>} the updated row, null when the property does not exist
+   */
+  async trackUpdate(propertyId, agencyId, changes, context, update) {
+    const client = await pool.connect();
+    let previous;
+    let updated;
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        'SELECT * FROM properties WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [propertyId, agencyId]
+      );
+      previous = current.rows[0];
+      if (!previous) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (changes.status) {
+        this.validateTransition(previous.status, changes.status, changes.transactionType || previous.transaction_type);
+      }
+
+      updated = (await update(client)).rows[0];
+
+      const oldPrice = toNumber(previous.price);
+      const newPrice = toNumber(updated.price);
+      if (oldPrice !== newPrice) {
+        await this.insert(client, updated, { type: PROPERTY_HISTORY_TYPES.PRICE_CHANGE, oldPrice, newPrice }, context);
+      }
+      if (statusOf(previous.status) !== statusOf(updated.status)) {
+        await this.insert(client, updated, {
+          type: PROPERTY_HISTORY_TYPES.STATUS_CHANGE,
+          oldStatus: statusOf(previous.status),
+          newStatus: statusOf(updated.status)
+        }, context);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.publish(previous, updated, context);
+    return updated;
+  }
+
+  // Emit the events of a committed change. Subscribers are isolated from each other
+  // and from the request: a failing listener is logged
+  publish(previous, updated, context) {
+    const base = { propertyId: updated.id, agencyId: updated.agency_id, changedBy: context.userName || null };
+    const oldPrice = toNumber(previous.price);
+    const newPrice = toNumber(updated.price);
+
+    if (oldPrice !== null && newPrice !== null && newPrice < oldPrice) {
+      this.safeEmit(PROPERTY_EVENTS.PRICE_REDUCED, {
+        ...base,
+        oldPrice,
+        newPrice,
+        reductionPercent: Math.round(((oldPrice - newPrice) / oldPrice) * 10000) / 100
+      });
+    }
+    if (statusOf(previous.status) !== statusOf(updated.status)) {
+      this.safeEmit(PROPERTY_EVENTS.STATUS_CHANGED, {
+        ...base,
+        oldStatus: statusOf(previous.status),
+        newStatus: statusOf(updated.status)
+      });
+    }
+  }
+
+  safeEmit(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        Promise.resolve(listener(payload)).catch(error => {
+          console.error(`❌ ${event} listener failed:`, error.message);
+        });
+      } catch (error) {
+        console.error(`❌ ${event} listener failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Time on the market: days spent available or pending, from the first listing to
+   * the sale or rental (or now). Properties created before history was recorded
+   * start on their creation date with the status they had before their first change
+   * @param {Object} property - properties row
+   * @param {Array} rows - property_history rows, oldest first
+   * @returns {Object} { listedAt, closedAt, daysOnMarket }
+   */
+  computeMarketTime(property, rows, now = new Date()) {
+    const statusRows = rows.filter(row => row.new_status);
+    const timeline = statusRows.map(row => ({ status: row.new_status, at: new Date(row.created_at) }));
+    if (!rows.some(row => row.change_type === PROPERTY_HISTORY_TYPES.CREATED)) {
+      const first = statusRows[0];
+      timeline.unshift({ status: statusOf(first ? first.old_status : property.status), at: new Date(property.created_at) });
+    }
+
+    let onMarketMs = 0;
+    let listedAt = null;
+    timeline.forEach((entry, index) => {
+      const end = index + 1 < timeline.length ? timeline[index + 1].at : now;
+      if (ON_MARKET_STATUSES.includes(entry.status)) {
+        onMarketMs += Math.max(0, end - entry.at);
+        listedAt = listedAt || entry.at;
+      }
+    });
+
+    const last = timeline[timeline.length - 1];
+    return {
+      listedAt,
+      closedAt: CLOSED_STATUSES.includes(statusOf(property.status)) && last ? last.at : null,
+      daysOnMarket: Math.floor(onMarketMs / DAY_MS)
+    };
+  }
+
+  /**
+   * Price and status history of a property with its days on market
+   */
+  async getHistory(propertyId, agencyId) {
+    const propertyResult = await pool.query(
+      'SELECT * FROM properties WHERE id = $1 AND agency_id = $2',
+      [propertyId, agencyId]
+    );
+    const property = propertyResult.rows[0];
+    if (!property) {
+      throw new PropertyHistoryError('Property not found', 404);
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM property_history WHERE property_id = $1 ORDER BY created_at, id',
+      [propertyId]
+    );
+    const rows = result.rows;
+
+    const prices = rows.filter(row => row.new_price !== null).map(row => toNumber(row.new_price));
+    const reductions = rows.filter(row =>
+      row.change_type === PROPERTY_HISTORY_TYPES.PRICE_CHANGE && row.old_price !== null && row.new_price !== null &&
+      toNumber(row.new_price) < toNumber(row.old_price)
+    );
+    const originalPrice = rows.length && rows[0].change_type === PROPERTY_HISTORY_TYPES.PRICE_CHANGE
+      ? toNumber(rows[0].old_price)
+      : (prices.length ? prices[0] : toNumber(property.price));
+    const currentPrice = toNumber(property.price);
+
+    return {
+      propertyId: property.id,
+      status: statusOf(property.status),
+      transactionType: property.transaction_type,
+      price: currentPrice,
+      originalPrice,
+      priceChangePercent: originalPrice && currentPrice !== null
+        ? Math.round(((currentPrice - originalPrice) / originalPrice) * 10000) / 100
+        : null,
+      priceReductions: reductions.length,
+      ...this.computeMarketTime(property, rows),
+      history: rows.map(row => this.format(row)).reverse()
+    };
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      type: row.change_type,
+      oldPrice: toNumber(row.old_price),
+      newPrice: toNumber(row.new_price),
+      oldStatus: row.old_status,
+      newStatus: row.new_status,
+      changedBy: row.user_name,
+      changedAt: row.created_at
+    };
+  }
+}
+
+const propertyHistoryService = new PropertyHistoryService();
+propertyHistoryService.PropertyHistoryError = PropertyHistoryError;
+
+module.exports = propertyHistoryService;
@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pool } = require('../config/database');
+const storageService = require('./storageService');
+const { ALLOWED_FILE_TYPES, FILE_SIZE_LIMITS, PROPERTY_MEDIA_KINDS } = require('../utils/constants');
+
+// Files per property, and per upload request
+const MAX_MEDIA_PER_PROPERTY = 40;
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Images are scaled down to fit this box; thumbnails are cropped to 480x360
+const MAX_IMAGE_DIMENSION = 2560;
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_HEIGHT = 360;
+
+// Refuse decompression bombs (about 100 megapixels)
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+/**
+ * Error raised for invalid media uploads and operations
+ */
+class PropertyMediaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PropertyMediaError';
+    this.statusCode = statusCode;
+  }
+}
+
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// File types recognised from their first bytes. OLE containers are also used by Excel
+// and Outlook files and any bytes can be text, so .doc and .txt also need their extension
+const FILE_TYPES = [
+  {
+    extension: 'jpg',
+    mimeType: 'image/jpeg',
+    kind: PROPERTY_MEDIA_KINDS.IMAGE,
+    matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff])
+  },
+  {
+    extension: 'png',
+    mimeType: 'image/png',
+    kind: PROPERTY_MEDIA_KINDS.IMAGE,
+    matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  {
+    extension: 'gif',
+    mimeType: 'image/gif',
+    kind: PROPERTY_MEDIA_KINDS.IMAGE,
+    matches: buffer => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))
+  },
+  {
+    extension: 'webp',
+    mimeType: 'image/webp',
+    kind: PROPERTY_MEDIA_KINDS.IMAGE,
+    matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  },
+  {
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    kind: PROPERTY_MEDIA_KINDS.DOCUMENT,
+    matches: buffer => buffer.toString('latin1', 0, 5) === '%PDF-'
+  },
+  {
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    kind: PROPERTY_MEDIA_KINDS.DOCUMENT,
+    matches: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('[Content_Types].xml') && buffer.includes('word/')
+  },
+  {
+    extension: 'doc',
+    mimeType: 'application/msword',
+    kind: PROPERTY_MEDIA_KINDS.DOCUMENT,
+    requiresExtension: true,
+    matches: buffer => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  {
+    extension: 'txt',
+    mimeType: 'text/plain; charset=utf-8',
+    kind: PROPERTY_MEDIA_KINDS.DOCUMENT,
+    requiresExtension: true,
+    matches: isUtf8Text
+  }
+].filter(type => [...ALLOWED_FILE_TYPES.IMAGES, ...ALLOWED_FILE_TYPES.DOCUMENTS].includes(type.extension));
+
+const SIZE_LIMITS = {
+  [PROPERTY_MEDIA_KINDS.IMAGE]: FILE_SIZE_LIMITS.IMAGE,
+  [PROPERTY_MEDIA_KINDS.DOCUMENT]: FILE_SIZE_LIMITS.DOCUMENT
+};
+
+const toMegabytes = (bytes) => `${bytes / (1024 * 1024)}MB`;
+
+// Re-encode in the same format (sharp writes no metadata unless asked to)
+const encode = (pipeline, extension) => {
+  switch (extension) {
+    case 'png':
+      return pipeline.png({ compressionLevel: 9 });
+    case 'webp':
+      return pipeline.webp({ quality: 85 });
+    case 'gif':
+      return pipeline.gif();
+    default:
+      return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  }
+};
+
+class PropertyMediaService {
+  constructor() {
+    this.maxFilesPerUpload = MAX_FILES_PER_UPLOAD;
+    this.maxFileSize = Math.max(...Object.values(SIZE_LIMITS));
+  }
+
+  /**
+   * Identify an uploaded file from its content and check it against the allowed
+   * types and their size limit. The client's MIME type is ignored
+   * @param {Object} file - multer file ({ originalname, buffer, size })
+   * @returns {Object} { extension, mimeType, kind }
+   */
+  detectType(file) {
+    const declared = path.extname(file.originalname || '').slice(1).toLowerCase();
+    const type = FILE_TYPES.find(candidate =>
+      (!candidate.requiresExtension || candidate.extension === declared) && candidate.matches(file.buffer)
+    );
+
+    if (!type) {
+      throw new PropertyMediaError(
+        `${file.originalname || 'File'} is not a supported file (images: ${ALLOWED_FILE_TYPES.IMAGES.join(', ')}; documents: ${ALLOWED_FILE_TYPES.DOCUMENTS.join(', ')})`
+      );
+    }
+    if (file.size > SIZE_LIMITS[type.kind]) {
+      throw new PropertyMediaError(`${file.originalname} is too large (max ${toMegabytes(SIZE_LIMITS[type.kind])} for ${type.kind}s)`);
+    }
+
+    const { matches, requiresExtension, ...detected } = type;
+    return detected;
+  }
+
+  /**
+   * Re-encode an image without its metadata (EXIF GPS position, camera and owner
+   * details), applying its EXIF orientation first, and render its thumbnail
+   * @returns {Promise<Object>} { buffer, width, height, thumbnail }
+   */
+  async processImage(buffer, type) {
+    // sharp is a native module: it is loaded on the first image upload so the API
+    // still starts where its binary is not installed
+    const sharp = require('sharp');
+    const animated = type.extension === 'gif';
+    const source = () => sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS });
+
+    try {
+      await source().metadata();
+    } catch (error) {
+      throw new PropertyMediaError('The image could not be read');
+    }
+
+    // GIFs carry no EXIF orientation, and rotate() does not support animations
+    const oriented = animated ? source() : source().rotate();
+    const image = await encode(
+      oriented.resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true }),
+      type.extension
+    ).toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(image.data)
+      .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT, fit: 'cover' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    return {
+      buffer: image.data,
+      width: image.info.width,
+      height: image.info.pageHeight || image.info.height,
+      thumbnail
+    };
+  }
+
+  // Validate, process and store one file under the given key prefix
+  async store(prefix, file, options = {}) {
+    const type = this.detectType(file);
+    const id = crypto.randomUUID();
+    const item = {
+      id,
+      kind: type.kind,
+      mimeType: type.mimeType,
+      originalName: (file.originalname || `${id}.${type.extension}`).slice(0, 255),
+      width: null,
+      height: null,
+      thumbnail: null
+    };
+
+    let content = file.buffer;
+    if (type.kind === PROPERTY_MEDIA_KINDS.IMAGE) {
+      const image = await this.processImage(file.buffer, type);
+      content = image.buffer;
+      item.width = image.width;
+      item.height = image.height;
+      if (options.thumbnail !== false) {
+        item.thumbnail = image.thumbnail;
+      }
+    }
+
+    const original = await storageService.put(`${prefix}/${id}.${type.extension}`, content, type.mimeType);
+    item.storage = original.driver;
+    item.storageKey = original.key;
+    item.url = original.url;
+    item.size = content.length;
+
+    if (item.thumbnail) {
+      try {
+        const thumbnail = await storageService.put(`${prefix}/${id}-thumb.jpg`, item.thumbnail, 'image/jpeg');
+        item.thumbnailKey = thumbnail.key;
+        item.thumbnailUrl = thumbnail.url;
+      } catch (error) {
+        await this.discard([item]);
+        throw error;
+      }
+    }
+
+    return item;
+  }
+
+  // Delete stored files, logging failures (the database rows are already gone)
+  async discard(items) {
+    for (const item of items) {
+      for (const key of [item.storageKey || item.storage_key, item.thumbnailKey || item.thumbnail_key]) {
+        if (!key) continue;
+        try {
+          await storageService.remove(key, item.storage);
+        } catch (error) {
+          console.error(`❌ Failed to delete stored file ${key}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Store an image that is not attached to a property yet (legacy single upload)
+   * @returns {Promise<Object>} { imageUrl, filename }
+   */
+  async storeImage(file) {
+    if (!file) {
+      throw new PropertyMediaError('No image file uploaded');
+    }
+    const type = this.detectType(file);
+    if (type.kind !== PROPERTY_MEDIA_KINDS.IMAGE) {
+      throw new PropertyMediaError(`Only images are accepted (${ALLOWED_FILE_TYPES.IMAGES.join(', ')})`);
+    }
+
+    const item = await this.store('properties/unattached', file, { thumbnail: false });
+    return { imageUrl: item.url, filename: path.basename(item.storageKey) };
+  }
+
+  // Run fn in a transaction holding the property row, so uploads, reorders and
+  // deletions of the same property do not interleave
+  async withProperty(propertyId, agencyId, fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const property = await client.query(
+        'SELECT id FROM properties WHERE id = $1 AND agency_id = $2 FOR UPDATE',
+        [propertyId, agencyId]
+      );
+      if (property.rows.length === 0) {
+        throw new PropertyMediaError('Property not found', 404);
+      }
+
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Keep properties.image_url (shown in listings) on the cover image
+  async syncCover(client, propertyId) {
+    await client.query(`
+      UPDATE properties
+      SET image_url = COALESCE((SELECT url FROM property_media WHERE property_id = $1 AND is_cover LIMIT 1), ''),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [propertyId]);
+  }
+
+  async listRows(client, propertyId) {
+    const result = await client.query(
+      'SELECT * FROM property_media WHERE property_id = $1 ORDER BY sort_order, created_at',
+      [propertyId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Images and documents of a property in gallery order
+   */
+  async list(propertyId, agencyId) {
+    const property = await pool.query('SELECT id FROM properties WHERE id = $1 AND agency_id = $2', [propertyId, agencyId]);
+    if (property.rows.length === 0) {
+      throw new PropertyMediaError('Property not found', 404);
+    }
+    return (await this.listRows(pool, propertyId)).map(row => this.format(row));
+  }
+
+  /**
+   * Images of several properties in gallery order, by property id
+   */
+  async getImagesByProperty(propertyIds, agencyId) {
+    const images = {};
+    if (propertyIds.length === 0) {
+      return images;
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM property_media
+      WHERE agency_id = $1 AND property_id = ANY($2) AND kind = $3
+      ORDER BY sort_order, created_at
+    `, [agencyId, propertyIds, PROPERTY_MEDIA_KINDS.IMAGE]);
+
+    for (const row of result.rows) {
+      (images[row.property_id] = images[row.property_id] || []).push({
+        id: row.id,
+        url: row.url,
+        thumbnailUrl: row.thumbnail_url,
+        isCover: row.is_cover
+      });
+    }
+    return images;
+  }
+
+  /**
+   * Add files to a property's gallery, after the existing ones. The first image
+   * becomes the cover when the property has none
+   * @param {string} propertyId
+   * @param {Array} files - multer files
+   * @param {Object} context - { agencyId, userName }
+   * @returns {Promise<Array>} the added media
+   */
+  async upload(propertyId, files, context) {
+    if (!files || files.length === 0) {
+      throw new PropertyMediaError('No files uploaded');
+    }
+
+    const property = await pool.query('SELECT id FROM properties WHERE id = $1 AND agency_id = $2', [propertyId, context.agencyId]);
+    if (property.rows.length === 0) {
+      throw new PropertyMediaError('Property not found', 404);
+    }
+
+    // Check every file before storing any
+    files.forEach(file => this.detectType(file));
+
+    const stored = [];
+    try {
+      for (const file of files) {
+        stored.push(await this.store(`properties/${propertyId}`, file));
+      }
+
+      return await this.withProperty(propertyId, context.agencyId, async (client) => {
+        const current = await client.query(`
+          SELECT COUNT(*)::int AS count, COALESCE(MAX(sort_order), -1) AS last_order, COALESCE(BOOL_OR(is_cover), false) AS has_cover
+          FROM property_media
+          WHERE property_id = $1
+        `, [propertyId]);
+        const { count, last_order: lastOrder, has_cover: hasCover } = current.rows[0];
+
+        if (count + stored.length > MAX_MEDIA_PER_PROPERTY) {
+          throw new PropertyMediaError(`A property can have up to ${MAX_MEDIA_PER_PROPERTY} files (${count} already uploaded)`);
+        }
+
+        let needsCover = !hasCover;
+        const added = [];
+        for (const [index, item] of stored.entries()) {
+          const isCover = needsCover && item.kind === PROPERTY_MEDIA_KINDS.IMAGE;
+          needsCover = needsCover && !isCover;
+
+          const result = await client.query(`
+            INSERT INTO property_media (
+              id, agency_id, property_id, kind, storage, storage_key, url, thumbnail_key, thumbnail_url,
+              original_name, mime_type, size, width, height, sort_order, is_cover, uploaded_by
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+            RETURNING *
+          `, [
+            item.id, context.agencyId, propertyId, item.kind, item.storage, item.storageKey, item.url,
+            item.thumbnailKey || null, item.thumbnailUrl || null, item.originalName, item.mimeType, item.size,
+            item.width, item.height, lastOrder + 1 + index, isCover, context.userName
+          ]);
+          added.push(result.rows[0]);
+        }
+
+        if (added.some(row => row.is_cover)) {
+          await this.syncCover(client, propertyId);
+        }
+
+        console.log(`🖼️ Added ${added.length} media to property ${propertyId}`);
+        return added.map(row => this.format(row));
+      });
+    } catch (error) {
+      await this.discard(stored);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder a property's media: the given ids come first, in that order, followed
+   * by the others in their current order
+   * @returns {Promise<Array>} all media in the new order
+   */
+  async reorder(propertyId, mediaIds, agencyId) {
+    if (!Array.isArray(mediaIds) || mediaIds.length === 0) {
+      throw new PropertyMediaError('mediaIds must be a non-empty array of media ids');
+    }
+    if (new Set(mediaIds).size !== mediaIds.length) {
+      throw new PropertyMediaError('mediaIds contains duplicates');
+    }
+
+    return this.withProperty(propertyId, agencyId, async (client) => {
+      const rows = await this.listRows(client, propertyId);
+      const unknown = mediaIds.filter(id => !rows.some(row => row.id === id));
+      if (unknown.length > 0) {
+        throw new PropertyMediaError(`Unknown media for this property: ${unknown.join(', ')}`);
+      }
+
+      const ordered = [
+        ...mediaIds.map(id => rows.find(row => row.id === id)),
+        ...rows.filter(row => !mediaIds.includes(row.id))
+      ];
+      for (const [index, row] of ordered.entries()) {
+        if (row.sort_order !== index) {
+          await client.query('UPDATE property_media SET sort_order = $2 WHERE id = $1', [row.id, index]);
+          row.sort_order = index;
+        }
+      }
+
+      return ordered.map(row => this.format(row));
+    });
+  }
+
+  /**
+   * Make an image the cover of its property
+   */
+  async setCover(propertyId, mediaId, agencyId) {
+    return this.withProperty(propertyId, agencyId, async (client) => {
+      const result = await client.query(
+        'SELECT * FROM property_media WHERE id = $1 AND property_id = $2',
+        [mediaId, propertyId]
+      );
+      const media = result.rows[0];
+      if (!media) {
+        throw new PropertyMediaError('Media not found', 404);
+      }
+      if (media.kind !== PROPERTY_MEDIA_KINDS.IMAGE) {
+        throw new PropertyMediaError('Only an image can be the cover');
+      }
+
+      await client.query('UPDATE property_media SET is_cover = false WHERE property_id = $1 AND is_cover', [propertyId]);
+      await client.query('UPDATE property_media SET is_cover = true WHERE id = $1', [mediaId]);
+      await this.syncCover(client, propertyId);
+
+      return this.format({ ...media, is_cover: true });
+    });
+  }
+
+  /**
+   * Delete a media and its files. Deleting the cover makes the next image the cover
+   */
+  async remove(propertyId, mediaId, agencyId) {
+    const media = await this.withProperty(propertyId, agencyId, async (client) => {
+      const result = await client.query(
+        'DELETE FROM property_media WHERE id = $1 AND property_id = $2 RETURNING *',
+        [mediaId, propertyId]
+      );
+      const deleted = result.rows[0];
+      if (!deleted) {
+        throw new PropertyMediaError('Media not found', 404);
+      }
+
+      if (deleted.is_cover) {
+        await client.query(`
+          UPDATE property_media SET is_cover = true
+          WHERE id = (
+            SELECT id FROM property_media
+            WHERE property_id = $1 AND kind = $2
+            ORDER BY sort_order, created_at
+            LIMIT 1
+          )
+        `, [propertyId, PROPERTY_MEDIA_KINDS.IMAGE]);
+        await this.syncCover(client, propertyId);
+      }
+
+      return deleted;
+    });
+
+    await this.discard([media]);
+    return this.format(media);
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      propertyId: row.property_id,
+      kind: row.kind,
+      url: row.url,
+      thumbnailUrl: row.thumbnail_url,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      size: row.size,
+      width: row.width,
+      height: row.height,
+      sortOrder: row.sort_order,
+      isCover: row.is_cover,
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+const propertyMediaService = new PropertyMediaService();
+propertyMediaService.PropertyMediaError = PropertyMediaError;
+
+module.exports = propertyMediaService;
@@ -0,0 +1,595 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const activityService = require('./activityService');
+const consentService = require('./consentService');
+const duplicateService = require('./duplicateService');
+const propertyMediaService = require('./propertyMediaService');
+const scoringService = require('./scoringService');
+const workflowService = require('./workflowService');
+const { getPaginationMeta, isValidEmail, isValidPhone } = require('../utils/helpers');
+const {
+  PropertyQueryError,
+  parsePropertyListQuery,
+  buildPropertySearch,
+  buildPropertyOrder,
+  sortToString
+} = require('../utils/propertyQuery');
+const {
+  ACTIVITY_TYPES,
+  CONSENT_CHANNELS,
+  CONSENT_SOURCES,
+  CONSENT_STATUS,
+  CURRENCIES,
+  LEAD_SOURCES,
+  LEAD_STATUS,
+  PROPERTY_STATUS,
+  PUBLIC_FEED_FORMATS,
+  SUPPORTED_LANGUAGES,
+  TRANSACTION_TYPES,
+  WORKFLOW_TRIGGERS
+} = require('../utils/constants');
+
+// Keys are shown once and stored hashed; the prefix identifies them in the settings
+const API_KEY_PREFIX = 'lep_';
+const KEY_HINT_LENGTH = API_KEY_PREFIX.length + 6;
+
+// Feeds hold every available listing of the agency, up to this many
+const MAX_FEED_PROPERTIES = 2000;
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const LAST_USED_PRECISION_MS = 60 * 60 * 1000;
+
+// Activities and consents recorded from the website have no user
+const WEBSITE_CONTEXT = { userId: null, userName: 'Website' };
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Public columns of a listing; internal fields (agency, notes, owner) never leave the API
+const PUBLIC_COLUMNS = [
+  'id', 'title', 'type', 'transaction_type', 'price', 'address', 'city', 'surface', 'area',
+  'bedrooms', 'bathrooms', 'description', 'image_url', 'latitude', 'longitude', 'created_at', 'updated_at'
+];
+
+/**
+ * Error raised for invalid public API requests
+ */
+class PublicListingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PublicListingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Characters XML 1.0 does not allow are dropped, markup characters escaped
+const xmlText = (value) => String(value ?? '')
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// <name>value</name>, omitted when there is no value
+const xmlElement = (name, value, attributes = '') =>
+  (value === null || value === undefined || value === '' ? '' : `<${name}${attributes}>${xmlText(value)}</${name}>`);
+
+const label = (value) => String(value || '').replace(/_/g, ' ').replace(/^\w/, char => char.toUpperCase());
+
+/**
+ * Public, read-only access to an agency's available listings (website widgets and
+ * portal syndication feeds) and enquiries sent from the agency's website
+ */
+class PublicListingService {
+  /**
+   * Validate the listing settings of the public API
+   * @param {Object} data - { listingUrl, currency }
+   * @returns {Object} { listingUrl, currency } with only the fields given
+   */
+  normalizeSettings(data = {}) {
+    const settings = {};
+    if (data.listingUrl !== undefined) {
+      const listingUrl = data.listingUrl === null ? '' : String(data.listingUrl).trim();
+      if (listingUrl) {
+        let url;
+        try {
+          url = new URL(listingUrl.replace('{id}', 'id'));
+        } catch (error) {
+          url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+          throw new PublicListingError('listingUrl must be an http(s) URL, e.g. https://agency.com/properties/{id}');
+        }
+      }
+      settings.listingUrl = listingUrl || null;
+    }
+    if (data.currency !== undefined) {
+      const currency = String(data.currency || '').toUpperCase();
+      if (!Object.values(CURRENCIES).includes(currency)) {
+        throw new PublicListingError(`currency must be one of: ${Object.values(CURRENCIES).join(', ')}`);
+      }
+      settings.currency = currency;
+    }
+    return settings;
+  }
+
+  /**
+   * Create the agency's API key, replacing the previous one. The key is only returned here
+   * @param {Object} data - { listingUrl, currency }
+   * @param {Object} context - { agencyId, userName }
+   */
+  async createApiKey(data, context) {
+    const settings = this.normalizeSettings(data);
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+    const result = await pool.query(`
+      INSERT INTO agency_public_api (agency_id, key_hash, key_hint, listing_url, currency, created_by, created_at)
+      VALUES ($1, $2, $3, $4, COALESCE($5, 'EUR'), $6, NOW())
+      ON CONFLICT (agency_id) DO UPDATE SET
+        key_hash = EXCLUDED.key_hash,
+        key_hint = EXCLUDED.key_hint,
+        listing_url = CASE WHEN $7 THEN EXCLUDED.listing_url ELSE agency_public_api.listing_url END,
+        currency = COALESCE($5, agency_public_api.currency),
+        created_by = EXCLUDED.created_by,
+        created_at = NOW(),
+        last_used_at = NULL
+      RETURNING *
+    `, [
+      context.agencyId, hashKey(key), key.slice(0, KEY_HINT_LENGTH), settings.listingUrl || null,
+      settings.currency || null, context.userName || null, settings.listingUrl !== undefined
+    ]);
+
+    return { ...this.formatSettings(result.rows[0], key), key };
+  }
+
+  async getSettings(agencyId) {
+    const result = await pool.query('SELECT * FROM agency_public_api WHERE agency_id = $1', [agencyId]);
+    return result.rows[0] ? this.formatSettings(result.rows[0]) : null;
+  }
+
+  async updateSettings(data, agencyId) {
+    const settings = this.normalizeSettings(data);
+    const result = await pool.query(`
+      UPDATE agency_public_api SET
+        listing_url = CASE WHEN $2 THEN $3 ELSE listing_url END,
+        currency = COALESCE($4, currency)
+      WHERE agency_id = $1
+      RETURNING *
+    `, [agencyId, settings.listingUrl !== undefined, settings.listingUrl || null, settings.currency || null]);
+
+    if (result.rows.length === 0) {
+      throw new PublicListingError('Create an API key first', 404);
+    }
+    return this.formatSettings(result.rows[0]);
+  }
+
+  async revokeApiKey(agencyId) {
+    const result = await pool.query('DELETE FROM agency_public_api WHERE agency_id = $1', [agencyId]);
+    if (result.rowCount === 0) {
+      throw new PublicListingError('The agency has no API key', 404);
+    }
+  }
+
+  /**
+   * Agency settings of an API key, null when the key is unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key || !String(key).startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+    const result = await pool.query('SELECT * FROM agency_public_api WHERE key_hash = $1', [hashKey(String(key))]);
+    const api = result.rows[0];
+    if (!api) {
+      return null;
+    }
+
+    // Last use is kept to the hour so reads do not all turn into writes
+    if (!api.last_used_at || Date.now() - new Date(api.last_used_at).getTime() > LAST_USED_PRECISION_MS) {
+      pool.query('UPDATE agency_public_api SET last_used_at = NOW() WHERE agency_id = $1', [api.agency_id])
+        .catch(error => console.error('❌ Failed to record API key use:', error.message));
+    }
+    return api;
+  }
+
+  // Settings shown to managers; feed URLs are only complete when the key was just created
+  formatSettings(row, key = null) {
+    const base = `${(process.env.PUBLIC_API_URL || '').replace(/\/$/, '')}/api/public`;
+    return {
+      keyHint: `${row.key_hint}…`,
+      listingUrl: row.listing_url,
+      currency: row.currency,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      ...(key && {
+        feeds: Object.values(PUBLIC_FEED_FORMATS).reduce((feeds, format) => ({
+          ...feeds,
+          [format]: `${base}/feeds/${format}?key=${key}`
+        }), {})
+      })
+    };
+  }
+
+  /**
+   * Search the agency's available properties (same filters and sorts as GET /api/properties)
+   * @param {Object} api - agency_public_api row of the key
+   * @param {Object} query - Request query
+   * @returns {Promise<Object>} { properties, meta }
+   */
+  async search(api, query) {
+    let listQuery;
+    try {
+      listQuery = parsePropertyListQuery({ ...query, status: undefined });
+    } catch (error) {
+      if (error instanceof PropertyQueryError) {
+        throw new PublicListingError(error.message);
+      }
+      throw error;
+    }
+
+    const { filters, sort, limit, page } = listQuery;
+    filters.status = [PROPERTY_STATUS.AVAILABLE];
+    const params = [api.agency_id];
+    const { conditions, columns } = buildPropertySearch(filters, params);
+    const whereClause = `WHERE ${['agency_id = $1', ...conditions].join(' AND ')}`;
+    const selectColumns = [...PUBLIC_COLUMNS, ...columns].join(', ');
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM (SELECT ${selectColumns} FROM properties ${whereClause}) matches`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const pageParams = [...params, limit, (page - 1) * limit];
+    const result = await pool.query(`
+      SELECT ${selectColumns}
+      FROM properties
+      ${whereClause}
+      ORDER BY ${buildPropertyOrder(sort)}
+      LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+    `, pageParams);
+
+    const meta = getPaginationMeta(page, limit, total);
+    meta.sort = sortToString(sort);
+    return { properties: await this.formatProperties(result.rows, api), meta };
+  }
+
+  async getProperty(api, propertyId) {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS.join(', ')} FROM properties WHERE id = $1 AND agency_id = $2 AND COALESCE(status, $3) = $3`,
+      [propertyId, api.agency_id, PROPERTY_STATUS.AVAILABLE]
+    );
+    if (result.rows.length === 0) {
+      throw new PublicListingError('Property not found', 404);
+    }
+    return (await this.formatProperties(result.rows, api))[0];
+  }
+
+  // Listings with their gallery images and their page on the agency's website
+  async formatProperties(rows, api) {
+    const images = await propertyMediaService.getImagesByProperty(rows.map(row => row.id), api.agency_id);
+    return rows.map(row => {
+      const gallery = (images[row.id] || []).map(({ url, thumbnailUrl }) => ({ url, thumbnailUrl }));
+      return {
+        id: row.id,
+        title: row.title,
+        type: row.type,
+        transactionType: row.transaction_type || TRANSACTION_TYPES.SALE,
+        price: toNumber(row.price),
+        currency: api.currency,
+        address: row.address,
+        city: row.city,
+        area: toNumber(row.surface) || toNumber(row.area),
+        bedrooms: row.bedrooms,
+        bathrooms: row.bathrooms,
+        description: row.description,
+        coverImage: row.image_url || (gallery[0] && gallery[0].url) || null,
+        images: gallery.length || !row.image_url ? gallery : [{ url: row.image_url, thumbnailUrl: null }],
+        latitude: toNumber(row.latitude),
+        longitude: toNumber(row.longitude),
+        ...(row.distance_km !== undefined && {
+          distanceKm: row.distance_km === null ? null : Math.round(row.distance_km * 100) / 100
+        }),
+        url: api.listing_url ? api.listing_url.replace('{id}', encodeURIComponent(row.id)) : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      };
+    });
+  }
+
+  /**
+   * Syndication feed of the agency's available listings
+   * @param {Object} api - agency_public_api row of the key
+   * @param {string} format - PUBLIC_FEED_FORMATS
+   * @returns {Promise<Object>} { contentType, body }
+   */
+  async getFeed(api, format) {
+    if (!Object.values(PUBLIC_FEED_FORMATS).includes(format)) {
+      throw new PublicListingError(`Feed format must be one of: ${Object.values(PUBLIC_FEED_FORMATS).join(', ')}`, 404);
+    }
+
+    const result = await pool.query(`
+      SELECT ${PUBLIC_COLUMNS.join(', ')} FROM properties
+      WHERE agency_id = $1 AND COALESCE(status, $2) = $2
+      ORDER BY updated_at DESC NULLS LAST
+      LIMIT ${MAX_FEED_PROPERTIES}
+    `, [api.agency_id, PROPERTY_STATUS.AVAILABLE]);
+    const properties = await this.formatProperties(result.rows, api);
+
+    if (format === PUBLIC_FEED_FORMATS.KYERO) {
+      return { contentType: 'application/xml; charset=utf-8', body: this.toKyero(properties) };
+    }
+    if (format === PUBLIC_FEED_FORMATS.TROVIT) {
+      return { contentType: 'application/xml; charset=utf-8', body: this.toTrovit(properties) };
+    }
+    return {
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify({ count: properties.length, properties })
+    };
+  }
+
+  // Kyero feed version 3 (Spanish and international portals)
+  toKyero(properties) {
+    const items = properties.map(property => {
+      const updated = new Date(property.updatedAt || property.createdAt || Date.now());
+      return [
+        '<property>',
+        xmlElement('id', property.id),
+        xmlElement('date', updated.toISOString().slice(0, 19).replace('T', ' ')),
+        xmlElement('ref', property.id.slice(0, 8).toUpperCase()),
+        xmlElement('price', property.price === null ? null : Math.round(property.price)),
+        xmlElement('currency', property.currency),
+        xmlElement('price_freq', property.transactionType === TRANSACTION_TYPES.SALE ? 'sale' : 'month'),
+        xmlElement('new_build', 0),
+        xmlElement('type', label(property.type)),
+        xmlElement('town', property.city),
+        xmlElement('province', property.city),
+        property.latitude !== null && property.longitude !== null
+          ? `<location>${xmlElement('latitude', property.latitude)}${xmlElement('longitude', property.longitude)}</location>`
+          : '',
+        xmlElement('beds', property.bedrooms),
+        xmlElement('baths', property.bathrooms),
+        xmlElement('pool', 0),
+        property.area ? `<surface_area>${xmlElement('built', Math.round(property.area))}</surface_area>` : '',
+        property.url ? `<url>${xmlElement('en', property.url)}</url>` : '',
+        property.description ? `<desc>${xmlElement('en', property.description)}</desc>` : '',
+        property.images.length
+          ? `<images>${property.images.map((image, index) => `<image id="${index + 1}">${xmlElement('url', image.url)}</image>`).join('')}</images>`
+          : '',
+        '</property>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<root>',
+      '<kyero><feed_version>3</feed_version></kyero>',
+      ...items,
+      '</root>',
+      ''
+    ].join('\n');
+  }
+
+  // Trovit feed (aggregators of the Trovit and Mitula networks)
+  toTrovit(properties) {
+    const items = properties.map(property => {
+      const updated = new Date(property.updatedAt || property.createdAt || Date.now());
+      const date = `${String(updated.getUTCDate()).padStart(2, '0')}/${String(updated.getUTCMonth() + 1).padStart(2, '0')}/${updated.getUTCFullYear()}`;
+      const forRent = property.transactionType !== TRANSACTION_TYPES.SALE;
+      return [
+        '<ad>',
+        xmlElement('id', property.id),
+        xmlElement('url', property.url),
+        xmlElement('title', property.title),
+        xmlElement('type', forRent ? 'For Rent' : 'For Sale'),
+        xmlElement('content', property.description),
+        xmlElement('price', property.price === null ? null : Math.round(property.price), forRent ? ' period="monthly"' : ''),
+        xmlElement('property_type', label(property.type)),
+        xmlElement('floor_area', property.area ? Math.round(property.area) : null, ' unit="meters"'),
+        xmlElement('rooms', property.bedrooms),
+        xmlElement('bathrooms', property.bathrooms),
+        xmlElement('address', property.address),
+        xmlElement('city', property.city),
+        xmlElement('latitude', property.latitude),
+        xmlElement('longitude', property.longitude),
+        property.images.length
+          ? `<pictures>${property.images.map(image => `<picture>${xmlElement('picture_url', image.url)}</picture>`).join('')}</pictures>`
+          : '',
+        xmlElement('date', date),
+        '</ad>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return ['<?xml version="1.0" encoding="UTF-8"?>', '<trovit>', ...items, '</trovit>', ''].join('\n');
+  }
+
+  /**
+   * Validate an enquiry from the agency's website
+   * @param {Object} data - { name, email, phone, message, propertyId, language, consent }
+   */
+  normalizeEnquiry(data = {}) {
+    const name = String(data.name || '').trim();
+    const email = String(data.email || '').trim().toLowerCase();
+    const phone = String(data.phone || '').trim();
+    const message = String(data.message || '').trim();
+
+    if (!name || name.length > 200) {
+      throw new PublicListingError('name is required (up to 200 characters)');
+    }
+    if (!email && !phone) {
+      throw new PublicListingError('email or phone is required');
+    }
+    if (email && !isValidEmail(email)) {
+      throw new PublicListingError('email is not a valid email address');
+    }
+    if (phone && !isValidPhone(phone)) {
+      throw new PublicListingError('phone is not a valid phone number');
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      throw new PublicListingError(`message must be ${MAX_MESSAGE_LENGTH} characters or less`);
+    }
+    if (data.propertyId !== undefined && data.propertyId !== null && typeof data.propertyId !== 'string') {
+      throw new PublicListingError('propertyId must be a property id');
+    }
+    const language = data.language || SUPPORTED_LANGUAGES.FR;
+    if (!Object.values(SUPPORTED_LANGUAGES).includes(language)) {
+      throw new PublicListingError(`language must be one of: ${Object.values(SUPPORTED_LANGUAGES).join(', ')}`);
+    }
+
+    let consents = [];
+    if (data.consent !== undefined) {
+      try {
+        // Whatever the form says, the consent was given on the website form
+        consents = consentService.normalizeCapture(data.consent)
+          .map(consent => ({ ...consent, source: CONSENT_SOURCES.WEB_FORM }));
+      } catch (error) {
+        if (error instanceof consentService.ConsentError) {
+          throw new PublicListingError(error.message);
+        }
+        throw error;
+      }
+    }
+
+    const [firstName, ...lastNames] = name.split(/\s+/);
+    return {
+      firstName,
+      lastName: lastNames.join(' '),
+      email,
+      phone,
+      message,
+      propertyId: data.propertyId || null,
+      language,
+      consents
+    };
+  }
+
+  /**
+   * Record an enquiry from the agency's website as a new lead (source website_form) interested
+   * in the property it was about. Anyone can post one, so it never changes an existing lead:
+   * leads with the same email or phone are only flagged as possible duplicates for an agent
+   * to merge, and channels they withdrew consent for stay withdrawn on the new lead
+   * @param {Object} api - agency_public_api row of the key
+   * @param {Object} data - Enquiry, see normalizeEnquiry
+   * @param {Object} client - { ipAddress, userAgent } recorded as consent proof
+   * @returns {Promise<Object>} { lead, possibleDuplicateIds }
+   */
+  async captureLead(api, data, client = {}) {
+    const enquiry = this.normalizeEnquiry(data);
+    const agencyId = api.agency_id;
+    const context = { ...WEBSITE_CONTEXT, agencyId };
+
+    let property = null;
+    if (enquiry.propertyId) {
+      const result = await pool.query(
+        'SELECT id, title FROM properties WHERE id = $1 AND agency_id = $2 AND COALESCE(status, $3) = $3',
+        [enquiry.propertyId, agencyId, PROPERTY_STATUS.AVAILABLE]
+      );
+      property = result.rows[0];
+      if (!property) {
+        throw new PublicListingError('Property not found', 404);
+      }
+    }
+
+    const notes = enquiry.message
+      ? `Website enquiry${property ? ` about "${property.title || property.id}"` : ''}: ${enquiry.message}`
+      : '';
+    const incoming = {
+      id: crypto.randomUUID(),
+      first_name: enquiry.firstName,
+      last_name: enquiry.lastName,
+      email: enquiry.email,
+      phone: enquiry.phone,
+      whatsapp: enquiry.phone,
+      source: LEAD_SOURCES.WEBSITE_FORM,
+      notes,
+      status: LEAD_STATUS.NEW,
+      language: enquiry.language,
+      interested_properties: JSON.stringify(property ? [property.id] : []),
+      agency_id: agencyId,
+      phone_normalized: duplicateService.normalizePhone(enquiry.phone)
+    };
+
+    const matches = await duplicateService.findMatches(incoming, agencyId);
+    const duplicates = matches.filter(match => match.confidence === 'high').map(match => match.lead);
+
+    const columns = Object.keys(incoming);
+    const result = await pool.query(`
+      INSERT INTO leads (${columns.join(', ')}, created_at, updated_at)
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')}, NOW(), NOW())
+      RETURNING *
+    `, columns.map(column => incoming[column]));
+    const lead = result.rows[0];
+
+    await activityService.log({
+      leadId: lead.id,
+      type: ACTIVITY_TYPES.LEAD_CREATED,
+      description: duplicates.length
+        ? `Lead created from ${lead.source}, possible duplicate of ${duplicates.length} lead(s) with the same email or phone`
+        : `Lead created from ${lead.source}`,
+      metadata: {
+        source: lead.source,
+        status: lead.status,
+        propertyId: property ? property.id : null,
+        possibleDuplicateIds: duplicates.map(duplicate => duplicate.id)
+      }
+    }, context);
+
+    if (property) {
+      await this.linkProperty(lead, property, context);
+    }
+
+    // Consent withdrawn on the person's other leads is kept: a form anyone can fill in
+    // must not make them reachable again
+    const withdrawn = CONSENT_CHANNELS.filter(channel =>
+      duplicates.some(duplicate => !consentService.isAllowed(duplicate.communication_preferences, channel))
+    );
+    for (const channel of withdrawn) {
+      await consentService.record(lead, {
+        channel,
+        status: CONSENT_STATUS.WITHDRAWN,
+        source: CONSENT_SOURCES.WEB_FORM,
+        proof: { text: 'Withdrawn on a lead with the same email or phone', leadIds: duplicates.map(duplicate => duplicate.id) }
+      }, context);
+    }
+    for (const consent of enquiry.consents) {
+      if (withdrawn.includes(consent.channel)) continue;
+      await consentService.record(lead, {
+        ...consent,
+        proof: consentService.withRequestProof(consent.proof, client)
+      }, context);
+    }
+
+    await scoringService.rescoreLead(lead.id, agencyId);
+
+    // Automation workflows run in the background
+    workflowService.handleEvent(WORKFLOW_TRIGGERS.NEW_LEAD, { agencyId, leadId: lead.id });
+
+    console.log(`🌐 Website enquiry created lead ${lead.id} (agency ${agencyId}${duplicates.length ? `, ${duplicates.length} possible duplicate(s)` : ''})`);
+    return { lead, possibleDuplicateIds: duplicates.map(duplicate => duplicate.id) };
+  }
+
+  // Record the website enquiry about a property (already in the lead's interested_properties)
+  async linkProperty(lead, property, context) {
+    await activityService.log({
+      leadId: lead.id,
+      propertyId: property.id,
+      type: ACTIVITY_TYPES.PROPERTY_LINKED,
+      description: `Enquired about property ${property.title || property.id} on the website`,
+      metadata: { propertyTitle: property.title, source: LEAD_SOURCES.WEBSITE_FORM }
+    }, context);
+
+    workflowService.handleEvent(WORKFLOW_TRIGGERS.PROPERTY_VIEWED, {
+      agencyId: context.agencyId,
+      leadId: lead.id,
+      propertyId: property.id
+    });
+  }
+}
+
+const publicListingService = new PublicListingService();
+publicListingService.PublicListingError = PublicListingError;
+
+module.exports = publicListingService;
@@ -8,6 +8,9 @@ class ReminderService {
       second: 72 * 60 * 60 * 1000, // 72 hours (3 days)
       final: 144 * 60 * 60 * 1000  // 144 hours (6 days)
     };
+
+    // Follow-ups are checked often so reminders go out close to their reminder time
+    this.followUpCheckInterval = 5 * 60 * 1000; // 5 minutes
   }
 
   // Send reminder emails for pending invitations
@@ -141,7 +144,8 @@ class ReminderService {
         role: user.role,
         setupLink,
         expiresIn,
-        agencyName: user.agency_name
+        agencyName: user.agency_name,
+        agencyId: user.agency_id
       });
 
       return emailResult.success;
@@ -152,6 +156,91 @@ class ReminderService {
     }
   }
 
+  // Send reminders for pending follow-ups that reached their reminder time
+  async sendFollowUpReminders() {
+    try {
+      // Recipient is the assigned agent: a user account first, then the team member record.
+      // Follow-ups overdue for more than a day are not reminded anymore.
+      const dueFollowUps = await pool.query(`
+        SELECT
+          f.*,
+          TRIM(COALESCE(l.first_name, '') || ' ' || COALESCE(l.last_name, '')) AS lead_name,
+          p.title AS property_title,
+          COALESCE(u.email, tm.email) AS recipient_email,
+          COALESCE(u.first_name, tm.name) AS recipient_name
+        FROM follow_ups f
+        LEFT JOIN leads l ON l.id = f.lead_id AND l.agency_id = f.agency_id
+        LEFT JOIN properties p ON p.id = f.property_id AND p.agency_id = f.agency_id
+        LEFT JOIN LATERAL (
+          SELECT email, first_name FROM users
+          WHERE TRIM(COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')) = f.assigned_to
+          AND agency_id::text = f.agency_id AND status = 'active'
+          LIMIT 1
+        ) u ON true
+        LEFT JOIN LATERAL (
+          SELECT email, name FROM team_members
+          WHERE name = f.assigned_to AND agency_id = f.agency_id
+          LIMIT 1
+        ) tm ON true
+        WHERE f.status = 'pending'
+        AND f.reminder_sent_at IS NULL
+        AND f.due_date - (COALESCE(f.reminder_minutes, 0) * INTERVAL '1 minute') <= NOW()
+        AND f.due_date > NOW() - INTERVAL '1 day'
+        ORDER BY f.due_date ASC
+      `);
+
+      const reminders = {
+        sent: 0,
+        failed: 0,
+        skipped: 0
+      };
+
+      for (const followUp of dueFollowUps.rows) {
+        if (!followUp.recipient_email) {
+          reminders.skipped++;
+          continue;
+        }
+
+        try {
+          const emailResult = await brevoService.sendFollowUpReminder({
+            ...followUp,
+            lead: { name: followUp.lead_name || followUp.property_title || 'Follow-up' }
+          }, {
+            email: followUp.recipient_email,
+            first_name: followUp.recipient_name
+          });
+
+          if (emailResult.success) {
+            await pool.query('UPDATE follow_ups SET reminder_sent_at = NOW() WHERE id = $1', [followUp.id]);
+            reminders.sent++;
+          } else {
+            reminders.failed++;
+          }
+        } catch (error) {
+          console.error(`Error sending follow-up reminder ${followUp.id}:`, error);
+          reminders.failed++;
+        }
+      }
+
+      if (dueFollowUps.rows.length > 0) {
+        console.log(`✅ Follow-up reminders: ${reminders.sent} sent, ${reminders.failed} failed, ${reminders.skipped} skipped`);
+      }
+
+      return {
+        success: true,
+        summary: reminders,
+        totalChecked: dueFollowUps.rows.length
+      };
+
+    } catch (error) {
+      console.error('❌ Error sending follow-up reminders:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Start automatic reminder checking (call this on server startup)
   startReminderScheduler() {
     console.log('🕐 Starting invitation reminder scheduler...');
@@ -168,7 +257,11 @@ class ReminderService {
       await this.sendPendingReminders();
     }, 60000);
 
-    console.log('✅ Reminder scheduler started (checks every 6 hours)');
+    setInterval(async () => {
+      await this.sendFollowUpReminders();
+    }, this.followUpCheckInterval);
+
+    console.log('✅ Reminder scheduler started (invitations every 6 hours, follow-ups every 5 minutes)');
   }
 }
 
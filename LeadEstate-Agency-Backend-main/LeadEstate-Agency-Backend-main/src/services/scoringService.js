@@ -0,0 +1,422 @@
+const { pool } = require('../config/database');
+const { explainLeadScore, getPaginationMeta } = require('../utils/helpers');
+const { ACTIVITY_TYPES, DEFAULT_LEAD_SCORING, PAGINATION } = require('../utils/constants');
+const permissionService = require('./permissionService');
+
+// Activities counted as engagement with the lead
+const ENGAGEMENT_TYPES = [
+  ACTIVITY_TYPES.NOTE_ADDED,
+  ACTIVITY_TYPES.CALL_MADE,
+  ACTIVITY_TYPES.EMAIL_SENT,
+  ACTIVITY_TYPES.WHATSAPP_SENT,
+  ACTIVITY_TYPES.MEETING_SCHEDULED,
+  ACTIVITY_TYPES.FOLLOW_UP_COMPLETED,
+  ACTIVITY_TYPES.PROPERTY_LINKED,
+];
+
+// Activities that count as contacting the lead for the response speed
+const CONTACT_TYPES = [
+  ACTIVITY_TYPES.CALL_MADE,
+  ACTIVITY_TYPES.EMAIL_SENT,
+  ACTIVITY_TYPES.WHATSAPP_SENT,
+  ACTIVITY_TYPES.MEETING_SCHEDULED,
+  ACTIVITY_TYPES.FOLLOW_UP_COMPLETED,
+];
+
+// Automatic messages (welcome WhatsApp, workflows) are neither engagement nor a response
+const HUMAN_ACTIVITY = "a.user_id IS NOT NULL AND COALESCE(a.metadata->>'automatic', 'false') <> 'true'";
+
+// Leads rescored per query in batch runs
+const BATCH_SIZE = 500;
+
+// Lead changes are rescored after this delay so a burst of activities costs one rescore
+const RESCORE_DELAY = 1000;
+
+// Nightly batch rescore hour (server time), recency points decay every day
+const NIGHTLY_RESCORE_HOUR = 2;
+
+/**
+ * Error raised for invalid scoring settings
+ */
+class ScoringError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScoringError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate a points value
+ * @param {*} value - Points
+ * @param {string} name - Setting name for the error message
+ * @returns {number} Points (0-100)
+ */
+const toPoints = (value, name) => {
+  const points = Number(value);
+  if (!Number.isFinite(points) || points < 0 || points > 100) {
+    throw new ScoringError(`${name} must be a number of points between 0 and 100`);
+  }
+  return points;
+};
+
+/**
+ * Validate a map of key -> points (sources, property types)
+ * @param {object} map - Points per key
+ * @param {string} name - Setting name for the error message
+ * @returns {object} Normalized map with lowercase keys
+ */
+const toPointsMap = (map, name) => {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    throw new ScoringError(`${name} must be an object of ${name === 'sources' ? 'source' : 'type'} -> points`);
+  }
+  return Object.entries(map).reduce((result, [key, value]) => {
+    result[key.trim().toLowerCase()] = toPoints(value, `${name}.${key}`);
+    return result;
+  }, {});
+};
+
+class ScoringService {
+  constructor() {
+    this.pending = new Map();
+  }
+
+  // Validate scoring settings; missing parts fall back to the defaults
+  normalizeWeights(data = {}) {
+    const weights = { ...DEFAULT_LEAD_SCORING, ...data };
+
+    const hotThreshold = toPoints(weights.hotThreshold, 'hotThreshold');
+    if (hotThreshold < 1) {
+      throw new ScoringError('hotThreshold must be at least 1');
+    }
+
+    const contact = { ...DEFAULT_LEAD_SCORING.contact, ...weights.contact };
+
+    if (!Array.isArray(weights.budgetBands)) {
+      throw new ScoringError('budgetBands must be a list of { min, max, points }');
+    }
+    const budgetBands = weights.budgetBands
+      .map((band, index) => {
+        const min = Number(band.min || 0);
+        const max = band.max === null || band.max === undefined || band.max === '' ? null : Number(band.max);
+        if (!Number.isFinite(min) || min < 0 || (max !== null && (!Number.isFinite(max) || max <= min))) {
+          throw new ScoringError(`budgetBands[${index}] must have 0 <= min < max (max empty for no upper limit)`);
+        }
+        return { min, max, points: toPoints(band.points, `budgetBands[${index}].points`) };
+      })
+      .sort((a, b) => a.min - b.min);
+
+    const engagement = { ...DEFAULT_LEAD_SCORING.engagement, ...weights.engagement };
+    const windowDays = parseInt(engagement.windowDays, 10);
+    if (!(windowDays >= 1 && windowDays <= 365)) {
+      throw new ScoringError('engagement.windowDays must be between 1 and 365');
+    }
+
+    if (!Array.isArray(weights.responseSpeed)) {
+      throw new ScoringError('responseSpeed must be a list of { withinMinutes, points }');
+    }
+    const responseSpeed = weights.responseSpeed.map((step, index) => {
+      const withinMinutes = Number(step.withinMinutes);
+      if (!(withinMinutes > 0)) {
+        throw new ScoringError(`responseSpeed[${index}].withinMinutes must be a positive number`);
+      }
+      return { withinMinutes, points: toPoints(step.points, `responseSpeed[${index}].points`) };
+    }).sort((a, b) => a.withinMinutes - b.withinMinutes);
+
+    if (!Array.isArray(weights.recency)) {
+      throw new ScoringError('recency must be a list of { withinDays, points }');
+    }
+    const recency = weights.recency.map((step, index) => {
+      const withinDays = Number(step.withinDays);
+      if (!(withinDays >= 0)) {
+        throw new ScoringError(`recency[${index}].withinDays must be 0 or more`);
+      }
+      return { withinDays, points: toPoints(step.points, `recency[${index}].points`) };
+    }).sort((a, b) => a.withinDays - b.withinDays);
+
+    return {
+      hotThreshold,
+      contact: {
+        email: toPoints(contact.email, 'contact.email'),
+        phone: toPoints(contact.phone, 'contact.phone')
+      },
+      sources: toPointsMap(weights.sources, 'sources'),
+      budgetBands,
+      propertyTypes: toPointsMap(weights.propertyTypes, 'propertyTypes'),
+      engagement: {
+        pointsPerActivity: toPoints(engagement.pointsPerActivity, 'engagement.pointsPerActivity'),
+        maxPoints: toPoints(engagement.maxPoints, 'engagement.maxPoints'),
+        windowDays
+      },
+      responseSpeed,
+      recency
+    };
+  }
+
+  // Scoring weights of an agency (defaults until it saves its own)
+  async getWeights(agencyId) {
+    const result = await pool.query('SELECT weights FROM lead_scoring_settings WHERE agency_id = $1', [agencyId]);
+    return result.rows[0] ? this.normalizeWeights(result.rows[0].weights) : this.normalizeWeights();
+  }
+
+  async getSettings(agencyId) {
+    const result = await pool.query('SELECT * FROM lead_scoring_settings WHERE agency_id = $1', [agencyId]);
+    const row = result.rows[0];
+    return {
+      weights: row ? this.normalizeWeights(row.weights) : this.normalizeWeights(),
+      isDefault: !row,
+      updatedBy: row ? row.updated_by : null,
+      updatedAt: row ? row.updated_at : null
+    };
+  }
+
+  // Save an agency's weights and rescore its leads in the background
+  async updateSettings(data, context) {
+    const weights = this.normalizeWeights(data.weights || data);
+
+    await pool.query(`
+      INSERT INTO lead_scoring_settings (agency_id, weights, updated_by, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (agency_id) DO UPDATE SET weights = EXCLUDED.weights, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+    `, [context.agencyId, JSON.stringify(weights), context.userName || null]);
+
+    this.rescoreAgencyInBackground(context.agencyId);
+    return this.getSettings(context.agencyId);
+  }
+
+  // Back to the default weights
+  async resetSettings(context) {
+    await pool.query('DELETE FROM lead_scoring_settings WHERE agency_id = $1', [context.agencyId]);
+    this.rescoreAgencyInBackground(context.agencyId);
+    return this.getSettings(context.agencyId);
+  }
+
+  // Engagement signals of leads: activity count, first response delay, property types of interest
+  async getSignals(leads, agencyId, weights) {
+    const signals = new Map();
+    if (leads.length === 0) {
+      return signals;
+    }
+
+    const activities = await pool.query(`
+      SELECT l.id,
+        (
+          SELECT COUNT(*) FROM lead_activities a
+          WHERE a.lead_id = l.id AND a.agency_id = l.agency_id AND a.type = ANY($3)
+          AND a.created_at >= NOW() - make_interval(days => $4) AND ${HUMAN_ACTIVITY}
+        ) AS activity_count,
+        (
+          SELECT EXTRACT(EPOCH FROM MIN(a.created_at) - l.created_at) / 60 FROM lead_activities a
+          WHERE a.lead_id = l.id AND a.agency_id = l.agency_id AND a.type = ANY($5) AND ${HUMAN_ACTIVITY}
+        ) AS first_response_minutes
+      FROM leads l
+      WHERE l.agency_id = $1 AND l.id = ANY($2)
+    `, [agencyId, leads.map(lead => lead.id), ENGAGEMENT_TYPES, weights.engagement.windowDays, CONTACT_TYPES]);
+
+    // interested_properties is a JSON array of property ids stored as text
+    const interests = new Map(leads.map(lead => {
+      try {
+        const ids = JSON.parse(lead.interested_properties || '[]');
+        return [lead.id, Array.isArray(ids) ? ids.map(String) : []];
+      } catch (error) {
+        return [lead.id, []];
+      }
+    }));
+    const propertyIds = [...new Set([].concat(...interests.values()))];
+    const propertyTypes = new Map();
+    if (propertyIds.length > 0) {
+      const properties = await pool.query(
+        'SELECT id, type FROM properties WHERE agency_id = $1 AND id = ANY($2)',
+        [agencyId, propertyIds]
+      );
+      properties.rows.forEach(property => propertyTypes.set(String(property.id), property.type));
+    }
+
+    activities.rows.forEach(row => {
+      signals.set(row.id, {
+        activityCount: parseInt(row.activity_count, 10),
+        firstResponseMinutes: row.first_response_minutes === null ? null : Math.max(0, Number(row.first_response_minutes)),
+        propertyTypes: interests.get(row.id).map(id => propertyTypes.get(id)).filter(Boolean)
+      });
+    });
+    return signals;
+  }
+
+  // Score leads and store the score with its breakdown (updated_at is left alone)
+  async scoreLeads(leads, agencyId, weights) {
+    const signals = await this.getSignals(leads, agencyId, weights);
+    const results = new Map();
+
+    for (const lead of leads) {
+      const result = explainLeadScore({
+        email: lead.email,
+        phone: lead.phone,
+        source: lead.source,
+        budget: lead.budget,
+        createdAt: lead.created_at,
+        ...signals.get(lead.id)
+      }, weights);
+
+      await pool.query(
+        'UPDATE leads SET score = $3, score_breakdown = $4, scored_at = NOW() WHERE id = $1 AND agency_id = $2',
+        [lead.id, agencyId, result.score, JSON.stringify(result.breakdown)]
+      );
+      results.set(lead.id, result);
+    }
+
+    return results;
+  }
+
+  // Recalculate one lead's score; returns { score, hot, breakdown } or null when the lead is gone
+  async rescoreLead(leadId, agencyId) {
+    const result = await pool.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, agencyId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const weights = await this.getWeights(agencyId);
+    const scores = await this.scoreLeads(result.rows, agencyId, weights);
+    return scores.get(leadId);
+  }
+
+  // Stored score of a lead without recalculating it; returns { score, hot, breakdown, scoredAt }
+  // or null when the lead is gone
+  async getLeadScore(leadId, agencyId) {
+    const result = await pool.query(
+      'SELECT score, score_breakdown, scored_at FROM leads WHERE id = $1 AND agency_id = $2',
+      [leadId, agencyId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const lead = result.rows[0];
+    const weights = await this.getWeights(agencyId);
+    const score = lead.score === null ? null : Number(lead.score);
+    return {
+      score,
+      hot: score !== null && score >= weights.hotThreshold,
+      breakdown: lead.score_breakdown || [],
+      scoredAt: lead.scored_at
+    };
+  }
+
+  // Rescore a lead shortly after a change. Called on every activity; never throws.
+  queueRescore(leadId, agencyId) {
+    if (!leadId || !agencyId) {
+      return;
+    }
+
+    clearTimeout(this.pending.get(leadId));
+    const timer = setTimeout(() => {
+      this.pending.delete(leadId);
+      this.rescoreLead(leadId, agencyId).catch(error => {
+        console.error('❌ Failed to rescore lead:', leadId, error.message);
+      });
+    }, RESCORE_DELAY);
+    // Pending rescores must not keep the process alive
+    if (timer.unref) timer.unref();
+    this.pending.set(leadId, timer);
+  }
+
+  // Rescore every lead of an agency in batches (unscoredOnly: leads never scored)
+  async rescoreAgency(agencyId, { unscoredOnly = false } = {}) {
+    const weights = await this.getWeights(agencyId);
+    let lastId = '';
+    let count = 0;
+
+    for (;;) {
+      const result = await pool.query(`
+        SELECT * FROM leads
+        WHERE agency_id = $1 AND id > $2 ${unscoredOnly ? 'AND scored_at IS NULL' : ''}
+        ORDER BY id ASC LIMIT $3
+      `, [agencyId, lastId, BATCH_SIZE]);
+      if (result.rows.length === 0) break;
+
+      await this.scoreLeads(result.rows, agencyId, weights);
+      count += result.rows.length;
+      lastId = result.rows[result.rows.length - 1].id;
+    }
+
+    return count;
+  }
+
+  rescoreAgencyInBackground(agencyId) {
+    this.rescoreAgency(agencyId).catch(error => {
+      console.error('❌ Failed to rescore agency leads:', agencyId, error.message);
+    });
+  }
+
+  // Nightly batch: rescore the leads of every agency
+  async rescoreAll({ unscoredOnly = false } = {}) {
+    try {
+      const agencies = await pool.query(`
+        SELECT DISTINCT agency_id FROM leads
+        WHERE agency_id IS NOT NULL ${unscoredOnly ? 'AND scored_at IS NULL' : ''}
+      `);
+      let count = 0;
+      for (const { agency_id: agencyId } of agencies.rows) {
+        count += await this.rescoreAgency(agencyId, { unscoredOnly });
+      }
+      console.log(`✅ Rescored ${count} leads`);
+      return count;
+    } catch (error) {
+      console.error('❌ Lead rescore failed:', error);
+      return 0;
+    }
+  }
+
+  // Leads at or above the agency's hot threshold, best first (ownedBy: only that user's leads)
+  async getHotLeads(agencyId, { assignedTo, ownedBy, page, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const weights = await this.getWeights(agencyId);
+    const params = [agencyId, weights.hotThreshold];
+    let whereClause = 'WHERE agency_id = $1 AND score >= $2';
+    if (assignedTo) {
+      params.push(String(assignedTo).split(','));
+      whereClause += ` AND assigned_to = ANY($${params.length})`;
+    }
+    if (ownedBy) {
+      whereClause += ` AND ${permissionService.buildOwnLeadCondition(ownedBy, params)}`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM leads ${whereClause}`, params);
+    const result = await pool.query(`
+      SELECT * FROM leads
+      ${whereClause}
+      ORDER BY score DESC, created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      leads: result.rows,
+      hotThreshold: weights.hotThreshold,
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  startScheduler() {
+    const scheduleNext = () => {
+      const next = new Date();
+      next.setHours(NIGHTLY_RESCORE_HOUR, 0, 0, 0);
+      if (next <= new Date()) {
+        next.setDate(next.getDate() + 1);
+      }
+
+      setTimeout(async () => {
+        await this.rescoreAll();
+        scheduleNext();
+      }, next - new Date());
+    };
+
+    scheduleNext();
+    console.log(`✅ Lead scoring scheduler started (nightly rescore at ${NIGHTLY_RESCORE_HOUR}:00)`);
+  }
+}
+
+const scoringService = new ScoringService();
+scoringService.ScoringError = ScoringError;
+
+module.exports = scoringService;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+// Refresh tokens last JWT_REFRESH_EXPIRES_IN (7d by default), renewed on every refresh
+const DEFAULT_REFRESH_TTL = '7d';
+
+// last_activity is written at most once per minute per session
+const ACTIVITY_UPDATE_INTERVAL_SECONDS = 60;
+
+// Expired or revoked sessions are removed after 30 days
+const SESSION_RETENTION_DAYS = 30;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// '15m', '12h', '7d' or a number of seconds -> seconds
+const parseDuration = (value, fallback) => {
+  const match = String(value || '').trim().match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) {
+    return parseDuration(fallback);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+};
+
+// Only a hash of the refresh token is stored in user_sessions.session_token
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  getRefreshTtlSeconds() {
+    return parseDuration(process.env.JWT_REFRESH_EXPIRES_IN, DEFAULT_REFRESH_TTL);
+  }
+
+  /**
+   * Open a session for a device and return its refresh token
+   * @param {Object} user - users row
+   * @param {Object} client - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { session, refreshToken }
+   */
+  async create(user, client = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const result = await pool.query(`
+      INSERT INTO user_sessions (user_id, session_token, ip_address, user_agent, expires_at)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+      RETURNING *
+    `, [user.id, hashToken(refreshToken), client.ipAddress || null, client.userAgent || null, this.getRefreshTtlSeconds()]);
+
+    await pool.query(`
+      DELETE FROM user_sessions
+      WHERE user_id = $1
+        AND (expires_at < NOW() - make_interval(days => $2) OR (is_active = false AND last_activity < NOW() - make_interval(days => $2)))
+    `, [user.id, SESSION_RETENTION_DAYS]);
+
+    return { session: result.rows[0], refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (rotation).
+   * A refresh token that was already rotated means it leaked: the whole session is revoked.
+   * @returns {Promise<Object|null>} { session, refreshToken } or null when the token is not valid
+   */
+  async rotate(refreshToken, client = {}) {
+    if (!refreshToken) {
+      return null;
+    }
+    const tokenHash = hashToken(String(refreshToken));
+    const nextToken = crypto.randomBytes(48).toString('hex');
+
+    const result = await pool.query(`
+      UPDATE user_sessions SET
+        previous_session_token = session_token,
+        session_token = $2,
+        ip_address = COALESCE($3, ip_address),
+        user_agent = COALESCE($4, user_agent),
+        last_activity = NOW(),
+        expires_at = NOW() + make_interval(secs => $5)
+      WHERE session_token = $1 AND is_active = true AND expires_at > NOW()
+      RETURNING *
+    `, [tokenHash, hashToken(nextToken), client.ipAddress || null, client.userAgent || null, this.getRefreshTtlSeconds()]);
+
+    if (result.rows.length > 0) {
+      return { session: result.rows[0], refreshToken: nextToken };
+    }
+
+    const reused = await pool.query(`
+      UPDATE user_sessions SET is_active = false
+      WHERE previous_session_token = $1 AND is_active = true
+      RETURNING id, user_id
+    `, [tokenHash]);
+    if (reused.rows.length > 0) {
+      console.log(`⚠️ Refresh token reused for session ${reused.rows[0].id}, session revoked`);
+    }
+
+    return null;
+  }
+
+  // Active session of the access token, with last_activity kept up to date
+  async touch(sessionId, userId) {
+    const result = await pool.query(`
+      UPDATE user_sessions SET last_activity = NOW()
+      WHERE id = $1 AND user_id = $2 AND is_active = true AND expires_at > NOW()
+        AND last_activity < NOW() - make_interval(secs => $3)
+      RETURNING id
+    `, [sessionId, userId, ACTIVITY_UPDATE_INTERVAL_SECONDS]);
+    if (result.rows.length > 0) {
+      return true;
+    }
+
+    const active = await pool.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND is_active = true AND expires_at > NOW()',
+      [sessionId, userId]
+    );
+    return active.rows.length > 0;
+  }
+
+  async listActive(userId) {
+    const result = await pool.query(`
+      SELECT * FROM user_sessions
+      WHERE user_id = $1 AND is_active = true AND expires_at > NOW()
+      ORDER BY last_activity DESC
+    `, [userId]);
+    return result.rows;
+  }
+
+  // Revoke one session of a user; false when it does not exist or is already closed
+  async revoke(sessionId, userId) {
+    const result = await pool.query(
+      'UPDATE user_sessions SET is_active = false WHERE id::text = $1 AND user_id = $2 AND is_active = true RETURNING id',
+      [sessionId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  async revokeByRefreshToken(refreshToken, userId) {
+    const result = await pool.query(
+      'UPDATE user_sessions SET is_active = false WHERE session_token = $1 AND user_id = $2 AND is_active = true RETURNING id',
+      [hashToken(String(refreshToken)), userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Sign a user out everywhere (suspension, password change); returns the number of sessions closed
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    const result = await pool.query(`
+      UPDATE user_sessions SET is_active = false
+      WHERE user_id = $1 AND is_active = true AND ($2::uuid IS NULL OR id <> $2::uuid)
+      RETURNING id
+    `, [userId, exceptSessionId]);
+    return result.rows.length;
+  }
+
+  format(session, currentSessionId = null) {
+    return {
+      id: session.id,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastActivity: session.last_activity,
+      expiresAt: session.expires_at,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
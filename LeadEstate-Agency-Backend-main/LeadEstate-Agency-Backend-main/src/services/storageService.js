@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+
+// Local files are written here and served by the API under /uploads
+const LOCAL_ROOT = path.resolve(process.env.UPLOAD_PATH || 'uploads');
+
+const S3_TIMEOUT_MS = 30 * 1000;
+
+// Stored keys are generated ids, never client file names
+const isSafeKey = (key) => /^[a-z0-9][a-z0-9/_.-]*$/i.test(key) && !key.split('/').includes('..');
+
+/**
+ * Error raised when files cannot be stored with the current configuration
+ */
+class StorageError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = 'StorageError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Stores files on the local disk (the default). Files are public under /uploads/<key>
+ * with absolute URLs on PUBLIC_API_URL: frontends on other origins, Twilio and Brevo
+ * load them from there, so the adapter is not configured without it
+ */
+class LocalStorageAdapter {
+  constructor(root = LOCAL_ROOT) {
+    this.name = 'local';
+    this.root = root;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.PUBLIC_API_URL);
+  }
+
+  async put(key, buffer) {
+    const filePath = path.join(this.root, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(path.join(this.root, key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.unlink(path.join(this.root, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  url(key) {
+    return `${(process.env.PUBLIC_API_URL || '').replace(/\/$/, '')}/uploads/${key}`;
+  }
+}
+
+/**
+ * Stores files in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO, Scaleway...)
+ * with path-style requests signed with AWS Signature V4. Objects must be publicly
+ * readable at S3_PUBLIC_URL (the bucket's public URL or a CDN in front of it)
+ */
+class S3StorageAdapter {
+  constructor({
+    endpoint = process.env.S3_ENDPOINT,
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl = process.env.S3_PUBLIC_URL
+  } = {}) {
+    this.name = 's3';
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '');
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.publicUrl = (publicUrl || `${this.endpoint}/${bucket}`).replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  async put(key, buffer, contentType) {
+    await this.request('PUT', key, buffer, {
+      'content-type': contentType,
+      // Keys are unique per upload, so objects never change
+      'cache-control': 'public, max-age=31536000, immutable'
+    });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(response.data);
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  // Send a request signed with AWS Signature V4
+  async request(method, key, body = Buffer.alloc(0), headers = {}) {
+    const url = new URL(`${this.endpoint}/${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      names.map(name => `${name}:${String(signed[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...requestHeaders } = signed;
+    return axios({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: {
+        ...requestHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+      },
+      timeout: S3_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+      responseType: 'arraybuffer',
+      // S3 answers 204 to deletes, and 404 when the object is already gone
+      validateStatus: status => (status >= 200 && status < 300) || (method === 'DELETE' && status === 404)
+    });
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.adapters = { local: new LocalStorageAdapter() };
+    if (process.env.STORAGE_DRIVER === 's3') {
+      this.adapters.s3 = new S3StorageAdapter();
+      if (!this.adapters.s3.isConfigured()) {
+        console.warn('⚠️ STORAGE_DRIVER=s3 but S3_BUCKET, S3_ACCESS_KEY_ID or S3_SECRET_ACCESS_KEY is missing, storing files locally');
+      }
+    }
+    this.driver = this.adapters.s3 && this.adapters.s3.isConfigured() ? 's3' : 'local';
+    this.localRoot = LOCAL_ROOT;
+    if (this.driver === 'local' && !this.adapters.local.isConfigured()) {
+      console.warn('⚠️ PUBLIC_API_URL is not set, uploaded files cannot be stored locally');
+    }
+  }
+
+  /**
+   * Replace the adapter of a driver (and make it the one new files go to)
+   * @param {string} driver - local or s3
+   * @param {Object} adapter - { isConfigured(), put(key, buffer, contentType), get(key), remove(key), url(key) }
+   */
+  setAdapter(driver, adapter) {
+    this.adapters[driver] = adapter;
+    this.driver = driver;
+  }
+
+  getAdapter(driver = this.driver) {
+    const adapter = this.adapters[driver];
+    if (!adapter) {
+      throw new Error(`Storage driver "${driver}" is not configured`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Store a file with the current driver
+   * @returns {Promise<Object>} { driver, key, url }
+   */
+  async put(key, buffer, contentType) {
+    if (!isSafeKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    const adapter = this.getAdapter();
+    if (!adapter.isConfigured()) {
+      throw new StorageError(this.driver === 'local'
+        ? 'Files can only be stored when PUBLIC_API_URL is set (their URLs are absolute)'
+        : `Storage driver "${this.driver}" is not configured`);
+    }
+    await adapter.put(key, buffer, contentType);
+    return { driver: this.driver, key, url: adapter.url(key) };
+  }
+
+  /**
+   * Read a file from the driver it was stored with
+   * @returns {Promise<Buffer>}
+   */
+  async get(key, driver = this.driver) {
+    if (!key || !isSafeKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return this.getAdapter(driver).get(key);
+  }
+
+  /**
+   * Find the stored file a URL points to (a URL returned by put), so files are read from
+   * storage rather than downloaded from wherever a URL points
+   * @returns {Object|null} { driver, key }, null for URLs of other hosts
+   */
+  resolveUrl(url) {
+    if (!url) {
+      return null;
+    }
+    for (const [driver, adapter] of Object.entries(this.adapters)) {
+      const prefix = adapter.url('');
+      if (String(url).startsWith(prefix)) {
+        const key = decodeURIComponent(String(url).slice(prefix.length).split(/[?#]/)[0]);
+        return isSafeKey(key) ? { driver, key } : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Delete a file from the driver it was stored with
+   */
+  async remove(key, driver = this.driver) {
+    if (!key || !isSafeKey(key)) {
+      return;
+    }
+    await this.getAdapter(driver).remove(key);
+  }
+}
+
+const storageService = new StorageService();
+storageService.StorageError = StorageError;
+storageService.LocalStorageAdapter = LocalStorageAdapter;
+storageService.S3StorageAdapter = S3StorageAdapter;
+
+module.exports = storageService;
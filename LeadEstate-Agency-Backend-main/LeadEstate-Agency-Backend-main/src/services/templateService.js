@@ -0,0 +1,446 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { SUPPORTED_LANGUAGES } = require('../utils/constants');
+const {
+  BUILT_IN_TEMPLATES,
+  COMMON_VARIABLES,
+  SAMPLE_VARIABLES,
+  SAMPLE_EMAIL_VARIABLES
+} = require('../templates/messageTemplates');
+
+const LANGUAGES = Object.values(SUPPORTED_LANGUAGES);
+
+// Built-in copy exists in English for every template
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.EN;
+
+// Leads without a language are French (leads.language defaults to 'fr')
+const DEFAULT_LEAD_LANGUAGE = SUPPORTED_LANGUAGES.FR;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const MAX_SUBJECT_LENGTH = 500;
+const MAX_BODY_LENGTH = 100000;
+
+/**
+ * Error raised for unknown templates or invalid template content
+ */
+class TemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.statusCode = statusCode;
+  }
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const placeholdersOf = (text) => [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+const formatPrice = (price) => `$${Number(price || 0).toLocaleString()}`;
+
+class TemplateService {
+  /**
+   * Definition of a template (description, variables, built-in copy)
+   * @param {string} channel - whatsapp or email
+   * @param {string} key - WHATSAPP_TEMPLATES / EMAIL_TEMPLATES value
+   */
+  getDefinition(channel, key) {
+    const definition = BUILT_IN_TEMPLATES[channel] && BUILT_IN_TEMPLATES[channel][key];
+    if (!definition) {
+      throw new TemplateError(`Unknown ${channel} template: ${key}`, 404);
+    }
+    return definition;
+  }
+
+  getVariables(definition) {
+    return [...new Set([...COMMON_VARIABLES, ...definition.variables])];
+  }
+
+  normalizeLanguage(language) {
+    return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  leadLanguage(lead) {
+    return LANGUAGES.includes(lead && lead.language) ? lead.language : DEFAULT_LEAD_LANGUAGE;
+  }
+
+  assertLanguage(language) {
+    if (!LANGUAGES.includes(language)) {
+      throw new TemplateError(`language must be one of: ${LANGUAGES.join(', ')}`);
+    }
+  }
+
+  // Built-in copy in the language, English when it has no translation
+  getBuiltIn(definition, language) {
+    return definition.languages[language] || definition.languages[DEFAULT_LANGUAGE];
+  }
+
+  /**
+   * Replace {{placeholders}} with their values; email values are HTML-escaped
+   * except the definition's htmlVariables (blocks of markup built by the sender)
+   */
+  renderText(text, variables, channel, definition) {
+    const htmlVariables = definition.htmlVariables || [];
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return channel === 'email' && !htmlVariables.includes(name) ? escapeHtml(value) : String(value);
+    });
+  }
+
+  async getCurrent(agencyId, channel, key, language) {
+    if (!agencyId) {
+      return null;
+    }
+    const result = await pool.query(`
+      SELECT * FROM message_templates
+      WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4 AND is_current = true
+    `, [agencyId, channel, key, language]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Text to send: the agency's current version in the language, else the built-in copy
+   * @returns {Promise<Object>} { subject, body, source: 'agency' | 'built_in', version, language }
+   */
+  async resolve(channel, key, { agencyId, language } = {}) {
+    const definition = this.getDefinition(channel, key);
+    language = this.normalizeLanguage(language);
+
+    const current = await this.getCurrent(agencyId, channel, key, language);
+    if (current) {
+      return { subject: current.subject, body: current.body, source: 'agency', version: current.version, language };
+    }
+
+    const builtIn = this.getBuiltIn(definition, language);
+    return { subject: builtIn.subject || null, body: builtIn.body, source: 'built_in', version: null, language };
+  }
+
+  /**
+   * Render a template for sending
+   * @param {string} channel - whatsapp or email
+   * @param {string} key - Template key
+   * @param {Object} options - { agencyId, language, variables }
+   * @returns {Promise<Object>} { subject, body, source, version, language }
+   */
+  async render(channel, key, { agencyId, language, variables = {} } = {}) {
+    const definition = this.getDefinition(channel, key);
+    const template = await this.resolve(channel, key, { agencyId, language });
+    const values = { agencyName: process.env.AGENCY_NAME || 'LeadEstate', ...variables };
+
+    return {
+      ...template,
+      subject: template.subject ? this.renderText(template.subject, values, channel, definition).trim() : null,
+      body: this.renderText(template.body, values, channel, definition).trim()
+    };
+  }
+
+  // Placeholder values describing a lead (Lead model instance or leads row)
+  leadVariables(lead = {}) {
+    const firstName = lead.first_name || lead.firstName || '';
+    const lastName = lead.last_name || lead.lastName || '';
+    const name = typeof lead.getFullName === 'function'
+      ? lead.getFullName()
+      : (lead.name || `${firstName} ${lastName}`.trim());
+
+    return {
+      leadName: name,
+      leadFirstName: firstName || name.split(' ')[0] || '',
+      leadLastName: lastName,
+      leadEmail: lead.email || '',
+      leadPhone: lead.phone || ''
+    };
+  }
+
+  // Placeholder values describing an agent (team member or user)
+  agentVariables(agent = {}) {
+    const name = agent.name || `${agent.first_name || ''} ${agent.last_name || ''}`.trim();
+    return {
+      agentName: name || process.env.AGENCY_NAME || 'LeadEstate',
+      agentPhone: agent.phone || '',
+      agentEmail: agent.email || ''
+    };
+  }
+
+  // Placeholder values describing the properties of a message (the first one for single-property copy)
+  propertyVariables(properties = [], language = DEFAULT_LANGUAGE) {
+    const [first = {}] = properties;
+    const count = properties.length;
+    const countText = language === SUPPORTED_LANGUAGES.FR
+      ? `${count} ${count === 1 ? 'nouveau bien' : 'nouveaux biens'}`
+      : `${count} new propert${count === 1 ? 'y' : 'ies'}`;
+
+    return {
+      propertyTitle: first.title || '',
+      propertyPrice: first.price !== undefined && first.price !== null ? formatPrice(first.price) : '',
+      propertyLocation: first.location || [first.address, first.city].filter(Boolean).join(', '),
+      propertyCount: String(count),
+      propertyCountText: countText
+    };
+  }
+
+  // Placeholder values describing an appointment, dated in the appointment's time zone
+  appointmentVariables(appointment = {}, language = DEFAULT_LANGUAGE) {
+    const startsAt = new Date(appointment.starts_at || appointment.startsAt);
+    const locale = language === SUPPORTED_LANGUAGES.FR ? 'fr-FR' : 'en-US';
+    const timeZone = appointment.timezone || 'UTC';
+
+    return {
+      agentName: appointment.agent_name || appointment.agentName || process.env.AGENCY_NAME || 'LeadEstate',
+      appointmentDate: startsAt.toLocaleDateString(locale, { timeZone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      appointmentTime: startsAt.toLocaleTimeString(locale, { timeZone, hour: '2-digit', minute: '2-digit', timeZoneName: 'short' }),
+      appointmentLocation: appointment.location || (language === SUPPORTED_LANGUAGES.FR ? 'À confirmer' : 'To be confirmed'),
+      appointmentNotes: appointment.notes || '-',
+      propertyTitle: appointment.property_title || appointment.propertyTitle || ''
+    };
+  }
+
+  formatPrice(price) {
+    return formatPrice(price);
+  }
+
+  // Template catalog with, per language, whether the agency replaced the built-in copy
+  async list(agencyId) {
+    const result = await pool.query(
+      'SELECT channel, template_key, language, version, created_at FROM message_templates WHERE agency_id = $1 AND is_current = true',
+      [agencyId]
+    );
+    const current = new Map(result.rows.map(row => [`${row.channel}:${row.template_key}:${row.language}`, row]));
+
+    return Object.entries(BUILT_IN_TEMPLATES).flatMap(([channel, templates]) =>
+      Object.entries(templates).map(([key, definition]) => ({
+        channel,
+        key,
+        description: definition.description,
+        variables: this.getVariables(definition),
+        languages: LANGUAGES.reduce((languages, language) => {
+          const row = current.get(`${channel}:${key}:${language}`);
+          languages[language] = {
+            customized: Boolean(row),
+            version: row ? row.version : null,
+            updatedAt: row ? row.created_at : null
+          };
+          return languages;
+        }, {})
+      }))
+    );
+  }
+
+  // A template with its current and built-in copy in every language
+  async get(agencyId, channel, key) {
+    const definition = this.getDefinition(channel, key);
+    const languages = {};
+
+    for (const language of LANGUAGES) {
+      const current = await this.getCurrent(agencyId, channel, key, language);
+      const builtIn = this.getBuiltIn(definition, language);
+      languages[language] = {
+        source: current ? 'agency' : 'built_in',
+        version: current ? current.version : null,
+        subject: current ? current.subject : (builtIn.subject || null),
+        body: current ? current.body : builtIn.body,
+        updatedAt: current ? current.created_at : null,
+        updatedBy: current ? current.created_by : null,
+        builtIn: { subject: builtIn.subject || null, body: builtIn.body }
+      };
+    }
+
+    return {
+      channel,
+      key,
+      description: definition.description,
+      variables: this.getVariables(definition),
+      languages
+    };
+  }
+
+  validateContent(channel, definition, { subject, body }) {
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new TemplateError('body is required');
+    }
+    if (body.length > MAX_BODY_LENGTH) {
+      throw new TemplateError(`body must be at most ${MAX_BODY_LENGTH} characters`);
+    }
+    if (channel === 'email' && (typeof subject !== 'string' || !subject.trim())) {
+      throw new TemplateError('subject is required for email templates');
+    }
+    if (subject && String(subject).length > MAX_SUBJECT_LENGTH) {
+      throw new TemplateError(`subject must be at most ${MAX_SUBJECT_LENGTH} characters`);
+    }
+
+    const allowed = this.getVariables(definition);
+    const unknown = [...new Set([...placeholdersOf(subject), ...placeholdersOf(body)])]
+      .filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+      throw new TemplateError(`Unknown placeholders: ${unknown.join(', ')}. Available: ${allowed.join(', ')}`);
+    }
+  }
+
+  // Write a new current version of a template (edits and restores are both new versions)
+  async createVersion(channel, key, language, { subject, body }, context, restoredFrom = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const versionResult = await client.query(`
+        SELECT COALESCE(MAX(version), 0) + 1 AS version FROM message_templates
+        WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4
+      `, [context.agencyId, channel, key, language]);
+
+      await client.query(`
+        UPDATE message_templates SET is_current = false
+        WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4 AND is_current = true
+      `, [context.agencyId, channel, key, language]);
+
+      const result = await client.query(`
+        INSERT INTO message_templates (
+          id, agency_id, channel, template_key, language, version, subject, body,
+          is_current, restored_from, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9, $10)
+        RETURNING *
+      `, [
+        crypto.randomUUID(), context.agencyId, channel, key, language, versionResult.rows[0].version,
+        channel === 'email' ? String(subject).trim() : null, body, restoredFrom, context.userName || null
+      ]);
+      await client.query('COMMIT');
+
+      console.log(`📝 Template ${channel}/${key} (${language}) saved as version ${result.rows[0].version}`);
+      return this.format(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Save an agency's version of a template
+   * @param {Object} content - { subject, body }
+   * @param {Object} context - { agencyId, userName }
+   */
+  async save(channel, key, language, content, context) {
+    const definition = this.getDefinition(channel, key);
+    this.assertLanguage(language);
+    this.validateContent(channel, definition, content);
+    return this.createVersion(channel, key, language, content, context);
+  }
+
+  async getVersions(agencyId, channel, key, language) {
+    this.getDefinition(channel, key);
+    this.assertLanguage(language);
+
+    const result = await pool.query(`
+      SELECT * FROM message_templates
+      WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4
+      ORDER BY version DESC
+    `, [agencyId, channel, key, language]);
+    return result.rows.map(row => this.format(row));
+  }
+
+  // Make an older version current again (saved as a new version)
+  async restore(channel, key, language, version, context) {
+    this.getDefinition(channel, key);
+    this.assertLanguage(language);
+
+    const result = await pool.query(`
+      SELECT * FROM message_templates
+      WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4 AND version = $5
+    `, [context.agencyId, channel, key, language, parseInt(version, 10) || 0]);
+    if (result.rows.length === 0) {
+      throw new TemplateError('Template version not found', 404);
+    }
+
+    const previous = result.rows[0];
+    return this.createVersion(channel, key, language, previous, context, previous.version);
+  }
+
+  // Go back to the built-in copy; the version history is kept
+  async reset(channel, key, language, context) {
+    this.getDefinition(channel, key);
+    this.assertLanguage(language);
+
+    const result = await pool.query(`
+      UPDATE message_templates SET is_current = false
+      WHERE agency_id = $1 AND channel = $2 AND template_key = $3 AND language = $4 AND is_current = true
+      RETURNING id
+    `, [context.agencyId, channel, key, language]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Render a template with sample data: a draft ({ subject, body }) or the current version
+   * @param {Object} options - { language, subject, body, variables }
+   */
+  async preview(agencyId, channel, key, { language, subject, body, variables = {} } = {}) {
+    const definition = this.getDefinition(channel, key);
+    language = this.normalizeLanguage(language);
+
+    let template;
+    if (body !== undefined) {
+      this.validateContent(channel, definition, { subject, body });
+      template = { subject: channel === 'email' ? subject : null, body, source: 'draft', version: null };
+    } else {
+      template = await this.resolve(channel, key, { agencyId, language });
+    }
+
+    const values = {
+      ...SAMPLE_VARIABLES,
+      ...(channel === 'email' ? SAMPLE_EMAIL_VARIABLES : {}),
+      agencyName: process.env.AGENCY_NAME || SAMPLE_VARIABLES.agencyName
+    };
+    this.getVariables(definition).forEach(name => {
+      if (variables && variables[name] !== undefined) {
+        values[name] = variables[name];
+      }
+    });
+
+    return {
+      channel,
+      key,
+      language,
+      source: template.source,
+      version: template.version,
+      subject: template.subject ? this.renderText(template.subject, values, channel, definition).trim() : null,
+      body: this.renderText(template.body, values, channel, definition).trim()
+    };
+  }
+
+  // Workflow send_whatsapp actions can use templates that only need lead and agent details
+  getWorkflowTemplates() {
+    return Object.keys(BUILT_IN_TEMPLATES.whatsapp).filter(key => BUILT_IN_TEMPLATES.whatsapp[key].workflow);
+  }
+
+  // Templates a campaign can use; they take the campaign message as customMessage
+  getCampaignTemplates(channel) {
+    const templates = BUILT_IN_TEMPLATES[channel] || {};
+    return Object.keys(templates).filter(key => templates[key].campaign);
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      channel: row.channel,
+      key: row.template_key,
+      language: row.language,
+      version: row.version,
+      subject: row.subject,
+      body: row.body,
+      current: row.is_current,
+      restoredFrom: row.restored_from,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+const templateService = new TemplateService();
+templateService.TemplateError = TemplateError;
+
+module.exports = templateService;
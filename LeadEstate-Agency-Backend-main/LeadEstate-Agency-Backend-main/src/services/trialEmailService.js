@@ -11,7 +11,7 @@ class BrevoSMTPEmailService {
     this.senderName = process.env.BREVO_SENDER_NAME || 'LeadEstate';
     
     if (this.smtpKey && this.smtpUser) {
-      this.transporter = nodemailer.createTransporter({
+      this.transporter = nodemailer.createTransport({
         host: this.smtpHost,
         port: this.smtpPort,
         secure: false, // true for 465, false for other ports
@@ -24,8 +24,8 @@ class BrevoSMTPEmailService {
         }
       });
       
-      logger.info('âœ… Brevo SMTP email service initialized');
-      logger.info('ðŸ” SMTP Configuration:', {
+      logger.info('✅ Brevo SMTP email service initialized');
+      logger.info('🔍 SMTP Configuration:', {
         host: this.smtpHost,
         port: this.smtpPort,
         user: this.smtpUser,
@@ -33,7 +33,7 @@ class BrevoSMTPEmailService {
         senderName: this.senderName
       });
     } else {
-      logger.warn('âš 0️‏ Brevo SMTP not configured - email functionality will be disabled');
+      logger.warn('⚠️ Brevo SMTP not configured - email functionality will be disabled');
       logger.warn('Missing:', {
         smtpKey: this.smtpKey ? 'SET' : 'NOT SET',
         smtpUser: this.smtpUser ? 'SET' : 'NOT SET'
@@ -42,7 +42,7 @@ class BrevoSMTPEmailService {
   }
 
   async sendTrialWelcomeEmail(options) {
-    logger.info('ðŸ” BrevoSMTPEmailService.sendTrialWelcomeEmail called with options:', options);
+    logger.info('🔍 BrevoSMTPEmailService.sendTrialWelcomeEmail called with options:', options);
     
     if (!this.transporter) {
       logger.warn('Brevo SMTP not configured, skipping trial welcome email');
@@ -51,7 +51,7 @@ class BrevoSMTPEmailService {
 
     const { userEmail, userName, planName, trialEndDate } = options;
 
-    const subject = `Welcome to LeadEstate! Your ${planName} trial has started ðŸŽ‰%;
+    const subject = `Welcome to LeadEstate! Your ${planName} trial has started 🎉`;
 
     const htmlContent = `
       <!DOCTYPE html>
@@ -68,12 +68,12 @@ class BrevoSMTPEmailService {
         </div>
 
         <div style="background: white; padding: 30px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
-          <h2 style="color: #333; margin-top: 0;">Hi ${userName}! ðŸ‘‹</h2>
+          <h2 style="color: #333; margin-top: 0;">Hi ${userName}! 👋</h2>
 
           <p>Congratulations! Your <strong>${planName}</strong> trial has been activated and you now have full access to LeadEstate for the next 14 days.</p>
 
           <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h3 style="margin-top: 0; color: #28a745;">ðŸŽ¯ What's included in your trial:</h3>
+            <h3 style="margin-top: 0; color: #28a745;">🎯 What's included in your trial:</h3>
             <ul style="margin: 0; padding-left: 20px;">
               <li>Complete lead management system</li>
               <li>Property management tools</li>
@@ -85,7 +85,7 @@ class BrevoSMTPEmailService {
           </div>
 
           <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-            <p style="margin: 0;"><strong>â¯  Trial expires:</strong> ${new Date(trialEndDate).toLocaleDateString('en-US', {
+            <p style="margin: 0;"><strong>⏰ Trial expires:</strong> ${new Date(trialEndDate).toLocaleDateString('en-US', {
               weekday: 'long',
               year: 'numeric',
               month: 'long',
@@ -100,7 +100,7 @@ class BrevoSMTPEmailService {
             </a>
           </div>
 
-          <h3 style="color: #333;">ðŸš‬ Quick Start Tips:</h3>
+          <h3 style="color: #333;">🚀 Quick Start Tips:</h3>
           <ol>
             <li><strong>Import your leads:</strong> Use our CSV import feature to get started quickly</li>
             <li><strong>Set up your team:</strong> Invite team members to collaborate</li>
@@ -109,12 +109,12 @@ class BrevoSMTPEmailService {
           </ol>
 
           <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
-            <h4 style="margin-top: 0; color: #1976d2;">ðŸ’¬ Need Help?</h4>
+            <h4 style="margin-top: 0; color: #1976d2;">💬 Need Help?</h4>
             <p style="margin-bottom: 0;">Our support team is here to help you succeed:</p>
             <ul style="margin: 10px 0 0 0; padding-left: 20px;">
-              <li>ðŸ“§ Email: support@leadestate.com</li>
-              <li>ðŸ’¬ Live chat in your dashboard</li>
-              <li>ðŸ“š Help center: help.leadestate.com</li>
+              <li>📧 Email: support@leadestate.com</li>
+              <li>💬 Live chat in your dashboard</li>
+              <li>📚 Help center: help.leadestate.com</li>
             </ul>
           </div>
 
@@ -127,7 +127,7 @@ class BrevoSMTPEmailService {
         </div>
 
         <div style="text-align: center; padding: 20px; color: #666; font-size: 12px;">
-          <p>Â© 2024 LeadEstate. All rights reserved.</p>
+          <p>© 2024 LeadEstate. All rights reserved.</p>
           <p>You received this email because you signed up for a LeadEstate trial.</p>
         </div>
       </body>
@@ -172,7 +172,7 @@ The LeadEstate Team`;
         text: textContent
       };
 
-      logger.info('ðŸ“§ Attempting to send email with options:', {
+      logger.info('📧 Attempting to send email with options:', {
         from: mailOptions.from,
         to: mailOptions.to,
         subject: mailOptions.subject
@@ -180,7 +180,7 @@ The LeadEstate Team`;
 
       const result = await this.transporter.sendMail(mailOptions);
       
-      logger.info(`âœ… Trial welcome email sent successfully via Brevo SMTP: ${result.messageId}`);
+      logger.info(`✅ Trial welcome email sent successfully via Brevo SMTP: ${result.messageId}`);
       
       return {
         success: true,
@@ -189,8 +189,8 @@ The LeadEstate Team`;
       };
 
     } catch (error) {
-      logger.error('âŒ Brevo SMTP email send failed:', error.message);
-      logger.error('âŒ Full error details:', error);
+      logger.error('❌ Brevo SMTP email send failed:', error.message);
+      logger.error('❌ Full error details:', error);
       
       return {
         success: false,
@@ -208,10 +208,10 @@ The LeadEstate Team`;
 
     try {
       await this.transporter.verify();
-      logger.info('âœ… Brevo SMTP connection verified successfully');
+      logger.info('✅ Brevo SMTP connection verified successfully');
       return { success: true, message: 'SMTP connection verified' };
     } catch (error) {
-      logger.error('âŒ Brevo SMTP connection failed:', error.message);
+      logger.error('❌ Brevo SMTP connection failed:', error.message);
       return { success: false, error: error.message };
     }
   }
@@ -1,12 +1,30 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const templateService = require('./templateService');
+const messageQueueService = require('./messageQueueService');
+const { WHATSAPP_TEMPLATES } = require('../utils/constants');
+
+// Labels of the property blocks built into WhatsApp templates
+const PROPERTY_LABELS = {
+  en: {
+    location: 'Location', price: 'Price', type: 'Type', bedrooms: 'Bedrooms', bathrooms: 'Bathrooms',
+    area: 'Area', bed: 'bed', bath: 'bath'
+  },
+  fr: {
+    location: 'Localisation', price: 'Prix', type: 'Type', bedrooms: 'Chambres', bathrooms: 'Salles de bain',
+    area: 'Surface', bed: 'ch.', bath: 'sdb'
+  }
+};
 
 class TwilioService {
   constructor() {
     this.accountSid = process.env.TWILIO_ACCOUNT_SID;
     this.authToken = process.env.TWILIO_AUTH_TOKEN;
-    this.whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
+    // TWILIO_WHATSAPP_FROM is the name used by WHATSAPP_SETUP.md
+    this.whatsappNumber = (process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_WHATSAPP_FROM || '').replace(/^whatsapp:/i, '');
     this.apiUrl = process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01';
+    this.defaultCountryCode = (process.env.DEFAULT_COUNTRY_CODE || '33').replace(/\D/g, '');
     
     if (!this.accountSid || !this.authToken) {
       logger.warn('Twilio credentials not configured. WhatsApp functionality will be disabled.');
@@ -16,6 +34,11 @@ class TwilioService {
     this.authHeader = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
   }
 
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken && this.whatsappNumber);
+  }
+
+  // Direct call to the Twilio API; the message queue worker is its only caller
   async sendWhatsAppMessage(options) {
     if (!this.accountSid || !this.authToken) {
       logger.warn('Twilio not configured, skipping WhatsApp send');
@@ -34,6 +57,12 @@ class TwilioService {
         messageData.MediaUrl = options.mediaUrl;
       }
 
+      // Delivery updates are posted back to the webhook when the API has a public URL
+      const statusCallback = this.getStatusCallbackUrl();
+      if (statusCallback) {
+        messageData.StatusCallback = statusCallback;
+      }
+
       const response = await axios.post(
         `${this.apiUrl}/Accounts/${this.accountSid}/Messages.json`,
         new URLSearchParams(messageData),
@@ -65,140 +94,139 @@ class TwilioService {
     }
   }
 
-  async sendWelcomeMessage(lead) {
-    const message = `
-🏠 Welcome to ${process.env.AGENCY_NAME || 'LeadEstate'}!
-
-Hi ${lead.getFullName()},
-
-Thank you for your interest in our real estate services. We're excited to help you find your perfect property!
-
-Our team will be in touch with you shortly to discuss your requirements.
-
-If you have any immediate questions, feel free to reply to this message.
-
-Best regards,
-${process.env.AGENCY_NAME || 'LeadEstate'} Team
-    `.trim();
-
-    return this.sendWhatsAppMessage({
-      to: lead.whatsapp || lead.phone,
-      message
+  /**
+   * Queue a WhatsApp message (sent by the message queue worker with retries)
+   * @param {Object} options - { to, message, mediaUrl, agencyId, leadId, idempotencyKey, sentBy }
+   * @returns {Promise<Object>} { success, queued, queueId, status, duplicate }, skipped when the lead opted out
+   */
+  async queueWhatsAppMessage({ to, message, mediaUrl, agencyId = null, leadId = null, idempotencyKey = null, sentBy = null }) {
+    const job = await messageQueueService.enqueue({
+      channel: 'whatsapp',
+      to: this.formatPhoneNumber(to),
+      body: message,
+      mediaUrl,
+      agencyId,
+      leadId,
+      idempotencyKey,
+      sentBy
     });
+    if (job.skipped) {
+      return { success: false, skipped: true, error: 'Lead opted out of WhatsApp' };
+    }
+    return { success: true, queued: true, queueId: job.id, status: job.status, duplicate: job.duplicate };
   }
 
-  async sendPropertyDetails(properties, lead, customMessage = '') {
-    let message = customMessage ? `${customMessage}\n\n` : '';
-    
-    message += `🏠 *Property Details for ${lead.getFullName()}*\n\n`;
-    
-    properties.forEach((property, index) => {
-      message += `*${index + 1}. ${property.title}*\n`;
-      message += `📍 Location: ${property.location}\n`;
-      message += `💰 Price: $${property.price.toLocaleString()}\n`;
-      message += `🏠 Type: ${property.type}\n`;
-      message += `🛏️ Bedrooms: ${property.bedrooms}\n`;
-      message += `🚿 Bathrooms: ${property.bathrooms}\n`;
-      message += `📐 Area: ${property.area} sq ft\n`;
-      
-      if (property.description) {
-        message += `📝 ${property.description}\n`;
-      }
-      
-      message += '\n---\n\n';
+  /**
+   * Queue a template of the library to a lead (agency version in the lead's language, or built-in copy)
+   * @param {string} key - WHATSAPP_TEMPLATES value
+   * @param {Object} lead - Lead model instance or leads row
+   * @param {Object} variables - Placeholder values on top of the lead's
+   * @param {Object} options - { idempotencyKey, sentBy, mediaUrl }
+   * @returns {Promise<Object>} Queue result with the rendered message
+   */
+  async sendTemplate(key, lead, variables = {}, { idempotencyKey, sentBy, mediaUrl } = {}) {
+    const agencyId = lead.agency_id || lead.agencyId;
+    const rendered = await templateService.render('whatsapp', key, {
+      agencyId,
+      language: templateService.leadLanguage(lead),
+      variables: { ...templateService.leadVariables(lead), ...variables }
     });
 
-    message += `For more details or to schedule a viewing, please contact us!\n\n`;
-    message += `Best regards,\n${process.env.AGENCY_NAME || 'LeadEstate'} Team`;
-
-    return this.sendWhatsAppMessage({
+    const result = await this.queueWhatsAppMessage({
       to: lead.whatsapp || lead.phone,
-      message
+      message: rendered.body,
+      mediaUrl,
+      agencyId,
+      leadId: lead.id,
+      idempotencyKey,
+      sentBy
     });
+    return { ...result, message: rendered.body, template: { key, source: rendered.source, version: rendered.version } };
   }
 
-  async sendFollowUpMessage(followUp, lead) {
-    const message = `
-🔔 *Follow-up Reminder*
-
-Hi ${lead.getFullName()},
-
-This is a friendly reminder about our upcoming ${followUp.type}.
+  async sendWelcomeMessage(lead, agent = {}) {
+    return this.sendTemplate(WHATSAPP_TEMPLATES.WELCOME_MESSAGE, lead, templateService.agentVariables(agent));
+  }
 
-📅 Scheduled: ${new Date(followUp.due_date).toLocaleString()}
-${followUp.description ? `📝 Details: ${followUp.description}` : ''}
+  async sendPropertyDetails(properties, lead, customMessage = '') {
+    const language = templateService.leadLanguage(lead);
+    const labels = PROPERTY_LABELS[language] || PROPERTY_LABELS.en;
+
+    const propertyList = properties.map((property, index) => {
+      let details = `*${index + 1}. ${property.title}*\n`;
+      details += `📍 ${labels.location}: ${property.location}\n`;
+      details += `💰 ${labels.price}: ${templateService.formatPrice(property.price)}\n`;
+      details += `🏠 ${labels.type}: ${property.type}\n`;
+      details += `🛏️ ${labels.bedrooms}: ${property.bedrooms}\n`;
+      details += `🚿 ${labels.bathrooms}: ${property.bathrooms}\n`;
+      details += `📐 ${labels.area}: ${property.area} sq ft\n`;
 
-We look forward to speaking with you!
+      if (property.description) {
+        details += `📝 ${property.description}\n`;
+      }
 
-Best regards,
-${process.env.AGENCY_NAME || 'LeadEstate'} Team
-    `.trim();
+      return `${details}\n---`;
+    }).join('\n\n');
 
-    return this.sendWhatsAppMessage({
-      to: lead.whatsapp || lead.phone,
-      message
+    return this.sendTemplate(WHATSAPP_TEMPLATES.PROPERTY_DETAILS, lead, {
+      ...templateService.propertyVariables(properties, language),
+      propertyList,
+      customMessage: customMessage ? `${customMessage}\n\n` : ''
     });
   }
 
-  async sendAppointmentConfirmation(appointment, lead) {
-    const message = `
-✅ *Appointment Confirmed*
-
-Hi ${lead.getFullName()},
-
-Your appointment has been confirmed:
-
-📅 Date: ${new Date(appointment.date).toLocaleDateString()}
-🕐 Time: ${new Date(appointment.date).toLocaleTimeString()}
-📍 Location: ${appointment.location || 'To be confirmed'}
-👤 Agent: ${appointment.agent_name}
-
-${appointment.notes ? `📝 Notes: ${appointment.notes}` : ''}
-
-If you need to reschedule, please contact us as soon as possible.
-
-Best regards,
-${process.env.AGENCY_NAME || 'LeadEstate'} Team
-    `.trim();
-
-    return this.sendWhatsAppMessage({
-      to: lead.whatsapp || lead.phone,
-      message
+  async sendFollowUpMessage(followUp, lead) {
+    return this.sendTemplate(WHATSAPP_TEMPLATES.FOLLOW_UP_REMINDER, lead, {
+      followUpType: followUp.type,
+      followUpDue: new Date(followUp.due_date).toLocaleString(),
+      followUpDescription: followUp.description || '-'
     });
   }
 
-  async sendPropertyAlert(properties, lead) {
-    const message = `
-🚨 *New Properties Alert*
-
-Hi ${lead.getFullName()},
-
-Great news! We found ${properties.length} new propert${properties.length === 1 ? 'y' : 'ies'} that match your criteria:
-
-${properties.map((property, index) => `
-${index + 1}. *${property.title}*
-📍 ${property.location}
-💰 $${property.price.toLocaleString()}
-🏠 ${property.bedrooms} bed, ${property.bathrooms} bath
-`).join('\n')}
-
-Would you like more details about any of these properties?
+  async sendAppointmentConfirmation(appointment, lead, options = {}) {
+    const language = templateService.leadLanguage(lead);
+    return this.sendTemplate(
+      WHATSAPP_TEMPLATES.APPOINTMENT_CONFIRMATION,
+      lead,
+      templateService.appointmentVariables(appointment, language),
+      options
+    );
+  }
 
-Best regards,
-${process.env.AGENCY_NAME || 'LeadEstate'} Team
-    `.trim();
+  async sendAppointmentReminder(appointment, lead, options = {}) {
+    const language = templateService.leadLanguage(lead);
+    return this.sendTemplate(
+      WHATSAPP_TEMPLATES.APPOINTMENT_REMINDER,
+      lead,
+      templateService.appointmentVariables(appointment, language),
+      options
+    );
+  }
 
-    return this.sendWhatsAppMessage({
-      to: lead.whatsapp || lead.phone,
-      message
-    });
+  async sendPropertyAlert(properties, lead, options = {}) {
+    const language = templateService.leadLanguage(lead);
+    const labels = PROPERTY_LABELS[language] || PROPERTY_LABELS.en;
+
+    const propertyList = properties.map((property, index) => [
+      `${index + 1}. *${property.title}*`,
+      `📍 ${property.location || [property.address, property.city].filter(Boolean).join(', ')}`,
+      `💰 ${templateService.formatPrice(property.price)}`,
+      `🏠 ${property.bedrooms ?? '-'} ${labels.bed}, ${property.bathrooms ?? '-'} ${labels.bath}`
+    ].join('\n')).join('\n\n');
+
+    return this.sendTemplate(WHATSAPP_TEMPLATES.PROPERTY_ALERT, lead, {
+      ...templateService.propertyVariables(properties, language),
+      propertyList
+    }, options);
   }
 
   async sendCustomMessage(lead, message, mediaUrl = null) {
-    return this.sendWhatsAppMessage({
+    return this.queueWhatsAppMessage({
       to: lead.whatsapp || lead.phone,
       message,
-      mediaUrl
+      mediaUrl,
+      agencyId: lead.agency_id || lead.agencyId,
+      leadId: lead.id
     });
   }
 
@@ -280,14 +308,53 @@ ${process.env.AGENCY_NAME || 'LeadEstate'} Team
 
   formatPhoneNumber(phone) {
     // Remove all non-digit characters
-    const cleaned = phone.replace(/\D/g, '');
-    
-    // Add + if not present
-    if (!cleaned.startsWith('+')) {
-      return `+${cleaned}`;
+    const cleaned = String(phone || '').replace(/\D/g, '');
+
+    if (!cleaned) {
+      return '';
     }
-    
-    return cleaned;
+
+    // 00 international prefix (0033 6...) is the same as +
+    if (cleaned.startsWith('00')) {
+      return `+${cleaned.substring(2)}`;
+    }
+
+    // National numbers (06 12 34 56 78) get the default country code
+    if (cleaned.startsWith('0')) {
+      return `+${this.defaultCountryCode}${cleaned.substring(1)}`;
+    }
+
+    return `+${cleaned}`;
+  }
+
+  // Webhook URL Twilio posts delivery updates to, null without PUBLIC_API_URL
+  getStatusCallbackUrl() {
+    const baseUrl = process.env.PUBLIC_API_URL;
+    return baseUrl ? `${baseUrl.replace(/\/$/, '')}/webhooks/twilio` : null;
+  }
+
+  /**
+   * Check the X-Twilio-Signature of a webhook: base64 HMAC-SHA1 of the full URL
+   * followed by the sorted form parameters, keyed with the auth token
+   * @param {string} signature - X-Twilio-Signature header
+   * @param {string} url - Full URL Twilio called, including the query string
+   * @param {Object} params - Form parameters of the request
+   * @returns {boolean} Whether the request comes from Twilio
+   */
+  validateWebhookSignature(signature, url, params = {}) {
+    if (!this.authToken || !signature) {
+      return false;
+    }
+
+    const data = Object.keys(params).sort().reduce((acc, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return acc + values.map(value => `${key}${value}`).join('');
+    }, url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signature));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
   }
 
   validateWhatsAppNumber(phone) {
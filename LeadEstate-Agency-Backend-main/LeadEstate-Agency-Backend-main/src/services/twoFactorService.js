@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { USER_ROLES } = require('../utils/constants');
+
+// RFC 6238 TOTP as used by Google Authenticator, Authy, 1Password...
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the previous and next period are accepted for clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump does not expose them.
+// The key is its own secret: a leaked JWT_SECRET must not also reveal the TOTP secrets
+const encryptionKey = () => {
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+class TwoFactorService {
+  /**
+   * Check a TOTP code against a base32 secret
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code typed by the user
+   * @param {number|null} lastStep - Last accepted time step, codes up to it are refused (replay)
+   * @returns {number|null} Time step of the matching code, or null
+   */
+  verifyTotp(secret, code, lastStep = null) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(clean)) {
+      return null;
+    }
+
+    const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      if (lastStep !== null && step <= lastStep) continue;
+      const expected = totpAt(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // otpauth:// URI rendered as a QR code by the frontend
+  getProvisioningUri(secret, accountName) {
+    const issuer = process.env.AGENCY_NAME || 'LeadEstate';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Agencies can make 2FA mandatory for managers (agency-management PUT /settings)
+  async isRequired(user) {
+    if (user.role !== USER_ROLES.MANAGER) {
+      return false;
+    }
+    const result = await pool.query(
+      'SELECT settings FROM agency_settings WHERE agency_id = $1',
+      [user.agency_id]
+    );
+    return Boolean(result.rows[0] && result.rows[0].settings.requireTwoFactorForManagers);
+  }
+
+  /**
+   * Start enrollment: a new secret is kept pending until a code from it is confirmed
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query(
+      'UPDATE users SET two_factor_pending_secret = $2 WHERE id = $1',
+      [user.id, encryptSecret(secret)]
+    );
+    return { secret, otpauthUri: this.getProvisioningUri(secret, user.email) };
+  }
+
+  /**
+   * Confirm enrollment with a code from the pending secret
+   * @returns {Promise<string[]|null>} Backup codes (shown once), or null when the code is wrong
+   */
+  async confirmEnrollment(user, code) {
+    const result = await pool.query('SELECT two_factor_pending_secret FROM users WHERE id = $1', [user.id]);
+    const pending = result.rows[0] && result.rows[0].two_factor_pending_secret;
+    if (!pending) {
+      return null;
+    }
+
+    const step = this.verifyTotp(decryptSecret(pending), code);
+    if (step === null) {
+      return null;
+    }
+
+    const backupCodes = this.generateBackupCodes();
+    await pool.query(`
+      UPDATE users SET
+        two_factor_enabled = true,
+        two_factor_secret = two_factor_pending_secret,
+        two_factor_pending_secret = NULL,
+        two_factor_last_step = $2,
+        two_factor_backup_codes = $3,
+        two_factor_enabled_at = NOW()
+      WHERE id = $1
+    `, [user.id, step, JSON.stringify(backupCodes.map(hashBackupCode))]);
+
+    return backupCodes;
+  }
+
+  /**
+   * Check the second factor of a login: a TOTP code, or a backup code (used once)
+   * @returns {Promise<Object|null>} { method: 'totp' | 'backup_code', backupCodesRemaining } or null
+   */
+  async verifyLogin(user, { code, backupCode }) {
+    const result = await pool.query(
+      'SELECT two_factor_secret, two_factor_last_step FROM users WHERE id = $1 AND two_factor_enabled = true',
+      [user.id]
+    );
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    // Each factor is consumed by a conditional UPDATE so two concurrent logins cannot both use it
+    if (code) {
+      const step = this.verifyTotp(decryptSecret(row.two_factor_secret), code, row.two_factor_last_step);
+      if (step === null) {
+        return null;
+      }
+      const updated = await pool.query(`
+        UPDATE users SET two_factor_last_step = $2
+        WHERE id = $1 AND two_factor_enabled = true
+          AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+        RETURNING two_factor_backup_codes
+      `, [user.id, step]);
+      if (updated.rows.length === 0) {
+        return null;
+      }
+      return { method: 'totp', backupCodesRemaining: (updated.rows[0].two_factor_backup_codes || []).length };
+    }
+
+    if (backupCode) {
+      const hash = hashBackupCode(backupCode);
+      const updated = await pool.query(`
+        UPDATE users SET two_factor_backup_codes = two_factor_backup_codes - $2::text
+        WHERE id = $1 AND two_factor_enabled = true AND two_factor_backup_codes @> $3::jsonb
+        RETURNING two_factor_backup_codes
+      `, [user.id, hash, JSON.stringify([hash])]);
+      if (updated.rows.length === 0) {
+        return null;
+      }
+      return { method: 'backup_code', backupCodesRemaining: updated.rows[0].two_factor_backup_codes.length };
+    }
+
+    return null;
+  }
+
+  async regenerateBackupCodes(user) {
+    const backupCodes = this.generateBackupCodes();
+    await pool.query(
+      'UPDATE users SET two_factor_backup_codes = $2 WHERE id = $1',
+      [user.id, JSON.stringify(backupCodes.map(hashBackupCode))]
+    );
+    return backupCodes;
+  }
+
+  // Turn 2FA off (user request or manager reset); the user enrolls again from scratch
+  async disable(userId) {
+    await pool.query(`
+      UPDATE users SET
+        two_factor_enabled = false,
+        two_factor_secret = NULL,
+        two_factor_pending_secret = NULL,
+        two_factor_last_step = NULL,
+        two_factor_backup_codes = NULL,
+        two_factor_enabled_at = NULL
+      WHERE id = $1
+    `, [userId]);
+  }
+
+  async getStatus(user) {
+    const result = await pool.query(
+      'SELECT two_factor_enabled, two_factor_enabled_at, two_factor_backup_codes FROM users WHERE id = $1',
+      [user.id]
+    );
+    const row = result.rows[0] || {};
+    return {
+      enabled: Boolean(row.two_factor_enabled),
+      enabledAt: row.two_factor_enabled_at || null,
+      required: await this.isRequired(user),
+      backupCodesRemaining: row.two_factor_enabled ? (row.two_factor_backup_codes || []).length : 0
+    };
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = base32Encode(crypto.randomBytes(5));
+      return `${code.slice(0, 4)}-${code.slice(4, 8)}`;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
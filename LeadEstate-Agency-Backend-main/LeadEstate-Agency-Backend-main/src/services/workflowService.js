@@ -0,0 +1,882 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const twilioService = require('./twilioService');
+const brevoService = require('./brevoService');
+const activityService = require('./activityService');
+const followUpService = require('./followUpService');
+const templateService = require('./templateService');
+const { getPaginationMeta } = require('../utils/helpers');
+const {
+  LEAD_STATUS,
+  FOLLOW_UP_TYPES,
+  FOLLOW_UP_PRIORITIES,
+  WORKFLOW_TRIGGERS,
+  WORKFLOW_ACTIONS,
+  WORKFLOW_RUN_STATUS,
+  PAGINATION,
+} = require('../utils/constants');
+
+// Lead fields usable in workflow conditions (condition field -> lead column)
+const CONDITION_FIELDS = {
+  status: 'status',
+  source: 'source',
+  language: 'language',
+  assignedTo: 'assigned_to',
+  budget: 'budget',
+  email: 'email',
+  phone: 'phone',
+  tags: 'tags',
+};
+
+const CONDITION_OPERATORS = [
+  'equals', 'not_equals', 'in', 'not_in', 'contains', 'gt', 'gte', 'lt', 'lte', 'is_empty', 'is_not_empty',
+];
+
+// Leads in these statuses are not chased by no_response workflows
+const CLOSED_STATUSES = [LEAD_STATUS.CLOSED_WON, LEAD_STATUS.CLOSED_LOST];
+
+// Leads checked per no_response workflow on each scheduler pass
+const NO_RESPONSE_BATCH_SIZE = 200;
+
+/**
+ * Error raised for invalid workflow definitions or requests
+ */
+class WorkflowError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Replace {{placeholders}} in a template with lead values
+ * @param {string} template - Template text
+ * @param {object} variables - Placeholder values
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, variables) => {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+class WorkflowService {
+  constructor() {
+    this.schedulerInterval = 60 * 60 * 1000; // 1 hour
+  }
+
+  // Validate and normalize a workflow definition.
+  // With partial = true only the provided fields are validated and returned.
+  normalize(data = {}, { partial = false } = {}) {
+    const has = (field) => data[field] !== undefined;
+    const fields = {};
+
+    if (has('name') || !partial) {
+      const name = String(data.name || '').trim();
+      if (!name) {
+        throw new WorkflowError('Workflow name is required');
+      }
+      fields.name = name;
+    }
+
+    if (has('description')) {
+      fields.description = String(data.description || '').trim();
+    }
+
+    if (has('category')) {
+      fields.category = data.category ? String(data.category) : null;
+    }
+
+    if (has('trigger') || has('triggerConfig') || !partial) {
+      if (!has('trigger') && partial) {
+        throw new WorkflowError('trigger is required when changing triggerConfig');
+      }
+      const trigger = data.trigger || WORKFLOW_TRIGGERS.MANUAL;
+      if (!Object.values(WORKFLOW_TRIGGERS).includes(trigger)) {
+        throw new WorkflowError(`Invalid trigger. Allowed triggers: ${Object.values(WORKFLOW_TRIGGERS).join(', ')}`);
+      }
+      fields.trigger = trigger;
+      fields.trigger_config = this.normalizeTriggerConfig(trigger, data.triggerConfig || {});
+    }
+
+    if (has('conditions') || !partial) {
+      fields.conditions = this.normalizeConditions(data.conditions || []);
+    }
+
+    if (has('actions') || !partial) {
+      fields.actions = this.normalizeActions(data.actions || []);
+    }
+
+    if (has('status') || !partial) {
+      const status = data.status || 'active';
+      if (!['active', 'paused'].includes(status)) {
+        throw new WorkflowError('status must be active or paused');
+      }
+      fields.status = status;
+    }
+
+    return fields;
+  }
+
+  normalizeTriggerConfig(trigger, config) {
+    if (trigger === WORKFLOW_TRIGGERS.NO_RESPONSE) {
+      const days = config.days === undefined ? 3 : parseInt(config.days, 10);
+      if (isNaN(days) || days < 1 || days > 365) {
+        throw new WorkflowError('triggerConfig.days must be between 1 and 365');
+      }
+      return { days };
+    }
+
+    if (trigger === WORKFLOW_TRIGGERS.LEAD_UPDATED && config.statuses) {
+      const statuses = [].concat(config.statuses);
+      const invalid = statuses.filter(status => !Object.values(LEAD_STATUS).includes(status));
+      if (invalid.length > 0) {
+        throw new WorkflowError(`Invalid status in triggerConfig.statuses: ${invalid.join(', ')}`);
+      }
+      return { statuses };
+    }
+
+    return {};
+  }
+
+  normalizeConditions(conditions) {
+    if (!Array.isArray(conditions)) {
+      throw new WorkflowError('conditions must be an array');
+    }
+
+    return conditions.map((condition, index) => {
+      if (!CONDITION_FIELDS[condition.field]) {
+        throw new WorkflowError(`Condition ${index + 1}: field must be one of ${Object.keys(CONDITION_FIELDS).join(', ')}`);
+      }
+      const operator = condition.operator || 'equals';
+      if (!CONDITION_OPERATORS.includes(operator)) {
+        throw new WorkflowError(`Condition ${index + 1}: operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+      }
+      return { field: condition.field, operator, value: condition.value === undefined ? null : condition.value };
+    });
+  }
+
+  normalizeActions(actions) {
+    if (!Array.isArray(actions)) {
+      throw new WorkflowError('actions must be an array');
+    }
+
+    return actions.map((action, index) => {
+      const config = action.config || {};
+      const label = `Action ${index + 1} (${action.type})`;
+
+      switch (action.type) {
+        case WORKFLOW_ACTIONS.SEND_WHATSAPP:
+          if (!config.message && !templateService.getWorkflowTemplates().includes(config.template)) {
+            throw new WorkflowError(`${label}: message or template (${templateService.getWorkflowTemplates().join(', ')}) is required`);
+          }
+          break;
+        case WORKFLOW_ACTIONS.SEND_EMAIL:
+          if (!config.subject || !config.body) {
+            throw new WorkflowError(`${label}: subject and body are required`);
+          }
+          if (config.to && !['lead', 'agent'].includes(config.to)) {
+            throw new WorkflowError(`${label}: to must be lead or agent`);
+          }
+          break;
+        case WORKFLOW_ACTIONS.REASSIGN:
+          if (!config.assignTo && config.strategy !== 'least_loaded') {
+            throw new WorkflowError(`${label}: assignTo or strategy "least_loaded" is required`);
+          }
+          break;
+        case WORKFLOW_ACTIONS.CHANGE_STATUS:
+          if (!Object.values(LEAD_STATUS).includes(config.status)) {
+            throw new WorkflowError(`${label}: status must be one of ${Object.values(LEAD_STATUS).join(', ')}`);
+          }
+          break;
+        case WORKFLOW_ACTIONS.ADD_TAG:
+          if (!config.tag || !String(config.tag).trim()) {
+            throw new WorkflowError(`${label}: tag is required`);
+          }
+          break;
+        case WORKFLOW_ACTIONS.CREATE_FOLLOW_UP:
+          if (config.type && !Object.values(FOLLOW_UP_TYPES).includes(config.type)) {
+            throw new WorkflowError(`${label}: invalid follow-up type`);
+          }
+          if (config.priority && !Object.values(FOLLOW_UP_PRIORITIES).includes(config.priority)) {
+            throw new WorkflowError(`${label}: invalid follow-up priority`);
+          }
+          break;
+        default:
+          throw new WorkflowError(`Action ${index + 1}: type must be one of ${Object.values(WORKFLOW_ACTIONS).join(', ')}`);
+      }
+
+      return { type: action.type, config };
+    });
+  }
+
+  async list(agencyId, { trigger, status } = {}) {
+    const params = [agencyId];
+    let query = 'SELECT * FROM workflows WHERE agency_id = $1';
+
+    if (trigger) {
+      params.push(trigger);
+      query += ` AND trigger = $${params.length}`;
+    }
+
+    if (status) {
+      params.push(status);
+      query += ` AND status = $${params.length}`;
+    }
+
+    const result = await pool.query(`${query} ORDER BY created_at DESC`, params);
+    return result.rows.map(row => this.format(row));
+  }
+
+  async findById(id, agencyId) {
+    const result = await pool.query('SELECT * FROM workflows WHERE id = $1 AND agency_id = $2', [id, agencyId]);
+    return result.rows[0] || null;
+  }
+
+  async create(data, context) {
+    const fields = this.normalize(data);
+    const result = await pool.query(`
+      INSERT INTO workflows (id, agency_id, name, description, category, trigger, trigger_config, conditions, actions, status, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      crypto.randomUUID(), context.agencyId, fields.name, fields.description || '', fields.category || null,
+      fields.trigger, JSON.stringify(fields.trigger_config), JSON.stringify(fields.conditions),
+      JSON.stringify(fields.actions), fields.status, context.userName || null
+    ]);
+
+    return this.format(result.rows[0]);
+  }
+
+  async update(id, data, context) {
+    const fields = this.normalize(data, { partial: true });
+    if (Object.keys(fields).length === 0) {
+      throw new WorkflowError('No fields to update');
+    }
+
+    const jsonColumns = ['trigger_config', 'conditions', 'actions'];
+    const columns = Object.keys(fields);
+    const result = await pool.query(`
+      UPDATE workflows SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2
+      RETURNING *
+    `, [
+      id, context.agencyId,
+      ...columns.map(column => (jsonColumns.includes(column) ? JSON.stringify(fields[column]) : fields[column]))
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new WorkflowError('Workflow not found', 404);
+    }
+
+    return this.format(result.rows[0]);
+  }
+
+  // Deleting a workflow keeps its run history
+  async remove(id, context) {
+    const result = await pool.query('DELETE FROM workflows WHERE id = $1 AND agency_id = $2', [id, context.agencyId]);
+    if (result.rowCount === 0) {
+      throw new WorkflowError('Workflow not found', 404);
+    }
+  }
+
+  async getRuns(agencyId, { workflowId, leadId, status, page, limit } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || PAGINATION.DEFAULT_LIMIT, 1), PAGINATION.MAX_LIMIT);
+    page = Math.max(parseInt(page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+    const params = [agencyId];
+    const conditions = ['r.agency_id = $1'];
+    if (workflowId) {
+      params.push(workflowId);
+      conditions.push(`r.workflow_id = $${params.length}`);
+    }
+    if (leadId) {
+      params.push(leadId);
+      conditions.push(`r.lead_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(String(status).split(','));
+      conditions.push(`r.status = ANY($${params.length})`);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM workflow_runs r ${whereClause}`, params);
+
+    const result = await pool.query(`
+      SELECT r.*, w.name AS workflow_name
+      FROM workflow_runs r
+      LEFT JOIN workflows w ON w.id = r.workflow_id
+      ${whereClause}
+      ORDER BY r.started_at DESC, r.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]);
+
+    return {
+      runs: result.rows.map(row => this.formatRun(row)),
+      pagination: getPaginationMeta(page, limit, parseInt(countResult.rows[0].total, 10))
+    };
+  }
+
+  // Handle a lead event: run every active workflow of the agency listening to the trigger.
+  // Callers do not await this; errors are logged and never reach the request.
+  async handleEvent(trigger, event) {
+    try {
+      const workflows = await pool.query(
+        "SELECT * FROM workflows WHERE agency_id = $1 AND trigger = $2 AND status = 'active' ORDER BY created_at ASC",
+        [event.agencyId, trigger]
+      );
+      if (workflows.rows.length === 0) {
+        return [];
+      }
+
+      const lead = await this.loadLead(event.leadId, event.agencyId);
+      if (!lead) {
+        return [];
+      }
+
+      const runs = [];
+      for (const workflow of workflows.rows) {
+        runs.push(await this.runWorkflow(workflow, lead, { ...event, trigger }));
+      }
+      return runs;
+    } catch (error) {
+      console.error(`❌ Workflow event ${trigger} failed:`, error);
+      return [];
+    }
+  }
+
+  // Run a workflow by hand on a list of leads (any trigger, active or paused)
+  async runManually(id, leadIds, context) {
+    const workflow = await this.findById(id, context.agencyId);
+    if (!workflow) {
+      throw new WorkflowError('Workflow not found', 404);
+    }
+
+    const ids = [].concat(leadIds || []).filter(Boolean);
+    if (ids.length === 0) {
+      throw new WorkflowError('leadIds is required');
+    }
+    if (ids.length > PAGINATION.MAX_LIMIT) {
+      throw new WorkflowError(`A manual run is limited to ${PAGINATION.MAX_LIMIT} leads`);
+    }
+
+    const runs = [];
+    for (const leadId of ids) {
+      const lead = await this.loadLead(leadId, context.agencyId);
+      if (!lead) {
+        throw new WorkflowError(`Lead not found: ${leadId}`, 404);
+      }
+      runs.push(await this.runWorkflow(workflow, lead, {
+        trigger: WORKFLOW_TRIGGERS.MANUAL,
+        agencyId: context.agencyId,
+        leadId,
+        triggeredBy: context.userName || null
+      }));
+    }
+    return runs;
+  }
+
+  // Scheduled check: run no_response workflows on leads without contact for X days.
+  // A lead is picked up once per silence period (no run since its last contact).
+  async checkNoResponse() {
+    try {
+      const workflows = await pool.query(
+        "SELECT * FROM workflows WHERE trigger = $1 AND status = 'active'",
+        [WORKFLOW_TRIGGERS.NO_RESPONSE]
+      );
+
+      let total = 0;
+      for (const workflow of workflows.rows) {
+        const days = (workflow.trigger_config && workflow.trigger_config.days) || 3;
+        const leads = await pool.query(`
+          SELECT l.* FROM leads l
+          WHERE l.agency_id = $1
+          AND COALESCE(l.status, 'new') <> ALL($2)
+          AND COALESCE(l.last_contact, l.created_at) <= NOW() - ($3 * INTERVAL '1 day')
+          AND NOT EXISTS (
+            SELECT 1 FROM workflow_runs r
+            WHERE r.workflow_id = $4 AND r.lead_id = l.id
+            AND r.started_at >= COALESCE(l.last_contact, l.created_at)
+          )
+          ORDER BY COALESCE(l.last_contact, l.created_at) ASC
+          LIMIT $5
+        `, [workflow.agency_id, CLOSED_STATUSES, days, workflow.id, NO_RESPONSE_BATCH_SIZE]);
+
+        for (const lead of leads.rows) {
+          await this.runWorkflow(workflow, lead, {
+            trigger: WORKFLOW_TRIGGERS.NO_RESPONSE,
+            agencyId: workflow.agency_id,
+            leadId: lead.id,
+            days
+          });
+          total++;
+        }
+      }
+
+      if (total > 0) {
+        console.log(`✅ No-response workflows: ${total} run(s)`);
+      }
+      return { success: true, runs: total };
+    } catch (error) {
+      console.error('❌ Error checking no-response workflows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Start the no_response scheduler (call this on server startup)
+  startScheduler() {
+    setInterval(async () => {
+      await this.checkNoResponse();
+    }, this.schedulerInterval);
+
+    // Run initial check after 1 minute
+    setTimeout(async () => {
+      await this.checkNoResponse();
+    }, 60000);
+
+    console.log('✅ Workflow scheduler started (no-response check every hour)');
+  }
+
+  async loadLead(leadId, agencyId) {
+    const result = await pool.query('SELECT * FROM leads WHERE id = $1 AND agency_id = $2', [leadId, agencyId]);
+    return result.rows[0] || null;
+  }
+
+  // Check trigger-specific filters (e.g. lead_updated only into some statuses)
+  matchTrigger(workflow, event) {
+    const config = workflow.trigger_config || {};
+
+    if (event.trigger === WORKFLOW_TRIGGERS.LEAD_UPDATED && config.statuses && config.statuses.length) {
+      const before = event.before || {};
+      const after = event.after || {};
+      if (before.status === after.status) {
+        return { matched: false, reason: 'Status did not change' };
+      }
+      if (!config.statuses.includes(after.status)) {
+        return { matched: false, reason: `Status changed to ${after.status}, workflow listens to ${config.statuses.join(', ')}` };
+      }
+    }
+
+    return { matched: true };
+  }
+
+  evaluateCondition(condition, lead) {
+    const actual = lead[CONDITION_FIELDS[condition.field]];
+    const expected = condition.value;
+    const list = [].concat(expected === null ? [] : expected).map(String);
+    const isEmpty = actual === null || actual === undefined || actual === '' || (Array.isArray(actual) && actual.length === 0);
+
+    switch (condition.operator) {
+      case 'equals':
+        return Array.isArray(actual) ? actual.map(String).includes(String(expected)) : String(actual ?? '') === String(expected ?? '');
+      case 'not_equals':
+        return Array.isArray(actual) ? !actual.map(String).includes(String(expected)) : String(actual ?? '') !== String(expected ?? '');
+      case 'in':
+        return list.includes(String(actual ?? ''));
+      case 'not_in':
+        return !list.includes(String(actual ?? ''));
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.map(String).includes(String(expected))
+          : String(actual ?? '').toLowerCase().includes(String(expected ?? '').toLowerCase());
+      case 'gt':
+        return !isEmpty && Number(actual) > Number(expected);
+      case 'gte':
+        return !isEmpty && Number(actual) >= Number(expected);
+      case 'lt':
+        return !isEmpty && Number(actual) < Number(expected);
+      case 'lte':
+        return !isEmpty && Number(actual) <= Number(expected);
+      case 'is_empty':
+        return isEmpty;
+      case 'is_not_empty':
+        return !isEmpty;
+      default:
+        return false;
+    }
+  }
+
+  // Run one workflow on one lead and log the run with per-step outcomes
+  async runWorkflow(workflow, lead, event) {
+    const startedAt = new Date();
+    const steps = [];
+    let status;
+
+    const triggerMatch = this.matchTrigger(workflow, event);
+    steps.push({
+      step: 'trigger',
+      status: triggerMatch.matched ? 'passed' : 'skipped',
+      trigger: event.trigger,
+      reason: triggerMatch.reason || null
+    });
+
+    if (!triggerMatch.matched) {
+      status = WORKFLOW_RUN_STATUS.SKIPPED;
+    } else {
+      const results = (workflow.conditions || []).map(condition => ({
+        ...condition,
+        actual: lead[CONDITION_FIELDS[condition.field]] ?? null,
+        passed: this.evaluateCondition(condition, lead)
+      }));
+      const conditionsPassed = results.every(result => result.passed);
+      steps.push({ step: 'conditions', status: conditionsPassed ? 'passed' : 'skipped', results });
+
+      if (!conditionsPassed) {
+        status = WORKFLOW_RUN_STATUS.SKIPPED;
+      } else {
+        status = await this.executeActions(workflow, lead, steps);
+      }
+    }
+
+    const finishedAt = new Date();
+    const runId = crypto.randomUUID();
+    const eventSummary = {
+      trigger: event.trigger,
+      days: event.days,
+      propertyId: event.propertyId,
+      triggeredBy: event.triggeredBy,
+      statusFrom: event.before ? event.before.status : undefined,
+      statusTo: event.after ? event.after.status : undefined
+    };
+
+    try {
+      await pool.query(`
+        INSERT INTO workflow_runs (id, workflow_id, agency_id, lead_id, trigger, status, event, steps, started_at, finished_at, duration_ms)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        runId, workflow.id, workflow.agency_id, lead.id, event.trigger, status,
+        JSON.stringify(eventSummary), JSON.stringify(steps),
+        startedAt.toISOString(), finishedAt.toISOString(), finishedAt - startedAt
+      ]);
+
+      if (status !== WORKFLOW_RUN_STATUS.SKIPPED) {
+        await pool.query(
+          'UPDATE workflows SET run_count = run_count + 1, last_run_at = $2 WHERE id = $1',
+          [workflow.id, finishedAt.toISOString()]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Failed to log workflow run:', error.message);
+    }
+
+    console.log(`⚙️ Workflow "${workflow.name}" on lead ${lead.id}: ${status}`);
+
+    return {
+      id: runId,
+      workflowId: workflow.id,
+      leadId: lead.id,
+      trigger: event.trigger,
+      status,
+      steps,
+      startedAt,
+      finishedAt
+    };
+  }
+
+  // Execute the actions in order. A failed action does not stop the following ones.
+  async executeActions(workflow, lead, steps) {
+    const context = {
+      agencyId: workflow.agency_id,
+      userId: null,
+      userName: `Automation: ${workflow.name}`
+    };
+    let current = lead;
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const [index, action] of (workflow.actions || []).entries()) {
+      const stepStartedAt = Date.now();
+      const step = { step: index + 1, action: action.type };
+
+      try {
+        const outcome = await this.executeAction(action, current, context);
+        if (outcome.lead) {
+          current = outcome.lead;
+        }
+        step.status = outcome.status || 'success';
+        step.result = outcome.result || null;
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+      }
+
+      step.durationMs = Date.now() - stepStartedAt;
+      steps.push(step);
+
+      if (step.status === 'failed') {
+        failed++;
+      } else {
+        succeeded++;
+      }
+    }
+
+    if (failed === 0) return WORKFLOW_RUN_STATUS.COMPLETED;
+    return succeeded > 0 ? WORKFLOW_RUN_STATUS.PARTIAL : WORKFLOW_RUN_STATUS.FAILED;
+  }
+
+  async executeAction(action, lead, context) {
+    const config = action.config || {};
+
+    switch (action.type) {
+      case WORKFLOW_ACTIONS.SEND_WHATSAPP:
+        return this.sendWhatsApp(config, lead, context);
+      case WORKFLOW_ACTIONS.SEND_EMAIL:
+        return this.sendEmail(config, lead, context);
+      case WORKFLOW_ACTIONS.REASSIGN:
+        return this.reassign(config, lead, context);
+      case WORKFLOW_ACTIONS.CHANGE_STATUS:
+        return this.updateLead(lead, { status: config.status }, context);
+      case WORKFLOW_ACTIONS.ADD_TAG:
+        return this.addTag(String(config.tag).trim(), lead, context);
+      case WORKFLOW_ACTIONS.CREATE_FOLLOW_UP:
+        return this.createFollowUp(config, lead, context);
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  // Placeholder values available to message templates
+  templateVariables(lead) {
+    return {
+      firstName: lead.first_name || '',
+      lastName: lead.last_name || '',
+      name: `${lead.first_name || ''} ${lead.last_name || ''}`.trim(),
+      email: lead.email || '',
+      phone: lead.phone || '',
+      status: lead.status || '',
+      agentName: lead.assigned_to || process.env.AGENCY_NAME || 'LeadEstate'
+    };
+  }
+
+  async sendWhatsApp(config, lead, context) {
+    const phone = lead.whatsapp || lead.phone;
+    if (!phone || !twilioService.validateWhatsAppNumber(phone)) {
+      return { status: 'skipped', result: { reason: 'Lead has no valid WhatsApp number' } };
+    }
+
+    // Library templates (message_templates or built-in copy) are in the lead's language
+    let message;
+    if (config.message) {
+      message = renderTemplate(config.message, this.templateVariables(lead));
+    } else {
+      const agent = await this.findAgent(lead.assigned_to, lead.agency_id);
+      const rendered = await templateService.render('whatsapp', config.template, {
+        agencyId: lead.agency_id,
+        language: templateService.leadLanguage(lead),
+        variables: {
+          ...templateService.leadVariables(lead),
+          ...templateService.agentVariables(agent || { name: lead.assigned_to })
+        }
+      });
+      message = rendered.body;
+    }
+
+    // Sent by the message queue, which retries failed sends
+    const result = await twilioService.queueWhatsAppMessage({
+      to: phone,
+      message,
+      agencyId: lead.agency_id,
+      leadId: lead.id,
+      sentBy: context.userName
+    });
+    if (result.skipped) {
+      return { status: 'skipped', result: { reason: result.error } };
+    }
+
+    await activityService.log({
+      leadId: lead.id,
+      type: activityService.types.WHATSAPP_SENT,
+      description: 'WhatsApp message sent by automation',
+      metadata: { method: 'queue', queueId: result.queueId, template: config.template || null }
+    }, context);
+
+    return { result: { queueId: result.queueId, status: result.status } };
+  }
+
+  async sendEmail(config, lead, context) {
+    let recipient = lead.email;
+    if (config.to === 'agent') {
+      recipient = await this.findAgentEmail(lead.assigned_to, lead.agency_id);
+    }
+    if (!recipient) {
+      return { status: 'skipped', result: { reason: config.to === 'agent' ? 'Assigned agent has no email' : 'Lead has no email' } };
+    }
+
+    const variables = this.templateVariables(lead);
+    const subject = renderTemplate(config.subject, variables);
+    const html = renderTemplate(config.body, variables);
+    // Only emails to the lead belong to its conversation
+    const result = await brevoService.queueEmail({
+      to: recipient,
+      subject,
+      html,
+      tags: ['automation'],
+      agencyId: lead.agency_id,
+      leadId: config.to !== 'agent' ? lead.id : null,
+      sentBy: context.userName
+    });
+    if (result.skipped) {
+      return { status: 'skipped', result: { reason: result.error } };
+    }
+
+    await activityService.log({
+      leadId: lead.id,
+      type: activityService.types.EMAIL_SENT,
+      description: `Email "${subject}" sent by automation`,
+      metadata: { to: recipient, queueId: result.queueId }
+    }, context);
+
+    return { result: { to: recipient, queueId: result.queueId, status: result.status } };
+  }
+
+  async findAgentEmail(agentName, agencyId) {
+    if (!agentName) return null;
+
+    const result = await pool.query(
+      'SELECT email FROM team_members WHERE name = $1 AND agency_id = $2 AND email IS NOT NULL LIMIT 1',
+      [agentName, agencyId]
+    );
+    return result.rows[0] ? result.rows[0].email : null;
+  }
+
+  async findAgent(agentName, agencyId) {
+    if (!agentName) return null;
+
+    const result = await pool.query(
+      'SELECT name, email, phone FROM team_members WHERE name = $1 AND agency_id = $2 LIMIT 1',
+      [agentName, agencyId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async reassign(config, lead, context) {
+    let agent = config.assignTo;
+
+    if (!agent) {
+      // least_loaded: the team member with the fewest open leads
+      const result = await pool.query(`
+        SELECT tm.name
+        FROM team_members tm
+        WHERE tm.agency_id = $1 AND COALESCE(tm.status, 'active') = 'active'
+        ORDER BY (
+          SELECT COUNT(*) FROM leads l
+          WHERE l.agency_id = tm.agency_id AND l.assigned_to = tm.name
+          AND COALESCE(l.status, 'new') <> ALL($2)
+        ) ASC, tm.name ASC
+        LIMIT 1
+      `, [lead.agency_id, CLOSED_STATUSES]);
+
+      if (result.rows.length === 0) {
+        return { status: 'skipped', result: { reason: 'No active team member to assign' } };
+      }
+      agent = result.rows[0].name;
+    }
+
+    if (agent === lead.assigned_to) {
+      return { status: 'skipped', result: { reason: `Lead is already assigned to ${agent}` } };
+    }
+
+    return this.updateLead(lead, { assigned_to: agent }, context);
+  }
+
+  // Apply changes made by an action. These updates do not emit lead_updated
+  // events so workflows cannot trigger each other in a loop.
+  async updateLead(lead, changes, context) {
+    const columns = Object.keys(changes);
+    const result = await pool.query(`
+      UPDATE leads SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND agency_id = $2
+      RETURNING *
+    `, [lead.id, lead.agency_id, ...columns.map(column => changes[column])]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Lead no longer exists');
+    }
+
+    const updated = result.rows[0];
+    await activityService.logLeadChanges(lead, updated, context);
+
+    return { lead: updated, result: changes };
+  }
+
+  async addTag(tag, lead, context) {
+    const tags = Array.isArray(lead.tags) ? lead.tags : [];
+    if (tags.includes(tag)) {
+      return { status: 'skipped', result: { reason: `Lead already tagged "${tag}"` } };
+    }
+
+    const outcome = await this.updateLead(lead, { tags: JSON.stringify([...tags, tag]) }, context);
+    return { lead: outcome.lead, result: { tag } };
+  }
+
+  async createFollowUp(config, lead, context) {
+    const delayHours = config.dueInHours !== undefined
+      ? Number(config.dueInHours)
+      : Number(config.dueInDays === undefined ? 1 : config.dueInDays) * 24;
+
+    const followUp = await followUpService.create({
+      leadId: lead.id,
+      type: config.type || FOLLOW_UP_TYPES.CALL,
+      priority: config.priority || FOLLOW_UP_PRIORITIES.MEDIUM,
+      description: renderTemplate(config.description || '', this.templateVariables(lead)),
+      dueDate: new Date(Date.now() + delayHours * 60 * 60 * 1000).toISOString(),
+      assignedTo: config.assignedTo || lead.assigned_to || undefined
+    }, context);
+
+    return { result: { followUpId: followUp.id, dueDate: followUp.dueDate } };
+  }
+
+  // Describe what the engine supports (used to build the workflow editor)
+  getOptions() {
+    return {
+      triggers: Object.values(WORKFLOW_TRIGGERS),
+      actions: Object.values(WORKFLOW_ACTIONS),
+      conditionFields: Object.keys(CONDITION_FIELDS),
+      conditionOperators: CONDITION_OPERATORS,
+      whatsappTemplates: templateService.getWorkflowTemplates(),
+      placeholders: Object.keys(this.templateVariables({}))
+    };
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      category: row.category,
+      trigger: row.trigger,
+      triggerConfig: row.trigger_config || {},
+      conditions: row.conditions || [],
+      actions: row.actions || [],
+      status: row.status,
+      runCount: row.run_count,
+      lastRunAt: row.last_run_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      workflowId: row.workflow_id,
+      workflowName: row.workflow_name || null,
+      leadId: row.lead_id,
+      trigger: row.trigger,
+      status: row.status,
+      event: row.event || {},
+      steps: row.steps || [],
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms
+    };
+  }
+}
+
+const workflowService = new WorkflowService();
+workflowService.WorkflowError = WorkflowError;
+
+module.exports = workflowService;
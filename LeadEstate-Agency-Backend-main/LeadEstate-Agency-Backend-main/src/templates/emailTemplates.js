@@ -109,7 +109,24 @@ const getManagerInvitationTemplate = (data) => {
   return getBaseTemplate(content, `Welcome to LeadEstate - ${agencyName} Manager`);
 };
 
+// Role-specific parts of the agent invitation
+const getAgentRoleContent = (role) => ({
+  roleDisplayName: role === 'super_agent' ? 'Super Agent' : 'Agent',
+  roleEmoji: role === 'super_agent' ? '⭐' : '👤',
+  roleHighlights: role === 'super_agent' ? `
+        <li>👥 <strong>Team Management</strong> - Supervise and mentor regular agents</li>
+        <li>📊 <strong>Advanced Analytics</strong> - Access detailed performance reports</li>
+        <li>🎯 <strong>Lead Distribution</strong> - Assign leads to team members</li>
+        ` : ''
+});
+
+// Optional agency details of the agent invitation
+const getAgencyInfoContent = (agencyInfo = {}) => `
+        ${agencyInfo.location ? `<p><strong>Location:</strong> ${agencyInfo.location}</p>` : ''}
+        ${agencyInfo.specialization ? `<p><strong>Specialization:</strong> ${agencyInfo.specialization}</p>` : ''}`;
+
 // Agent Invitation Template (Super Agent & Regular Agent)
+// roleDisplayName, roleEmoji, roleHighlights and agencyDetails default to the role's content
 const getAgentInvitationTemplate = (data) => {
   const { 
     agentName, 
@@ -121,8 +138,11 @@ const getAgentInvitationTemplate = (data) => {
     agencyInfo = {}
   } = data;
   
-  const roleDisplayName = role === 'super_agent' ? 'Super Agent' : 'Agent';
-  const roleEmoji = role === 'super_agent' ? '⭐' : '👤';
+  const roleContent = getAgentRoleContent(role);
+  const roleDisplayName = data.roleDisplayName !== undefined ? data.roleDisplayName : roleContent.roleDisplayName;
+  const roleEmoji = data.roleEmoji !== undefined ? data.roleEmoji : roleContent.roleEmoji;
+  const roleHighlights = data.roleHighlights !== undefined ? data.roleHighlights : roleContent.roleHighlights;
+  const agencyDetails = data.agencyDetails !== undefined ? data.agencyDetails : getAgencyInfoContent(agencyInfo);
   
   const content = `
     <h2 style="color: #1e293b; margin-bottom: 10px;">You're Invited to Join ${agencyName}! ${roleEmoji}</h2>
@@ -136,18 +156,12 @@ const getAgentInvitationTemplate = (data) => {
         <h3 style="margin-top: 0; color: #2563eb;">🏢 Agency Information</h3>
         <p><strong>Agency:</strong> ${agencyName}</p>
         <p><strong>Your Role:</strong> ${roleDisplayName}</p>
-        <p><strong>Manager:</strong> ${managerName}</p>
-        ${agencyInfo.location ? `<p><strong>Location:</strong> ${agencyInfo.location}</p>` : ''}
-        ${agencyInfo.specialization ? `<p><strong>Specialization:</strong> ${agencyInfo.specialization}</p>` : ''}
+        <p><strong>Manager:</strong> ${managerName}</p>${agencyDetails}
     </div>
     
     <h3 style="color: #1e293b;">As a ${roleDisplayName}, you'll have access to:</h3>
     <ul style="color: #475569; line-height: 1.8;">
-        ${role === 'super_agent' ? `
-        <li>👥 <strong>Team Management</strong> - Supervise and mentor regular agents</li>
-        <li>📊 <strong>Advanced Analytics</strong> - Access detailed performance reports</li>
-        <li>🎯 <strong>Lead Distribution</strong> - Assign leads to team members</li>
-        ` : ''}
+        ${roleHighlights}
         <li>🏠 <strong>Lead Management</strong> - Track and nurture your prospects</li>
         <li>🏘️ <strong>Property Database</strong> - Access your agency's property listings</li>
         <li>📱 <strong>Mobile CRM</strong> - Manage your business on the go</li>
@@ -291,5 +305,7 @@ module.exports = {
   getAgentInvitationTemplate,
   getSetupReminderTemplate,
   getAccountCreatedTemplate,
+  getAgentRoleContent,
+  getAgencyInfoContent,
   getBaseTemplate
 };
@@ -0,0 +1,863 @@
+// Built-in WhatsApp and email copy of the template library.
+// Agencies can replace any of them per language (see templateService); these are
+// used whenever an agency has not saved its own version.
+const { EMAIL_TEMPLATES, WHATSAPP_TEMPLATES } = require('../utils/constants');
+const {
+  getManagerInvitationTemplate,
+  getAgentInvitationTemplate,
+  getSetupReminderTemplate,
+  getAccountCreatedTemplate,
+  getAgentRoleContent,
+  getAgencyInfoContent
+} = require('./emailTemplates');
+
+// Placeholders usable in every template
+const COMMON_VARIABLES = ['agencyName'];
+
+const LEAD_VARIABLES = ['leadName', 'leadFirstName', 'leadLastName', 'leadEmail', 'leadPhone'];
+const AGENT_VARIABLES = ['agentName', 'agentPhone', 'agentEmail'];
+const PROPERTY_VARIABLES = ['propertyTitle', 'propertyPrice', 'propertyLocation'];
+
+const APPOINTMENT_VARIABLES = ['agentName', 'appointmentDate', 'appointmentTime', 'appointmentLocation', 'appointmentNotes', 'propertyTitle'];
+
+// Campaign templates (campaign: true) wrap the campaign's own message
+const CAMPAIGN_VARIABLES = ['customMessage', 'unsubscribeUrl'];
+
+// Values used by the preview endpoint when none are given
+const SAMPLE_VARIABLES = {
+  agencyName: 'LeadEstate',
+  leadName: 'Marie Dupont',
+  leadFirstName: 'Marie',
+  leadLastName: 'Dupont',
+  leadEmail: 'marie.dupont@example.com',
+  leadPhone: '+33 6 12 34 56 78',
+  leadCity: 'Lyon',
+  leadSource: 'website',
+  leadStatus: 'new',
+  leadNotes: 'Looking for a 3-bedroom apartment',
+  agentName: 'Thomas Martin',
+  agentPhone: '+33 1 23 45 67 89',
+  agentEmail: 'thomas.martin@example.com',
+  propertyTitle: 'Bright 3-room apartment',
+  propertyPrice: '$350,000',
+  propertyLocation: 'Lyon 6e',
+  propertyCount: '2',
+  propertyCountText: '2 new properties',
+  propertyList: '1. *Bright 3-room apartment*\n📍 Lyon 6e\n💰 $350,000\n🏠 3 bed, 1 bath\n\n2. *Family house with garden*\n📍 Villeurbanne\n💰 $520,000\n🏠 4 bed, 2 bath',
+  customMessage: '',
+  campaignSubject: 'New listings this month',
+  unsubscribeUrl: 'https://api.leadestate.com/api/unsubscribe/sample',
+  brochureUrl: 'https://api.leadestate.com/uploads/brochures/sample.pdf',
+  followUpType: 'call',
+  followUpDue: '3/15/2025, 10:00:00 AM',
+  followUpPriority: 'high',
+  followUpDescription: 'Discuss the financing plan',
+  appointmentDate: 'Saturday, March 15, 2025',
+  appointmentTime: '10:00 AM GMT+1',
+  appointmentLocation: '12 rue de la République, Lyon',
+  appointmentNotes: 'Bring your ID',
+  userName: 'Thomas Martin',
+  userFirstName: 'Thomas',
+  userEmail: 'thomas.martin@example.com',
+  userRole: 'agent',
+  loginUrl: 'https://app.leadestate.com/login',
+  leadsUrl: 'https://app.leadestate.com/leads',
+  followUpsUrl: 'https://app.leadestate.com/follow-up',
+  propertiesUrl: 'https://app.leadestate.com/properties',
+  resetUrl: 'https://app.leadestate.com/reset-password?token=sample',
+  verifyUrl: 'https://app.leadestate.com/verify-email?token=sample',
+  setupLink: 'https://app.leadestate.com/setup-account?token=sample',
+  expiresIn: '7 days',
+  managerName: 'Claire Bernard',
+  invitedBy: 'LeadEstate Team',
+  roleName: 'Super Agent',
+  roleEmoji: '⭐',
+  roleHighlights: '',
+  agencyDetails: ''
+};
+
+// HTML placeholders of email templates (htmlVariables) are previewed with HTML samples
+const SAMPLE_EMAIL_VARIABLES = {
+  propertyList: `
+      <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 15px; margin: 10px 0;">
+        <h4 style="margin-top: 0;">Bright 3-room apartment</h4>
+        <p><strong>Location:</strong> Lyon 6e</p>
+        <p><strong>Price:</strong> $350,000</p>
+      </div>
+      <div style="border: 1px solid #e5e7eb; border-radius: 8px; padding: 15px; margin: 10px 0;">
+        <h4 style="margin-top: 0;">Family house with garden</h4>
+        <p><strong>Location:</strong> Villeurbanne</p>
+        <p><strong>Price:</strong> $520,000</p>
+      </div>
+    `,
+  roleHighlights: getAgentRoleContent('super_agent').roleHighlights,
+  agencyDetails: getAgencyInfoContent({ location: 'Lyon', specialization: 'Residential sales' })
+};
+
+const WHATSAPP = {
+  [WHATSAPP_TEMPLATES.WELCOME_MESSAGE]: {
+    description: 'Sent to a new lead by its agent',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES],
+    workflow: true,
+    languages: {
+      en: {
+        body: `🏠 *Welcome to {{agencyName}}!*
+
+Hello {{leadName}}!
+
+Thank you for your interest in our real estate services. I'm {{agentName}}, your dedicated advisor.
+
+👤 *Your advisor:* {{agentName}}
+📱 *My number:* {{agentPhone}}
+📧 *My email:* {{agentEmail}}
+
+I'm here to help you with your real estate project. Don't hesitate to contact me for any questions!
+
+Best regards,
+{{agentName}}
+*{{agencyName}} - Your Real Estate Partner* 🏡`
+      },
+      fr: {
+        body: `🏠 *Bienvenue chez {{agencyName}} !*
+
+Bonjour {{leadName}} !
+
+Merci de votre intérêt pour nos services immobiliers. Je suis {{agentName}}, votre conseiller dédié.
+
+👤 *Votre conseiller :* {{agentName}}
+📱 *Mon numéro :* {{agentPhone}}
+📧 *Mon email :* {{agentEmail}}
+
+Je suis là pour vous accompagner dans votre projet immobilier. N'hésitez pas à me contacter pour toute question !
+
+À très bientôt,
+{{agentName}}
+*{{agencyName}} - Votre partenaire immobilier* 🏡`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.FOLLOW_UP_MESSAGE]: {
+    description: 'Check-in message asking the lead for news on their project',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES],
+    workflow: true,
+    campaign: true,
+    languages: {
+      en: {
+        body: 'Hello {{leadFirstName}}, this is {{agentName}}. I wanted to follow up on your real estate project. When would be a good time to talk?'
+      },
+      fr: {
+        body: 'Bonjour {{leadFirstName}}, c\'est {{agentName}}. Je reviens vers vous concernant votre projet immobilier. Quand seriez-vous disponible pour en discuter ?'
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.CAMPAIGN_MESSAGE]: {
+    description: 'Campaign message sent to a segment of leads',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES, ...CAMPAIGN_VARIABLES],
+    campaign: true,
+    languages: {
+      en: {
+        body: `Hello {{leadFirstName}},
+
+{{customMessage}}
+
+{{agentName}} - {{agencyName}}
+
+_Reply STOP to stop receiving these messages._`
+      },
+      fr: {
+        body: `Bonjour {{leadFirstName}},
+
+{{customMessage}}
+
+{{agentName}} - {{agencyName}}
+
+_Répondez STOP pour ne plus recevoir ces messages._`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.FOLLOW_UP_REMINDER]: {
+    description: 'Reminds the lead of a scheduled call or meeting',
+    variables: [...LEAD_VARIABLES, 'followUpType', 'followUpDue', 'followUpDescription'],
+    languages: {
+      en: {
+        body: `🔔 *Follow-up Reminder*
+
+Hi {{leadName}},
+
+This is a friendly reminder about our upcoming {{followUpType}}.
+
+📅 Scheduled: {{followUpDue}}
+📝 Details: {{followUpDescription}}
+
+We look forward to speaking with you!
+
+Best regards,
+{{agencyName}} Team`
+      },
+      fr: {
+        body: `🔔 *Rappel de rendez-vous*
+
+Bonjour {{leadName}},
+
+Petit rappel concernant notre prochain échange ({{followUpType}}).
+
+📅 Prévu le : {{followUpDue}}
+📝 Détails : {{followUpDescription}}
+
+Au plaisir d'échanger avec vous !
+
+Cordialement,
+L'équipe {{agencyName}}`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.PROPERTY_DETAILS]: {
+    description: 'Details of one or more properties sent to a lead',
+    variables: [...LEAD_VARIABLES, ...PROPERTY_VARIABLES, 'propertyList', 'customMessage'],
+    languages: {
+      en: {
+        body: `{{customMessage}}🏠 *Property Details for {{leadName}}*
+
+{{propertyList}}
+
+For more details or to schedule a viewing, please contact us!
+
+Best regards,
+{{agencyName}} Team`
+      },
+      fr: {
+        body: `{{customMessage}}🏠 *Biens sélectionnés pour {{leadName}}*
+
+{{propertyList}}
+
+Pour plus de détails ou pour organiser une visite, contactez-nous !
+
+Cordialement,
+L'équipe {{agencyName}}`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.PROPERTY_BROCHURE]: {
+    description: 'Brochure of a property, sent as a PDF attached to the message',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES, ...PROPERTY_VARIABLES, 'brochureUrl', 'customMessage'],
+    languages: {
+      en: {
+        body: `{{customMessage}}📄 *{{propertyTitle}}*
+
+Hi {{leadName}},
+
+Here is the brochure of this property:
+📍 {{propertyLocation}}
+💰 {{propertyPrice}}
+
+For more details or to schedule a viewing, contact me!
+
+{{agentName}}
+📱 {{agentPhone}}
+{{agencyName}}`
+      },
+      fr: {
+        body: `{{customMessage}}📄 *{{propertyTitle}}*
+
+Bonjour {{leadName}},
+
+Voici la brochure de ce bien :
+📍 {{propertyLocation}}
+💰 {{propertyPrice}}
+
+Pour plus de détails ou pour organiser une visite, contactez-moi !
+
+{{agentName}}
+📱 {{agentPhone}}
+{{agencyName}}`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.APPOINTMENT_CONFIRMATION]: {
+    description: 'Confirms a viewing or meeting to the lead',
+    variables: [...LEAD_VARIABLES, ...APPOINTMENT_VARIABLES],
+    languages: {
+      en: {
+        body: `✅ *Appointment Confirmed*
+
+Hi {{leadName}},
+
+Your appointment has been confirmed:
+
+📅 Date: {{appointmentDate}}
+🕐 Time: {{appointmentTime}}
+📍 Location: {{appointmentLocation}}
+👤 Agent: {{agentName}}
+
+📝 Notes: {{appointmentNotes}}
+
+If you need to reschedule, please contact us as soon as possible.
+
+Best regards,
+{{agencyName}} Team`
+      },
+      fr: {
+        body: `✅ *Rendez-vous confirmé*
+
+Bonjour {{leadName}},
+
+Votre rendez-vous est confirmé :
+
+📅 Date : {{appointmentDate}}
+🕐 Heure : {{appointmentTime}}
+📍 Lieu : {{appointmentLocation}}
+👤 Conseiller : {{agentName}}
+
+📝 Notes : {{appointmentNotes}}
+
+Si vous devez le déplacer, merci de nous prévenir au plus tôt.
+
+Cordialement,
+L'équipe {{agencyName}}`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.APPOINTMENT_REMINDER]: {
+    description: 'Reminds the lead of an upcoming viewing or meeting',
+    variables: [...LEAD_VARIABLES, ...APPOINTMENT_VARIABLES],
+    languages: {
+      en: {
+        body: `⏰ *Appointment Reminder*
+
+Hi {{leadName}},
+
+A reminder of your upcoming appointment with {{agentName}}:
+
+📅 Date: {{appointmentDate}}
+🕐 Time: {{appointmentTime}}
+📍 Location: {{appointmentLocation}}
+
+If you can no longer make it, please let us know so we can find another time.
+
+See you soon,
+{{agencyName}} Team`
+      },
+      fr: {
+        body: `⏰ *Rappel de rendez-vous*
+
+Bonjour {{leadName}},
+
+Petit rappel de votre rendez-vous avec {{agentName}} :
+
+📅 Date : {{appointmentDate}}
+🕐 Heure : {{appointmentTime}}
+📍 Lieu : {{appointmentLocation}}
+
+Si vous n'êtes plus disponible, prévenez-nous pour convenir d'un autre créneau.
+
+À bientôt,
+L'équipe {{agencyName}}`
+      }
+    }
+  },
+
+  [WHATSAPP_TEMPLATES.PROPERTY_ALERT]: {
+    description: 'New properties matching the lead\'s search criteria',
+    variables: [...LEAD_VARIABLES, ...PROPERTY_VARIABLES, 'propertyCount', 'propertyCountText', 'propertyList'],
+    languages: {
+      en: {
+        body: `🚨 *New Properties Alert*
+
+Hi {{leadName}},
+
+Great news! We found {{propertyCountText}} that match your criteria:
+
+{{propertyList}}
+
+Would you like more details about any of these properties?
+
+Best regards,
+{{agencyName}} Team
+
+Reply STOP to stop receiving these messages.`
+      },
+      fr: {
+        body: `🚨 *Nouveaux biens pour vous*
+
+Bonjour {{leadName}},
+
+Bonne nouvelle ! Nous avons trouvé {{propertyCountText}} correspondant à vos critères :
+
+{{propertyList}}
+
+Souhaitez-vous plus d'informations sur l'un de ces biens ?
+
+Cordialement,
+L'équipe {{agencyName}}
+
+Répondez STOP pour ne plus recevoir ces messages.`
+      }
+    }
+  }
+};
+
+const BUTTON_STYLE = 'color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;';
+
+const EMAIL = {
+  [EMAIL_TEMPLATES.WELCOME]: {
+    description: 'Sent to a user once their email address is confirmed',
+    variables: ['userFirstName', 'userEmail', 'userRole', 'loginUrl'],
+    languages: {
+      en: {
+        subject: 'Welcome to {{agencyName}}!',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">Welcome to {{agencyName}}!</h1>
+        <p>Hi {{userFirstName}},</p>
+        <p>Welcome to our real estate CRM platform! We're excited to have you on board.</p>
+        <p>Your account has been created with the following details:</p>
+        <ul>
+          <li><strong>Email:</strong> {{userEmail}}</li>
+          <li><strong>Role:</strong> {{userRole}}</li>
+        </ul>
+        <p>You can now log in to your dashboard and start managing your leads and properties.</p>
+        <div style="margin: 30px 0;">
+          <a href="{{loginUrl}}"
+             style="background-color: #2563eb; ${BUTTON_STYLE}">
+            Login to Dashboard
+          </a>
+        </div>
+        <p>If you have any questions, feel free to reach out to our support team.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.LEAD_ASSIGNMENT]: {
+    description: 'Tells an agent a lead was assigned to them',
+    variables: ['userFirstName', ...LEAD_VARIABLES, 'leadCity', 'leadSource', 'leadStatus', 'leadNotes', 'leadsUrl'],
+    languages: {
+      en: {
+        subject: 'New Lead Assigned: {{leadName}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">New Lead Assigned</h1>
+        <p>Hi {{userFirstName}},</p>
+        <p>A new lead has been assigned to you:</p>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">{{leadName}}</h3>
+          <p><strong>Email:</strong> {{leadEmail}}</p>
+          <p><strong>Phone:</strong> {{leadPhone}}</p>
+          <p><strong>City:</strong> {{leadCity}}</p>
+          <p><strong>Source:</strong> {{leadSource}}</p>
+          <p><strong>Status:</strong> {{leadStatus}}</p>
+          <p><strong>Notes:</strong> {{leadNotes}}</p>
+        </div>
+        <div style="margin: 30px 0;">
+          <a href="{{leadsUrl}}"
+             style="background-color: #2563eb; ${BUTTON_STYLE}">
+            View Lead
+          </a>
+        </div>
+        <p>Please follow up with this lead as soon as possible.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.FOLLOW_UP_REMINDER]: {
+    description: 'Reminds an agent of a follow-up that is due',
+    variables: ['userFirstName', 'leadName', 'followUpType', 'followUpDue', 'followUpPriority', 'followUpDescription', 'followUpsUrl'],
+    languages: {
+      en: {
+        subject: 'Follow-up Reminder: {{leadName}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #f59e0b;">Follow-up Reminder</h1>
+        <p>Hi {{userFirstName}},</p>
+        <p>This is a reminder for your scheduled follow-up:</p>
+        <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0;">{{leadName}}</h3>
+          <p><strong>Type:</strong> {{followUpType}}</p>
+          <p><strong>Due:</strong> {{followUpDue}}</p>
+          <p><strong>Priority:</strong> {{followUpPriority}}</p>
+          <p><strong>Description:</strong> {{followUpDescription}}</p>
+        </div>
+        <div style="margin: 30px 0;">
+          <a href="{{followUpsUrl}}"
+             style="background-color: #f59e0b; ${BUTTON_STYLE}">
+            View Follow-up
+          </a>
+        </div>
+        <p>Don't forget to complete this follow-up task!</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.PROPERTY_ALERT]: {
+    description: 'New properties matching the lead\'s search criteria',
+    variables: [...LEAD_VARIABLES, ...PROPERTY_VARIABLES, 'propertyCount', 'propertyCountText', 'propertyList', 'propertiesUrl', 'unsubscribeUrl'],
+    htmlVariables: ['propertyList'],
+    languages: {
+      en: {
+        subject: 'New Properties Matching Your Criteria',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #10b981;">New Properties Available</h1>
+        <p>Hi {{leadName}},</p>
+        <p>We found {{propertyCountText}} that match your criteria:</p>
+        {{propertyList}}
+        <div style="margin: 30px 0;">
+          <a href="{{propertiesUrl}}"
+             style="background-color: #10b981; ${BUTTON_STYLE}">
+            View All Properties
+          </a>
+        </div>
+        <p>If you're interested in any of these properties or would like to schedule a viewing, please contact us.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0 10px;">
+        <p style="color: #6b7280; font-size: 12px;">
+          You receive property alerts because you searched for a property with {{agencyName}}.
+          <a href="{{unsubscribeUrl}}" style="color: #6b7280;">Unsubscribe</a>
+        </p>
+      </div>
+    `
+      },
+      fr: {
+        subject: 'Nouveaux biens correspondant à vos critères',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #10b981;">Nouveaux biens disponibles</h1>
+        <p>Bonjour {{leadName}},</p>
+        <p>Nous avons trouvé {{propertyCountText}} correspondant à vos critères :</p>
+        {{propertyList}}
+        <div style="margin: 30px 0;">
+          <a href="{{propertiesUrl}}"
+             style="background-color: #10b981; ${BUTTON_STYLE}">
+            Voir tous les biens
+          </a>
+        </div>
+        <p>Si l'un de ces biens vous intéresse ou si vous souhaitez organiser une visite, contactez-nous.</p>
+        <p>Cordialement,<br>L'équipe {{agencyName}}</p>
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0 10px;">
+        <p style="color: #6b7280; font-size: 12px;">
+          Vous recevez ces alertes car vous recherchez un bien avec {{agencyName}}.
+          <a href="{{unsubscribeUrl}}" style="color: #6b7280;">Se désinscrire</a>
+        </p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.PROPERTY_BROCHURE]: {
+    description: 'Brochure of a property, attached as a PDF',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES, ...PROPERTY_VARIABLES, 'brochureUrl', 'customMessage'],
+    languages: {
+      en: {
+        subject: 'Brochure: {{propertyTitle}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3b82f6;">{{propertyTitle}}</h1>
+        <p>Hi {{leadName}},</p>
+        <div style="white-space: pre-line;">{{customMessage}}</div>
+        <p>Please find attached the brochure of this property:</p>
+        <div style="background-color: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Location:</strong> {{propertyLocation}}</p>
+          <p><strong>Price:</strong> {{propertyPrice}}</p>
+        </div>
+        <p>For more details or to schedule a viewing, please contact me.</p>
+        <p>Best regards,<br>{{agentName}}<br>{{agentPhone}}<br>{{agencyName}}</p>
+      </div>
+    `
+      },
+      fr: {
+        subject: 'Brochure : {{propertyTitle}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3b82f6;">{{propertyTitle}}</h1>
+        <p>Bonjour {{leadName}},</p>
+        <div style="white-space: pre-line;">{{customMessage}}</div>
+        <p>Vous trouverez ci-joint la brochure de ce bien :</p>
+        <div style="background-color: #eff6ff; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Localisation :</strong> {{propertyLocation}}</p>
+          <p><strong>Prix :</strong> {{propertyPrice}}</p>
+        </div>
+        <p>Pour plus de détails ou pour organiser une visite, n'hésitez pas à me contacter.</p>
+        <p>Cordialement,<br>{{agentName}}<br>{{agentPhone}}<br>{{agencyName}}</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.APPOINTMENT_CONFIRMATION]: {
+    description: 'Confirms a viewing or meeting to a lead without WhatsApp',
+    variables: [...LEAD_VARIABLES, ...APPOINTMENT_VARIABLES],
+    languages: {
+      en: {
+        subject: 'Appointment confirmed: {{appointmentDate}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #10b981;">Appointment Confirmed</h1>
+        <p>Hi {{leadName}},</p>
+        <p>Your appointment has been confirmed:</p>
+        <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Date:</strong> {{appointmentDate}}</p>
+          <p><strong>Time:</strong> {{appointmentTime}}</p>
+          <p><strong>Location:</strong> {{appointmentLocation}}</p>
+          <p><strong>Agent:</strong> {{agentName}}</p>
+          <p><strong>Notes:</strong> {{appointmentNotes}}</p>
+        </div>
+        <p>If you need to reschedule, please contact us as soon as possible.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      },
+      fr: {
+        subject: 'Rendez-vous confirmé : {{appointmentDate}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #10b981;">Rendez-vous confirmé</h1>
+        <p>Bonjour {{leadName}},</p>
+        <p>Votre rendez-vous est confirmé :</p>
+        <div style="background-color: #f0fdf4; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Date :</strong> {{appointmentDate}}</p>
+          <p><strong>Heure :</strong> {{appointmentTime}}</p>
+          <p><strong>Lieu :</strong> {{appointmentLocation}}</p>
+          <p><strong>Conseiller :</strong> {{agentName}}</p>
+          <p><strong>Notes :</strong> {{appointmentNotes}}</p>
+        </div>
+        <p>Si vous devez le déplacer, merci de nous prévenir au plus tôt.</p>
+        <p>Cordialement,<br>L'équipe {{agencyName}}</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.APPOINTMENT_REMINDER]: {
+    description: 'Reminds a lead without WhatsApp of an upcoming viewing or meeting',
+    variables: [...LEAD_VARIABLES, ...APPOINTMENT_VARIABLES],
+    languages: {
+      en: {
+        subject: 'Reminder: your appointment on {{appointmentDate}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #f59e0b;">Appointment Reminder</h1>
+        <p>Hi {{leadName}},</p>
+        <p>A reminder of your upcoming appointment with {{agentName}}:</p>
+        <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Date:</strong> {{appointmentDate}}</p>
+          <p><strong>Time:</strong> {{appointmentTime}}</p>
+          <p><strong>Location:</strong> {{appointmentLocation}}</p>
+        </div>
+        <p>If you can no longer make it, please let us know so we can find another time.</p>
+        <p>See you soon,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      },
+      fr: {
+        subject: 'Rappel : votre rendez-vous du {{appointmentDate}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #f59e0b;">Rappel de rendez-vous</h1>
+        <p>Bonjour {{leadName}},</p>
+        <p>Petit rappel de votre rendez-vous avec {{agentName}} :</p>
+        <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Date :</strong> {{appointmentDate}}</p>
+          <p><strong>Heure :</strong> {{appointmentTime}}</p>
+          <p><strong>Lieu :</strong> {{appointmentLocation}}</p>
+        </div>
+        <p>Si vous n'êtes plus disponible, prévenez-nous pour convenir d'un autre créneau.</p>
+        <p>À bientôt,<br>L'équipe {{agencyName}}</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.PASSWORD_RESET]: {
+    description: 'Password reset link',
+    variables: ['userFirstName', 'resetUrl'],
+    languages: {
+      en: {
+        subject: 'Password Reset Request',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #dc2626;">Password Reset Request</h1>
+        <p>Hi {{userFirstName}},</p>
+        <p>You requested a password reset for your {{agencyName}} account.</p>
+        <p>Click the button below to reset your password:</p>
+        <div style="margin: 30px 0;">
+          <a href="{{resetUrl}}"
+             style="background-color: #dc2626; ${BUTTON_STYLE}">
+            Reset Password
+          </a>
+        </div>
+        <p>This link will expire in 1 hour for security reasons.</p>
+        <p>If you didn't request this password reset, please ignore this email.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.EMAIL_VERIFICATION]: {
+    description: 'Email address confirmation link',
+    variables: ['userFirstName', 'userEmail', 'verifyUrl'],
+    languages: {
+      en: {
+        subject: 'Confirm your email address',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #2563eb;">Confirm your email address</h1>
+        <p>Hi {{userFirstName}},</p>
+        <p>Please confirm that {{userEmail}} is your email address to finish setting up your {{agencyName}} account.</p>
+        <div style="margin: 30px 0;">
+          <a href="{{verifyUrl}}"
+             style="background-color: #2563eb; ${BUTTON_STYLE}">
+            Confirm Email
+          </a>
+        </div>
+        <p>This link will expire in 48 hours.</p>
+        <p>If you didn't create this account, please ignore this email.</p>
+        <p>Best regards,<br>The {{agencyName}} Team</p>
+      </div>
+    `
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.MANAGER_INVITATION]: {
+    description: 'Invitation to manage an agency',
+    variables: ['managerName', 'invitedBy', 'setupLink', 'expiresIn'],
+    languages: {
+      en: {
+        subject: '🏢 You\'re invited to manage {{agencyName}} on LeadEstate!',
+        body: getManagerInvitationTemplate({
+          managerName: '{{managerName}}',
+          agencyName: '{{agencyName}}',
+          invitedBy: '{{invitedBy}}',
+          setupLink: '{{setupLink}}',
+          expiresIn: '{{expiresIn}}'
+        })
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.AGENT_INVITATION]: {
+    description: 'Invitation to join an agency as an agent or super agent',
+    variables: ['agentName', 'managerName', 'roleName', 'roleEmoji', 'roleHighlights', 'agencyDetails', 'setupLink', 'expiresIn'],
+    htmlVariables: ['roleHighlights', 'agencyDetails'],
+    languages: {
+      en: {
+        subject: '🎯 Join {{agencyName}} as a {{roleName}} - LeadEstate Invitation',
+        body: getAgentInvitationTemplate({
+          agentName: '{{agentName}}',
+          agencyName: '{{agencyName}}',
+          managerName: '{{managerName}}',
+          setupLink: '{{setupLink}}',
+          expiresIn: '{{expiresIn}}',
+          roleDisplayName: '{{roleName}}',
+          roleEmoji: '{{roleEmoji}}',
+          roleHighlights: '{{roleHighlights}}',
+          agencyDetails: '{{agencyDetails}}'
+        })
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.SETUP_REMINDER]: {
+    description: 'Reminds an invited user to finish setting up their account',
+    variables: ['userName', 'setupLink', 'expiresIn'],
+    languages: {
+      en: {
+        subject: '⏰ Reminder: Complete your {{agencyName}} account setup',
+        body: getSetupReminderTemplate({
+          userName: '{{userName}}',
+          setupLink: '{{setupLink}}',
+          expiresIn: '{{expiresIn}}',
+          agencyName: '{{agencyName}}'
+        })
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.ACCOUNT_CREATED]: {
+    description: 'Confirms that an invited user finished setting up their account',
+    variables: ['userName', 'userRole', 'managerName', 'loginUrl'],
+    languages: {
+      en: {
+        subject: '✅ Welcome to {{agencyName}}! Your account is ready',
+        body: getAccountCreatedTemplate({
+          userName: '{{userName}}',
+          role: '{{userRole}}',
+          agencyName: '{{agencyName}}',
+          loginUrl: '{{loginUrl}}',
+          managerName: '{{managerName}}'
+        })
+      }
+    }
+  },
+
+  [EMAIL_TEMPLATES.CAMPAIGN_MESSAGE]: {
+    description: 'Campaign email sent to a segment of leads',
+    variables: [...LEAD_VARIABLES, ...AGENT_VARIABLES, ...CAMPAIGN_VARIABLES, 'campaignSubject'],
+    campaign: true,
+    languages: {
+      en: {
+        subject: '{{campaignSubject}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Hello {{leadFirstName}},</p>
+        <div style="white-space: pre-line;">{{customMessage}}</div>
+        <p>Best regards,<br>{{agentName}}<br>{{agencyName}}</p>
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0 10px;">
+        <p style="color: #6b7280; font-size: 12px;">
+          You receive this email because you contacted {{agencyName}}.
+          <a href="{{unsubscribeUrl}}" style="color: #6b7280;">Unsubscribe</a>
+        </p>
+      </div>
+    `
+      },
+      fr: {
+        subject: '{{campaignSubject}}',
+        body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Bonjour {{leadFirstName}},</p>
+        <div style="white-space: pre-line;">{{customMessage}}</div>
+        <p>Cordialement,<br>{{agentName}}<br>{{agencyName}}</p>
+        <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0 10px;">
+        <p style="color: #6b7280; font-size: 12px;">
+          Vous recevez cet email car vous avez contacté {{agencyName}}.
+          <a href="{{unsubscribeUrl}}" style="color: #6b7280;">Se désinscrire</a>
+        </p>
+      </div>
+    `
+      }
+    }
+  }
+};
+
+const BUILT_IN_TEMPLATES = {
+  whatsapp: WHATSAPP,
+  email: EMAIL
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  COMMON_VARIABLES,
+  SAMPLE_VARIABLES,
+  SAMPLE_EMAIL_VARIABLES
+};
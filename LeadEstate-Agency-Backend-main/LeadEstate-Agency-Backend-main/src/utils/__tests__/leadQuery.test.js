@@ -0,0 +1,45 @@
+const {
+  LeadQueryError,
+  parseLeadListQuery,
+  buildLeadFilterConditions
+} = require('../leadQuery');
+
+const conditionsFor = (query) => {
+  const params = [];
+  const conditions = buildLeadFilterConditions(parseLeadListQuery(query).filters, params);
+  return { conditions, params };
+};
+
+describe('leadQuery created date bounds', () => {
+  test('a date-only createdTo includes the whole day', () => {
+    const { conditions, params } = conditionsFor({ createdTo: '2024-03-31' });
+
+    expect(conditions).toEqual(['created_at < $1']);
+    expect(params).toEqual(['2024-04-01T00:00:00.000Z']);
+  });
+
+  test('a createdTo with a time is an inclusive instant', () => {
+    const { conditions, params } = conditionsFor({ createdTo: '2024-03-31T12:30:00Z' });
+
+    expect(conditions).toEqual(['created_at <= $1']);
+    expect(params).toEqual(['2024-03-31T12:30:00.000Z']);
+  });
+
+  test('the same day for createdFrom and createdTo is a one-day range', () => {
+    const { conditions, params } = conditionsFor({ createdFrom: '2024-03-31', createdTo: '2024-03-31' });
+
+    expect(conditions).toEqual(['created_at >= $1', 'created_at < $2']);
+    expect(params).toEqual(['2024-03-31T00:00:00.000Z', '2024-04-01T00:00:00.000Z']);
+  });
+
+  test('rejects createdFrom after createdTo', () => {
+    expect(() => parseLeadListQuery({ createdFrom: '2024-04-02', createdTo: '2024-04-01' }))
+      .toThrow(LeadQueryError);
+    expect(() => parseLeadListQuery({ createdFrom: '2024-04-01T10:00:00Z', createdTo: '2024-04-01T09:00:00Z' }))
+      .toThrow(LeadQueryError);
+  });
+
+  test('rejects invalid dates', () => {
+    expect(() => parseLeadListQuery({ createdTo: 'yesterday' })).toThrow('createdTo must be a valid date');
+  });
+});
@@ -5,6 +5,60 @@ const USER_ROLES = {
   AGENT: 'agent',
 };
 
+// Permissions checked by the API (GET /api/auth/permissions lists the caller's)
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  DASHBOARD_FULL_STATS: 'dashboard.stats.all',
+  LEADS_READ_ALL: 'leads.read.all',
+  LEADS_READ_OWN: 'leads.read.own',
+  LEADS_CREATE: 'leads.create',
+  LEADS_UPDATE: 'leads.update',
+  LEADS_DELETE: 'leads.delete',
+  LEADS_ASSIGN: 'leads.assign',
+  LEADS_IMPORT: 'leads.import',
+  LEADS_PRIVACY: 'leads.privacy',
+  PROPERTIES_READ: 'properties.read',
+  PROPERTIES_WRITE: 'properties.write',
+  PROPERTIES_DELETE: 'properties.delete',
+  ANALYTICS_VIEW: 'analytics.view',
+  AUTOMATION_MANAGE: 'automation.manage',
+  FOLLOW_UPS_MANAGE: 'follow_ups.manage',
+  APPOINTMENTS_MANAGE: 'appointments.manage',
+  TEAM_READ: 'team.read',
+  TEAM_MANAGE: 'team.manage',
+  TEMPLATES_MANAGE: 'templates.manage',
+  CAMPAIGNS_MANAGE: 'campaigns.manage',
+};
+
+// Default permissions of each role; agencies can override them for super agents and agents
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.MANAGER]: Object.values(PERMISSIONS),
+  [USER_ROLES.SUPER_AGENT]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.DASHBOARD_FULL_STATS,
+    PERMISSIONS.LEADS_READ_ALL,
+    PERMISSIONS.LEADS_CREATE,
+    PERMISSIONS.LEADS_UPDATE,
+    PERMISSIONS.LEADS_ASSIGN,
+    PERMISSIONS.LEADS_IMPORT,
+    PERMISSIONS.PROPERTIES_READ,
+    PERMISSIONS.ANALYTICS_VIEW,
+    PERMISSIONS.APPOINTMENTS_MANAGE,
+    PERMISSIONS.FOLLOW_UPS_MANAGE,
+    PERMISSIONS.TEAM_READ,
+    PERMISSIONS.CAMPAIGNS_MANAGE,
+  ],
+  [USER_ROLES.AGENT]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.LEADS_READ_OWN,
+    PERMISSIONS.LEADS_CREATE,
+    PERMISSIONS.LEADS_UPDATE,
+    PERMISSIONS.PROPERTIES_READ,
+    PERMISSIONS.APPOINTMENTS_MANAGE,
+    PERMISSIONS.FOLLOW_UPS_MANAGE,
+  ],
+};
+
 // Lead statuses
 const LEAD_STATUS = {
   NEW: 'new',
@@ -19,6 +73,7 @@ const LEAD_STATUS = {
 // Lead sources
 const LEAD_SOURCES = {
   WEBSITE: 'website',
+  WEBSITE_FORM: 'website_form',
   REFERRAL: 'referral',
   SOCIAL_MEDIA: 'social_media',
   EMAIL_CAMPAIGN: 'email_campaign',
@@ -36,6 +91,8 @@ const PROPERTY_TYPES = {
   VILLA: 'villa',
   STUDIO: 'studio',
   PENTHOUSE: 'penthouse',
+  LOFT: 'loft',
+  DUPLEX: 'duplex',
   COMMERCIAL: 'commercial',
   LAND: 'land',
   OTHER: 'other',
@@ -57,6 +114,29 @@ const TRANSACTION_TYPES = {
   LEASE: 'lease',
 };
 
+// Allowed property status changes: a deal goes through pending before it is sold or
+// rented, a rented property comes back when the lease ends, a sale is final
+const PROPERTY_STATUS_TRANSITIONS = {
+  [PROPERTY_STATUS.AVAILABLE]: [PROPERTY_STATUS.PENDING, PROPERTY_STATUS.OFF_MARKET],
+  [PROPERTY_STATUS.PENDING]: [PROPERTY_STATUS.AVAILABLE, PROPERTY_STATUS.SOLD, PROPERTY_STATUS.RENTED, PROPERTY_STATUS.OFF_MARKET],
+  [PROPERTY_STATUS.SOLD]: [],
+  [PROPERTY_STATUS.RENTED]: [PROPERTY_STATUS.AVAILABLE, PROPERTY_STATUS.OFF_MARKET],
+  [PROPERTY_STATUS.OFF_MARKET]: [PROPERTY_STATUS.AVAILABLE],
+};
+
+// Property history entries
+const PROPERTY_HISTORY_TYPES = {
+  CREATED: 'created',
+  PRICE_CHANGE: 'price_change',
+  STATUS_CHANGE: 'status_change',
+};
+
+// Events emitted by propertyHistoryService
+const PROPERTY_EVENTS = {
+  PRICE_REDUCED: 'price_reduced',
+  STATUS_CHANGED: 'status_changed',
+};
+
 // Follow-up types
 const FOLLOW_UP_TYPES = {
   CALL: 'call',
@@ -76,24 +156,214 @@ const FOLLOW_UP_PRIORITIES = {
   URGENT: 'urgent',
 };
 
+// Follow-up statuses (overdue is derived from pending follow-ups past their due date)
+const FOLLOW_UP_STATUS = {
+  PENDING: 'pending',
+  OVERDUE: 'overdue',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Follow-up recurrence frequencies
+const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+};
+
+// Appointment types
+const APPOINTMENT_TYPES = {
+  PROPERTY_VISIT: 'property_visit',
+  MEETING: 'meeting',
+};
+
+// Appointment statuses
+const APPOINTMENT_STATUS = {
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show',
+};
+
+// Outcome of a completed appointment
+const APPOINTMENT_OUTCOMES = {
+  INTERESTED: 'interested',
+  NOT_INTERESTED: 'not_interested',
+  OFFER_EXPECTED: 'offer_expected',
+  SECOND_VISIT: 'second_visit',
+  UNDECIDED: 'undecided',
+};
+
+// Workflow automation triggers
+const WORKFLOW_TRIGGERS = {
+  NEW_LEAD: 'new_lead',
+  LEAD_UPDATED: 'lead_updated',
+  PROPERTY_VIEWED: 'property_viewed',
+  NO_RESPONSE: 'no_response',
+  MANUAL: 'manual',
+};
+
+// Workflow automation actions
+const WORKFLOW_ACTIONS = {
+  SEND_WHATSAPP: 'send_whatsapp',
+  SEND_EMAIL: 'send_email',
+  REASSIGN: 'reassign',
+  CHANGE_STATUS: 'change_status',
+  ADD_TAG: 'add_tag',
+  CREATE_FOLLOW_UP: 'create_follow_up',
+};
+
+// Workflow run outcomes
+const WORKFLOW_RUN_STATUS = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+// Lead import job status
+const IMPORT_JOB_STATUS = {
+  UPLOADED: 'uploaded',
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+// Property alert delivery status
+const PROPERTY_ALERT_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+// Delivery status of messages exchanged with leads, in the order they progress
+const MESSAGE_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+  RECEIVED: 'received',
+};
+
+// Jobs of the outbound message queue; dead jobs ran out of attempts (dead-letter),
+// cancelled ones were withdrawn before being sent (cancelled campaign)
+const OUTBOUND_MESSAGE_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  RETRYING: 'retrying',
+  SENT: 'sent',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled',
+};
+
+// Consent of a lead per channel. communication_preferences holds the current
+// state (a missing channel is allowed), lead_consents the history with its proof
+const CONSENT_CHANNELS = ['email', 'whatsapp', 'sms', 'phone'];
+
+const CONSENT_STATUS = {
+  GRANTED: 'granted',
+  WITHDRAWN: 'withdrawn',
+};
+
+const CONSENT_SOURCES = {
+  WEB_FORM: 'web_form',
+  IMPORT: 'import',
+  MANUAL: 'manual',
+  PHONE_CALL: 'phone_call',
+  EMAIL: 'email',
+  WHATSAPP_KEYWORD: 'whatsapp_keyword',
+  UNSUBSCRIBE_LINK: 'unsubscribe_link',
+  ERASURE: 'erasure',
+};
+
+// Campaigns: drafts are edited, scheduled ones are started by the scheduler,
+// sending ones have their recipients being queued
+const CAMPAIGN_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  CANCELLED: 'cancelled',
+};
+
+// Default lead scoring weights (points per factor, total capped at 100).
+// Agencies can override any part of it from the scoring settings.
+const DEFAULT_LEAD_SCORING = {
+  hotThreshold: 80,
+  contact: { email: 15, phone: 15 },
+  sources: {
+    referral: 15,
+    website: 10,
+    walk_in: 10,
+    phone_call: 10,
+    social_media: 5,
+    email_campaign: 5,
+    other: 5,
+  },
+  budgetBands: [
+    { min: 0, max: 150000, points: 5 },
+    { min: 150000, max: 400000, points: 10 },
+    { min: 400000, max: null, points: 15 },
+  ],
+  propertyTypes: {
+    villa: 10,
+    penthouse: 10,
+    house: 8,
+    townhouse: 8,
+    apartment: 5,
+    condo: 5,
+    studio: 3,
+    commercial: 5,
+    land: 3,
+    other: 2,
+  },
+  engagement: { pointsPerActivity: 3, maxPoints: 15, windowDays: 30 },
+  responseSpeed: [
+    { withinMinutes: 60, points: 15 },
+    { withinMinutes: 24 * 60, points: 10 },
+    { withinMinutes: 72 * 60, points: 5 },
+  ],
+  recency: [
+    { withinDays: 1, points: 10 },
+    { withinDays: 7, points: 5 },
+  ],
+};
+
 // Activity types
 const ACTIVITY_TYPES = {
   LEAD_CREATED: 'lead_created',
   LEAD_UPDATED: 'lead_updated',
   LEAD_ASSIGNED: 'lead_assigned',
   LEAD_STATUS_CHANGED: 'lead_status_changed',
+  LEAD_DELETED: 'lead_deleted',
+  LEAD_MERGED: 'lead_merged',
+  LEAD_IMPORTED: 'lead_imported',
+  PROPERTY_LINKED: 'property_linked',
+  PROPERTY_UNLINKED: 'property_unlinked',
   PROPERTY_CREATED: 'property_created',
   PROPERTY_UPDATED: 'property_updated',
   FOLLOW_UP_CREATED: 'follow_up_created',
   FOLLOW_UP_COMPLETED: 'follow_up_completed',
   EMAIL_SENT: 'email_sent',
+  EMAIL_OPENED: 'email_opened',
+  EMAIL_CLICKED: 'email_clicked',
+  EMAIL_BOUNCED: 'email_bounced',
   WHATSAPP_SENT: 'whatsapp_sent',
+  WHATSAPP_RECEIVED: 'whatsapp_received',
   CALL_MADE: 'call_made',
   MEETING_SCHEDULED: 'meeting_scheduled',
+  MEETING_RESCHEDULED: 'meeting_rescheduled',
+  MEETING_CANCELLED: 'meeting_cancelled',
+  MEETING_COMPLETED: 'meeting_completed',
   DOCUMENT_UPLOADED: 'document_uploaded',
   NOTE_ADDED: 'note_added',
   USER_LOGIN: 'user_login',
   USER_LOGOUT: 'user_logout',
+  LEAD_UNSUBSCRIBED: 'lead_unsubscribed',
+  CONSENT_UPDATED: 'consent_updated',
+  PERSONAL_DATA_ERASED: 'personal_data_erased',
 };
 
 // Integration types
@@ -127,6 +397,13 @@ const FILE_SIZE_LIMITS = {
   IMAGE: 5 * 1024 * 1024, // 5MB
   DOCUMENT: 10 * 1024 * 1024, // 10MB
   AVATAR: 2 * 1024 * 1024, // 2MB
+  SPREADSHEET: 10 * 1024 * 1024, // 10MB
+};
+
+// Property media (gallery images and documents such as floor plans or diagnostics)
+const PROPERTY_MEDIA_KINDS = {
+  IMAGE: 'image',
+  DOCUMENT: 'document',
 };
 
 // API rate limits
@@ -143,6 +420,21 @@ const RATE_LIMITS = {
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 50, // limit each IP to 50 email requests per hour
   },
+  PUBLIC_API: {
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // limit each IP to 60 public listing requests per minute
+  },
+  PUBLIC_LEADS: {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 website enquiries per hour
+  },
+};
+
+// Syndication feed formats of the public listing API
+const PUBLIC_FEED_FORMATS = {
+  JSON: 'json',
+  KYERO: 'kyero',
+  TROVIT: 'trovit',
 };
 
 // Pagination defaults
@@ -191,6 +483,7 @@ const TIMEZONES = {
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
@@ -198,6 +491,7 @@ const HTTP_STATUS = {
   NOT_FOUND: 404,
   CONFLICT: 409,
   UNPROCESSABLE_ENTITY: 422,
+  LOCKED: 423,
   TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503,
@@ -223,31 +517,69 @@ const EMAIL_TEMPLATES = {
   FOLLOW_UP_REMINDER: 'follow_up_reminder',
   PROPERTY_ALERT: 'property_alert',
   SYSTEM_NOTIFICATION: 'system_notification',
+  EMAIL_VERIFICATION: 'email_verification',
+  MANAGER_INVITATION: 'manager_invitation',
+  AGENT_INVITATION: 'agent_invitation',
+  SETUP_REMINDER: 'setup_reminder',
+  ACCOUNT_CREATED: 'account_created',
+  CAMPAIGN_MESSAGE: 'campaign_message',
+  APPOINTMENT_CONFIRMATION: 'appointment_confirmation',
+  APPOINTMENT_REMINDER: 'appointment_reminder',
+  PROPERTY_BROCHURE: 'property_brochure',
 };
 
 // WhatsApp message templates
 const WHATSAPP_TEMPLATES = {
   PROPERTY_DETAILS: 'property_details',
   APPOINTMENT_CONFIRMATION: 'appointment_confirmation',
+  APPOINTMENT_REMINDER: 'appointment_reminder',
   FOLLOW_UP_MESSAGE: 'follow_up_message',
+  FOLLOW_UP_REMINDER: 'follow_up_reminder',
+  PROPERTY_ALERT: 'property_alert',
   WELCOME_MESSAGE: 'welcome_message',
+  CAMPAIGN_MESSAGE: 'campaign_message',
+  PROPERTY_BROCHURE: 'property_brochure',
 };
 
 module.exports = {
   USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
   LEAD_STATUS,
   LEAD_SOURCES,
   PROPERTY_TYPES,
   PROPERTY_STATUS,
   TRANSACTION_TYPES,
+  PROPERTY_STATUS_TRANSITIONS,
+  PROPERTY_HISTORY_TYPES,
+  PROPERTY_EVENTS,
   FOLLOW_UP_TYPES,
   FOLLOW_UP_PRIORITIES,
+  FOLLOW_UP_STATUS,
+  RECURRENCE_FREQUENCIES,
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUS,
+  APPOINTMENT_OUTCOMES,
+  WORKFLOW_TRIGGERS,
+  WORKFLOW_ACTIONS,
+  WORKFLOW_RUN_STATUS,
+  IMPORT_JOB_STATUS,
+  PROPERTY_ALERT_STATUS,
+  MESSAGE_STATUS,
+  OUTBOUND_MESSAGE_STATUS,
+  CAMPAIGN_STATUS,
+  CONSENT_CHANNELS,
+  CONSENT_STATUS,
+  CONSENT_SOURCES,
+  DEFAULT_LEAD_SCORING,
   ACTIVITY_TYPES,
   INTEGRATION_TYPES,
   NOTIFICATION_TYPES,
   ALLOWED_FILE_TYPES,
   FILE_SIZE_LIMITS,
+  PROPERTY_MEDIA_KINDS,
   RATE_LIMITS,
+  PUBLIC_FEED_FORMATS,
   PAGINATION,
   DATE_FORMATS,
   SUPPORTED_LANGUAGES,
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_LEAD_SCORING } = require('./constants');
 
 /**
  * Generate a random string
@@ -166,76 +167,113 @@ const generateSlug = (text) => {
 };
 
 /**
- * Calculate lead score based on criteria
- * @param {object} lead - Lead data
- * @returns {number} Lead score (0-100)
+ * Calculate a lead score with the reasons behind it
+ * @param {object} lead - Lead data: email, phone, source, budget, createdAt and the
+ *   engagement signals propertyTypes (or propertyType), activityCount, firstResponseMinutes
+ * @param {object} weights - Scoring weights (see DEFAULT_LEAD_SCORING)
+ * @returns {object} { score (0-100), hot, breakdown: [{ factor, points, maxPoints, reason }] }
  */
-const calculateLeadScore = (lead) => {
-  let score = 0;
+const explainLeadScore = (lead, weights = DEFAULT_LEAD_SCORING) => {
+  const breakdown = [];
+  const add = (factor, points, maxPoints, reason) => {
+    breakdown.push({ factor, points, maxPoints, reason });
+  };
+  const maxOf = (values) => Math.max(0, ...values);
 
-  // Email provided
+  // Contact completeness
+  const contact = weights.contact || {};
+  const contactReasons = [];
+  let contactPoints = 0;
   if (lead.email && isValidEmail(lead.email)) {
-    score += 20;
+    contactPoints += contact.email || 0;
+    contactReasons.push('email');
   }
-
-  // Phone provided
   if (lead.phone && isValidPhone(lead.phone)) {
-    score += 20;
+    contactPoints += contact.phone || 0;
+    contactReasons.push('phone');
   }
+  add('contact', contactPoints, (contact.email || 0) + (contact.phone || 0),
+    contactReasons.length ? `Has ${contactReasons.join(' and ')}` : 'No valid email or phone');
 
-  // Budget specified
-  if (lead.budget && lead.budget > 0) {
-    score += 15;
-  }
+  // Source quality
+  const sources = weights.sources || {};
+  const source = (lead.source || '').toLowerCase();
+  const sourcePoints = source ? (sources[source] !== undefined ? sources[source] : sources.other || 0) : 0;
+  add('source', sourcePoints, maxOf(Object.values(sources)),
+    source ? `Source: ${source}` : 'No source');
 
-  // Property type specified
-  if (lead.propertyType) {
-    score += 10;
-  }
+  // Budget band
+  const bands = weights.budgetBands || [];
+  const budget = parseFloat(lead.budget);
+  const band = budget > 0
+    ? bands.find(candidate => budget >= (candidate.min || 0) && (candidate.max === null || candidate.max === undefined || budget < candidate.max))
+    : null;
+  add('budget', band ? band.points : 0, maxOf(bands.map(candidate => candidate.points)),
+    budget > 0 ? `Budget ${budget}${band ? '' : ' outside the configured bands'}` : 'No budget');
 
-  // Location specified
-  if (lead.location) {
-    score += 10;
-  }
+  // Property type of interest (best of the linked properties)
+  const propertyTypes = weights.propertyTypes || {};
+  const types = (lead.propertyTypes || (lead.propertyType ? [lead.propertyType] : []))
+    .map(type => String(type).toLowerCase());
+  const bestType = types.reduce((best, type) => (
+    (propertyTypes[type] || 0) > (propertyTypes[best] || 0) ? type : best
+  ), types[0]);
+  add('propertyType', bestType ? propertyTypes[bestType] || 0 : 0, maxOf(Object.values(propertyTypes)),
+    bestType ? `Interested in ${bestType}` : 'No property of interest');
 
-  // Source quality
-  if (lead.source) {
-    switch (lead.source.toLowerCase()) {
-      case 'referral':
-        score += 15;
-        break;
-      case 'website':
-        score += 10;
-        break;
-      case 'social_media':
-        score += 5;
-        break;
-      default:
-        score += 5;
-    }
-  }
+  // Engagement: recent activities on the lead
+  const engagement = weights.engagement || {};
+  const activityCount = lead.activityCount || 0;
+  add('engagement',
+    Math.min(activityCount * (engagement.pointsPerActivity || 0), engagement.maxPoints || 0),
+    engagement.maxPoints || 0,
+    `${activityCount} activit${activityCount === 1 ? 'y' : 'ies'} in the last ${engagement.windowDays || 30} days`);
 
-  // Recent activity
+  // Response speed: time from creation to the first contact
+  const speeds = [...(weights.responseSpeed || [])].sort((a, b) => a.withinMinutes - b.withinMinutes);
+  const minutes = lead.firstResponseMinutes;
+  const speed = minutes !== null && minutes !== undefined
+    ? speeds.find(candidate => minutes <= candidate.withinMinutes)
+    : null;
+  add('responseSpeed', speed ? speed.points : 0, maxOf(speeds.map(candidate => candidate.points)),
+    minutes !== null && minutes !== undefined ? `First contact after ${Math.round(minutes)} minutes` : 'Not contacted yet');
+
+  // Recency
+  const recency = [...(weights.recency || [])].sort((a, b) => a.withinDays - b.withinDays);
   const daysSinceCreated = Math.floor(
     (new Date() - new Date(lead.createdAt)) / (1000 * 60 * 60 * 24)
   );
-  if (daysSinceCreated <= 1) {
-    score += 10;
-  } else if (daysSinceCreated <= 7) {
-    score += 5;
-  }
+  const recent = recency.find(candidate => daysSinceCreated <= candidate.withinDays);
+  add('recency', recent ? recent.points : 0, maxOf(recency.map(candidate => candidate.points)),
+    `Created ${daysSinceCreated} day${daysSinceCreated === 1 ? '' : 's'} ago`);
+
+  const score = Math.max(0, Math.min(breakdown.reduce((sum, item) => sum + item.points, 0), 100));
+  return {
+    score,
+    hot: score >= (weights.hotThreshold || DEFAULT_LEAD_SCORING.hotThreshold),
+    breakdown
+  };
+};
 
-  return Math.min(score, 100);
+/**
+ * Calculate lead score based on criteria
+ * @param {object} lead - Lead data
+ * @param {object} weights - Scoring weights (see DEFAULT_LEAD_SCORING)
+ * @returns {number} Lead score (0-100)
+ */
+const calculateLeadScore = (lead, weights = DEFAULT_LEAD_SCORING) => {
+  return explainLeadScore(lead, weights).score;
 };
 
 /**
  * Format currency
  * @param {number} amount - Amount to format
  * @param {string} currency - Currency code
+ * @param {string} locale - Locale of the separators and symbol position (fr-FR: 350 000,00 €)
  * @returns {string} Formatted currency
  */
-const formatCurrency = (amount, currency = 'USD') => {
-  return new Intl.NumberFormat('en-US', {
+const formatCurrency = (amount, currency = 'USD', locale = 'en-US') => {
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
   }).format(amount);
@@ -280,6 +318,7 @@ module.exports = {
   sanitizeString,
   generateSlug,
   calculateLeadScore,
+  explainLeadScore,
   formatCurrency,
   getTimeAgo,
 };
@@ -0,0 +1,344 @@
+const { PAGINATION } = require('./constants');
+
+// Sortable fields exposed to the API, mapped to null-safe SQL expressions so
+// they can also be used for keyset (cursor) comparisons
+const SORTABLE_FIELDS = {
+  name: "LOWER(TRIM(COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')))",
+  email: "LOWER(COALESCE(email, ''))",
+  status: "COALESCE(status, '')",
+  source: "LOWER(COALESCE(source, ''))",
+  budget: 'COALESCE(budget, 0)',
+  score: 'COALESCE(score, 0)',
+  assignedTo: "COALESCE(assigned_to, '')",
+  language: "COALESCE(language, '')",
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+// snake_case aliases accepted for compatibility with raw column names
+const SORT_ALIASES = {
+  assigned_to: 'assignedTo',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt',
+};
+
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Error raised for invalid list query parameters
+ */
+class LeadQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeadQueryError';
+  }
+}
+
+/**
+ * Split a comma separated (or repeated) query parameter into a list
+ * @param {string|Array} value - Raw query value
+ * @returns {Array} Non-empty trimmed values
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Parse a numeric query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new LeadQueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {Date|null} Parsed date
+ */
+const toDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new LeadQueryError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Parse an inclusive upper date bound. A date without a time ("2024-03-31") covers
+ * that whole day, so it is returned as the start of the next day (exclusive)
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {{date: Date, exclusive: boolean}|null} Parsed bound
+ */
+const toEndDate = (value, name) => {
+  const date = toDate(value, name);
+  if (!date) return null;
+  if (!DATE_ONLY.test(String(value).trim())) {
+    return { date, exclusive: false };
+  }
+  const nextDay = new Date(date);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+  return { date: nextDay, exclusive: true };
+};
+
+/**
+ * Parse the sort parameter ("-createdAt,name") into sort clauses
+ * @param {string} sort - Raw sort parameter
+ * @returns {Array} List of { field, expression, direction }
+ */
+const parseSort = (sort = DEFAULT_SORT) => {
+  const fields = toList(sort || DEFAULT_SORT);
+  const seen = new Set();
+
+  const clauses = fields.map((item) => {
+    const descending = item.startsWith('-');
+    const rawField = item.replace(/^[-+]/, '');
+    const field = SORT_ALIASES[rawField] || rawField;
+
+    if (!SORTABLE_FIELDS[field]) {
+      throw new LeadQueryError(
+        `Cannot sort by "${rawField}". Allowed fields: ${Object.keys(SORTABLE_FIELDS).join(', ')}`
+      );
+    }
+    if (seen.has(field)) {
+      throw new LeadQueryError(`Duplicate sort field "${rawField}"`);
+    }
+    seen.add(field);
+
+    return {
+      field,
+      expression: SORTABLE_FIELDS[field],
+      direction: descending ? 'DESC' : 'ASC',
+    };
+  });
+
+  // Always finish with the primary key so ordering (and cursors) are stable
+  clauses.push({ field: 'id', expression: 'id', direction: 'ASC' });
+
+  return clauses;
+};
+
+/**
+ * Serialize sort clauses back to their canonical query string form
+ * @param {Array} clauses - Sort clauses from parseSort
+ * @returns {string} Canonical sort string
+ */
+const sortToString = (clauses) => {
+  return clauses
+    .filter(clause => clause.field !== 'id')
+    .map(clause => `${clause.direction === 'DESC' ? '-' : ''}${clause.field}`)
+    .join(',');
+};
+
+/**
+ * Encode an opaque pagination cursor
+ * @param {string} sort - Canonical sort string the cursor belongs to
+ * @param {Array} values - Sort values of the last row returned
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (sort, values) => {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor and check it matches the requested sort
+ * @param {string} cursor - Base64url cursor
+ * @param {Array} clauses - Sort clauses of the current request
+ * @returns {Array} Sort values to continue after
+ */
+const decodeCursor = (cursor, clauses) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new LeadQueryError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || decoded.v.length !== clauses.length) {
+    throw new LeadQueryError('Invalid cursor');
+  }
+  if (decoded.s !== sortToString(clauses)) {
+    throw new LeadQueryError('Cursor does not match the requested sort order');
+  }
+
+  return decoded.v;
+};
+
+/**
+ * Parse GET /api/leads query parameters into a normalized list query
+ * @param {object} query - Express req.query
+ * @returns {object} Normalized filters, sort and pagination settings
+ */
+const parseLeadListQuery = (query = {}) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1),
+    PAGINATION.MAX_LIMIT
+  );
+  const page = Math.max(parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+  const sort = parseSort(query.sort);
+
+  const filters = {
+    status: toList(query.status),
+    source: toList(query.source).map(s => s.toLowerCase()),
+    assignedTo: toList(query.assignedTo || query.assigned_to),
+    language: toList(query.language),
+    budgetMin: toNumber(query.budgetMin, 'budgetMin'),
+    budgetMax: toNumber(query.budgetMax, 'budgetMax'),
+    scoreMin: toNumber(query.scoreMin, 'scoreMin'),
+    createdFrom: toDate(query.createdFrom, 'createdFrom'),
+    createdTo: toEndDate(query.createdTo, 'createdTo'),
+    search: query.search ? String(query.search).trim() : '',
+  };
+
+  if (filters.budgetMin !== null && filters.budgetMax !== null && filters.budgetMin > filters.budgetMax) {
+    throw new LeadQueryError('budgetMin cannot be greater than budgetMax');
+  }
+  const { createdFrom, createdTo } = filters;
+  if (createdFrom && createdTo && (createdTo.exclusive ? createdFrom >= createdTo.date : createdFrom > createdTo.date)) {
+    throw new LeadQueryError('createdFrom cannot be after createdTo');
+  }
+
+  return {
+    filters,
+    sort,
+    limit,
+    page,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+  };
+};
+
+/**
+ * Build the WHERE conditions for lead filters
+ * @param {object} filters - Filters from parseLeadListQuery
+ * @param {Array} params - Query parameter array (values are appended)
+ * @returns {Array} SQL conditions to be joined with AND
+ */
+const buildLeadFilterConditions = (filters, params) => {
+  const conditions = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.status && filters.status.length) {
+    conditions.push(`status = ANY(${addParam(filters.status)})`);
+  }
+
+  if (filters.source && filters.source.length) {
+    conditions.push(`LOWER(TRIM(source)) = ANY(${addParam(filters.source)})`);
+  }
+
+  if (filters.assignedTo && filters.assignedTo.length) {
+    const agents = filters.assignedTo.filter(agent => agent !== 'unassigned');
+    const agentConditions = [];
+    if (agents.length) {
+      agentConditions.push(`assigned_to = ANY(${addParam(agents)})`);
+    }
+    if (agents.length !== filters.assignedTo.length) {
+      agentConditions.push("(assigned_to IS NULL OR assigned_to = '')");
+    }
+    conditions.push(`(${agentConditions.join(' OR ')})`);
+  }
+
+  if (filters.language && filters.language.length) {
+    conditions.push(`language = ANY(${addParam(filters.language)})`);
+  }
+
+  if (filters.budgetMin !== null && filters.budgetMin !== undefined) {
+    conditions.push(`budget >= ${addParam(filters.budgetMin)}`);
+  }
+
+  if (filters.budgetMax !== null && filters.budgetMax !== undefined) {
+    conditions.push(`budget <= ${addParam(filters.budgetMax)}`);
+  }
+
+  if (filters.scoreMin !== null && filters.scoreMin !== undefined) {
+    conditions.push(`score >= ${addParam(filters.scoreMin)}`);
+  }
+
+  if (filters.createdFrom) {
+    conditions.push(`created_at >= ${addParam(filters.createdFrom.toISOString())}`);
+  }
+
+  if (filters.createdTo) {
+    const operator = filters.createdTo.exclusive ? '<' : '<=';
+    conditions.push(`created_at ${operator} ${addParam(filters.createdTo.date.toISOString())}`);
+  }
+
+  if (filters.search) {
+    const term = addParam(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(
+      (COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')) ILIKE ${term}
+      OR email ILIKE ${term}
+      OR phone ILIKE ${term}
+      OR notes ILIKE ${term}
+    )`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Build the keyset condition that selects rows after a cursor position
+ * @param {Array} clauses - Sort clauses from parseSort
+ * @param {Array} values - Cursor values (one per clause)
+ * @param {Array} params - Query parameter array (values are appended)
+ * @returns {string} SQL condition
+ */
+const buildCursorCondition = (clauses, values, params) => {
+  const placeholders = values.map((value) => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+
+  // (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND c > z) ...
+  const branches = clauses.map((clause, index) => {
+    const operator = clause.direction === 'DESC' ? '<' : '>';
+    const equalities = clauses
+      .slice(0, index)
+      .map((previous, i) => `${previous.expression} = ${placeholders[i]}`);
+    return [...equalities, `${clause.expression} ${operator} ${placeholders[index]}`].join(' AND ');
+  });
+
+  return `(${branches.map(branch => `(${branch})`).join(' OR ')})`;
+};
+
+/**
+ * Build the ORDER BY clause and the sort value columns used for cursors
+ * @param {Array} clauses - Sort clauses from parseSort
+ * @returns {object} { orderBy, sortColumns }
+ */
+const buildLeadOrder = (clauses) => {
+  return {
+    orderBy: clauses.map(clause => `${clause.expression} ${clause.direction}`).join(', '),
+    // Selected as text so cursor values round-trip without timezone/precision loss
+    sortColumns: clauses.map((clause, index) => `(${clause.expression})::text AS sort_${index}`).join(', '),
+  };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_SORT,
+  LeadQueryError,
+  parseLeadListQuery,
+  buildLeadFilterConditions,
+  buildCursorCondition,
+  buildLeadOrder,
+  sortToString,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,397 @@
+const { PAGINATION, PROPERTY_STATUS, PROPERTY_TYPES, TRANSACTION_TYPES } = require('./constants');
+
+// Properties created from the frontend fill surface, older rows only have area
+const AREA_EXPRESSION = 'COALESCE(NULLIF(surface, 0), area)';
+
+// Text searched by the search parameter. The GIN index on properties is built on
+// this exact expression, so it must not change without recreating the index
+const SEARCH_VECTOR = "to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(description, '') || ' ' || COALESCE(address, '') || ' ' || COALESCE(city, '') || ' ' || COALESCE(location, ''))";
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+const MAX_RADIUS_KM = 500;
+
+// Sortable fields exposed to the API. distance and relevance are computed columns,
+// only available with a point (lat/lng) and a search term respectively
+const SORTABLE_FIELDS = {
+  price: 'price',
+  area: AREA_EXPRESSION,
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  title: 'LOWER(title)',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  distance: 'distance_km',
+  relevance: 'search_rank',
+};
+
+// snake_case aliases accepted for compatibility with raw column names
+const SORT_ALIASES = {
+  surface: 'area',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt',
+};
+
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Error raised for invalid property search parameters
+ */
+class PropertyQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PropertyQueryError';
+  }
+}
+
+/**
+ * Split a comma separated (or repeated) query parameter into a list
+ * @param {string|Array} value - Raw query value
+ * @returns {Array} Non-empty trimmed values
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+/**
+ * Parse a numeric query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @returns {number|null} Parsed number
+ */
+const toNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new PropertyQueryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+/**
+ * Parse a list parameter whose values must belong to a constant
+ * @param {string|Array} value - Raw query value
+ * @param {string} name - Parameter name (for error messages)
+ * @param {object} allowed - Constant object (PROPERTY_TYPES, ...)
+ * @returns {Array} Lowercased values
+ */
+const toEnumList = (value, name, allowed) => {
+  const values = toList(value).map(v => v.toLowerCase());
+  const invalid = values.filter(v => !Object.values(allowed).includes(v));
+  if (invalid.length) {
+    throw new PropertyQueryError(`Invalid ${name} "${invalid.join(', ')}". Allowed values: ${Object.values(allowed).join(', ')}`);
+  }
+  return values;
+};
+
+/**
+ * Parse a min/max pair, checking the range is not inverted
+ * @returns {Array} [min, max]
+ */
+const toRange = (query, name) => {
+  const min = toNumber(query[`${name}Min`], `${name}Min`);
+  const max = toNumber(query[`${name}Max`], `${name}Max`);
+  if (min !== null && max !== null && min > max) {
+    throw new PropertyQueryError(`${name}Min cannot be greater than ${name}Max`);
+  }
+  return [min, max];
+};
+
+/**
+ * Check a latitude/longitude pair: both or neither must be given
+ * @param {*} latitude - Latitude in degrees (-90 to 90)
+ * @param {*} longitude - Longitude in degrees (-180 to 180)
+ * @param {string} names - Parameter names (for error messages)
+ * @returns {object|null} { latitude, longitude }
+ */
+const parseCoordinates = (latitude, longitude, names = ['latitude', 'longitude']) => {
+  const lat = toNumber(latitude, names[0]);
+  const lng = toNumber(longitude, names[1]);
+  if (lat === null && lng === null) return null;
+  if (lat === null || lng === null) {
+    throw new PropertyQueryError(`${names[0]} and ${names[1]} must be given together`);
+  }
+  if (lat < -90 || lat > 90) {
+    throw new PropertyQueryError(`${names[0]} must be between -90 and 90`);
+  }
+  if (lng < -180 || lng > 180) {
+    throw new PropertyQueryError(`${names[1]} must be between -180 and 180`);
+  }
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Read the searchable fields of a property create/update body
+ * @param {object} data - Request body (transactionType, latitude, longitude)
+ * @returns {object} { transactionType, coordinates } - null when not given
+ */
+const parsePropertyFields = (data = {}) => {
+  const transactionType = data.transactionType || data.transaction_type || null;
+  if (transactionType && !Object.values(TRANSACTION_TYPES).includes(transactionType)) {
+    throw new PropertyQueryError(`transactionType must be one of: ${Object.values(TRANSACTION_TYPES).join(', ')}`);
+  }
+  return {
+    transactionType,
+    coordinates: parseCoordinates(data.latitude, data.longitude),
+  };
+};
+
+/**
+ * Parse a bounding box "minLng,minLat,maxLng,maxLat" (west, south, east, north).
+ * West may be greater than east for boxes crossing the antimeridian
+ * @param {string} value - Raw query value
+ * @returns {object|null} { west, south, east, north }
+ */
+const parseBoundingBox = (value) => {
+  if (!value) return null;
+  const parts = toList(value).map(part => Number(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new PropertyQueryError('bbox must be "minLng,minLat,maxLng,maxLat"');
+  }
+
+  const [west, south, east, north] = parts;
+  if (south < -90 || north > 90 || south > north) {
+    throw new PropertyQueryError('bbox latitudes must be between -90 and 90, south first');
+  }
+  if ([west, east].some(lng => lng < -180 || lng > 180)) {
+    throw new PropertyQueryError('bbox longitudes must be between -180 and 180');
+  }
+  return { west, south, east, north };
+};
+
+/**
+ * Turn a search phrase into a prefix tsquery ("sea vil" -> "sea:* & vil:*").
+ * Only letters and digits are kept so user input never breaks the query syntax
+ * @param {string} search - Raw search phrase
+ * @returns {string} tsquery text, empty when nothing is searchable
+ */
+const toSearchQuery = (search) => {
+  const terms = String(search).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, 10).map(term => `${term}:*`).join(' & ');
+};
+
+/**
+ * Parse the sort parameter ("-price,area") into sort clauses
+ * @param {string} sort - Raw sort parameter
+ * @param {object} filters - Parsed filters (distance and relevance depend on them)
+ * @returns {Array} List of { field, expression, direction }
+ */
+const parseSort = (sort, filters) => {
+  const fallback = filters.search ? '-relevance' : filters.point ? 'distance' : DEFAULT_SORT;
+  const fields = toList(sort || fallback);
+  const seen = new Set();
+
+  const clauses = fields.map((item) => {
+    const descending = item.startsWith('-');
+    const rawField = item.replace(/^[-+]/, '');
+    const field = SORT_ALIASES[rawField] || rawField;
+
+    if (!SORTABLE_FIELDS[field]) {
+      throw new PropertyQueryError(
+        `Cannot sort by "${rawField}". Allowed fields: ${Object.keys(SORTABLE_FIELDS).join(', ')}`
+      );
+    }
+    if (field === 'distance' && !filters.point) {
+      throw new PropertyQueryError('Sorting by distance requires lat and lng');
+    }
+    if (field === 'relevance' && !filters.search) {
+      throw new PropertyQueryError('Sorting by relevance requires search');
+    }
+    if (seen.has(field)) {
+      throw new PropertyQueryError(`Duplicate sort field "${rawField}"`);
+    }
+    seen.add(field);
+
+    return {
+      field,
+      expression: SORTABLE_FIELDS[field],
+      direction: descending ? 'DESC' : 'ASC',
+    };
+  });
+
+  // Always finish with the primary key so ordering is stable across pages
+  clauses.push({ field: 'id', expression: 'id', direction: 'ASC' });
+
+  return clauses;
+};
+
+/**
+ * Serialize sort clauses back to their canonical query string form
+ * @param {Array} clauses - Sort clauses from parseSort
+ * @returns {string} Canonical sort string
+ */
+const sortToString = (clauses) => {
+  return clauses
+    .filter(clause => clause.field !== 'id')
+    .map(clause => `${clause.direction === 'DESC' ? '-' : ''}${clause.field}`)
+    .join(',');
+};
+
+/**
+ * Parse GET /api/properties query parameters into a normalized search
+ * @param {object} query - Express req.query
+ * @returns {object} Normalized filters, sort and pagination settings
+ */
+const parsePropertyListQuery = (query = {}) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT, 1),
+    PAGINATION.MAX_LIMIT
+  );
+  const page = Math.max(parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+
+  const [priceMin, priceMax] = toRange(query, 'price');
+  const [areaMin, areaMax] = toRange(query, 'area');
+  const [bedroomsMin, bedroomsMax] = toRange(query, 'bedrooms');
+  const [bathroomsMin, bathroomsMax] = toRange(query, 'bathrooms');
+
+  const filters = {
+    type: toEnumList(query.type, 'type', PROPERTY_TYPES),
+    status: toEnumList(query.status, 'status', PROPERTY_STATUS),
+    transactionType: toEnumList(query.transactionType || query.transaction_type, 'transactionType', TRANSACTION_TYPES),
+    city: toList(query.city).map(city => city.toLowerCase()),
+    priceMin,
+    priceMax,
+    areaMin,
+    areaMax,
+    bedroomsMin,
+    bedroomsMax,
+    bathroomsMin,
+    bathroomsMax,
+    search: query.search ? toSearchQuery(query.search) : '',
+    point: parseCoordinates(query.lat, query.lng, ['lat', 'lng']),
+    radiusKm: toNumber(query.radiusKm, 'radiusKm'),
+    bbox: parseBoundingBox(query.bbox),
+  };
+
+  if (filters.radiusKm !== null) {
+    if (!filters.point) {
+      throw new PropertyQueryError('radiusKm requires lat and lng');
+    }
+    if (filters.radiusKm <= 0 || filters.radiusKm > MAX_RADIUS_KM) {
+      throw new PropertyQueryError(`radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`);
+    }
+  }
+
+  return {
+    filters,
+    sort: parseSort(query.sort, filters),
+    limit,
+    page,
+  };
+};
+
+/**
+ * Great-circle distance in km from a point to the property (haversine)
+ * @param {Function} addParam - Appends a value and returns its placeholder
+ * @param {object} point - { latitude, longitude }
+ * @returns {string} SQL expression, NULL for properties without coordinates
+ */
+const distanceExpression = (addParam, point) => {
+  const lat = addParam(point.latitude);
+  const lng = addParam(point.longitude);
+  // LEAST guards against rounding just above 1; it ignores NULLs, hence the CASE
+  return `(CASE WHEN latitude IS NULL OR longitude IS NULL THEN NULL ELSE ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(LEAST(1,
+    POWER(SIN(RADIANS(latitude - ${lat}::float8) / 2), 2)
+    + COS(RADIANS(${lat}::float8)) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ${lng}::float8) / 2), 2)
+  ))) END)`;
+};
+
+/**
+ * Build the WHERE conditions and computed columns of a property search
+ * @param {object} filters - Filters from parsePropertyListQuery
+ * @param {Array} params - Query parameter array (values are appended)
+ * @returns {object} { conditions, columns } - conditions to join with AND, columns to select
+ */
+const buildPropertySearch = (filters, params) => {
+  const conditions = [];
+  const columns = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.type.length) {
+    conditions.push(`LOWER(type) = ANY(${addParam(filters.type)})`);
+  }
+
+  if (filters.status.length) {
+    conditions.push(`COALESCE(status, '${PROPERTY_STATUS.AVAILABLE}') = ANY(${addParam(filters.status)})`);
+  }
+
+  if (filters.transactionType.length) {
+    conditions.push(`transaction_type = ANY(${addParam(filters.transactionType)})`);
+  }
+
+  if (filters.city.length) {
+    conditions.push(`LOWER(TRIM(city)) = ANY(${addParam(filters.city)})`);
+  }
+
+  const ranges = [
+    ['price', 'priceMin', 'priceMax'],
+    [AREA_EXPRESSION, 'areaMin', 'areaMax'],
+    ['bedrooms', 'bedroomsMin', 'bedroomsMax'],
+    ['bathrooms', 'bathroomsMin', 'bathroomsMax'],
+  ];
+  ranges.forEach(([expression, min, max]) => {
+    if (filters[min] !== null) {
+      conditions.push(`${expression} >= ${addParam(filters[min])}`);
+    }
+    if (filters[max] !== null) {
+      conditions.push(`${expression} <= ${addParam(filters[max])}`);
+    }
+  });
+
+  if (filters.search) {
+    const query = `to_tsquery('simple', ${addParam(filters.search)})`;
+    conditions.push(`${SEARCH_VECTOR} @@ ${query}`);
+    columns.push(`ts_rank(${SEARCH_VECTOR}, ${query}) AS search_rank`);
+  }
+
+  if (filters.bbox) {
+    const { west, south, east, north } = filters.bbox;
+    conditions.push(`latitude BETWEEN ${addParam(south)} AND ${addParam(north)}`);
+    conditions.push(west <= east
+      ? `longitude BETWEEN ${addParam(west)} AND ${addParam(east)}`
+      : `(longitude >= ${addParam(west)} OR longitude <= ${addParam(east)})`);
+  }
+
+  if (filters.point) {
+    const distance = distanceExpression(addParam, filters.point);
+    columns.push(`${distance} AS distance_km`);
+
+    if (filters.radiusKm !== null) {
+      // Cheap latitude band first (index-friendly), then the exact distance
+      const latitudeDelta = filters.radiusKm / KM_PER_DEGREE_LATITUDE;
+      conditions.push(`latitude BETWEEN ${addParam(filters.point.latitude - latitudeDelta)} AND ${addParam(filters.point.latitude + latitudeDelta)}`);
+      conditions.push(`${distance} <= ${addParam(filters.radiusKm)}`);
+    }
+  }
+
+  return { conditions, columns };
+};
+
+/**
+ * Build the ORDER BY clause. Nullable fields (price, area...) sort last either way
+ * @param {Array} clauses - Sort clauses from parseSort
+ * @returns {string} ORDER BY expression list
+ */
+const buildPropertyOrder = (clauses) => {
+  return clauses
+    .map(clause => `${clause.expression} ${clause.direction} NULLS LAST`)
+    .join(', ');
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  DEFAULT_SORT,
+  SEARCH_VECTOR,
+  PropertyQueryError,
+  parsePropertyListQuery,
+  parseCoordinates,
+  parsePropertyFields,
+  buildPropertySearch,
+  buildPropertyOrder,
+  sortToString,
+};
@@ -37,6 +37,7 @@ import Layout from './components/Layout'
 import { LanguageProvider, useLanguage } from './contexts/LanguageContext'
 import { PermissionsProvider } from './contexts/PermissionsContext'
 import { ToastProvider } from './components/Toast'
+import { createApiFetch, tokenStorage } from './services/api'
 
 // API Configuration - Force correct backend URL
 const API_URL = 'https://leadestate-backend-9fih.onrender.com/api'
@@ -45,6 +46,9 @@ const API_URL = 'https://leadestate-backend-9fih.onrender.com/api'
 console.log('🔧 Environment VITE_API_URL:', import.meta.env.VITE_API_URL)
 console.log('🔧 Final API_URL:', API_URL)
 
+// API requests with the session's access token, refreshed when it expires
+export const apiFetch = createApiFetch(API_URL)
+
 // Auth Context
 const AuthContext = createContext()
 
@@ -67,6 +71,25 @@ export const useData = () => {
   return context
 }
 
+// The API returns leads a page at a time: follow its cursor so the dashboards,
+// charts and Kanban board get every lead the user can see
+const fetchAllLeads = async () => {
+  const leads = []
+  let cursor = null
+  do {
+    const params = new URLSearchParams({ limit: '100', sort: '-createdAt' })
+    if (cursor) params.set('cursor', cursor)
+    const response = await apiFetch(`/leads?${params}`)
+    if (!response.ok) {
+      throw new Error(`Failed to fetch leads, status: ${response.status}`)
+    }
+    const result = await response.json()
+    leads.push(...(result.data || []))
+    cursor = result.meta?.nextCursor || null
+  } while (cursor)
+  return leads
+}
+
 // Data Provider Component
 const DataProvider = ({ children }) => {
   const [leads, setLeads] = useState([])
@@ -76,39 +99,39 @@ const DataProvider = ({ children }) => {
 
   // Get language context for WhatsApp messages
   const { language } = useLanguage ? useLanguage() : { language: 'en' }
+  const { user } = useAuth()
 
-  // Fetch data from API on component mount
+  // Fetch data from API once the user is logged in
   useEffect(() => {
-    fetchAllData()
-  }, [])
+    if (user) {
+      fetchAllData()
+    }
+  }, [user])
 
   const fetchAllData = async () => {
     console.log('🔄 Fetching all data from API...')
     console.log('🌐 API_URL:', API_URL)
     setLoading(true)
     try {
-      const [leadsRes, propertiesRes, teamRes] = await Promise.all([
-        fetch(`${API_URL}/leads`).catch((err) => {
+      const [allLeads, propertiesRes, teamRes] = await Promise.all([
+        fetchAllLeads().catch((err) => {
           console.error('❌ Error fetching leads:', err)
-          return { ok: false }
+          return null
         }),
-        fetch(`${API_URL}/properties`).catch((err) => {
+        apiFetch(`/properties`).catch((err) => {
           console.error('❌ Error fetching properties:', err)
           return { ok: false }
         }),
-        fetch(`${API_URL}/team`).catch((err) => {
+        apiFetch(`/team`).catch((err) => {
           console.error('❌ Error fetching team:', err)
           return { ok: false }
         })
       ])
 
-      console.log('📊 Leads response status:', leadsRes.status, leadsRes.ok)
-      if (leadsRes.ok) {
-        const leadsData = await leadsRes.json()
-        console.log('✅ Leads data received:', leadsData)
-        setLeads(leadsData.data || [])
+      if (allLeads) {
+        console.log('✅ Leads data received:', allLeads.length)
+        setLeads(allLeads)
       } else {
-        console.warn('❌ Failed to fetch leads from API, status:', leadsRes.status)
         setLeads([])
       }
 
@@ -149,15 +172,14 @@ const DataProvider = ({ children }) => {
     if (!skipLoading) setLoading(true)
 
     try {
-      const [leadsRes, propertiesRes, teamRes] = await Promise.all([
-        fetch(`${API_URL}/leads`).catch(() => ({ ok: false })),
-        fetch(`${API_URL}/properties`).catch(() => ({ ok: false })),
-        fetch(`${API_URL}/team`).catch(() => ({ ok: false }))
+      const [allLeads, propertiesRes, teamRes] = await Promise.all([
+        fetchAllLeads().catch(() => null),
+        apiFetch(`/properties`).catch(() => ({ ok: false })),
+        apiFetch(`/team`).catch(() => ({ ok: false }))
       ])
 
-      if (leadsRes.ok) {
-        const leadsData = await leadsRes.json()
-        setLeads(leadsData.data || [])
+      if (allLeads) {
+        setLeads(allLeads)
       }
 
       if (propertiesRes.ok) {
@@ -180,7 +202,7 @@ const DataProvider = ({ children }) => {
 
   const addLead = async (leadData) => {
     try {
-      const response = await fetch(`${API_URL}/leads`, {
+      const response = await apiFetch(`/leads`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -201,8 +223,8 @@ const DataProvider = ({ children }) => {
 
         // Check if WhatsApp message was sent automatically
         if (result.whatsapp) {
-          if (result.whatsapp.success && result.whatsapp.method === 'twilio') {
-            console.log('📱 WhatsApp message sent automatically via Twilio!');
+          if (result.whatsapp.success && result.whatsapp.method === 'queued') {
+            console.log('📱 WhatsApp message queued for sending via Twilio!');
             // Could show a success notification here
           } else if (result.whatsapp.success && result.whatsapp.method === 'url_only') {
             console.log('📱 WhatsApp message prepared (Twilio not configured)');
@@ -225,7 +247,7 @@ const DataProvider = ({ children }) => {
 
   const sendWhatsAppWelcome = async (leadId) => {
     try {
-      const response = await fetch(`${API_URL}/whatsapp/welcome/${leadId}`, {
+      const response = await apiFetch(`/whatsapp/welcome/${leadId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -261,7 +283,7 @@ const DataProvider = ({ children }) => {
 
   const addProperty = async (propertyData) => {
     try {
-      const response = await fetch(`${API_URL}/properties`, {
+      const response = await apiFetch(`/properties`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -292,7 +314,7 @@ const DataProvider = ({ children }) => {
       console.log('🔄 Adding team member:', memberData)
       console.log('🌐 API URL:', `${API_URL}/team`)
 
-      const response = await fetch(`${API_URL}/team`, {
+      const response = await apiFetch(`/team`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -324,7 +346,7 @@ const DataProvider = ({ children }) => {
 
   const updateTeamMember = async (id, memberData) => {
     try {
-      const response = await fetch(`${API_URL}/team/${id}`, {
+      const response = await apiFetch(`/team/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -361,7 +383,7 @@ const DataProvider = ({ children }) => {
 
   const updateLead = async (id, leadData) => {
     try {
-      const response = await fetch(`${API_URL}/leads/${id}`, {
+      const response = await apiFetch(`/leads/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -396,7 +418,7 @@ const DataProvider = ({ children }) => {
 
   const updateProperty = async (id, propertyData) => {
     try {
-      const response = await fetch(`${API_URL}/properties/${id}`, {
+      const response = await apiFetch(`/properties/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -434,7 +456,7 @@ const DataProvider = ({ children }) => {
   const linkPropertyToLead = async (leadId, propertyId) => {
     console.log('🔗 Linking property:', { leadId, propertyId })
     try {
-      const response = await fetch(`${API_URL}/leads/${leadId}/link-property/${propertyId}`, {
+      const response = await apiFetch(`/leads/${leadId}/link-property/${propertyId}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -479,7 +501,7 @@ const DataProvider = ({ children }) => {
 
   const unlinkPropertyFromLead = async (leadId, propertyId) => {
     try {
-      const response = await fetch(`${API_URL}/leads/${leadId}/unlink-property/${propertyId}`, {
+      const response = await apiFetch(`/leads/${leadId}/unlink-property/${propertyId}`, {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
@@ -556,24 +578,21 @@ const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
 
+  // Restore the session of a stored token (an expired access token is refreshed)
   useEffect(() => {
-    let token = localStorage.getItem('token')
-
-    // If no token exists, create a demo token for development
-    if (!token) {
-      token = 'demo-token-' + Date.now()
-      localStorage.setItem('token', token)
+    if (!tokenStorage.getToken()) {
+      setLoading(false)
+      return
     }
 
-    // Create a demo user
-    setUser({
-      firstName: 'Demo User',
-      name: 'Demo User',
-      role: 'manager',
-      email: 'demo@agency.com'
-    })
-
-    setLoading(false)
+    apiFetch('/auth/me')
+      .then(async (response) => {
+        if (response.ok) {
+          setUser((await response.json()).user)
+        }
+      })
+      .catch((error) => console.error('Error restoring session:', error))
+      .finally(() => setLoading(false))
   }, [])
 
   const login = async (credentials) => {
@@ -589,8 +608,8 @@ const AuthProvider = ({ children }) => {
 
       const data = await response.json()
 
-      if (response.ok) {
-        localStorage.setItem('token', data.token)
+      if (response.ok && data.token) {
+        tokenStorage.setTokens(data)
         setUser(data.user)
         toast.success('Login successful!')
         return { success: true }
@@ -606,8 +625,14 @@ const AuthProvider = ({ children }) => {
     }
   }
 
-  const logout = () => {
-    localStorage.removeItem('token')
+  const logout = async () => {
+    // Close the session on the API so its tokens can no longer be used
+    await apiFetch('/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: tokenStorage.getRefreshToken() })
+    }).catch((error) => console.error('Error closing session:', error))
+    tokenStorage.clear()
     setUser(null)
     toast.success('Logged out successfully')
   }
@@ -785,7 +810,7 @@ function AppWithAuth() {
   console.log('AppWithAuth user:', user)
 
   return (
-    <PermissionsProvider userRole={user?.role || 'manager'}>
+    <PermissionsProvider userRole={user?.role} userId={user?.id}>
       <ToastProvider>
         <DataProvider>
           <Router>
@@ -1,7 +1,17 @@
 import { useState } from 'react'
-import { X, Home, DollarSign, MapPin, Upload, Image } from 'lucide-react'
+import { X, Home, DollarSign, MapPin, Upload, Image, FileText, ChevronLeft, ChevronRight, Star } from 'lucide-react'
+import { useData } from '../App'
+import { propertiesAPI } from '../services/api'
+
+// Same limits as the API, checked here to give feedback before uploading
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'txt']
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024
+const MAX_FILES_PER_UPLOAD = 10
 
 const AddPropertyModal = ({ isOpen, onClose, onSubmit }) => {
+  const { refreshData } = useData()
   const [formData, setFormData] = useState({
     title: '',
     type: 'apartment',
@@ -9,64 +19,101 @@ const AddPropertyModal = ({ isOpen, onClose, onSubmit }) => {
     address: '',
     city: '',
     surface: '',
-    description: '',
-    image_url: ''
+    description: ''
   })
 
-  const [selectedImage, setSelectedImage] = useState(null)
-  const [imagePreview, setImagePreview] = useState(null)
+  // Gallery in upload order: the first image becomes the cover
+  const [media, setMedia] = useState([])
+  const [mediaError, setMediaError] = useState('')
   const [uploading, setUploading] = useState(false)
 
-  const handleImageChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      setSelectedImage(file)
+  const handleMediaChange = (e) => {
+    const errors = []
+    const added = []
+
+    Array.from(e.target.files).forEach((file) => {
+      const extension = file.name.split('.').pop().toLowerCase()
+      const isImage = IMAGE_TYPES.includes(file.type)
 
-      // Create preview
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        setImagePreview(e.target.result)
+      if (!isImage && !DOCUMENT_EXTENSIONS.includes(extension)) {
+        errors.push(`${file.name}: unsupported file type`)
+      } else if (file.size > (isImage ? MAX_IMAGE_SIZE : MAX_DOCUMENT_SIZE)) {
+        errors.push(`${file.name}: too large (max ${isImage ? 5 : 10}MB)`)
+      } else {
+        added.push({
+          id: `${file.name}-${file.lastModified}-${Math.random().toString(36).slice(2)}`,
+          file,
+          kind: isImage ? 'image' : 'document',
+          preview: isImage ? URL.createObjectURL(file) : null
+        })
       }
-      reader.readAsDataURL(file)
+    })
+
+    setMedia([...media, ...added])
+    setMediaError(errors.join(', '))
+    e.target.value = ''
+  }
+
+  const moveMedia = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= media.length) return
+
+    const reordered = [...media]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setMedia(reordered)
+  }
+
+  const setCover = (index) => {
+    const reordered = [...media]
+    const [item] = reordered.splice(index, 1)
+    setMedia([item, ...reordered])
+  }
+
+  const removeMedia = (index) => {
+    if (media[index].preview) {
+      URL.revokeObjectURL(media[index].preview)
     }
+    setMedia(media.filter((_, i) => i !== index))
   }
 
-  const uploadImage = async () => {
-    if (!selectedImage) return null
+  const coverId = media.find((item) => item.kind === 'image')?.id
+
+  const uploadMedia = async (propertyId) => {
+    const files = media.map((item) => item.file)
 
     setUploading(true)
     try {
-      const formData = new FormData()
-      formData.append('image', selectedImage)
-
-      const response = await fetch('https://leadestate-backend-9fih.onrender.com/api/properties/upload', {
-        method: 'POST',
-        body: formData
-      })
-
-      if (response.ok) {
-        const result = await response.json()
-        return `https://leadestate-backend-9fih.onrender.com${result.data.imageUrl}`
-      } else {
-        throw new Error('Failed to upload image')
+      for (let i = 0; i < files.length; i += MAX_FILES_PER_UPLOAD) {
+        await propertiesAPI.uploadMedia(propertyId, files.slice(i, i + MAX_FILES_PER_UPLOAD))
       }
+      // The property's image_url now points to the cover
+      await refreshData()
     } catch (error) {
-      console.error('Error uploading image:', error)
-      return null
+      console.error('Error uploading property media:', error)
+      alert(error.response?.data?.message || 'The property was added but some files could not be uploaded')
     } finally {
       setUploading(false)
     }
   }
 
+  const resetForm = () => {
+    setFormData({
+      title: '',
+      type: 'apartment',
+      price: '',
+      address: '',
+      city: '',
+      surface: '',
+      description: ''
+    })
+    media.forEach((item) => item.preview && URL.revokeObjectURL(item.preview))
+    setMedia([])
+    setMediaError('')
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
 
-    // Upload image first if selected
-    let imageUrl = ''
-    if (selectedImage) {
-      imageUrl = await uploadImage()
-    }
-
     // Format data for backend compatibility
     const propertyData = {
       title: formData.title,
@@ -75,26 +122,25 @@ const AddPropertyModal = ({ isOpen, onClose, onSubmit }) => {
       address: formData.address,
       city: formData.city,
       surface: parseFloat(formData.surface) || 0,
-      description: formData.description,
-      image_url: imageUrl
+      description: formData.description
     }
 
     console.log('🏠 Submitting property data:', propertyData)
-    onSubmit(propertyData)
 
-    // Reset form
-    setFormData({
-      title: '',
-      type: 'apartment',
-      price: '',
-      address: '',
-      city: '',
-      surface: '',
-      description: '',
-      image_url: ''
-    })
-    setSelectedImage(null)
-    setImagePreview(null)
+    let property
+    try {
+      property = await onSubmit(propertyData)
+    } catch (error) {
+      console.error('Error adding property:', error)
+      return
+    }
+
+    // Files are attached once the property exists
+    if (property?.id && media.length > 0) {
+      await uploadMedia(property.id)
+    }
+
+    resetForm()
     onClose()
   }
 
@@ -242,58 +288,108 @@ const AddPropertyModal = ({ isOpen, onClose, onSubmit }) => {
               />
             </div>
 
-            {/* Image Upload */}
+            {/* Photos and documents */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                Property Image
+                Photos & Documents
               </label>
-              <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md hover:border-gray-400 transition-colors">
-                <div className="space-y-1 text-center">
-                  {imagePreview ? (
-                    <div className="relative">
-                      <img
-                        src={imagePreview}
-                        alt="Preview"
-                        className="mx-auto h-32 w-32 object-cover rounded-md"
-                      />
+
+              {media.length > 0 && (
+                <div className="grid grid-cols-3 sm:grid-cols-4 gap-3 mb-3">
+                  {media.map((item, index) => (
+                    <div key={item.id} className="relative group border border-gray-200 rounded-md overflow-hidden">
+                      {item.kind === 'image' ? (
+                        <img
+                          src={item.preview}
+                          alt={item.file.name}
+                          className="h-24 w-full object-cover"
+                        />
+                      ) : (
+                        <div className="h-24 w-full flex flex-col items-center justify-center bg-gray-50 px-2">
+                          <FileText className="h-8 w-8 text-gray-400" />
+                          <span className="mt-1 text-xs text-gray-600 truncate w-full text-center">{item.file.name}</span>
+                        </div>
+                      )}
+
+                      {item.id === coverId && (
+                        <span className="absolute top-1 left-1 bg-blue-600 text-white text-xs px-1.5 py-0.5 rounded">
+                          Cover
+                        </span>
+                      )}
+
                       <button
                         type="button"
-                        onClick={() => {
-                          setSelectedImage(null)
-                          setImagePreview(null)
-                        }}
-                        className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-xs hover:bg-red-600"
+                        onClick={() => removeMedia(index)}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-xs hover:bg-red-600"
+                        title="Remove"
                       >
                         ×
                       </button>
-                    </div>
-                  ) : (
-                    <>
-                      <Image className="mx-auto h-12 w-12 text-gray-400" />
-                      <div className="flex text-sm text-gray-600">
-                        <label
-                          htmlFor="image-upload"
-                          className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500"
+
+                      <div className="flex items-center justify-between bg-white border-t border-gray-200 px-1 py-0.5">
+                        <button
+                          type="button"
+                          onClick={() => moveMedia(index, -1)}
+                          disabled={index === 0}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move left"
+                        >
+                          <ChevronLeft className="h-4 w-4" />
+                        </button>
+                        {item.kind === 'image' && item.id !== coverId && (
+                          <button
+                            type="button"
+                            onClick={() => setCover(index)}
+                            className="text-gray-500 hover:text-blue-600"
+                            title="Set as cover"
+                          >
+                            <Star className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => moveMedia(index, 1)}
+                          disabled={index === media.length - 1}
+                          className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                          title="Move right"
                         >
-                          <span>Upload an image</span>
-                          <input
-                            id="image-upload"
-                            name="image-upload"
-                            type="file"
-                            accept="image/*"
-                            className="sr-only"
-                            onChange={handleImageChange}
-                          />
-                        </label>
-                        <p className="pl-1">or drag and drop</p>
+                          <ChevronRight className="h-4 w-4" />
+                        </button>
                       </div>
-                      <p className="text-xs text-gray-500">
-                        PNG, JPG, GIF up to 5MB
-                      </p>
-                    </>
-                  )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md hover:border-gray-400 transition-colors">
+                <div className="space-y-1 text-center">
+                  <Image className="mx-auto h-12 w-12 text-gray-400" />
+                  <div className="flex text-sm text-gray-600">
+                    <label
+                      htmlFor="media-upload"
+                      className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500"
+                    >
+                      <span>Add photos or documents</span>
+                      <input
+                        id="media-upload"
+                        name="media-upload"
+                        type="file"
+                        multiple
+                        accept="image/jpeg,image/png,image/gif,image/webp,.pdf,.doc,.docx,.txt"
+                        className="sr-only"
+                        onChange={handleMediaChange}
+                      />
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    JPG, PNG, GIF, WEBP up to 5MB · PDF, DOC, DOCX, TXT up to 10MB
+                  </p>
                 </div>
               </div>
+
+              {mediaError && (
+                <p className="mt-2 text-sm text-red-600">{mediaError}</p>
+              )}
             </div>
 
             {/* Description */}
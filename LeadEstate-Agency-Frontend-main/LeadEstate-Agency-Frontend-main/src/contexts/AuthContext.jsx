@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react'
-import { authAPI } from '../services/api'
+import { authAPI, tokenStorage } from '../services/api'
 import toast from 'react-hot-toast'
 
 const AuthContext = createContext()
@@ -96,7 +96,7 @@ export const AuthProvider = ({ children }) => {
       const response = await authAPI.login(credentials)
 
       if (response.success) {
-        localStorage.setItem('token', response.token)
+        tokenStorage.setTokens(response)
 
         dispatch({
           type: 'LOGIN_SUCCESS',
@@ -125,7 +125,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       // Continue with logout even if API call fails
     } finally {
-      localStorage.removeItem('token')
+      tokenStorage.clear()
       dispatch({ type: 'LOGOUT' })
       toast.success('Logged out successfully')
     }
@@ -1,4 +1,5 @@
-import { createContext, useContext } from 'react'
+import { createContext, useContext, useEffect, useState } from 'react'
+import { apiFetch } from '../App'
 
 const PermissionsContext = createContext()
 
@@ -9,38 +10,39 @@ export const USER_ROLES = {
   AGENT: 'agent'
 }
 
-// Define permissions for each role
+// Define permissions for each role (the permission names of the API)
 export const PERMISSIONS = {
   // Dashboard permissions
-  VIEW_DASHBOARD: 'view_dashboard',
-  VIEW_FULL_STATS: 'view_full_stats',
+  VIEW_DASHBOARD: 'dashboard.view',
+  VIEW_FULL_STATS: 'dashboard.stats.all',
   
   // Lead permissions
-  VIEW_ALL_LEADS: 'view_all_leads',
-  VIEW_ASSIGNED_LEADS: 'view_assigned_leads',
-  ADD_LEAD: 'add_lead',
-  EDIT_LEAD: 'edit_lead',
-  DELETE_LEAD: 'delete_lead',
-  ASSIGN_LEAD: 'assign_lead',
-  IMPORT_LEADS: 'import_leads',
+  VIEW_ALL_LEADS: 'leads.read.all',
+  VIEW_ASSIGNED_LEADS: 'leads.read.own',
+  ADD_LEAD: 'leads.create',
+  EDIT_LEAD: 'leads.update',
+  DELETE_LEAD: 'leads.delete',
+  ASSIGN_LEAD: 'leads.assign',
+  IMPORT_LEADS: 'leads.import',
   
   // Property permissions
-  VIEW_PROPERTIES: 'view_properties',
-  ADD_PROPERTY: 'add_property',
-  EDIT_PROPERTY: 'edit_property',
-  DELETE_PROPERTY: 'delete_property',
+  VIEW_PROPERTIES: 'properties.read',
+  ADD_PROPERTY: 'properties.write',
+  EDIT_PROPERTY: 'properties.write',
+  DELETE_PROPERTY: 'properties.delete',
   
   // Advanced features
-  VIEW_ANALYTICS: 'view_analytics',
-  MANAGE_AUTOMATION: 'manage_automation',
-  MANAGE_FOLLOW_UP: 'manage_follow_up',
+  VIEW_ANALYTICS: 'analytics.view',
+  MANAGE_AUTOMATION: 'automation.manage',
+  MANAGE_FOLLOW_UP: 'follow_ups.manage',
   
   // User management
-  MANAGE_USERS: 'manage_users',
-  VIEW_TEAM: 'view_team'
+  MANAGE_USERS: 'team.manage',
+  VIEW_TEAM: 'team.read'
 }
 
-// Role-based permissions mapping
+// Default permissions of each role, used until the user's own are loaded from the API
+// (agencies can change them for super agents and agents)
 export const ROLE_PERMISSIONS = {
   [USER_ROLES.MANAGER]: [
     // Dashboard
@@ -86,8 +88,9 @@ export const ROLE_PERMISSIONS = {
     // Properties - View only
     PERMISSIONS.VIEW_PROPERTIES,
     
-    // Analytics
+    // Analytics and follow-ups
     PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.MANAGE_FOLLOW_UP,
     
     // Team view
     PERMISSIONS.VIEW_TEAM
@@ -99,14 +102,16 @@ export const ROLE_PERMISSIONS = {
     
     // Leads - Only assigned leads
     PERMISSIONS.VIEW_ASSIGNED_LEADS,
+    PERMISSIONS.ADD_LEAD, // New leads are assigned to them
     PERMISSIONS.EDIT_LEAD, // Can edit their assigned leads
+    PERMISSIONS.MANAGE_FOLLOW_UP, // Follow-ups of their assigned leads
     
     // Properties - View only
     PERMISSIONS.VIEW_PROPERTIES
   ]
 }
 
-// Permission checker functions
+// Permission checker functions (the role defaults)
 export const hasPermission = (userRole, permission) => {
   if (!userRole || !permission) return false
   const rolePermissions = ROLE_PERMISSIONS[userRole] || []
@@ -132,20 +137,45 @@ export const ROLE_DISPLAY_NAMES = {
 export const ROLE_DESCRIPTIONS = {
   [USER_ROLES.MANAGER]: 'Full access to all features including automation, analytics, and user management',
   [USER_ROLES.SUPER_AGENT]: 'Can import leads, assign leads, view analytics, and manage properties',
-  [USER_ROLES.AGENT]: 'Can view assigned leads, properties, and basic dashboard'
+  [USER_ROLES.AGENT]: 'Can add leads, work on their assigned leads and follow-ups, and view properties'
 }
 
 // Permission Provider Component
-export const PermissionsProvider = ({ children, userRole }) => {
+export const PermissionsProvider = ({ children, userRole, userId }) => {
   // Debug: Log user role
   console.log('PermissionsProvider userRole:', userRole)
 
-  const checkPermission = (permission) => hasPermission(userRole, permission)
-  const checkAnyPermission = (permissions) => hasAnyPermission(userRole, permissions)
-  const checkAllPermissions = (permissions) => hasAllPermissions(userRole, permissions)
+  // Effective permissions of the user, with the agency's overrides (GET /auth/permissions)
+  const [userPermissions, setUserPermissions] = useState(null)
+
+  useEffect(() => {
+    setUserPermissions(null)
+    if (!userId) return
+
+    let cancelled = false
+    apiFetch('/auth/permissions')
+      .then(async (response) => {
+        if (response.ok && !cancelled) {
+          setUserPermissions((await response.json()).data.permissions)
+        }
+      })
+      .catch((error) => console.error('Error loading permissions:', error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  const checkPermission = (permission) => {
+    if (!userPermissions) return hasPermission(userRole, permission)
+    return Boolean(permission) && userPermissions.includes(permission)
+  }
+  const checkAnyPermission = (permissions) => permissions.some(checkPermission)
+  const checkAllPermissions = (permissions) => permissions.every(checkPermission)
 
   const value = {
     userRole,
+    permissions: userPermissions || ROLE_PERMISSIONS[userRole] || [],
     hasPermission: checkPermission,
     hasAnyPermission: checkAnyPermission,
     hasAllPermissions: checkAllPermissions,
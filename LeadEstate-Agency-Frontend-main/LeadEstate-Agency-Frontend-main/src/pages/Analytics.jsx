@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts'
 import { TrendingUp, Users, Target, Phone, Calendar, RefreshCw } from 'lucide-react'
+import { createApiFetch } from '../services/api'
 
 const API_URL = import.meta.env.VITE_API_URL || 'https://leadestate-backend-9fih.onrender.com/api'
+const apiFetch = createApiFetch(API_URL)
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884D8', '#82CA9D']
 
@@ -38,15 +40,15 @@ const Analytics = () => {
         leadsTimelineRes,
         budgetAnalysisRes
       ] = await Promise.all([
-        fetch(`${API_URL}/analytics/leads-by-source`),
-        fetch(`${API_URL}/analytics/leads-not-contacted`),
-        fetch(`${API_URL}/analytics/contacted-leads?period=${selectedPeriod}`),
-        fetch(`${API_URL}/analytics/conversion-rate-by-source`),
-        fetch(`${API_URL}/analytics/avg-contact-time-by-agent`),
-        fetch(`${API_URL}/analytics/leads-by-status`),
-        fetch(`${API_URL}/analytics/leads-by-agent`),
-        fetch(`${API_URL}/analytics/leads-timeline?period=${selectedPeriod}`),
-        fetch(`${API_URL}/analytics/budget-analysis`)
+        apiFetch(`/analytics/leads-by-source`),
+        apiFetch(`/analytics/leads-not-contacted`),
+        apiFetch(`/analytics/contacted-leads?period=${selectedPeriod}`),
+        apiFetch(`/analytics/conversion-rate-by-source`),
+        apiFetch(`/analytics/avg-contact-time-by-agent`),
+        apiFetch(`/analytics/leads-by-status`),
+        apiFetch(`/analytics/leads-by-agent`),
+        apiFetch(`/analytics/leads-timeline?period=${selectedPeriod}`),
+        apiFetch(`/analytics/budget-analysis`)
       ])
 
       const [
@@ -148,6 +148,7 @@ const Dashboard = () => {
   const handleAddProperty = (propertyData) => {
     const newProperty = addProperty(propertyData)
     showToast(`Property "${propertyData.title}" added successfully!`, 'success')
+    return newProperty
   }
 
   return (
@@ -15,7 +15,7 @@ import {
   Upload,
   MessageCircle
 } from 'lucide-react'
-import { useData, useAuth } from '../App'
+import { useData, useAuth, apiFetch } from '../App'
 import { usePermissions, PERMISSIONS } from '../contexts/PermissionsContext'
 import ProtectedComponent from '../components/ProtectedComponent'
 import { useToast } from '../components/Toast'
@@ -43,6 +43,9 @@ const Leads = () => {
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1)
   const [itemsPerPage, setItemsPerPage] = useState(10)
+  const [sortOrder, setSortOrder] = useState('-createdAt')
+  const [paginatedLeads, setPaginatedLeads] = useState([])
+  const [pageMeta, setPageMeta] = useState(null)
   const [showAddLead, setShowAddLead] = useState(false)
   const [viewLead, setViewLead] = useState(null)
   const [editLead, setEditLead] = useState(null)
@@ -142,7 +145,7 @@ const Leads = () => {
     }
 
     try {
-      const response = await fetch(`https://leadestate-backend-9fih.onrender.com/api/whatsapp/welcome/${lead.id}`, {
+      const response = await apiFetch(`/whatsapp/welcome/${lead.id}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -212,7 +215,7 @@ const Leads = () => {
   // Bulk action handlers
   const handleSelectAll = (checked) => {
     if (checked) {
-      setSelectedLeads(filteredLeads.map(lead => lead.id))
+      setSelectedLeads(paginatedLeads.map(lead => lead.id))
     } else {
       setSelectedLeads([])
     }
@@ -296,36 +299,53 @@ const Leads = () => {
     }
   }
 
-  // Filter leads based on search, status, agent, and user permissions
-  const filteredLeads = leads.filter(lead => {
-    const matchesSearch = lead.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         lead.email.toLowerCase().includes(searchTerm.toLowerCase())
-    const matchesStatus = statusFilter === 'all' || lead.status === statusFilter
-    const matchesAgent = agentFilter === 'all' || lead.assignedTo === agentFilter
-
-    // Role-based filtering
-    if (hasPermission(PERMISSIONS.VIEW_ALL_LEADS)) {
-      // Manager and Super Agent can see all leads
-      return matchesSearch && matchesStatus && matchesAgent
-    } else if (hasPermission(PERMISSIONS.VIEW_ASSIGNED_LEADS)) {
-      // Agent can only see their assigned leads
-      return matchesSearch && matchesStatus && lead.assignedTo === user?.name
-    }
+  // Search, filters, sort and pagination run on the API, which also keeps agents to their own leads.
+  // Refetched whenever the shared leads change so edits show up on the current page.
+  React.useEffect(() => {
+    const params = new URLSearchParams({ page: String(currentPage), limit: String(itemsPerPage), sort: sortOrder })
+    if (searchTerm.trim()) params.set('search', searchTerm.trim())
+    if (statusFilter !== 'all') params.set('status', statusFilter)
+    if (agentFilter !== 'all') params.set('assignedTo', agentFilter || 'unassigned')
+
+    let cancelled = false
+    // Wait for the user to stop typing before searching
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(`/leads?${params}`)
+        if (!response.ok) {
+          throw new Error(`status ${response.status}`)
+        }
+        const result = await response.json()
+        if (cancelled) return
 
-    // Fallback: if no specific permissions, don't show leads
-    return false
-  })
+        const meta = result.meta || {}
+        // The page emptied (e.g. its last lead was deleted): go back to the last one
+        if (meta.totalPages && currentPage > meta.totalPages) {
+          setCurrentPage(meta.totalPages)
+          return
+        }
+        setPaginatedLeads(result.data || [])
+        setPageMeta(meta)
+      } catch (error) {
+        console.error('❌ Error fetching leads page:', error)
+      }
+    }, searchTerm ? 300 : 0)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchTerm, statusFilter, agentFilter, sortOrder, currentPage, itemsPerPage, leads])
 
-  // Pagination logic
-  const totalPages = Math.ceil(filteredLeads.length / itemsPerPage)
+  const totalLeads = pageMeta?.totalItems || 0
+  const totalPages = pageMeta?.totalPages || 0
   const startIndex = (currentPage - 1) * itemsPerPage
-  const endIndex = startIndex + itemsPerPage
-  const paginatedLeads = filteredLeads.slice(startIndex, endIndex)
+  const endIndex = startIndex + paginatedLeads.length
 
   // Reset to first page when filters change
   React.useEffect(() => {
     setCurrentPage(1)
-  }, [searchTerm, statusFilter, agentFilter, itemsPerPage])
+  }, [searchTerm, statusFilter, agentFilter, sortOrder, itemsPerPage])
 
   // Pagination handlers
   const handlePageChange = (page) => {
@@ -442,6 +462,22 @@ const Leads = () => {
                   </select>
                 </div>
 
+                {/* Sort */}
+                <div className="sm:w-48">
+                  <select
+                    value={sortOrder}
+                    onChange={(e) => setSortOrder(e.target.value)}
+                    className="flex h-9 w-full rounded-md border border-gray-300 bg-white px-3 py-1 text-sm shadow-sm transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:cursor-not-allowed disabled:opacity-50"
+                  >
+                    <option value="-createdAt">Newest first</option>
+                    <option value="createdAt">Oldest first</option>
+                    <option value="name">Name (A-Z)</option>
+                    <option value="-score">Highest score</option>
+                    <option value="-budget">Highest budget</option>
+                    <option value="-updatedAt">Recently updated</option>
+                  </select>
+                </div>
+
                 {/* Agent Filter - Manager and Super Agent only */}
                 {hasPermission(PERMISSIONS.VIEW_ALL_LEADS) && (
                   <div className="sm:w-48">
@@ -530,7 +566,7 @@ const Leads = () => {
                     <th className="h-10 px-2 text-left align-middle font-medium text-gray-500 w-10">
                       <input
                         type="checkbox"
-                        checked={selectedLeads.length === filteredLeads.length && filteredLeads.length > 0}
+                        checked={selectedLeads.length === paginatedLeads.length && paginatedLeads.length > 0}
                         onChange={(e) => handleSelectAll(e.target.checked)}
                         className="rounded border-gray-300"
                       />
@@ -698,7 +734,7 @@ const Leads = () => {
         </div>
 
         {/* Pagination Controls */}
-        {filteredLeads.length > 0 && (
+        {totalLeads > 0 && (
           <div className="px-6 py-4 border-t border-gray-200 bg-gray-50">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
               {/* Items per page selector */}
@@ -719,14 +755,14 @@ const Leads = () => {
               {/* Pagination info and controls */}
               <div className="flex items-center space-x-4">
                 <span className="text-sm text-gray-700">
-                  Showing {startIndex + 1} to {Math.min(endIndex, filteredLeads.length)} of {filteredLeads.length} leads
+                  Showing {startIndex + 1} to {endIndex} of {totalLeads} leads
                 </span>
 
                 {totalPages > 1 && (
                   <div className="flex items-center space-x-1">
                     <button
                       onClick={() => handlePageChange(currentPage - 1)}
-                      disabled={currentPage === 1}
+                      disabled={!pageMeta?.hasPrev}
                       className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       Previous
@@ -762,7 +798,7 @@ const Leads = () => {
 
                     <button
                       onClick={() => handlePageChange(currentPage + 1)}
-                      disabled={currentPage === totalPages}
+                      disabled={!pageMeta?.hasNext}
                       className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       Next
@@ -775,7 +811,7 @@ const Leads = () => {
         )}
 
         {/* Empty State for Table */}
-        {filteredLeads.length === 0 && (
+        {totalLeads === 0 && (
           <div className="p-8 text-center">
             <div className="mx-auto h-24 w-24 rounded-full bg-gray-100 flex items-center justify-center mb-4">
               <Users className="h-12 w-12 text-gray-400" />
@@ -812,7 +848,7 @@ const Leads = () => {
           />
 
           {/* Pagination Controls for Kanban */}
-          {filteredLeads.length > 0 && (
+          {totalLeads > 0 && (
             <div className="mt-4 px-4 py-3 border-t border-gray-200 bg-gray-50 rounded-b-lg">
               <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
                 {/* Items per page selector */}
@@ -833,14 +869,14 @@ const Leads = () => {
                 {/* Pagination info and controls */}
                 <div className="flex items-center space-x-4">
                   <span className="text-sm text-gray-700">
-                    Showing {startIndex + 1} to {Math.min(endIndex, filteredLeads.length)} of {filteredLeads.length} leads
+                    Showing {startIndex + 1} to {endIndex} of {totalLeads} leads
                   </span>
 
                   {totalPages > 1 && (
                     <div className="flex items-center space-x-1">
                       <button
                         onClick={() => handlePageChange(currentPage - 1)}
-                        disabled={currentPage === 1}
+                        disabled={!pageMeta?.hasPrev}
                         className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
                       >
                         Previous
@@ -876,7 +912,7 @@ const Leads = () => {
 
                       <button
                         onClick={() => handlePageChange(currentPage + 1)}
-                        disabled={currentPage === totalPages}
+                        disabled={!pageMeta?.hasNext}
                         className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
                       >
                         Next
@@ -889,7 +925,7 @@ const Leads = () => {
           )}
 
           {/* Empty State for Kanban */}
-          {filteredLeads.length === 0 && (
+          {totalLeads === 0 && (
             <div className="text-center py-12">
               <div className="mx-auto h-24 w-24 rounded-full bg-gray-100 flex items-center justify-center mb-4">
                 <Grid className="h-12 w-12 text-gray-400" />
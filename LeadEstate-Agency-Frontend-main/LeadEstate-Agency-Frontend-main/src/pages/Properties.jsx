@@ -16,8 +16,9 @@ const Properties = () => {
   const [deleteConfirm, setDeleteConfirm] = useState(null)
 
   const handleAddProperty = (propertyData) => {
-    addProperty(propertyData)
+    const request = addProperty(propertyData)
     showToast(`Property "${propertyData.title}" added successfully!`, 'success')
+    return request
   }
 
   const handleViewProperty = (property) => {
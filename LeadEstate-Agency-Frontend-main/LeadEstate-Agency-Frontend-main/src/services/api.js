@@ -6,13 +6,83 @@ const api = axios.create({
   timeout: 10000,
 })
 
+// Tokens of the session opened by POST /auth/login; the refresh token is rotated on every refresh
+export const tokenStorage = {
+  getToken: () => localStorage.getItem('token'),
+  getRefreshToken: () => localStorage.getItem('refreshToken'),
+  setTokens: ({ token, refreshToken }) => {
+    localStorage.setItem('token', token)
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken)
+    }
+  },
+  clear: () => {
+    localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
+  }
+}
+
+const authHeader = () => {
+  const token = tokenStorage.getToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+const redirectToLogin = () => {
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login'
+  }
+}
+
+// Requests rejected together wait for the same refresh (a refresh token can only be used once)
+let pendingRefresh = null
+
+// New access token from the refresh token; the session is over when there is none or it is refused
+export const refreshAccessToken = (baseURL = api.defaults.baseURL) => {
+  if (!pendingRefresh) {
+    const refreshToken = tokenStorage.getRefreshToken()
+    pendingRefresh = (refreshToken
+      ? axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('Not logged in')))
+      .then(({ data }) => {
+        tokenStorage.setTokens(data)
+        return data.token
+      })
+      .catch((error) => {
+        tokenStorage.clear()
+        throw error
+      })
+      .finally(() => {
+        pendingRefresh = null
+      })
+  }
+  return pendingRefresh
+}
+
+// fetch() for the API at baseURL with the access token, retried once with a refreshed token on a 401
+export const createApiFetch = (baseURL) => async (path, options = {}) => {
+  const send = () => fetch(`${baseURL}${path}`, {
+    ...options,
+    headers: { ...options.headers, ...authHeader() }
+  })
+
+  const response = await send()
+  if (response.status !== 401) {
+    return response
+  }
+
+  try {
+    await refreshAccessToken(baseURL)
+  } catch (error) {
+    redirectToLogin()
+    return response
+  }
+  return send()
+}
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token')
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`
-    }
+    Object.assign(config.headers, authHeader())
     return config
   },
   (error) => {
@@ -20,13 +90,18 @@ api.interceptors.request.use(
   }
 )
 
-// Response interceptor to handle errors
+// Response interceptor: refresh the access token once on a 401, else back to the login page
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token')
-      window.location.href = '/login'
+  async (error) => {
+    const { config, response } = error
+    if (response?.status === 401 && config && !config.retriedAfterRefresh) {
+      try {
+        await refreshAccessToken()
+        return api({ ...config, retriedAfterRefresh: true })
+      } catch (refreshError) {
+        redirectToLogin()
+      }
     }
     return Promise.reject(error)
   }
@@ -36,7 +111,7 @@ api.interceptors.response.use(
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
   register: (userData) => api.post('/auth/register', userData),
-  logout: () => api.post('/auth/logout'),
+  logout: () => api.post('/auth/logout', { refreshToken: tokenStorage.getRefreshToken() }),
   getProfile: () => api.get('/auth/me'),
 }
 
@@ -65,6 +140,15 @@ export const propertiesAPI = {
   create: (data) => api.post('/properties', data),
   update: (id, data) => api.put(`/properties/${id}`, data),
   delete: (id) => api.delete(`/properties/${id}`),
+  getMedia: (id) => api.get(`/properties/${id}/media`),
+  uploadMedia: (id, files) => {
+    const formData = new FormData()
+    files.forEach((file) => formData.append('files', file))
+    return api.post(`/properties/${id}/media`, formData, { timeout: 120000 })
+  },
+  reorderMedia: (id, mediaIds) => api.put(`/properties/${id}/media/order`, { mediaIds }),
+  setCoverMedia: (id, mediaId) => api.put(`/properties/${id}/media/${mediaId}/cover`),
+  deleteMedia: (id, mediaId) => api.delete(`/properties/${id}/media/${mediaId}`),
 }
 
 // Reports API